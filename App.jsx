@@ -1,4 +1,28 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { scoreAssessment } from "./lib/crs.js";
+import { moveEntry } from "./lib/workHistory.js";
+import {
+  answerSections, fieldKey, flattenAnswers, getIn, PROGRAMS, initialAssessment, pathKey, questionnaireFor, validateStep, visibleSteps, withDefaults,
+} from "./lib/formSchema.js";
+import { createApiClient } from "./lib/api.js";
+import { createDataClient } from "./lib/dataClient.js";
+import { groupByMember, ruleKey, summarizeChecklist } from "./lib/checklist.js";
+import { HOUSEHOLD_ROLES } from "./lib/household.js";
+import { flattenLanguageLevels, LANGUAGE_ABILITIES, languageLevels } from "./lib/languageTests.js";
+import { actorFor, availableTransitions, CASE_STATES, DECISION_OUTCOMES, stageIndex } from "./lib/caseWorkflow.js";
+import { validateUpload } from "./lib/uploadChecks.js";
+import { DEFAULT_EXPORT, EXPORT_SHEETS } from "./lib/exportSpec.js";
+import { createDriveUploader, localStorageSessions } from "./lib/driveUpload.js";
+import { createGoogleApi, createSheetsSync, DEFAULT_SHEETS_TARGET, ID_COLUMN, parseFolderId } from "./lib/sheetsSync.js";
+import { utcToZoned, validateAvailability, WEEKDAYS } from "./lib/booking.js";
+import { CONSENT_PURPOSES, CONSENT_VERSIONS, consentRecord, CURRENT_CONSENT_VERSION } from "./lib/consent.js";
+import { isPhone, NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } from "./lib/notifications.js";
+import { applyUploadLimits, createSecureFiles, DEFAULT_UPLOAD_LIMITS, saveBlob } from "./lib/secureFiles.js";
+import { feeSchedule, RETAINER_VERSION } from "./lib/retainer.js";
+import { assessmentSummaryPdf, invoicePdf, receiptPdf, retainerPdf } from "./lib/pdfDocuments.js";
+import { emptyLine, formatMoney, invoiceTotals, LINE_CATEGORIES, lineProblem, outstanding, PAYMENT_METHODS, TAX_REGIONS, toCents } from "./lib/billing.js";
+import { createTranslator, DEFAULT_LOCALE, directionOf, formatBytes, formatDate, formatNumber, LOCALES, matchLocale } from "./lib/i18n.js";
+import { CATALOGS } from "./lib/locales/index.js";
 
 /**
  * Peddle West – RCIC Client Portal (single-file React app)
@@ -6,9 +30,11 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * Goals
  *  - Preserve brand feel: deep blue + white, clean, professional layout.
  *  - Add Client Portal features: Booking, Eligibility Form, Secure Uploads,
- *    Client Dashboard, basic Auth simulation, and Staff view.
- *  - Google integration hooks: Calendly embed, Google Drive upload stubs,
- *    and XLSX export for Drive/Sheets archiving.
+ *    Client Dashboard, Auth (email + password / email code), and Staff view.
+ *  - Native appointment booking (server/booking.js) with Calendly as an
+ *    optional provider; Google Drive uploads and Sheets sync for archiving.
+ *  - Client-facing text in English, French, Punjabi, Hindi and Spanish
+ *    (lib/locales); dates and numbers follow the chosen language.
  *  - A11y + responsive + fast (mobile-first, minimal CLS via fixed container
  *    sizes where possible).
  *
@@ -17,6 +43,10 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  *  - You can copy this component into a CRA/Vite/Next.js project.
  *  - Replace placeholders in GOOGLE CONFIG section with your own keys if you
  *    want to test Google Drive uploads client-side via gapi.
+ *  - Pure domain logic (e.g. CRS scoring) lives in ./lib so it can be unit
+ *    tested without React.
+ *  - The portal API lives in ./server (plain Node, SQLite). Point
+ *    API_CONFIG.baseUrl at it.
  */
 
 // --- Simple brand system (approximate deep blue + neutrals) ---
@@ -30,17 +60,16 @@ const brand = {
 
 // --- Utilities ---
 const cls = (...s) => s.filter(Boolean).join(" ");
-const required = (v) => (v ? undefined : "This field is required.");
-const isEmail = (v) => (/^\S+@\S+\.\S+$/.test(v) ? undefined : "Enter a valid email.");
 
 // Persist small pieces of state (save progress) in localStorage
 function useLocalStorage(key, initial) {
+  const fallback = () => (typeof initial === "function" ? initial() : initial);
   const [value, setValue] = useState(() => {
     try {
       const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
+      return raw ? JSON.parse(raw) : fallback();
     } catch {
-      return initial;
+      return fallback();
     }
   });
   useEffect(() => {
@@ -49,12 +78,145 @@ function useLocalStorage(key, initial) {
   return [value, setValue];
 }
 
-// --- Fake auth (for demo) ---
+// --- Language ---
+// Catalogues live in lib/locales; the choice is remembered on this device.
+// Components read { t, date, number, bytes } from useI18n() so dates and
+// numbers are formatted for the chosen language rather than the browser's.
+const I18nContext = createContext(null);
+const useI18n = () => useContext(I18nContext);
+
+function I18nProvider({ children }) {
+  const [stored, setLocale] = useLocalStorage("pw_locale", matchLocale(navigator.languages || [navigator.language], Object.keys(CATALOGS)));
+  const locale = CATALOGS[stored] ? stored : DEFAULT_LOCALE;
+  const dir = directionOf(locale);
+  useEffect(() => {
+    document.documentElement.lang = LOCALES[locale]?.tag || locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+  const value = useMemo(() => ({
+    locale,
+    dir,
+    setLocale,
+    t: createTranslator(locale, CATALOGS),
+    date: (v, style, timeZone) => formatDate(v, locale, style, timeZone),
+    number: (n, opts) => formatNumber(n, locale, opts),
+    bytes: (n) => formatBytes(n, locale),
+  }), [locale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// --- Portal API (server/) ---
+const API_CONFIG = {
+  baseUrl: "http://localhost:8787", // `node server/index.js`
+};
+
+const readSession = () => {
+  try { return JSON.parse(localStorage.getItem("pw_session") || "null"); } catch { return null; }
+};
+
+const api = createApiClient({
+  baseUrl: API_CONFIG.baseUrl,
+  getToken: () => readSession()?.token,
+  onUnauthorized: () => window.dispatchEvent(new Event("pw:session-expired")),
+});
+
+const isStaff = (u) => u?.role === "staff" || u?.role === "admin";
+
+// Data layer: API reads with cached fallback, offline write queue
+const store = createDataClient({ api, userId: () => readSession()?.user?.id });
+// Encrypted document storage (AES-GCM at rest; the server holds the wrapped keys)
+const secureFiles = createSecureFiles({ api });
+
+// Loads remote data; `reload()` re-runs the loader. Re-runs when deps change.
+function useRemote(loader, deps) {
+  const [state, setState] = useState({ data: undefined, error: null, loading: true });
+  const [tick, setTick] = useState(0);
+  useEffect(() => {
+    let live = true;
+    setState((s) => ({ ...s, loading: true }));
+    Promise.resolve(loader())
+      .then((data) => live && setState({ data, error: null, loading: false }))
+      .catch((error) => live && setState({ data: undefined, error, loading: false }));
+    return () => { live = false; };
+  }, [...deps, tick]);
+  return { ...state, reload: () => setTick((t) => t + 1) };
+}
+
+// Queued offline writes; syncs on reconnect and every 30s
+function useSyncStatus() {
+  const [pending, setPending] = useState(() => store.pendingCount());
+  useEffect(() => {
+    const off = store.onPendingChange(setPending);
+    const kick = () => { store.sync(); };
+    window.addEventListener("online", kick);
+    const t = setInterval(kick, 30000);
+    kick();
+    return () => { off(); window.removeEventListener("online", kick); clearInterval(t); };
+  }, []);
+  return pending;
+}
+
+// Runs fn every `ms` while the tab is visible (and once on mount)
+function usePolling(fn, ms, deps = []) {
+  useEffect(() => {
+    const tick = () => { if (document.visibilityState === "visible") fn(); };
+    const t = setInterval(tick, ms);
+    document.addEventListener("visibilitychange", tick);
+    return () => { clearInterval(t); document.removeEventListener("visibilitychange", tick); };
+  }, deps);
+}
+
+// Unread messages for the header badge; refreshed by polling and after a thread is read
+function useUnreadCount(user) {
+  const [count, setCount] = useState(0);
+  const refresh = () => { if (user) store.unreadCount().then(setCount).catch(() => {}); };
+  useEffect(() => {
+    if (!user) { setCount(0); return undefined; }
+    refresh();
+    window.addEventListener("pw:messages-read", refresh);
+    return () => window.removeEventListener("pw:messages-read", refresh);
+  }, [user?.id]);
+  usePolling(refresh, 20000, [user?.id]);
+  return count;
+}
+
+// --- Auth (server sessions; roles are assigned server-side) ---
 function useAuth() {
-  const [user, setUser] = useLocalStorage("pw_auth_user", null);
-  const login = (email, role = "client") => setUser({ email, role, name: email.split("@")[0] });
-  const logout = () => setUser(null);
-  return { user, login, logout };
+  const [session, setSession] = useLocalStorage("pw_session", null);
+  const active = session && session.expiresAt > new Date().toISOString() ? session : null;
+  const user = active?.user || null;
+
+  // Cached reads and queued writes belong to this user: nothing is left for whoever signs in next
+  const signOut = () => {
+    store.clear();
+    setSession(null);
+  };
+
+  // Refresh the profile so server-side role changes apply; drop revoked sessions
+  useEffect(() => {
+    if (!active) return;
+    api.get("/api/auth/me")
+      .then(({ user }) => setSession((s) => s && { ...s, user }))
+      .catch((e) => { if (e.status === 401) signOut(); });
+  }, [active?.token]);
+
+  useEffect(() => {
+    const onExpired = () => signOut();
+    window.addEventListener("pw:session-expired", onExpired);
+    return () => window.removeEventListener("pw:session-expired", onExpired);
+  }, []);
+
+  const login = async (email, password) => setSession(await api.post("/api/auth/login", { email, password }));
+  // Registration only emails a code; the password is kept once that code is entered
+  const register = (email, password, name) => api.post("/api/auth/register", { email, password, name });
+  const requestCode = (email) => api.post("/api/auth/email/start", { email });
+  const verifyCode = async (email, code, password) => setSession(await api.post("/api/auth/email/verify", { email, code, password }));
+  const verifyLink = async (token) => setSession(await api.post("/api/auth/email/verify", { token }));
+  const logout = async () => {
+    try { await api.post("/api/auth/logout"); } catch {}
+    signOut();
+  };
+  return { user, login, register, requestCode, verifyCode, verifyLink, logout };
 }
 
 // --- Google APIs (Drive/Sheets) placeholders ---
@@ -62,8 +224,13 @@ const GOOGLE_CONFIG = {
   apiKey: "YOUR_GOOGLE_API_KEY",
   clientId: "YOUR_OAUTH_CLIENT_ID.apps.googleusercontent.com",
   scope: "https://www.googleapis.com/auth/drive.file https://www.googleapis.com/auth/spreadsheets",
+  // Master spreadsheet for staff sync (lib/sheetsSync.js); staff can change the folder in the Staff view
+  sheets: { ...DEFAULT_SHEETS_TARGET, folderId: "" },
 };
 
+// Staff's Google target (folder + remembered master spreadsheet), kept per browser
+const useGoogleTarget = () => useLocalStorage("pw_google_target", GOOGLE_CONFIG.sheets);
+
 async function ensureGapiLoaded() {
   if (typeof window === "undefined") return;
   if (window.gapi && window.google) return;
@@ -96,35 +263,10 @@ async function gapiSignIn() {
   });
 }
 
-async function uploadBlobToDrive({ accessToken, blob, filename, mimeType }) {
-  // Uses multipart upload to Drive. On success returns file id.
-  const metadata = { name: filename, mimeType };
-  const boundary = "-------314159265358979323846";
-  const delimiter = "\r\n--" + boundary + "\r\n";
-  const closeDelim = "\r\n--" + boundary + "--";
-  const reader = await blob.arrayBuffer();
-  const base64Data = btoa(String.fromCharCode(...new Uint8Array(reader)));
-  const multipartRequestBody =
-    delimiter +
-    "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
-    JSON.stringify(metadata) +
-    "\r\n" +
-    delimiter +
-    "Content-Type: " + mimeType + "\r\n" +
-    "Content-Transfer-Encoding: base64\r\n\r\n" +
-    base64Data +
-    closeDelim;
-
-  const res = await fetch("https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": `multipart/related; boundary=${boundary}`,
-    },
-    body: multipartRequestBody,
-  });
-  if (!res.ok) throw new Error("Drive upload failed");
-  return res.json();
+// Resumable, chunked upload (lib/driveUpload.js); resolves with the Drive file
+async function uploadBlobToDrive({ accessToken, blob, filename, mimeType, folderId, key, onProgress }) {
+  const uploader = createDriveUploader({ getToken: () => accessToken, sessions: localStorageSessions() });
+  return uploader.upload({ blob, name: filename, mimeType, folderId, key, onProgress });
 }
 
 // --- XLSX helper (on-demand import to keep initial bundle light) ---
@@ -142,6 +284,14 @@ async function exportRowsToXLSX({ rows, filename = "peddlewest_export.xlsx", she
   return blob; // return blob so we can upload to Drive if signed in
 }
 
+// --- PDF documents (lib/pdfDocuments.js; jsPDF is imported on demand like xlsx) ---
+const loadJsPdf = () => import("jspdf").then((m) => m.jsPDF);
+
+async function downloadSummaryPdf(data, date) {
+  const crs = questionnaireFor(data.interest?.program).scoring === "crs" ? scoreAssessment(data) : null;
+  saveBlob(assessmentSummaryPdf(await loadJsPdf(), { brand, data, crs, date }), "peddlewest-assessment-summary.pdf");
+}
+
 // --- Calendly embed hook ---
 function useCalendlyEmbed(url) {
   useEffect(() => {
@@ -156,6 +306,9 @@ function useCalendlyEmbed(url) {
 
 // --- Components ---
 function Shell({ children, user, onShowLogin }) {
+  const { t, locale, setLocale } = useI18n();
+  const pending = useSyncStatus();
+  const unread = useUnreadCount(user);
   return (
     <div className="min-h-screen flex flex-col" style={{ backgroundColor: brand.bg, color: brand.text }}>
       <header className="sticky top-0 z-40 shadow-sm" style={{ backgroundColor: brand.primary }}>
@@ -165,21 +318,34 @@ function Shell({ children, user, onShowLogin }) {
             <a href="#home" className="text-white font-semibold tracking-wide">Peddle West</a>
           </div>
           <nav className="hidden md:flex items-center gap-6">
-            <a href="#book" className="text-white/90 hover:text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-white rounded px-1">Book</a>
-            <a href="#eligibility" className="text-white/90 hover:text-white">Eligibility</a>
-            <a href="#uploads" className="text-white/90 hover:text-white">Uploads</a>
-            <a href="#dashboard" className="text-white/90 hover:text-white">Dashboard</a>
-            <a href="#about" className="text-white/90 hover:text-white">About</a>
+            <a href="#book" className="text-white/90 hover:text-white focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-white rounded px-1">{t("nav.book")}</a>
+            <a href="#eligibility" className="text-white/90 hover:text-white">{t("nav.eligibility")}</a>
+            <a href="#uploads" className="text-white/90 hover:text-white">{t("nav.uploads")}</a>
+            <a href="#dashboard" className="text-white/90 hover:text-white">{t("nav.dashboard")}</a>
+            <a href="#about" className="text-white/90 hover:text-white">{t("nav.about")}</a>
           </nav>
           <div className="flex items-center gap-2">
+            {pending > 0 && (
+              <span className="text-xs rounded-full px-2 py-0.5 bg-amber-100 text-amber-900" title={t("shell.pendingHint")}>
+                {t("shell.pending", { count: pending })}
+              </span>
+            )}
+            {unread > 0 && (
+              <a href={isStaff(user) ? "#inbox" : "#messages"} className="text-xs rounded-full px-2 py-0.5 bg-white text-neutral-900 font-medium">
+                {t("shell.unread", { count: unread })}
+              </a>
+            )}
+            <select className="rounded bg-white/10 text-white text-sm px-1 py-0.5" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("shell.language")}>
+              {Object.keys(CATALOGS).map((code) => <option key={code} value={code} lang={code} className="text-neutral-900">{LOCALES[code]?.label || code}</option>)}
+            </select>
             {user ? (
-              <div className="text-white text-sm">Signed in as <span className="font-medium">{user.email}</span></div>
+              <div className="text-white text-sm">{t("shell.signedInAs")} <span className="font-medium">{user.email}</span></div>
             ) : (
-              <button onClick={onShowLogin} className="text-white text-sm underline">Sign in</button>
+              <button onClick={onShowLogin} className="text-white text-sm underline">{t("shell.signIn")}</button>
             )}
-            <a href="#book" className="ml-2 inline-flex items-center rounded-xl px-4 py-2 text-sm font-semibold shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2"
+            <a href="#book" className="ms-2 inline-flex items-center rounded-xl px-4 py-2 text-sm font-semibold shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2"
                style={{ backgroundColor: brand.accent, color: "white" }}>
-              Book Now
+              {t("shell.bookNow")}
             </a>
           </div>
         </div>
@@ -192,16 +358,16 @@ function Shell({ children, user, onShowLogin }) {
             <p className="text-sm text-neutral-600 mt-2">Kelowna, BC · info@peddlewest.com · +1‑236‑338‑0500</p>
           </div>
           <div>
-            <div className="font-semibold">Quick Links</div>
+            <div className="font-semibold">{t("footer.quickLinks")}</div>
             <ul className="mt-2 text-sm text-neutral-700 space-y-1">
-              <li><a href="#eligibility" className="underline">Eligibility Assessment</a></li>
-              <li><a href="#uploads" className="underline">Secure Uploads</a></li>
-              <li><a href="#book" className="underline">Book Consultation</a></li>
+              <li><a href="#eligibility" className="underline">{t("footer.eligibility")}</a></li>
+              <li><a href="#uploads" className="underline">{t("footer.uploads")}</a></li>
+              <li><a href="#book" className="underline">{t("footer.book")}</a></li>
             </ul>
           </div>
           <div>
-            <div className="font-semibold">Compliance</div>
-            <p className="text-sm text-neutral-600 mt-2">RCIC‑CICC regulated. Privacy-first design. © {new Date().getFullYear()} Peddle West.</p>
+            <div className="font-semibold">{t("footer.compliance")}</div>
+            <p className="text-sm text-neutral-600 mt-2">{t("footer.complianceText", { year: String(new Date().getFullYear()) })}</p>
           </div>
         </div>
       </footer>
@@ -210,247 +376,507 @@ function Shell({ children, user, onShowLogin }) {
 }
 
 function Hero() {
+  const { t } = useI18n();
   return (
-    <section id="home" className="relative overflow-hidden" aria-label="Hero">
+    <section id="home" className="relative overflow-hidden" aria-label={t("hero.label")}>
       <div className="max-w-6xl mx-auto px-4 pt-10 pb-16 grid md:grid-cols-2 gap-8 items-center">
         <div>
-          <h1 className="text-3xl md:text-4xl font-bold tracking-tight" style={{ color: brand.primary }}>Trusted Canadian Immigration, now with a secure client portal.</h1>
-          <p className="mt-4 text-neutral-700">Retaining Peddle West’s familiar look and feel, this upgrade adds booking, eligibility assessments, document uploads, and a personalized dashboard—securely and efficiently.</p>
+          <h1 className="text-3xl md:text-4xl font-bold tracking-tight" style={{ color: brand.primary }}>{t("hero.title")}</h1>
+          <p className="mt-4 text-neutral-700">{t("hero.body")}</p>
           <div className="mt-6 flex gap-3">
-            <a href="#book" className="inline-flex items-center rounded-xl px-5 py-3 font-semibold shadow" style={{ backgroundColor: brand.accent, color: "white" }}>Book Now</a>
-            <a href="#eligibility" className="inline-flex items-center rounded-xl px-5 py-3 font-semibold border" style={{ borderColor: brand.primary, color: brand.primary }}>Start Assessment</a>
+            <a href="#book" className="inline-flex items-center rounded-xl px-5 py-3 font-semibold shadow" style={{ backgroundColor: brand.accent, color: "white" }}>{t("shell.bookNow")}</a>
+            <a href="#eligibility" className="inline-flex items-center rounded-xl px-5 py-3 font-semibold border" style={{ borderColor: brand.primary, color: brand.primary }}>{t("hero.startAssessment")}</a>
           </div>
         </div>
         <div className="md:justify-self-end">
           <div className="aspect-[4/3] w-full max-w-md rounded-2xl border shadow-sm bg-white" aria-hidden="true" />
-          <p className="sr-only">Decorative placeholder</p>
+          <p className="sr-only">{t("hero.placeholder")}</p>
         </div>
       </div>
     </section>
   );
 }
 
-function CalendlySection() {
-  const calendlyUrl = "https://calendly.com/your-team/initial-consult"; // replace with real
-  useCalendlyEmbed(calendlyUrl);
+// --- Booking ---
+// The provider comes from the server (config.booking.provider); every
+// provider gets the same props so they can be swapped without touching App.
+const BROWSER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || "America/Vancouver";
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function"
+  ? Intl.supportedValuesOf("timeZone")
+  : ["America/Vancouver", "America/Edmonton", "America/Toronto", "America/Halifax", "Europe/London", "Asia/Kolkata", "Asia/Manila", "Asia/Shanghai", "UTC"];
+const SLOT_WINDOW_DAYS = 14;
+
+function BookingSection({ user, onShowLogin }) {
+  const { t } = useI18n();
+  const config = useRemote(() => store.bookingConfig(), []);
+  const Provider = BOOKING_PROVIDERS[config.data?.provider] || NativeBooking;
   return (
     <section id="book" className="max-w-6xl mx-auto px-4 py-12">
-      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Book an Initial Consultation</h2>
-      <p className="mt-2 text-neutral-700">View live availability, pick a time, and pay securely. Your confirmation and calendar invite will be sent automatically.</p>
-      <div className="mt-6 rounded-xl border shadow-sm overflow-hidden">
-        <div className="calendly-inline-widget" data-url={calendlyUrl} style={{ minWidth: "320px", height: "680px" }} />
-      </div>
-      <p className="mt-3 text-xs text-neutral-500">Prefer Google Calendar appointments? Link your calendar in Settings and we’ll mirror bookings to your Google Calendar automatically.</p>
+      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>{t("booking.title")}</h2>
+      <p className="mt-2 text-neutral-700">{t("booking.intro")}</p>
+      {config.error && <p className="mt-4 text-sm text-red-600" role="alert">{t("booking.unavailable", { error: config.error.message })}</p>}
+      {config.data && <div className="mt-6"><Provider user={user} onShowLogin={onShowLogin} config={config.data} /></div>}
     </section>
   );
 }
 
-// --- Eligibility Assessment (multi-step with save-progress) ---
-const initialAssessment = {
-  contact: { firstName: "", lastName: "", email: "", phone: "" },
-  basics: { age: "", education: "", marital: "Single" },
-  language: { ieltsListening: "", ieltsReading: "", ieltsWriting: "", ieltsSpeaking: "", overall: "" },
-  interest: { program: "Express Entry", notes: "" },
-  work: [{ start: "", end: "", title: "", employer: "", city: "", country: "", state: "", current: false }],
-};
+function CalendlyBooking({ config }) {
+  const { t } = useI18n();
+  useCalendlyEmbed(config.calendlyUrl);
+  if (!config.calendlyUrl) return <p className="text-sm text-neutral-600">{t("booking.notSetUp")}</p>;
+  return (
+    <div className="rounded-xl border shadow-sm overflow-hidden">
+      <div className="calendly-inline-widget" data-url={config.calendlyUrl} style={{ minWidth: "320px", height: "680px" }} />
+    </div>
+  );
+}
 
-function EligibilityForm({ onSubmit }) {
-  const [data, setData] = useLocalStorage("pw_assessment_progress", initialAssessment);
-  const [step, setStep] = useState(0);
-  const [errors, setErrors] = useState({});
+function NativeBooking({ user, onShowLogin, config }) {
+  const { t, date } = useI18n();
+  const types = useRemote(() => store.bookingTypes(), []);
+  const [typeId, setTypeId] = useState("");
+  const [timeZone, setTimeZone] = useLocalStorage("pw_booking_tz", BROWSER_TZ);
+  const [offset, setOffset] = useState(0);
+  const [picked, setPicked] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [moving, setMoving] = useState(null); // appointment being rescheduled
+  const [status, setStatus] = useState({ error: "", done: "" });
+  const [busy, setBusy] = useState(false);
+  const appts = useRemote(() => (user ? store.listAppointments({ upcoming: true }) : []), [user?.id]);
+
+  const activeType = moving ? moving.typeId : typeId || types.data?.[0]?.id || "";
+  const from = useMemo(() => {
+    const d = new Date();
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() + offset * SLOT_WINDOW_DAYS);
+    return d;
+  }, [offset]);
+  const slots = useRemote(() => (activeType ? store.bookingSlots({
+    typeId: activeType, from: from.toISOString(), to: new Date(from.getTime() + SLOT_WINDOW_DAYS * 86400000).toISOString(),
+  }) : []), [activeType, from.getTime()]);
+  const days = useMemo(() => {
+    const byDay = new Map();
+    (slots.data || []).forEach((s) => {
+      const key = utcToZoned(new Date(s.start), timeZone).date;
+      byDay.set(key, [...(byDay.get(key) || []), s]);
+    });
+    return [...byDay.entries()];
+  }, [slots.data, timeZone]);
+  const lastWindow = (offset + 1) * SLOT_WINDOW_DAYS >= config.horizonDays;
+
+  async function confirmSlot() {
+    if (!user) return onShowLogin();
+    setBusy(true);
+    setStatus({ error: "", done: "" });
+    try {
+      const a = moving
+        ? await store.rescheduleAppointment(moving.id, { start: picked.start, timeZone })
+        : await store.bookAppointment({ typeId: activeType, start: picked.start, timeZone, notes });
+      setStatus({ error: "", done: t(moving ? "booking.moved" : "booking.booked", { type: a.typeName, when: date(a.start, "long", timeZone) }) });
+      setPicked(null);
+      setMoving(null);
+      setNotes("");
+      appts.reload();
+    } catch (e) {
+      setStatus({ error: e.message, done: "" });
+    } finally {
+      setBusy(false);
+      slots.reload();
+    }
+  }
+
+  async function cancel(a) {
+    if (!confirm(t("booking.confirmCancel", { type: a.typeName, when: date(a.start, "dateTime", timeZone) }))) return;
+    try { await store.cancelAppointment(a.id); } catch (e) { alert(e.message); }
+    appts.reload();
+    slots.reload();
+  }
+
+  return (
+    <div className="grid md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 rounded-xl border shadow-sm p-4 bg-white">
+        {moving ? (
+          <div className="rounded-lg bg-blue-50 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+            <span>{t("booking.chooseNewTime", { type: moving.typeName, when: date(moving.start, "dateTime", timeZone) })}</span>
+            <button className="underline" onClick={() => { setMoving(null); setPicked(null); }}>{t("booking.keepTime")}</button>
+          </div>
+        ) : (
+          <div className="grid gap-2 sm:grid-cols-2">
+            {(types.data || []).map((ty) => (
+              <label key={ty.id} className={cls("rounded-lg border p-3 cursor-pointer", activeType === ty.id && "ring-2")} style={activeType === ty.id ? { borderColor: brand.accent } : undefined}>
+                <input type="radio" name="consultation-type" className="sr-only" checked={activeType === ty.id} onChange={() => { setTypeId(ty.id); setPicked(null); }} />
+                <div className="font-medium">{ty.name} <span className="text-neutral-500 font-normal">· {t("booking.minutes", { count: ty.durationMin })}</span></div>
+                {ty.description && <div className="text-sm text-neutral-600">{ty.description}</div>}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-2 text-sm">
+          <label className="flex items-center gap-2">{t("booking.timeZone")}
+            <select className="input" value={timeZone} onChange={(e) => setTimeZone(e.target.value)}>
+              {(TIME_ZONES.includes(timeZone) ? TIME_ZONES : [timeZone, ...TIME_ZONES]).map((z) => <option key={z} value={z}>{z.replace(/_/g, " ")}</option>)}
+            </select>
+          </label>
+          <div className="flex items-center gap-2">
+            <button className="btn-secondary" disabled={offset === 0} onClick={() => setOffset(offset - 1)}>{t("booking.earlier")}</button>
+            <button className="btn-secondary" disabled={lastWindow} onClick={() => setOffset(offset + 1)}>{t("booking.later")}</button>
+          </div>
+        </div>
+
+        {slots.error && <p className="mt-3 text-sm text-red-600" role="alert">{slots.error.message}</p>}
+        {slots.loading && <p className="mt-3 text-sm text-neutral-500">{t("booking.loading")}</p>}
+        {!slots.loading && !slots.error && !days.length && <p className="mt-3 text-sm text-neutral-600">{t(lastWindow ? "booking.noneLast" : "booking.none")}</p>}
+        <div className="mt-3 grid gap-3 max-h-96 overflow-y-auto">
+          {days.map(([day, list]) => (
+            <div key={day}>
+              <div className="text-sm font-medium">{date(list[0].start, "day", timeZone)}</div>
+              <div className="mt-1 flex flex-wrap gap-2">
+                {list.map((s) => (
+                  <button key={s.start} type="button" aria-pressed={picked?.start === s.start}
+                          className={cls("rounded-lg border px-3 py-1 text-sm", picked?.start === s.start && "text-white")}
+                          style={picked?.start === s.start ? { backgroundColor: brand.accent, borderColor: brand.accent } : undefined}
+                          onClick={() => setPicked(s)}>
+                    {date(s.start, "time", timeZone)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {picked && (
+          <div className="mt-4 border-t pt-4 grid gap-2">
+            <div className="text-sm">{date(picked.start, "long", timeZone)} – {date(picked.end, "time", timeZone)}</div>
+            {!moving && (
+              <label className="text-sm">{t("booking.notes")}
+                <textarea className="input mt-1 w-full" rows={2} value={notes} onChange={(e) => setNotes(e.target.value)} />
+              </label>
+            )}
+            <div><button className="btn-primary" disabled={busy} onClick={confirmSlot}>{busy ? t("common.wait") : t(!user ? "booking.signInToBook" : moving ? "booking.move" : "booking.book")}</button></div>
+          </div>
+        )}
+        {status.error && <p className="mt-3 text-sm text-red-600" role="alert">{status.error}</p>}
+        {status.done && <p className="mt-3 text-sm text-green-700" role="status">{status.done}</p>}
+      </div>
+
+      <Card title={t("booking.mine")}>
+        {!user ? (
+          <p className="text-sm">{t("booking.signInToManage")}</p>
+        ) : (
+          <MyAppointments appointments={appts.data || []} timeZone={timeZone}
+                          onMove={(a) => { setMoving(a); setPicked(null); setStatus({ error: "", done: "" }); }} onCancel={cancel} />
+        )}
+      </Card>
+    </div>
+  );
+}
+
+const BOOKING_PROVIDERS = { native: NativeBooking, calendly: CalendlyBooking };
+
+function downloadIcs(a) {
+  return store.appointmentIcs(a.id).then((blob) => saveBlob(blob, `appointment-${a.start.slice(0, 10)}.ics`)).catch((e) => alert(e.message));
+}
+
+// Native appointments are changed here (or from #book when no handlers are
+// given); Calendly ones through the links Calendly sent with the booking
+function MyAppointments({ appointments, timeZone = BROWSER_TZ, onMove, onCancel }) {
+  const { t, date } = useI18n();
+  if (!appointments.length) return <p className="text-sm text-neutral-500">{t("booking.noUpcoming")}</p>;
+  return (
+    <ul className="text-sm divide-y">
+      {appointments.map((a) => (
+        <li key={a.id} className="py-2">
+          <div className="font-medium">{a.typeName}</div>
+          <div>{date(a.start, "dateTime", timeZone)}{a.staffName && ` · ${t("booking.with", { name: a.staffName })}`}</div>
+          <div className="mt-1 flex flex-wrap gap-3">
+            <button className="underline" onClick={() => downloadIcs(a)}>{t("booking.addToCalendar")}</button>
+            {a.provider === "native" && onMove && <button className="underline" onClick={() => onMove(a)}>{t("booking.reschedule")}</button>}
+            {a.provider === "native" && onCancel && <button className="underline text-red-700" onClick={() => onCancel(a)}>{t("common.cancel")}</button>}
+            {a.provider === "native" && !onMove && <a href="#book" className="underline">{t("booking.change")}</a>}
+            {a.rescheduleUrl && <a href={a.rescheduleUrl} target="_blank" rel="noreferrer" className="underline">{t("booking.reschedule")}</a>}
+            {a.cancelUrl && <a href={a.cancelUrl} target="_blank" rel="noreferrer" className="underline text-red-700">{t("common.cancel")}</a>}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// --- Eligibility Assessment (schema-driven, multi-step with save-progress) ---
+// Questions, validation and conditional visibility come from lib/formSchema;
+// the questionnaire is picked per `interest.program`.
+
+// Progress is kept on this device (pw_assessment_draft) and, for signed-in
+// clients or anyone who asked for a resume link, autosaved as a server draft
+// (server/drafts.js). `version` is the server copy the local one is based on:
+// a save from a stale copy comes back 409 and the client picks a version.
+const DRAFT_KEY = "pw_assessment_draft";
+const AUTOSAVE_MS = 1500;
+const emptyDraft = (data = initialAssessment) => ({ data, step: "", id: null, token: null, version: 0, savedAt: null, changedAt: null, syncedChange: null });
+const unsaved = (d) => Boolean(d.changedAt) && d.changedAt !== d.syncedChange;
+
+// Earlier builds kept only the answers, under pw_assessment_progress
+function storedDraft() {
+  try {
+    const legacy = JSON.parse(localStorage.getItem("pw_assessment_progress") || "null");
+    localStorage.removeItem("pw_assessment_progress");
+    return legacy ? { ...emptyDraft(legacy), changedAt: new Date().toISOString() } : emptyDraft();
+  } catch {
+    return emptyDraft();
+  }
+}
+
+function useAssessmentDraft(user, resume) {
+  const [draft, setDraft] = useLocalStorage(DRAFT_KEY, storedDraft);
+  // idle | saving | saved | device | offline | error | conflict
+  const [status, setStatus] = useState(draft.savedAt ? "saved" : "idle");
+  const [error, setError] = useState("");
+  // The server copy when a save was refused, or found at sign-in next to unsaved local answers
+  const [conflict, setConflict] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const latest = useRef(draft);
+  latest.current = draft;
+  const inFlight = useRef(false);
+  const remote = Boolean(user || draft.token);
+
+  function adopt(d, token) {
+    setDraft((prev) => ({
+      ...emptyDraft(d.data), step: d.step, id: d.id, token: token ?? (prev.id === d.id ? prev.token : null), version: d.version, savedAt: d.updatedAt,
+    }));
+    setConflict(null);
+    setStatus("saved");
+  }
+
+  async function save() {
+    if (inFlight.current) return;
+    inFlight.current = true;
+    const d = latest.current;
+    setStatus("saving");
+    try {
+      const body = { data: d.data, step: d.step, version: d.version, token: d.token };
+      const out = d.id ? await store.saveDraft(d.id, body) : await store.createDraft(body);
+      setDraft((prev) => ({ ...prev, id: out.id, token: out.token || prev.token, version: out.version, savedAt: out.updatedAt, syncedChange: d.changedAt }));
+      setStatus("saved");
+    } catch (e) {
+      if (e.status === 409) {
+        setConflict(e.details.draft);
+        setStatus("conflict");
+      } else if (e.status === 404) {
+        // Submitted or deleted elsewhere: the local answers start a new draft
+        setDraft((prev) => ({ ...prev, id: null, token: null, version: 0, savedAt: null }));
+        setStatus("idle");
+      } else {
+        setError(e.message);
+        setStatus(e.status === 0 ? "offline" : "error");
+      }
+    } finally {
+      inFlight.current = false;
+    }
+  }
+
+  // Signing in: pick up the draft saved on another device
+  useEffect(() => {
+    setChecked(false);
+    if (!user) return;
+    let live = true;
+    store.currentDraft()
+      .then((d) => {
+        if (!live || !d) return;
+        const local = latest.current;
+        if (d.id === local.id && d.version === local.version) return;
+        if (unsaved(local)) { setConflict(d); setStatus("conflict"); } else adopt(d);
+      })
+      .catch(() => {})
+      .finally(() => live && setChecked(true));
+    return () => { live = false; };
+  }, [user?.id]);
+
+  // Resume link or "duplicate and amend": open that draft here
+  useEffect(() => {
+    if (!resume) return;
+    store.getDraft(resume.id, resume.token)
+      .then((d) => adopt(d, resume.token || null))
+      .catch((e) => { setError(e.message); setStatus("error"); });
+  }, [resume]);
+
+  useEffect(() => {
+    if (!unsaved(draft) || conflict) return;
+    if (!remote) { setStatus("device"); return; }
+    if (user && !checked) return;
+    const timer = setTimeout(save, AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [draft, remote, conflict, checked]);
+
+  useEffect(() => {
+    if (status !== "offline") return;
+    const retry = () => unsaved(latest.current) && save();
+    window.addEventListener("online", retry);
+    return () => window.removeEventListener("online", retry);
+  }, [status]);
+
+  const edit = (patch) => setDraft((prev) => ({ ...prev, ...patch(prev), changedAt: new Date().toISOString() }));
 
-  const steps = ["Contact", "Basics", "Language", "Work History", "Interest", "Review"];
+  return {
+    data: draft.data,
+    step: draft.step,
+    savedAt: draft.savedAt,
+    changedAt: draft.changedAt,
+    ref: draft.id ? { id: draft.id, token: draft.token } : null,
+    status,
+    error,
+    conflict,
+    setData: (fn) => edit((prev) => ({ data: fn(prev.data) })),
+    setStep: (step) => edit(() => ({ step })),
+    takeTheirs: () => adopt(conflict),
+    // Overwrite the other copy: rebase on its version and save again
+    keepMine() {
+      const theirs = conflict;
+      edit((prev) => ({ id: theirs.id, token: prev.id === theirs.id ? prev.token : null, version: theirs.version }));
+      setConflict(null);
+    },
+    /** Anonymous applicants: store the answers on the server and email the resume link to contact.email. */
+    async emailResumeLink() {
+      let d = latest.current;
+      if (!d.token) {
+        const out = await store.createDraft({ data: d.data, step: d.step });
+        d = { ...d, id: out.id, token: out.token, version: out.version, savedAt: out.updatedAt, syncedChange: d.changedAt };
+        setDraft(d);
+        setStatus("saved");
+      } else if (unsaved(d)) {
+        await save();
+      }
+      return store.sendResumeLink(d.id, d.token);
+    },
+    reset() {
+      setDraft(emptyDraft());
+      setConflict(null);
+      setStatus("idle");
+    },
+  };
+}
+
+function EligibilityForm({ user, resume, onSubmit }) {
+  const { t } = useI18n();
+  const draft = useAssessmentDraft(user, resume);
+  const data = useMemo(() => withDefaults(draft.data), [draft.data]);
+  const [errors, setErrors] = useState({});
+  const schema = questionnaireFor(data.interest.program);
+  const steps = visibleSteps(schema, data);
+  // The draft stores the step id, so it survives steps appearing or disappearing
+  const step = Math.max(0, steps.findIndex((s) => s.id === draft.step));
+  const current = steps[step];
+  const goTo = (i) => draft.setStep(steps[Math.min(Math.max(i, 0), steps.length - 1)].id);
+  const scored = schema.scoring === "crs";
+  const crs = useMemo(() => scoreAssessment(data), [data]);
+  const [consent, setConsent] = useState({ processing: false, updates: false });
+  const [consentError, setConsentError] = useState("");
+  // Outcome of the last submission, shown above the buttons: { ok, text }
+  const [result, setResult] = useState(null);
 
   function set(path, value) {
-    setData((prev) => {
-      const next = structuredClone(prev);
-      let t = next;
-      for (let i = 0; i < path.length - 1; i++) t = t[path[i]];
-      t[path[path.length - 1]] = value;
+    draft.setData((prev) => {
+      const next = structuredClone(withDefaults(prev));
+      let node = next;
+      for (let i = 0; i < path.length - 1; i++) node = node[path[i]];
+      node[path[path.length - 1]] = value;
       return next;
     });
   }
 
   function validate(idx = step) {
-    const e = {};
-    if (idx === 0) {
-      e.firstName = required(data.contact.firstName);
-      e.lastName = required(data.contact.lastName);
-      e.email = required(data.contact.email) || isEmail(data.contact.email);
-    }
-    if (idx === 1) {
-      e.age = required(data.basics.age);
-      e.education = required(data.basics.education);
-    }
-    if (idx === 2) {
-      const L = data.language; ["ieltsListening", "ieltsReading", "ieltsWriting", "ieltsSpeaking"].forEach(k => { if (!L[k]) e[k] = "Required"; });
-    }
-    if (idx === 3) {
-      const first = data.work[0];
-      ["title", "employer", "city", "country"].forEach(k => { if (!first[k]) e[k] = "Required"; });
-    }
+    const e = validateStep(steps[idx], data, t);
     setErrors(e);
-    return Object.values(e).every((x) => !x);
+    return Object.keys(e).length === 0;
   }
 
-  function next() { if (validate(step)) setStep((s) => Math.min(s + 1, steps.length - 1)); }
-  function prev() { setStep((s) => Math.max(s - 1, 0)); }
+  function next() { if (validate(step)) goTo(step + 1); }
+  function prev() { goTo(step - 1); }
+
+  // Scroll to the form when a resume link or an amended submission opens it
+  useEffect(() => {
+    if (resume) document.getElementById("eligibility")?.scrollIntoView({ behavior: "smooth" });
+  }, [resume]);
 
   async function handleSubmit() {
-    if (!validate(step)) return;
+    const invalid = steps.findIndex((s) => Object.keys(validateStep(s, data, t)).length > 0);
+    if (invalid !== -1) { goTo(invalid); validate(invalid); return; }
+    if (!consent.processing) { setConsentError(t("form.consentRequired")); return; }
+    setResult(null);
     // Assemble a flattened row for export/CRM
     const row = {
       timestamp: new Date().toISOString(),
-      ...data.contact,
-      age: data.basics.age,
-      education: data.basics.education,
-      marital: data.basics.marital,
-      ieltsListening: data.language.ieltsListening,
-      ieltsReading: data.language.ieltsReading,
-      ieltsWriting: data.language.ieltsWriting,
-      ieltsSpeaking: data.language.ieltsSpeaking,
-      overall: data.language.overall,
-      program: data.interest.program,
-      notes: data.interest.notes,
-      work_0_title: data.work[0]?.title || "",
-      work_0_employer: data.work[0]?.employer || "",
-      work_0_city: data.work[0]?.city || "",
-      work_0_country: data.work[0]?.country || "",
+      ...flattenAnswers(schema, data),
+      // The server computes the levels and the CRS columns again when it stores the submission
+      ...flattenLanguageLevels(data),
+      ...(scored ? {
+        crs_total: crs.total,
+        crs_core: crs.core,
+        crs_spouse: crs.spouse,
+        crs_transferability: crs.transferability,
+        crs_additional: crs.additional,
+        crs_version: crs.version,
+      } : {}),
     };
 
-    // Persist to a local “DB” for demo and also keep a CSV/XLSX download for Drive/Sheets retention
-    const existing = JSON.parse(localStorage.getItem("pw_assessments") || "[]");
-    existing.push(row); localStorage.setItem("pw_assessments", JSON.stringify(existing));
-
-    // Offer XLSX export (staff can upload to Drive)
-    const blob = await exportRowsToXLSX({ rows: existing, filename: "peddlewest_assessments.xlsx" });
-
-    // Optional: direct upload to Drive if user is signed in
+    // Persist to the portal API (queued on this device if the server is unreachable)
+    let saved;
     try {
-      const token = await gapiSignIn();
-      await uploadBlobToDrive({ accessToken: token, blob, filename: "peddlewest_assessments.xlsx", mimeType: blob.type });
-      alert("Saved and uploaded XLSX to your Google Drive.");
+      saved = await store.submitAssessment({ data, row, consent: consentRecord(consent), draft: draft.ref });
     } catch (e) {
-      console.info("Drive upload skipped or failed:", e);
-      alert("Saved locally and downloaded XLSX. (Connect Google Drive to auto-upload.)");
+      setResult({ ok: false, text: t("form.submitFailed", { error: e.message }) });
+      return;
     }
 
+    // Keep a copy for the client's records; staff sync submissions to the master Google Sheet from the Staff view
+    await exportRowsToXLSX({ rows: [row], filename: "peddlewest_assessment.xlsx" });
+    // The server emails the confirmation (server/notifications.js); a queued submission has not reached it yet
+    setResult({
+      ok: true,
+      text: saved?.queued ? t("form.savedOffline") : `${t("form.submitted")} ${t("form.confirmationEmailed", { email: data.contact.email })}`,
+    });
+
     onSubmit?.(row);
-    localStorage.removeItem("pw_assessment_progress");
-    setData(initialAssessment);
-    setStep(0);
+    draft.reset();
+    setConsent({ processing: false, updates: false });
   }
 
   return (
     <section id="eligibility" className="max-w-6xl mx-auto px-4 py-12">
-      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Eligibility Assessment</h2>
-      <p className="mt-2 text-neutral-700">A secure, multi‑step form with validation and save‑progress. Staff can export submissions to Excel/Google Drive.</p>
+      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>{t("form.title")}</h2>
+      <p className="mt-2 text-neutral-700">{t("form.intro")}</p>
+      <DraftStatus draft={draft} signedIn={Boolean(user)} />
+      {draft.conflict && <DraftConflict draft={draft} />}
 
-      <ol className="mt-4 flex flex-wrap gap-2" aria-label="Progress steps">
+      <ol className="mt-4 flex flex-wrap gap-2" aria-label={t("form.progress")}>
         {steps.map((s, i) => (
-          <li key={s} className={cls("text-sm px-3 py-1 rounded-full border", i === step ? "bg-blue-50 border-blue-300" : "border-neutral-300")}>{i + 1}. {s}</li>
+          <li key={s.id} className={cls("text-sm px-3 py-1 rounded-full border", s === current ? "bg-blue-50 border-blue-300" : "border-neutral-300")}>{i + 1}. {t(`form.step.${s.id}`, {}, s.title)}</li>
         ))}
+        {scored && data.basics.age && <li className="text-sm px-3 py-1 rounded-full bg-neutral-50 border border-neutral-300 ms-auto">{t("form.crsEstimate")} <strong>{crs.total}</strong></li>}
       </ol>
 
       <div className="mt-6 rounded-xl border shadow-sm p-4 grid gap-4">
-        {step === 0 && (
-          <div>
-            <Field label="First name" error={errors.firstName}>
-              <input className="input" value={data.contact.firstName} onChange={(e) => set(["contact", "firstName"], e.target.value)} />
-            </Field>
-            <Field label="Last name" error={errors.lastName}>
-              <input className="input" value={data.contact.lastName} onChange={(e) => set(["contact", "lastName"], e.target.value)} />
-            </Field>
-            <Field label="Email" error={errors.email}>
-              <input className="input" type="email" value={data.contact.email} onChange={(e) => set(["contact", "email"], e.target.value)} />
-            </Field>
-            <Field label="Phone (optional)">
-              <input className="input" value={data.contact.phone} onChange={(e) => set(["contact", "phone"], e.target.value)} />
-            </Field>
-          </div>
-        )}
-
-        {step === 1 && (
-          <div>
-            <Field label="Age" error={errors.age}>
-              <input className="input" type="number" min={18} value={data.basics.age} onChange={(e) => set(["basics", "age"], e.target.value)} />
-            </Field>
-            <Field label="Highest education" error={errors.education}>
-              <select className="input" value={data.basics.education} onChange={(e) => set(["basics", "education"], e.target.value)}>
-                <option value="">Select…</option>
-                <option>Secondary</option>
-                <option>Diploma</option>
-                <option>Bachelor</option>
-                <option>Master</option>
-                <option>PhD</option>
-              </select>
-            </Field>
-            <Field label="Marital status">
-              <select className="input" value={data.basics.marital} onChange={(e) => set(["basics", "marital"], e.target.value)}>
-                <option>Single</option>
-                <option>Married</option>
-                <option>Common‑law</option>
-              </select>
-            </Field>
-          </div>
-        )}
-
-        {step === 2 && (
-          <div className="grid md:grid-cols-2 gap-4">
-            {[["ieltsListening","Listening"],["ieltsReading","Reading"],["ieltsWriting","Writing"],["ieltsSpeaking","Speaking"],["overall","Overall (optional)"]].map(([k,label]) => (
-              <Field key={k} label={`IELTS ${label}`} error={errors[k]}> 
-                <input className="input" inputMode="decimal" value={data.language[k]} onChange={(e) => set(["language", k], e.target.value)} />
-              </Field>
-            ))}
-          </div>
-        )}
-
-        {step === 3 && (
-          <div className="grid md:grid-cols-2 gap-4">
-            <Field label="Job title" error={errors.title}><input className="input" value={data.work[0].title} onChange={(e) => set(["work", 0, "title"], e.target.value)} /></Field>
-            <Field label="Employer" error={errors.employer}><input className="input" value={data.work[0].employer} onChange={(e) => set(["work", 0, "employer"], e.target.value)} /></Field>
-            <Field label="City" error={errors.city}><input className="input" value={data.work[0].city} onChange={(e) => set(["work", 0, "city"], e.target.value)} /></Field>
-            <Field label="Country" error={errors.country}><input className="input" value={data.work[0].country} onChange={(e) => set(["work", 0, "country"], e.target.value)} /></Field>
-            <Field label="State/Province (optional)"><input className="input" value={data.work[0].state} onChange={(e) => set(["work", 0, "state"], e.target.value)} /></Field>
-            <div className="flex items-center gap-2 mt-2">
-              <input id="currentRole" type="checkbox" className="h-4 w-4" checked={data.work[0].current} onChange={(e) => set(["work", 0, "current"], e.target.checked)} />
-              <label htmlFor="currentRole" className="text-sm">This is my current job</label>
-            </div>
-          </div>
-        )}
-
-        {step === 4 && (
-          <div className="grid md:grid-cols-2 gap-4">
-            <Field label="Program of interest">
-              <select className="input" value={data.interest.program} onChange={(e) => set(["interest", "program"], e.target.value)}>
-                <option>Express Entry</option>
-                <option>Study Permit</option>
-                <option>Work Permit</option>
-                <option>PNP</option>
-                <option>Family Sponsorship</option>
-              </select>
-            </Field>
-            <Field label="Notes (optional)"><textarea className="input min-h-[96px]" value={data.interest.notes} onChange={(e) => set(["interest", "notes"], e.target.value)} /></Field>
-          </div>
-        )}
-
-        {step === 5 && (
+        {current.review ? (
           <div className="text-sm text-neutral-700">
-            <p><strong>Review:</strong> Please confirm your details, then submit.</p>
-            <pre className="mt-3 p-3 rounded bg-neutral-50 overflow-auto border text-xs">
-{JSON.stringify(data, null, 2)}
-            </pre>
+            <p><strong>{t("form.review")}</strong> {t("form.reviewHint")}</p>
+            {scored && <CrsBreakdown score={crs} />}
+            <AnswerSummary schema={schema} data={data} onEdit={draft.setStep} />
+            <button type="button" className="btn-secondary mt-3" onClick={() => downloadSummaryPdf(data).catch((e) => alert(e.message))}>{t("form.summaryPdf")}</button>
+            <ConsentNotice value={consent} error={consentError} onChange={(v) => { setConsent(v); setConsentError(""); }} />
           </div>
+        ) : (
+          <QuestionnaireStep step={current} data={data} errors={errors} set={set} />
         )}
 
+        {result && <p className={cls("text-sm", result.ok ? "text-green-700" : "text-red-700")} role={result.ok ? "status" : "alert"}>{result.text}</p>}
         <div className="flex justify-between pt-2">
           <button className="btn-secondary" onClick={prev} disabled={step === 0}>
-            Back
+            {t("common.back")}
           </button>
-          {step < steps.length - 1 ? (
-            <button className="btn-primary" onClick={next}>Next</button>
+          {!current.review ? (
+            <button className="btn-primary" onClick={next}>{t("common.next")}</button>
           ) : (
-            <button className="btn-primary" onClick={handleSubmit}>Submit Assessment</button>
+            <button className="btn-primary" onClick={handleSubmit}>{t("form.submit")}</button>
           )}
         </div>
       </div>
@@ -458,6 +884,221 @@ function EligibilityForm({ onSubmit }) {
   );
 }
 
+// Readable answers on the Review step (answerSections in lib/formSchema.js), each with a way back to its step
+function AnswerSummary({ schema, data, onEdit }) {
+  const { t } = useI18n();
+  return (
+    <div className="mt-3 grid gap-3">
+      {answerSections(schema, data, t).map((s) => (
+        <section key={s.id} className="rounded-lg border p-3">
+          <div className="flex items-baseline justify-between">
+            <h3 className="font-semibold" style={{ color: brand.primary }}>{s.title}</h3>
+            <button type="button" className="underline text-xs" onClick={() => onEdit(s.id)}>{t("form.editStep")}</button>
+          </div>
+          <dl className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1">
+            {s.rows.map((r, i) => (r.heading ? (
+              <div key={i} className="col-span-2 mt-2 font-medium text-neutral-800">{r.heading}</div>
+            ) : (
+              <React.Fragment key={i}>
+                <dt className="text-neutral-500">{r.label}</dt>
+                <dd className="break-words">{r.value}</dd>
+              </React.Fragment>
+            )))}
+          </dl>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+// "Saved at …" under the form title; anonymous applicants can email themselves a resume link
+function DraftStatus({ draft, signedIn }) {
+  const { t, date } = useI18n();
+  const [link, setLink] = useState(null); // { ok, text }
+  const [sending, setSending] = useState(false);
+  const text = {
+    saving: t("draft.saving"),
+    saved: draft.savedAt && t("draft.savedAt", { time: date(draft.savedAt, "time") }),
+    device: draft.changedAt && t("draft.device", { time: date(draft.changedAt, "time") }),
+    offline: t("draft.offline"),
+    error: t("draft.error", { error: draft.error }),
+  }[draft.status];
+
+  async function emailLink() {
+    setSending(true);
+    setLink(null);
+    try {
+      const { sentTo } = await draft.emailResumeLink();
+      setLink({ ok: true, text: t("draft.linkSent", { email: sentTo }) });
+    } catch (e) {
+      setLink({ ok: false, text: e.message });
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+      {text && <span className={draft.status === "error" ? "text-red-700" : "text-neutral-500"} role="status">{text}</span>}
+      {!signedIn && (
+        <button className="underline" onClick={emailLink} disabled={sending}>{t("draft.emailLink")}</button>
+      )}
+      {link && <span className={link.ok ? "text-green-700" : "text-red-700"} role={link.ok ? "status" : "alert"}>{link.text}</span>}
+    </div>
+  );
+}
+
+// Another tab or device saved the draft since this copy was loaded
+function DraftConflict({ draft }) {
+  const { t, date } = useI18n();
+  return (
+    <div className="mt-3 rounded-lg border border-amber-300 bg-amber-50 p-3 text-sm" role="alert">
+      <p>{t("draft.conflict", { time: date(draft.conflict.updatedAt) })}</p>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button className="btn-secondary" onClick={draft.takeTheirs}>{t("draft.takeTheirs")}</button>
+        <button className="btn-secondary" onClick={draft.keepMine}>{t("draft.keepMine")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Versioned privacy notice (lib/consent.js); the version is stored with the submission
+function ConsentNotice({ value, error, onChange }) {
+  const { t } = useI18n();
+  const notice = CONSENT_VERSIONS[CURRENT_CONSENT_VERSION];
+  return (
+    <fieldset className="mt-4 rounded-lg border p-3">
+      <legend className="px-1 font-semibold">{t("consent.title")} <span className="font-normal text-neutral-500">{t("consent.version", { version: CURRENT_CONSENT_VERSION })}</span></legend>
+      <ul className="list-disc list-inside space-y-1">
+        {notice.summary.map((line, i) => <li key={line}>{t(`consent.${CURRENT_CONSENT_VERSION}.summary.${i}`, {}, line)}</li>)}
+      </ul>
+      <div className="mt-3 grid gap-2">
+        {Object.entries(CONSENT_PURPOSES).map(([key, p]) => (
+          <label key={key} className="flex gap-2 items-start">
+            <input type="checkbox" className="mt-1" checked={value[key]} onChange={(e) => onChange({ ...value, [key]: e.target.checked })} />
+            <span>{t(`consent.purpose.${key}`, {}, p.label)} {t(p.required ? "consent.required" : "consent.optional")}</span>
+          </label>
+        ))}
+      </div>
+      {error && <p className="mt-2 text-red-600" role="alert">{error}</p>}
+    </fieldset>
+  );
+}
+
+// --- Questionnaire renderer (fields + repeatable groups from a schema step) ---
+function QuestionnaireStep({ step, data, errors, set }) {
+  return (
+    <div className="grid md:grid-cols-2 gap-x-4">
+      {step.fields.filter((f) => !f.visibleIf || f.visibleIf(data, data)).map((f) => (
+        f.type === "repeat" ? (
+          <RepeatGroup key={pathKey(f.path)} group={f} data={data} errors={errors} set={set} />
+        ) : (
+          <SchemaField key={pathKey(f.path)} field={f} value={getIn(data, f.path)} error={errors[pathKey(f.path)]} onChange={(v) => set(f.path, v)} />
+        )
+      ))}
+    </div>
+  );
+}
+
+function SchemaField({ field, value, error, onChange, i18nKey = fieldKey(field) }) {
+  const { t } = useI18n();
+  const type = field.type || "text";
+  const label = t(`form.field.${i18nKey}`, {}, field.label);
+  if (type === "checkbox") {
+    return (
+      <div className="mt-3 md:col-span-2">
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" className="h-4 w-4" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked)} />
+          {label}
+        </label>
+        {error && <p className="mt-1 text-xs text-red-600" role="alert">{error}</p>}
+      </div>
+    );
+  }
+  const common = { className: "input", value: value ?? "", placeholder: field.placeholder, onChange: (e) => onChange(e.target.value) };
+  let control;
+  if (type === "select") {
+    const options = field.options.map((o) => (typeof o === "string" ? { value: o, label: o } : o));
+    control = (
+      <select {...common}>
+        {(field.required || value === "") && <option value="">{t("form.select")}</option>}
+        {options.map((o) => <option key={o.value} value={o.value}>{t(`form.option.${o.value}`, {}, o.label)}</option>)}
+      </select>
+    );
+  } else if (type === "textarea") {
+    control = <textarea {...common} className="input min-h-[96px]" />;
+  } else if (type === "decimal") {
+    control = <input {...common} inputMode="decimal" />;
+  } else {
+    control = <input {...common} type={type} min={field.min} max={field.max} />;
+  }
+  return <Field label={label} error={error}>{control}</Field>;
+}
+
+// Repeatable groups (e.g. work history): add / remove / reorder entries
+function RepeatGroup({ group, data, errors, set }) {
+  const { t } = useI18n();
+  const list = getIn(data, group.path) || [];
+  const change = (next) => set(group.path, next);
+  const key = pathKey(group.path);
+  return (
+    <div className="md:col-span-2">
+      {group.intro && <p className="text-sm text-neutral-600">{t(`form.${key}.intro`, {}, group.intro)}</p>}
+      <ol className="mt-3 grid gap-4">
+        {list.map((item, i) => (
+          <li key={item.id ?? i} className="rounded-lg border p-3">
+            <div className="flex items-center justify-between">
+              <div className="font-medium text-neutral-800">{group.itemLabel ? group.itemLabel(item, i, t) : `#${i + 1}`}</div>
+              <div className="flex gap-2 text-sm">
+                <button type="button" className="underline disabled:opacity-40" disabled={i === 0} onClick={() => change(moveEntry(list, i, i - 1))} aria-label={t("form.repeat.moveUp", { n: i + 1 })}>{t("form.repeat.up")}</button>
+                <button type="button" className="underline disabled:opacity-40" disabled={i === list.length - 1} onClick={() => change(moveEntry(list, i, i + 1))} aria-label={t("form.repeat.moveDown", { n: i + 1 })}>{t("form.repeat.down")}</button>
+                <button type="button" className="underline text-red-700 disabled:opacity-40" disabled={list.length <= (group.minItems ?? 1)} onClick={() => change(list.filter((_, j) => j !== i))}>{t("form.repeat.remove")}</button>
+              </div>
+            </div>
+            <div className="grid md:grid-cols-2 gap-x-4">
+              {group.fields.filter((sub) => !sub.visibleIf || sub.visibleIf(item, data)).map((sub) => {
+                const path = [...group.path, i, ...sub.path];
+                return <SchemaField key={pathKey(sub.path)} field={sub} i18nKey={fieldKey(sub, [...group.path, ...sub.path])} value={getIn(item, sub.path)} error={errors[pathKey(path)]} onChange={(v) => set(path, v)} />;
+              })}
+            </div>
+          </li>
+        ))}
+      </ol>
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-3">
+        <button type="button" className="btn-secondary" onClick={() => change([...list, group.newItem()])}>{t(`form.${key}.add`, {}, group.addLabel || t("form.repeat.add"))}</button>
+        {group.summary && <div className="text-sm text-neutral-700">{group.summary(list, t)}</div>}
+      </div>
+    </div>
+  );
+}
+
+// Live CRS estimate (Express Entry) with a per-factor breakdown
+function CrsBreakdown({ score }) {
+  const { t } = useI18n();
+  const groups = ["core", "spouse", "transferability", "additional"];
+  return (
+    <div className="mt-3 rounded-lg border p-3 bg-white">
+      <div className="flex items-baseline justify-between">
+        <div className="font-semibold" style={{ color: brand.primary }}>{t("crs.title")}</div>
+        <div className="text-2xl font-bold" style={{ color: brand.primary }}>{score.total}</div>
+      </div>
+      <dl className="mt-2 grid gap-2">
+        {groups.map((key) => (
+          <div key={key}>
+            <div className="flex justify-between font-medium text-neutral-800"><dt>{t(`crs.${key}`)}</dt><dd>{score[key]}</dd></div>
+            <ul className="ms-3 text-xs text-neutral-600">
+              {score.details.filter((d) => d.group === key).map((d) => (
+                <li key={d.label} className="flex justify-between"><span>{d.label}</span><span>{d.points}</span></li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </dl>
+      <p className="mt-2 text-xs text-neutral-500">{t("crs.note", { version: score.version })}</p>
+    </div>
+  );
+}
+
 function Field({ label, error, children }) {
   const id = useMemo(() => Math.random().toString(36).slice(2), []);
   return (
@@ -469,134 +1110,2304 @@ function Field({ label, error, children }) {
   );
 }
 
-// --- Uploads (client side with confirmation) ---
-function Uploads() {
-  const [uploads, setUploads] = useLocalStorage("pw_uploads", []);
+// --- Uploads (encrypted before storage; see server/vault.js) ---
+function Uploads({ user }) {
+  const { t } = useI18n();
+  const caseQ = useRemote(() => (user ? store.currentCase() : null), [user?.id]);
+  const caseId = caseQ.data?.id;
+  const list = useRemote(() => (caseId ? store.listUploads(caseId) : []), [caseId]);
+  const limitsQ = useRemote(() => (user ? secureFiles.limits() : DEFAULT_UPLOAD_LIMITS), [user?.id]);
+  const limits = { ...DEFAULT_UPLOAD_LIMITS, ...limitsQ.data };
+  const checklist = useRemote(() => (caseId ? store.listChecklist(caseId) : []), [caseId]);
+  const household = useRemote(() => (caseId ? store.household(caseId) : []), [caseId]);
   const inputRef = useRef(null);
+  const targetItem = useRef(null); // checklist item the next file pick is for
   const [pending, setPending] = useState(false);
+  const [rejected, setRejected] = useState([]);
+
+  function pickFiles(itemId = null) {
+    targetItem.current = itemId;
+    inputRef.current?.click();
+  }
 
   async function handleFiles(files) {
-    const items = Array.from(files).slice(0, 16);
+    if (!caseId) return;
+    const itemId = targetItem.current;
+    const checklistKey = (checklist.data || []).find((i) => i.id === itemId)?.key;
+    const { accepted, rejected: tooMany } = applyUploadLimits(files, (list.data || []).length, limits);
+    const failed = tooMany.map(({ file, reason }) => ({ file, reasons: [reason] }));
     setPending(true);
-    // Simulate secure storage by keeping only metadata and an object URL for preview
-    const metas = await Promise.all(items.map(async (f) => ({
-      id: crypto.randomUUID(),
-      name: f.name, size: f.size, type: f.type, at: new Date().toISOString(),
-      url: URL.createObjectURL(f),
-    })));
-    setUploads((prev) => [...metas, ...prev].slice(0, 200));
+    const batchId = crypto.randomUUID();
+    for (const f of accepted) {
+      const check = await validateUpload(f, { limits, checklistKey });
+      if (!check.ok) {
+        failed.push({ file: f, reasons: check.reasons });
+        continue;
+      }
+      try {
+        await secureFiles.upload(caseId, f, { batchId, checklistItemId: itemId, type: check.mime });
+      } catch (e) {
+        failed.push({ file: f, reasons: [e.message] });
+      }
+    }
+    setRejected(failed.map(({ file, reasons }) => ({ name: file.name, reasons, itemId })));
     setPending(false);
+    if (inputRef.current) inputRef.current.value = "";
+    list.reload();
+    checklist.reload();
   }
 
+  const uploads = list.data || [];
+  const items = checklist.data || [];
+  const other = uploads.filter((u) => !items.some((i) => i.id === u.checklistItemId));
+  // One list per person once the case holds a family; a single applicant gets the plain list
+  const members = household.data || [];
+  const groups = members.length > 1 ? groupByMember(members, items) : [{ id: "principal", items }];
   return (
     <section id="uploads" className="max-w-6xl mx-auto px-4 py-12">
-      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Secure Document Uploads</h2>
-      <p className="mt-2 text-neutral-700">Upload passports, education credentials, IELTS/TEF, and more. Accepted: PDF, JPEG, PNG. You’ll receive an on‑screen confirmation for each file.</p>
+      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>{t("uploads.title")}</h2>
+      <p className="mt-2 text-neutral-700">{t("uploads.intro")}</p>
       <div className="mt-4 rounded-xl border shadow-sm p-4">
-        <input ref={inputRef} type="file" accept=".pdf,.png,.jpg,.jpeg" multiple className="hidden" onChange={(e) => handleFiles(e.target.files)} />
-        <button className="btn-primary" onClick={() => inputRef.current?.click()} disabled={pending}>{pending ? "Uploading…" : "Choose files"}</button>
+        {!user ? (
+          <p className="text-sm text-neutral-700">{t("uploads.signIn")}</p>
+        ) : (
+          <>
+            <input ref={inputRef} type="file" accept=".pdf,.png,.jpg,.jpeg" multiple className="hidden" onChange={(e) => handleFiles(e.target.files)} />
+            <p className="text-xs text-neutral-500">
+              {t("uploads.limits", {
+                batch: limits.maxFilesPerBatch, perCase: limits.maxFilesPerCase, pages: limits.maxPdfPages,
+                pdfMb: Math.round(limits.maxBytesByType.pdf / 1048576), imageMb: Math.round(limits.maxBytesByType.jpeg / 1048576),
+              })}
+            </p>
+            {(caseQ.error || list.error) && <p className="mt-2 text-sm text-red-600" role="alert">{(caseQ.error || list.error).message}</p>}
+            {list.data?.stale && <p className="mt-2 text-xs text-neutral-500">{t("uploads.stale")}</p>}
+
+            <h3 className="mt-4 font-semibold" style={{ color: brand.primary }}>{t("uploads.checklist")}</h3>
+            {groups.map((g) => (
+              <div key={g.id}>
+                {g.role && <h4 className="mt-4 text-sm font-semibold text-neutral-800">{memberLabel(g, t)}</h4>}
+                <ul className="mt-2 grid gap-3">
+                  {g.items.map((item) => {
+                    const text = checklistText(t, item);
+                    return (
+                      <li key={item.id} className="rounded-lg border p-3">
+                        <div className="flex flex-wrap items-start justify-between gap-2">
+                          <div>
+                            <div className="font-medium">{text.label} <ChecklistStatus status={item.status} /></div>
+                            {text.description && <div className="text-sm text-neutral-600">{text.description}</div>}
+                            {item.status === "rejected" && item.reason && <div className="mt-1 text-sm text-red-700">{t("uploads.needsAttention", { reason: item.reason })}</div>}
+                          </div>
+                          {item.status !== "accepted" && (
+                            <button className="btn-secondary" onClick={() => pickFiles(item.id)} disabled={pending || !caseId}>
+                              {t(item.status === "missing" ? "uploads.upload" : "uploads.uploadAgain")}
+                            </button>
+                          )}
+                        </div>
+                        <RejectedFiles files={rejected.filter((r) => r.itemId === item.id)} />
+                        <div className="mt-2 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                          {uploads.filter((u) => u.checklistItemId === item.id).map((u) => <UploadCard key={u.id} upload={u} />)}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+
+            <h3 className="mt-6 font-semibold" style={{ color: brand.primary }}>{t("uploads.other")}</h3>
+            <button className="mt-2 btn-primary" onClick={() => pickFiles(null)} disabled={pending || !caseId}>{t(pending ? "uploads.checking" : "uploads.choose")}</button>
+            <RejectedFiles files={rejected.filter((r) => !r.itemId)} />
+          </>
+        )}
         <div className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
-          {uploads.map((u) => (
-            <div key={u.id} className="rounded-lg border p-3 text-sm">
-              <div className="font-medium truncate" title={u.name}>{u.name}</div>
-              <div className="text-neutral-600">{(u.size/1024).toFixed(1)} KB · {u.type || "file"}</div>
-              <div className="text-neutral-500 text-xs mt-1">Uploaded {new Date(u.at).toLocaleString()}</div>
-              {u.type?.startsWith("image/") && (
-                <img src={u.url} alt="Preview" className="mt-2 w-full h-32 object-cover rounded" />
-              )}
-              <a href={u.url} download className="mt-2 inline-block underline text-sm">Download</a>
-            </div>
-          ))}
+          {other.map((u) => <UploadCard key={u.id} upload={u} />)}
         </div>
       </div>
     </section>
   );
 }
 
-// --- Client Dashboard ---
-function ClientDashboard({ user }) {
-  const [status, setStatus] = useLocalStorage("pw_client_status", "Documents Needed");
+// Files that failed the limits or lib/uploadChecks.js, with every reason
+function RejectedFiles({ files }) {
+  const { t } = useI18n();
+  if (!files.length) return null;
   return (
-    <section id="dashboard" className="max-w-6xl mx-auto px-4 py-12">
-      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Client Dashboard</h2>
-      <p className="mt-2 text-neutral-700">Welcome{user?.name ? `, ${user.name}` : ""}. Track your application and access next steps below.</p>
-
-      <div className="mt-6 grid md:grid-cols-3 gap-4">
-        <Card title="Current Status">
-          <div className="text-lg font-semibold">{status}</div>
-          <p className="text-sm text-neutral-600 mt-1">Status updates appear here (e.g., Assessment Complete → Documents Needed → Application Submitted).</p>
-          <div className="mt-3 flex gap-2">
-            <button className="btn-secondary" onClick={() => setStatus("Assessment Complete")}>Mark Assessment Complete</button>
-            <button className="btn-secondary" onClick={() => setStatus("Application Submitted")}>Mark Submitted</button>
-          </div>
-        </Card>
-        <Card title="Quick Actions">
-          <ul className="text-sm list-disc list-inside text-neutral-700 space-y-1">
-            <li><a href="#uploads" className="underline">Upload documents</a></li>
-            <li><a href="#eligibility" className="underline">Finish eligibility form</a></li>
-            <li><a href="#book" className="underline">Book/Change appointment</a></li>
+    <ul className="mt-2 grid gap-2" role="alert">
+      {files.map((r, i) => (
+        <li key={i} className="rounded-lg border border-red-200 bg-red-50 p-2 text-sm text-red-800">
+          <div className="font-medium">{t("uploads.notUploaded", { name: r.name })}</div>
+          <ul className="list-disc list-inside">
+            {r.reasons.map((reason) => <li key={reason}>{reason}</li>)}
           </ul>
-        </Card>
-        <Card title="Messages">
-          <p className="text-sm text-neutral-700">No new messages.</p>
-        </Card>
-      </div>
-    </section>
+        </li>
+      ))}
+    </ul>
   );
 }
 
-function StaffPanel() {
-  const [assessments, setAssessments] = useState(() => JSON.parse(localStorage.getItem("pw_assessments") || "[]"));
-  async function exportAll() {
-    const blob = await exportRowsToXLSX({ rows: assessments, filename: "peddlewest_assessments.xlsx" });
-    try {
-      const token = await gapiSignIn();
-      await uploadBlobToDrive({ accessToken: token, blob, filename: "peddlewest_assessments.xlsx", mimeType: blob.type });
-      alert("Exported + uploaded to Drive.");
-    } catch (e) {
-      console.info("Drive upload skipped or failed:", e);
-    }
+const CHECKLIST_STATUS_STYLE = {
+  missing: ["Missing", "bg-neutral-100 text-neutral-700"],
+  uploaded: ["Uploaded", "bg-blue-50 text-blue-800"],
+  accepted: ["Accepted", "bg-green-50 text-green-800"],
+  rejected: ["Rejected", "bg-red-50 text-red-800"],
+};
+
+// Generated items are translated by rule key; per-entry ones ("reference_0",
+// "dependant_passport_<child id>") keep the entry name after the dash. Custom items are shown as staff wrote them.
+function checklistText(t, item) {
+  if (item.source === "custom" || !item.key) return item;
+  const base = ruleKey(item.key);
+  const [head, ...entry] = item.label.split(" – ");
+  return {
+    label: [t(`checklist.${base}`, {}, head), ...entry].join(" – "),
+    description: item.description && t(`checklist.${base}.description`, {}, item.description),
+  };
+}
+
+// "Name · Spouse / partner"; staff views pass no `t` and stay in English
+function memberLabel(m, t = (key, vars, fallback) => fallback) {
+  const role = t(`household.role.${m.role}`, {}, HOUSEHOLD_ROLES[m.role]);
+  return m.name ? `${m.name} · ${role}` : role;
+}
+
+function ChecklistStatus({ status }) {
+  const { t } = useI18n();
+  const [label, style] = CHECKLIST_STATUS_STYLE[status] || [status, "bg-neutral-100"];
+  return <span className={cls("ms-1 align-middle text-xs rounded-full px-2 py-0.5", style)}>{t(`checklist.status.${status}`, {}, label)}</span>;
+}
+
+// Staff review of one case's checklist: accept / reject with reason, custom items
+function ChecklistReview({ caseId }) {
+  const checklist = useRemote(() => store.listChecklist(caseId), [caseId]);
+  const uploads = useRemote(() => store.listUploads(caseId), [caseId]);
+  const household = useRemote(() => store.household(caseId), [caseId]);
+  const [label, setLabel] = useState("");
+  const [description, setDescription] = useState("");
+  const [person, setPerson] = useState("principal");
+  const members = household.data || [];
+  const items = checklist.data || [];
+  const groups = members.length > 1 ? groupByMember(members, items) : [{ id: "principal", items }];
+
+  async function run(fn) {
+    try { await fn(); } catch (e) { alert(e.message); }
+    checklist.reload();
+  }
+  const reject = (item) => {
+    const reason = prompt(`Why is "${item.label}" rejected?`, item.reason || "");
+    if (reason) run(() => store.reviewChecklistItem(item.id, { status: "rejected", reason }));
+  };
+  async function addItem(e) {
+    e.preventDefault();
+    if (!label.trim()) return;
+    await run(() => store.addChecklistItem(caseId, { label, description, person }));
+    setLabel(""); setDescription("");
+  }
+
+  return (
+    <div className="mt-3">
+      {checklist.error && <p className="text-sm text-red-600" role="alert">{checklist.error.message}</p>}
+      {groups.map((g) => {
+        const counts = summarizeChecklist(g.items);
+        return (
+          <div key={g.id} className="mt-3 first:mt-0">
+            {g.role && <h4 className="mb-1 text-sm font-semibold text-neutral-800">{memberLabel(g)} <span className="font-normal text-neutral-500">· {counts.accepted} of {counts.total} accepted, {counts.outstanding} outstanding</span></h4>}
+            <ul className="grid gap-2">
+              {g.items.map((item) => (
+                <li key={item.id} className="rounded-lg border p-3 text-sm">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <span className="font-medium">{item.label}</span> <ChecklistStatus status={item.status} />
+                      {item.source === "custom" && <span className="ml-1 text-xs text-neutral-500">(custom)</span>}
+                      {item.status === "rejected" && <div className="text-red-700">Reason: {item.reason}</div>}
+                    </div>
+                    <div className="flex gap-2">
+                      <button className="underline" disabled={item.status === "accepted"} onClick={() => run(() => store.reviewChecklistItem(item.id, { status: "accepted" }))}>Accept</button>
+                      <button className="underline text-red-700" onClick={() => reject(item)}>Reject</button>
+                      {item.source === "custom" && <button className="underline" onClick={() => run(() => store.removeChecklistItem(item.id))}>Remove</button>}
+                    </div>
+                  </div>
+                  <div className="mt-2 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                    {(uploads.data || []).filter((u) => u.checklistItemId === item.id).map((u) => <UploadCard key={u.id} upload={u} />)}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+      <form className="mt-3 flex flex-wrap gap-2 items-end" onSubmit={addItem}>
+        <label className="text-sm">Custom item<input className="input block mt-1" value={label} onChange={(e) => setLabel(e.target.value)} placeholder="e.g. Birth certificate" /></label>
+        <label className="text-sm">Note for client<input className="input block mt-1" value={description} onChange={(e) => setDescription(e.target.value)} /></label>
+        {members.length > 1 && (
+          <label className="text-sm">For
+            <select className="input block mt-1" value={person} onChange={(e) => setPerson(e.target.value)}>
+              {members.map((m) => <option key={m.id} value={m.id}>{memberLabel(m)}</option>)}
+            </select>
+          </label>
+        )}
+        <button className="btn-secondary" type="submit">Add item</button>
+      </form>
+    </div>
+  );
+}
+
+// Signed retainer agreements (server/retainers.js), newest first
+function CaseRetainers({ caseId }) {
+  const { date } = useI18n();
+  const list = useRemote(() => store.listRetainers(caseId), [caseId]);
+  const retainers = list.data || [];
+  return (
+    <div className="mt-4 rounded-lg border p-3 text-sm">
+      <div className="font-semibold">Retainer agreement</div>
+      {list.error && <p className="text-red-600" role="alert">{list.error.message}</p>}
+      {!retainers.length ? (
+        <p className="mt-1 text-neutral-500">{list.loading ? "…" : "Not signed yet."}</p>
+      ) : (
+        <ul className="mt-1 grid gap-1">
+          {retainers.map((r) => (
+            <li key={r.id} className="flex flex-wrap items-center justify-between gap-2">
+              <span>
+                Signed by {r.signerName} on {date(r.signedAt)} · version {r.version}{r.version !== RETAINER_VERSION && " (outdated)"}
+                <span className="text-neutral-500"> · {r.fees.program}, {formatMoney(r.fees.professionalTotal)} professional fees</span>
+              </span>
+              {r.uploadId ? <button className="underline" onClick={() => downloadRetainer(r)}>Download PDF</button> : <span className="text-neutral-500">PDF deleted</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function UploadCard({ upload: u }) {
+  const { t, date, bytes } = useI18n();
+  const [busy, setBusy] = useState(false);
+  async function download() {
+    setBusy(true);
+    try {
+      saveBlob(await secureFiles.download(u.id), u.name);
+    } catch (e) {
+      alert(t("uploads.openFailed", { name: u.name, error: e.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+  return (
+    <div className="rounded-lg border p-3 text-sm">
+      <div className="font-medium truncate" title={u.name}>{u.name}</div>
+      <div className="text-neutral-600">{bytes(u.size)} · {u.type || t("uploads.file")}</div>
+      <div className="text-neutral-500 text-xs mt-1">{t("uploads.uploadedAt", { when: date(u.at) })}</div>
+      {u.driveFileId && (
+        <a className="mt-1 inline-block text-xs underline text-neutral-600" href={`https://drive.google.com/file/d/${u.driveFileId}/view`} target="_blank" rel="noreferrer">{t("uploads.inDrive")}</a>
+      )}
+      {u.stored ? (
+        <button className="mt-2 block underline text-sm" onClick={download} disabled={busy}>{t(busy ? "uploads.decrypting" : "uploads.download")}</button>
+      ) : (
+        <div className="mt-2 text-xs text-neutral-500">{t("uploads.notStored")}</div>
+      )}
+    </div>
+  );
+}
+
+// Staff: copy a case's documents into its own Google Drive folder (under the configured target folder)
+function DriveCopy({ c, uploads, onChange }) {
+  const [target] = useGoogleTarget();
+  const [progress, setProgress] = useState({}); // upload id → { state, sent, total, error }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const pending = uploads.filter((u) => u.stored && !u.driveFileId);
+  const track = (id, patch) => setProgress((p) => ({ ...p, [id]: { ...p[id], ...patch } }));
+
+  async function copyAll() {
+    setBusy(true);
+    setError("");
+    let token;
+    const getToken = async () => (token = token || await gapiSignIn());
+    const uploader = createDriveUploader({ getToken, sessions: localStorageSessions() });
+    try {
+      let folderId = c.driveFolderId;
+      if (!folderId) {
+        folderId = await uploader.ensureFolder({ name: `${c.name || c.email} – ${c.id.slice(0, 8)}`, parentId: target.folderId });
+        await store.setCaseDriveFolder(c.id, folderId);
+      }
+      for (const u of pending) {
+        track(u.id, { state: "decrypting", error: "" });
+        try {
+          const blob = await secureFiles.download(u.id);
+          const file = await uploader.upload({
+            blob, name: u.name, mimeType: u.type, folderId, key: u.id,
+            onProgress: (sent, total) => track(u.id, { state: "uploading", sent, total }),
+          });
+          await store.setUploadDriveFile(u.id, file.id);
+          track(u.id, { state: "done" });
+        } catch (e) {
+          track(u.id, { state: "failed", error: e.message });
+        }
+      }
+    } catch (e) {
+      setError(e.message || "Google sign-in failed");
+    } finally {
+      setBusy(false);
+      onChange();
+    }
+  }
+
+  const rows = uploads.filter((u) => progress[u.id] || pending.includes(u));
+  return (
+    <div className="mt-4 rounded-lg border p-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-semibold">Google Drive</div>
+        {c.driveFolderId && <a className="underline" href={`https://drive.google.com/drive/folders/${c.driveFolderId}`} target="_blank" rel="noreferrer">Open case folder</a>}
+      </div>
+      <p className="text-neutral-600">
+        {pending.length ? `${pending.length} document(s) not yet in Drive.` : "Every stored document is in Drive."} Interrupted uploads resume where they stopped.
+      </p>
+      <ul className="mt-2 grid gap-1">
+        {rows.map((u) => {
+          const p = progress[u.id] || {};
+          const pct = p.total ? Math.round((100 * p.sent) / p.total) : p.state === "done" ? 100 : 0;
+          return (
+            <li key={u.id}>
+              <div className="flex justify-between gap-2"><span className="truncate">{u.name}</span><span className="text-neutral-500">{p.state === "failed" ? "failed" : p.state ? `${p.state} ${pct}%` : "waiting"}</span></div>
+              <div className="h-1 rounded bg-neutral-200"><div className="h-1 rounded" style={{ width: `${pct}%`, backgroundColor: brand.accent }} /></div>
+              {p.error && <div className="text-xs text-red-600">{p.error}</div>}
+            </li>
+          );
+        })}
+      </ul>
+      {error && <p className="mt-2 text-red-600" role="alert">{error}</p>}
+      {pending.length > 0 && (
+        <button className="mt-2 btn-secondary" disabled={busy} onClick={copyAll}>{busy ? "Copying…" : `Copy ${pending.length} to Drive`}</button>
+      )}
+    </div>
+  );
+}
+
+// --- Case workflow ---
+function CaseStatus({ c }) {
+  const { t, date } = useI18n();
+  const stage = stageIndex(c.status);
+  return (
+    <div>
+      <div className="text-lg font-semibold">{t(`case.status.${c.status}`, {}, c.status)}{c.outcome && ` – ${t(`case.outcome.${c.outcome}`, {}, c.outcome)}`}</div>
+      {c.statusChangedAt && <div className="text-xs text-neutral-500">{t("case.since", { date: date(c.statusChangedAt, "date") })}</div>}
+      <ol className="mt-2 flex gap-1" aria-label={t("case.progress")}>
+        {CASE_STATES.map((s, i) => (
+          <li key={s} title={t(`case.status.${s}`, {}, s)} className="h-1.5 flex-1 rounded-full" style={{ background: i <= stage ? brand.primary : "#e5e5e5" }} />
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Buttons for the transitions this actor may make; the server re-checks every one
+function CaseActions({ c, actor, onChange }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [outcome, setOutcome] = useState(DECISION_OUTCOMES[0]);
+  const options = availableTransitions(c.status, actor);
+
+  async function go(tr) {
+    const note = tr.needsNote ? prompt(t("case.whatIsNeeded")) : "";
+    if (tr.needsNote && !note) return;
+    // Staff notes are internal unless shared: then the client sees them in the timeline and the status email
+    const shareNote = Boolean(note) && actor === "staff" && confirm("Share this note with the client? It will appear in their timeline and the status email.");
+    setBusy(true); setError("");
+    try {
+      await store.transitionCase(c.id, { to: tr.to, note, outcome: tr.needsOutcome ? outcome : undefined, shareNote });
+      onChange?.();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!options.length) return null;
+  return (
+    <div className="mt-3 flex flex-wrap gap-2 items-center">
+      {options.map((tr) => (
+        <span key={tr.to} className="flex gap-1 items-center">
+          {tr.needsOutcome && (
+            <select className="input" value={outcome} onChange={(e) => setOutcome(e.target.value)} aria-label={t("case.decisionOutcome")}>
+              {DECISION_OUTCOMES.map((o) => <option key={o} value={o}>{t(`case.outcome.${o}`, {}, o)}</option>)}
+            </select>
+          )}
+          <button className="btn-secondary" disabled={busy} onClick={() => go(tr)}>{t(`case.action.${tr.label}`, {}, tr.label)}</button>
+        </span>
+      ))}
+      {error && <p className="w-full text-sm text-red-600" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+function CaseTimeline({ events }) {
+  const { t, date } = useI18n();
+  if (!events.length) return <p className="text-sm text-neutral-500">{t("case.noEvents")}</p>;
+  return (
+    <ol className="relative border-s ps-4 space-y-3 text-sm">
+      {[...events].reverse().map((e) => (
+        <li key={e.id}>
+          <span className="absolute -start-1.5 mt-1 h-3 w-3 rounded-full" style={{ background: brand.primary }} />
+          <div className="font-medium">{t(`case.status.${e.to}`, {}, e.to)}{e.outcome && ` – ${t(`case.outcome.${e.outcome}`, {}, e.outcome)}`}</div>
+          <div className="text-xs text-neutral-500">
+            {date(e.at)} · {e.actor === "system" ? t("case.automatic") : e.by || t(e.actor === "staff" ? "common.team" : "common.you")}
+          </div>
+          {e.note && <div className="text-neutral-700">{e.note}{!e.noteShared && <span className="text-xs text-neutral-500"> (internal)</span>}</div>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function StaffCaseWorkflow({ c, onChange }) {
+  const events = useRemote(() => store.listCaseEvents(c.id), [c.id, c.status]);
+  return (
+    <div className="mt-3 grid md:grid-cols-2 gap-4">
+      <Card title="Status">
+        <CaseStatus c={c} />
+        <CaseActions c={c} actor="staff" onChange={onChange} />
+      </Card>
+      <Card title="Timeline">
+        <CaseTimeline events={events.data || []} />
+      </Card>
+    </div>
+  );
+}
+
+// --- Messages ---
+// Threads for one case plus a "new conversation" form
+function MessageCenter({ caseId }) {
+  const { t } = useI18n();
+  const threads = useRemote(() => store.listThreads(caseId), [caseId]);
+  usePolling(threads.reload, 20000, [caseId]);
+  const [openId, setOpenId] = useState(null);
+  const [composing, setComposing] = useState(false);
+  const list = threads.data || [];
+  const open = list.find((th) => th.id === openId);
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <div>
+        <button className="btn-secondary w-full" onClick={() => { setComposing(true); setOpenId(null); }}>{t("messages.new")}</button>
+        {threads.error && <p className="mt-2 text-sm text-red-600" role="alert">{threads.error.message}</p>}
+        <ThreadList threads={list} openId={openId} onOpen={(id) => { setOpenId(id); setComposing(false); }} />
+      </div>
+      <div className="md:col-span-2">
+        {composing && <NewThread caseId={caseId} onDone={() => { setComposing(false); threads.reload(); }} />}
+        {open && <ThreadView thread={open} caseId={caseId} onActivity={threads.reload} />}
+        {!composing && !open && <p className="text-sm text-neutral-500">{t("messages.select")}</p>}
+      </div>
+    </div>
+  );
+}
+
+function ThreadList({ threads, openId, onOpen, showClient = false }) {
+  const { t } = useI18n();
+  if (!threads.length) return <p className="mt-3 text-sm text-neutral-500">{t("messages.none")}</p>;
+  return (
+    <ul className="mt-3 divide-y rounded-lg border">
+      {threads.map((th) => (
+        <li key={th.id}>
+          <button className={cls("w-full text-start p-3 text-sm", th.id === openId && "bg-neutral-50")} onClick={() => onOpen(th.id)}>
+            <div className="flex justify-between gap-2">
+              <span className={cls(th.unread > 0 && "font-semibold")}>{showClient && `${th.client} · `}{th.subject}</span>
+              {th.unread > 0 && <span className="text-xs rounded-full px-2 text-white" style={{ background: brand.accent }}>{th.unread}</span>}
+            </div>
+            {th.last && <div className="text-xs text-neutral-500 truncate">{th.last.body}</div>}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function NewThread({ caseId, onDone }) {
+  const { t } = useI18n();
+  const [subject, setSubject] = useState("");
+  const [error, setError] = useState("");
+  async function send({ body, attachmentIds }) {
+    if (!subject.trim()) { setError(t("messages.subjectRequired")); return false; }
+    await store.startThread(caseId, { subject, body, attachmentIds });
+    onDone();
+    return true;
+  }
+  return (
+    <div>
+      <Field label={t("messages.subject")} error={error}>
+        <input className="input" value={subject} onChange={(e) => { setSubject(e.target.value); setError(""); }} />
+      </Field>
+      <MessageComposer caseId={caseId} onSend={send} />
+    </div>
+  );
+}
+
+function ThreadView({ thread, caseId, onActivity }) {
+  const { t, date } = useI18n();
+  const messages = useRemote(() => store.listMessages(thread.id), [thread.id]);
+  usePolling(messages.reload, 10000, [thread.id]);
+  const last = messages.data?.[messages.data.length - 1]?.id;
+  useEffect(() => {
+    if (!messages.data || messages.data.stale) return;
+    store.markThreadRead(thread.id)
+      .then(() => { window.dispatchEvent(new Event("pw:messages-read")); onActivity?.(); })
+      .catch(() => {});
+  }, [thread.id, last]);
+
+  async function send(draft) {
+    await store.sendMessage(thread.id, draft);
+    messages.reload();
+    onActivity?.();
+    return true;
+  }
+
+  return (
+    <div>
+      <div className="font-semibold">{thread.subject}</div>
+      {messages.error && <p className="mt-2 text-sm text-red-600" role="alert">{messages.error.message}</p>}
+      <ol className="mt-3 space-y-3 max-h-96 overflow-y-auto">
+        {(messages.data || []).map((m) => (
+          <li key={m.id} className={cls("rounded-lg p-3 text-sm max-w-[85%]", m.mine ? "ms-auto bg-neutral-100" : "border")}>
+            <div className="text-xs text-neutral-500">
+              {m.mine ? t("common.you") : m.author || t(m.from === "staff" ? "common.team" : "messages.client")} · {date(m.at)}
+            </div>
+            <div className="mt-1 whitespace-pre-wrap">{m.body}</div>
+            {m.attachments.length > 0 && (
+              <ul className="mt-2 flex flex-wrap gap-2">
+                {m.attachments.map((a) => (
+                  <li key={a.id}>
+                    <button className="underline text-xs" onClick={() => secureFiles.download(a.id).then((b) => saveBlob(b, a.name)).catch((e) => alert(e.message))}>📎 {a.name}</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {m.mine && <div className="mt-1 text-end text-xs text-neutral-500">{m.readBy.length ? t("messages.seenBy", { names: m.readBy.join(", ") }) : t("messages.sent")}</div>}
+          </li>
+        ))}
+      </ol>
+      <MessageComposer caseId={caseId} onSend={send} />
+    </div>
+  );
+}
+
+// Text box + optional attachments picked from the case's uploaded documents
+function MessageComposer({ caseId, onSend }) {
+  const { t } = useI18n();
+  const uploads = useRemote(() => store.listUploads(caseId), [caseId]);
+  const [body, setBody] = useState("");
+  const [attachmentIds, setAttachmentIds] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const toggle = (id) => setAttachmentIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setBusy(true); setError("");
+    try {
+      if (await onSend({ body, attachmentIds })) { setBody(""); setAttachmentIds([]); }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const docs = (uploads.data || []).filter((u) => u.stored);
+  return (
+    <form className="mt-3" onSubmit={submit}>
+      <textarea className="input w-full" rows={3} value={body} onChange={(e) => setBody(e.target.value)} placeholder={t("messages.placeholder")} aria-label={t("messages.message")} />
+      {docs.length > 0 && (
+        <details className="mt-1 text-sm">
+          <summary className="cursor-pointer text-neutral-600">{t("messages.attach")}{attachmentIds.length ? ` (${attachmentIds.length})` : ""}</summary>
+          <ul className="mt-1 grid sm:grid-cols-2 gap-1">
+            {docs.map((u) => (
+              <li key={u.id}>
+                <label className="flex gap-2 items-center"><input type="checkbox" checked={attachmentIds.includes(u.id)} onChange={() => toggle(u.id)} />{u.name}</label>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {error && <p className="mt-1 text-sm text-red-600" role="alert">{error}</p>}
+      <button className="mt-2 btn-primary" type="submit" disabled={busy || !body.trim()}>{t(busy ? "messages.sending" : "messages.send")}</button>
+    </form>
+  );
+}
+
+function StaffInbox() {
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [mine, setMine] = useState(false);
+  const inbox = useRemote(() => store.inbox({ unread: unreadOnly, mine }), [unreadOnly, mine]);
+  usePolling(inbox.reload, 20000, [unreadOnly, mine]);
+  const [openId, setOpenId] = useState(null);
+  const open = (inbox.data || []).find((t) => t.id === openId);
+  return (
+    <section id="inbox">
+      <div className="mt-8 flex items-center justify-between">
+        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Inbox</h3>
+        <div className="flex gap-4">
+          <label className="text-sm flex gap-2 items-center"><input type="checkbox" checked={mine} onChange={(e) => setMine(e.target.checked)} />My cases</label>
+          <label className="text-sm flex gap-2 items-center"><input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} />Unread only</label>
+        </div>
+      </div>
+      {inbox.error && <p className="mt-2 text-sm text-red-600" role="alert">{inbox.error.message}</p>}
+      <div className="grid md:grid-cols-3 gap-4">
+        <ThreadList threads={inbox.data || []} openId={openId} onOpen={setOpenId} showClient />
+        <div className="md:col-span-2 mt-3">
+          {open ? <ThreadView thread={open} caseId={open.caseId} onActivity={inbox.reload} /> : <p className="text-sm text-neutral-500">Select a conversation.</p>}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// --- Client Dashboard ---
+function ClientDashboard({ user, onAmend }) {
+  const { t } = useI18n();
+  const caseQ = useRemote(() => (user ? store.currentCase() : null), [user?.id]);
+  const checklist = useRemote(() => (caseQ.data ? store.listChecklist(caseQ.data.id) : []), [caseQ.data?.id]);
+  const docs = summarizeChecklist(checklist.data || []);
+  const outstanding = (checklist.data || []).filter((i) => i.status === "missing" || i.status === "rejected");
+  const household = useRemote(() => (caseQ.data ? store.household(caseQ.data.id) : []), [caseQ.data?.id]);
+  const events = useRemote(() => (caseQ.data ? store.listCaseEvents(caseQ.data.id) : []), [caseQ.data?.id, caseQ.data?.status]);
+  const appts = useRemote(() => (user ? store.listAppointments({ upcoming: true }) : []), [user?.id]);
+  return (
+    <section id="dashboard" className="max-w-6xl mx-auto px-4 py-12">
+      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>{t("dashboard.title")}</h2>
+      <p className="mt-2 text-neutral-700">{t(user?.name ? "dashboard.welcomeName" : "dashboard.welcome", { name: user?.name })}</p>
+
+      <div className="mt-6 grid md:grid-cols-3 gap-4">
+        <Card title={t("dashboard.status")}>
+          {!caseQ.data ? (
+            <div className="text-lg font-semibold">{user ? "…" : t("dashboard.statusSignIn")}</div>
+          ) : (
+            <>
+              <CaseStatus c={caseQ.data} />
+              <CaseActions c={caseQ.data} actor={actorFor(user)} onChange={caseQ.reload} />
+            </>
+          )}
+        </Card>
+        <Card title={t("dashboard.documents")}>
+          {!user ? (
+            <p className="text-sm text-neutral-700">{t("dashboard.documentsSignIn")}</p>
+          ) : (
+            <>
+              <div className="text-sm text-neutral-700">{t("dashboard.documentsSummary", docs)}</div>
+              <ul className="mt-2 text-sm list-disc list-inside text-neutral-700 space-y-1">
+                {outstanding.slice(0, 5).map((i) => (
+                  <li key={i.id}>{checklistText(t, i).label}{i.status === "rejected" && <span className="text-red-700"> – {i.reason}</span>}</li>
+                ))}
+              </ul>
+              {outstanding.length > 5 && <p className="text-xs text-neutral-500 mt-1">{t("dashboard.more", { count: outstanding.length - 5 })}</p>}
+              <a href="#uploads" className="mt-2 inline-block underline text-sm">{t("dashboard.goToUploads")}</a>
+            </>
+          )}
+        </Card>
+        <Card title={t("dashboard.quickActions")}>
+          <ul className="text-sm list-disc list-inside text-neutral-700 space-y-1">
+            <li><a href="#uploads" className="underline">{t("dashboard.uploadDocuments")}</a></li>
+            <li><a href="#eligibility" className="underline">{t("dashboard.finishForm")}</a></li>
+            <li><a href="#book" className="underline">{t("dashboard.bookOrChange")}</a></li>
+          </ul>
+        </Card>
+        <Card title={t("dashboard.timeline")}>
+          <CaseTimeline events={events.data || []} />
+        </Card>
+        <Card title={t("dashboard.appointments")}>
+          {user ? <MyAppointments appointments={appts.data || []} /> : <p className="text-sm">{t("dashboard.appointmentsSignIn")}</p>}
+        </Card>
+        {(household.data || []).length > 1 && (
+          <Card title={t("dashboard.household")}>
+            <HouseholdProgress members={household.data} />
+          </Card>
+        )}
+        {caseQ.data && (
+          <Card title={t("dashboard.submissions")}>
+            <SubmissionHistory caseId={caseQ.data.id} onAmend={onAmend} />
+          </Card>
+        )}
+      </div>
+      {caseQ.data && (
+        <div id="agreement" className="mt-6">
+          <Card title={t("dashboard.agreement")}>
+            <RetainerPanel caseId={caseQ.data.id} />
+          </Card>
+        </div>
+      )}
+      {caseQ.data && (
+        <div id="billing" className="mt-6">
+          <Card title={t("dashboard.billing")}>
+            <ClientBilling c={caseQ.data} />
+          </Card>
+        </div>
+      )}
+      <div id="messages" className="mt-6">
+        <Card title={t("dashboard.messages")}>
+          {caseQ.data ? <MessageCenter caseId={caseQ.data.id} /> : <p className="text-sm text-neutral-700">{t("dashboard.messagesSignIn")}</p>}
+        </Card>
+      </div>
+      {user && (
+        <div className="mt-6 grid md:grid-cols-2 gap-4">
+          <Card title={t("dashboard.notifications")}>
+            <NotificationSettings />
+          </Card>
+          {caseQ.data && (
+            <Card title={t("dashboard.privacy")}>
+              <ClientPrivacy caseId={caseQ.data.id} />
+            </Card>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Earlier assessments; "duplicate and amend" opens a copy in the form as the client's draft
+function SubmissionHistory({ caseId, onAmend }) {
+  const { t, date } = useI18n();
+  const list = useRemote(() => store.listAssessments(caseId), [caseId]);
+  const [error, setError] = useState("");
+  const submissions = [...(list.data || [])].reverse();
+
+  async function amend(a) {
+    if (!window.confirm(t("submissions.confirmAmend"))) return;
+    setError("");
+    try {
+      onAmend(await store.createDraft({ fromAssessmentId: a.id }));
+    } catch (e) {
+      if (e.status !== 409) { setError(e.message); return; }
+      // The client agreed above to replace their unsubmitted answers: overwrite that draft, as long as it has not changed since
+      const { id, version } = e.details.draft;
+      try { onAmend(await store.createDraft({ fromAssessmentId: a.id, replaces: { id, version } })); } catch (err) { setError(err.message); }
+    }
+  }
+
+  if (!submissions.length) return <p className="text-sm text-neutral-700">{list.loading ? "…" : t("submissions.none")}</p>;
+  return (
+    <>
+      <ul className="grid gap-2 text-sm">
+        {submissions.map((a) => (
+          <li key={a.id} className="flex justify-between gap-2">
+            <span>
+              {date(a.createdAt, "date")} · {t(`form.option.${a.data?.interest?.program}`, {}, a.data?.interest?.program || "—")}
+              {a.row?.crs_total != null && <span className="text-neutral-500"> · {t("submissions.crs", { score: a.row.crs_total })}</span>}
+            </span>
+            <button className="underline shrink-0" onClick={() => amend(a)}>{t("submissions.amend")}</button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="mt-2 text-sm text-red-700" role="alert">{error}</p>}
+    </>
+  );
+}
+
+const retainerFilename = (r) => `peddlewest-retainer-${r.signedAt.slice(0, 10)}.pdf`;
+
+function downloadRetainer(r) {
+  return secureFiles.download(r.uploadId).then((blob) => saveBlob(blob, retainerFilename(r))).catch((e) => alert(e.message));
+}
+
+// Assessment summary and the retainer agreement (lib/retainer.js): status, download, or review and sign
+function RetainerPanel({ caseId }) {
+  const { t, date } = useI18n();
+  const assessments = useRemote(() => store.listAssessments(caseId), [caseId]);
+  const retainers = useRemote(() => store.listRetainers(caseId), [caseId]);
+  const [signing, setSigning] = useState(false);
+  const [done, setDone] = useState(false);
+  const latest = (assessments.data || []).at(-1);
+  const signed = (retainers.data || [])[0];
+  const current = signed?.version === RETAINER_VERSION;
+
+  if (!latest) return <p className="text-sm text-neutral-700">{assessments.loading ? "…" : t("retainer.needsAssessment")}</p>;
+  return (
+    <div className="text-sm text-neutral-700">
+      <button className="underline" onClick={() => downloadSummaryPdf(withDefaults(latest.data), latest.createdAt).catch((e) => alert(e.message))}>{t("form.summaryPdf")}</button>
+      {signed && (
+        <p className="mt-3">
+          {t("retainer.signedOn", { name: signed.signerName, date: date(signed.signedAt, "date"), version: signed.version })}
+          {signed.uploadId && <button className="ms-2 underline" onClick={() => downloadRetainer(signed)}>{t("retainer.download")}</button>}
+        </p>
+      )}
+      {done && <p className="mt-2 text-green-700" role="status">{t("retainer.signed")}</p>}
+      {!current && !signing && (
+        <div className="mt-3">
+          <p>{t(signed ? "retainer.updated" : "retainer.intro")}</p>
+          <button className="btn-primary mt-2" onClick={() => setSigning(true)}>{t("retainer.review")}</button>
+        </div>
+      )}
+      {!current && signing && (
+        <RetainerSigning
+          caseId={caseId}
+          assessment={latest}
+          onCancel={() => setSigning(false)}
+          onSigned={() => { setSigning(false); setDone(true); retainers.reload(); }}
+        />
+      )}
+    </div>
+  );
+}
+
+function RetainerSigning({ caseId, assessment, onSigned, onCancel }) {
+  const { t } = useI18n();
+  const data = useMemo(() => withDefaults(assessment.data), [assessment]);
+  const fees = useMemo(() => feeSchedule(data), [data]);
+  const [name, setName] = useState([data.contact.firstName, data.contact.lastName].filter(Boolean).join(" "));
+  const [signature, setSignature] = useState("");
+  const [agree, setAgree] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function preview() {
+    try { saveBlob(retainerPdf(await loadJsPdf(), { brand, data, fees }), "peddlewest-retainer-preview.pdf"); } catch (e) { alert(e.message); }
+  }
+
+  // The signed PDF is stored like any other document, then recorded as the case's retainer
+  async function sign() {
+    const problem = (!name.trim() && "retainer.nameRequired") || (!signature && "retainer.signatureRequired") || (!agree && "retainer.agreeRequired");
+    if (problem) { setError(t(problem)); return; }
+    setBusy(true);
+    setError("");
+    try {
+      const signedAt = new Date().toISOString();
+      const blob = retainerPdf(await loadJsPdf(), { brand, data, fees, signature: { name: name.trim(), image: signature, signedAt } });
+      const file = new File([blob], `retainer-agreement-${RETAINER_VERSION}.pdf`, { type: "application/pdf" });
+      const upload = await secureFiles.upload(caseId, file, { type: "application/pdf" });
+      try {
+        await store.signRetainer(caseId, { uploadId: upload.id, assessmentId: assessment.id, version: RETAINER_VERSION, signerName: name.trim(), signature });
+      } catch (e) {
+        await api.del(`/api/uploads/${upload.id}`).catch(() => {});
+        throw e;
+      }
+      saveBlob(blob, file.name);
+      onSigned();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const feeRows = (lines) => lines.map((l) => (
+    <tr key={l.label} className="border-t">
+      <td className="py-1 pe-2">{l.label}</td>
+      <td className="py-1 px-2 text-end">{l.qty}</td>
+      <td className="py-1 ps-2 text-end whitespace-nowrap">{formatMoney(l.total)}</td>
+    </tr>
+  ));
+  const totalRow = (label, amount) => (
+    <tr className="border-t font-semibold"><td className="py-1 pe-2" colSpan={2}>{label}</td><td className="py-1 ps-2 text-end whitespace-nowrap">{formatMoney(amount)}</td></tr>
+  );
+  const head = (
+    <thead><tr className="text-neutral-500"><th className="pb-1 text-start font-normal">{t("retainer.item")}</th><th className="pb-1 px-2 text-end font-normal">{t("retainer.qty")}</th><th className="pb-1 text-end font-normal">{t("retainer.amount")}</th></tr></thead>
+  );
+  return (
+    <div className="mt-3 grid gap-4">
+      <p className="text-xs text-neutral-500">{t("retainer.englishOnly")}</p>
+      <div>
+        <h3 className="font-semibold" style={{ color: brand.primary }}>{t("retainer.services")}</h3>
+        <p className="mt-1" dir="ltr">{fees.services}</p>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4" dir="ltr">
+        <div>
+          <h3 className="font-semibold" style={{ color: brand.primary }}>{t("retainer.professional")}</h3>
+          <table className="mt-1 w-full">
+            {head}
+            <tbody>
+              {feeRows(fees.professional)}
+              {fees.taxes.map((tax) => <React.Fragment key={tax.code}>{totalRow(tax.label, tax.amount)}</React.Fragment>)}
+              {totalRow(t("retainer.total"), fees.professionalTotal)}
+            </tbody>
+          </table>
+          <h4 className="mt-3 font-medium">{t("retainer.installments")}</h4>
+          <ul className="mt-1">
+            {fees.installments.map((i) => <li key={i.label} className="flex justify-between"><span>{i.label}</span><span>{formatMoney(i.amount)}</span></li>)}
+          </ul>
+        </div>
+        <div>
+          <h3 className="font-semibold" style={{ color: brand.primary }}>{t("retainer.government")}</h3>
+          <table className="mt-1 w-full">
+            {head}
+            <tbody>
+              {feeRows(fees.government)}
+              {totalRow(t("retainer.governmentTotal"), fees.governmentTotal)}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <button type="button" className="justify-self-start underline" onClick={preview}>{t("retainer.preview")}</button>
+      <div className="grid md:grid-cols-2 gap-4">
+        <Field label={t("retainer.name")}>
+          <input value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" />
+        </Field>
+        <div className="mt-3">
+          <div className="text-sm font-medium text-neutral-800">{t("retainer.signature")}</div>
+          <SignaturePad onChange={setSignature} />
+        </div>
+      </div>
+      <label className="flex gap-2 items-start">
+        <input type="checkbox" className="mt-1" checked={agree} onChange={(e) => setAgree(e.target.checked)} />
+        <span>{t("retainer.agree")}</span>
+      </label>
+      {error && <p className="text-red-700" role="alert">{error}</p>}
+      <div className="flex gap-2">
+        <button className="btn-primary" onClick={sign} disabled={busy}>{busy ? t("retainer.signing") : t("retainer.sign")}</button>
+        <button className="btn-secondary" onClick={onCancel} disabled={busy}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Drawn signature (mouse, pen or finger); reports a PNG data URL, or "" when cleared
+function SignaturePad({ onChange }) {
+  const { t } = useI18n();
+  const ref = useRef(null);
+  const drawing = useRef(false);
+  const inked = useRef(false);
+  const point = (e) => {
+    const c = ref.current;
+    const r = c.getBoundingClientRect();
+    return [((e.clientX - r.left) * c.width) / r.width, ((e.clientY - r.top) * c.height) / r.height];
+  };
+
+  function start(e) {
+    e.preventDefault();
+    ref.current.setPointerCapture(e.pointerId);
+    const ctx = ref.current.getContext("2d");
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = brand.text;
+    ctx.beginPath();
+    ctx.moveTo(...point(e));
+    drawing.current = true;
+  }
+  function move(e) {
+    if (!drawing.current) return;
+    const ctx = ref.current.getContext("2d");
+    ctx.lineTo(...point(e));
+    ctx.stroke();
+    inked.current = true;
+  }
+  function end() {
+    if (!drawing.current) return;
+    drawing.current = false;
+    if (inked.current) onChange(ref.current.toDataURL("image/png"));
+  }
+  function clear() {
+    const c = ref.current;
+    c.getContext("2d").clearRect(0, 0, c.width, c.height);
+    inked.current = false;
+    onChange("");
+  }
+
+  return (
+    <div>
+      <canvas
+        ref={ref} width={480} height={160} role="img" aria-label={t("retainer.signature")}
+        className="mt-1 w-full max-w-md h-40 rounded-lg border border-neutral-300 bg-white" style={{ touchAction: "none" }}
+        onPointerDown={start} onPointerMove={move} onPointerUp={end} onPointerCancel={end}
+      />
+      <button type="button" className="underline text-xs" onClick={clear}>{t("retainer.clear")}</button>
+    </div>
+  );
+}
+
+// Documents accepted per person on a family case
+// --- Billing (lib/billing.js, server/billing.js) ---
+const INVOICE_STATUS_STYLE = { open: "text-amber-800", paid: "text-green-800", void: "text-neutral-500" };
+// Due dates are calendar days; noon keeps them on the same day in every time zone
+const dueDay = (i) => `${i.dueDate}T12:00:00`;
+const paidPayments = (i) => i.payments.filter((p) => p.status === "succeeded");
+
+async function downloadInvoice(invoice, client) {
+  saveBlob(invoicePdf(await loadJsPdf(), { brand, invoice, client }), `peddlewest-invoice-${invoice.number}.pdf`);
+}
+
+async function downloadReceipt(invoice, payment, client) {
+  saveBlob(receiptPdf(await loadJsPdf(), { brand, invoice, payment, client }), `peddlewest-receipt-${payment.receiptNumber}.pdf`);
+}
+
+// Client: balance owing, invoices with online payment and receipts
+function ClientBilling({ c }) {
+  const { t, date, number } = useI18n();
+  const config = useRemote(() => store.billingConfig(), []);
+  const list = useRemote(() => store.listInvoices(c.id), [c.id]);
+  const [paying, setPaying] = useState(null);
+  const [testOutcome, setTestOutcome] = useState("succeeded");
+  const [notice, setNotice] = useState(null);
+  const money = (cents) => number(cents / 100, { style: "currency", currency: "CAD" });
+  const invoices = list.data || [];
+  const owed = outstanding(invoices);
+  const client = { name: c.name, email: c.email };
+  const online = Boolean(config.data?.provider);
+  const pdf = (p) => p.catch((e) => alert(e.message));
+
+  async function pay(invoice) {
+    setPaying(invoice.id);
+    setNotice(null);
+    try {
+      const res = await store.payInvoice(invoice.id, { clientRef: crypto.randomUUID(), ...(config.data.testMode && { testOutcome }) });
+      if (res.checkoutUrl) {
+        window.location.assign(res.checkoutUrl);
+        return;
+      }
+      const p = res.payment;
+      setNotice(p.status === "failed" ? { error: true, text: t("billing.declined") }
+        : { text: p.status === "succeeded" ? t("billing.thanks", { receipt: p.receiptNumber }) : t("billing.processing") });
+      list.reload();
+    } catch (e) {
+      setNotice({ error: true, text: e.message });
+    }
+    setPaying(null);
+  }
+
+  if (!invoices.length) return <p className="text-sm text-neutral-700">{list.loading ? "…" : list.error ? list.error.message : t("billing.none")}</p>;
+  return (
+    <div className="text-sm text-neutral-700">
+      <p className="text-lg font-semibold" style={{ color: brand.primary }}>{t("billing.balance", { amount: money(owed.balance) })}</p>
+      {owed.overdue > 0 && <p className="text-red-700">{t("billing.overdue", { amount: money(owed.overdue) })}</p>}
+      {owed.count > 0 && !online && <p className="mt-1">{t("billing.payOffline")}</p>}
+      {owed.count > 0 && config.data?.testMode && (
+        <label className="mt-2 block text-xs text-neutral-500">
+          {t("billing.testOutcome")}
+          <select className="input ms-2" value={testOutcome} onChange={(e) => setTestOutcome(e.target.value)}>
+            {["succeeded", "declined", "pending"].map((o) => <option key={o} value={o}>{t(`billing.test.${o}`)}</option>)}
+          </select>
+        </label>
+      )}
+      <ul className="mt-3 grid gap-3">
+        {invoices.map((i) => {
+          const pending = i.payments.some((p) => p.status === "pending");
+          return (
+            <li key={i.id} className="rounded-lg border p-3">
+              <div className="flex flex-wrap justify-between gap-2">
+                <span className="font-medium">{t("billing.invoice", { number: i.number })} · {money(i.total)}</span>
+                <span className={INVOICE_STATUS_STYLE[i.status]}>{t(`billing.status.${i.status}`)}</span>
+              </div>
+              <div className="text-xs text-neutral-500">
+                {t("billing.issued", { date: date(i.createdAt, "date") })}
+                {i.status === "open" && ` · ${t("billing.due", { date: date(dueDay(i), "date") })}`}
+              </div>
+              {i.status === "open" && <div className="mt-1">{t("billing.remaining", { amount: money(i.balance) })}{pending && ` · ${t("billing.processing")}`}</div>}
+              <div className="mt-2 flex flex-wrap items-center gap-3">
+                {i.status === "open" && online && !pending && (
+                  <button className="btn-primary" disabled={Boolean(paying)} onClick={() => pay(i)}>{paying === i.id ? t("common.wait") : t("billing.pay", { amount: money(i.balance) })}</button>
+                )}
+                <button className="underline" onClick={() => pdf(downloadInvoice(i, client))}>{t("billing.invoicePdf")}</button>
+                {paidPayments(i).map((p) => (
+                  <button key={p.id} className="underline" onClick={() => pdf(downloadReceipt(i, p, client))}>{t("billing.receipt", { number: p.receiptNumber })}</button>
+                ))}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {notice && <p className={cls("mt-2", notice.error ? "text-red-700" : "text-green-700")} role={notice.error ? "alert" : "status"}>{notice.text}</p>}
+    </div>
+  );
+}
+
+function HouseholdProgress({ members }) {
+  const { t } = useI18n();
+  return (
+    <ul className="grid gap-2 text-sm">
+      {members.map((m) => {
+        const pct = m.total ? Math.round((100 * m.accepted) / m.total) : 0;
+        return (
+          <li key={m.id}>
+            <div className="flex justify-between gap-2"><span className="truncate font-medium">{memberLabel(m, t)}</span><span className="text-neutral-500">{pct}%</span></div>
+            <div className="h-1 rounded bg-neutral-200"><div className="h-1 rounded" style={{ width: `${pct}%`, backgroundColor: brand.accent }} /></div>
+            <div className="text-xs text-neutral-600">{t("dashboard.documentsSummary", m)}</div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+const CASE_COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "program", label: "Program" },
+  { key: "status", label: "Status" },
+  { key: "crs", label: "CRS" },
+  { key: "assignee", label: "Assigned to" },
+  { key: "created", label: "Created" },
+  { key: "updated", label: "Last activity" },
+];
+const EMPTY_CASE_FILTERS = { q: "", program: "", status: "", minScore: "", maxScore: "", from: "", to: "", assignee: "" };
+
+function StaffPanel({ user }) {
+  const { date } = useI18n();
+  const docs = useRemote(() => store.listAllUploads(), []);
+  const staffQ = useRemote(() => store.listStaff(), []);
+  const [filters, setFilters] = useLocalStorage("pw_staff_filters", EMPTY_CASE_FILTERS);
+  const [sort, setSort] = useState({ key: "updated", dir: "desc" });
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(25);
+  const [q, setQ] = useState(filters.q);
+  const [openCaseId, setOpenCaseId] = useState(null);
+  const casesQ = useRemote(
+    () => store.searchCases({ ...filters, sort: sort.key, dir: sort.dir, page, pageSize }),
+    [JSON.stringify(filters), sort.key, sort.dir, page, pageSize],
+  );
+  const result = casesQ.data || { items: [], total: 0 };
+  const pages = Math.max(1, Math.ceil(result.total / pageSize));
+  const staff = staffQ.data || [];
+
+  // Debounce the search box so typing does not fire a request per key
+  useEffect(() => {
+    const t = setTimeout(() => { if (q !== filters.q) setFilter("q", q); }, 300);
+    return () => clearTimeout(t);
+  }, [q]);
+
+  function setFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+    setPage(1);
+  }
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "crs" || key === "updated" || key === "created" ? "desc" : "asc" }));
+    setPage(1);
+  }
+
+  async function clearAll() {
+    if (!confirm("Delete every assessment? This is recorded in the audit log.")) return;
+    try { await store.clearAssessments(); } catch (e) { alert(e.message); }
+    casesQ.reload();
   }
   return (
     <section className="max-w-6xl mx-auto px-4 py-12">
-      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Staff – Submissions</h2>
-      <p className="mt-2 text-neutral-700">This view simulates a private CRM. Use Export to save Excel locally or push to Google Drive.</p>
+      <h2 className="text-2xl font-semibold" style={{ color: brand.primary }}>Staff – Cases</h2>
+      <p className="mt-2 text-neutral-700">Search, filter and assign client files. Use Export to build an Excel or CSV file and optionally push it to Google Drive.</p>
       <div className="mt-4 flex gap-2">
-        <button className="btn-primary" onClick={exportAll}>Export to XLSX (and upload)</button>
-        <button className="btn-secondary" onClick={() => { localStorage.removeItem("pw_assessments"); setAssessments([]); }}>Clear (demo)</button>
+        <button className="btn-secondary" onClick={clearAll}>Clear (demo)</button>
+      </div>
+      <ExportBuilder />
+      <SheetsSync />
+
+      <div className="mt-4 grid gap-2 md:grid-cols-4">
+        <input className="input md:col-span-2" placeholder="Search name or email" value={q} onChange={(e) => setQ(e.target.value)} aria-label="Search cases" />
+        <select className="input" value={filters.program} onChange={(e) => setFilter("program", e.target.value)} aria-label="Program">
+          <option value="">All programs</option>
+          {PROGRAMS.map((p) => <option key={p}>{p}</option>)}
+        </select>
+        <select className="input" value={filters.status} onChange={(e) => setFilter("status", e.target.value)} aria-label="Status">
+          <option value="">All statuses</option>
+          {CASE_STATES.map((st) => <option key={st}>{st}</option>)}
+        </select>
+        <div className="flex gap-2 items-center text-sm">
+          CRS
+          <input className="input w-20" type="number" placeholder="min" value={filters.minScore} onChange={(e) => setFilter("minScore", e.target.value)} aria-label="Minimum CRS" />
+          –
+          <input className="input w-20" type="number" placeholder="max" value={filters.maxScore} onChange={(e) => setFilter("maxScore", e.target.value)} aria-label="Maximum CRS" />
+        </div>
+        <div className="flex gap-2 items-center text-sm md:col-span-2">
+          Created
+          <input className="input" type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} aria-label="Created from" />
+          to
+          <input className="input" type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} aria-label="Created to" />
+        </div>
+        <select className="input" value={filters.assignee} onChange={(e) => setFilter("assignee", e.target.value)} aria-label="Assigned to">
+          <option value="">Anyone</option>
+          <option value="me">Assigned to me</option>
+          <option value="none">Unassigned</option>
+          {staff.map((m) => <option key={m.id} value={m.id}>{m.name || m.email}</option>)}
+        </select>
+      </div>
+      <button className="mt-2 text-sm underline" onClick={() => { setFilters(EMPTY_CASE_FILTERS); setQ(""); setPage(1); }}>Reset filters</button>
+
+      {casesQ.error && <p className="mt-2 text-sm text-red-600" role="alert">{casesQ.error.message}</p>}
+      {casesQ.data?.stale && <p className="mt-2 text-xs text-neutral-500">Offline – showing the last synced cases.</p>}
+      <div className="mt-4 overflow-auto rounded-xl border">
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 text-left">
+            <tr>
+              {CASE_COLUMNS.map((c) => (
+                <th key={c.key} className="px-3 py-2 font-semibold text-neutral-700 whitespace-nowrap"
+                    aria-sort={sort.key === c.key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}>
+                  <button onClick={() => toggleSort(c.key)}>
+                    {c.label}{sort.key === c.key && (sort.dir === "asc" ? " ▲" : " ▼")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {result.items.map((c, i) => (
+              <tr key={c.id} className={cls("cursor-pointer hover:bg-neutral-100", i % 2 ? "bg-white" : "bg-neutral-50/40")} onClick={() => setOpenCaseId(c.id)}>
+                <td className="px-3 py-2 whitespace-nowrap font-medium">{c.name || "—"}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{c.email}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{c.program}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{c.status}{c.outcome && ` (${c.outcome})`}</td>
+                <td className="px-3 py-2 whitespace-nowrap font-semibold">{c.crsTotal ?? ""}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{c.assigneeName || <span className="text-neutral-400">Unassigned</span>}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{date(c.createdAt, "date")}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{date(c.updatedAt, "date")}</td>
+              </tr>
+            ))}
+            {!result.items.length && (
+              <tr><td className="px-3 py-4 text-neutral-500" colSpan={CASE_COLUMNS.length}>{casesQ.loading ? "Loading…" : "No cases match."}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span>{result.total} case{result.total === 1 ? "" : "s"}</span>
+        <div className="flex items-center gap-2">
+          <button className="btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span>Page {page} of {pages}</span>
+          <button className="btn-secondary" disabled={page >= pages} onClick={() => setPage(page + 1)}>Next</button>
+          <select className="input" value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(1); }} aria-label="Rows per page">
+            {[10, 25, 50, 100].map((n) => <option key={n} value={n}>{n} / page</option>)}
+          </select>
+        </div>
+      </div>
+
+      {openCaseId && (
+        <CaseDrawer caseId={openCaseId} staff={staff} isAdmin={user?.role === "admin"}
+                    onClose={() => setOpenCaseId(null)} onChange={casesQ.reload} onErased={() => { setOpenCaseId(null); casesQ.reload(); }} />
+      )}
+
+      <UpcomingAppointments onOpenCase={setOpenCaseId} />
+
+      <StaffInbox />
+
+      <AuditLogViewer />
+
+      <RetentionPanel isAdmin={user?.role === "admin"} onChange={casesQ.reload} />
+
+      <BookingSettings />
+
+      <h3 className="mt-8 text-lg font-semibold" style={{ color: brand.primary }}>Client documents</h3>
+      {docs.error && <p className="mt-2 text-sm text-red-600" role="alert">{docs.error.message}</p>}
+      <div className="mt-3 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+        {(docs.data || []).map((u) => <UploadCard key={u.id} upload={u} />)}
+        {docs.data && !docs.data.length && <p className="text-sm text-neutral-500">No documents yet.</p>}
+      </div>
+    </section>
+  );
+}
+
+const EMPTY_AUDIT_FILTERS = { actor: "", action: "", targetType: "", targetId: "", outcome: "", from: "", to: "" };
+const AUDIT_OUTCOME_STYLE = { success: "text-green-800", denied: "text-amber-800", failed: "text-red-700" };
+
+// Staff-only view of the hash-chained audit log (server/audit.js)
+function AuditLogViewer() {
+  const { date } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [page, setPage] = useState(1);
+  const [integrity, setIntegrity] = useState(null);
+  const log = useRemote(() => (open ? store.auditLog({ ...filters, page }) : null), [open, JSON.stringify(filters), page]);
+  const result = log.data || { items: [], total: 0, pageSize: 50 };
+  const pages = Math.max(1, Math.ceil(result.total / result.pageSize));
+  const setFilter = (key, value) => { setFilters((f) => ({ ...f, [key]: value })); setPage(1); };
+
+  async function verify() {
+    try { setIntegrity(await store.verifyAuditLog()); } catch (e) { setIntegrity({ error: e.message }); }
+  }
+  async function exportCsv() {
+    try { saveBlob(await store.exportAuditLog(filters), `audit-log-${new Date().toISOString().slice(0, 10)}.csv`); } catch (e) { alert(e.message); }
+  }
+
+  return (
+    <section id="audit" className="mt-8">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Audit log</h3>
+        <button className="text-sm underline" onClick={() => setOpen(!open)}>{open ? "Hide" : "Show"}</button>
+      </div>
+      {open && (
+        <>
+          <div className="mt-2 grid gap-2 md:grid-cols-4 text-sm">
+            <input className="input" placeholder="Actor email" value={filters.actor} onChange={(e) => setFilter("actor", e.target.value)} aria-label="Actor" />
+            <input className="input" placeholder="Action (e.g. document.)" value={filters.action} onChange={(e) => setFilter("action", e.target.value)} aria-label="Action" />
+            <select className="input" value={filters.targetType} onChange={(e) => setFilter("targetType", e.target.value)} aria-label="Target type">
+              <option value="">Any target</option>
+              {["case", "assessment", "document", "checklist_item", "thread", "user"].map((t) => <option key={t}>{t}</option>)}
+            </select>
+            <input className="input" placeholder="Target id" value={filters.targetId} onChange={(e) => setFilter("targetId", e.target.value.trim())} aria-label="Target id" />
+            <select className="input" value={filters.outcome} onChange={(e) => setFilter("outcome", e.target.value)} aria-label="Outcome">
+              <option value="">Any outcome</option>
+              {["success", "denied", "failed"].map((o) => <option key={o}>{o}</option>)}
+            </select>
+            <input className="input" type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} aria-label="From" />
+            <input className="input" type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} aria-label="To" />
+            <button className="text-left underline" onClick={() => { setFilters(EMPTY_AUDIT_FILTERS); setPage(1); }}>Reset filters</button>
+          </div>
+          <div className="mt-2 flex flex-wrap gap-2 items-center text-sm">
+            <button className="btn-secondary" onClick={verify}>Verify integrity</button>
+            <button className="btn-secondary" onClick={exportCsv}>Export CSV</button>
+            {integrity && (
+              <span role="status" className={integrity.ok ? "text-green-800" : "text-red-700"}>
+                {integrity.error || (integrity.ok ? `Chain intact – ${integrity.count} entries` : `Chain broken at entry #${integrity.brokenAt}`)}
+              </span>
+            )}
+          </div>
+          {log.error && <p className="mt-2 text-sm text-red-600" role="alert">{log.error.message}</p>}
+          <div className="mt-2 overflow-auto rounded-xl border">
+            <table className="min-w-full text-xs">
+              <thead className="bg-neutral-50 text-left">
+                <tr>{["#", "When", "Actor", "Action", "Target", "Outcome", "Details"].map((h) => <th key={h} className="px-2 py-1 font-semibold">{h}</th>)}</tr>
+              </thead>
+              <tbody>
+                {result.items.map((e) => (
+                  <tr key={e.seq} className="border-t align-top">
+                    <td className="px-2 py-1 text-neutral-500" title={e.hash}>{e.seq}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">{date(e.at)}</td>
+                    <td className="px-2 py-1">{e.actor} <span className="text-neutral-500">({e.actorRole})</span></td>
+                    <td className="px-2 py-1 font-mono">{e.action}</td>
+                    <td className="px-2 py-1">
+                      {e.targetType && (
+                        <button className="underline" onClick={() => { setFilters({ ...EMPTY_AUDIT_FILTERS, targetType: e.targetType, targetId: e.targetId || "" }); setPage(1); }}>
+                          {e.targetType}{e.targetId && ` ${e.targetId.slice(0, 8)}`}
+                        </button>
+                      )}
+                    </td>
+                    <td className={cls("px-2 py-1", AUDIT_OUTCOME_STYLE[e.outcome])}>{e.outcome}{e.status && ` (${e.status})`}</td>
+                    <td className="px-2 py-1 font-mono break-all">{e.details && JSON.stringify(e.details)}</td>
+                  </tr>
+                ))}
+                {!result.items.length && <tr><td className="px-2 py-3 text-neutral-500" colSpan={7}>{log.loading ? "Loading…" : "No entries."}</td></tr>}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 flex items-center gap-2 text-sm">
+            <button className="btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {pages} · {result.total} entries</span>
+            <button className="btn-secondary" disabled={page >= pages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+const EXPORT_EXTENSIONS = { "text/csv": "csv", "application/zip": "zip" };
+
+// Staff: choose sheets, columns (and their order) and filters; the server builds the file
+function ExportBuilder() {
+  const [open, setOpen] = useState(false);
+  const [spec, setSpec] = useLocalStorage("pw_export_builder", { ...DEFAULT_EXPORT, skip: {} });
+  const [target] = useGoogleTarget();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const skip = spec.skip || {};
+
+  const setColumns = (id, cols) => setSpec((s) => ({ ...s, sheets: { ...s.sheets, [id]: cols } }));
+  const setFilter = (key, value) => setSpec((s) => ({ ...s, filters: { ...s.filters, [key]: value } }));
+  const toggleSheet = (id, on) => setSpec((s) => ({ ...s, skip: { ...s.skip, [id]: !on } }));
+
+  async function run(toDrive) {
+    setBusy(true);
+    setError("");
+    const sheets = Object.fromEntries(Object.keys(EXPORT_SHEETS).filter((id) => !skip[id]).map((id) => [id, spec.sheets[id] || []]));
+    try {
+      const blob = await store.exportData({ format: spec.format, sheets, filters: spec.filters });
+      const ext = EXPORT_EXTENSIONS[blob.type.split(";")[0]] || "xlsx";
+      const filename = `peddlewest-export-${new Date().toISOString().slice(0, 10)}.${ext}`;
+      saveBlob(blob, filename);
+      if (toDrive) {
+        const token = await gapiSignIn();
+        await uploadBlobToDrive({ accessToken: token, blob, filename, mimeType: blob.type, folderId: target.folderId });
+        store.recordAuditEvent("assessments.export", { destination: "google_drive", format: spec.format, sheets: Object.keys(sheets) }).catch(() => {});
+        alert("Exported and uploaded to Drive.");
+      }
+    } catch (e) {
+      setError(e.message || "Drive upload failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <section className="mt-4 rounded-xl border p-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold" style={{ color: brand.primary }}>Export</h3>
+        <button className="text-sm underline" onClick={() => setOpen(!open)}>{open ? "Hide" : "Build an export"}</button>
       </div>
-      <div className="mt-4 overflow-auto rounded-xl border">
-        <table className="min-w-full text-sm">
-          <thead className="bg-neutral-50 text-left">
-            <tr>
-              {"timestamp firstName lastName email age education program overall".split(" ").map(h => (
-                <th key={h} className="px-3 py-2 font-semibold text-neutral-700 whitespace-nowrap">{h}</th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {assessments.map((r, i) => (
-              <tr key={i} className={i % 2 ? "bg-white" : "bg-neutral-50/40"}>
-                <td className="px-3 py-2 whitespace-nowrap">{r.timestamp}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.firstName}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.lastName}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.email}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.age}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.education}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.program}</td>
-                <td className="px-3 py-2 whitespace-nowrap">{r.overall}</td>
+      {open && (
+        <div className="mt-3 grid gap-4 text-sm">
+          <div className="grid gap-2 md:grid-cols-5">
+            <label>Format
+              <select className="input block mt-1 w-full" value={spec.format} onChange={(e) => setSpec((s) => ({ ...s, format: e.target.value }))}>
+                <option value="xlsx">Excel (.xlsx)</option>
+                <option value="csv">CSV</option>
+              </select>
+            </label>
+            <label>From<input type="date" className="input block mt-1 w-full" value={spec.filters.from} onChange={(e) => setFilter("from", e.target.value)} /></label>
+            <label>To<input type="date" className="input block mt-1 w-full" value={spec.filters.to} onChange={(e) => setFilter("to", e.target.value)} /></label>
+            <label>Program
+              <select className="input block mt-1 w-full" value={spec.filters.program} onChange={(e) => setFilter("program", e.target.value)}>
+                <option value="">All programs</option>
+                {PROGRAMS.map((p) => <option key={p}>{p}</option>)}
+              </select>
+            </label>
+            <label>Status
+              <select className="input block mt-1 w-full" value={spec.filters.status} onChange={(e) => setFilter("status", e.target.value)}>
+                <option value="">All statuses</option>
+                {CASE_STATES.map((st) => <option key={st}>{st}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="grid gap-3 md:grid-cols-2">
+            {Object.entries(EXPORT_SHEETS).map(([id, sheet]) => (
+              <ExportSheetColumns key={id} sheet={sheet} included={!skip[id]} columns={spec.sheets[id] || []}
+                                  onToggle={(on) => toggleSheet(id, on)} onChange={(cols) => setColumns(id, cols)} />
+            ))}
+          </div>
+          {spec.format === "csv" && <p className="text-neutral-500">CSV holds one sheet per file; several sheets download as a zip of CSV files.</p>}
+          {error && <p className="text-red-600" role="alert">{error}</p>}
+          <div className="flex flex-wrap gap-2">
+            <button className="btn-primary" disabled={busy} onClick={() => run(false)}>{busy ? "Exporting…" : "Download"}</button>
+            <button className="btn-secondary" disabled={busy} onClick={() => run(true)}>Download and upload to Drive</button>
+            <button className="text-sm underline" onClick={() => setSpec({ ...DEFAULT_EXPORT, skip: {} })}>Reset columns</button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Staff: keep the master Google Sheet up to date – one row per assessment, updated in place
+function SheetsSync() {
+  const [target, setTarget] = useGoogleTarget();
+  const [folder, setFolder] = useState(target.folderId);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  function saveFolder() {
+    const folderId = parseFolderId(folder);
+    if (folder.trim() && !folderId) { setError("Paste a Drive folder link or folder ID."); return; }
+    setError("");
+    // A different folder means a different master spreadsheet
+    setTarget((t) => ({ ...t, folderId, spreadsheetId: folderId === t.folderId ? t.spreadsheetId : undefined }));
+    setFolder(folderId);
+  }
+
+  async function sync() {
+    setBusy(true);
+    setError("");
+    try {
+      const [assessments, cases] = await Promise.all([store.listAssessments(), store.listCases()]);
+      const caseById = Object.fromEntries(cases.map((c) => [c.id, c]));
+      const rows = assessments.map((a) => ({
+        [ID_COLUMN]: a.id,
+        submitted_at: a.createdAt,
+        case_status: caseById[a.caseId]?.status || "",
+        case_outcome: caseById[a.caseId]?.outcome || "",
+        ...a.row,
+      }));
+      let token;
+      const google = createGoogleApi({ getToken: async () => (token = token || await gapiSignIn()) });
+      const out = await createSheetsSync({ google, target }).upsertRows(rows);
+      setTarget((t) => ({ ...t, spreadsheetId: out.spreadsheetId }));
+      setResult(out);
+      store.recordAuditEvent("assessments.export", { destination: "google_sheets", appended: out.appended, updated: out.updated }).catch(() => {});
+    } catch (e) {
+      // A remembered spreadsheet may have been deleted; look it up again next time
+      if (/not found/i.test(e.message || "")) setTarget((t) => ({ ...t, spreadsheetId: undefined }));
+      setError(e.message || "Google Sheets sync failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <section className="mt-4 rounded-xl border p-4 text-sm">
+      <h3 className="font-semibold" style={{ color: brand.primary }}>Google Sheets</h3>
+      <p className="mt-1 text-neutral-600">Keeps one spreadsheet, "{target.title}", up to date: new assessments are appended, existing ones updated by assessment ID.</p>
+      <div className="mt-2 flex flex-wrap gap-2 items-end">
+        <label className="flex-1 min-w-[240px]">Drive folder (link or ID; empty = My Drive)
+          <input className="input block mt-1 w-full" value={folder} onChange={(e) => setFolder(e.target.value)} onBlur={saveFolder} />
+        </label>
+        <button className="btn-primary" disabled={busy} onClick={sync}>{busy ? "Syncing…" : "Sync to Google Sheets"}</button>
+      </div>
+      {error && <p className="mt-2 text-red-600" role="alert">{error}</p>}
+      {result && (
+        <p className="mt-2 text-neutral-700">
+          {result.appended} added, {result.updated} updated ·{" "}
+          <a className="underline" href={`https://docs.google.com/spreadsheets/d/${result.spreadsheetId}`} target="_blank" rel="noreferrer">Open spreadsheet</a>
+        </p>
+      )}
+    </section>
+  );
+}
+
+function ExportSheetColumns({ sheet, included, columns, onToggle, onChange }) {
+  const byKey = Object.fromEntries(sheet.columns.map((c) => [c.key, c]));
+  const available = sheet.columns.filter((c) => !columns.includes(c.key));
+  return (
+    <fieldset className={cls("rounded-lg border p-3", !included && "opacity-60")}>
+      <legend className="px-1">
+        <label className="flex gap-2 items-center font-semibold"><input type="checkbox" checked={included} onChange={(e) => onToggle(e.target.checked)} />{sheet.label}</label>
+      </legend>
+      <ol className="grid gap-1">
+        {columns.filter((k) => byKey[k]).map((key, i, list) => (
+          <li key={key} className="flex items-center gap-2">
+            <span className="flex-1">{byKey[key].label}</span>
+            <button className="px-1" aria-label={`Move ${byKey[key].label} up`} disabled={i === 0} onClick={() => onChange(moveEntry(list, i, i - 1))}>↑</button>
+            <button className="px-1" aria-label={`Move ${byKey[key].label} down`} disabled={i === list.length - 1} onClick={() => onChange(moveEntry(list, i, i + 1))}>↓</button>
+            <button className="px-1" aria-label={`Remove ${byKey[key].label}`} onClick={() => onChange(list.filter((k) => k !== key))}>✕</button>
+          </li>
+        ))}
+      </ol>
+      {available.length > 0 && (
+        <select className="input mt-2 w-full" value="" onChange={(e) => e.target.value && onChange([...columns, e.target.value])} aria-label={`Add a column to ${sheet.label}`}>
+          <option value="">Add column…</option>
+          {available.map((c) => <option key={c.key} value={c.key}>{c.label}</option>)}
+        </select>
+      )}
+    </fieldset>
+  );
+}
+
+function downloadCaseData(caseId) {
+  return store.exportCaseData(caseId)
+    .then((blob) => saveBlob(blob, `peddlewest-data-${new Date().toISOString().slice(0, 10)}.zip`))
+    .catch((e) => alert(e.message));
+}
+
+function ConsentHistory({ consents }) {
+  const { t, date } = useI18n();
+  if (!consents.length) return <p className="text-sm text-neutral-500">{t("privacy.noConsent")}</p>;
+  return (
+    <ul className="text-sm space-y-1">
+      {consents.map((c) => (
+        <li key={c.id}>
+          {t("privacy.consentLine", { version: c.version, when: date(c.acceptedAt) })}{" "}
+          {c.purposes.map((p) => t(`consent.purpose.${p}`, {}, CONSENT_PURPOSES[p]?.label || p)).join("; ")}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Client: what they agreed to, a copy of their data, and a deletion request (handled by an admin)
+function ClientPrivacy({ caseId }) {
+  const { t } = useI18n();
+  const consents = useRemote(() => store.listConsents(caseId), [caseId]);
+  const [requested, setRequested] = useState(false);
+  async function requestDeletion() {
+    if (!confirm(t("privacy.confirmDeletion"))) return;
+    try {
+      // Sent in English: it is read by staff
+      await store.startThread(caseId, { subject: "Data deletion request", body: "Please delete my file, documents and account." });
+      setRequested(true);
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+  return (
+    <div className="grid gap-3 text-sm text-neutral-700">
+      <ConsentHistory consents={consents.data || []} />
+      <div className="flex flex-wrap gap-2">
+        <button className="btn-secondary" onClick={() => downloadCaseData(caseId)}>{t("privacy.download")}</button>
+        <button className="btn-secondary" onClick={requestDeletion} disabled={requested}>{t(requested ? "privacy.deletionRequested" : "privacy.requestDeletion")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Which case events reach the signed-in user by email and text (server/notifications.js)
+function NotificationSettings() {
+  const { t } = useI18n();
+  const prefs = useRemote(() => store.notificationPreferences(), []);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => { if (prefs.data) setDraft(prefs.data); }, [prefs.data]);
+  if (!draft) return <p className="text-sm text-neutral-500">{prefs.error ? prefs.error.message : "…"}</p>;
+
+  const channels = NOTIFICATION_CHANNELS.filter((ch) => ch !== "sms" || draft.smsAvailable);
+  const edit = (patch) => { setSaved(false); setError(""); setDraft((d) => ({ ...d, ...patch })); };
+  async function save(e) {
+    e.preventDefault();
+    if (draft.phone && !isPhone(draft.phone)) { setError(t("notifications.phoneInvalid")); return; }
+    if (!draft.phone && Object.values(draft.sms).some(Boolean)) { setError(t("notifications.phoneRequired")); return; }
+    try {
+      setDraft(await store.setNotificationPreferences(draft));
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <form onSubmit={save} className="text-sm text-neutral-700">
+      <p>{t("notifications.intro")}</p>
+      <table className="mt-3 w-full">
+        <thead>
+          <tr>
+            <th className="text-start font-medium">{t("notifications.event")}</th>
+            {channels.map((ch) => <th key={ch} className="w-20 font-medium">{t(`notifications.channel.${ch}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(NOTIFICATION_EVENTS).map(([key, ev]) => {
+            const label = t(`notifications.event.${key}`, {}, ev.label);
+            return (
+              <tr key={key} className="border-t">
+                <td className="py-2">
+                  <div>{label}</div>
+                  <div className="text-xs text-neutral-500">{t(`notifications.event.${key}.description`, {}, ev.description)}</div>
+                </td>
+                {channels.map((ch) => (
+                  <td key={ch} className="text-center">
+                    <input type="checkbox" checked={draft[ch][key]} aria-label={`${label} – ${t(`notifications.channel.${ch}`)}`}
+                      onChange={(e) => edit({ [ch]: { ...draft[ch], [key]: e.target.checked } })} />
+                  </td>
+                ))}
               </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {draft.smsAvailable && (
+        <Field label={t("notifications.phone")}>
+          <input type="tel" dir="ltr" autoComplete="tel" placeholder="+1 604 555 0123" value={draft.phone} onChange={(e) => edit({ phone: e.target.value })} />
+        </Field>
+      )}
+      {error && <p className="mt-2 text-red-700" role="alert">{error}</p>}
+      <div className="mt-3 flex gap-3">
+        <button className="btn-secondary">{t("notifications.save")}</button>
+        {saved && <span className="self-center text-green-700" role="status">{t("notifications.saved")}</span>}
+      </div>
+    </form>
+  );
+}
+
+// Staff: emails and texts sent about one case, newest first
+function CaseNotifications({ caseId }) {
+  const { date } = useI18n();
+  const log = useRemote(() => store.caseNotifications(caseId), [caseId]);
+  if (!log.data?.length) return null;
+  return (
+    <div className="mt-4">
+      <div className="font-semibold">Notifications</div>
+      <ul className="text-sm">
+        {log.data.map((n) => (
+          <li key={n.id} className={cls(n.status === "failed" && "text-red-700")} title={n.error || undefined}>
+            {date(n.createdAt)} · {n.channel === "sms" ? "Text" : "Email"} to {n.recipient} · {n.subject}{n.status !== "sent" && ` (${n.status})`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Staff: consent records, data export and (admin) right-to-erasure for one case
+function CasePrivacy({ c, isAdmin, onErased, onChange }) {
+  const consents = useRemote(() => store.listConsents(c.id), [c.id]);
+  const [confirm, setConfirm] = useState("");
+  const [reason, setReason] = useState("Client request");
+  const [deleteAccount, setDeleteAccount] = useState(true);
+  const [error, setError] = useState("");
+  const [driveBusy, setDriveBusy] = useState(false);
+
+  // Drive copies are plaintext the server cannot reach: they go first, from this browser
+  async function deleteDriveFolder() {
+    if (!window.confirm("Permanently delete this file's Google Drive folder and every document copied into it?")) return;
+    setDriveBusy(true);
+    setError("");
+    try {
+      const token = await gapiSignIn();
+      await createDriveUploader({ getToken: () => token }).deleteFile(c.driveFolderId);
+      await store.setCaseDriveFolder(c.id, null);
+      onChange();
+    } catch (err) {
+      setError(err.message || "Google sign-in failed");
+    } finally {
+      setDriveBusy(false);
+    }
+  }
+
+  async function erase(e) {
+    e.preventDefault();
+    setError("");
+    try {
+      await store.eraseCase(c.id, { confirm, reason, deleteAccount });
+      onErased();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div>
+        <div className="font-semibold">Consent</div>
+        <ConsentHistory consents={consents.data || []} />
+      </div>
+      <div>
+        <div className="font-semibold">Data export</div>
+        <p className="text-sm text-neutral-600">Everything we hold on this file as a zip: answers, history, messages and decrypted documents.</p>
+        <button className="mt-1 btn-secondary" onClick={() => downloadCaseData(c.id)}>Download data (.zip)</button>
+      </div>
+      {isAdmin && (
+        <form className="rounded-lg border border-red-200 p-3" onSubmit={erase}>
+          <div className="font-semibold text-red-800">Erase this client's data</div>
+          <p className="text-sm text-neutral-600">Permanently deletes assessments, documents, checklist, history and messages. Invoices and payments are kept for tax records, with only the client's name and email. This cannot be undone; the audit log keeps a record that it happened.</p>
+          {c.driveFolderId && (
+            <div className="mt-2 rounded border border-amber-300 bg-amber-50 p-2 text-sm">
+              Documents were copied to <a className="underline" href={`https://drive.google.com/drive/folders/${c.driveFolderId}`} target="_blank" rel="noreferrer">this Google Drive folder</a>. Delete it before erasing.
+              <button type="button" className="mt-1 block btn-secondary" onClick={deleteDriveFolder} disabled={driveBusy}>{driveBusy ? "Deleting…" : "Delete Drive folder"}</button>
+            </div>
+          )}
+          <label className="mt-2 block text-sm">Reason<input className="input block mt-1 w-full" value={reason} onChange={(e) => setReason(e.target.value)} /></label>
+          <label className="mt-2 flex gap-2 items-center text-sm"><input type="checkbox" checked={deleteAccount} onChange={(e) => setDeleteAccount(e.target.checked)} />Also delete the client's login</label>
+          <label className="mt-2 block text-sm">Type <strong>{c.email}</strong> to confirm<input className="input block mt-1 w-full" value={confirm} onChange={(e) => setConfirm(e.target.value)} /></label>
+          {error && <p className="mt-2 text-sm text-red-600" role="alert">{error}</p>}
+          <button className="mt-2 btn-primary" style={{ backgroundColor: "#b91c1c" }} disabled={Boolean(c.driveFolderId) || confirm.trim().toLowerCase() !== c.email}>Erase permanently</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Files past the retention period (server config); admins can purge on demand
+function RetentionPanel({ isAdmin, onChange }) {
+  const [open, setOpen] = useState(false);
+  const preview = useRemote(() => (open ? store.retentionPreview() : null), [open]);
+  async function purge() {
+    if (!confirm(`Erase ${preview.data.due.length} file(s) past their retention period?`)) return;
+    try {
+      const { blocked } = await store.purgeExpired();
+      if (blocked) alert(`${blocked} file(s) were kept: delete their Google Drive folder from the privacy tab first.`);
+    } catch (e) { alert(e.message); }
+    preview.reload();
+    onChange();
+  }
+  const rules = preview.data?.rules;
+  return (
+    <section className="mt-8">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Data retention</h3>
+        <button className="text-sm underline" onClick={() => setOpen(!open)}>{open ? "Hide" : "Show"}</button>
+      </div>
+      {open && (
+        <div className="mt-2 text-sm">
+          {preview.error && <p className="text-red-600" role="alert">{preview.error.message}</p>}
+          {rules && <p className="text-neutral-600">Closed files are erased {rules.closedYears} years after the decision; leads that never retained us after {rules.inactiveLeadYears} years without activity. Checked every {rules.sweepHours} hours.</p>}
+          <ul className="mt-2 divide-y rounded-lg border">
+            {(preview.data?.due || []).map((c) => (
+              <li key={c.id} className="p-2 flex justify-between gap-2"><span>{c.name || c.email} · {c.status}</span><span className="text-neutral-500">{c.rule}{c.driveFolderId && " · delete its Google Drive folder first"}</span></li>
             ))}
-            {!assessments.length && (
-              <tr><td className="px-3 py-4 text-neutral-500" colSpan={8}>No submissions yet.</td></tr>
-            )}
-          </tbody>
-        </table>
+            {preview.data && !preview.data.due.length && <li className="p-2 text-neutral-500">Nothing is due for deletion.</li>}
+          </ul>
+          {isAdmin && preview.data?.due.length > 0 && <button className="mt-2 btn-secondary" onClick={purge}>Erase expired files now</button>}
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Staff: everything booked from now on, native and Calendly, linked to its case
+function UpcomingAppointments({ onOpenCase }) {
+  const { date } = useI18n();
+  const appts = useRemote(() => store.listAppointments({ upcoming: true }), []);
+  usePolling(appts.reload, 60000, []);
+  async function cancel(a) {
+    const reason = prompt(`Cancel ${a.typeName} with ${a.clientName || a.clientEmail}? The client is emailed. Reason (optional):`);
+    if (reason === null) return;
+    try { await store.cancelAppointment(a.id, reason); } catch (e) { alert(e.message); }
+    appts.reload();
+  }
+  return (
+    <section className="mt-8">
+      <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Upcoming appointments</h3>
+      {appts.error && <p className="mt-2 text-sm text-red-600" role="alert">{appts.error.message}</p>}
+      <ul className="mt-2 divide-y rounded-lg border text-sm">
+        {(appts.data || []).map((a) => (
+          <li key={a.id} className="p-2 flex flex-wrap justify-between gap-2">
+            <span>
+              {date(a.start)} · {a.typeName} · {a.clientName || a.clientEmail}
+              {" · "}{a.staffName || "unassigned"}{a.provider !== "native" && <span className="text-neutral-500"> · via {a.provider}</span>}
+            </span>
+            <span className="flex gap-3">
+              {a.caseId && <button className="underline" onClick={() => onOpenCase(a.caseId)}>Open case</button>}
+              <button className="underline" onClick={() => downloadIcs(a)}>.ics</button>
+              {a.provider === "native" && <button className="underline text-red-700" onClick={() => cancel(a)}>Cancel</button>}
+            </span>
+          </li>
+        ))}
+        {appts.data && !appts.data.length && <li className="p-2 text-neutral-500">Nothing booked.</li>}
+      </ul>
+    </section>
+  );
+}
+
+function CaseAppointments({ caseId }) {
+  const { date } = useI18n();
+  const appts = useRemote(() => store.listAppointments({ caseId }), [caseId]);
+  if (!appts.data?.length) return null;
+  return (
+    <div className="mt-4">
+      <div className="font-semibold">Appointments</div>
+      <ul className="text-sm">
+        {appts.data.map((a) => (
+          <li key={a.id} className={cls(a.status === "cancelled" && "line-through text-neutral-500")}>
+            {date(a.start)} · {a.typeName}{a.staffName && ` with ${a.staffName}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Staff: invoices for one case – write a new one with live totals, record payments received, void
+function CaseBilling({ c }) {
+  const config = useRemote(() => store.billingConfig(), []);
+  const list = useRemote(() => store.listInvoices(c.id), [c.id]);
+  const [creating, setCreating] = useState(false);
+  const invoices = list.data || [];
+  const owed = outstanding(invoices);
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          Outstanding <span className="font-semibold">{formatMoney(owed.balance)}</span>
+          {owed.overdue > 0 && <span className="text-red-700"> · {formatMoney(owed.overdue)} overdue</span>}
+        </div>
+        {!creating && config.data && <button className="btn-secondary" onClick={() => setCreating(true)}>New invoice</button>}
+      </div>
+      {list.error && <p className="mt-2 text-red-600" role="alert">{list.error.message}</p>}
+      {creating && <InvoiceForm caseId={c.id} config={config.data} onCancel={() => setCreating(false)} onCreated={() => { setCreating(false); list.reload(); }} />}
+      <ul className="mt-4 grid gap-3">
+        {invoices.map((i) => <StaffInvoice key={i.id} invoice={i} client={{ name: c.name, email: c.email }} onChange={list.reload} />)}
+      </ul>
+      {list.data && !invoices.length && <p className="mt-2 text-neutral-500">No invoices yet.</p>}
+    </div>
+  );
+}
+
+const formLine = (category) => ({ ...emptyLine(category), price: "" });
+const toInvoiceLine = (l) => ({ description: l.description.trim(), category: l.category, quantity: Number(l.quantity), unitAmount: toCents(l.price) });
+
+function InvoiceForm({ caseId, config, onCreated, onCancel }) {
+  const [region, setRegion] = useState(config.defaultRegion);
+  const [dueDate, setDueDate] = useState(() => new Date(Date.now() + config.dueDays * 86400000).toISOString().slice(0, 10));
+  const [notes, setNotes] = useState("");
+  const [lines, setLines] = useState(() => [formLine("consultation")]);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const priced = lines.map(toInvoiceLine);
+  // Lines still being typed count as zero in the running totals
+  const totals = invoiceTotals(priced.map((l) => ({ ...l, quantity: l.quantity || 0, unitAmount: l.unitAmount || 0 })), region);
+  const edit = (i, patch) => setLines((ls) => ls.map((l, j) => (j === i ? { ...l, ...patch } : l)));
+
+  async function submit(e) {
+    e.preventDefault();
+    const problem = lineProblem(priced);
+    if (problem) { setError(problem); return; }
+    setBusy(true);
+    setError("");
+    try {
+      await store.createInvoice(caseId, { lines: priced, region, dueDate, notes });
+      onCreated();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="mt-3 rounded-lg border p-3">
+      <div className="font-semibold">New invoice</div>
+      <div className="mt-2 grid gap-3 sm:grid-cols-2">
+        <label className="block">
+          Client's province (sales tax)
+          <select className="input block mt-1 w-full" value={region} onChange={(e) => setRegion(e.target.value)}>
+            {Object.entries(TAX_REGIONS).map(([code, r]) => <option key={code} value={code}>{r.label}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          Due
+          <input type="date" className="input block mt-1 w-full" value={dueDate} onChange={(e) => setDueDate(e.target.value)} required />
+        </label>
+      </div>
+      <table className="mt-3 w-full">
+        <thead>
+          <tr className="text-start text-neutral-500">
+            <th className="text-start font-medium">Description</th>
+            <th className="text-start font-medium">Category</th>
+            <th className="w-14 text-end font-medium">Qty</th>
+            <th className="w-24 text-end font-medium">Price</th>
+            <th className="w-24 text-end font-medium">Amount</th>
+            <th className="w-6" />
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((l, i) => (
+            <tr key={i}>
+              <td><input className="input w-full" aria-label="Description" value={l.description} onChange={(e) => edit(i, { description: e.target.value })} /></td>
+              <td>
+                <select className="input w-full" aria-label="Category" value={l.category} onChange={(e) => edit(i, { category: e.target.value })}>
+                  {Object.entries(LINE_CATEGORIES).map(([key, cat]) => <option key={key} value={key}>{cat.label}</option>)}
+                </select>
+              </td>
+              <td><input type="number" min="1" max="100" className="input w-full text-end" aria-label="Quantity" value={l.quantity} onChange={(e) => edit(i, { quantity: e.target.value })} /></td>
+              <td><input inputMode="decimal" className="input w-full text-end" aria-label="Price" placeholder="0.00" value={l.price} onChange={(e) => edit(i, { price: e.target.value })} /></td>
+              <td className="text-end">{formatMoney(totals.lines[i].amount)}</td>
+              <td>{lines.length > 1 && <button type="button" aria-label="Remove line" onClick={() => setLines((ls) => ls.filter((_, j) => j !== i))}>×</button>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" className="mt-2 underline" onClick={() => setLines((ls) => [...ls, formLine("professional")])}>Add line</button>
+      <dl className="mt-3 ms-auto grid w-64 grid-cols-2 gap-x-4 text-end">
+        <dt>Subtotal</dt><dd>{formatMoney(totals.subtotal)}</dd>
+        {totals.taxes.map((tax) => <React.Fragment key={tax.code}><dt>{tax.label}</dt><dd>{formatMoney(tax.amount)}</dd></React.Fragment>)}
+        <dt className="font-semibold">Total</dt><dd className="font-semibold">{formatMoney(totals.total)}</dd>
+      </dl>
+      <label className="mt-3 block">
+        Note to the client (optional)
+        <textarea className="input block mt-1 w-full" rows={2} value={notes} onChange={(e) => setNotes(e.target.value)} />
+      </label>
+      {error && <p className="mt-2 text-red-700" role="alert">{error}</p>}
+      <div className="mt-3 flex gap-3">
+        <button className="btn-primary" disabled={busy}>{busy ? "Issuing…" : "Issue invoice"}</button>
+        <button type="button" className="btn-secondary" onClick={onCancel}>Cancel</button>
+      </div>
+      <p className="mt-2 text-xs text-neutral-500">The client is notified and can pay from their dashboard.</p>
+    </form>
+  );
+}
+
+function StaffInvoice({ invoice: i, client, onChange }) {
+  const { date } = useI18n();
+  const [payment, setPayment] = useState(null);
+  const [error, setError] = useState("");
+  const pending = i.payments.some((p) => p.status === "pending");
+  const pdf = (p) => p.catch((e) => alert(e.message));
+
+  async function record(e) {
+    e.preventDefault();
+    const amount = toCents(payment.amount);
+    if (!amount) { setError("Enter the amount received."); return; }
+    try {
+      await store.recordPayment(i.id, { amount, method: payment.method, note: payment.note, clientRef: payment.clientRef });
+      setPayment(null);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function voidInvoice() {
+    const reason = prompt(`Void invoice ${i.number}? It stays on file marked void. Reason:`);
+    if (!reason) return;
+    try { await store.voidInvoice(i.id, reason); } catch (e) { alert(e.message); }
+    onChange();
+  }
+
+  return (
+    <li className="rounded-lg border p-3">
+      <div className="flex flex-wrap justify-between gap-2">
+        <span className="font-medium">{i.number} · {formatMoney(i.total)} <span className="font-normal text-neutral-500">({TAX_REGIONS[i.region]?.label || i.region})</span></span>
+        <span className={INVOICE_STATUS_STYLE[i.status]}>{i.status === "open" ? `Open · ${formatMoney(i.balance)} owing` : i.status === "paid" ? "Paid" : "Void"}</span>
+      </div>
+      <div className="text-xs text-neutral-500">
+        Issued {date(i.createdAt, "date")} · due {date(dueDay(i), "date")}
+        {i.status === "void" && ` · voided ${date(i.voidedAt, "date")}: ${i.voidReason}`}
+      </div>
+      {i.payments.length > 0 && (
+        <ul className="mt-2">
+          {i.payments.map((p) => (
+            <li key={p.id} className={cls(p.status === "failed" && "text-neutral-500 line-through")} title={p.error || undefined}>
+              {date(p.settledAt || p.createdAt)} · {PAYMENT_METHODS[p.method] || p.method} · {formatMoney(p.amount)}
+              {p.status === "succeeded" ? <> · <button className="underline" onClick={() => pdf(downloadReceipt(i, p, client))}>{p.receiptNumber}</button></> : ` (${p.status})`}
+              {p.note && <span className="text-neutral-500"> · {p.note}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-2 flex flex-wrap gap-3">
+        <button className="underline" onClick={() => pdf(downloadInvoice(i, client))}>Invoice PDF</button>
+        {i.status === "open" && !payment && (
+          <button className="underline" onClick={() => { setError(""); setPayment({ amount: (i.balance / 100).toFixed(2), method: "etransfer", note: "", clientRef: crypto.randomUUID() }); }}>Record payment</button>
+        )}
+        {i.status === "open" && !pending && !paidPayments(i).length && <button className="underline text-red-700" onClick={voidInvoice}>Void</button>}
+      </div>
+      {payment && (
+        <form onSubmit={record} className="mt-2 flex flex-wrap items-end gap-2">
+          <label>Amount<input inputMode="decimal" className="input block mt-1 w-28" value={payment.amount} onChange={(e) => setPayment({ ...payment, amount: e.target.value })} /></label>
+          <label>
+            Method
+            <select className="input block mt-1" value={payment.method} onChange={(e) => setPayment({ ...payment, method: e.target.value })}>
+              {Object.entries(PAYMENT_METHODS).filter(([key]) => key !== "card").map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="grow">Reference / note<input className="input block mt-1 w-full" value={payment.note} onChange={(e) => setPayment({ ...payment, note: e.target.value })} /></label>
+          <button className="btn-primary">Record</button>
+          <button type="button" className="btn-secondary" onClick={() => setPayment(null)}>Cancel</button>
+        </form>
+      )}
+      {error && <p className="mt-2 text-red-700" role="alert">{error}</p>}
+    </li>
+  );
+}
+
+// Staff: own weekly hours, time off and consultation types
+function BookingSettings() {
+  const { date } = useI18n();
+  const [open, setOpen] = useState(false);
+  const avail = useRemote(() => (open ? store.availability() : null), [open]);
+  const types = useRemote(() => (open ? store.bookingTypes({ all: true }) : null), [open]);
+  const [draft, setDraft] = useState(null);
+  const [timeOff, setTimeOff] = useState({ start: "", end: "", reason: "" });
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => { if (avail.data) setDraft({ timeZone: avail.data.timeZone, rules: avail.data.rules }); }, [avail.data]);
+  const problems = draft ? validateAvailability(draft.rules, draft.timeZone) : [];
+
+  const setRule = (i, patch) => { setSaved(false); setDraft((d) => ({ ...d, rules: d.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) })); };
+  const run = async (fn) => {
+    setError("");
+    try { await fn(); } catch (e) { setError(e.message); }
+  };
+  const saveHours = () => run(async () => { await store.setAvailability(draft); setSaved(true); avail.reload(); });
+  const addTimeOff = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await store.addTimeOff({ start: new Date(timeOff.start).toISOString(), end: new Date(timeOff.end).toISOString(), reason: timeOff.reason });
+      setTimeOff({ start: "", end: "", reason: "" });
+      avail.reload();
+    });
+  };
+  const saveType = (id, patch) => run(async () => { await store.saveBookingType(id, patch); types.reload(); });
+
+  return (
+    <section className="mt-8">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Availability &amp; consultation types</h3>
+        <button className="text-sm underline" onClick={() => setOpen(!open)}>{open ? "Hide" : "Show"}</button>
       </div>
+      {open && (
+        <div className="mt-2 grid gap-4 text-sm">
+          {error && <p className="text-red-600" role="alert">{error}</p>}
+
+          {draft && (
+            <div className="rounded-lg border p-3">
+              <div className="font-semibold">My weekly hours</div>
+              <label className="mt-2 flex items-center gap-2">Time zone
+                <select className="input" value={draft.timeZone} onChange={(e) => { setSaved(false); setDraft({ ...draft, timeZone: e.target.value }); }}>
+                  {(TIME_ZONES.includes(draft.timeZone) ? TIME_ZONES : [draft.timeZone, ...TIME_ZONES]).map((z) => <option key={z} value={z}>{z.replace(/_/g, " ")}</option>)}
+                </select>
+              </label>
+              <div className="mt-2 grid gap-1">
+                {draft.rules.map((r, i) => (
+                  <div key={i} className="flex flex-wrap items-center gap-2">
+                    <select className="input" value={r.weekday} onChange={(e) => setRule(i, { weekday: Number(e.target.value) })} aria-label="Day">
+                      {WEEKDAYS.map((d, n) => <option key={d} value={n}>{d}</option>)}
+                    </select>
+                    <input type="time" className="input" value={r.start} onChange={(e) => setRule(i, { start: e.target.value })} aria-label="From" />
+                    <span>to</span>
+                    <input type="time" className="input" value={r.end} onChange={(e) => setRule(i, { end: e.target.value })} aria-label="Until" />
+                    <button className="underline" onClick={() => { setSaved(false); setDraft({ ...draft, rules: draft.rules.filter((_, j) => j !== i) }); }}>Remove</button>
+                  </div>
+                ))}
+                {!draft.rules.length && <p className="text-neutral-500">No hours yet – clients cannot book you.</p>}
+              </div>
+              {problems.length > 0 && <ul className="mt-2 text-red-700 list-disc list-inside">{problems.map((p) => <li key={p}>{p}</li>)}</ul>}
+              <div className="mt-2 flex gap-2">
+                <button className="btn-secondary" onClick={() => { setSaved(false); setDraft({ ...draft, rules: [...draft.rules, { weekday: 1, start: "09:00", end: "17:00" }] }); }}>Add hours</button>
+                <button className="btn-primary" disabled={problems.length > 0} onClick={saveHours}>Save hours</button>
+                {saved && <span className="self-center text-green-700">Saved</span>}
+              </div>
+            </div>
+          )}
+
+          {avail.data && (
+            <form className="rounded-lg border p-3" onSubmit={addTimeOff}>
+              <div className="font-semibold">Time off</div>
+              <ul className="mt-1">
+                {avail.data.timeOff.map((t) => (
+                  <li key={t.id} className="flex justify-between gap-2">
+                    <span>{date(t.start)} – {date(t.end)}{t.reason && ` · ${t.reason}`}</span>
+                    <button type="button" className="underline" onClick={() => run(async () => { await store.removeTimeOff(t.id); avail.reload(); })}>Remove</button>
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-2 flex flex-wrap gap-2 items-end">
+                <label>From<input type="datetime-local" className="input block mt-1" required value={timeOff.start} onChange={(e) => setTimeOff({ ...timeOff, start: e.target.value })} /></label>
+                <label>Until<input type="datetime-local" className="input block mt-1" required value={timeOff.end} onChange={(e) => setTimeOff({ ...timeOff, end: e.target.value })} /></label>
+                <label>Reason<input className="input block mt-1" value={timeOff.reason} onChange={(e) => setTimeOff({ ...timeOff, reason: e.target.value })} /></label>
+                <button className="btn-secondary">Add time off</button>
+              </div>
+            </form>
+          )}
+
+          <div className="rounded-lg border p-3">
+            <div className="font-semibold">Consultation types</div>
+            <div className="mt-1 grid gap-1">
+              {(types.data || []).map((t) => <ConsultationTypeRow key={t.id} type={t} onSave={(patch) => saveType(t.id, patch)} />)}
+            </div>
+            <button className="mt-2 btn-secondary" onClick={() => saveType(null, { name: "New consultation", durationMin: 30, active: false })}>Add type</button>
+          </div>
+        </div>
+      )}
     </section>
   );
 }
 
+function ConsultationTypeRow({ type, onSave }) {
+  const [name, setName] = useState(type.name);
+  const [duration, setDuration] = useState(type.durationMin);
+  const changed = name !== type.name || Number(duration) !== type.durationMin;
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input className="input flex-1 min-w-[12rem]" value={name} onChange={(e) => setName(e.target.value)} aria-label="Name" />
+      <input type="number" min={5} max={480} step={5} className="input w-24" value={duration} onChange={(e) => setDuration(e.target.value)} aria-label="Minutes" />
+      <span>min</span>
+      <label className="flex items-center gap-1"><input type="checkbox" checked={type.active} onChange={(e) => onSave({ active: e.target.checked })} />Offered</label>
+      {changed && <button className="underline" onClick={() => onSave({ name, durationMin: Number(duration) })}>Save</button>}
+    </div>
+  );
+}
+
+// Slide-over with everything about one client file
+function CaseDrawer({ caseId, staff, isAdmin, onClose, onChange, onErased }) {
+  const { date } = useI18n();
+  const caseQ = useRemote(() => store.getCase(caseId), [caseId]);
+  const assessmentsQ = useRemote(() => store.listAssessments(caseId), [caseId]);
+  const uploads = useRemote(() => store.listUploads(caseId), [caseId]);
+  const [tab, setTab] = useState("overview");
+  const c = caseQ.data;
+  const latest = (assessmentsQ.data || []).at(-1);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  async function assign(staffUserId) {
+    try { await store.assignCase(caseId, staffUserId || null); } catch (e) { alert(e.message); }
+    caseQ.reload();
+    onChange();
+  }
+  const refresh = () => { caseQ.reload(); onChange(); };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end" role="dialog" aria-modal="true" aria-label="Case details">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <aside className="relative h-full w-full max-w-2xl overflow-y-auto bg-white p-6 shadow-xl">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-xl font-semibold" style={{ color: brand.primary }}>{c?.name || c?.email || "…"}</h3>
+            {c && <div className="text-sm text-neutral-600">{c.email} · {c.program || "No program yet"} · opened {date(c.createdAt, "date")}</div>}
+          </div>
+          <button className="text-2xl leading-none" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        {caseQ.error && <p className="mt-2 text-sm text-red-600" role="alert">{caseQ.error.message}</p>}
+        {c && (
+          <>
+            <label className="mt-4 block text-sm">
+              Assigned RCIC
+              <select className="input block mt-1" value={c.assignedTo || ""} onChange={(e) => assign(e.target.value)}>
+                <option value="">Unassigned</option>
+                {staff.map((m) => <option key={m.id} value={m.id}>{m.name || m.email}</option>)}
+              </select>
+            </label>
+            <nav className="mt-4 flex gap-4 border-b text-sm">
+              {[["overview", "Status & history"], ["assessment", "Assessment"], ["documents", "Documents"], ["messages", "Messages"], ["billing", "Billing"], ["privacy", "Privacy"]].map(([key, label]) => (
+                <button key={key} className={cls("pb-2", tab === key && "border-b-2 font-semibold")} style={tab === key ? { borderColor: brand.primary } : undefined} onClick={() => setTab(key)}>{label}</button>
+              ))}
+            </nav>
+            <div className="mt-4">
+              {tab === "overview" && (
+                <>
+                  <StaffCaseWorkflow c={c} onChange={refresh} />
+                  <CaseAppointments caseId={caseId} />
+                  <CaseNotifications caseId={caseId} />
+                </>
+              )}
+              {tab === "assessment" && (latest ? <AssessmentDetail assessment={latest} count={assessmentsQ.data.length} /> : <p className="text-sm text-neutral-500">No assessment submitted yet.</p>)}
+              {tab === "documents" && (
+                <>
+                  <ChecklistReview caseId={caseId} />
+                  <CaseRetainers caseId={caseId} />
+                  <DriveCopy c={c} uploads={uploads.data || []} onChange={() => { uploads.reload(); refresh(); }} />
+                  <div className="mt-4 grid gap-3 sm:grid-cols-2">
+                    {(uploads.data || []).map((u) => <UploadCard key={u.id} upload={u} />)}
+                    {uploads.data && !uploads.data.length && <p className="text-sm text-neutral-500">No documents yet.</p>}
+                  </div>
+                </>
+              )}
+              {tab === "messages" && <MessageCenter caseId={caseId} />}
+              {tab === "billing" && <CaseBilling c={c} />}
+              {tab === "privacy" && <CasePrivacy c={c} isAdmin={isAdmin} onErased={onErased} onChange={refresh} />}
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+// Every answer of one submission, in questionnaire order, plus the CRS breakdown where scored
+function AssessmentDetail({ assessment, count }) {
+  const { date } = useI18n();
+  const data = withDefaults(assessment.data);
+  const schema = questionnaireFor(data.interest?.program);
+  const answers = Object.entries(flattenAnswers(schema, data)).filter(([, v]) => v !== "" && v != null);
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm text-neutral-600">Submitted {date(assessment.createdAt)}{count > 1 && ` · latest of ${count}`}</div>
+        <button className="btn-secondary text-sm" onClick={() => downloadSummaryPdf(data, assessment.createdAt).catch((e) => alert(e.message))}>Download PDF</button>
+      </div>
+      <dl className="mt-3 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+        {answers.map(([k, v]) => (
+          <React.Fragment key={k}>
+            <dt className="text-neutral-500">{k}</dt>
+            <dd className="break-words">{String(v)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <LanguageLevels data={data} />
+      {schema.scoring === "crs" && <div className="mt-4"><CrsBreakdown score={scoreAssessment(data)} /></div>}
+    </div>
+  );
+}
+
+// Test results converted to CLB / NCLC (lib/languageTests.js), with their two-year validity
+function LanguageLevels({ data }) {
+  const { date } = useI18n();
+  const levels = languageLevels(data);
+  const children = (data.dependants || []).map((c, i) => [[c.firstName, HOUSEHOLD_ROLES.dependant].filter(Boolean).join(" · "), levels.dependants[i]]);
+  const rows = [["First official language", levels.first], ["Second official language", levels.second], ["Spouse / partner", levels.spouse], ...children]
+    .filter(([, r]) => r);
+  if (!rows.length) return null;
+  return (
+    <table className="mt-4 w-full text-sm">
+      <thead>
+        <tr className="text-start text-neutral-500">
+          <th className="text-start font-normal">Language levels</th>
+          <th className="text-start font-normal">Test</th>
+          {LANGUAGE_ABILITIES.map((a) => <th key={a} className="text-start font-normal capitalize">{a}</th>)}
+          <th className="text-start font-normal">Valid until</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, r], i) => (
+          <tr key={i} className="border-t">
+            <td>{label} ({r.language})</td>
+            <td>{r.label}</td>
+            {LANGUAGE_ABILITIES.map((a) => <td key={a}>{r.language === "French" ? "NCLC" : "CLB"} {r.clb[a] || "<4"}</td>)}
+            <td className={r.expired ? "text-red-700" : ""}>{r.expires ? date(r.expires, "date") : "—"}{r.expired && " (expired)"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
 function Card({ title, children }) {
   return (
     <div className="rounded-xl border shadow-sm p-4 bg-white">
@@ -606,59 +3417,140 @@ function Card({ title, children }) {
   );
 }
 
-function LoginModal({ open, onClose, onLogin }) {
+function LoginModal({ open, onClose, auth, notice }) {
+  const { t } = useI18n();
+  const [mode, setMode] = useState("password"); // password | code | register
   const [email, setEmail] = useState("");
-  const [role, setRole] = useState("client");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
   if (!open) return null;
+
+  async function run(fn, close = true) {
+    setBusy(true); setError("");
+    try {
+      await fn();
+      if (close) { setPassword(""); setCode(""); setCodeSent(false); onClose(); }
+    } catch (e) {
+      setError(e.message || t("login.failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function submit() {
+    if (mode === "password") return run(() => auth.login(email, password));
+    const request = mode === "register" ? () => auth.register(email, password, name) : () => auth.requestCode(email);
+    if (!codeSent) return run(async () => { await request(); setCodeSent(true); }, false);
+    return run(() => auth.verifyCode(email, code, mode === "register" ? password : undefined));
+  }
+
+  const tabs = ["password", "code", "register"];
   return (
     <div className="fixed inset-0 z-50 grid place-items-center p-4 bg-black/40" role="dialog" aria-modal="true">
       <div className="w-full max-w-sm rounded-2xl bg-white p-4 shadow-xl">
-        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>Sign in</h3>
-        <p className="text-sm text-neutral-600">Demo sign‑in. No password required.</p>
-        <div className="mt-3">
-          <label className="block text-sm font-medium">Email</label>
-          <input className="input mt-1" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" />
-        </div>
-        <div className="mt-3">
-          <label className="block text-sm font-medium">Role</label>
-          <select className="input mt-1" value={role} onChange={(e) => setRole(e.target.value)}>
-            <option value="client">Client</option>
-            <option value="staff">Staff</option>
-          </select>
-        </div>
-        <div className="mt-4 flex justify-end gap-2">
-          <button className="btn-secondary" onClick={onClose}>Cancel</button>
-          <button className="btn-primary" onClick={() => { onLogin(email, role); onClose(); }}>Continue</button>
+        <h3 className="text-lg font-semibold" style={{ color: brand.primary }}>{t("shell.signIn")}</h3>
+        <div className="mt-2 flex gap-1 text-sm" role="tablist">
+          {tabs.map((k) => (
+            <button key={k} role="tab" aria-selected={mode === k} className={cls("px-2 py-1 rounded", mode === k ? "bg-blue-50 font-semibold" : "text-neutral-600")}
+              onClick={() => { setMode(k); setError(""); setCodeSent(false); }}>{t(`login.tab.${k}`)}</button>
+          ))}
         </div>
+        {(notice || error) && <p className="mt-2 text-sm text-red-600" role="alert">{error || notice}</p>}
+        <form onSubmit={(e) => { e.preventDefault(); submit(); }}>
+          <div className="mt-3">
+            <label className="block text-sm font-medium">{t("login.email")}</label>
+            <input className="input mt-1 w-full" type="email" autoComplete="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@example.com" />
+          </div>
+          {mode === "register" && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium">{t("login.name")}</label>
+              <input className="input mt-1 w-full" autoComplete="name" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+          )}
+          {mode !== "code" && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium">{t("login.password")}</label>
+              <input className="input mt-1 w-full" type="password" autoComplete={mode === "register" ? "new-password" : "current-password"} value={password} onChange={(e) => setPassword(e.target.value)} />
+              {mode === "register" && <p className="mt-1 text-xs text-neutral-500">{t("login.passwordHint")}</p>}
+            </div>
+          )}
+          {mode !== "password" && codeSent && (
+            <div className="mt-3">
+              <label className="block text-sm font-medium">{t("login.code")}</label>
+              <input className="input mt-1 w-full" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} />
+              <p className="mt-1 text-xs text-neutral-500">{t(mode === "register" ? "login.registerSent" : "login.codeSent")}</p>
+            </div>
+          )}
+          <div className="mt-4 flex justify-end gap-2">
+            <button type="button" className="btn-secondary" onClick={onClose}>{t("common.cancel")}</button>
+            <button type="submit" className="btn-primary" disabled={busy}>
+              {busy ? t("common.wait") : mode === "code" && !codeSent ? t("login.emailCode") : t("common.continue")}
+            </button>
+          </div>
+        </form>
       </div>
     </div>
   );
 }
 
 export default function App() {
-  const { user, login, logout } = useAuth();
+  return <I18nProvider><Portal /></I18nProvider>;
+}
+
+function Portal() {
+  const { t, locale } = useI18n();
+  const auth = useAuth();
+  const { user, logout } = auth;
   const [loginOpen, setLoginOpen] = useState(false);
+  const [authNotice, setAuthNotice] = useState("");
+
+  // Emails and texts go out in the language the client last chose here
+  useEffect(() => {
+    if (user?.role === "client") store.setNotificationLocale(locale).catch(() => {});
+  }, [user?.id, locale]);
+
+  // Magic-link landing: #login?token=…
+  useEffect(() => {
+    const m = window.location.hash.match(/^#login\?token=([\w-]+)/);
+    if (!m) return;
+    window.history.replaceState(null, "", "#dashboard");
+    auth.verifyLink(m[1]).catch((e) => { setAuthNotice(e.message); setLoginOpen(true); });
+  }, []);
+
+  // Draft to open in the assessment form: from a resume link (#resume?draft=…&token=…) or "duplicate and amend"
+  const [resume, setResume] = useState(null);
+  useEffect(() => {
+    const m = window.location.hash.match(/^#resume\?(.+)$/);
+    if (!m) return;
+    const q = new URLSearchParams(m[1]);
+    window.history.replaceState(null, "", "#eligibility");
+    if (q.get("draft")) setResume({ id: q.get("draft"), token: q.get("token") });
+  }, []);
 
   return (
     <Shell user={user} onShowLogin={() => setLoginOpen(true)}>
       <Hero />
-      <CalendlySection />
-      <EligibilityForm />
-      <Uploads />
-      <ClientDashboard user={user} />
-      {user?.role === "staff" && <StaffPanel />}
+      <BookingSection user={user} onShowLogin={() => setLoginOpen(true)} />
+      <EligibilityForm user={user} resume={resume} />
+      <Uploads user={user} />
+      <ClientDashboard user={user} onAmend={(d) => setResume({ id: d.id })} />
+      {isStaff(user) && <StaffPanel user={user} />}
 
-      <LoginModal open={loginOpen} onClose={() => setLoginOpen(false)} onLogin={login} />
+      <LoginModal open={loginOpen} onClose={() => { setLoginOpen(false); setAuthNotice(""); }} auth={auth} notice={authNotice} />
 
       {/* Floating account control for quick testing */}
-      <div className="fixed bottom-4 right-4 flex flex-col gap-2">
+      <div className="fixed bottom-4 end-4 flex flex-col gap-2">
         {user ? (
           <button className="rounded-full px-4 py-2 shadow text-sm font-semibold" style={{ backgroundColor: brand.primary, color: "white" }} onClick={logout}>
-            Sign out
+            {t("shell.signOut")}
           </button>
         ) : (
           <button className="rounded-full px-4 py-2 shadow text-sm font-semibold border" style={{ borderColor: brand.primary, color: brand.primary }} onClick={() => setLoginOpen(true)}>
-            Sign in
+            {t("shell.signIn")}
           </button>
         )}
       </div>
@@ -0,0 +1,58 @@
+/**
+ * Thin fetch wrapper for the portal API (server/).
+ * Adds the bearer session token and turns error responses into ApiError.
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * createApiClient({ baseUrl, getToken, onUnauthorized })
+ * Returns { request(method, path, body, opts), get, post, patch, put, del }.
+ */
+export function createApiClient({ baseUrl, getToken = () => null, onUnauthorized } = {}) {
+  async function request(method, path, body, { headers = {}, raw = false } = {}) {
+    const token = getToken();
+    const isBinary = body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+    let res;
+    try {
+      res = await fetch(baseUrl + path, {
+        method,
+        headers: {
+          ...(body !== undefined && !isBinary ? { "Content-Type": "application/json" } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers,
+        },
+        body: body === undefined ? undefined : isBinary ? body : JSON.stringify(body),
+      });
+    } catch (e) {
+      // status 0 = network unreachable (lets callers fall back to offline mode)
+      throw new ApiError(0, "Cannot reach the portal server.", e);
+    }
+    if (res.status === 401 && token) onUnauthorized?.();
+    if (!res.ok) {
+      let msg = res.statusText;
+      let details;
+      try { const j = await res.json(); msg = j.error || msg; details = j.details; } catch {}
+      throw new ApiError(res.status, msg, details);
+    }
+    if (raw) return res;
+    if (res.status === 204) return undefined;
+    const text = await res.text();
+    return text ? JSON.parse(text) : undefined;
+  }
+  return {
+    request,
+    get: (p, o) => request("GET", p, undefined, o),
+    post: (p, b, o) => request("POST", p, b, o),
+    put: (p, b, o) => request("PUT", p, b, o),
+    patch: (p, b, o) => request("PATCH", p, b, o),
+    del: (p, o) => request("DELETE", p, undefined, o),
+  };
+}
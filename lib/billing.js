@@ -0,0 +1,109 @@
+/**
+ * Invoices and payments – line items, sales tax and balances
+ * ---------------------------------------------------------------------------
+ * Shared by the API server (server/billing.js), which stores invoices and
+ * records payments, and the browser, which shows live totals while staff
+ * write an invoice and balances on the client dashboard.
+ *
+ * Amounts are integer cents (CAD) so totals and balances add up exactly;
+ * rates are fractions. A line is { description, category, quantity,
+ * unitAmount } and its category decides whether it is taxed: government
+ * fees are passed through at cost, everything else is a taxable service.
+ *
+ * Sales tax follows the client's province (place of supply): GST, or HST in
+ * the harmonized provinces, plus QST in Quebec. Services to clients outside
+ * Canada are zero-rated. Check the table with the firm's accountant when
+ * rates change.
+ */
+
+export const LINE_CATEGORIES = {
+  consultation: { label: "Consultation", taxable: true },
+  professional: { label: "Professional fees", taxable: true },
+  government: { label: "Government fees", taxable: false },
+  disbursement: { label: "Disbursements (courier, translation)", taxable: true },
+};
+
+const GST = { code: "GST", label: "GST (5%)", rate: 0.05 };
+const hst = (percent) => ({ code: "HST", label: `HST (${percent}%)`, rate: percent / 100 });
+const QST = { code: "QST", label: "QST (9.975%)", rate: 0.09975 };
+
+export const TAX_REGIONS = {
+  AB: { label: "Alberta", taxes: [GST] },
+  BC: { label: "British Columbia", taxes: [GST] },
+  MB: { label: "Manitoba", taxes: [GST] },
+  NB: { label: "New Brunswick", taxes: [hst(15)] },
+  NL: { label: "Newfoundland and Labrador", taxes: [hst(15)] },
+  NS: { label: "Nova Scotia", taxes: [hst(14)] },
+  NT: { label: "Northwest Territories", taxes: [GST] },
+  NU: { label: "Nunavut", taxes: [GST] },
+  ON: { label: "Ontario", taxes: [hst(13)] },
+  PE: { label: "Prince Edward Island", taxes: [hst(15)] },
+  QC: { label: "Quebec", taxes: [GST, QST] },
+  SK: { label: "Saskatchewan", taxes: [GST] },
+  YT: { label: "Yukon", taxes: [GST] },
+  OUT: { label: "Outside Canada (zero-rated)", taxes: [] },
+};
+
+export const INVOICE_STATES = ["open", "paid", "void"];
+export const PAYMENT_STATES = ["pending", "succeeded", "failed"];
+
+// How a payment reached us; "card" is online through the payment provider, the rest are recorded by staff
+export const PAYMENT_METHODS = {
+  card: "Card (online)",
+  etransfer: "Interac e-Transfer",
+  wire: "Wire transfer",
+  cheque: "Cheque",
+  cash: "Cash",
+};
+
+/** "12.50" / 12.5 → 1250; NaN for anything that is not an amount. */
+export function toCents(value) {
+  const s = String(value ?? "").trim().replace(/[$,\s]/g, "");
+  if (!/^\d+(\.\d{1,2})?$/.test(s)) return NaN;
+  return Math.round(Number(s) * 100);
+}
+
+export const formatMoney = (cents, locale = "en-CA") => new Intl.NumberFormat(locale, { style: "currency", currency: "CAD" }).format((cents || 0) / 100);
+
+export const emptyLine = (category = "professional") => ({ description: "", category, quantity: 1, unitAmount: 0 });
+
+/** The first problem with a list of lines (English), or null. */
+export function lineProblem(lines) {
+  if (!Array.isArray(lines) || !lines.length) return "Add at least one line item.";
+  for (const [i, l] of lines.entries()) {
+    const n = i + 1;
+    if (!String(l?.description || "").trim()) return `Line ${n}: add a description.`;
+    if (!LINE_CATEGORIES[l.category]) return `Line ${n}: choose a category.`;
+    if (!Number.isInteger(l.quantity) || l.quantity < 1 || l.quantity > 100) return `Line ${n}: quantity must be a whole number from 1 to 100.`;
+    if (!Number.isInteger(l.unitAmount) || l.unitAmount < 0) return `Line ${n}: enter a price.`;
+  }
+  return null;
+}
+
+/**
+ * Prices the lines for a tax region: { lines (with `amount`), subtotal,
+ * taxable, taxes: [{ code, label, rate, amount }], tax, total }. Each tax is
+ * rounded once on the taxable subtotal, as it is printed on the invoice.
+ */
+export function invoiceTotals(lines = [], region = "BC") {
+  const priced = lines.map((l) => ({ ...l, amount: l.quantity * l.unitAmount }));
+  const subtotal = priced.reduce((s, l) => s + l.amount, 0);
+  const taxable = priced.filter((l) => LINE_CATEGORIES[l.category]?.taxable).reduce((s, l) => s + l.amount, 0);
+  const taxes = (TAX_REGIONS[region]?.taxes || []).map((t) => ({ ...t, amount: Math.round(taxable * t.rate) }));
+  const tax = taxes.reduce((s, t) => s + t.amount, 0);
+  return { lines: priced, subtotal, taxable, taxes, tax, total: subtotal + tax };
+}
+
+/** What is still owed on an invoice: its total less settled payments (0 for a void invoice). */
+export function invoiceBalance(invoice) {
+  if (invoice.status === "void") return 0;
+  const paid = (invoice.payments || []).filter((p) => p.status === "succeeded").reduce((s, p) => s + p.amount, 0);
+  return Math.max(0, invoice.total - paid);
+}
+
+/** Total owed across a case's invoices, and how much of it is past due on `today` (YYYY-MM-DD). */
+export function outstanding(invoices = [], today = new Date().toISOString().slice(0, 10)) {
+  const open = invoices.filter((i) => i.status === "open");
+  const sum = (list) => list.reduce((s, i) => s + invoiceBalance(i), 0);
+  return { balance: sum(open), overdue: sum(open.filter((i) => i.dueDate && i.dueDate < today)), count: open.length };
+}
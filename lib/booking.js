@@ -0,0 +1,174 @@
+/**
+ * Appointment booking – availability, slots and calendar files
+ * ---------------------------------------------------------------------------
+ * Pure functions shared by server/booking.js and the booking UI.
+ *
+ *  - Staff availability is weekly rules ({ weekday 0–6, start "HH:MM",
+ *    end "HH:MM" }) in the staff member's own IANA time zone, so "9 to 5 in
+ *    Vancouver" stays 9 to 5 across daylight-saving changes.
+ *  - Appointments are stored as UTC instants; the browser shows slots in
+ *    whatever time zone the client picks.
+ *  - Time-zone maths uses Intl only (no date library).
+ */
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MS_PER_MIN = 60000;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const minutesOf = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+const pad = (n) => String(n).padStart(2, "0");
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return Boolean(tz);
+  } catch {
+    return false;
+  }
+}
+
+const partsCache = new Map();
+function zoneParts(date, timeZone) {
+  let fmt = partsCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", weekday: "short",
+    });
+    partsCache.set(timeZone, fmt);
+  }
+  return Object.fromEntries(fmt.formatToParts(date).map((p) => [p.type, p.value]));
+}
+
+/** Minutes `timeZone` is ahead of UTC at instant `date` (e.g. -420 for PDT). */
+export function tzOffsetMinutes(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MS_PER_MIN);
+}
+
+/** Wall-clock date ("YYYY-MM-DD") + time ("HH:MM") in `timeZone` → Date. */
+export function zonedToUtc(ymd, hhmm, timeZone) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d, Number(hhmm.slice(0, 2)), Number(hhmm.slice(3, 5)));
+  // Two passes settle the offset on either side of a DST change
+  let t = guess - tzOffsetMinutes(new Date(guess), timeZone) * MS_PER_MIN;
+  t = guess - tzOffsetMinutes(new Date(t), timeZone) * MS_PER_MIN;
+  return new Date(t);
+}
+
+/** Date → { date: "YYYY-MM-DD", time: "HH:MM", weekday: 0–6 } in `timeZone`. */
+export function utcToZoned(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}`, weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(p.weekday) };
+}
+
+const addDays = (ymd, n) => {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/** Half-open interval overlap: [aStart, aEnd) ∩ [bStart, bEnd) ≠ ∅. Accepts Dates or ISO strings. */
+export function overlaps(aStart, aEnd, bStart, bEnd) {
+  return new Date(aStart) < new Date(bEnd) && new Date(bStart) < new Date(aEnd);
+}
+
+/** Returns a list of problems with weekly rules (empty when fine). */
+export function validateAvailability(rules, timeZone) {
+  const errors = [];
+  if (!isValidTimeZone(timeZone)) errors.push(`Unknown time zone "${timeZone}"`);
+  (Array.isArray(rules) ? rules : []).forEach((r, i) => {
+    const at = `Rule ${i + 1}`;
+    if (!Number.isInteger(r.weekday) || r.weekday < 0 || r.weekday > 6) errors.push(`${at}: weekday must be 0–6`);
+    if (!TIME_RE.test(r.start || "") || !TIME_RE.test(r.end || "")) errors.push(`${at}: times must be HH:MM`);
+    else if (minutesOf(r.start) >= minutesOf(r.end)) errors.push(`${at}: start must be before end`);
+  });
+  if (!Array.isArray(rules)) errors.push("rules must be a list");
+  return errors;
+}
+
+/**
+ * Bookable slots for one staff member.
+ *  rules, timeZone   weekly availability (see above)
+ *  duration          minutes
+ *  from, to          Date window to search (UTC instants)
+ *  busy              [{ start, end }] existing appointments / time off
+ *  step              minutes between slot starts (default 30)
+ *  buffer            minutes kept free around existing appointments
+ *  notBefore         earliest start (e.g. now + minimum notice)
+ * → [{ start: ISO, end: ISO }] sorted by start
+ */
+export function generateSlots({ rules, timeZone, duration, from, to, busy = [], step = 30, buffer = 0, notBefore = from }) {
+  const slots = [];
+  const first = utcToZoned(new Date(from), timeZone).date;
+  const last = utcToZoned(new Date(to), timeZone).date;
+  const bufferMs = buffer * MS_PER_MIN;
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    rules.filter((r) => r.weekday === weekday).forEach((r) => {
+      for (let m = minutesOf(r.start); m + duration <= minutesOf(r.end); m += step) {
+        const local = `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+        const start = zonedToUtc(day, local, timeZone);
+        const end = new Date(start.getTime() + duration * MS_PER_MIN);
+        // A local time inside a DST gap does not exist; skip it
+        if (utcToZoned(start, timeZone).time !== local) continue;
+        if (start < new Date(notBefore) || start < new Date(from) || end > new Date(to)) continue;
+        if (busy.some((b) => overlaps(start.getTime() - bufferMs, end.getTime() + bufferMs, b.start, b.end))) continue;
+        slots.push({ start: start.toISOString(), end: end.toISOString() });
+      }
+    });
+  }
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// --- iCalendar (RFC 5545) ---
+const icsDate = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsParam = (s) => `"${String(s ?? "").replace(/["\r\n]/g, "")}"`;
+const icsText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (new TextEncoder().encode(cur + ch).length > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/**
+ * One-event calendar file. `method` "REQUEST" for a booking or change,
+ * "CANCEL" for a cancellation; bump `sequence` on every change so calendar
+ * apps replace the earlier copy (same `uid`).
+ */
+export function buildIcs({ uid, start, end, summary, description = "", location = "", organizer, attendee, method = "REQUEST", sequence = 0, stamp = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Peddle West Immigration//Client Portal//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${icsDate(stamp)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    description && `DESCRIPTION:${icsText(description)}`,
+    location && `LOCATION:${icsText(location)}`,
+    organizer && `ORGANIZER;CN=${icsParam(organizer.name || organizer.email)}:mailto:${organizer.email}`,
+    attendee && `ATTENDEE;CN=${icsParam(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`,
+    `STATUS:${method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+}
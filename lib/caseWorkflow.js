@@ -0,0 +1,79 @@
+/**
+ * Case status workflow
+ * ---------------------------------------------------------------------------
+ * The single source of truth for case states and who may move a case between
+ * them. The API server enforces it (server/cases.js); the UI only uses it to
+ * decide which buttons to show.
+ *
+ *   Lead → Assessment Complete → Retained → Documents Needed → Under Review
+ *        → Application Submitted → Decision
+ *
+ * Actors: "system" (server side effects, e.g. a submitted assessment),
+ * "client" and "staff". Staff may also make any system transition.
+ */
+
+export const CASE_STATES = [
+  "Lead",
+  "Assessment Complete",
+  "Retained",
+  "Documents Needed",
+  "Under Review",
+  "Application Submitted",
+  "Decision",
+];
+
+export const INITIAL_STATE = "Lead";
+
+export const DECISION_OUTCOMES = ["Approved", "Refused", "Withdrawn"];
+
+// { from, to, by: [...actors], label: button text, needsNote }
+export const CASE_TRANSITIONS = [
+  { from: "Lead", to: "Assessment Complete", by: ["system", "staff"], label: "Assessment complete" },
+  { from: "Assessment Complete", to: "Retained", by: ["staff"], label: "Mark retained" },
+  { from: "Retained", to: "Documents Needed", by: ["staff"], label: "Request documents" },
+  { from: "Documents Needed", to: "Under Review", by: ["client", "staff"], label: "All documents uploaded" },
+  { from: "Under Review", to: "Documents Needed", by: ["staff"], label: "Request more documents", needsNote: true },
+  { from: "Under Review", to: "Application Submitted", by: ["staff"], label: "Application submitted" },
+  { from: "Application Submitted", to: "Documents Needed", by: ["staff"], label: "IRCC requested documents", needsNote: true },
+  { from: "Application Submitted", to: "Decision", by: ["staff"], label: "Record decision", needsOutcome: true },
+];
+
+export class TransitionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "TransitionError";
+    this.code = code; // "unknown_state" | "not_allowed" | "forbidden" | "invalid"
+  }
+}
+
+/** "staff" for staff/admin users, "client" otherwise; "system" passes through. */
+export const actorFor = (userOrActor) => {
+  if (userOrActor === "system") return "system";
+  return userOrActor && (userOrActor.role === "staff" || userOrActor.role === "admin") ? "staff" : "client";
+};
+
+const permits = (t, actor) => t.by.includes(actor) || (actor === "staff" && t.by.includes("system"));
+
+/** Transitions out of `status` that `actor` may make. */
+export function availableTransitions(status, actor) {
+  return CASE_TRANSITIONS.filter((t) => t.from === status && permits(t, actor));
+}
+
+/**
+ * Validates a transition request and returns the matching rule, or throws a
+ * TransitionError explaining why it is not allowed.
+ */
+export function checkTransition(from, to, actor, { note = "", outcome } = {}) {
+  if (!CASE_STATES.includes(to)) throw new TransitionError(`Unknown status "${to}"`, "unknown_state");
+  const rule = CASE_TRANSITIONS.find((t) => t.from === from && t.to === to);
+  if (!rule) throw new TransitionError(`A case cannot move from "${from}" to "${to}"`, "not_allowed");
+  if (!permits(rule, actor)) throw new TransitionError(`Only staff can move a case to "${to}"`, "forbidden");
+  if (rule.needsNote && !String(note).trim()) throw new TransitionError("Please add a note explaining what is needed", "invalid");
+  if (rule.needsOutcome && !DECISION_OUTCOMES.includes(outcome)) {
+    throw new TransitionError(`Outcome must be one of: ${DECISION_OUTCOMES.join(", ")}`, "invalid");
+  }
+  return rule;
+}
+
+/** 0-based position in the main line, for progress bars. */
+export const stageIndex = (status) => Math.max(0, CASE_STATES.indexOf(status));
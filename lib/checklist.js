@@ -0,0 +1,146 @@
+/**
+ * Document checklist rules
+ * ---------------------------------------------------------------------------
+ * Pure rules that turn an assessment (program of interest + answers) into the
+ * list of documents we need. Shared by the browser and the API server, which
+ * stores the generated items per case alongside staff-added custom items.
+ *
+ * Rule shape: { key, label, description, programs: [...] | "*", when(data), person }
+ * Rules with `each(data)` expand into one item per entry (e.g. one reference
+ * letter per job); `entryKey(entry, i)` – the entry index by default –
+ * becomes part of the item key. Dependants are keyed by their id, so their
+ * items survive reordering the list.
+ *
+ * `person` is the household member the document is for (lib/household.js):
+ * a member id, or a function of the entry (and index) for `each` rules.
+ * Without it the item belongs to the principal applicant.
+ *
+ * Item states: missing → uploaded → accepted | rejected (with a reason).
+ */
+
+import { dependantMemberId, PRINCIPAL, partnered, spouseAccompanying, withDependantIds } from "./household.js";
+import { languageLevels } from "./languageTests.js";
+
+export const CHECKLIST_STATES = ["missing", "uploaded", "accepted", "rejected"];
+
+const ALL = "*";
+const commonLaw = (d) => /^common/i.test(d.basics?.marital || "");
+const foreignEducation = (d) => d.basics?.education && d.basics?.educationCountry !== "Canada";
+const hasOffer = (d) => d.jobOffer?.hasOffer === "Yes";
+const tested = (who) => (d) => Boolean(languageLevels(d)[who]);
+const perDependant = { entryKey: (c) => c.id, person: dependantMemberId };
+const dependants = (d) => withDependantIds(d.dependants);
+
+export const CHECKLIST_RULES = [
+  { key: "passport", label: "Passport (all pages)", description: "Clear colour scan of every page, including blank pages.", programs: ALL },
+  { key: "photo", label: "Digital photo", description: "Recent photo meeting IRCC specifications.", programs: ALL },
+  {
+    key: "language", label: "Language test results", description: "IELTS, CELPIP, TEF, TCF or PTE Core results (less than two years old).",
+    programs: ["Express Entry", "PNP"],
+  },
+  {
+    key: "language_second", label: "Second official language test results", description: "TEF / TCF Canada for French, or an English test if French is your first language.",
+    programs: ["Express Entry", "PNP"], when: tested("second"),
+  },
+  {
+    key: "language_study", label: "Language test results", description: "If your school requires them.",
+    programs: ["Study Permit"], when: tested("first"),
+  },
+  {
+    key: "eca", label: "Educational Credential Assessment (ECA)", description: "From WES, ICES, IQAS or another designated organisation.",
+    programs: ["Express Entry", "PNP"], when: foreignEducation,
+  },
+  {
+    key: "education", label: "Degree / diploma and transcripts", description: "For your highest completed credential.",
+    programs: ["Express Entry", "PNP", "Study Permit", "Work Permit"], when: (d) => Boolean(d.basics?.education),
+  },
+  {
+    key: "reference", label: "Employment reference letter", description: "On company letterhead: title, duties, hours/week, salary and dates.",
+    programs: ["Express Entry", "PNP", "Work Permit"],
+    each: (d) => (d.work || []).filter((w) => w.employer || w.title),
+    labelFor: (w) => `Employment reference letter – ${w.employer || w.title}`,
+  },
+  { key: "funds", label: "Proof of settlement funds", description: "Bank letters covering the last six months.", programs: ["Express Entry"], when: (d) => !hasOffer(d) },
+  { key: "police", label: "Police certificates", description: "From each country you lived in for 6+ months since age 18.", programs: ["Express Entry", "PNP", "Family Sponsorship"] },
+  { key: "spouse_passport", label: "Spouse / partner passport", description: "All pages.", programs: ALL, when: partnered, person: "spouse" },
+  {
+    key: "marriage", label: "Marriage certificate", description: "Official copy with certified translation if needed.", programs: ALL,
+    when: (d) => partnered(d) && !commonLaw(d), person: "spouse",
+  },
+  { key: "common_law", label: "Statutory declaration of common-law union (IMM 5409)", description: "Signed by both partners.", programs: ALL, when: commonLaw, person: "spouse" },
+  {
+    key: "spouse_language", label: "Spouse language test results", description: "Only needed to claim points for your partner's language ability.",
+    programs: ["Express Entry", "PNP"], when: (d) => spouseAccompanying(d) && tested("spouse")(d), person: "spouse",
+  },
+  {
+    key: "spouse_education", label: "Spouse degree / diploma and ECA", description: "Transcripts, plus an ECA report if the credential is from outside Canada.",
+    programs: ["Express Entry", "PNP"], when: (d) => spouseAccompanying(d) && Boolean(d.spouse?.education), person: "spouse",
+  },
+  {
+    key: "dependant_passport", label: "Passport", description: "All pages, for each dependent child.", programs: ALL,
+    each: dependants, labelFor: (c) => `Passport – ${c.firstName || "dependent child"}`, ...perDependant,
+  },
+  {
+    key: "birth_certificate", label: "Birth certificate", description: "Long form, naming both parents.", programs: ALL,
+    each: dependants, labelFor: (c) => `Birth certificate – ${c.firstName || "dependent child"}`, ...perDependant,
+  },
+  {
+    key: "dependant_language", label: "Language test results", description: "For a dependent child who took a language test.", programs: ALL,
+    each: (d) => dependants(d).filter((c) => c.language?.test), labelFor: (c) => `Language test results – ${c.firstName || "dependent child"}`, ...perDependant,
+  },
+  { key: "acceptance", label: "Letter of acceptance", description: "From your designated learning institution (DLI).", programs: ["Study Permit"] },
+  { key: "attestation", label: "Provincial attestation letter (PAL/TAL)", description: "Issued by the province of your school.", programs: ["Study Permit"] },
+  { key: "study_funds", label: "Proof of funds for studies", description: "Tuition receipt and proof of living expenses.", programs: ["Study Permit"] },
+  { key: "job_offer", label: "Job offer letter", description: "Signed, with wage, hours and duties.", programs: ["Work Permit", "PNP", "Express Entry"], when: hasOffer },
+  { key: "lmia", label: "LMIA decision letter", description: "Copy of the positive LMIA.", programs: ["Work Permit", "PNP", "Express Entry"], when: (d) => hasOffer(d) && d.jobOffer?.lmia === "LMIA approved" },
+  { key: "sponsor_status", label: "Sponsor's proof of status", description: "Canadian passport, citizenship certificate or PR card.", programs: ["Family Sponsorship"] },
+  { key: "relationship", label: "Relationship evidence", description: "Photos, communication history, joint documents.", programs: ["Family Sponsorship"] },
+];
+
+/** Builds the checklist items ({ key, label, description, person }) an assessment calls for. */
+export function buildChecklist(data = {}) {
+  const program = data.interest?.program || "Express Entry";
+  const items = [];
+  CHECKLIST_RULES.forEach((r) => {
+    if (r.programs !== ALL && !r.programs.includes(program)) return;
+    if (r.when && !r.when(data)) return;
+    if (r.each) {
+      r.each(data).forEach((entry, i) => items.push({
+        key: `${r.key}_${r.entryKey ? r.entryKey(entry, i) : i}`, label: r.labelFor(entry), description: r.description,
+        person: r.person ? r.person(entry, i) : PRINCIPAL,
+      }));
+      return;
+    }
+    items.push({ key: r.key, label: r.label, description: r.description, person: r.person || PRINCIPAL });
+  });
+  return items;
+}
+
+/** The rule key behind a generated item key ("reference" for "reference_0"). */
+export function ruleKey(itemKey) {
+  if (CHECKLIST_RULES.some((r) => r.key === itemKey)) return itemKey;
+  return CHECKLIST_RULES.find((r) => r.each && itemKey.startsWith(`${r.key}_`))?.key || itemKey;
+}
+
+/** Counts items by state, e.g. for the dashboard card. */
+export function summarizeChecklist(items = []) {
+  const out = Object.fromEntries(CHECKLIST_STATES.map((s) => [s, 0]));
+  items.forEach((i) => { out[i.status] = (out[i.status] || 0) + 1; });
+  return { ...out, total: items.length, outstanding: out.missing + out.rejected };
+}
+
+/**
+ * Splits items by household member: [{ ...member, items }]. Items for someone
+ * no longer in the household (a removed dependant whose upload kept the item
+ * alive) are listed under the principal applicant.
+ */
+export function groupByMember(members, items = []) {
+  const ids = new Set(members.map((m) => m.id));
+  const owner = (i) => (ids.has(i.person) ? i.person : PRINCIPAL);
+  return members.map((m) => ({ ...m, items: items.filter((i) => owner(i) === m.id) }));
+}
+
+/** summarizeChecklist per household member: [{ ...member, ...counts }]. */
+export function summarizeHousehold(members, items = []) {
+  return groupByMember(members, items).map(({ items: own, ...m }) => ({ ...m, ...summarizeChecklist(own) }));
+}
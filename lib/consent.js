@@ -0,0 +1,51 @@
+/**
+ * Versioned consent notices
+ * ---------------------------------------------------------------------------
+ * The exact wording a client agreed to is kept here by version, so a stored
+ * consent record ({ version, purposes, acceptedAt }) can always be shown
+ * alongside the text it refers to. Add a new version rather than editing an
+ * old one; the server accepts any known version (offline submissions may
+ * carry an older one) but the form always shows the current one.
+ */
+
+export const CONSENT_PURPOSES = {
+  processing: {
+    label: "Assess my eligibility and manage my file",
+    required: true,
+  },
+  updates: {
+    label: "Send me occasional updates about immigration programs",
+    required: false,
+  },
+};
+
+export const CONSENT_VERSIONS = {
+  "2026-10": {
+    effective: "2026-10-01",
+    summary: [
+      "Peddle West Immigration (an RCIC-CICC regulated practice) collects the information in this form to assess your eligibility and, if you retain us, to prepare and manage your application.",
+      "Your answers and documents are stored encrypted and are only accessible to you and our licensed staff. Every access is logged.",
+      "You can download a copy of your data or ask us to delete it at any time from your dashboard. Closed files are deleted automatically after the retention period.",
+      "We never sell your information. We share it with IRCC or a province only as part of an application you authorize.",
+    ],
+  },
+};
+
+export const CURRENT_CONSENT_VERSION = "2026-10";
+
+/** Builds the consent record sent with a submission. */
+export function consentRecord(purposes, version = CURRENT_CONSENT_VERSION) {
+  return { version, purposes: Object.keys(purposes).filter((p) => purposes[p]), acceptedAt: new Date().toISOString() };
+}
+
+/** Returns an error message, or undefined when the record is acceptable. */
+export function checkConsent(consent) {
+  if (!consent || typeof consent !== "object") return "Consent is required before we can accept your information";
+  if (!CONSENT_VERSIONS[consent.version]) return `Unknown consent version "${consent.version}"`;
+  const given = Array.isArray(consent.purposes) ? consent.purposes : [];
+  const unknown = given.find((p) => !CONSENT_PURPOSES[p]);
+  if (unknown) return `Unknown consent purpose "${unknown}"`;
+  const missing = Object.keys(CONSENT_PURPOSES).find((p) => CONSENT_PURPOSES[p].required && !given.includes(p));
+  if (missing) return `Consent to "${CONSENT_PURPOSES[missing].label}" is required`;
+  return undefined;
+}
@@ -0,0 +1,274 @@
+/**
+ * Comprehensive Ranking System (CRS) scoring engine
+ * ---------------------------------------------------------------------------
+ * Pure functions only (no React, no storage) so the grid can be unit tested
+ * and re-used by the staff tools.
+ *
+ *  - Rule tables are versioned. Add a new entry to CRS_RULESETS when IRCC
+ *    changes the grid and bump CRS_CURRENT_VERSION; older scores keep the
+ *    version they were calculated with.
+ *  - Test scores are converted to CLB / NCLC levels per ability by
+ *    lib/languageTests.js (IELTS, CELPIP, PTE Core, TEF and TCF Canada).
+ *  - `scoreCrs(profile)` returns the total plus a per-factor breakdown
+ *    (core/human capital, spouse, skill transferability, additional).
+ *  - `profileFromAssessment(data)` adapts the EligibilityForm state.
+ */
+
+import { experienceYears } from "./workHistory.js";
+import { spouseAccompanying } from "./household.js";
+import { LANGUAGE_ABILITIES, languageLevels } from "./languageTests.js";
+
+// --- Education levels (ordered, lowest first) ---
+export const EDUCATION_LEVELS = [
+  { key: "none", label: "Less than secondary school" },
+  { key: "secondary", label: "Secondary school" },
+  { key: "oneYear", label: "One-year post-secondary program" },
+  { key: "twoYear", label: "Two-year post-secondary program" },
+  { key: "bachelor", label: "Bachelor's degree or 3+ year program" },
+  { key: "twoOrMore", label: "Two or more credentials (one 3+ years)" },
+  { key: "master", label: "Master's or professional degree" },
+  { key: "phd", label: "Doctoral (PhD)" },
+];
+
+// EligibilityForm select labels → engine education keys
+const FORM_EDUCATION = {
+  Secondary: "secondary",
+  Diploma: "twoYear",
+  Bachelor: "bachelor",
+  Master: "master",
+  PhD: "phd",
+};
+
+// --- Versioned rule tables ---
+// Tables keyed by a bucket (age, education key, CLB, years) with
+// [withSpouse, withoutSpouse] point pairs unless noted.
+const AGE_POINTS = {
+  17: [0, 0], 18: [90, 99], 19: [95, 105], 20: [100, 110], 29: [100, 110], 30: [95, 105],
+  31: [90, 99], 32: [85, 94], 33: [80, 88], 34: [75, 83], 35: [70, 77], 36: [65, 72],
+  37: [60, 66], 38: [55, 61], 39: [50, 55], 40: [45, 50], 41: [35, 39], 42: [25, 28],
+  43: [15, 17], 44: [5, 6], 45: [0, 0],
+};
+
+const BASE_RULES = {
+  core: {
+    age: AGE_POINTS,
+    education: {
+      none: [0, 0], secondary: [28, 30], oneYear: [84, 90], twoYear: [91, 98],
+      bachelor: [112, 120], twoOrMore: [119, 128], master: [126, 135], phd: [140, 150],
+    },
+    // per ability, by minimum CLB
+    firstLanguage: [[10, [32, 34]], [9, [29, 31]], [8, [22, 23]], [7, [16, 17]], [6, [8, 9]], [4, [6, 6]]],
+    // per ability, same with or without spouse
+    secondLanguage: [[9, 6], [7, 3], [5, 1]],
+    secondLanguageMax: [22, 24],
+    canadianWork: [[5, [70, 80]], [4, [63, 72]], [3, [56, 64]], [2, [46, 53]], [1, [35, 40]]],
+  },
+  spouse: {
+    education: {
+      none: 0, secondary: 2, oneYear: 6, twoYear: 7, bachelor: 8, twoOrMore: 9, master: 10, phd: 10,
+    },
+    language: [[9, 5], [7, 3], [5, 1]],
+    canadianWork: [[5, 10], [4, 9], [3, 8], [2, 7], [1, 5]],
+  },
+  transferability: {
+    // education tier: 1 = one-year+ credential, 2 = two or more / master / PhD
+    educationLanguage: { clb7: [13, 25], clb9: [25, 50] },
+    educationCanadianWork: { one: [13, 25], twoPlus: [25, 50] },
+    // foreign tier: 1 = 1–2 years, 2 = 3+ years
+    foreignLanguage: { clb7: [13, 25], clb9: [25, 50] },
+    foreignCanadianWork: { one: [13, 25], twoPlus: [25, 50] },
+    certificateLanguage: { clb5: 25, clb7: 50 },
+    subtotalMax: 50,
+    max: 100,
+  },
+  additional: {
+    provincialNomination: 600,
+    arrangedEmployment: { noc00: 0, other: 0 },
+    canadianEducation: { oneOrTwoYear: 15, threePlusYear: 30 },
+    french: { withWeakEnglish: 25, withEnglish: 50 },
+    sibling: 15,
+    max: 600,
+  },
+  coreMax: [460, 500],
+  spouseMax: 40,
+};
+
+export const CRS_RULESETS = {
+  // Job offer points removed from the grid on 2025-03-25.
+  "2025-03": { effective: "2025-03-25", ...BASE_RULES },
+  "2023-06": {
+    effective: "2023-06-01",
+    ...BASE_RULES,
+    additional: { ...BASE_RULES.additional, arrangedEmployment: { noc00: 200, other: 50 } },
+  },
+};
+
+export const CRS_CURRENT_VERSION = "2025-03";
+
+// --- Helpers ---
+const num = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+const pick = (pair, withSpouse) => (Array.isArray(pair) ? pair[withSpouse ? 0 : 1] : pair);
+// Walks a [[min, points], ...] table (highest first)
+const byMin = (table, value) => {
+  for (const [min, pts] of table) if (value >= min) return pts;
+  return 0;
+};
+const minClb = (clb = {}) => Math.min(...LANGUAGE_ABILITIES.map((a) => num(clb[a])));
+const eduTier = (key) => {
+  if (["twoOrMore", "master", "phd"].includes(key)) return 2;
+  if (["oneYear", "twoYear", "bachelor"].includes(key)) return 1;
+  return 0;
+};
+
+function agePoints(table, age, withSpouse) {
+  const a = Math.floor(num(age));
+  if (a <= 17) return 0;
+  if (a >= 45) return 0;
+  const key = a >= 20 && a <= 29 ? 20 : a;
+  return pick(table[key], withSpouse);
+}
+
+// --- Scoring ---
+/**
+ * Calculates the CRS score for a normalised profile.
+ *
+ * profile = {
+ *   age, education,                                // education: EDUCATION_LEVELS key
+ *   firstLanguage: { listening, reading, writing, speaking },  // CLB levels
+ *   secondLanguage: { ... } | null,
+ *   canadianWorkYears, foreignWorkYears,
+ *   certificateOfQualification,
+ *   spouse: { accompanying, education, language, canadianWorkYears } | null,
+ *   additional: { provincialNomination, arrangedEmployment: "noc00" | "other" | null,
+ *                 canadianEducation: "oneOrTwoYear" | "threePlusYear" | null,
+ *                 frenchClb: {...} | null, englishClb: {...} | null, sibling },
+ * }
+ * (englishClb is the English result next to frenchClb; firstLanguage if omitted)
+ *
+ * Returns { version, total, core, spouse, transferability, additional, details }.
+ */
+export function scoreCrs(profile, version = CRS_CURRENT_VERSION) {
+  const rules = CRS_RULESETS[version];
+  if (!rules) throw new Error(`Unknown CRS rule version: ${version}`);
+  const p = profile || {};
+  const withSpouse = Boolean(p.spouse && p.spouse.accompanying);
+  const details = [];
+  const add = (group, label, points) => { details.push({ group, label, points }); return points; };
+
+  // Core / human capital
+  const C = rules.core;
+  const first = p.firstLanguage || {};
+  const second = p.secondLanguage || null;
+  const canYears = Math.floor(num(p.canadianWorkYears));
+  const forYears = Math.floor(num(p.foreignWorkYears));
+  let core = 0;
+  core += add("core", "Age", agePoints(C.age, p.age, withSpouse));
+  core += add("core", "Education", pick(C.education[p.education] || [0, 0], withSpouse));
+  let firstPts = 0;
+  LANGUAGE_ABILITIES.forEach((a) => { firstPts += pick(byMin(C.firstLanguage, num(first[a])) || [0, 0], withSpouse); });
+  core += add("core", "First official language", firstPts);
+  if (second) {
+    let secondPts = 0;
+    LANGUAGE_ABILITIES.forEach((a) => { secondPts += byMin(C.secondLanguage, num(second[a])); });
+    core += add("core", "Second official language", Math.min(secondPts, pick(C.secondLanguageMax, withSpouse)));
+  }
+  core += add("core", "Canadian work experience", pick(byMin(C.canadianWork, canYears) || [0, 0], withSpouse));
+  core = Math.min(core, pick(rules.coreMax, withSpouse));
+
+  // Spouse / common-law partner factors
+  let spouse = 0;
+  if (withSpouse) {
+    const S = rules.spouse;
+    const sp = p.spouse;
+    spouse += add("spouse", "Spouse education", S.education[sp.education] || 0);
+    let spLang = 0;
+    LANGUAGE_ABILITIES.forEach((a) => { spLang += byMin(S.language, num(sp.language?.[a])); });
+    spouse += add("spouse", "Spouse first official language", spLang);
+    spouse += add("spouse", "Spouse Canadian work experience", byMin(S.canadianWork, Math.floor(num(sp.canadianWorkYears))));
+    spouse = Math.min(spouse, rules.spouseMax);
+  }
+
+  // Skill transferability
+  const T = rules.transferability;
+  const clb = minClb(first);
+  const tier = eduTier(p.education);
+  const langKey = clb >= 9 ? "clb9" : clb >= 7 ? "clb7" : null;
+  const canKey = canYears >= 2 ? "twoPlus" : canYears >= 1 ? "one" : null;
+  const forTier = forYears >= 3 ? 2 : forYears >= 1 ? 1 : 0;
+  const eduLang = tier && langKey ? T.educationLanguage[langKey][tier - 1] : 0;
+  const eduCan = tier && canKey ? T.educationCanadianWork[canKey][tier - 1] : 0;
+  const forLang = forTier && langKey ? T.foreignLanguage[langKey][forTier - 1] : 0;
+  const forCan = forTier && canKey ? T.foreignCanadianWork[canKey][forTier - 1] : 0;
+  const certLang = p.certificateOfQualification
+    ? (clb >= 7 ? T.certificateLanguage.clb7 : clb >= 5 ? T.certificateLanguage.clb5 : 0)
+    : 0;
+  let transferability = 0;
+  transferability += add("transferability", "Education (language + Canadian work)", Math.min(eduLang + eduCan, T.subtotalMax));
+  transferability += add("transferability", "Foreign work (language + Canadian work)", Math.min(forLang + forCan, T.subtotalMax));
+  transferability += add("transferability", "Certificate of qualification + language", Math.min(certLang, T.subtotalMax));
+  transferability = Math.min(transferability, T.max);
+
+  // Additional points
+  const A = rules.additional;
+  const x = p.additional || {};
+  let additional = 0;
+  if (x.provincialNomination) additional += add("additional", "Provincial nomination", A.provincialNomination);
+  if (x.arrangedEmployment) additional += add("additional", "Arranged employment", A.arrangedEmployment[x.arrangedEmployment] || 0);
+  if (x.canadianEducation) additional += add("additional", "Canadian post-secondary education", A.canadianEducation[x.canadianEducation] || 0);
+  if (x.frenchClb && minClb(x.frenchClb) >= 7) {
+    const englishOk = minClb(x.englishClb || first) >= 5;
+    additional += add("additional", "French language ability", englishOk ? A.french.withEnglish : A.french.withWeakEnglish);
+  }
+  if (x.sibling) additional += add("additional", "Sibling in Canada", A.sibling);
+  additional = Math.min(additional, A.max);
+
+  return {
+    version,
+    withSpouse,
+    total: core + spouse + transferability + additional,
+    core,
+    spouse,
+    transferability,
+    additional,
+    details: details.filter((d) => d.points),
+  };
+}
+
+// --- EligibilityForm adapter ---
+/**
+ * Maps EligibilityForm state to a scoring profile. Married / common-law
+ * applicants are scored with their partner's factors (the `spouse` section)
+ * unless the partner is not coming to Canada or is already a citizen / PR,
+ * in which case IRCC scores them as single.
+ */
+export function profileFromAssessment(data) {
+  const basics = data?.basics || {};
+  const S = data?.spouse || {};
+  const years = experienceYears(data?.work || []);
+  const { first, second, spouse } = languageLevels(data);
+  const inLanguage = (language) => [first, second].find((r) => r?.language === language)?.clb || null;
+  return {
+    age: basics.age,
+    education: FORM_EDUCATION[basics.education] || "none",
+    firstLanguage: first?.clb || {},
+    secondLanguage: second?.clb || null,
+    canadianWorkYears: Math.floor(years.canadian),
+    foreignWorkYears: Math.floor(years.foreign),
+    certificateOfQualification: false,
+    spouse: spouseAccompanying(data) ? {
+      accompanying: true,
+      education: FORM_EDUCATION[S.education] || "none",
+      language: spouse?.clb || {},
+      canadianWorkYears: Math.floor(Number(S.canadianWorkYears) || 0),
+    } : null,
+    additional: { frenchClb: inLanguage("French"), englishClb: inLanguage("English") || {} },
+  };
+}
+
+/** Convenience: score straight from EligibilityForm state. */
+export function scoreAssessment(data, version = CRS_CURRENT_VERSION) {
+  return scoreCrs(profileFromAssessment(data), version);
+}
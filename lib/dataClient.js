@@ -0,0 +1,186 @@
+/**
+ * Client data layer over the portal API with an offline write queue.
+ * ---------------------------------------------------------------------------
+ *  - Reads go to the API and are cached in storage under the signed-in user's
+ *    id; when the server cannot be reached that user's last cached copy is
+ *    returned (marked `stale`). Nothing is cached without a user, and
+ *    `clear()` wipes the cache and the queue – call it on sign-out so the next
+ *    person on a shared computer finds nothing.
+ *  - Writes that fail because the server is unreachable are queued with a
+ *    client-generated `clientRef` and replayed in order by `sync()`; the
+ *    server de-duplicates on that ref, so a replay never creates twins.
+ *  - Writes rejected by the server (4xx) are not retried.
+ */
+
+const QUEUE_KEY = "pw_sync_queue";
+const CACHE_PREFIX = "pw_cache:";
+const uuid = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+export function createDataClient({ api, storage = globalThis.localStorage, userId = () => null }) {
+  const listeners = new Set();
+  let syncing = null;
+
+  const load = (key, fallback) => {
+    try { return JSON.parse(storage.getItem(key) || "null") ?? fallback; } catch { return fallback; }
+  };
+  const save = (key, value) => { try { storage.setItem(key, JSON.stringify(value)); } catch {} };
+
+  const queue = () => load(QUEUE_KEY, []);
+  const setQueue = (q) => { save(QUEUE_KEY, q); listeners.forEach((fn) => fn(q.length)); };
+  const offline = (e) => e && e.status === 0;
+
+  const cacheKey = (path) => {
+    const id = userId();
+    return id ? `${CACHE_PREFIX}${id}:${path}` : null;
+  };
+
+  async function read(path) {
+    const key = cacheKey(path);
+    try {
+      const data = await api.get(path);
+      if (key) save(key, data);
+      return data;
+    } catch (e) {
+      const cached = key ? load(key, undefined) : undefined;
+      if (offline(e) && cached !== undefined) return Object.assign(cached, { stale: true });
+      throw e;
+    }
+  }
+
+  /** Sends a write now, or queues it when offline. Resolves to the server result or { queued: true }. */
+  async function write(method, path, body) {
+    const op = { id: uuid(), method, path, body: body && { clientRef: uuid(), ...body }, at: new Date().toISOString() };
+    if (queue().length) {
+      // Keep order: anything new goes behind writes that are still waiting
+      setQueue([...queue(), op]);
+      sync();
+      return { queued: true, clientRef: op.body?.clientRef };
+    }
+    try {
+      return await api.request(method, path, op.body);
+    } catch (e) {
+      if (!offline(e)) throw e;
+      setQueue([...queue(), op]);
+      return { queued: true, clientRef: op.body?.clientRef };
+    }
+  }
+
+  /** Replays queued writes in order; stops at the first one that still cannot reach the server. */
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      try {
+        let q = queue();
+        while (q.length) {
+          const [op] = q;
+          try {
+            await api.request(op.method, op.path, op.body);
+          } catch (e) {
+            // Rejected by the server: dropped, a retry would fail the same way
+            if (offline(e)) break;
+          }
+          q = queue().filter((x) => x.id !== op.id);
+          setQueue(q);
+        }
+        return queue().length;
+      } finally {
+        syncing = null;
+      }
+    })();
+    return syncing;
+  }
+
+  /** Removes every cached read and queued write from storage. */
+  function clear() {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) keys.push(storage.key(i));
+    keys.filter((k) => k?.startsWith(CACHE_PREFIX)).forEach((k) => storage.removeItem(k));
+    storage.removeItem(QUEUE_KEY);
+    listeners.forEach((fn) => fn(0));
+  }
+
+  return {
+    read,
+    write,
+    sync,
+    clear,
+    pendingCount: () => queue().length,
+    /** Subscribe to queue length changes; returns an unsubscribe function. */
+    onPendingChange(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+
+    // --- Resources ---
+    submitAssessment: ({ data, row, consent, draft }) => write("POST", "/api/assessments", { data, row, consent, draft }),
+    // Drafts are versioned on the server, so a stale offline replay could only conflict: never queued
+    currentDraft: () => api.get("/api/drafts/current"),
+    getDraft: (id, token) => api.get(`/api/drafts/${id}${token ? `?${new URLSearchParams({ token })}` : ""}`),
+    createDraft: ({ data, step, fromAssessmentId, replaces }) => api.post("/api/drafts", { data, step, fromAssessmentId, replaces }),
+    saveDraft: (id, { data, step, version, token }) => api.put(`/api/drafts/${id}`, { data, step, version, token }),
+    sendResumeLink: (id, token) => api.post(`/api/drafts/${id}/resume-link`, { token }),
+    listAssessments: (caseId) => read(caseId ? `/api/assessments?caseId=${encodeURIComponent(caseId)}` : "/api/assessments"),
+    listCases: () => read("/api/cases"),
+    searchCases: (query) => read(`/api/cases/search?${new URLSearchParams(Object.entries(query).filter(([, v]) => v !== "" && v != null))}`),
+    assignCase: (id, staffUserId) => api.put(`/api/cases/${id}/assignment`, { staffUserId }),
+    listStaff: () => read("/api/users/staff"),
+    currentCase: () => read("/api/cases/current"),
+    getCase: (id) => read(`/api/cases/${id}`),
+    updateCase: (id, patch) => write("PATCH", `/api/cases/${id}`, patch),
+    transitionCase: (id, { to, note, outcome, shareNote }) => write("POST", `/api/cases/${id}/transitions`, { to, note, outcome, shareNote }),
+    listCaseEvents: (id) => read(`/api/cases/${id}/events`),
+    listUploads: (caseId) => read(`/api/cases/${caseId}/uploads`),
+    listAllUploads: () => read("/api/uploads"),
+    listRetainers: (caseId) => read(`/api/cases/${caseId}/retainers`),
+    // Signing needs the uploaded PDF to exist on the server, so it is never queued
+    signRetainer: (caseId, { uploadId, assessmentId, version, signerName, signature }) => api.post(`/api/cases/${caseId}/retainers`, { uploadId, assessmentId, version, signerName, signature }),
+    // Money moves only while online: invoices and payments are never queued
+    billingConfig: () => read("/api/billing/config"),
+    listInvoices: (caseId) => read(`/api/cases/${caseId}/invoices`),
+    createInvoice: (caseId, { lines, region, dueDate, notes }) => api.post(`/api/cases/${caseId}/invoices`, { lines, region, dueDate, notes }),
+    voidInvoice: (id, reason) => api.post(`/api/invoices/${id}/void`, { reason }),
+    payInvoice: (id, { amount, testOutcome, clientRef }) => api.post(`/api/invoices/${id}/checkout`, { amount, testOutcome, clientRef }),
+    recordPayment: (id, { amount, method, note, clientRef }) => api.post(`/api/invoices/${id}/payments`, { amount, method, note, clientRef }),
+    setCaseDriveFolder: (caseId, folderId) => api.put(`/api/cases/${caseId}/drive-folder`, { folderId }),
+    setUploadDriveFile: (uploadId, fileId) => api.put(`/api/uploads/${uploadId}/drive`, { fileId }),
+    listChecklist: (caseId) => read(`/api/cases/${caseId}/checklist`),
+    household: (caseId) => read(`/api/cases/${caseId}/household`),
+    addChecklistItem: (caseId, item) => api.post(`/api/cases/${caseId}/checklist`, item),
+    reviewChecklistItem: (id, review) => api.patch(`/api/checklist/${id}`, review),
+    removeChecklistItem: (id) => api.del(`/api/checklist/${id}`),
+    listThreads: (caseId) => read(`/api/cases/${caseId}/threads`),
+    startThread: (caseId, { subject, body, attachmentIds }) => write("POST", `/api/cases/${caseId}/threads`, { subject, body, attachmentIds }),
+    listMessages: (threadId) => read(`/api/threads/${threadId}/messages`),
+    sendMessage: (threadId, { body, attachmentIds }) => write("POST", `/api/threads/${threadId}/messages`, { body, attachmentIds }),
+    markThreadRead: (threadId) => api.post(`/api/threads/${threadId}/read`),
+    unreadCount: () => api.get("/api/messages/unread").then((r) => r.count),
+    inbox: ({ unread, mine } = {}) => read(`/api/inbox?${new URLSearchParams({ ...(unread && { unread: 1 }), ...(mine && { mine: 1 }) })}`),
+    auditLog: (query) => api.get(`/api/audit?${new URLSearchParams(Object.entries(query).filter(([, v]) => v !== "" && v != null))}`),
+    verifyAuditLog: () => api.get("/api/audit/verify"),
+    exportAuditLog: (query) => api.get(`/api/audit/export?${new URLSearchParams(Object.entries(query).filter(([, v]) => v !== "" && v != null))}`, { raw: true })
+      .then((res) => res.blob()),
+    recordAuditEvent: (action, details) => api.post("/api/audit/events", { action, details }),
+    listConsents: (caseId) => read(`/api/cases/${caseId}/consents`),
+    exportCaseData: (caseId) => api.get(`/api/cases/${caseId}/export`, { raw: true }).then((res) => res.blob()),
+    eraseCase: (caseId, { confirm, reason, deleteAccount }) => api.post(`/api/cases/${caseId}/erase`, { confirm, reason, deleteAccount }),
+    retentionPreview: () => api.get("/api/privacy/retention"),
+    purgeExpired: () => api.post("/api/privacy/retention/purge"),
+    exportData: (spec) => api.post("/api/exports", spec, { raw: true }).then((res) => res.blob()),
+    // Bookings claim a slot, so they are never queued for a later replay
+    bookingConfig: () => read("/api/booking/config"),
+    bookingTypes: ({ all } = {}) => api.get(`/api/booking/types${all ? "?all=1" : ""}`),
+    saveBookingType: (id, type) => (id ? api.patch(`/api/booking/types/${id}`, type) : api.post("/api/booking/types", type)),
+    bookingSlots: ({ typeId, from, to }) => api.get(`/api/booking/slots?${new URLSearchParams({ typeId, from, to })}`),
+    availability: (staffUserId) => api.get(`/api/booking/availability${staffUserId ? `?staffUserId=${staffUserId}` : ""}`),
+    setAvailability: ({ timeZone, rules }, staffUserId) => api.put(`/api/booking/availability${staffUserId ? `?staffUserId=${staffUserId}` : ""}`, { timeZone, rules }),
+    addTimeOff: ({ start, end, reason }) => api.post("/api/booking/time-off", { start, end, reason }),
+    removeTimeOff: (id) => api.del(`/api/booking/time-off/${id}`),
+    listAppointments: ({ upcoming, mine, caseId } = {}) => read(`/api/appointments?${new URLSearchParams({ ...(upcoming && { upcoming: 1 }), ...(mine && { mine: 1 }), ...(caseId && { caseId }) })}`),
+    bookAppointment: ({ typeId, start, timeZone, notes }) => api.post("/api/appointments", { typeId, start, timeZone, notes }),
+    rescheduleAppointment: (id, { start, timeZone }) => api.post(`/api/appointments/${id}/reschedule`, { start, timeZone }),
+    cancelAppointment: (id, reason) => api.post(`/api/appointments/${id}/cancel`, { reason }),
+    appointmentIcs: (id) => api.get(`/api/appointments/${id}/ics`, { raw: true }).then((res) => res.blob()),
+    clearAssessments: () => api.del("/api/assessments"),
+    notificationPreferences: () => api.get("/api/notifications/preferences"),
+    setNotificationPreferences: ({ phone, email, sms }) => api.put("/api/notifications/preferences", { phone, email, sms }),
+    setNotificationLocale: (locale) => api.put("/api/notifications/preferences", { locale }),
+    caseNotifications: (caseId) => api.get(`/api/cases/${caseId}/notifications`),
+  };
+}
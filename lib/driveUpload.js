@@ -0,0 +1,203 @@
+/**
+ * Resumable, chunked uploads to Google Drive
+ * ---------------------------------------------------------------------------
+ * Drive's resumable protocol: POST the metadata to open a session (the
+ * session URL comes back in `Location`), then PUT the bytes in chunks with
+ * `Content-Range`. Drive answers 308 + `Range` until the last chunk, then
+ * 200/201 with the file. After a failure, `PUT Content-Range: bytes *\/size`
+ * asks how much arrived, so the upload continues from there.
+ *
+ *  - Chunks are multiples of 256 KiB (a Drive requirement), 8 MiB by default.
+ *  - Network errors, 408/429 and 5xx are retried with exponential backoff;
+ *    while the browser is offline we wait for it to come back instead. A 308
+ *    that does not move the acknowledged range counts as a failed attempt,
+ *    and the total number of requests per upload is capped.
+ *  - Sessions are remembered by `key` (e.g. the upload id) in `sessions`, so
+ *    after retries run out – or the page reloads – calling upload() again
+ *    resumes rather than starting over. Drive keeps sessions for a week.
+ *  - 404/410 on a session means it expired: a new one is opened.
+ */
+
+export const CHUNK_UNIT = 256 * 1024;
+export const DEFAULT_CHUNK_SIZE = 32 * CHUNK_UNIT;
+export const FOLDER_MIME = "application/vnd.google-apps.folder";
+const SESSION_MAX_AGE_MS = 6 * 24 * 3600 * 1000;
+const DRIVE_FILES = "https://www.googleapis.com/drive/v3/files";
+const DRIVE_UPLOAD = "https://www.googleapis.com/upload/drive/v3/files";
+
+export class DriveUploadError extends Error {
+  constructor(message, { status = 0, retryable = false } = {}) {
+    super(message);
+    this.name = "DriveUploadError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/** Delay before retry `attempt` (1-based): 0.5 s, 1 s, 2 s … capped, with jitter. */
+export function backoffDelay(attempt, { baseMs = 500, maxMs = 30000, random = Math.random } = {}) {
+  return Math.round(Math.min(maxMs, baseMs * 2 ** (attempt - 1)) * (0.5 + random() / 2));
+}
+
+/** "bytes=0-524287" → 524288 (next byte to send); no header → 0. */
+export function nextOffset(rangeHeader) {
+  const m = /bytes=0-(\d+)/.exec(rangeHeader || "");
+  return m ? Number(m[1]) + 1 : 0;
+}
+
+/** Session store backed by localStorage (keys are prefixed); falls back to memory. */
+export function localStorageSessions(prefix = "pw_drive_session:") {
+  const memory = new Map();
+  const ls = typeof localStorage === "undefined" ? null : localStorage;
+  return {
+    get(key) {
+      try {
+        const s = ls ? JSON.parse(ls.getItem(prefix + key) || "null") : memory.get(key);
+        return s && Date.now() - s.createdAt < SESSION_MAX_AGE_MS ? s : null;
+      } catch {
+        return null;
+      }
+    },
+    set(key, session) { ls ? ls.setItem(prefix + key, JSON.stringify(session)) : memory.set(key, session); },
+    delete(key) { ls ? ls.removeItem(prefix + key) : memory.delete(key); },
+  };
+}
+
+const browserOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+const waitForBrowserOnline = () => new Promise((resolve) => {
+  if (browserOnline()) return resolve();
+  window.addEventListener("online", () => resolve(), { once: true });
+});
+const retryableStatus = (s) => s === 408 || s === 429 || s >= 500;
+
+/**
+ * createDriveUploader({ getToken, ... }) → { ensureFolder, deleteFile, upload }
+ * `getToken` returns an OAuth access token (drive.file scope is enough).
+ */
+export function createDriveUploader({
+  getToken,
+  fetchImpl = (...a) => fetch(...a),
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  maxRetries = 6,
+  sessions = localStorageSessions(),
+  sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+  isOnline = browserOnline,
+  waitForOnline = waitForBrowserOnline,
+} = {}) {
+  if (chunkSize % CHUNK_UNIT) throw new Error("chunkSize must be a multiple of 256 KiB");
+
+  async function api(method, url, body) {
+    const res = await fetchImpl(url, {
+      method,
+      headers: { Authorization: `Bearer ${await getToken()}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) throw new DriveUploadError(`Google Drive error ${res.status}`, { status: res.status, retryable: retryableStatus(res.status) });
+    return res.json();
+  }
+
+  /** Finds a folder by name under `parentId` (or My Drive), creating it when missing. */
+  async function ensureFolder({ name, parentId = "" }) {
+    const q = [`name = '${name.replace(/['\\]/g, "\\$&")}'`, `mimeType = '${FOLDER_MIME}'`, "trashed = false", `'${parentId || "root"}' in parents`];
+    const found = await api("GET", `${DRIVE_FILES}?${new URLSearchParams({ q: q.join(" and "), fields: "files(id)", pageSize: "1" })}`);
+    if (found.files?.[0]) return found.files[0].id;
+    return (await api("POST", `${DRIVE_FILES}?fields=id`, { name, mimeType: FOLDER_MIME, ...(parentId ? { parents: [parentId] } : {}) })).id;
+  }
+
+  /** Permanently deletes a file or folder (with its contents); one already gone counts as deleted. */
+  async function deleteFile(id) {
+    const res = await fetchImpl(`${DRIVE_FILES}/${encodeURIComponent(id)}`, { method: "DELETE", headers: { Authorization: `Bearer ${await getToken()}` } });
+    if (!res.ok && res.status !== 404) throw new DriveUploadError(`Google Drive error ${res.status}`, { status: res.status, retryable: retryableStatus(res.status) });
+  }
+
+  async function openSession({ name, mimeType, size, folderId }) {
+    const res = await fetchImpl(`${DRIVE_UPLOAD}?uploadType=resumable&fields=id,name,webViewLink`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${await getToken()}`,
+        "Content-Type": "application/json; charset=UTF-8",
+        "X-Upload-Content-Type": mimeType || "application/octet-stream",
+        "X-Upload-Content-Length": String(size),
+      },
+      body: JSON.stringify({ name, mimeType, ...(folderId ? { parents: [folderId] } : {}) }),
+    });
+    const url = res.ok && res.headers.get("Location");
+    if (!url) throw new DriveUploadError(`Could not start the Drive upload (${res.status})`, { status: res.status, retryable: retryableStatus(res.status) });
+    return { url, size, createdAt: Date.now() };
+  }
+
+  // Sends one PUT to the session; returns { file } when complete, { offset } to continue, { expired } to restart
+  async function put(session, headers, body, signal) {
+    const res = await fetchImpl(session.url, { method: "PUT", headers, body, signal });
+    if (res.status === 308) return { offset: nextOffset(res.headers.get("Range")) };
+    if (res.ok) return { file: await res.json() };
+    if (res.status === 404 || res.status === 410) return { expired: true };
+    throw new DriveUploadError(`Drive upload failed (${res.status})`, { status: res.status, retryable: retryableStatus(res.status) });
+  }
+
+  /**
+   * Uploads `blob`; resolves with the Drive file ({ id, name, webViewLink }).
+   * onProgress(sentBytes, totalBytes) fires after every accepted chunk.
+   */
+  async function upload({ blob, name, mimeType = blob.type, folderId = "", key = null, onProgress, signal }) {
+    const size = blob.size;
+    let session = key ? sessions.get(key) : null;
+    if (session && session.size !== size) session = null;
+    let offset = 0;
+    let askStatus = Boolean(session); // a remembered session: find out how far it got
+    let attempt = 0;
+    // Every chunk twice over plus every retry: enough for one restart, never endless
+    const maxRoundTrips = 2 * (Math.ceil(size / chunkSize) + maxRetries + 1);
+    let roundTrips = 0;
+
+    for (;;) {
+      if (signal?.aborted) throw new DriveUploadError("Upload cancelled");
+      if (++roundTrips > maxRoundTrips) throw new DriveUploadError(`Drive upload of ${name} is not making progress; try again later`, { retryable: true });
+      try {
+        if (!session) {
+          session = await openSession({ name, mimeType, size, folderId });
+          if (key) sessions.set(key, session);
+          offset = 0;
+          askStatus = false;
+        }
+        let step;
+        const wasStatus = askStatus;
+        if (askStatus) {
+          step = await put(session, { "Content-Range": `bytes */${size}` }, undefined, signal);
+        } else {
+          const end = Math.min(offset + chunkSize, size);
+          const range = size === 0 ? "bytes */0" : `bytes ${offset}-${end - 1}/${size}`;
+          step = await put(session, { "Content-Range": range }, blob.slice(offset, end), signal);
+        }
+        askStatus = false;
+        if (step.expired) {
+          session = null;
+          if (key) sessions.delete(key);
+          continue;
+        }
+        if (step.file) {
+          if (key) sessions.delete(key);
+          onProgress?.(size, size);
+          return step.file;
+        }
+        if (step.offset > offset) attempt = 0;
+        else if (!wasStatus) throw new DriveUploadError(`Drive did not accept the data for ${name}`, { retryable: true });
+        offset = step.offset;
+        onProgress?.(offset, size);
+      } catch (e) {
+        if (signal?.aborted) throw new DriveUploadError("Upload cancelled");
+        // fetch() rejects with TypeError on network loss; DriveUploadError says whether a retry can help
+        const retryable = e instanceof DriveUploadError ? e.retryable : true;
+        attempt += 1;
+        if (!retryable || attempt > maxRetries) {
+          throw e instanceof DriveUploadError ? e : new DriveUploadError(`Network error while uploading ${name}; try again to resume`, { retryable: true });
+        }
+        if (!isOnline()) await waitForOnline();
+        else await sleep(backoffDelay(attempt));
+        askStatus = Boolean(session);
+      }
+    }
+  }
+
+  return { ensureFolder, deleteFile, upload };
+}
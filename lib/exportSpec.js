@@ -0,0 +1,173 @@
+/**
+ * Staff export builder – sheet and column catalogue
+ * ---------------------------------------------------------------------------
+ * Shared by the Staff view (column picker) and server/exports.js (which
+ * builds the file). Every column has a stable key, a header label and a cell
+ * type ("string" | "number" | "date") so XLSX cells are typed instead of the
+ * text dump `json_to_sheet` produced.
+ *
+ * Assessment answer columns come from the questionnaire definitions in
+ * formSchema.js, so they exist whether or not a given row answered them.
+ */
+import { QUESTIONNAIRES } from "./formSchema.js";
+import { LANGUAGE_LEVEL_COLUMNS } from "./languageTests.js";
+
+const typeOfField = (f) => (f.type === "number" || f.type === "decimal" ? "number" : f.type === "date" ? "date" : "string");
+const labelOf = (f) => f.label.replace(/\s*\((optional|if known)\)$/i, "");
+
+// One column per questionnaire field, first definition wins (steps are shared between programs)
+function answerColumns() {
+  const seen = new Map();
+  Object.values(QUESTIONNAIRES).forEach((q) => q.steps.forEach((step) => (step.fields || []).forEach((f) => {
+    if (f.type === "repeat") return;
+    const key = f.column || f.path[f.path.length - 1];
+    if (!seen.has(key)) seen.set(key, { key, label: labelOf(f), type: typeOfField(f), path: f.path });
+  })));
+  return [...seen.values()];
+}
+
+const CASE_COLUMNS = [
+  { key: "case_name", label: "Client" },
+  { key: "case_email", label: "Client email" },
+];
+
+export const EXPORT_SHEETS = {
+  assessments: {
+    label: "Assessments",
+    columns: [
+      { key: "submitted_at", label: "Submitted", type: "date" },
+      ...CASE_COLUMNS,
+      { key: "case_program", label: "Program" },
+      { key: "case_status", label: "Status" },
+      { key: "case_outcome", label: "Outcome" },
+      { key: "assigned_to", label: "Assigned to" },
+      ...answerColumns(),
+      { key: "work_count", label: "Jobs listed", type: "number" },
+      { key: "experience_canadian_years", label: "Canadian experience (yrs)", type: "number" },
+      { key: "experience_foreign_years", label: "Foreign experience (yrs)", type: "number" },
+      ...LANGUAGE_LEVEL_COLUMNS,
+      { key: "crs_total", label: "CRS total", type: "number" },
+      { key: "crs_core", label: "CRS core", type: "number" },
+      { key: "crs_spouse", label: "CRS spouse", type: "number" },
+      { key: "crs_transferability", label: "CRS transferability", type: "number" },
+      { key: "crs_additional", label: "CRS additional", type: "number" },
+      { key: "crs_version", label: "CRS rules" },
+    ],
+  },
+  work: {
+    label: "Work history",
+    columns: [
+      ...CASE_COLUMNS,
+      { key: "submitted_at", label: "Assessment submitted", type: "date" },
+      { key: "position", label: "Job #", type: "number" },
+      { key: "title", label: "Job title" },
+      { key: "employer", label: "Employer" },
+      { key: "city", label: "City" },
+      { key: "state", label: "State/Province" },
+      { key: "country", label: "Country" },
+      { key: "start", label: "Start date", type: "date" },
+      { key: "end", label: "End date", type: "date" },
+      { key: "current", label: "Current job" },
+      { key: "hours", label: "Hours per week", type: "number" },
+    ],
+  },
+  documents: {
+    label: "Documents",
+    columns: [
+      ...CASE_COLUMNS,
+      { key: "uploaded_at", label: "Uploaded", type: "date" },
+      { key: "name", label: "File name" },
+      { key: "type", label: "File type" },
+      { key: "size", label: "Size (bytes)", type: "number" },
+      { key: "checklist_item", label: "Checklist item" },
+      { key: "checklist_status", label: "Review status" },
+      { key: "checklist_reason", label: "Rejection reason" },
+    ],
+  },
+  history: {
+    label: "Status history",
+    columns: [
+      ...CASE_COLUMNS,
+      { key: "at", label: "Date", type: "date" },
+      { key: "from_status", label: "From" },
+      { key: "to_status", label: "To" },
+      { key: "actor", label: "By" },
+      { key: "outcome", label: "Outcome" },
+      { key: "note", label: "Note" },
+    ],
+  },
+};
+
+export const EXPORT_FORMATS = ["xlsx", "csv"];
+
+// What a first-time export contains: every sheet, a compact set of columns
+export const DEFAULT_EXPORT = {
+  format: "xlsx",
+  sheets: {
+    assessments: ["submitted_at", "case_name", "case_email", "case_program", "case_status", "assigned_to", "age", "education", "crs_total"],
+    work: ["case_name", "position", "title", "employer", "country", "start", "end", "hours"],
+    documents: ["case_name", "uploaded_at", "name", "type", "size", "checklist_item", "checklist_status"],
+    history: ["case_name", "at", "from_status", "to_status", "actor", "note"],
+  },
+  filters: { from: "", to: "", program: "", status: "" },
+};
+
+/**
+ * Checks an export request against the catalogue. Returns
+ * { format, sheets: [{ id, label, columns }], filters } or throws Error
+ * with a message suitable for the user. Column order is the caller's.
+ */
+export function resolveExport({ format = "xlsx", sheets = {}, filters = {} } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}"`);
+  const picked = Object.entries(sheets).filter(([, cols]) => Array.isArray(cols) && cols.length).map(([id, cols]) => {
+    const sheet = EXPORT_SHEETS[id];
+    if (!sheet) throw new Error(`Unknown sheet "${id}"`);
+    const columns = [...new Set(cols)].map((key) => {
+      const col = sheet.columns.find((c) => c.key === key);
+      if (!col) throw new Error(`Unknown column "${key}" in ${sheet.label}`);
+      return { type: "string", ...col };
+    });
+    return { id, label: sheet.label, columns };
+  });
+  if (!picked.length) throw new Error("Choose at least one column to export");
+  const date = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v || "") ? v : "");
+  return {
+    format,
+    sheets: picked,
+    filters: { from: date(filters.from), to: date(filters.to), program: String(filters.program || ""), status: String(filters.status || "") },
+  };
+}
+
+/** Converts a raw value to what a typed cell holds: number, Date, string or null. */
+export function cellValue(type, v) {
+  if (v === undefined || v === null || v === "") return null;
+  if (type === "number") {
+    const n = typeof v === "number" ? v : parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (type === "date") {
+    const d = v instanceof Date ? v : new Date(v);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return typeof v === "boolean" ? (v ? "yes" : "no") : String(v);
+}
+
+// Dates without a time of day print as YYYY-MM-DD
+const isoText = (d) => {
+  const iso = d.toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+};
+
+/** Text a spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a leading apostrophe. */
+export const formulaSafe = (s) => (/^[=+\-@\t\r]/.test(s) ? `'${s}` : s);
+
+// Numbers and dates are ours; only text can carry a client's formula
+const csvCell = (v) => {
+  const s = v == null ? "" : v instanceof Date ? isoText(v) : typeof v === "number" ? String(v) : formulaSafe(String(v));
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** One sheet ({ columns, rows: [[value]] }) as CSV text, header first. */
+export function sheetToCsv({ columns, rows }) {
+  return [columns.map((c) => csvCell(c.label)), ...rows.map((r) => r.map(csvCell))].map((r) => r.join(",")).join("\r\n");
+}
@@ -0,0 +1,452 @@
+/**
+ * Declarative questionnaire schemas for EligibilityForm
+ * ---------------------------------------------------------------------------
+ * A questionnaire is a list of steps; each step lists fields. The form
+ * renders and validates straight from these definitions, so adding a
+ * question means adding one object here.
+ *
+ * Field shape
+ *   { path: ["basics", "age"], label, type, required, options, min, max,
+ *     pattern, validate(value, data, t, scope), visibleIf(data), column, placeholder }
+ *   type: text | email | tel | number | decimal | date | select | textarea | checkbox
+ *
+ * Repeatable groups
+ *   { type: "repeat", path: ["work"], itemLabel, fields: [...item fields with
+ *     relative paths], newItem(), validate(list, data) → errors, summary(list),
+ *     flatten(list) → export columns, minItems (default 1) }
+ *   Item fields get the entry as `visibleIf(item, data)` and as the `scope`
+ *   of their validator (top-level fields get the answers as both).
+ *
+ * Steps
+ *   { id, title, fields, visibleIf(data) } or { id: "review", title, review: true }
+ *
+ * Errors are keyed by the field path joined with "_" (e.g. contact_email,
+ * work_0_title) so group validators and per-field validators share a map.
+ *
+ * Translation: the English text here is the source. The form looks up
+ * `form.step.<id>`, `form.field.<key>` (key = pathKey of the full path, or
+ * the field's `i18n`), `form.option.<value>` and `form.error.*` in the
+ * catalogues (lib/i18n.js) and falls back to this text; repeat groups add
+ * `form.<group>.intro` and `form.<group>.add` (e.g. form.work.add).
+ * Validators and repeat-group labels take an optional `t`; without it they
+ * answer in English.
+ */
+
+import { emptyWorkEntry, experienceYears, flattenWork, validateWorkHistory } from "./workHistory.js";
+import { emptyDependant, flattenDependants, partnered, spouseAccompanying, withDependantIds } from "./household.js";
+import {
+  emptyResult, isExpired, LANGUAGE_ABILITIES, resultExpiry, scoreProblem, testLanguage, testOptions, upgradeLanguageAnswers,
+} from "./languageTests.js";
+import { interpolate } from "./i18n.js";
+import { TAX_REGIONS } from "./billing.js";
+
+// --- Validators ---
+export const required = (v) => (v || v === 0 ? undefined : "This field is required.");
+export const isEmail = (v) => (/^\S+@\S+\.\S+$/.test(v) ? undefined : "Enter a valid email.");
+const english = (key, vars, fallback) => interpolate(fallback, vars);
+
+export const PROGRAMS = ["Express Entry", "Study Permit", "Work Permit", "PNP", "Family Sponsorship"];
+export const PROVINCES = ["AB", "BC", "MB", "NB", "NL", "NS", "NT", "NU", "ON", "PE", "QC", "SK", "YT"];
+
+// --- Initial state (every section any questionnaire writes to) ---
+export const initialAssessment = {
+  contact: { firstName: "", lastName: "", email: "", phone: "", province: "" },
+  basics: { age: "", education: "", educationCountry: "Outside Canada", marital: "Single" },
+  language: { first: emptyResult(), second: emptyResult() },
+  interest: { program: "Express Entry", notes: "" },
+  work: [emptyWorkEntry()],
+  spouse: {
+    firstName: "", lastName: "", accompanying: "Yes", canadian: false, education: "", language: emptyResult(), canadianWorkYears: "",
+  },
+  dependants: [],
+  study: { institution: "", dli: "", fieldOfStudy: "", startDate: "", tuition: "", funds: "", attestation: false },
+  jobOffer: { hasOffer: "No", employer: "", title: "", noc: "", province: "", lmia: "" },
+  pnp: { province: "", stream: "", provincialTies: "" },
+  sponsorship: { sponsorStatus: "", relationship: "", sponsorProvince: "", applicantCountry: "" },
+};
+
+// --- Path helpers ---
+export const pathKey = (path) => path.join("_");
+
+export function getIn(obj, path) {
+  return path.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/**
+ * Fills in sections missing from older saved progress (and moves old IELTS
+ * answers, see lib/languageTests.js). Dependants saved before they had ids
+ * get their list position as id (lib/household.js).
+ */
+export function withDefaults(data) {
+  const out = { ...initialAssessment };
+  const saved = upgradeLanguageAnswers(data || {});
+  Object.keys(saved).forEach((k) => {
+    const d = saved[k];
+    out[k] = d && typeof d === "object" && !Array.isArray(d) ? { ...initialAssessment[k], ...d } : d;
+  });
+  if (Array.isArray(out.dependants)) out.dependants = withDependantIds(out.dependants).map((c) => ({ ...emptyDependant(), ...c }));
+  return out;
+}
+
+// --- Shared field sets ---
+const EDUCATION_OPTIONS = ["Secondary", "Diploma", "Bachelor", "Master", "PhD"];
+
+function testDateError(value, data, t = english) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (value > today) return t("form.error.futureTestDate", {}, "The test date cannot be in the future.");
+  if (isExpired({ date: value }, today)) {
+    return t("form.error.testExpired", { date: resultExpiry({ date: value }) }, "These results expired on {date}. Test results are valid for two years.");
+  }
+  return undefined;
+}
+
+/**
+ * One language test result at `path` (lib/languageTests.js): the test, then
+ * its date and four scores once a test is picked. Scores are checked against
+ * that test's range. With `other`, the test must be in the other official
+ * language than the result at that path. Inside a repeat group `path` is
+ * relative to the entry.
+ */
+function testResultFields(path, { label, i18n, required = false, prefix = "", column, other, visibleIf = () => true }) {
+  const result = (scope) => getIn(scope, path) || {};
+  const tested = (d) => visibleIf(d) && Boolean(result(d).test);
+  const lead = (s) => (prefix ? `${prefix}${s}` : s[0].toUpperCase() + s.slice(1));
+  return [
+    {
+      path: [...path, "test"], label, ...(i18n ? { i18n } : {}), type: "select", options: testOptions(), required, column: `${column}test`, visibleIf,
+      ...(other ? {
+        validate: (test, d, t = english, scope = d) => (testLanguage(test) === testLanguage(getIn(scope, [...other, "test"]))
+          ? t("form.error.sameLanguage", {}, "Choose a test in your other official language.") : undefined),
+      } : {}),
+    },
+    { path: [...path, "date"], label: lead("test date"), type: "date", required: true, column: `${column}test_date`, visibleIf: tested, validate: testDateError },
+    ...LANGUAGE_ABILITIES.map((a) => ({
+      path: [...path, a], label: lead(`${a} score`), type: "decimal", required: true, column: `${column}${a}`, visibleIf: tested,
+      validate: (value, d, t = english, scope = d) => {
+        const p = scoreProblem(result(scope).test, a, value);
+        if (!p) return undefined;
+        return p.step === 1
+          ? t("form.error.testScore", p, "{test} scores for this skill run from {min} to {max}.")
+          : t("form.error.testBand", p, "{test} bands run from {min} to {max} in steps of {step}.");
+      },
+    })),
+  ];
+}
+
+const contactStep = {
+  id: "contact",
+  title: "Contact",
+  fields: [
+    { path: ["contact", "firstName"], label: "First name", required: true },
+    { path: ["contact", "lastName"], label: "Last name", required: true },
+    { path: ["contact", "email"], label: "Email", type: "email", required: true },
+    { path: ["contact", "phone"], label: "Phone (optional)", type: "tel" },
+    // Also decides the sales tax on the retainer's professional fees (lib/retainer.js)
+    {
+      path: ["contact", "province"], label: "Where do you live?", type: "select", required: true, column: "province",
+      options: [...PROVINCES.map((p) => ({ value: p, label: TAX_REGIONS[p].label })), { value: "OUT", label: "Outside Canada" }],
+    },
+  ],
+};
+
+const interestStep = {
+  id: "interest",
+  title: "Interest",
+  fields: [
+    { path: ["interest", "program"], label: "Program of interest", type: "select", options: PROGRAMS },
+    { path: ["interest", "notes"], label: "Notes (optional)", type: "textarea" },
+  ],
+};
+
+const basicsStep = {
+  id: "basics",
+  title: "Basics",
+  fields: [
+    { path: ["basics", "age"], label: "Age", type: "number", min: 16, max: 99, required: true },
+    {
+      path: ["basics", "education"], label: "Highest education", type: "select", required: true,
+      options: EDUCATION_OPTIONS,
+    },
+    {
+      path: ["basics", "educationCountry"], label: "Where did you complete it?", type: "select", column: "education_country",
+      options: ["Outside Canada", "Canada"], visibleIf: (d) => Boolean(d.basics?.education),
+    },
+    { path: ["basics", "marital"], label: "Marital status", type: "select", options: ["Single", "Married", "Common‑law"] },
+  ],
+};
+
+// The first result is the official language the applicant is scored on first
+// (usually their stronger one); a second, optional result in the other
+// language earns CRS points too.
+const languageStep = (optional = false) => ({
+  id: "language",
+  title: "Language",
+  fields: [
+    ...testResultFields(["language", "first"], {
+      label: `Language test – first official language${optional ? " (optional)" : ""}`, ...(optional ? { i18n: "language_first_test_optional" } : {}),
+      required: !optional, column: "language_",
+    }),
+    ...testResultFields(["language", "second"], {
+      label: "Test in your other official language (optional)", prefix: "second test ", column: "second_language_", other: ["language", "first"],
+      visibleIf: (d) => Boolean(d.language?.first?.test),
+    }),
+  ],
+});
+
+const workStep = {
+  id: "work",
+  title: "Work History",
+  fields: [{
+    type: "repeat",
+    path: ["work"],
+    itemLabel: (w, i, t = english) => `${t("form.work.item", { n: i + 1 }, "Job #{n}")}${w.title ? ` – ${w.title}` : ""}`,
+    intro: "List every job in the last 10 years, most recent first. Part-time work is counted pro-rata (30 h/week = full time).",
+    addLabel: "Add another job",
+    newItem: emptyWorkEntry,
+    fields: [
+      { path: ["title"], label: "Job title" },
+      { path: ["employer"], label: "Employer" },
+      { path: ["city"], label: "City" },
+      { path: ["country"], label: "Country" },
+      { path: ["state"], label: "State/Province (optional)" },
+      { path: ["hours"], label: "Hours per week", type: "number", min: 1, max: 80 },
+      { path: ["start"], label: "Start date", type: "date" },
+      { path: ["end"], label: "End date", type: "date", visibleIf: (item) => !item.current },
+      { path: ["current"], label: "This is my current job", type: "checkbox" },
+    ],
+    // Required/date/overlap rules live in lib/workHistory so scoring and export agree
+    validate: (list) => validateWorkHistory(list),
+    summary: (list, t = english) => {
+      const years = experienceYears(list);
+      return t("form.work.summary", years, "Full-time equivalent: {canadian} yrs Canadian · {foreign} yrs foreign");
+    },
+    flatten: (list) => flattenWork(list),
+  }],
+};
+
+// Spouse and dependants. Where CRS is scored the partner's education, language
+// and Canadian work are asked too (lib/crs.js scores them as spouse factors).
+const familyStep = (scored = false) => ({
+  id: "family",
+  title: "Family",
+  fields: [
+    { path: ["spouse", "firstName"], label: "Partner's first name", column: "spouse_first_name", required: true, visibleIf: partnered },
+    { path: ["spouse", "lastName"], label: "Partner's last name", column: "spouse_last_name", required: true, visibleIf: partnered },
+    {
+      path: ["spouse", "accompanying"], label: "Will your partner come to Canada with you?", type: "select", options: ["Yes", "No"],
+      column: "spouse_accompanying", visibleIf: partnered,
+    },
+    { path: ["spouse", "canadian"], label: "My partner is a Canadian citizen or permanent resident", type: "checkbox", column: "spouse_canadian", visibleIf: partnered },
+    ...(scored ? [
+      { path: ["spouse", "education"], label: "Partner's highest education (optional)", type: "select", options: EDUCATION_OPTIONS, column: "spouse_education", visibleIf: spouseAccompanying },
+      ...testResultFields(["spouse", "language"], {
+        label: "Partner's language test (optional)", prefix: "partner's ", column: "spouse_language_", visibleIf: spouseAccompanying,
+      }),
+      {
+        path: ["spouse", "canadianWorkYears"], label: "Partner's years of skilled work in Canada", type: "number", min: 0, max: 10,
+        column: "spouse_canadian_work_years", visibleIf: spouseAccompanying,
+      },
+    ] : []),
+    {
+      type: "repeat",
+      path: ["dependants"],
+      minItems: 0,
+      itemLabel: (c, i, t = english) => `${t("form.dependants.item", { n: i + 1 }, "Child #{n}")}${c.firstName ? ` – ${c.firstName}` : ""}`,
+      intro: "List every child under 22 – and older children who depend on you because of a condition – whether or not they come to Canada.",
+      addLabel: "Add a dependent child",
+      newItem: emptyDependant,
+      fields: [
+        { path: ["firstName"], label: "First name", required: true },
+        { path: ["lastName"], label: "Last name", required: true },
+        { path: ["dateOfBirth"], label: "Date of birth", type: "date", required: true },
+        { path: ["relationship"], label: "Relationship", type: "select", options: ["Child", "Stepchild", "Adopted child"], required: true },
+        { path: ["accompanying"], label: "Coming to Canada with you?", type: "select", options: ["Yes", "No"] },
+        { path: ["education"], label: "Highest education (optional)", type: "select", options: EDUCATION_OPTIONS },
+        ...testResultFields(["language"], { label: "Language test (optional)", column: "" }),
+      ],
+      flatten: (list) => flattenDependants(list),
+    },
+  ],
+});
+
+const studyStep = {
+  id: "study",
+  title: "Study Plans",
+  fields: [
+    { path: ["study", "institution"], label: "School / institution", required: true },
+    { path: ["study", "dli"], label: "DLI number (optional)", pattern: /^O\d{11,12}$/, patternMessage: "DLI numbers look like O19283746574." },
+    { path: ["study", "fieldOfStudy"], label: "Program of study", required: true },
+    { path: ["study", "startDate"], label: "Program start date", type: "date", required: true },
+    { path: ["study", "tuition"], label: "First-year tuition (CAD)", type: "number", min: 0 },
+    { path: ["study", "funds"], label: "Available funds (CAD)", type: "number", min: 0, required: true },
+    { path: ["study", "attestation"], label: "I have a provincial attestation letter (PAL/TAL)", type: "checkbox" },
+  ],
+};
+
+const jobOfferStep = {
+  id: "jobOffer",
+  title: "Job Offer",
+  fields: [
+    { path: ["jobOffer", "hasOffer"], label: "Do you have a Canadian job offer?", type: "select", options: ["No", "Yes"], column: "job_offer" },
+    { path: ["jobOffer", "employer"], label: "Employer", column: "job_offer_employer", required: true, visibleIf: (d) => d.jobOffer?.hasOffer === "Yes" },
+    { path: ["jobOffer", "title"], label: "Job title", column: "job_offer_title", required: true, visibleIf: (d) => d.jobOffer?.hasOffer === "Yes" },
+    {
+      path: ["jobOffer", "noc"], label: "NOC code (optional)", column: "job_offer_noc", pattern: /^\d{5}$/, patternMessage: "NOC 2021 codes have 5 digits.",
+      visibleIf: (d) => d.jobOffer?.hasOffer === "Yes",
+    },
+    { path: ["jobOffer", "province"], label: "Province", type: "select", options: PROVINCES, column: "job_offer_province", visibleIf: (d) => d.jobOffer?.hasOffer === "Yes" },
+    {
+      path: ["jobOffer", "lmia"], label: "LMIA status", type: "select", column: "job_offer_lmia", required: true,
+      options: ["LMIA approved", "LMIA in progress", "LMIA-exempt", "Not sure"],
+      visibleIf: (d) => d.jobOffer?.hasOffer === "Yes",
+    },
+  ],
+};
+
+const pnpStep = {
+  id: "pnp",
+  title: "Province",
+  fields: [
+    { path: ["pnp", "province"], label: "Province or territory", type: "select", options: PROVINCES, column: "pnp_province", required: true },
+    { path: ["pnp", "stream"], label: "Stream (if known)", column: "pnp_stream" },
+    { path: ["pnp", "provincialTies"], label: "Ties to the province (study, work, family)", type: "textarea", column: "pnp_ties" },
+  ],
+};
+
+const sponsorshipStep = {
+  id: "sponsorship",
+  title: "Sponsorship",
+  fields: [
+    { path: ["sponsorship", "sponsorStatus"], label: "Sponsor status in Canada", type: "select", options: ["Citizen", "Permanent resident", "Registered Indian"], required: true },
+    {
+      path: ["sponsorship", "relationship"], label: "Person being sponsored", type: "select", required: true,
+      options: ["Spouse", "Common-law partner", "Conjugal partner", "Dependent child", "Parent", "Grandparent", "Other relative"],
+    },
+    { path: ["sponsorship", "sponsorProvince"], label: "Sponsor's province", type: "select", options: PROVINCES, required: true },
+    {
+      path: ["sponsorship", "applicantCountry"], label: "Sponsored person's country of residence", required: true,
+    },
+  ],
+};
+
+const reviewStep = { id: "review", title: "Review", review: true };
+
+// --- Questionnaires per program ---
+export const QUESTIONNAIRES = {
+  "Express Entry": { scoring: "crs", steps: [contactStep, interestStep, basicsStep, familyStep(true), languageStep(), workStep, reviewStep] },
+  "Study Permit": { steps: [contactStep, interestStep, basicsStep, familyStep(), studyStep, languageStep(true), reviewStep] },
+  "Work Permit": { steps: [contactStep, interestStep, basicsStep, familyStep(), jobOfferStep, workStep, reviewStep] },
+  PNP: { scoring: "crs", steps: [contactStep, interestStep, basicsStep, familyStep(true), pnpStep, languageStep(), workStep, jobOfferStep, reviewStep] },
+  "Family Sponsorship": { steps: [contactStep, interestStep, sponsorshipStep, basicsStep, familyStep(), reviewStep] },
+};
+
+export function questionnaireFor(program) {
+  return QUESTIONNAIRES[program] || QUESTIONNAIRES["Express Entry"];
+}
+
+/** Steps whose `visibleIf` passes for the current answers. */
+export function visibleSteps(schema, data) {
+  return schema.steps.filter((s) => !s.visibleIf || s.visibleIf(data));
+}
+
+const isVisible = (field, scope, data) => !field.visibleIf || field.visibleIf(scope, data);
+
+/** Catalogue key for a field's label and messages: its `i18n` or the path key. */
+export const fieldKey = (field, path = field.path) => field.i18n || pathKey(path);
+
+// --- Validation ---
+export function validateField(field, value, data, t = english, key = fieldKey(field), scope = data) {
+  const empty = value === "" || value == null || value === false;
+  if (field.required && empty) return required(value) && t("form.error.required", {}, "This field is required.");
+  if (empty) return undefined;
+  if (field.type === "email") return isEmail(value) && t("form.error.email", {}, "Enter a valid email.");
+  if (["number", "decimal"].includes(field.type)) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return t("form.error.number", {}, "Enter a number.");
+    if (field.min != null && n < field.min) return t("form.error.min", { min: field.min }, "Must be at least {min}.");
+    if (field.max != null && n > field.max) return t("form.error.max", { max: field.max }, "Must be at most {max}.");
+    if (field.step && Math.abs(n / field.step - Math.round(n / field.step)) > 1e-9) return t("form.error.step", { step: field.step }, "Use steps of {step}.");
+  }
+  if (field.pattern && !field.pattern.test(String(value).trim())) {
+    return field.patternMessage ? t(`form.pattern.${key}`, {}, field.patternMessage) : t("form.error.format", {}, "Invalid format.");
+  }
+  return field.validate ? field.validate(value, data, t, scope) : undefined;
+}
+
+/** Validates the visible fields of one step. Returns a map keyed by pathKey. */
+export function validateStep(step, data, t = english) {
+  const e = {};
+  (step.fields || []).forEach((f) => {
+    if (!isVisible(f, data, data)) return;
+    if (f.type === "repeat") {
+      const list = getIn(data, f.path) || [];
+      list.forEach((item, i) => {
+        f.fields.forEach((sub) => {
+          if (!isVisible(sub, item, data)) return;
+          const msg = validateField(sub, getIn(item, sub.path), data, t, fieldKey(sub, [...f.path, ...sub.path]), item);
+          if (msg) e[pathKey([...f.path, i, ...sub.path])] = msg;
+        });
+      });
+      Object.assign(e, f.validate ? f.validate(list, data) : {});
+      return;
+    }
+    const msg = validateField(f, getIn(data, f.path), data, t);
+    if (msg) e[pathKey(f.path)] = msg;
+  });
+  return Object.fromEntries(Object.entries(e).filter(([, v]) => v));
+}
+
+// --- Export ---
+/** Flattens visible answers into export columns (field.column or last path segment). */
+export function flattenAnswers(schema, data) {
+  const row = {};
+  visibleSteps(schema, data).forEach((step) => {
+    (step.fields || []).forEach((f) => {
+      if (!isVisible(f, data, data)) return;
+      if (f.type === "repeat") {
+        Object.assign(row, f.flatten ? f.flatten(getIn(data, f.path) || []) : {});
+        return;
+      }
+      const v = getIn(data, f.path);
+      row[f.column || f.path[f.path.length - 1]] = typeof v === "boolean" ? (v ? "yes" : "no") : v ?? "";
+    });
+  });
+  return row;
+}
+
+// --- Review ---
+const answerText = (field, value, t) => {
+  if (field.type === "checkbox") return value ? t("form.option.Yes", {}, "Yes") : t("form.option.No", {}, "No");
+  if (value === "" || value == null) return "—";
+  if (field.type === "select") {
+    const o = field.options.find((x) => (typeof x === "string" ? x : x.value) === value);
+    return t(`form.option.${value}`, {}, typeof o === "object" ? o.label : String(value));
+  }
+  return String(value);
+};
+
+/**
+ * Visible answers as readable sections for the Review step and the summary
+ * PDF: [{ id, title, rows: [{ label, value } | { heading }] }]. Repeat-group
+ * entries start with a `heading` row (their itemLabel).
+ */
+export function answerSections(schema, data, t = english) {
+  const row = (field, value, key) => ({ label: t(`form.field.${key}`, {}, field.label), value: answerText(field, value, t) });
+  return visibleSteps(schema, data).filter((s) => s.fields).map((step) => {
+    const rows = [];
+    step.fields.forEach((f) => {
+      if (!isVisible(f, data, data)) return;
+      if (f.type !== "repeat") {
+        rows.push(row(f, getIn(data, f.path), fieldKey(f)));
+        return;
+      }
+      (getIn(data, f.path) || []).forEach((item, i) => {
+        rows.push({ heading: f.itemLabel ? f.itemLabel(item, i, t) : `#${i + 1}` });
+        f.fields.forEach((sub) => {
+          if (isVisible(sub, item, data)) rows.push(row(sub, getIn(item, sub.path), fieldKey(sub, [...f.path, ...sub.path])));
+        });
+      });
+    });
+    return { id: step.id, title: t(`form.step.${step.id}`, {}, step.title), rows };
+  });
+}
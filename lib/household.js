@@ -0,0 +1,66 @@
+/**
+ * Household members of one case
+ * ---------------------------------------------------------------------------
+ * A case belongs to the principal applicant and can also hold a spouse or
+ * common-law partner and dependent children. Members come from the latest
+ * assessment (basics.marital, the `spouse` section and the `dependants`
+ * list), so they are derived, not stored. Member ids are "principal",
+ * "spouse" and "dependant_<id>", where each child keeps the id it was given
+ * when added, so removing or reordering children does not move documents
+ * from one to another. Children saved before they had ids get their list
+ * position ("dependant_0") – the same ids they had then.
+ *
+ * Checklist items carry the id of the member they are for; per-person
+ * progress is counted by summarizeHousehold in lib/checklist.js.
+ */
+import { emptyResult, LANGUAGE_ABILITIES, resultToClb } from "./languageTests.js";
+
+export const HOUSEHOLD_ROLES = {
+  principal: "Principal applicant",
+  spouse: "Spouse / partner",
+  dependant: "Dependent child",
+};
+
+export const PRINCIPAL = "principal";
+
+export const partnered = (d) => /^(married|common)/i.test(d?.basics?.marital || "");
+
+/** The partner counts for CRS unless they stay behind or are already a Canadian citizen / PR. */
+export const spouseAccompanying = (d) => partnered(d) && d.spouse?.accompanying !== "No" && !d.spouse?.canadian;
+
+const fullName = (p) => [p?.firstName, p?.lastName].filter(Boolean).join(" ");
+
+const DEPENDANT_FIELDS = ["firstName", "lastName", "dateOfBirth", "relationship", "accompanying", "education"];
+
+// Only unique within one household, and must work outside secure contexts
+const newId = () => Math.random().toString(36).slice(2, 10);
+
+export const emptyDependant = () => ({
+  id: newId(), firstName: "", lastName: "", dateOfBirth: "", relationship: "", accompanying: "Yes", education: "", language: emptyResult(),
+});
+
+/** The list with an id on every child (the list position for children saved without one). */
+export const withDependantIds = (list = []) => list.map((c, i) => (c.id ? c : { ...c, id: String(i) }));
+
+export const dependantMemberId = (c) => `dependant_${c.id}`;
+
+/** Export columns for every child: dependant_<i>_<field> and their CLB levels, plus the count. */
+export function flattenDependants(list = []) {
+  const row = { dependants_count: list.length };
+  list.forEach((c, i) => {
+    DEPENDANT_FIELDS.forEach((f) => { row[`dependant_${i}_${f}`] = c[f] ?? ""; });
+    const clb = c.language?.test ? resultToClb(c.language) : null;
+    row[`dependant_${i}_language_test`] = c.language?.test || "";
+    LANGUAGE_ABILITIES.forEach((a) => { row[`dependant_${i}_clb_${a}`] = clb ? clb[a] : ""; });
+  });
+  return row;
+}
+
+/** [{ id, role, name }] for everyone on the case, principal first. */
+export function householdMembers(data = {}) {
+  return [
+    { id: PRINCIPAL, role: "principal", name: fullName(data.contact) },
+    ...(partnered(data) ? [{ id: "spouse", role: "spouse", name: fullName(data.spouse) }] : []),
+    ...withDependantIds(data.dependants).map((c) => ({ id: dependantMemberId(c), role: "dependant", name: fullName(c) })),
+  ];
+}
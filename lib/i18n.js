@@ -0,0 +1,120 @@
+/**
+ * Internationalisation: message catalogues, plurals, dates and numbers
+ * ---------------------------------------------------------------------------
+ * Catalogues (lib/locales/*.js) are flat maps of dotted keys to strings with
+ * `{name}` placeholders. A value may also be a plural map
+ * ({ one: "…", other: "…" }) picked with Intl.PluralRules from `count`.
+ *
+ * Lookup order: the active locale, then English, then the `fallback` passed
+ * by the caller. Text that comes from elsewhere in English (questionnaire
+ * labels in lib/formSchema.js, checklist items from the server) is passed as
+ * the fallback, so a catalogue only has to list what it actually translates.
+ *
+ * Writing direction follows the language subtag, so adding an Arabic or Urdu
+ * catalogue is enough to get a right-to-left layout.
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+// `tag` is the BCP 47 tag handed to Intl (Canadian English/French by default)
+export const LOCALES = {
+  en: { label: "English", tag: "en-CA" },
+  fr: { label: "Français", tag: "fr-CA" },
+  pa: { label: "ਪੰਜਾਬੀ", tag: "pa-IN" },
+  hi: { label: "हिन्दी", tag: "hi-IN" },
+  es: { label: "Español", tag: "es-MX" },
+};
+
+const RTL_LANGUAGES = new Set(["ar", "dv", "fa", "he", "ks", "ku", "ps", "sd", "ug", "ur", "yi"]);
+
+/** "ur-PK" → "rtl", "fr" → "ltr". */
+export function directionOf(locale) {
+  return RTL_LANGUAGES.has(String(locale || "").toLowerCase().split(/[-_]/)[0]) ? "rtl" : "ltr";
+}
+
+/** Best supported locale for a list of preferences (e.g. navigator.languages). */
+export function matchLocale(preferred = [], available = Object.keys(LOCALES)) {
+  for (const p of preferred) {
+    const tag = String(p || "").toLowerCase();
+    const exact = available.find((l) => l.toLowerCase() === tag);
+    if (exact) return exact;
+    const base = available.find((l) => l.toLowerCase() === tag.split(/[-_]/)[0]);
+    if (base) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const intlTag = (locale) => LOCALES[locale]?.tag || locale || LOCALES[DEFAULT_LOCALE].tag;
+
+/** Replaces `{name}` placeholders; numbers are formatted for `locale`. */
+export function interpolate(text, vars = {}, locale = DEFAULT_LOCALE) {
+  return String(text).replace(/\{(\w+)\}/g, (m, k) => {
+    if (!(k in vars) || vars[k] == null) return m;
+    return typeof vars[k] === "number" ? formatNumber(vars[k], locale) : String(vars[k]);
+  });
+}
+
+/**
+ * createTranslator(locale, catalogs) → t(key, vars?, fallback?)
+ * Unknown keys return the interpolated fallback, or the key itself.
+ */
+export function createTranslator(locale, catalogs) {
+  const chain = [catalogs[locale], catalogs[DEFAULT_LOCALE]].filter(Boolean);
+  const plural = new Intl.PluralRules(intlTag(locale));
+  return function t(key, vars = {}, fallback) {
+    let msg = chain.map((c) => c[key]).find((m) => m != null);
+    if (msg == null) msg = fallback ?? key;
+    if (typeof msg === "object") msg = msg[plural.select(Number(vars.count) || 0)] ?? msg.other;
+    return interpolate(msg, vars, locale);
+  };
+}
+
+/** Keys present in the base catalogue but missing from each other one. */
+export function missingKeys(catalogs, base = DEFAULT_LOCALE) {
+  const keys = Object.keys(catalogs[base] || {});
+  return Object.fromEntries(Object.entries(catalogs)
+    .filter(([l]) => l !== base)
+    .map(([l, c]) => [l, keys.filter((k) => !(k in c))]));
+}
+
+export const DATE_STYLES = {
+  date: { dateStyle: "medium" },
+  dateTime: { dateStyle: "medium", timeStyle: "short" },
+  long: { dateStyle: "full", timeStyle: "short" },
+  time: { timeStyle: "short" },
+  day: { weekday: "long", month: "long", day: "numeric" },
+};
+
+/**
+ * Formats an ISO timestamp, Date or "YYYY-MM-DD" for `locale`. `style` is a
+ * DATE_STYLES name or Intl options. Date-only strings are calendar dates,
+ * so they are never shifted into the previous day by the time zone.
+ * Empty or invalid input gives "".
+ */
+export function formatDate(value, locale, style = "dateTime", timeZone) {
+  if (value == null || value === "") return "";
+  const dateOnly = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const d = dateOnly ? new Date(`${value}T12:00:00Z`) : new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  let opts = typeof style === "string" ? DATE_STYLES[style] || DATE_STYLES.dateTime : style;
+  if (dateOnly) {
+    const { timeStyle, hour, minute, second, ...dateParts } = opts;
+    opts = { ...(Object.keys(dateParts).length ? dateParts : DATE_STYLES.date), timeZone: "UTC" };
+  } else if (timeZone) {
+    opts = { ...opts, timeZone };
+  }
+  return new Intl.DateTimeFormat(intlTag(locale), opts).format(d);
+}
+
+export function formatNumber(n, locale, opts) {
+  return Number.isFinite(Number(n)) ? new Intl.NumberFormat(intlTag(locale), opts).format(Number(n)) : "";
+}
+
+/** 1536 → "1.5 KB" in the locale's number format. */
+export function formatBytes(bytes, locale) {
+  const units = ["byte", "kilobyte", "megabyte", "gigabyte"];
+  let v = Number(bytes) || 0;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i += 1; }
+  return formatNumber(v, locale, { style: "unit", unit: units[i], unitDisplay: "short", maximumFractionDigits: i ? 1 : 0 });
+}
@@ -0,0 +1,197 @@
+/**
+ * Official language tests and their CLB / NCLC equivalents
+ * ---------------------------------------------------------------------------
+ * The tests IRCC designates for economic immigration: IELTS General
+ * Training, CELPIP-General and PTE Core for English (Canadian Language
+ * Benchmarks) and TEF Canada / TCF Canada for French (Niveaux de
+ * compétence linguistique canadiens – same 4–10 scale, so both are stored as
+ * `clb`). Each test lists its valid score range per ability and, per
+ * ability, the lowest score for each level (highest first); anything below
+ * level 4 converts to 0. TEF / TCF tables are the ones in effect since
+ * 2023-12-11.
+ *
+ * An assessment holds up to three results, all shaped
+ * { test, date, listening, reading, writing, speaking }:
+ *   language.first   the language the applicant is scored on first
+ *   language.second  optional, a test in the other official language
+ *   spouse.language  the partner's first official language
+ * Results are valid for two years from the test date.
+ */
+
+export const LANGUAGE_ABILITIES = ["listening", "reading", "writing", "speaking"];
+export const RESULT_VALID_YEARS = 2;
+
+const scale = (min, max, step = 1) => ({ min, max, step });
+const same = (x) => Object.fromEntries(LANGUAGE_ABILITIES.map((a) => [a, x]));
+const levelsFrom = (...mins) => mins.map((min, i) => [min, 10 - i]);
+
+export const LANGUAGE_TESTS = {
+  ielts: {
+    label: "IELTS General Training",
+    language: "English",
+    range: same(scale(0, 9, 0.5)),
+    levels: {
+      listening: levelsFrom(8.5, 8, 7.5, 6, 5.5, 5, 4.5),
+      reading: levelsFrom(8, 7, 6.5, 6, 5, 4, 3.5),
+      writing: levelsFrom(7.5, 7, 6.5, 6, 5.5, 5, 4),
+      speaking: levelsFrom(7.5, 7, 6.5, 6, 5.5, 5, 4),
+    },
+  },
+  celpip: {
+    label: "CELPIP-General",
+    language: "English",
+    range: same(scale(1, 12)),
+    levels: same(levelsFrom(10, 9, 8, 7, 6, 5, 4)),
+  },
+  pte: {
+    label: "PTE Core",
+    language: "English",
+    range: same(scale(10, 90)),
+    levels: {
+      listening: levelsFrom(89, 82, 71, 60, 50, 39, 28),
+      reading: levelsFrom(88, 78, 69, 60, 51, 42, 33),
+      writing: levelsFrom(90, 88, 79, 69, 60, 51, 41),
+      speaking: levelsFrom(89, 84, 76, 68, 59, 51, 42),
+    },
+  },
+  tef: {
+    label: "TEF Canada",
+    language: "French",
+    range: same(scale(0, 699)),
+    levels: {
+      listening: levelsFrom(546, 503, 462, 434, 393, 352, 306),
+      reading: levelsFrom(546, 503, 462, 434, 393, 352, 306),
+      writing: levelsFrom(558, 512, 472, 428, 379, 330, 268),
+      speaking: levelsFrom(556, 518, 494, 456, 422, 387, 328),
+    },
+  },
+  tcf: {
+    label: "TCF Canada",
+    language: "French",
+    range: { listening: scale(0, 699), reading: scale(0, 699), writing: scale(0, 20), speaking: scale(0, 20) },
+    levels: {
+      listening: levelsFrom(549, 523, 503, 458, 398, 369, 331),
+      reading: levelsFrom(549, 524, 499, 453, 406, 375, 342),
+      writing: levelsFrom(16, 14, 12, 10, 7, 6, 4),
+      speaking: levelsFrom(16, 14, 12, 10, 7, 6, 4),
+    },
+  },
+};
+
+/** Select options for the tests, optionally only those in one official language. */
+export const testOptions = (language) => Object.entries(LANGUAGE_TESTS)
+  .filter(([, x]) => !language || x.language === language)
+  .map(([value, x]) => ({ value, label: x.label }));
+
+export const testLanguage = (test) => LANGUAGE_TESTS[test]?.language || "";
+
+export const emptyResult = () => ({ test: "", date: "", listening: "", reading: "", writing: "", speaking: "" });
+
+/** The allowed range for one score, or null when the value is within it. */
+export function scoreProblem(test, ability, value) {
+  const r = LANGUAGE_TESTS[test]?.range[ability];
+  if (!r) return null;
+  const n = Number(value);
+  const ok = Number.isFinite(n) && n >= r.min && n <= r.max && Math.abs(n / r.step - Math.round(n / r.step)) < 1e-9;
+  return ok ? null : { test: LANGUAGE_TESTS[test].label, ...r };
+}
+
+/** Converts one score to a CLB / NCLC level (0 below level 4, for unknown tests or non-numbers). */
+export function toClb(test, ability, score) {
+  const table = LANGUAGE_TESTS[test]?.levels[ability];
+  const n = typeof score === "number" ? score : parseFloat(score);
+  if (!table || !Number.isFinite(n)) return 0;
+  for (const [min, level] of table) if (n >= min) return level;
+  return 0;
+}
+
+/** `{ listening, reading, writing, speaking }` levels for a result (all 0 without a test). */
+export function resultToClb(result = {}) {
+  return Object.fromEntries(LANGUAGE_ABILITIES.map((a) => [a, toClb(result?.test, a, result?.[a])]));
+}
+
+/** Last day the result can be used (YYYY-MM-DD), or "" without a test date. */
+export function resultExpiry(result = {}) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(result?.date || "");
+  if (!m) return "";
+  return `${Number(m[1]) + RESULT_VALID_YEARS}-${m[2]}-${m[3]}`;
+}
+
+export const isExpired = (result, today = new Date().toISOString().slice(0, 10)) => {
+  const until = resultExpiry(result);
+  return Boolean(until) && until < today;
+};
+
+// Before tests other than IELTS were supported, bands were stored as ielts<Ability>
+const IELTS_KEYS = { listening: "ieltsListening", reading: "ieltsReading", writing: "ieltsWriting", speaking: "ieltsSpeaking" };
+
+function fromIelts(section = {}) {
+  if (!Object.values(IELTS_KEYS).some((k) => section[k])) return null;
+  return { ...emptyResult(), test: "ielts", ...Object.fromEntries(LANGUAGE_ABILITIES.map((a) => [a, section[IELTS_KEYS[a]] ?? ""])) };
+}
+
+const withoutIelts = (section = {}) => Object.fromEntries(Object.entries(section).filter(([k]) => !Object.values(IELTS_KEYS).includes(k) && k !== "overall"));
+
+/**
+ * Moves IELTS bands saved by earlier versions of the form into the result
+ * shape above. Answers already in that shape are returned as they are.
+ */
+export function upgradeLanguageAnswers(data) {
+  if (!data) return data;
+  const out = { ...data };
+  const L = data.language;
+  if (L && !L.first?.test && fromIelts(L)) out.language = { ...withoutIelts(L), first: fromIelts(L), second: L.second || emptyResult() };
+  const S = data.spouse;
+  if (S && !S.language?.test && fromIelts(S)) out.spouse = { ...withoutIelts(S), language: fromIelts(S) };
+  return out;
+}
+
+/**
+ * Every result on an assessment with its levels, for staff and the CRS:
+ * { first, second, spouse } with { test, label, language, date, expires,
+ * expired, clb } each, or null where there is no test, plus `dependants`:
+ * the same for each child, in list order.
+ */
+export function languageLevels(data, today) {
+  const d = upgradeLanguageAnswers(data || {});
+  const describe = (result) => (result?.test && LANGUAGE_TESTS[result.test] ? {
+    test: result.test,
+    label: LANGUAGE_TESTS[result.test].label,
+    language: testLanguage(result.test),
+    date: result.date || "",
+    expires: resultExpiry(result),
+    expired: isExpired(result, today),
+    clb: resultToClb(result),
+  } : null);
+  return {
+    first: describe(d.language?.first),
+    second: describe(d.language?.second),
+    spouse: describe(d.spouse?.language),
+    dependants: (d.dependants || []).map((c) => describe(c.language)),
+  };
+}
+
+// --- Export ---
+// [which result, column prefix, label prefix]
+const LEVEL_SOURCES = [["first", "", ""], ["second", "second_", "Second language "], ["spouse", "spouse_", "Spouse "]];
+
+/** Export columns written by flattenLanguageLevels. */
+export const LANGUAGE_LEVEL_COLUMNS = [
+  { key: "first_language", label: "First official language" },
+  { key: "second_language", label: "Second official language" },
+  ...LEVEL_SOURCES.flatMap(([, prefix, label]) => [
+    ...LANGUAGE_ABILITIES.map((a) => ({ key: `${prefix}clb_${a}`, label: `${label}CLB ${a}`, type: "number" })),
+    { key: `${prefix}language_expires`, label: `${label || "Language "}results valid until`, type: "date" },
+  ]),
+];
+
+/** Flattens languageLevels into export columns (blank where there is no result). */
+export function flattenLanguageLevels(data) {
+  const levels = languageLevels(data);
+  const row = { first_language: levels.first?.language || "", second_language: levels.second?.language || "" };
+  LEVEL_SOURCES.forEach(([who, prefix]) => {
+    LANGUAGE_ABILITIES.forEach((a) => { row[`${prefix}clb_${a}`] = levels[who] ? levels[who].clb[a] : ""; });
+    row[`${prefix}language_expires`] = levels[who]?.expires || "";
+  });
+  return row;
+}
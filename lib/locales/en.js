@@ -0,0 +1,269 @@
+/**
+ * English – the reference catalogue. Other catalogues are checked against
+ * its keys (missingKeys in lib/i18n.js). Questionnaire, checklist, consent,
+ * case-status and notification-event text is English at its source and is
+ * not repeated here.
+ */
+export default {
+  // --- Header and footer ---
+  "nav.book": "Book",
+  "nav.eligibility": "Eligibility",
+  "nav.uploads": "Uploads",
+  "nav.dashboard": "Dashboard",
+  "nav.about": "About",
+  "shell.pendingHint": "Saved on this device; will sync when the portal server is reachable.",
+  "shell.pending": { one: "{count} change waiting to sync", other: "{count} changes waiting to sync" },
+  "shell.unread": { one: "{count} unread message", other: "{count} unread messages" },
+  "shell.language": "Language",
+  "shell.signedInAs": "Signed in as",
+  "shell.signIn": "Sign in",
+  "shell.signOut": "Sign out",
+  "shell.bookNow": "Book Now",
+  "footer.quickLinks": "Quick Links",
+  "footer.eligibility": "Eligibility Assessment",
+  "footer.uploads": "Secure Uploads",
+  "footer.book": "Book Consultation",
+  "footer.compliance": "Compliance",
+  "footer.complianceText": "RCIC‑CICC regulated. Privacy-first design. © {year} Peddle West.",
+  "hero.label": "Hero",
+  "hero.title": "Trusted Canadian Immigration, now with a secure client portal.",
+  "hero.body": "Retaining Peddle West’s familiar look and feel, this upgrade adds booking, eligibility assessments, document uploads, and a personalized dashboard—securely and efficiently.",
+  "hero.startAssessment": "Start Assessment",
+  "hero.placeholder": "Decorative placeholder",
+
+  // --- Shared ---
+  "common.back": "Back",
+  "common.next": "Next",
+  "common.cancel": "Cancel",
+  "common.continue": "Continue",
+  "common.wait": "Please wait…",
+  "common.you": "You",
+  "common.team": "Your RCIC team",
+
+  // --- Booking ---
+  "booking.title": "Book a Consultation",
+  "booking.intro": "Pick a consultation type and a time that suits you. Times are shown in your time zone; a confirmation with a calendar invite is emailed to you.",
+  "booking.unavailable": "Booking is unavailable right now: {error}",
+  "booking.notSetUp": "Online booking is not set up yet. Please email info@peddlewest.com.",
+  "booking.booked": "Booked: {type}, {when}. Check your email for the calendar invite.",
+  "booking.moved": "Moved: {type}, {when}. Check your email for the calendar invite.",
+  "booking.confirmCancel": "Cancel your {type} on {when}?",
+  "booking.chooseNewTime": "Choose a new time for your {type} ({when}).",
+  "booking.keepTime": "Keep the current time",
+  "booking.minutes": "{count} min",
+  "booking.timeZone": "Time zone",
+  "booking.earlier": "Earlier",
+  "booking.later": "Later",
+  "booking.loading": "Loading times…",
+  "booking.none": "No open times in these two weeks – try Later.",
+  "booking.noneLast": "No open times in these two weeks.",
+  "booking.notes": "Anything we should know beforehand? (optional)",
+  "booking.signInToBook": "Sign in to book",
+  "booking.move": "Move appointment",
+  "booking.book": "Book this time",
+  "booking.mine": "My appointments",
+  "booking.signInToManage": "Sign in to see, move or cancel your appointments.",
+  "booking.noUpcoming": "No upcoming appointments.",
+  "booking.with": "with {name}",
+  "booking.addToCalendar": "Add to calendar",
+  "booking.reschedule": "Reschedule",
+  "booking.change": "Change",
+
+  // --- Eligibility form ---
+  "form.title": "Eligibility Assessment",
+  "form.intro": "A secure, multi‑step form with validation and save‑progress. Staff can export submissions to Excel/Google Drive.",
+  "form.progress": "Progress steps",
+  "form.crsEstimate": "Est. CRS:",
+  "form.review": "Review:",
+  "form.reviewHint": "Please confirm your details, then submit.",
+  "form.editStep": "Edit",
+  "form.summaryPdf": "Download summary (PDF)",
+  "form.submit": "Submit Assessment",
+  "form.consentRequired": "Please agree to the privacy notice before submitting.",
+  "form.submitFailed": "Could not submit your assessment: {error}",
+  "form.savedOffline": "Saved on this device and downloaded XLSX. It will be sent to Peddle West when you are back online.",
+  "form.submitted": "Submitted and downloaded a copy (XLSX) for your records.",
+  "form.confirmationEmailed": "A confirmation was emailed to {email}.",
+  "draft.saving": "Saving…",
+  "draft.savedAt": "Saved at {time}",
+  "draft.device": "Saved on this device at {time}",
+  "draft.offline": "Offline – your answers are kept on this device and saved when you reconnect.",
+  "draft.error": "Could not save your answers: {error}",
+  "draft.emailLink": "Email me a link to continue later",
+  "draft.linkSent": "We sent a link to {email}. Open it on any device to continue.",
+  "draft.conflict": "Your answers were changed in another tab or on another device ({time}).",
+  "draft.takeTheirs": "Use the other version",
+  "draft.keepMine": "Keep this version",
+  "form.select": "Select…",
+  "form.repeat.up": "Up",
+  "form.repeat.down": "Down",
+  "form.repeat.remove": "Remove",
+  "form.repeat.moveUp": "Move entry {n} up",
+  "form.repeat.moveDown": "Move entry {n} down",
+  "form.repeat.add": "Add another",
+  "consent.title": "Privacy notice",
+  "consent.version": "(version {version})",
+  "consent.required": "(required)",
+  "consent.optional": "(optional)",
+  "crs.title": "Estimated CRS score",
+  "crs.core": "Core / human capital",
+  "crs.spouse": "Spouse or partner factors",
+  "crs.transferability": "Skill transferability",
+  "crs.additional": "Additional points",
+  "crs.note": "Estimate only (rules {version}). Your RCIC will confirm your score after reviewing your documents.",
+
+  // --- Uploads ---
+  "uploads.title": "Secure Document Uploads",
+  "uploads.intro": "Upload passports, education credentials, IELTS/TEF, and more. Accepted: PDF, JPEG, PNG. Files are stored encrypted, and in the portal only you and your RCIC team can open them.",
+  "uploads.signIn": "Please sign in to upload documents to your file.",
+  "uploads.limits": "Up to {batch} files at a time, {perCase} per file. PDFs up to {pdfMb} MB and {pages} pages, unlocked; images up to {imageMb} MB. Passport scans must be sharp and high-resolution.",
+  "uploads.stale": "Offline – showing your last synced list.",
+  "uploads.checklist": "Your document checklist",
+  "uploads.needsAttention": "Needs attention: {reason}",
+  "uploads.upload": "Upload",
+  "uploads.uploadAgain": "Upload again",
+  "uploads.other": "Other documents",
+  "uploads.checking": "Checking & uploading…",
+  "uploads.choose": "Choose files",
+  "uploads.notUploaded": "{name} was not uploaded",
+  "uploads.openFailed": "Could not open {name}: {error}",
+  "uploads.file": "file",
+  "uploads.uploadedAt": "Uploaded {when}",
+  "uploads.inDrive": "In Google Drive",
+  "uploads.decrypting": "Decrypting…",
+  "uploads.download": "Download",
+  "uploads.notStored": "File content not stored",
+
+  // --- Case status ---
+  "case.since": "since {date}",
+  "case.progress": "Progress",
+  "case.whatIsNeeded": "What is needed?",
+  "case.decisionOutcome": "Decision outcome",
+  "case.noEvents": "No status changes yet.",
+  "case.automatic": "Automatic",
+
+  // --- Messages ---
+  "messages.new": "New message",
+  "messages.select": "Select a conversation.",
+  "messages.none": "No conversations yet.",
+  "messages.subject": "Subject",
+  "messages.subjectRequired": "Please add a subject.",
+  "messages.client": "Client",
+  "messages.seenBy": "Seen by {names}",
+  "messages.sent": "Sent",
+  "messages.placeholder": "Write a message…",
+  "messages.message": "Message",
+  "messages.attach": "Attach documents",
+  "messages.sending": "Sending…",
+  "messages.send": "Send",
+
+  // --- Dashboard ---
+  "dashboard.title": "Client Dashboard",
+  "dashboard.welcome": "Welcome. Track your application and access next steps below.",
+  "dashboard.welcomeName": "Welcome, {name}. Track your application and access next steps below.",
+  "dashboard.status": "Current Status",
+  "dashboard.statusSignIn": "Sign in to see your status",
+  "dashboard.documents": "Documents Needed",
+  "dashboard.documentsSignIn": "Sign in to see your checklist.",
+  "dashboard.documentsSummary": "{accepted} of {total} accepted · {uploaded} in review · {outstanding} outstanding",
+  "dashboard.more": "+{count} more",
+  "dashboard.goToUploads": "Go to uploads",
+  "dashboard.quickActions": "Quick Actions",
+  "dashboard.uploadDocuments": "Upload documents",
+  "dashboard.finishForm": "Finish eligibility form",
+  "dashboard.bookOrChange": "Book/Change appointment",
+  "dashboard.timeline": "Timeline",
+  "dashboard.appointments": "Upcoming appointments",
+  "dashboard.appointmentsSignIn": "Sign in to see your appointments.",
+  "dashboard.messages": "Messages",
+  "dashboard.messagesSignIn": "Sign in to message your RCIC team.",
+  "dashboard.notifications": "Notifications",
+  "dashboard.household": "Family members",
+  "dashboard.submissions": "Your submissions",
+  "submissions.none": "No submissions yet.",
+  "submissions.crs": "CRS {score}",
+  "submissions.amend": "Duplicate and amend",
+  "submissions.confirmAmend": "Open a copy of this submission in the eligibility form? Answers you have not submitted yet will be replaced.",
+  "dashboard.agreement": "Retainer agreement",
+  "retainer.needsAssessment": "Submit your eligibility assessment first – the agreement is prepared from your answers.",
+  "retainer.intro": "Your retainer agreement sets out the services we will provide and our fees. Review it, then sign below.",
+  "retainer.updated": "Our retainer terms have changed. Please review and sign the new version.",
+  "retainer.review": "Review and sign",
+  "retainer.signedOn": "Signed by {name} on {date} (version {version}).",
+  "retainer.download": "Download signed agreement",
+  "retainer.signed": "Thank you – your signed agreement is saved to your file and a copy has been downloaded.",
+  "retainer.englishOnly": "The agreement is written in English. Ask us if you would like help with any part of it.",
+  "retainer.services": "Services",
+  "retainer.professional": "Professional fees",
+  "retainer.government": "Government fees (estimate, paid directly to the government)",
+  "retainer.installments": "Payment schedule",
+  "retainer.item": "Item",
+  "retainer.qty": "Qty",
+  "retainer.amount": "Amount",
+  "retainer.total": "Total professional fees",
+  "retainer.governmentTotal": "Estimated government fees",
+  "retainer.preview": "Preview the agreement (PDF)",
+  "retainer.name": "Your full legal name",
+  "retainer.signature": "Draw your signature",
+  "retainer.clear": "Clear",
+  "retainer.agree": "I have read the retainer agreement, including the fee schedule, and agree to its terms.",
+  "retainer.sign": "Sign agreement",
+  "retainer.signing": "Signing…",
+  "retainer.nameRequired": "Type your full name.",
+  "retainer.signatureRequired": "Draw your signature in the box.",
+  "retainer.agreeRequired": "Tick the box to confirm you agree.",
+  "dashboard.billing": "Invoices and payments",
+  "billing.none": "No invoices yet.",
+  "billing.balance": "Balance owing: {amount}",
+  "billing.overdue": "{amount} is past due.",
+  "billing.payOffline": "To pay, send an Interac e-Transfer or contact us – online payment is not available right now.",
+  "billing.testOutcome": "Test payment outcome",
+  "billing.test.succeeded": "Approved",
+  "billing.test.declined": "Declined",
+  "billing.test.pending": "Pending",
+  "billing.invoice": "Invoice {number}",
+  "billing.status.open": "Open",
+  "billing.status.paid": "Paid",
+  "billing.status.void": "Void",
+  "billing.issued": "Issued {date}",
+  "billing.due": "due {date}",
+  "billing.remaining": "Remaining: {amount}",
+  "billing.processing": "Payment processing",
+  "billing.pay": "Pay {amount}",
+  "billing.invoicePdf": "Invoice (PDF)",
+  "billing.receipt": "Receipt {number}",
+  "billing.declined": "The payment did not go through. Please try again or use another card.",
+  "billing.thanks": "Thank you – your payment was received (receipt {receipt}).",
+  "dashboard.privacy": "Your privacy",
+  "privacy.noConsent": "No consent on record.",
+  "privacy.consentLine": "Version {version} on {when}:",
+  "privacy.confirmDeletion": "Ask us to delete your file and documents? We will confirm by message before anything is deleted.",
+  "privacy.download": "Download my data (.zip)",
+  "privacy.requestDeletion": "Request deletion",
+  "privacy.deletionRequested": "Deletion requested",
+
+  // --- Notifications ---
+  "notifications.intro": "Choose how we let you know when something happens on your file. Messages themselves stay in the portal.",
+  "notifications.event": "Event",
+  "notifications.channel.email": "Email",
+  "notifications.channel.sms": "Text",
+  "notifications.phone": "Mobile number for text messages",
+  "notifications.phoneInvalid": "Enter the number with its country code, e.g. +1 604 555 0123.",
+  "notifications.phoneRequired": "Add a mobile number to receive text messages.",
+  "notifications.save": "Save preferences",
+  "notifications.saved": "Saved",
+
+  // --- Sign-in ---
+  "login.tab.password": "Password",
+  "login.tab.code": "Email code",
+  "login.tab.register": "Create account",
+  "login.email": "Email",
+  "login.name": "Name",
+  "login.password": "Password",
+  "login.passwordHint": "At least 10 characters.",
+  "login.code": "6-digit code",
+  "login.codeSent": "We emailed you a code and a sign-in link.",
+  "login.registerSent": "We emailed you a code. Enter it to confirm your address and finish creating your account.",
+  "login.emailCode": "Email me a code",
+  "login.failed": "Sign-in failed.",
+};
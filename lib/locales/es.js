@@ -0,0 +1,543 @@
+/** Español. */
+export default {
+  // --- Header and footer ---
+  "nav.book": "Citas",
+  "nav.eligibility": "Elegibilidad",
+  "nav.uploads": "Documentos",
+  "nav.dashboard": "Mi panel",
+  "nav.about": "Nosotros",
+  "shell.pendingHint": "Guardado en este dispositivo; se sincronizará cuando el servidor del portal esté disponible.",
+  "shell.pending": { one: "{count} cambio pendiente de sincronizar", other: "{count} cambios pendientes de sincronizar" },
+  "shell.unread": { one: "{count} mensaje sin leer", other: "{count} mensajes sin leer" },
+  "shell.language": "Idioma",
+  "shell.signedInAs": "Sesión iniciada como",
+  "shell.signIn": "Iniciar sesión",
+  "shell.signOut": "Cerrar sesión",
+  "shell.bookNow": "Reservar cita",
+  "footer.quickLinks": "Enlaces rápidos",
+  "footer.eligibility": "Evaluación de elegibilidad",
+  "footer.uploads": "Carga segura de documentos",
+  "footer.book": "Reservar consulta",
+  "footer.compliance": "Cumplimiento",
+  "footer.complianceText": "Consultor regulado por el CICC (RCIC). Privacidad desde el diseño. © {year} Peddle West.",
+  "hero.label": "Presentación",
+  "hero.title": "Inmigración a Canadá de confianza, ahora con un portal seguro para clientes.",
+  "hero.body": "Con el aspecto de siempre de Peddle West, esta actualización añade reservas, evaluaciones de elegibilidad, carga de documentos y un panel personalizado, de forma segura y eficiente.",
+  "hero.startAssessment": "Iniciar evaluación",
+  "hero.placeholder": "Imagen decorativa",
+
+  // --- Shared ---
+  "common.back": "Atrás",
+  "common.next": "Siguiente",
+  "common.cancel": "Cancelar",
+  "common.continue": "Continuar",
+  "common.wait": "Espere un momento…",
+  "common.you": "Usted",
+  "common.team": "Su equipo RCIC",
+
+  // --- Booking ---
+  "booking.title": "Reservar una consulta",
+  "booking.intro": "Elija un tipo de consulta y un horario que le convenga. Las horas se muestran en su zona horaria; recibirá por correo una confirmación con una invitación de calendario.",
+  "booking.unavailable": "Las reservas no están disponibles en este momento: {error}",
+  "booking.notSetUp": "La reserva en línea aún no está configurada. Escríbanos a info@peddlewest.com.",
+  "booking.booked": "Reservado: {type}, {when}. Revise su correo para la invitación de calendario.",
+  "booking.moved": "Cambiado: {type}, {when}. Revise su correo para la invitación de calendario.",
+  "booking.confirmCancel": "¿Cancelar su {type} del {when}?",
+  "booking.chooseNewTime": "Elija un nuevo horario para su {type} ({when}).",
+  "booking.keepTime": "Mantener el horario actual",
+  "booking.minutes": "{count} min",
+  "booking.timeZone": "Zona horaria",
+  "booking.earlier": "Antes",
+  "booking.later": "Después",
+  "booking.loading": "Cargando horarios…",
+  "booking.none": "No hay horarios libres en estas dos semanas; pruebe «Después».",
+  "booking.noneLast": "No hay horarios libres en estas dos semanas.",
+  "booking.notes": "¿Algo que debamos saber antes? (opcional)",
+  "booking.signInToBook": "Inicie sesión para reservar",
+  "booking.move": "Cambiar la cita",
+  "booking.book": "Reservar este horario",
+  "booking.mine": "Mis citas",
+  "booking.signInToManage": "Inicie sesión para ver, cambiar o cancelar sus citas.",
+  "booking.noUpcoming": "No tiene citas próximas.",
+  "booking.with": "con {name}",
+  "booking.addToCalendar": "Añadir al calendario",
+  "booking.reschedule": "Cambiar fecha",
+  "booking.change": "Cambiar",
+
+  // --- Eligibility form ---
+  "form.title": "Evaluación de elegibilidad",
+  "form.intro": "Un formulario seguro de varios pasos, con validación y guardado del progreso. El personal puede exportar las respuestas a Excel o Google Drive.",
+  "form.progress": "Pasos",
+  "form.crsEstimate": "CRS estimado:",
+  "form.review": "Revisión:",
+  "form.reviewHint": "Confirme sus datos y luego envíe.",
+  "form.editStep": "Editar",
+  "form.summaryPdf": "Descargar resumen (PDF)",
+  "form.submit": "Enviar evaluación",
+  "form.consentRequired": "Acepte el aviso de privacidad antes de enviar.",
+  "form.submitFailed": "No se pudo enviar su evaluación: {error}",
+  "form.savedOffline": "Guardado en este dispositivo y XLSX descargado. Se enviará a Peddle West cuando vuelva a estar en línea.",
+  "form.submitted": "Enviado; se descargó una copia (XLSX) para sus registros.",
+  "form.confirmationEmailed": "Enviamos una confirmación a {email}.",
+  "draft.saving": "Guardando…",
+  "draft.savedAt": "Guardado a las {time}",
+  "draft.device": "Guardado en este dispositivo a las {time}",
+  "draft.offline": "Sin conexión: sus respuestas se conservan en este dispositivo y se guardarán al reconectarse.",
+  "draft.error": "No se pudieron guardar sus respuestas: {error}",
+  "draft.emailLink": "Enviarme un enlace para continuar más tarde",
+  "draft.linkSent": "Enviamos un enlace a {email}. Ábralo en cualquier dispositivo para continuar.",
+  "draft.conflict": "Sus respuestas se modificaron en otra pestaña o en otro dispositivo ({time}).",
+  "draft.takeTheirs": "Usar la otra versión",
+  "draft.keepMine": "Conservar esta versión",
+  "form.select": "Seleccione…",
+  "form.repeat.up": "Subir",
+  "form.repeat.down": "Bajar",
+  "form.repeat.remove": "Quitar",
+  "form.repeat.moveUp": "Subir la entrada {n}",
+  "form.repeat.moveDown": "Bajar la entrada {n}",
+  "form.repeat.add": "Añadir otro",
+  "form.step.contact": "Contacto",
+  "form.step.interest": "Interés",
+  "form.step.basics": "Datos básicos",
+  "form.step.language": "Idioma",
+  "form.step.work": "Historial laboral",
+  "form.step.review": "Revisión",
+  "form.step.study": "Planes de estudio",
+  "form.step.jobOffer": "Oferta de empleo",
+  "form.step.pnp": "Provincia",
+  "form.step.sponsorship": "Patrocinio",
+  "form.step.family": "Familia",
+  "form.field.contact_firstName": "Nombre",
+  "form.field.contact_lastName": "Apellido",
+  "form.field.contact_email": "Correo electrónico",
+  "form.field.contact_phone": "Teléfono (opcional)",
+  "form.field.contact_province": "¿Dónde vive?",
+  "form.field.interest_program": "Programa de interés",
+  "form.field.interest_notes": "Notas (opcional)",
+  "form.field.basics_age": "Edad",
+  "form.field.basics_education": "Nivel de estudios más alto",
+  "form.field.basics_educationCountry": "¿Dónde lo completó?",
+  "form.field.basics_marital": "Estado civil",
+  "form.field.language_first_test": "Examen de idioma – primera lengua oficial",
+  "form.field.language_first_test_optional": "Examen de idioma – primera lengua oficial (opcional)",
+  "form.field.language_first_date": "Fecha del examen",
+  "form.field.language_first_listening": "Puntuación – comprensión auditiva",
+  "form.field.language_first_reading": "Puntuación – comprensión lectora",
+  "form.field.language_first_writing": "Puntuación – expresión escrita",
+  "form.field.language_first_speaking": "Puntuación – expresión oral",
+  "form.field.language_second_test": "Examen en su otra lengua oficial (opcional)",
+  "form.field.language_second_date": "Fecha del segundo examen",
+  "form.field.language_second_listening": "Segundo examen – comprensión auditiva",
+  "form.field.language_second_reading": "Segundo examen – comprensión lectora",
+  "form.field.language_second_writing": "Segundo examen – expresión escrita",
+  "form.field.language_second_speaking": "Segundo examen – expresión oral",
+  "form.field.work_title": "Puesto",
+  "form.field.work_employer": "Empleador",
+  "form.field.work_city": "Ciudad",
+  "form.field.work_country": "País",
+  "form.field.work_state": "Estado/Provincia (opcional)",
+  "form.field.work_hours": "Horas por semana",
+  "form.field.work_start": "Fecha de inicio",
+  "form.field.work_end": "Fecha de fin",
+  "form.field.work_current": "Es mi empleo actual",
+  "form.field.study_institution": "Escuela / institución",
+  "form.field.study_dli": "Número DLI (opcional)",
+  "form.field.study_fieldOfStudy": "Programa de estudios",
+  "form.field.study_startDate": "Fecha de inicio del programa",
+  "form.field.study_tuition": "Matrícula del primer año (CAD)",
+  "form.field.study_funds": "Fondos disponibles (CAD)",
+  "form.field.study_attestation": "Tengo una carta de certificación provincial (PAL/TAL)",
+  "form.field.jobOffer_hasOffer": "¿Tiene una oferta de empleo en Canadá?",
+  "form.field.jobOffer_employer": "Empleador",
+  "form.field.jobOffer_title": "Puesto",
+  "form.field.jobOffer_noc": "Código NOC (opcional)",
+  "form.field.jobOffer_province": "Provincia",
+  "form.field.jobOffer_lmia": "Estado del LMIA",
+  "form.field.pnp_province": "Provincia o territorio",
+  "form.field.pnp_stream": "Categoría (si la conoce)",
+  "form.field.pnp_provincialTies": "Vínculos con la provincia (estudios, trabajo, familia)",
+  "form.field.sponsorship_sponsorStatus": "Estatus del patrocinador en Canadá",
+  "form.field.sponsorship_relationship": "Persona patrocinada",
+  "form.field.sponsorship_sponsorProvince": "Provincia del patrocinador",
+  "form.field.sponsorship_applicantCountry": "País de residencia de la persona patrocinada",
+  "form.field.spouse_firstName": "Nombre de su cónyuge o pareja",
+  "form.field.spouse_lastName": "Apellido de su cónyuge o pareja",
+  "form.field.spouse_accompanying": "¿Su cónyuge o pareja vendrá con usted a Canadá?",
+  "form.field.spouse_canadian": "Mi cónyuge o pareja es ciudadano canadiense o residente permanente",
+  "form.field.spouse_education": "Nivel de estudios más alto de su cónyuge o pareja (opcional)",
+  "form.field.spouse_language_test": "Examen de idioma de su cónyuge o pareja (opcional)",
+  "form.field.spouse_language_date": "Fecha del examen de su cónyuge o pareja",
+  "form.field.spouse_language_listening": "Cónyuge o pareja – comprensión auditiva",
+  "form.field.spouse_language_reading": "Cónyuge o pareja – comprensión lectora",
+  "form.field.spouse_language_writing": "Cónyuge o pareja – expresión escrita",
+  "form.field.spouse_language_speaking": "Cónyuge o pareja – expresión oral",
+  "form.field.spouse_canadianWorkYears": "Años de trabajo calificado en Canadá de su cónyuge o pareja",
+  "form.field.dependants_firstName": "Nombre",
+  "form.field.dependants_lastName": "Apellido",
+  "form.field.dependants_dateOfBirth": "Fecha de nacimiento",
+  "form.field.dependants_relationship": "Parentesco",
+  "form.field.dependants_accompanying": "¿Viene a Canadá con usted?",
+  "form.field.dependants_education": "Nivel de estudios más alto (opcional)",
+  "form.field.dependants_language_test": "Examen de idioma (opcional)",
+  "form.field.dependants_language_date": "Fecha del examen",
+  "form.field.dependants_language_listening": "Puntuación – comprensión auditiva",
+  "form.field.dependants_language_reading": "Puntuación – comprensión lectora",
+  "form.field.dependants_language_writing": "Puntuación – expresión escrita",
+  "form.field.dependants_language_speaking": "Puntuación – expresión oral",
+  "form.option.Express Entry": "Express Entry",
+  "form.option.Study Permit": "Permiso de estudios",
+  "form.option.Work Permit": "Permiso de trabajo",
+  "form.option.PNP": "PNP (programa provincial de nominados)",
+  "form.option.Family Sponsorship": "Patrocinio familiar",
+  "form.option.Secondary": "Secundaria",
+  "form.option.Diploma": "Diploma técnico",
+  "form.option.Bachelor": "Licenciatura",
+  "form.option.Master": "Maestría",
+  "form.option.PhD": "Doctorado",
+  "form.option.Outside Canada": "Fuera de Canadá",
+  "form.option.Canada": "Canadá",
+  "form.option.OUT": "Fuera de Canadá",
+  "form.option.Single": "Soltero/a",
+  "form.option.Married": "Casado/a",
+  "form.option.Common‑law": "Unión de hecho",
+  "form.option.No": "No",
+  "form.option.Yes": "Sí",
+  "form.option.LMIA approved": "LMIA aprobado",
+  "form.option.LMIA in progress": "LMIA en trámite",
+  "form.option.LMIA-exempt": "Exento de LMIA",
+  "form.option.Not sure": "No estoy seguro/a",
+  "form.option.Citizen": "Ciudadano/a",
+  "form.option.Permanent resident": "Residente permanente",
+  "form.option.Registered Indian": "Indígena registrado/a",
+  "form.option.Spouse": "Cónyuge",
+  "form.option.Common-law partner": "Pareja de hecho",
+  "form.option.Conjugal partner": "Pareja conyugal",
+  "form.option.Dependent child": "Hijo/a dependiente",
+  "form.option.Parent": "Padre o madre",
+  "form.option.Grandparent": "Abuelo/a",
+  "form.option.Other relative": "Otro familiar",
+  "form.option.Child": "Hijo o hija",
+  "form.option.Stepchild": "Hijastro o hijastra",
+  "form.option.Adopted child": "Hijo adoptivo",
+  "form.error.required": "Este campo es obligatorio.",
+  "form.error.email": "Introduzca un correo válido.",
+  "form.error.number": "Introduzca un número.",
+  "form.error.min": "Debe ser al menos {min}.",
+  "form.error.max": "Debe ser como máximo {max}.",
+  "form.error.step": "Use incrementos de {step}.",
+  "form.error.format": "Formato no válido.",
+  "form.error.futureTestDate": "La fecha del examen no puede ser futura.",
+  "form.error.testExpired": "Estos resultados vencieron el {date}. Los resultados son válidos por dos años.",
+  "form.error.sameLanguage": "Elija un examen en su otra lengua oficial.",
+  "form.error.testScore": "Las puntuaciones de {test} para esta habilidad van de {min} a {max}.",
+  "form.error.testBand": "Las bandas de {test} van de {min} a {max} en incrementos de {step}.",
+  "form.pattern.study_dli": "Los números DLI tienen el formato O19283746574.",
+  "form.pattern.jobOffer_noc": "Los códigos NOC 2021 tienen 5 dígitos.",
+  "form.work.item": "Empleo n.º {n}",
+  "form.work.summary": "Equivalente a tiempo completo: {canadian} años en Canadá · {foreign} años en el extranjero",
+  "form.work.intro": "Indique cada empleo de los últimos 10 años, del más reciente al más antiguo. El trabajo a tiempo parcial se cuenta de forma proporcional (30 h/semana = tiempo completo).",
+  "form.work.add": "Añadir otro empleo",
+  "form.dependants.item": "Hijo n.º {n}",
+  "form.dependants.intro": "Indique cada hijo menor de 22 años – y los hijos mayores que dependen de usted por una condición de salud – vengan o no a Canadá.",
+  "form.dependants.add": "Añadir un hijo dependiente",
+  "consent.title": "Aviso de privacidad",
+  "consent.version": "(versión {version})",
+  "consent.required": "(obligatorio)",
+  "consent.optional": "(opcional)",
+  "consent.purpose.processing": "Evaluar mi elegibilidad y gestionar mi expediente",
+  "consent.purpose.updates": "Enviarme ocasionalmente novedades sobre programas de inmigración",
+  "consent.2026-10.summary.0": "Peddle West Immigration (despacho regulado por el CICC) recopila la información de este formulario para evaluar su elegibilidad y, si nos contrata, para preparar y gestionar su solicitud.",
+  "consent.2026-10.summary.1": "Sus respuestas y documentos se guardan cifrados y solo usted y nuestro personal autorizado pueden acceder a ellos. Cada acceso queda registrado.",
+  "consent.2026-10.summary.2": "Puede descargar una copia de sus datos o pedirnos que los eliminemos en cualquier momento desde su panel. Los expedientes cerrados se eliminan automáticamente al terminar el período de conservación.",
+  "consent.2026-10.summary.3": "Nunca vendemos su información. Solo la compartimos con IRCC o una provincia como parte de una solicitud que usted autorice.",
+  "crs.title": "Puntuación CRS estimada",
+  "crs.core": "Factores básicos / capital humano",
+  "crs.spouse": "Factores del cónyuge o pareja",
+  "crs.transferability": "Transferibilidad de competencias",
+  "crs.additional": "Puntos adicionales",
+  "crs.note": "Solo es una estimación (reglas {version}). Su RCIC confirmará su puntuación tras revisar sus documentos.",
+
+  // --- Uploads ---
+  "uploads.title": "Carga segura de documentos",
+  "uploads.intro": "Suba pasaportes, títulos académicos, resultados de IELTS/TEF y más. Formatos aceptados: PDF, JPEG, PNG. Los archivos se guardan cifrados y, en el portal, solo usted y su equipo RCIC pueden abrirlos.",
+  "uploads.signIn": "Inicie sesión para añadir documentos a su expediente.",
+  "uploads.limits": "Hasta {batch} archivos a la vez, {perCase} por expediente. PDF de hasta {pdfMb} MB y {pages} páginas, sin contraseña; imágenes de hasta {imageMb} MB. Los escaneos del pasaporte deben ser nítidos y de alta resolución.",
+  "uploads.stale": "Sin conexión: se muestra su última lista sincronizada.",
+  "uploads.checklist": "Su lista de documentos",
+  "uploads.needsAttention": "Requiere atención: {reason}",
+  "uploads.upload": "Subir",
+  "uploads.uploadAgain": "Subir de nuevo",
+  "uploads.other": "Otros documentos",
+  "uploads.checking": "Comprobando y subiendo…",
+  "uploads.choose": "Elegir archivos",
+  "uploads.notUploaded": "{name} no se subió",
+  "uploads.openFailed": "No se pudo abrir {name}: {error}",
+  "uploads.file": "archivo",
+  "uploads.uploadedAt": "Subido el {when}",
+  "uploads.inDrive": "En Google Drive",
+  "uploads.decrypting": "Descifrando…",
+  "uploads.download": "Descargar",
+  "uploads.notStored": "Contenido del archivo no guardado",
+  "checklist.status.missing": "Falta",
+  "checklist.status.uploaded": "Recibido",
+  "checklist.status.accepted": "Aceptado",
+  "checklist.status.rejected": "Rechazado",
+  "checklist.passport": "Pasaporte (todas las páginas)",
+  "checklist.passport.description": "Escaneo a color nítido de cada página, incluidas las páginas en blanco.",
+  "checklist.photo": "Fotografía digital",
+  "checklist.photo.description": "Foto reciente que cumpla las especificaciones de IRCC.",
+  "checklist.language": "Resultados de examen de idioma",
+  "checklist.language.description": "Resultados de IELTS, CELPIP, TEF, TCF o PTE Core (de menos de dos años).",
+  "checklist.language_second": "Resultados del examen de la segunda lengua oficial",
+  "checklist.language_second.description": "TEF / TCF Canada para francés, o un examen de inglés si el francés es su primera lengua.",
+  "checklist.language_study": "Resultados de examen de idioma",
+  "checklist.language_study.description": "Si su escuela los exige.",
+  "checklist.eca": "Evaluación de credenciales educativas (ECA)",
+  "checklist.eca.description": "De WES, ICES, IQAS u otra organización designada.",
+  "checklist.education": "Título y certificados de notas",
+  "checklist.education.description": "De su título más alto completado.",
+  "checklist.reference": "Carta de referencia laboral",
+  "checklist.reference.description": "En papel membretado: puesto, funciones, horas/semana, salario y fechas.",
+  "checklist.funds": "Prueba de fondos de establecimiento",
+  "checklist.funds.description": "Cartas bancarias que cubran los últimos seis meses.",
+  "checklist.police": "Certificados de antecedentes penales",
+  "checklist.police.description": "De cada país donde haya vivido 6 meses o más desde los 18 años.",
+  "checklist.spouse_passport": "Pasaporte del cónyuge o pareja",
+  "checklist.spouse_passport.description": "Todas las páginas.",
+  "checklist.marriage": "Certificado de matrimonio",
+  "checklist.marriage.description": "Copia oficial con traducción certificada si es necesario.",
+  "checklist.common_law": "Declaración jurada de unión de hecho (IMM 5409)",
+  "checklist.common_law.description": "Firmada por ambos miembros de la pareja.",
+  "checklist.spouse_language": "Resultados del examen de idioma del cónyuge o pareja",
+  "checklist.spouse_language.description": "Solo si quiere obtener puntos por el dominio del idioma de su pareja.",
+  "checklist.spouse_education": "Título y ECA del cónyuge o pareja",
+  "checklist.spouse_education.description": "Certificados de notas y un informe ECA si el título se obtuvo fuera de Canadá.",
+  "checklist.dependant_passport": "Pasaporte",
+  "checklist.dependant_passport.description": "Todas las páginas, de cada hijo dependiente.",
+  "checklist.birth_certificate": "Acta de nacimiento",
+  "checklist.birth_certificate.description": "Versión completa, con el nombre de ambos padres.",
+  "checklist.dependant_language": "Resultados de examen de idioma",
+  "checklist.dependant_language.description": "Para un hijo dependiente que haya hecho un examen de idioma.",
+  "checklist.acceptance": "Carta de aceptación",
+  "checklist.acceptance.description": "De su institución de enseñanza designada (DLI).",
+  "checklist.attestation": "Carta de certificación provincial (PAL/TAL)",
+  "checklist.attestation.description": "Emitida por la provincia de su escuela.",
+  "checklist.study_funds": "Prueba de fondos para los estudios",
+  "checklist.study_funds.description": "Recibo de matrícula y prueba de gastos de manutención.",
+  "checklist.job_offer": "Carta de oferta de empleo",
+  "checklist.job_offer.description": "Firmada, con salario, horario y funciones.",
+  "checklist.lmia": "Carta de decisión del LMIA",
+  "checklist.lmia.description": "Copia del LMIA positivo.",
+  "checklist.sponsor_status": "Prueba del estatus del patrocinador",
+  "checklist.sponsor_status.description": "Pasaporte canadiense, certificado de ciudadanía o tarjeta de RP.",
+  "checklist.relationship": "Pruebas de la relación",
+  "checklist.relationship.description": "Fotos, historial de comunicaciones, documentos conjuntos.",
+
+  // --- Case status ---
+  "case.since": "desde el {date}",
+  "case.progress": "Progreso",
+  "case.whatIsNeeded": "¿Qué se necesita?",
+  "case.decisionOutcome": "Resultado de la decisión",
+  "case.noEvents": "Aún no hay cambios de estado.",
+  "case.automatic": "Automático",
+  "case.status.Lead": "Nuevo contacto",
+  "case.status.Assessment Complete": "Evaluación completada",
+  "case.status.Retained": "Contratado",
+  "case.status.Documents Needed": "Faltan documentos",
+  "case.status.Under Review": "En revisión",
+  "case.status.Application Submitted": "Solicitud presentada",
+  "case.status.Decision": "Decisión",
+  "case.outcome.Approved": "Aprobada",
+  "case.outcome.Refused": "Denegada",
+  "case.outcome.Withdrawn": "Retirada",
+  "case.action.Assessment complete": "Evaluación completada",
+  "case.action.Mark retained": "Marcar como contratado",
+  "case.action.Request documents": "Solicitar documentos",
+  "case.action.All documents uploaded": "Todos los documentos subidos",
+  "case.action.Request more documents": "Solicitar más documentos",
+  "case.action.Application submitted": "Solicitud presentada",
+  "case.action.IRCC requested documents": "IRCC solicitó documentos",
+  "case.action.Record decision": "Registrar decisión",
+
+  // --- Messages ---
+  "messages.new": "Nuevo mensaje",
+  "messages.select": "Seleccione una conversación.",
+  "messages.none": "Aún no hay conversaciones.",
+  "messages.subject": "Asunto",
+  "messages.subjectRequired": "Añada un asunto.",
+  "messages.client": "Cliente",
+  "messages.seenBy": "Visto por {names}",
+  "messages.sent": "Enviado",
+  "messages.placeholder": "Escriba un mensaje…",
+  "messages.message": "Mensaje",
+  "messages.attach": "Adjuntar documentos",
+  "messages.sending": "Enviando…",
+  "messages.send": "Enviar",
+
+  // --- Dashboard ---
+  "dashboard.title": "Panel del cliente",
+  "dashboard.welcome": "Bienvenido/a. Siga su solicitud y los próximos pasos a continuación.",
+  "dashboard.welcomeName": "Bienvenido/a, {name}. Siga su solicitud y los próximos pasos a continuación.",
+  "dashboard.status": "Estado actual",
+  "dashboard.statusSignIn": "Inicie sesión para ver su estado",
+  "dashboard.documents": "Documentos necesarios",
+  "dashboard.documentsSignIn": "Inicie sesión para ver su lista de documentos.",
+  "dashboard.documentsSummary": "{accepted} de {total} aceptados · {uploaded} en revisión · {outstanding} pendientes",
+  "dashboard.more": "+{count} más",
+  "dashboard.goToUploads": "Ir a documentos",
+  "dashboard.quickActions": "Acciones rápidas",
+  "dashboard.uploadDocuments": "Subir documentos",
+  "dashboard.finishForm": "Terminar la evaluación de elegibilidad",
+  "dashboard.bookOrChange": "Reservar o cambiar una cita",
+  "dashboard.timeline": "Historial",
+  "dashboard.appointments": "Próximas citas",
+  "dashboard.appointmentsSignIn": "Inicie sesión para ver sus citas.",
+  "dashboard.messages": "Mensajes",
+  "dashboard.messagesSignIn": "Inicie sesión para escribir a su equipo RCIC.",
+  "dashboard.notifications": "Notificaciones",
+  "dashboard.household": "Miembros de la familia",
+  "dashboard.submissions": "Sus envíos",
+  "submissions.none": "Aún no hay envíos.",
+  "submissions.crs": "CRS {score}",
+  "submissions.amend": "Duplicar y modificar",
+  "submissions.confirmAmend": "¿Abrir una copia de este envío en el formulario de elegibilidad? Se reemplazarán las respuestas que aún no ha enviado.",
+  "dashboard.agreement": "Contrato de servicios",
+  "retainer.needsAssessment": "Primero envíe su evaluación de elegibilidad: el contrato se prepara a partir de sus respuestas.",
+  "retainer.intro": "Su contrato de servicios describe los servicios que prestaremos y nuestros honorarios. Revíselo y luego firme abajo.",
+  "retainer.updated": "Nuestras condiciones han cambiado. Revise y firme la nueva versión.",
+  "retainer.review": "Revisar y firmar",
+  "retainer.signedOn": "Firmado por {name} el {date} (versión {version}).",
+  "retainer.download": "Descargar contrato firmado",
+  "retainer.signed": "Gracias: su contrato firmado se guardó en su expediente y se descargó una copia.",
+  "retainer.englishOnly": "El contrato está redactado en inglés. Pídanos ayuda si la necesita con cualquier parte.",
+  "retainer.services": "Servicios",
+  "retainer.professional": "Honorarios profesionales",
+  "retainer.government": "Tasas gubernamentales (estimación, se pagan directamente al gobierno)",
+  "retainer.installments": "Calendario de pagos",
+  "retainer.item": "Concepto",
+  "retainer.qty": "Cant.",
+  "retainer.amount": "Importe",
+  "retainer.total": "Total de honorarios profesionales",
+  "retainer.governmentTotal": "Tasas gubernamentales estimadas",
+  "retainer.preview": "Vista previa del contrato (PDF)",
+  "retainer.name": "Su nombre legal completo",
+  "retainer.signature": "Dibuje su firma",
+  "retainer.clear": "Borrar",
+  "retainer.agree": "He leído el contrato de servicios, incluido el cuadro de honorarios, y acepto sus condiciones.",
+  "retainer.sign": "Firmar contrato",
+  "retainer.signing": "Firmando…",
+  "retainer.nameRequired": "Escriba su nombre completo.",
+  "retainer.signatureRequired": "Dibuje su firma en el recuadro.",
+  "retainer.agreeRequired": "Marque la casilla para confirmar que está de acuerdo.",
+  "dashboard.billing": "Facturas y pagos",
+  "billing.none": "Aún no hay facturas.",
+  "billing.balance": "Saldo pendiente: {amount}",
+  "billing.overdue": "{amount} está vencido.",
+  "billing.payOffline": "Para pagar, envíe una transferencia Interac o contáctenos – el pago en línea no está disponible en este momento.",
+  "billing.testOutcome": "Resultado del pago de prueba",
+  "billing.test.succeeded": "Aprobado",
+  "billing.test.declined": "Rechazado",
+  "billing.test.pending": "Pendiente",
+  "billing.invoice": "Factura {number}",
+  "billing.status.open": "Abierta",
+  "billing.status.paid": "Pagada",
+  "billing.status.void": "Anulada",
+  "billing.issued": "Emitida el {date}",
+  "billing.due": "vence el {date}",
+  "billing.remaining": "Pendiente: {amount}",
+  "billing.processing": "Pago en proceso",
+  "billing.pay": "Pagar {amount}",
+  "billing.invoicePdf": "Factura (PDF)",
+  "billing.receipt": "Recibo {number}",
+  "billing.declined": "El pago no se completó. Inténtelo de nuevo o use otra tarjeta.",
+  "billing.thanks": "Gracias – recibimos su pago (recibo {receipt}).",
+  "household.role.principal": "Solicitante principal",
+  "household.role.spouse": "Cónyuge o pareja",
+  "household.role.dependant": "Hijo dependiente",
+  "dashboard.privacy": "Su privacidad",
+  "privacy.noConsent": "No hay consentimiento registrado.",
+  "privacy.consentLine": "Versión {version} el {when}:",
+  "privacy.confirmDeletion": "¿Pedirnos que eliminemos su expediente y sus documentos? Le confirmaremos por mensaje antes de eliminar nada.",
+  "privacy.download": "Descargar mis datos (.zip)",
+  "privacy.requestDeletion": "Solicitar eliminación",
+  "privacy.deletionRequested": "Eliminación solicitada",
+
+  // --- Notifications ---
+  "notifications.intro": "Elija cómo le avisamos cuando ocurre algo en su expediente. Los mensajes en sí permanecen en el portal.",
+  "notifications.event": "Evento",
+  "notifications.channel.email": "Correo",
+  "notifications.channel.sms": "SMS",
+  "notifications.phone": "Número de móvil para mensajes de texto",
+  "notifications.phoneInvalid": "Introduzca el número con el código de país, p. ej. +1 604 555 0123.",
+  "notifications.phoneRequired": "Añada un número de móvil para recibir mensajes de texto.",
+  "notifications.save": "Guardar preferencias",
+  "notifications.saved": "Guardado",
+  "notifications.event.assessment_received": "Evaluación recibida",
+  "notifications.event.assessment_received.description": "Confirmación cuando recibimos su evaluación de elegibilidad.",
+  "notifications.event.document_rejected": "Documento por corregir",
+  "notifications.event.document_rejected.description": "Cuando hay que reemplazar un documento que subió.",
+  "notifications.event.status_changed": "Cambios de estado del expediente",
+  "notifications.event.status_changed.description": "Cuando su expediente pasa a una nueva etapa.",
+  "notifications.event.new_message": "Mensajes nuevos",
+  "notifications.event.new_message.description": "Cuando su equipo RCIC le envía un mensaje.",
+  "notifications.event.appointment_reminder": "Recordatorios de citas",
+  "notifications.event.appointment_reminder.description": "El día antes de una consulta reservada.",
+  "notifications.event.invoice_issued": "Nuevas facturas",
+  "notifications.event.invoice_issued.description": "Cuando le enviamos una factura.",
+  "notifications.event.payment_received": "Recibos de pago",
+  "notifications.event.payment_received.description": "Cuando se completa un pago que nos hace.",
+  // --- Emails and texts (lib/notifications.js) ---
+  "notify.footer": "Elija qué notificaciones recibe: {url}",
+  "notify.greeting": "Hola, {name}:",
+  "notify.hello": "Hola:",
+  "notify.assessment_received.subject": "Recibimos su evaluación de elegibilidad",
+  "notify.assessment_received.body": "Gracias: su evaluación de elegibilidad llegó a Peddle West Immigration.",
+  "notify.assessment_received.bodyProgram": "Gracias: su evaluación de elegibilidad para {program} llegó a Peddle West Immigration.",
+  "notify.assessment_received.crs": "Su puntaje CRS estimado es {crsTotal}; su RCIC lo confirmará después de revisar sus documentos.",
+  "notify.assessment_received.next": "Un consultor autorizado revisará sus respuestas y se comunicará con usted sobre los próximos pasos. Puede seguir su expediente, subir documentos y escribirnos desde su panel:\n{url}",
+  "notify.assessment_received.sms": "Peddle West: recibimos su evaluación de elegibilidad y le contactaremos sobre los próximos pasos.",
+  "notify.document_rejected.subject": "Suba una nueva copia: {document}",
+  "notify.document_rejected.body": "Revisamos «{document}» y necesitamos una nueva copia.",
+  "notify.document_rejected.reason": "Motivo: {reason}",
+  "notify.document_rejected.next": "Suba un reemplazo desde su portal:\n{url}",
+  "notify.document_rejected.sms": "Peddle West: «{document}» necesita una nueva copia. Detalles en su portal.",
+  "notify.status_changed.subject": "Su expediente ahora está en: {status}",
+  "notify.status_changed.body": "Su expediente con Peddle West Immigration pasó a «{status}».",
+  "notify.status_changed.note": "Nota de su RCIC: {note}",
+  "notify.status_changed.next": "Consulte su historial y los próximos pasos:\n{url}",
+  "notify.status_changed.sms": "Peddle West: su expediente ahora está en «{status}». Detalles en su portal.",
+  "notify.new_message.team": "Su equipo RCIC",
+  "notify.new_message.subject": "Nuevo mensaje: {subject}",
+  "notify.new_message.body": "{from} envió un mensaje en «{subject}».",
+  "notify.new_message.next": "Por su privacidad, el mensaje solo se muestra en el portal:\n{url}",
+  "notify.new_message.sms": "Peddle West: nuevo mensaje de {from}. Léalo en su portal.",
+  "notify.appointment_reminder.subject": "Recordatorio: {type} el {when}",
+  "notify.appointment_reminder.body": "Le recordamos su {type} el {when} ({timeZone}).",
+  "notify.appointment_reminder.next": "¿Necesita cambiarla? Gestione su cita desde su panel:\n{url}",
+  "notify.appointment_reminder.sms": "Recordatorio de Peddle West: {type} el {when} ({timeZone}).",
+  "notify.invoice_issued.subject": "Factura {number}: {total}",
+  "notify.invoice_issued.body": "La factura {number} por {total} está lista.",
+  "notify.invoice_issued.bodyDue": "La factura {number} por {total} está lista y vence el {dueDate}.",
+  "notify.invoice_issued.next": "Vea los detalles y pague desde su panel:\n{url}",
+  "notify.invoice_issued.sms": "Peddle West: la factura {number} por {total} está en su portal.",
+  "notify.payment_received.subject": "Recibo {receipt}: pago de {amount} recibido",
+  "notify.payment_received.body": "Gracias: recibimos su pago de {amount} para la factura {number} (recibo {receipt}).",
+  "notify.payment_received.balance": "El saldo pendiente es {balance}.",
+  "notify.payment_received.paid": "La factura ya está pagada por completo.",
+  "notify.payment_received.next": "Puede descargar el recibo desde su panel:\n{url}",
+  "notify.payment_received.sms": "Peddle West: pago de {amount} recibido, recibo {receipt}. ¡Gracias!",
+
+  // --- Sign-in ---
+  "login.tab.password": "Contraseña",
+  "login.tab.code": "Código por correo",
+  "login.tab.register": "Crear cuenta",
+  "login.email": "Correo electrónico",
+  "login.name": "Nombre",
+  "login.password": "Contraseña",
+  "login.passwordHint": "Al menos 10 caracteres.",
+  "login.code": "Código de 6 dígitos",
+  "login.codeSent": "Le enviamos por correo un código y un enlace de acceso.",
+  "login.registerSent": "Le enviamos un código por correo. Ingréselo para confirmar su dirección y terminar de crear su cuenta.",
+  "login.emailCode": "Enviarme un código",
+  "login.failed": "No se pudo iniciar sesión.",
+};
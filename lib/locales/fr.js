@@ -0,0 +1,543 @@
+/** Français (Canada). */
+export default {
+  // --- Header and footer ---
+  "nav.book": "Rendez-vous",
+  "nav.eligibility": "Admissibilité",
+  "nav.uploads": "Documents",
+  "nav.dashboard": "Tableau de bord",
+  "nav.about": "À propos",
+  "shell.pendingHint": "Enregistré sur cet appareil; sera synchronisé dès que le serveur du portail sera joignable.",
+  "shell.pending": { one: "{count} modification en attente de synchronisation", other: "{count} modifications en attente de synchronisation" },
+  "shell.unread": { one: "{count} message non lu", other: "{count} messages non lus" },
+  "shell.language": "Langue",
+  "shell.signedInAs": "Connecté en tant que",
+  "shell.signIn": "Se connecter",
+  "shell.signOut": "Se déconnecter",
+  "shell.bookNow": "Prendre rendez-vous",
+  "footer.quickLinks": "Liens rapides",
+  "footer.eligibility": "Évaluation d’admissibilité",
+  "footer.uploads": "Téléversement sécurisé",
+  "footer.book": "Réserver une consultation",
+  "footer.compliance": "Conformité",
+  "footer.complianceText": "Membre réglementé du CICC (CRIC). Confidentialité dès la conception. © {year} Peddle West.",
+  "hero.label": "Présentation",
+  "hero.title": "Des services d’immigration canadienne de confiance, désormais avec un portail client sécurisé.",
+  "hero.body": "Avec l’apparence familière de Peddle West, cette mise à jour ajoute la prise de rendez-vous, l’évaluation d’admissibilité, le téléversement de documents et un tableau de bord personnalisé, de façon sûre et efficace.",
+  "hero.startAssessment": "Commencer l’évaluation",
+  "hero.placeholder": "Image décorative",
+
+  // --- Shared ---
+  "common.back": "Retour",
+  "common.next": "Suivant",
+  "common.cancel": "Annuler",
+  "common.continue": "Continuer",
+  "common.wait": "Veuillez patienter…",
+  "common.you": "Vous",
+  "common.team": "Votre équipe CRIC",
+
+  // --- Booking ---
+  "booking.title": "Réserver une consultation",
+  "booking.intro": "Choisissez un type de consultation et un moment qui vous convient. Les heures sont affichées dans votre fuseau horaire; une confirmation avec une invitation de calendrier vous est envoyée par courriel.",
+  "booking.unavailable": "La prise de rendez-vous est indisponible pour le moment : {error}",
+  "booking.notSetUp": "La réservation en ligne n’est pas encore en place. Écrivez-nous à info@peddlewest.com.",
+  "booking.booked": "Réservé : {type}, {when}. Consultez vos courriels pour l’invitation de calendrier.",
+  "booking.moved": "Déplacé : {type}, {when}. Consultez vos courriels pour l’invitation de calendrier.",
+  "booking.confirmCancel": "Annuler votre {type} du {when}?",
+  "booking.chooseNewTime": "Choisissez une nouvelle heure pour votre {type} ({when}).",
+  "booking.keepTime": "Garder l’heure actuelle",
+  "booking.minutes": "{count} min",
+  "booking.timeZone": "Fuseau horaire",
+  "booking.earlier": "Plus tôt",
+  "booking.later": "Plus tard",
+  "booking.loading": "Chargement des disponibilités…",
+  "booking.none": "Aucune disponibilité pendant ces deux semaines – essayez « Plus tard ».",
+  "booking.noneLast": "Aucune disponibilité pendant ces deux semaines.",
+  "booking.notes": "Quelque chose à nous signaler avant le rendez-vous? (facultatif)",
+  "booking.signInToBook": "Connectez-vous pour réserver",
+  "booking.move": "Déplacer le rendez-vous",
+  "booking.book": "Réserver ce créneau",
+  "booking.mine": "Mes rendez-vous",
+  "booking.signInToManage": "Connectez-vous pour voir, déplacer ou annuler vos rendez-vous.",
+  "booking.noUpcoming": "Aucun rendez-vous à venir.",
+  "booking.with": "avec {name}",
+  "booking.addToCalendar": "Ajouter au calendrier",
+  "booking.reschedule": "Déplacer",
+  "booking.change": "Modifier",
+
+  // --- Eligibility form ---
+  "form.title": "Évaluation d’admissibilité",
+  "form.intro": "Un formulaire sécurisé en plusieurs étapes, avec validation et sauvegarde de la progression. Le personnel peut exporter les réponses vers Excel ou Google Drive.",
+  "form.progress": "Étapes",
+  "form.crsEstimate": "SCG estimé :",
+  "form.review": "Vérification :",
+  "form.reviewHint": "Veuillez confirmer vos renseignements, puis soumettre.",
+  "form.editStep": "Modifier",
+  "form.summaryPdf": "Télécharger le résumé (PDF)",
+  "form.submit": "Soumettre l’évaluation",
+  "form.consentRequired": "Veuillez accepter l’avis de confidentialité avant de soumettre.",
+  "form.submitFailed": "Impossible de soumettre votre évaluation : {error}",
+  "form.savedOffline": "Enregistré sur cet appareil et fichier XLSX téléchargé. L’évaluation sera envoyée à Peddle West dès votre retour en ligne.",
+  "form.submitted": "Évaluation soumise; une copie (XLSX) a été téléchargée pour vos dossiers.",
+  "form.confirmationEmailed": "Une confirmation a été envoyée à {email}.",
+  "draft.saving": "Enregistrement…",
+  "draft.savedAt": "Enregistré à {time}",
+  "draft.device": "Enregistré sur cet appareil à {time}",
+  "draft.offline": "Hors ligne – vos réponses sont conservées sur cet appareil et enregistrées à la reconnexion.",
+  "draft.error": "Impossible d'enregistrer vos réponses : {error}",
+  "draft.emailLink": "M'envoyer un lien pour continuer plus tard",
+  "draft.linkSent": "Un lien a été envoyé à {email}. Ouvrez-le sur n'importe quel appareil pour continuer.",
+  "draft.conflict": "Vos réponses ont été modifiées dans un autre onglet ou sur un autre appareil ({time}).",
+  "draft.takeTheirs": "Utiliser l'autre version",
+  "draft.keepMine": "Garder cette version",
+  "form.select": "Choisir…",
+  "form.repeat.up": "Monter",
+  "form.repeat.down": "Descendre",
+  "form.repeat.remove": "Retirer",
+  "form.repeat.moveUp": "Monter l’entrée {n}",
+  "form.repeat.moveDown": "Descendre l’entrée {n}",
+  "form.repeat.add": "Ajouter",
+  "form.step.contact": "Coordonnées",
+  "form.step.interest": "Intérêt",
+  "form.step.basics": "Profil",
+  "form.step.language": "Langue",
+  "form.step.work": "Expérience de travail",
+  "form.step.review": "Vérification",
+  "form.step.study": "Projet d’études",
+  "form.step.jobOffer": "Offre d’emploi",
+  "form.step.pnp": "Province",
+  "form.step.sponsorship": "Parrainage",
+  "form.step.family": "Famille",
+  "form.field.contact_firstName": "Prénom",
+  "form.field.contact_lastName": "Nom de famille",
+  "form.field.contact_email": "Courriel",
+  "form.field.contact_phone": "Téléphone (facultatif)",
+  "form.field.contact_province": "Où habitez-vous?",
+  "form.field.interest_program": "Programme d’intérêt",
+  "form.field.interest_notes": "Remarques (facultatif)",
+  "form.field.basics_age": "Âge",
+  "form.field.basics_education": "Plus haut niveau d’études",
+  "form.field.basics_educationCountry": "Où avez-vous obtenu ce diplôme?",
+  "form.field.basics_marital": "État matrimonial",
+  "form.field.language_first_test": "Test de langue – première langue officielle",
+  "form.field.language_first_test_optional": "Test de langue – première langue officielle (facultatif)",
+  "form.field.language_first_date": "Date du test",
+  "form.field.language_first_listening": "Score – compréhension de l’oral",
+  "form.field.language_first_reading": "Score – compréhension de l’écrit",
+  "form.field.language_first_writing": "Score – expression écrite",
+  "form.field.language_first_speaking": "Score – expression orale",
+  "form.field.language_second_test": "Test dans votre autre langue officielle (facultatif)",
+  "form.field.language_second_date": "Date du second test",
+  "form.field.language_second_listening": "Second test – compréhension de l’oral",
+  "form.field.language_second_reading": "Second test – compréhension de l’écrit",
+  "form.field.language_second_writing": "Second test – expression écrite",
+  "form.field.language_second_speaking": "Second test – expression orale",
+  "form.field.work_title": "Titre du poste",
+  "form.field.work_employer": "Employeur",
+  "form.field.work_city": "Ville",
+  "form.field.work_country": "Pays",
+  "form.field.work_state": "État/Province (facultatif)",
+  "form.field.work_hours": "Heures par semaine",
+  "form.field.work_start": "Date de début",
+  "form.field.work_end": "Date de fin",
+  "form.field.work_current": "C’est mon emploi actuel",
+  "form.field.study_institution": "École / établissement",
+  "form.field.study_dli": "Numéro d’EED (facultatif)",
+  "form.field.study_fieldOfStudy": "Programme d’études",
+  "form.field.study_startDate": "Date de début du programme",
+  "form.field.study_tuition": "Droits de scolarité de la première année (CAD)",
+  "form.field.study_funds": "Fonds disponibles (CAD)",
+  "form.field.study_attestation": "J’ai une lettre d’attestation provinciale (LAP/LAT)",
+  "form.field.jobOffer_hasOffer": "Avez-vous une offre d’emploi au Canada?",
+  "form.field.jobOffer_employer": "Employeur",
+  "form.field.jobOffer_title": "Titre du poste",
+  "form.field.jobOffer_noc": "Code CNP (facultatif)",
+  "form.field.jobOffer_province": "Province",
+  "form.field.jobOffer_lmia": "Statut de l’EIMT",
+  "form.field.pnp_province": "Province ou territoire",
+  "form.field.pnp_stream": "Volet (si connu)",
+  "form.field.pnp_provincialTies": "Liens avec la province (études, travail, famille)",
+  "form.field.sponsorship_sponsorStatus": "Statut du répondant au Canada",
+  "form.field.sponsorship_relationship": "Personne parrainée",
+  "form.field.sponsorship_sponsorProvince": "Province du répondant",
+  "form.field.sponsorship_applicantCountry": "Pays de résidence de la personne parrainée",
+  "form.field.spouse_firstName": "Prénom de votre époux ou conjoint",
+  "form.field.spouse_lastName": "Nom de famille de votre époux ou conjoint",
+  "form.field.spouse_accompanying": "Votre époux ou conjoint vous accompagnera-t-il au Canada?",
+  "form.field.spouse_canadian": "Mon époux ou conjoint est citoyen canadien ou résident permanent",
+  "form.field.spouse_education": "Plus haut niveau d’études de votre époux ou conjoint (facultatif)",
+  "form.field.spouse_language_test": "Test de langue de votre époux ou conjoint (facultatif)",
+  "form.field.spouse_language_date": "Date du test de votre époux ou conjoint",
+  "form.field.spouse_language_listening": "Époux ou conjoint – compréhension de l’oral",
+  "form.field.spouse_language_reading": "Époux ou conjoint – compréhension de l’écrit",
+  "form.field.spouse_language_writing": "Époux ou conjoint – expression écrite",
+  "form.field.spouse_language_speaking": "Époux ou conjoint – expression orale",
+  "form.field.spouse_canadianWorkYears": "Années de travail qualifié au Canada de votre époux ou conjoint",
+  "form.field.dependants_firstName": "Prénom",
+  "form.field.dependants_lastName": "Nom de famille",
+  "form.field.dependants_dateOfBirth": "Date de naissance",
+  "form.field.dependants_relationship": "Lien de parenté",
+  "form.field.dependants_accompanying": "Vous accompagne au Canada?",
+  "form.field.dependants_education": "Plus haut niveau d’études (facultatif)",
+  "form.field.dependants_language_test": "Test de langue (facultatif)",
+  "form.field.dependants_language_date": "Date du test",
+  "form.field.dependants_language_listening": "Score – compréhension de l’oral",
+  "form.field.dependants_language_reading": "Score – compréhension de l’écrit",
+  "form.field.dependants_language_writing": "Score – expression écrite",
+  "form.field.dependants_language_speaking": "Score – expression orale",
+  "form.option.Express Entry": "Entrée express",
+  "form.option.Study Permit": "Permis d’études",
+  "form.option.Work Permit": "Permis de travail",
+  "form.option.PNP": "PCP (programme des candidats des provinces)",
+  "form.option.Family Sponsorship": "Parrainage familial",
+  "form.option.Secondary": "Secondaire",
+  "form.option.Diploma": "Diplôme collégial",
+  "form.option.Bachelor": "Baccalauréat",
+  "form.option.Master": "Maîtrise",
+  "form.option.PhD": "Doctorat",
+  "form.option.Outside Canada": "Hors du Canada",
+  "form.option.Canada": "Canada",
+  "form.option.OUT": "Hors du Canada",
+  "form.option.Single": "Célibataire",
+  "form.option.Married": "Marié(e)",
+  "form.option.Common‑law": "Conjoint(e) de fait",
+  "form.option.No": "Non",
+  "form.option.Yes": "Oui",
+  "form.option.LMIA approved": "EIMT approuvée",
+  "form.option.LMIA in progress": "EIMT en cours",
+  "form.option.LMIA-exempt": "Dispensé d’EIMT",
+  "form.option.Not sure": "Je ne sais pas",
+  "form.option.Citizen": "Citoyen",
+  "form.option.Permanent resident": "Résident permanent",
+  "form.option.Registered Indian": "Indien inscrit",
+  "form.option.Spouse": "Époux ou épouse",
+  "form.option.Common-law partner": "Conjoint de fait",
+  "form.option.Conjugal partner": "Partenaire conjugal",
+  "form.option.Dependent child": "Enfant à charge",
+  "form.option.Parent": "Parent",
+  "form.option.Grandparent": "Grand-parent",
+  "form.option.Other relative": "Autre membre de la famille",
+  "form.option.Child": "Enfant",
+  "form.option.Stepchild": "Enfant du conjoint",
+  "form.option.Adopted child": "Enfant adopté",
+  "form.error.required": "Ce champ est obligatoire.",
+  "form.error.email": "Entrez une adresse courriel valide.",
+  "form.error.number": "Entrez un nombre.",
+  "form.error.min": "Doit être d’au moins {min}.",
+  "form.error.max": "Doit être d’au plus {max}.",
+  "form.error.step": "Utilisez des paliers de {step}.",
+  "form.error.format": "Format invalide.",
+  "form.error.futureTestDate": "La date du test ne peut pas être dans le futur.",
+  "form.error.testExpired": "Ces résultats ont expiré le {date}. Les résultats sont valides pendant deux ans.",
+  "form.error.sameLanguage": "Choisissez un test dans votre autre langue officielle.",
+  "form.error.testScore": "Les scores {test} pour cette compétence vont de {min} à {max}.",
+  "form.error.testBand": "Les bandes {test} vont de {min} à {max} par pas de {step}.",
+  "form.pattern.study_dli": "Les numéros d’EED ressemblent à O19283746574.",
+  "form.pattern.jobOffer_noc": "Les codes CNP 2021 comptent 5 chiffres.",
+  "form.work.item": "Emploi no {n}",
+  "form.work.summary": "Équivalent temps plein : {canadian} an(s) au Canada · {foreign} an(s) à l’étranger",
+  "form.work.intro": "Indiquez chaque emploi des 10 dernières années, du plus récent au plus ancien. Le temps partiel est compté au prorata (30 h/semaine = temps plein).",
+  "form.work.add": "Ajouter un emploi",
+  "form.dependants.item": "Enfant no {n}",
+  "form.dependants.intro": "Indiquez chaque enfant de moins de 22 ans – et les enfants plus âgés qui dépendent de vous en raison d’un problème de santé – qu’ils viennent au Canada ou non.",
+  "form.dependants.add": "Ajouter un enfant à charge",
+  "consent.title": "Avis de confidentialité",
+  "consent.version": "(version {version})",
+  "consent.required": "(obligatoire)",
+  "consent.optional": "(facultatif)",
+  "consent.purpose.processing": "Évaluer mon admissibilité et gérer mon dossier",
+  "consent.purpose.updates": "M’envoyer à l’occasion des nouvelles sur les programmes d’immigration",
+  "consent.2026-10.summary.0": "Peddle West Immigration (cabinet réglementé par le CICC) recueille les renseignements de ce formulaire pour évaluer votre admissibilité et, si vous retenez nos services, pour préparer et gérer votre demande.",
+  "consent.2026-10.summary.1": "Vos réponses et documents sont conservés chiffrés et ne sont accessibles qu’à vous et à notre personnel autorisé. Chaque accès est consigné.",
+  "consent.2026-10.summary.2": "Vous pouvez télécharger une copie de vos données ou nous demander de les supprimer en tout temps depuis votre tableau de bord. Les dossiers fermés sont supprimés automatiquement après la période de conservation.",
+  "consent.2026-10.summary.3": "Nous ne vendons jamais vos renseignements. Nous les communiquons à IRCC ou à une province uniquement dans le cadre d’une demande que vous autorisez.",
+  "crs.title": "Score SCG estimé",
+  "crs.core": "Facteurs de base / capital humain",
+  "crs.spouse": "Facteurs liés à l’époux ou au conjoint",
+  "crs.transferability": "Transférabilité des compétences",
+  "crs.additional": "Points supplémentaires",
+  "crs.note": "Estimation seulement (règles {version}). Votre CRIC confirmera votre score après avoir examiné vos documents.",
+
+  // --- Uploads ---
+  "uploads.title": "Téléversement sécurisé de documents",
+  "uploads.intro": "Téléversez passeports, diplômes, résultats IELTS/TEF et plus. Formats acceptés : PDF, JPEG, PNG. Les fichiers sont conservés chiffrés et, dans le portail, seuls vous et votre équipe CRIC pouvez les ouvrir.",
+  "uploads.signIn": "Veuillez vous connecter pour ajouter des documents à votre dossier.",
+  "uploads.limits": "Jusqu’à {batch} fichiers à la fois, {perCase} par dossier. PDF jusqu’à {pdfMb} Mo et {pages} pages, non protégés; images jusqu’à {imageMb} Mo. Les numérisations de passeport doivent être nettes et en haute résolution.",
+  "uploads.stale": "Hors ligne – affichage de votre dernière liste synchronisée.",
+  "uploads.checklist": "Votre liste de documents",
+  "uploads.needsAttention": "À corriger : {reason}",
+  "uploads.upload": "Téléverser",
+  "uploads.uploadAgain": "Téléverser de nouveau",
+  "uploads.other": "Autres documents",
+  "uploads.checking": "Vérification et envoi…",
+  "uploads.choose": "Choisir des fichiers",
+  "uploads.notUploaded": "{name} n’a pas été téléversé",
+  "uploads.openFailed": "Impossible d’ouvrir {name} : {error}",
+  "uploads.file": "fichier",
+  "uploads.uploadedAt": "Téléversé le {when}",
+  "uploads.inDrive": "Dans Google Drive",
+  "uploads.decrypting": "Déchiffrement…",
+  "uploads.download": "Télécharger",
+  "uploads.notStored": "Contenu du fichier non conservé",
+  "checklist.status.missing": "Manquant",
+  "checklist.status.uploaded": "Reçu",
+  "checklist.status.accepted": "Accepté",
+  "checklist.status.rejected": "Refusé",
+  "checklist.passport": "Passeport (toutes les pages)",
+  "checklist.passport.description": "Numérisation couleur nette de chaque page, y compris les pages vierges.",
+  "checklist.photo": "Photo numérique",
+  "checklist.photo.description": "Photo récente conforme aux exigences d’IRCC.",
+  "checklist.language": "Résultats de test de langue",
+  "checklist.language.description": "Résultats IELTS, CELPIP, TEF, TCF ou PTE Core (datant de moins de deux ans).",
+  "checklist.language_second": "Résultats du test de la seconde langue officielle",
+  "checklist.language_second.description": "TEF / TCF Canada pour le français, ou un test d’anglais si le français est votre première langue.",
+  "checklist.language_study": "Résultats de test de langue",
+  "checklist.language_study.description": "Si votre établissement les exige.",
+  "checklist.eca": "Évaluation des diplômes d’études (EDE)",
+  "checklist.eca.description": "De WES, ICES, IQAS ou d’un autre organisme désigné.",
+  "checklist.education": "Diplôme et relevés de notes",
+  "checklist.education.description": "Pour votre plus haut diplôme obtenu.",
+  "checklist.reference": "Lettre de référence d’emploi",
+  "checklist.reference.description": "Sur papier à en-tête : poste, tâches, heures/semaine, salaire et dates.",
+  "checklist.funds": "Preuve de fonds d’établissement",
+  "checklist.funds.description": "Lettres bancaires couvrant les six derniers mois.",
+  "checklist.police": "Certificats de police",
+  "checklist.police.description": "De chaque pays où vous avez vécu 6 mois ou plus depuis l’âge de 18 ans.",
+  "checklist.spouse_passport": "Passeport de l’époux ou du conjoint",
+  "checklist.spouse_passport.description": "Toutes les pages.",
+  "checklist.marriage": "Certificat de mariage",
+  "checklist.marriage.description": "Copie officielle avec traduction certifiée au besoin.",
+  "checklist.common_law": "Déclaration solennelle d’union de fait (IMM 5409)",
+  "checklist.common_law.description": "Signée par les deux partenaires.",
+  "checklist.spouse_language": "Résultats du test de langue de l’époux ou du conjoint",
+  "checklist.spouse_language.description": "Seulement pour obtenir des points pour les compétences linguistiques de votre époux ou conjoint.",
+  "checklist.spouse_education": "Diplôme et EDE de l’époux ou du conjoint",
+  "checklist.spouse_education.description": "Relevés de notes, plus un rapport d’EDE si le diplôme a été obtenu hors du Canada.",
+  "checklist.dependant_passport": "Passeport",
+  "checklist.dependant_passport.description": "Toutes les pages, pour chaque enfant à charge.",
+  "checklist.birth_certificate": "Acte de naissance",
+  "checklist.birth_certificate.description": "Version intégrale, indiquant les deux parents.",
+  "checklist.dependant_language": "Résultats de test de langue",
+  "checklist.dependant_language.description": "Pour un enfant à charge qui a passé un test de langue.",
+  "checklist.acceptance": "Lettre d’acceptation",
+  "checklist.acceptance.description": "De votre établissement d’enseignement désigné (EED).",
+  "checklist.attestation": "Lettre d’attestation provinciale (LAP/LAT)",
+  "checklist.attestation.description": "Délivrée par la province de votre établissement.",
+  "checklist.study_funds": "Preuve de fonds pour les études",
+  "checklist.study_funds.description": "Reçu des droits de scolarité et preuve des frais de subsistance.",
+  "checklist.job_offer": "Lettre d’offre d’emploi",
+  "checklist.job_offer.description": "Signée, avec salaire, heures et tâches.",
+  "checklist.lmia": "Lettre de décision de l’EIMT",
+  "checklist.lmia.description": "Copie de l’EIMT favorable.",
+  "checklist.sponsor_status": "Preuve de statut du répondant",
+  "checklist.sponsor_status.description": "Passeport canadien, certificat de citoyenneté ou carte de RP.",
+  "checklist.relationship": "Preuve de la relation",
+  "checklist.relationship.description": "Photos, historique des communications, documents conjoints.",
+
+  // --- Case status ---
+  "case.since": "depuis le {date}",
+  "case.progress": "Progression",
+  "case.whatIsNeeded": "Qu’est-ce qui est nécessaire?",
+  "case.decisionOutcome": "Résultat de la décision",
+  "case.noEvents": "Aucun changement de statut pour l’instant.",
+  "case.automatic": "Automatique",
+  "case.status.Lead": "Nouveau contact",
+  "case.status.Assessment Complete": "Évaluation terminée",
+  "case.status.Retained": "Mandat confié",
+  "case.status.Documents Needed": "Documents requis",
+  "case.status.Under Review": "En cours d’examen",
+  "case.status.Application Submitted": "Demande soumise",
+  "case.status.Decision": "Décision",
+  "case.outcome.Approved": "Approuvée",
+  "case.outcome.Refused": "Refusée",
+  "case.outcome.Withdrawn": "Retirée",
+  "case.action.Assessment complete": "Évaluation terminée",
+  "case.action.Mark retained": "Marquer comme mandaté",
+  "case.action.Request documents": "Demander des documents",
+  "case.action.All documents uploaded": "Tous les documents sont téléversés",
+  "case.action.Request more documents": "Demander d’autres documents",
+  "case.action.Application submitted": "Demande soumise",
+  "case.action.IRCC requested documents": "IRCC a demandé des documents",
+  "case.action.Record decision": "Consigner la décision",
+
+  // --- Messages ---
+  "messages.new": "Nouveau message",
+  "messages.select": "Choisissez une conversation.",
+  "messages.none": "Aucune conversation pour l’instant.",
+  "messages.subject": "Objet",
+  "messages.subjectRequired": "Veuillez indiquer un objet.",
+  "messages.client": "Client",
+  "messages.seenBy": "Vu par {names}",
+  "messages.sent": "Envoyé",
+  "messages.placeholder": "Écrivez un message…",
+  "messages.message": "Message",
+  "messages.attach": "Joindre des documents",
+  "messages.sending": "Envoi…",
+  "messages.send": "Envoyer",
+
+  // --- Dashboard ---
+  "dashboard.title": "Tableau de bord client",
+  "dashboard.welcome": "Bienvenue. Suivez votre demande et les prochaines étapes ci-dessous.",
+  "dashboard.welcomeName": "Bienvenue, {name}. Suivez votre demande et les prochaines étapes ci-dessous.",
+  "dashboard.status": "Statut actuel",
+  "dashboard.statusSignIn": "Connectez-vous pour voir votre statut",
+  "dashboard.documents": "Documents requis",
+  "dashboard.documentsSignIn": "Connectez-vous pour voir votre liste de documents.",
+  "dashboard.documentsSummary": "{accepted} sur {total} acceptés · {uploaded} en examen · {outstanding} à fournir",
+  "dashboard.more": "+{count} de plus",
+  "dashboard.goToUploads": "Aller aux documents",
+  "dashboard.quickActions": "Actions rapides",
+  "dashboard.uploadDocuments": "Téléverser des documents",
+  "dashboard.finishForm": "Terminer l’évaluation d’admissibilité",
+  "dashboard.bookOrChange": "Prendre ou modifier un rendez-vous",
+  "dashboard.timeline": "Historique",
+  "dashboard.appointments": "Rendez-vous à venir",
+  "dashboard.appointmentsSignIn": "Connectez-vous pour voir vos rendez-vous.",
+  "dashboard.messages": "Messages",
+  "dashboard.messagesSignIn": "Connectez-vous pour écrire à votre équipe CRIC.",
+  "dashboard.notifications": "Notifications",
+  "dashboard.household": "Membres de la famille",
+  "dashboard.submissions": "Vos soumissions",
+  "submissions.none": "Aucune soumission pour l'instant.",
+  "submissions.crs": "CRS {score}",
+  "submissions.amend": "Dupliquer et modifier",
+  "submissions.confirmAmend": "Ouvrir une copie de cette soumission dans le formulaire d'admissibilité ? Les réponses non soumises seront remplacées.",
+  "dashboard.agreement": "Convention de services",
+  "retainer.needsAssessment": "Soumettez d'abord votre évaluation d'admissibilité – la convention est préparée à partir de vos réponses.",
+  "retainer.intro": "Votre convention de services décrit les services que nous fournirons et nos honoraires. Lisez-la, puis signez ci-dessous.",
+  "retainer.updated": "Nos conditions ont changé. Veuillez lire et signer la nouvelle version.",
+  "retainer.review": "Lire et signer",
+  "retainer.signedOn": "Signée par {name} le {date} (version {version}).",
+  "retainer.download": "Télécharger la convention signée",
+  "retainer.signed": "Merci – votre convention signée est enregistrée dans votre dossier et une copie a été téléchargée.",
+  "retainer.englishOnly": "La convention est rédigée en anglais. N'hésitez pas à nous demander de l'aide pour toute partie de celle-ci.",
+  "retainer.services": "Services",
+  "retainer.professional": "Honoraires professionnels",
+  "retainer.government": "Frais gouvernementaux (estimation, payés directement au gouvernement)",
+  "retainer.installments": "Échéancier de paiement",
+  "retainer.item": "Élément",
+  "retainer.qty": "Qté",
+  "retainer.amount": "Montant",
+  "retainer.total": "Total des honoraires professionnels",
+  "retainer.governmentTotal": "Frais gouvernementaux estimés",
+  "retainer.preview": "Aperçu de la convention (PDF)",
+  "retainer.name": "Votre nom légal complet",
+  "retainer.signature": "Dessinez votre signature",
+  "retainer.clear": "Effacer",
+  "retainer.agree": "J'ai lu la convention de services, y compris le barème des honoraires, et j'en accepte les conditions.",
+  "retainer.sign": "Signer la convention",
+  "retainer.signing": "Signature en cours…",
+  "retainer.nameRequired": "Saisissez votre nom complet.",
+  "retainer.signatureRequired": "Dessinez votre signature dans le cadre.",
+  "retainer.agreeRequired": "Cochez la case pour confirmer votre accord.",
+  "dashboard.billing": "Factures et paiements",
+  "billing.none": "Aucune facture pour le moment.",
+  "billing.balance": "Solde à payer : {amount}",
+  "billing.overdue": "{amount} est en souffrance.",
+  "billing.payOffline": "Pour payer, envoyez un virement Interac ou contactez-nous – le paiement en ligne n’est pas disponible pour le moment.",
+  "billing.testOutcome": "Résultat du paiement test",
+  "billing.test.succeeded": "Approuvé",
+  "billing.test.declined": "Refusé",
+  "billing.test.pending": "En attente",
+  "billing.invoice": "Facture {number}",
+  "billing.status.open": "Ouverte",
+  "billing.status.paid": "Payée",
+  "billing.status.void": "Annulée",
+  "billing.issued": "Émise le {date}",
+  "billing.due": "échéance le {date}",
+  "billing.remaining": "Reste à payer : {amount}",
+  "billing.processing": "Paiement en cours de traitement",
+  "billing.pay": "Payer {amount}",
+  "billing.invoicePdf": "Facture (PDF)",
+  "billing.receipt": "Reçu {number}",
+  "billing.declined": "Le paiement n’a pas abouti. Veuillez réessayer ou utiliser une autre carte.",
+  "billing.thanks": "Merci – votre paiement a été reçu (reçu {receipt}).",
+  "household.role.principal": "Demandeur principal",
+  "household.role.spouse": "Époux ou conjoint",
+  "household.role.dependant": "Enfant à charge",
+  "dashboard.privacy": "Vos renseignements personnels",
+  "privacy.noConsent": "Aucun consentement enregistré.",
+  "privacy.consentLine": "Version {version} le {when} :",
+  "privacy.confirmDeletion": "Nous demander de supprimer votre dossier et vos documents? Nous confirmerons par message avant toute suppression.",
+  "privacy.download": "Télécharger mes données (.zip)",
+  "privacy.requestDeletion": "Demander la suppression",
+  "privacy.deletionRequested": "Suppression demandée",
+
+  // --- Notifications ---
+  "notifications.intro": "Choisissez comment nous vous prévenons lorsqu’il se passe quelque chose dans votre dossier. Les messages eux-mêmes restent dans le portail.",
+  "notifications.event": "Événement",
+  "notifications.channel.email": "Courriel",
+  "notifications.channel.sms": "Texto",
+  "notifications.phone": "Numéro de cellulaire pour les textos",
+  "notifications.phoneInvalid": "Saisissez le numéro avec l’indicatif du pays, p. ex. +1 604 555 0123.",
+  "notifications.phoneRequired": "Ajoutez un numéro de cellulaire pour recevoir des textos.",
+  "notifications.save": "Enregistrer les préférences",
+  "notifications.saved": "Enregistré",
+  "notifications.event.assessment_received": "Évaluation reçue",
+  "notifications.event.assessment_received.description": "Confirmation lorsque votre évaluation d’admissibilité nous parvient.",
+  "notifications.event.document_rejected": "Document à remplacer",
+  "notifications.event.document_rejected.description": "Lorsqu’un document que vous avez téléversé doit être remplacé.",
+  "notifications.event.status_changed": "Changements de statut du dossier",
+  "notifications.event.status_changed.description": "Lorsque votre dossier passe à une nouvelle étape.",
+  "notifications.event.new_message": "Nouveaux messages",
+  "notifications.event.new_message.description": "Lorsque votre équipe CRIC vous envoie un message.",
+  "notifications.event.appointment_reminder": "Rappels de rendez-vous",
+  "notifications.event.appointment_reminder.description": "La veille d’une consultation réservée.",
+  "notifications.event.invoice_issued": "Nouvelles factures",
+  "notifications.event.invoice_issued.description": "Lorsque nous vous envoyons une facture.",
+  "notifications.event.payment_received": "Reçus de paiement",
+  "notifications.event.payment_received.description": "Lorsqu’un paiement que vous nous faites est reçu.",
+  // --- Emails and texts (lib/notifications.js) ---
+  "notify.footer": "Choisissez les notifications que vous recevez : {url}",
+  "notify.greeting": "Bonjour {name},",
+  "notify.hello": "Bonjour,",
+  "notify.assessment_received.subject": "Nous avons reçu votre évaluation d’admissibilité",
+  "notify.assessment_received.body": "Merci – votre évaluation d’admissibilité est bien parvenue à Peddle West Immigration.",
+  "notify.assessment_received.bodyProgram": "Merci – votre évaluation d’admissibilité ({program}) est bien parvenue à Peddle West Immigration.",
+  "notify.assessment_received.crs": "Votre score SCG estimé est de {crsTotal}; votre CRIC le confirmera après avoir examiné vos documents.",
+  "notify.assessment_received.next": "Un consultant agréé examinera vos réponses et communiquera avec vous au sujet des prochaines étapes. Vous pouvez suivre votre dossier, téléverser des documents et nous écrire depuis votre tableau de bord :\n{url}",
+  "notify.assessment_received.sms": "Peddle West : nous avons reçu votre évaluation d’admissibilité et vous contacterons au sujet des prochaines étapes.",
+  "notify.document_rejected.subject": "Veuillez téléverser une nouvelle copie : {document}",
+  "notify.document_rejected.body": "Nous avons examiné « {document} » et avons besoin d’une nouvelle copie.",
+  "notify.document_rejected.reason": "Motif : {reason}",
+  "notify.document_rejected.next": "Veuillez téléverser un document de remplacement depuis votre portail :\n{url}",
+  "notify.document_rejected.sms": "Peddle West : « {document} » doit être remplacé. Détails dans votre portail.",
+  "notify.status_changed.subject": "Votre dossier est maintenant : {status}",
+  "notify.status_changed.body": "Votre dossier chez Peddle West Immigration est passé à l’étape « {status} ».",
+  "notify.status_changed.note": "Note de votre CRIC : {note}",
+  "notify.status_changed.next": "Consultez votre historique et les prochaines étapes :\n{url}",
+  "notify.status_changed.sms": "Peddle West : votre dossier est maintenant « {status} ». Détails dans votre portail.",
+  "notify.new_message.team": "Votre équipe CRIC",
+  "notify.new_message.subject": "Nouveau message : {subject}",
+  "notify.new_message.body": "{from} a envoyé un message dans « {subject} ».",
+  "notify.new_message.next": "Pour protéger votre vie privée, le message n’est affiché que dans le portail :\n{url}",
+  "notify.new_message.sms": "Peddle West : nouveau message de {from}. Lisez-le dans votre portail.",
+  "notify.appointment_reminder.subject": "Rappel : {type} le {when}",
+  "notify.appointment_reminder.body": "Ceci est un rappel de votre {type} le {when} ({timeZone}).",
+  "notify.appointment_reminder.next": "Besoin de changer? Gérez votre rendez-vous depuis votre tableau de bord :\n{url}",
+  "notify.appointment_reminder.sms": "Rappel Peddle West : {type} le {when} ({timeZone}).",
+  "notify.invoice_issued.subject": "Facture {number} : {total}",
+  "notify.invoice_issued.body": "La facture {number} de {total} est prête.",
+  "notify.invoice_issued.bodyDue": "La facture {number} de {total} est prête et payable au plus tard le {dueDate}.",
+  "notify.invoice_issued.next": "Consultez le détail et payez depuis votre tableau de bord :\n{url}",
+  "notify.invoice_issued.sms": "Peddle West : la facture {number} de {total} est dans votre portail.",
+  "notify.payment_received.subject": "Reçu {receipt} : paiement de {amount} reçu",
+  "notify.payment_received.body": "Merci – nous avons reçu votre paiement de {amount} pour la facture {number} (reçu {receipt}).",
+  "notify.payment_received.balance": "Le solde restant est de {balance}.",
+  "notify.payment_received.paid": "La facture est maintenant entièrement payée.",
+  "notify.payment_received.next": "Vous pouvez télécharger le reçu depuis votre tableau de bord :\n{url}",
+  "notify.payment_received.sms": "Peddle West : paiement de {amount} reçu, reçu {receipt}. Merci!",
+
+  // --- Sign-in ---
+  "login.tab.password": "Mot de passe",
+  "login.tab.code": "Code par courriel",
+  "login.tab.register": "Créer un compte",
+  "login.email": "Courriel",
+  "login.name": "Nom",
+  "login.password": "Mot de passe",
+  "login.passwordHint": "Au moins 10 caractères.",
+  "login.code": "Code à 6 chiffres",
+  "login.codeSent": "Nous vous avons envoyé un code et un lien de connexion par courriel.",
+  "login.registerSent": "Nous vous avons envoyé un code par courriel. Saisissez-le pour confirmer votre adresse et terminer la création de votre compte.",
+  "login.emailCode": "M’envoyer un code",
+  "login.failed": "La connexion a échoué.",
+};
@@ -0,0 +1,543 @@
+/** हिन्दी. */
+export default {
+  // --- Header and footer ---
+  "nav.book": "अपॉइंटमेंट",
+  "nav.eligibility": "पात्रता",
+  "nav.uploads": "दस्तावेज़",
+  "nav.dashboard": "डैशबोर्ड",
+  "nav.about": "हमारे बारे में",
+  "shell.pendingHint": "इस डिवाइस पर सहेजा गया; पोर्टल सर्वर उपलब्ध होने पर सिंक हो जाएगा।",
+  "shell.pending": { one: "{count} बदलाव सिंक होने की प्रतीक्षा में", other: "{count} बदलाव सिंक होने की प्रतीक्षा में" },
+  "shell.unread": { one: "{count} अपठित संदेश", other: "{count} अपठित संदेश" },
+  "shell.language": "भाषा",
+  "shell.signedInAs": "साइन इन:",
+  "shell.signIn": "साइन इन करें",
+  "shell.signOut": "साइन आउट करें",
+  "shell.bookNow": "अभी बुक करें",
+  "footer.quickLinks": "त्वरित लिंक",
+  "footer.eligibility": "पात्रता मूल्यांकन",
+  "footer.uploads": "सुरक्षित अपलोड",
+  "footer.book": "परामर्श बुक करें",
+  "footer.compliance": "अनुपालन",
+  "footer.complianceText": "RCIC‑CICC द्वारा विनियमित। गोपनीयता को प्राथमिकता। © {year} Peddle West.",
+  "hero.label": "परिचय",
+  "hero.title": "भरोसेमंद कनाडाई इमिग्रेशन सेवाएँ, अब सुरक्षित क्लाइंट पोर्टल के साथ।",
+  "hero.body": "Peddle West के जाने-पहचाने रूप के साथ, इस अपडेट में अपॉइंटमेंट बुकिंग, पात्रता मूल्यांकन, दस्तावेज़ अपलोड और एक व्यक्तिगत डैशबोर्ड जोड़ा गया है — सुरक्षित और कुशल तरीके से।",
+  "hero.startAssessment": "मूल्यांकन शुरू करें",
+  "hero.placeholder": "सजावटी चित्र",
+
+  // --- Shared ---
+  "common.back": "पीछे",
+  "common.next": "आगे",
+  "common.cancel": "रद्द करें",
+  "common.continue": "जारी रखें",
+  "common.wait": "कृपया प्रतीक्षा करें…",
+  "common.you": "आप",
+  "common.team": "आपकी RCIC टीम",
+
+  // --- Booking ---
+  "booking.title": "परामर्श बुक करें",
+  "booking.intro": "परामर्श का प्रकार और अपनी सुविधा का समय चुनें। समय आपके टाइम ज़ोन में दिखाए जाते हैं; कैलेंडर आमंत्रण के साथ पुष्टि आपको ईमेल की जाती है।",
+  "booking.unavailable": "बुकिंग अभी उपलब्ध नहीं है: {error}",
+  "booking.notSetUp": "ऑनलाइन बुकिंग अभी शुरू नहीं हुई है। कृपया info@peddlewest.com पर ईमेल करें।",
+  "booking.booked": "बुक हो गया: {type}, {when}। कैलेंडर आमंत्रण के लिए अपना ईमेल देखें।",
+  "booking.moved": "समय बदला गया: {type}, {when}। कैलेंडर आमंत्रण के लिए अपना ईमेल देखें।",
+  "booking.confirmCancel": "{when} का आपका {type} रद्द करें?",
+  "booking.chooseNewTime": "अपने {type} ({when}) के लिए नया समय चुनें।",
+  "booking.keepTime": "वर्तमान समय रखें",
+  "booking.minutes": "{count} मिनट",
+  "booking.timeZone": "टाइम ज़ोन",
+  "booking.earlier": "पहले",
+  "booking.later": "बाद में",
+  "booking.loading": "समय लोड हो रहे हैं…",
+  "booking.none": "इन दो हफ़्तों में कोई खाली समय नहीं है – “बाद में” आज़माएँ।",
+  "booking.noneLast": "इन दो हफ़्तों में कोई खाली समय नहीं है।",
+  "booking.notes": "क्या हमें पहले से कुछ जानना चाहिए? (वैकल्पिक)",
+  "booking.signInToBook": "बुक करने के लिए साइन इन करें",
+  "booking.move": "अपॉइंटमेंट का समय बदलें",
+  "booking.book": "यह समय बुक करें",
+  "booking.mine": "मेरे अपॉइंटमेंट",
+  "booking.signInToManage": "अपने अपॉइंटमेंट देखने, बदलने या रद्द करने के लिए साइन इन करें।",
+  "booking.noUpcoming": "कोई आगामी अपॉइंटमेंट नहीं।",
+  "booking.with": "{name} के साथ",
+  "booking.addToCalendar": "कैलेंडर में जोड़ें",
+  "booking.reschedule": "समय बदलें",
+  "booking.change": "बदलें",
+
+  // --- Eligibility form ---
+  "form.title": "पात्रता मूल्यांकन",
+  "form.intro": "सत्यापन और प्रगति सहेजने की सुविधा वाला एक सुरक्षित, बहु-चरणीय फ़ॉर्म। स्टाफ़ जवाबों को Excel/Google Drive में निर्यात कर सकता है।",
+  "form.progress": "चरण",
+  "form.crsEstimate": "अनुमानित CRS:",
+  "form.review": "समीक्षा:",
+  "form.reviewHint": "कृपया अपनी जानकारी की पुष्टि करें, फिर जमा करें।",
+  "form.editStep": "बदलें",
+  "form.summaryPdf": "सारांश डाउनलोड करें (PDF)",
+  "form.submit": "मूल्यांकन जमा करें",
+  "form.consentRequired": "जमा करने से पहले कृपया गोपनीयता सूचना से सहमति दें।",
+  "form.submitFailed": "आपका मूल्यांकन जमा नहीं हो सका: {error}",
+  "form.savedOffline": "इस डिवाइस पर सहेजा गया और XLSX डाउनलोड किया गया। ऑनलाइन होने पर इसे Peddle West को भेज दिया जाएगा।",
+  "form.submitted": "जमा हो गया; आपके रिकॉर्ड के लिए एक प्रति (XLSX) डाउनलोड की गई।",
+  "form.confirmationEmailed": "पुष्टि {email} पर ईमेल कर दी गई है।",
+  "draft.saving": "सहेजा जा रहा है…",
+  "draft.savedAt": "{time} पर सहेजा गया",
+  "draft.device": "इस डिवाइस पर {time} पर सहेजा गया",
+  "draft.offline": "ऑफ़लाइन – आपके उत्तर इस डिवाइस पर रखे गए हैं और दोबारा कनेक्ट होने पर सहेजे जाएंगे।",
+  "draft.error": "आपके उत्तर सहेजे नहीं जा सके: {error}",
+  "draft.emailLink": "बाद में जारी रखने के लिए मुझे लिंक ईमेल करें",
+  "draft.linkSent": "हमने {email} पर एक लिंक भेजा है। जारी रखने के लिए इसे किसी भी डिवाइस पर खोलें।",
+  "draft.conflict": "आपके उत्तर किसी दूसरे टैब या डिवाइस पर बदले गए थे ({time})।",
+  "draft.takeTheirs": "दूसरा संस्करण उपयोग करें",
+  "draft.keepMine": "यह संस्करण रखें",
+  "form.select": "चुनें…",
+  "form.repeat.up": "ऊपर",
+  "form.repeat.down": "नीचे",
+  "form.repeat.remove": "हटाएँ",
+  "form.repeat.moveUp": "प्रविष्टि {n} को ऊपर ले जाएँ",
+  "form.repeat.moveDown": "प्रविष्टि {n} को नीचे ले जाएँ",
+  "form.repeat.add": "एक और जोड़ें",
+  "form.step.contact": "संपर्क",
+  "form.step.interest": "रुचि",
+  "form.step.basics": "मूल जानकारी",
+  "form.step.language": "भाषा",
+  "form.step.work": "कार्य अनुभव",
+  "form.step.review": "समीक्षा",
+  "form.step.study": "अध्ययन योजना",
+  "form.step.jobOffer": "नौकरी का प्रस्ताव",
+  "form.step.pnp": "प्रांत",
+  "form.step.sponsorship": "स्पॉन्सरशिप",
+  "form.step.family": "परिवार",
+  "form.field.contact_firstName": "पहला नाम",
+  "form.field.contact_lastName": "उपनाम",
+  "form.field.contact_email": "ईमेल",
+  "form.field.contact_phone": "फ़ोन (वैकल्पिक)",
+  "form.field.contact_province": "आप कहाँ रहते हैं?",
+  "form.field.interest_program": "रुचि का प्रोग्राम",
+  "form.field.interest_notes": "टिप्पणियाँ (वैकल्पिक)",
+  "form.field.basics_age": "आयु",
+  "form.field.basics_education": "उच्चतम शिक्षा",
+  "form.field.basics_educationCountry": "यह आपने कहाँ पूरी की?",
+  "form.field.basics_marital": "वैवाहिक स्थिति",
+  "form.field.language_first_test": "भाषा परीक्षा – पहली आधिकारिक भाषा",
+  "form.field.language_first_test_optional": "भाषा परीक्षा – पहली आधिकारिक भाषा (वैकल्पिक)",
+  "form.field.language_first_date": "परीक्षा की तारीख",
+  "form.field.language_first_listening": "सुनना स्कोर",
+  "form.field.language_first_reading": "पढ़ना स्कोर",
+  "form.field.language_first_writing": "लिखना स्कोर",
+  "form.field.language_first_speaking": "बोलना स्कोर",
+  "form.field.language_second_test": "आपकी दूसरी आधिकारिक भाषा की परीक्षा (वैकल्पिक)",
+  "form.field.language_second_date": "दूसरी परीक्षा की तारीख",
+  "form.field.language_second_listening": "दूसरी परीक्षा – सुनना स्कोर",
+  "form.field.language_second_reading": "दूसरी परीक्षा – पढ़ना स्कोर",
+  "form.field.language_second_writing": "दूसरी परीक्षा – लिखना स्कोर",
+  "form.field.language_second_speaking": "दूसरी परीक्षा – बोलना स्कोर",
+  "form.field.work_title": "पद का नाम",
+  "form.field.work_employer": "नियोक्ता",
+  "form.field.work_city": "शहर",
+  "form.field.work_country": "देश",
+  "form.field.work_state": "राज्य/प्रांत (वैकल्पिक)",
+  "form.field.work_hours": "प्रति सप्ताह घंटे",
+  "form.field.work_start": "आरंभ तिथि",
+  "form.field.work_end": "समाप्ति तिथि",
+  "form.field.work_current": "यह मेरी वर्तमान नौकरी है",
+  "form.field.study_institution": "स्कूल / संस्थान",
+  "form.field.study_dli": "DLI नंबर (वैकल्पिक)",
+  "form.field.study_fieldOfStudy": "अध्ययन प्रोग्राम",
+  "form.field.study_startDate": "प्रोग्राम आरंभ तिथि",
+  "form.field.study_tuition": "पहले वर्ष की ट्यूशन फ़ीस (CAD)",
+  "form.field.study_funds": "उपलब्ध धनराशि (CAD)",
+  "form.field.study_attestation": "मेरे पास प्रांतीय सत्यापन पत्र (PAL/TAL) है",
+  "form.field.jobOffer_hasOffer": "क्या आपके पास कनाडा में नौकरी का प्रस्ताव है?",
+  "form.field.jobOffer_employer": "नियोक्ता",
+  "form.field.jobOffer_title": "पद का नाम",
+  "form.field.jobOffer_noc": "NOC कोड (वैकल्पिक)",
+  "form.field.jobOffer_province": "प्रांत",
+  "form.field.jobOffer_lmia": "LMIA की स्थिति",
+  "form.field.pnp_province": "प्रांत या क्षेत्र",
+  "form.field.pnp_stream": "स्ट्रीम (यदि ज्ञात हो)",
+  "form.field.pnp_provincialTies": "प्रांत से संबंध (अध्ययन, काम, परिवार)",
+  "form.field.sponsorship_sponsorStatus": "कनाडा में स्पॉन्सर की स्थिति",
+  "form.field.sponsorship_relationship": "जिसे स्पॉन्सर किया जा रहा है",
+  "form.field.sponsorship_sponsorProvince": "स्पॉन्सर का प्रांत",
+  "form.field.sponsorship_applicantCountry": "स्पॉन्सर किए जा रहे व्यक्ति का निवास देश",
+  "form.field.spouse_firstName": "पति/पत्नी या पार्टनर का पहला नाम",
+  "form.field.spouse_lastName": "पति/पत्नी या पार्टनर का उपनाम",
+  "form.field.spouse_accompanying": "क्या आपके पति/पत्नी या पार्टनर आपके साथ कनाडा आएँगे?",
+  "form.field.spouse_canadian": "मेरे पति/पत्नी या पार्टनर कनाडाई नागरिक या स्थायी निवासी हैं",
+  "form.field.spouse_education": "पति/पत्नी या पार्टनर की उच्चतम शिक्षा (वैकल्पिक)",
+  "form.field.spouse_language_test": "पति/पत्नी या पार्टनर की भाषा परीक्षा (वैकल्पिक)",
+  "form.field.spouse_language_date": "पति/पत्नी या पार्टनर की परीक्षा की तारीख",
+  "form.field.spouse_language_listening": "पति/पत्नी या पार्टनर – सुनना स्कोर",
+  "form.field.spouse_language_reading": "पति/पत्नी या पार्टनर – पढ़ना स्कोर",
+  "form.field.spouse_language_writing": "पति/पत्नी या पार्टनर – लिखना स्कोर",
+  "form.field.spouse_language_speaking": "पति/पत्नी या पार्टनर – बोलना स्कोर",
+  "form.field.spouse_canadianWorkYears": "पति/पत्नी या पार्टनर के कनाडा में कुशल काम के वर्ष",
+  "form.field.dependants_firstName": "पहला नाम",
+  "form.field.dependants_lastName": "उपनाम",
+  "form.field.dependants_dateOfBirth": "जन्म तिथि",
+  "form.field.dependants_relationship": "संबंध",
+  "form.field.dependants_accompanying": "क्या आपके साथ कनाडा आ रहे हैं?",
+  "form.field.dependants_education": "उच्चतम शिक्षा (वैकल्पिक)",
+  "form.field.dependants_language_test": "भाषा परीक्षा (वैकल्पिक)",
+  "form.field.dependants_language_date": "परीक्षा की तारीख",
+  "form.field.dependants_language_listening": "सुनना स्कोर",
+  "form.field.dependants_language_reading": "पढ़ना स्कोर",
+  "form.field.dependants_language_writing": "लिखना स्कोर",
+  "form.field.dependants_language_speaking": "बोलना स्कोर",
+  "form.option.Express Entry": "एक्सप्रेस एंट्री",
+  "form.option.Study Permit": "स्टडी परमिट",
+  "form.option.Work Permit": "वर्क परमिट",
+  "form.option.PNP": "PNP (प्रांतीय नामांकन प्रोग्राम)",
+  "form.option.Family Sponsorship": "परिवार स्पॉन्सरशिप",
+  "form.option.Secondary": "माध्यमिक",
+  "form.option.Diploma": "डिप्लोमा",
+  "form.option.Bachelor": "स्नातक",
+  "form.option.Master": "स्नातकोत्तर",
+  "form.option.PhD": "पीएचडी",
+  "form.option.Outside Canada": "कनाडा के बाहर",
+  "form.option.Canada": "कनाडा",
+  "form.option.OUT": "कनाडा से बाहर",
+  "form.option.Single": "अविवाहित",
+  "form.option.Married": "विवाहित",
+  "form.option.Common‑law": "कॉमन-लॉ",
+  "form.option.No": "नहीं",
+  "form.option.Yes": "हाँ",
+  "form.option.LMIA approved": "LMIA स्वीकृत",
+  "form.option.LMIA in progress": "LMIA प्रक्रिया में",
+  "form.option.LMIA-exempt": "LMIA से छूट",
+  "form.option.Not sure": "पक्का नहीं",
+  "form.option.Citizen": "नागरिक",
+  "form.option.Permanent resident": "स्थायी निवासी",
+  "form.option.Registered Indian": "पंजीकृत इंडियन (मूलनिवासी)",
+  "form.option.Spouse": "पति/पत्नी",
+  "form.option.Common-law partner": "कॉमन-लॉ पार्टनर",
+  "form.option.Conjugal partner": "कंजुगल पार्टनर",
+  "form.option.Dependent child": "आश्रित संतान",
+  "form.option.Parent": "माता/पिता",
+  "form.option.Grandparent": "दादा-दादी/नाना-नानी",
+  "form.option.Other relative": "अन्य रिश्तेदार",
+  "form.option.Child": "संतान",
+  "form.option.Stepchild": "सौतेली संतान",
+  "form.option.Adopted child": "गोद ली हुई संतान",
+  "form.error.required": "यह फ़ील्ड आवश्यक है।",
+  "form.error.email": "एक मान्य ईमेल दर्ज करें।",
+  "form.error.number": "एक संख्या दर्ज करें।",
+  "form.error.min": "कम से कम {min} होना चाहिए।",
+  "form.error.max": "अधिकतम {max} होना चाहिए।",
+  "form.error.step": "{step} के अंतराल में दर्ज करें।",
+  "form.error.format": "अमान्य प्रारूप।",
+  "form.error.futureTestDate": "परीक्षा की तारीख भविष्य में नहीं हो सकती।",
+  "form.error.testExpired": "ये परिणाम {date} को समाप्त हो गए। परीक्षा परिणाम दो वर्ष तक मान्य रहते हैं।",
+  "form.error.sameLanguage": "अपनी दूसरी आधिकारिक भाषा की परीक्षा चुनें।",
+  "form.error.testScore": "इस कौशल के लिए {test} स्कोर {min} से {max} तक होते हैं।",
+  "form.error.testBand": "{test} बैंड {min} से {max} तक, {step} के अंतराल में होते हैं।",
+  "form.pattern.study_dli": "DLI नंबर O19283746574 जैसे दिखते हैं।",
+  "form.pattern.jobOffer_noc": "NOC 2021 कोड में 5 अंक होते हैं।",
+  "form.work.item": "नौकरी #{n}",
+  "form.work.summary": "पूर्णकालिक समतुल्य: {canadian} वर्ष कनाडा में · {foreign} वर्ष विदेश में",
+  "form.work.intro": "पिछले 10 वर्षों की हर नौकरी लिखें, सबसे हाल की पहले। अंशकालिक काम अनुपात में गिना जाता है (30 घंटे/सप्ताह = पूर्णकालिक)।",
+  "form.work.add": "एक और नौकरी जोड़ें",
+  "form.dependants.item": "संतान #{n}",
+  "form.dependants.intro": "22 वर्ष से कम उम्र की हर संतान लिखें – और बड़ी संतानें भी जो किसी स्वास्थ्य स्थिति के कारण आप पर निर्भर हैं – चाहे वे कनाडा आएँ या नहीं।",
+  "form.dependants.add": "आश्रित संतान जोड़ें",
+  "consent.title": "गोपनीयता सूचना",
+  "consent.version": "(संस्करण {version})",
+  "consent.required": "(आवश्यक)",
+  "consent.optional": "(वैकल्पिक)",
+  "consent.purpose.processing": "मेरी पात्रता का आकलन करें और मेरी फ़ाइल का प्रबंधन करें",
+  "consent.purpose.updates": "मुझे इमिग्रेशन प्रोग्रामों के बारे में कभी-कभार अपडेट भेजें",
+  "consent.2026-10.summary.0": "Peddle West Immigration (RCIC-CICC द्वारा विनियमित) आपकी पात्रता का आकलन करने और, यदि आप हमें नियुक्त करते हैं, आपके आवेदन को तैयार और प्रबंधित करने के लिए इस फ़ॉर्म की जानकारी एकत्र करता है।",
+  "consent.2026-10.summary.1": "आपके जवाब और दस्तावेज़ एन्क्रिप्ट करके रखे जाते हैं और केवल आप और हमारे लाइसेंस प्राप्त स्टाफ़ ही उन्हें देख सकते हैं। हर एक्सेस का रिकॉर्ड रखा जाता है।",
+  "consent.2026-10.summary.2": "आप किसी भी समय अपने डैशबोर्ड से अपने डेटा की प्रति डाउनलोड कर सकते हैं या उसे हटाने का अनुरोध कर सकते हैं। बंद फ़ाइलें प्रतिधारण अवधि के बाद अपने-आप हटा दी जाती हैं।",
+  "consent.2026-10.summary.3": "हम आपकी जानकारी कभी नहीं बेचते। हम इसे केवल आपके द्वारा अधिकृत आवेदन के हिस्से के रूप में IRCC या किसी प्रांत के साथ साझा करते हैं।",
+  "crs.title": "अनुमानित CRS स्कोर",
+  "crs.core": "मूल / मानव पूंजी",
+  "crs.spouse": "पति/पत्नी या पार्टनर के कारक",
+  "crs.transferability": "कौशल हस्तांतरणीयता",
+  "crs.additional": "अतिरिक्त अंक",
+  "crs.note": "केवल अनुमान (नियम {version})। आपके दस्तावेज़ों की समीक्षा के बाद आपका RCIC आपके स्कोर की पुष्टि करेगा।",
+
+  // --- Uploads ---
+  "uploads.title": "सुरक्षित दस्तावेज़ अपलोड",
+  "uploads.intro": "पासपोर्ट, शैक्षिक प्रमाणपत्र, IELTS/TEF आदि अपलोड करें। स्वीकृत: PDF, JPEG, PNG। फ़ाइलें एन्क्रिप्ट करके रखी जाती हैं, और पोर्टल में केवल आप और आपकी RCIC टीम उन्हें खोल सकते हैं।",
+  "uploads.signIn": "अपनी फ़ाइल में दस्तावेज़ अपलोड करने के लिए कृपया साइन इन करें।",
+  "uploads.limits": "एक बार में {batch} फ़ाइलें तक, प्रति फ़ाइल {perCase}। PDF {pdfMb} MB और {pages} पृष्ठों तक, बिना पासवर्ड; चित्र {imageMb} MB तक। पासपोर्ट स्कैन स्पष्ट और उच्च रिज़ॉल्यूशन वाले होने चाहिए।",
+  "uploads.stale": "ऑफ़लाइन – आपकी पिछली सिंक की गई सूची दिखाई जा रही है।",
+  "uploads.checklist": "आपकी दस्तावेज़ सूची",
+  "uploads.needsAttention": "ध्यान दें: {reason}",
+  "uploads.upload": "अपलोड करें",
+  "uploads.uploadAgain": "फिर से अपलोड करें",
+  "uploads.other": "अन्य दस्तावेज़",
+  "uploads.checking": "जाँच और अपलोड हो रहा है…",
+  "uploads.choose": "फ़ाइलें चुनें",
+  "uploads.notUploaded": "{name} अपलोड नहीं हुई",
+  "uploads.openFailed": "{name} नहीं खुल सकी: {error}",
+  "uploads.file": "फ़ाइल",
+  "uploads.uploadedAt": "अपलोड: {when}",
+  "uploads.inDrive": "Google Drive में",
+  "uploads.decrypting": "डिक्रिप्ट हो रहा है…",
+  "uploads.download": "डाउनलोड करें",
+  "uploads.notStored": "फ़ाइल की सामग्री संग्रहीत नहीं है",
+  "checklist.status.missing": "बाकी",
+  "checklist.status.uploaded": "अपलोड हुआ",
+  "checklist.status.accepted": "स्वीकृत",
+  "checklist.status.rejected": "अस्वीकृत",
+  "checklist.passport": "पासपोर्ट (सभी पृष्ठ)",
+  "checklist.passport.description": "हर पृष्ठ का स्पष्ट रंगीन स्कैन, खाली पृष्ठों सहित।",
+  "checklist.photo": "डिजिटल फ़ोटो",
+  "checklist.photo.description": "IRCC के मानकों के अनुसार हाल की फ़ोटो।",
+  "checklist.language": "भाषा परीक्षा के परिणाम",
+  "checklist.language.description": "IELTS, CELPIP, TEF, TCF या PTE Core के परिणाम (दो वर्ष से कम पुराने)।",
+  "checklist.language_second": "दूसरी आधिकारिक भाषा की परीक्षा के परिणाम",
+  "checklist.language_second.description": "फ़्रेंच के लिए TEF / TCF Canada, या अगर फ़्रेंच आपकी पहली भाषा है तो अंग्रेज़ी की परीक्षा।",
+  "checklist.language_study": "भाषा परीक्षा के परिणाम",
+  "checklist.language_study.description": "यदि आपका स्कूल इन्हें माँगता है।",
+  "checklist.eca": "शैक्षिक प्रमाणपत्र मूल्यांकन (ECA)",
+  "checklist.eca.description": "WES, ICES, IQAS या किसी अन्य नामित संगठन से।",
+  "checklist.education": "डिग्री / डिप्लोमा और अंकतालिकाएँ",
+  "checklist.education.description": "आपकी उच्चतम पूर्ण की गई योग्यता के लिए।",
+  "checklist.reference": "रोज़गार संदर्भ पत्र",
+  "checklist.reference.description": "कंपनी के लेटरहेड पर: पद, कर्तव्य, प्रति सप्ताह घंटे, वेतन और तिथियाँ।",
+  "checklist.funds": "सेटलमेंट फ़ंड का प्रमाण",
+  "checklist.funds.description": "पिछले छह महीनों के बैंक पत्र।",
+  "checklist.police": "पुलिस प्रमाणपत्र",
+  "checklist.police.description": "18 वर्ष की आयु के बाद जिस भी देश में आप 6+ महीने रहे, वहाँ से।",
+  "checklist.spouse_passport": "पति/पत्नी या पार्टनर का पासपोर्ट",
+  "checklist.spouse_passport.description": "सभी पृष्ठ।",
+  "checklist.marriage": "विवाह प्रमाणपत्र",
+  "checklist.marriage.description": "आधिकारिक प्रति, आवश्यकता हो तो प्रमाणित अनुवाद के साथ।",
+  "checklist.common_law": "कॉमन-लॉ संबंध की वैधानिक घोषणा (IMM 5409)",
+  "checklist.common_law.description": "दोनों पार्टनरों के हस्ताक्षर सहित।",
+  "checklist.spouse_language": "पति/पत्नी या पार्टनर के भाषा परीक्षा परिणाम",
+  "checklist.spouse_language.description": "केवल तभी जब आप पार्टनर की भाषा क्षमता के अंक लेना चाहते हैं।",
+  "checklist.spouse_education": "पति/पत्नी या पार्टनर की डिग्री / डिप्लोमा और ECA",
+  "checklist.spouse_education.description": "मार्कशीट, और यदि डिग्री कनाडा के बाहर की है तो ECA रिपोर्ट।",
+  "checklist.dependant_passport": "पासपोर्ट",
+  "checklist.dependant_passport.description": "हर आश्रित संतान के, सभी पृष्ठ।",
+  "checklist.birth_certificate": "जन्म प्रमाणपत्र",
+  "checklist.birth_certificate.description": "पूरा संस्करण, जिसमें माता-पिता दोनों के नाम हों।",
+  "checklist.dependant_language": "भाषा परीक्षा के परिणाम",
+  "checklist.dependant_language.description": "उस आश्रित बच्चे के लिए जिसने भाषा परीक्षा दी है।",
+  "checklist.acceptance": "स्वीकृति पत्र",
+  "checklist.acceptance.description": "आपके नामित शिक्षण संस्थान (DLI) से।",
+  "checklist.attestation": "प्रांतीय सत्यापन पत्र (PAL/TAL)",
+  "checklist.attestation.description": "आपके स्कूल के प्रांत द्वारा जारी।",
+  "checklist.study_funds": "पढ़ाई के लिए धनराशि का प्रमाण",
+  "checklist.study_funds.description": "ट्यूशन फ़ीस की रसीद और रहने के खर्च का प्रमाण।",
+  "checklist.job_offer": "नौकरी प्रस्ताव पत्र",
+  "checklist.job_offer.description": "हस्ताक्षरित, वेतन, घंटे और कर्तव्यों सहित।",
+  "checklist.lmia": "LMIA निर्णय पत्र",
+  "checklist.lmia.description": "सकारात्मक LMIA की प्रति।",
+  "checklist.sponsor_status": "स्पॉन्सर की स्थिति का प्रमाण",
+  "checklist.sponsor_status.description": "कनाडाई पासपोर्ट, नागरिकता प्रमाणपत्र या PR कार्ड।",
+  "checklist.relationship": "संबंध के प्रमाण",
+  "checklist.relationship.description": "फ़ोटो, बातचीत का इतिहास, संयुक्त दस्तावेज़।",
+
+  // --- Case status ---
+  "case.since": "{date} से",
+  "case.progress": "प्रगति",
+  "case.whatIsNeeded": "क्या चाहिए?",
+  "case.decisionOutcome": "निर्णय का परिणाम",
+  "case.noEvents": "अभी तक स्थिति में कोई बदलाव नहीं।",
+  "case.automatic": "स्वचालित",
+  "case.status.Lead": "नया संपर्क",
+  "case.status.Assessment Complete": "मूल्यांकन पूर्ण",
+  "case.status.Retained": "नियुक्त",
+  "case.status.Documents Needed": "दस्तावेज़ चाहिए",
+  "case.status.Under Review": "समीक्षा में",
+  "case.status.Application Submitted": "आवेदन जमा",
+  "case.status.Decision": "निर्णय",
+  "case.outcome.Approved": "स्वीकृत",
+  "case.outcome.Refused": "अस्वीकृत",
+  "case.outcome.Withdrawn": "वापस लिया गया",
+  "case.action.Assessment complete": "मूल्यांकन पूर्ण",
+  "case.action.Mark retained": "नियुक्त के रूप में चिह्नित करें",
+  "case.action.Request documents": "दस्तावेज़ माँगें",
+  "case.action.All documents uploaded": "सभी दस्तावेज़ अपलोड हो गए",
+  "case.action.Request more documents": "और दस्तावेज़ माँगें",
+  "case.action.Application submitted": "आवेदन जमा हो गया",
+  "case.action.IRCC requested documents": "IRCC ने दस्तावेज़ माँगे",
+  "case.action.Record decision": "निर्णय दर्ज करें",
+
+  // --- Messages ---
+  "messages.new": "नया संदेश",
+  "messages.select": "एक बातचीत चुनें।",
+  "messages.none": "अभी तक कोई बातचीत नहीं।",
+  "messages.subject": "विषय",
+  "messages.subjectRequired": "कृपया विषय जोड़ें।",
+  "messages.client": "क्लाइंट",
+  "messages.seenBy": "{names} ने देखा",
+  "messages.sent": "भेजा गया",
+  "messages.placeholder": "संदेश लिखें…",
+  "messages.message": "संदेश",
+  "messages.attach": "दस्तावेज़ संलग्न करें",
+  "messages.sending": "भेजा जा रहा है…",
+  "messages.send": "भेजें",
+
+  // --- Dashboard ---
+  "dashboard.title": "क्लाइंट डैशबोर्ड",
+  "dashboard.welcome": "स्वागत है। नीचे अपने आवेदन और अगले कदमों पर नज़र रखें।",
+  "dashboard.welcomeName": "स्वागत है, {name}। नीचे अपने आवेदन और अगले कदमों पर नज़र रखें।",
+  "dashboard.status": "वर्तमान स्थिति",
+  "dashboard.statusSignIn": "अपनी स्थिति देखने के लिए साइन इन करें",
+  "dashboard.documents": "आवश्यक दस्तावेज़",
+  "dashboard.documentsSignIn": "अपनी सूची देखने के लिए साइन इन करें।",
+  "dashboard.documentsSummary": "{total} में से {accepted} स्वीकृत · {uploaded} समीक्षा में · {outstanding} बाकी",
+  "dashboard.more": "+{count} और",
+  "dashboard.goToUploads": "अपलोड पर जाएँ",
+  "dashboard.quickActions": "त्वरित कार्य",
+  "dashboard.uploadDocuments": "दस्तावेज़ अपलोड करें",
+  "dashboard.finishForm": "पात्रता फ़ॉर्म पूरा करें",
+  "dashboard.bookOrChange": "अपॉइंटमेंट बुक करें/बदलें",
+  "dashboard.timeline": "समयरेखा",
+  "dashboard.appointments": "आगामी अपॉइंटमेंट",
+  "dashboard.appointmentsSignIn": "अपने अपॉइंटमेंट देखने के लिए साइन इन करें।",
+  "dashboard.messages": "संदेश",
+  "dashboard.messagesSignIn": "अपनी RCIC टीम को संदेश भेजने के लिए साइन इन करें।",
+  "dashboard.notifications": "सूचनाएँ",
+  "dashboard.household": "परिवार के सदस्य",
+  "dashboard.submissions": "आपके सबमिशन",
+  "submissions.none": "अभी तक कोई सबमिशन नहीं।",
+  "submissions.crs": "CRS {score}",
+  "submissions.amend": "कॉपी बनाकर बदलें",
+  "submissions.confirmAmend": "इस सबमिशन की कॉपी पात्रता फ़ॉर्म में खोलें? जो उत्तर अभी सबमिट नहीं हुए हैं, वे बदल दिए जाएंगे।",
+  "dashboard.agreement": "रिटेनर समझौता",
+  "retainer.needsAssessment": "पहले अपना पात्रता आकलन सबमिट करें – समझौता आपके उत्तरों से तैयार होता है।",
+  "retainer.intro": "आपका रिटेनर समझौता बताता है कि हम कौन-सी सेवाएँ देंगे और हमारी फ़ीस क्या है। इसे पढ़ें, फिर नीचे हस्ताक्षर करें।",
+  "retainer.updated": "हमारी शर्तें बदल गई हैं। कृपया नया संस्करण पढ़कर हस्ताक्षर करें।",
+  "retainer.review": "पढ़ें और हस्ताक्षर करें",
+  "retainer.signedOn": "{name} ने {date} को हस्ताक्षर किए (संस्करण {version})।",
+  "retainer.download": "हस्ताक्षरित समझौता डाउनलोड करें",
+  "retainer.signed": "धन्यवाद – आपका हस्ताक्षरित समझौता आपकी फ़ाइल में सहेज दिया गया है और एक कॉपी डाउनलोड हो गई है।",
+  "retainer.englishOnly": "समझौता अंग्रेज़ी में है। किसी भी हिस्से को समझने में मदद चाहिए तो हमसे पूछें।",
+  "retainer.services": "सेवाएँ",
+  "retainer.professional": "पेशेवर फ़ीस",
+  "retainer.government": "सरकारी फ़ीस (अनुमान, सीधे सरकार को चुकाई जाती है)",
+  "retainer.installments": "भुगतान अनुसूची",
+  "retainer.item": "मद",
+  "retainer.qty": "संख्या",
+  "retainer.amount": "राशि",
+  "retainer.total": "कुल पेशेवर फ़ीस",
+  "retainer.governmentTotal": "अनुमानित सरकारी फ़ीस",
+  "retainer.preview": "समझौते का पूर्वावलोकन (PDF)",
+  "retainer.name": "आपका पूरा कानूनी नाम",
+  "retainer.signature": "अपना हस्ताक्षर बनाएँ",
+  "retainer.clear": "मिटाएँ",
+  "retainer.agree": "मैंने फ़ीस अनुसूची सहित रिटेनर समझौता पढ़ लिया है और इसकी शर्तों से सहमत हूँ।",
+  "retainer.sign": "समझौते पर हस्ताक्षर करें",
+  "retainer.signing": "हस्ताक्षर हो रहे हैं…",
+  "retainer.nameRequired": "अपना पूरा नाम लिखें।",
+  "retainer.signatureRequired": "बॉक्स में अपना हस्ताक्षर बनाएँ।",
+  "retainer.agreeRequired": "सहमति की पुष्टि के लिए बॉक्स पर टिक करें।",
+  "dashboard.billing": "चालान और भुगतान",
+  "billing.none": "अभी कोई चालान नहीं है।",
+  "billing.balance": "बकाया राशि: {amount}",
+  "billing.overdue": "{amount} की देय तिथि निकल चुकी है।",
+  "billing.payOffline": "भुगतान के लिए Interac e-Transfer भेजें या हमसे संपर्क करें – ऑनलाइन भुगतान अभी उपलब्ध नहीं है।",
+  "billing.testOutcome": "परीक्षण भुगतान का परिणाम",
+  "billing.test.succeeded": "स्वीकृत",
+  "billing.test.declined": "अस्वीकृत",
+  "billing.test.pending": "लंबित",
+  "billing.invoice": "चालान {number}",
+  "billing.status.open": "खुला",
+  "billing.status.paid": "भुगतान हो गया",
+  "billing.status.void": "रद्द",
+  "billing.issued": "{date} को जारी",
+  "billing.due": "देय तिथि {date}",
+  "billing.remaining": "शेष: {amount}",
+  "billing.processing": "भुगतान प्रक्रिया में है",
+  "billing.pay": "{amount} का भुगतान करें",
+  "billing.invoicePdf": "चालान (PDF)",
+  "billing.receipt": "रसीद {number}",
+  "billing.declined": "भुगतान नहीं हो सका। कृपया फिर से प्रयास करें या किसी दूसरे कार्ड का उपयोग करें।",
+  "billing.thanks": "धन्यवाद – आपका भुगतान प्राप्त हो गया (रसीद {receipt})।",
+  "household.role.principal": "मुख्य आवेदक",
+  "household.role.spouse": "पति/पत्नी या पार्टनर",
+  "household.role.dependant": "आश्रित संतान",
+  "dashboard.privacy": "आपकी गोपनीयता",
+  "privacy.noConsent": "कोई सहमति दर्ज नहीं है।",
+  "privacy.consentLine": "संस्करण {version}, {when}:",
+  "privacy.confirmDeletion": "क्या आप चाहते हैं कि हम आपकी फ़ाइल और दस्तावेज़ हटा दें? कुछ भी हटाने से पहले हम संदेश द्वारा पुष्टि करेंगे।",
+  "privacy.download": "मेरा डेटा डाउनलोड करें (.zip)",
+  "privacy.requestDeletion": "हटाने का अनुरोध करें",
+  "privacy.deletionRequested": "हटाने का अनुरोध भेजा गया",
+
+  // --- Notifications ---
+  "notifications.intro": "चुनें कि आपकी फ़ाइल में कुछ होने पर हम आपको कैसे बताएँ। संदेश स्वयं पोर्टल में ही रहते हैं।",
+  "notifications.event": "घटना",
+  "notifications.channel.email": "ईमेल",
+  "notifications.channel.sms": "SMS",
+  "notifications.phone": "SMS के लिए मोबाइल नंबर",
+  "notifications.phoneInvalid": "देश कोड सहित नंबर दर्ज करें, जैसे +1 604 555 0123।",
+  "notifications.phoneRequired": "SMS पाने के लिए मोबाइल नंबर जोड़ें।",
+  "notifications.save": "प्राथमिकताएँ सहेजें",
+  "notifications.saved": "सहेजा गया",
+  "notifications.event.assessment_received": "मूल्यांकन प्राप्त हुआ",
+  "notifications.event.assessment_received.description": "जब आपका पात्रता मूल्यांकन हम तक पहुँचता है, तब पुष्टि।",
+  "notifications.event.document_rejected": "दस्तावेज़ पर ध्यान दें",
+  "notifications.event.document_rejected.description": "जब आपके अपलोड किए गए दस्तावेज़ को बदलना हो।",
+  "notifications.event.status_changed": "फ़ाइल की स्थिति में बदलाव",
+  "notifications.event.status_changed.description": "जब आपकी फ़ाइल नए चरण में जाती है।",
+  "notifications.event.new_message": "नए संदेश",
+  "notifications.event.new_message.description": "जब आपकी RCIC टीम आपको संदेश भेजती है।",
+  "notifications.event.appointment_reminder": "अपॉइंटमेंट रिमाइंडर",
+  "notifications.event.appointment_reminder.description": "बुक किए गए परामर्श से एक दिन पहले।",
+  "notifications.event.invoice_issued": "नए चालान",
+  "notifications.event.invoice_issued.description": "जब हम आपको चालान भेजते हैं।",
+  "notifications.event.payment_received": "भुगतान रसीदें",
+  "notifications.event.payment_received.description": "जब हमें किया गया आपका भुगतान पूरा हो जाता है।",
+  // --- Emails and texts (lib/notifications.js) ---
+  "notify.footer": "चुनें कि आपको कौन-सी सूचनाएँ मिलें: {url}",
+  "notify.greeting": "नमस्ते {name},",
+  "notify.hello": "नमस्ते,",
+  "notify.assessment_received.subject": "हमें आपका पात्रता मूल्यांकन मिल गया है",
+  "notify.assessment_received.body": "धन्यवाद – आपका पात्रता मूल्यांकन Peddle West Immigration को मिल गया है।",
+  "notify.assessment_received.bodyProgram": "धन्यवाद – आपका {program} पात्रता मूल्यांकन Peddle West Immigration को मिल गया है।",
+  "notify.assessment_received.crs": "आपका अनुमानित CRS स्कोर {crsTotal} है; आपके दस्तावेज़ देखने के बाद आपके RCIC इसकी पुष्टि करेंगे।",
+  "notify.assessment_received.next": "एक लाइसेंस प्राप्त सलाहकार आपके उत्तरों की समीक्षा करेंगे और अगले कदमों के बारे में आपसे संपर्क करेंगे। आप अपने डैशबोर्ड से अपनी फ़ाइल देख सकते हैं, दस्तावेज़ अपलोड कर सकते हैं और हमें संदेश भेज सकते हैं:\n{url}",
+  "notify.assessment_received.sms": "Peddle West: हमें आपका पात्रता मूल्यांकन मिल गया है; अगले कदमों के बारे में हम आपसे संपर्क करेंगे।",
+  "notify.document_rejected.subject": "कृपया नई प्रति अपलोड करें: {document}",
+  "notify.document_rejected.body": "हमने \"{document}\" की समीक्षा की है और हमें इसकी नई प्रति चाहिए।",
+  "notify.document_rejected.reason": "कारण: {reason}",
+  "notify.document_rejected.next": "कृपया अपने पोर्टल से नई प्रति अपलोड करें:\n{url}",
+  "notify.document_rejected.sms": "Peddle West: \"{document}\" की नई प्रति चाहिए। विवरण आपके पोर्टल में है।",
+  "notify.status_changed.subject": "आपकी फ़ाइल अब इस चरण में है: {status}",
+  "notify.status_changed.body": "Peddle West Immigration में आपकी फ़ाइल \"{status}\" चरण में पहुँच गई है।",
+  "notify.status_changed.note": "आपके RCIC की टिप्पणी: {note}",
+  "notify.status_changed.next": "अपनी समयरेखा और अगले कदम देखें:\n{url}",
+  "notify.status_changed.sms": "Peddle West: आपकी फ़ाइल अब \"{status}\" चरण में है। विवरण आपके पोर्टल में है।",
+  "notify.new_message.team": "आपकी RCIC टीम",
+  "notify.new_message.subject": "नया संदेश: {subject}",
+  "notify.new_message.body": "{from} ने \"{subject}\" में एक संदेश भेजा है।",
+  "notify.new_message.next": "आपकी निजता के लिए संदेश केवल पोर्टल में दिखाया जाता है:\n{url}",
+  "notify.new_message.sms": "Peddle West: {from} से नया संदेश। इसे अपने पोर्टल में पढ़ें।",
+  "notify.appointment_reminder.subject": "अनुस्मारक: {when} को {type}",
+  "notify.appointment_reminder.body": "यह {when} ({timeZone}) को आपके {type} का अनुस्मारक है।",
+  "notify.appointment_reminder.next": "बदलना है? अपने डैशबोर्ड से अपनी अपॉइंटमेंट प्रबंधित करें:\n{url}",
+  "notify.appointment_reminder.sms": "Peddle West अनुस्मारक: {when} ({timeZone}) को {type}।",
+  "notify.invoice_issued.subject": "चालान {number}: {total}",
+  "notify.invoice_issued.body": "{total} का चालान {number} तैयार है।",
+  "notify.invoice_issued.bodyDue": "{total} का चालान {number} तैयार है और इसकी देय तिथि {dueDate} है।",
+  "notify.invoice_issued.next": "अपने डैशबोर्ड से विवरण देखें और भुगतान करें:\n{url}",
+  "notify.invoice_issued.sms": "Peddle West: {total} का चालान {number} आपके पोर्टल में है।",
+  "notify.payment_received.subject": "रसीद {receipt}: {amount} का भुगतान प्राप्त हुआ",
+  "notify.payment_received.body": "धन्यवाद – हमें चालान {number} के लिए आपका {amount} का भुगतान मिल गया है (रसीद {receipt})।",
+  "notify.payment_received.balance": "शेष राशि {balance} है।",
+  "notify.payment_received.paid": "चालान का पूरा भुगतान हो गया है।",
+  "notify.payment_received.next": "आप अपने डैशबोर्ड से रसीद डाउनलोड कर सकते हैं:\n{url}",
+  "notify.payment_received.sms": "Peddle West: {amount} का भुगतान प्राप्त हुआ, रसीद {receipt}। धन्यवाद!",
+
+  // --- Sign-in ---
+  "login.tab.password": "पासवर्ड",
+  "login.tab.code": "ईमेल कोड",
+  "login.tab.register": "खाता बनाएँ",
+  "login.email": "ईमेल",
+  "login.name": "नाम",
+  "login.password": "पासवर्ड",
+  "login.passwordHint": "कम से कम 10 अक्षर।",
+  "login.code": "6 अंकों का कोड",
+  "login.codeSent": "हमने आपको एक कोड और साइन-इन लिंक ईमेल किया है।",
+  "login.registerSent": "हमने आपको एक कोड ईमेल किया है। अपना पता पुष्टि करने और खाता बनाना पूरा करने के लिए इसे दर्ज करें।",
+  "login.emailCode": "मुझे कोड ईमेल करें",
+  "login.failed": "साइन इन विफल रहा।",
+};
@@ -0,0 +1,8 @@
+/** Bundled catalogues, keyed by the LOCALES codes in lib/i18n.js. */
+import en from "./en.js";
+import es from "./es.js";
+import fr from "./fr.js";
+import hi from "./hi.js";
+import pa from "./pa.js";
+
+export const CATALOGS = { en, fr, pa, hi, es };
@@ -0,0 +1,543 @@
+/** ਪੰਜਾਬੀ (ਗੁਰਮੁਖੀ). */
+export default {
+  // --- Header and footer ---
+  "nav.book": "ਅਪਾਇੰਟਮੈਂਟ",
+  "nav.eligibility": "ਯੋਗਤਾ",
+  "nav.uploads": "ਦਸਤਾਵੇਜ਼",
+  "nav.dashboard": "ਡੈਸ਼ਬੋਰਡ",
+  "nav.about": "ਸਾਡੇ ਬਾਰੇ",
+  "shell.pendingHint": "ਇਸ ਡਿਵਾਈਸ 'ਤੇ ਸੰਭਾਲਿਆ ਗਿਆ; ਪੋਰਟਲ ਸਰਵਰ ਮਿਲਣ 'ਤੇ ਸਿੰਕ ਹੋ ਜਾਵੇਗਾ।",
+  "shell.pending": { one: "{count} ਤਬਦੀਲੀ ਸਿੰਕ ਹੋਣ ਦੀ ਉਡੀਕ ਵਿੱਚ", other: "{count} ਤਬਦੀਲੀਆਂ ਸਿੰਕ ਹੋਣ ਦੀ ਉਡੀਕ ਵਿੱਚ" },
+  "shell.unread": { one: "{count} ਨਾ-ਪੜ੍ਹਿਆ ਸੁਨੇਹਾ", other: "{count} ਨਾ-ਪੜ੍ਹੇ ਸੁਨੇਹੇ" },
+  "shell.language": "ਭਾਸ਼ਾ",
+  "shell.signedInAs": "ਸਾਈਨ ਇਨ:",
+  "shell.signIn": "ਸਾਈਨ ਇਨ ਕਰੋ",
+  "shell.signOut": "ਸਾਈਨ ਆਊਟ ਕਰੋ",
+  "shell.bookNow": "ਹੁਣੇ ਬੁੱਕ ਕਰੋ",
+  "footer.quickLinks": "ਤੁਰੰਤ ਲਿੰਕ",
+  "footer.eligibility": "ਯੋਗਤਾ ਮੁਲਾਂਕਣ",
+  "footer.uploads": "ਸੁਰੱਖਿਅਤ ਅੱਪਲੋਡ",
+  "footer.book": "ਸਲਾਹ-ਮਸ਼ਵਰਾ ਬੁੱਕ ਕਰੋ",
+  "footer.compliance": "ਪਾਲਣਾ",
+  "footer.complianceText": "RCIC‑CICC ਦੁਆਰਾ ਨਿਯੰਤ੍ਰਿਤ। ਪਰਦੇਦਾਰੀ ਪਹਿਲਾਂ। © {year} Peddle West.",
+  "hero.label": "ਜਾਣ-ਪਛਾਣ",
+  "hero.title": "ਭਰੋਸੇਯੋਗ ਕੈਨੇਡੀਅਨ ਇਮੀਗ੍ਰੇਸ਼ਨ, ਹੁਣ ਸੁਰੱਖਿਅਤ ਕਲਾਇੰਟ ਪੋਰਟਲ ਨਾਲ।",
+  "hero.body": "Peddle West ਦੀ ਜਾਣੀ-ਪਛਾਣੀ ਦਿੱਖ ਦੇ ਨਾਲ, ਇਸ ਅੱਪਡੇਟ ਵਿੱਚ ਅਪਾਇੰਟਮੈਂਟ ਬੁਕਿੰਗ, ਯੋਗਤਾ ਮੁਲਾਂਕਣ, ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ ਅਤੇ ਨਿੱਜੀ ਡੈਸ਼ਬੋਰਡ ਸ਼ਾਮਲ ਹਨ — ਸੁਰੱਖਿਅਤ ਅਤੇ ਸੁਚੱਜੇ ਢੰਗ ਨਾਲ।",
+  "hero.startAssessment": "ਮੁਲਾਂਕਣ ਸ਼ੁਰੂ ਕਰੋ",
+  "hero.placeholder": "ਸਜਾਵਟੀ ਤਸਵੀਰ",
+
+  // --- Shared ---
+  "common.back": "ਪਿੱਛੇ",
+  "common.next": "ਅੱਗੇ",
+  "common.cancel": "ਰੱਦ ਕਰੋ",
+  "common.continue": "ਜਾਰੀ ਰੱਖੋ",
+  "common.wait": "ਕਿਰਪਾ ਕਰਕੇ ਉਡੀਕ ਕਰੋ…",
+  "common.you": "ਤੁਸੀਂ",
+  "common.team": "ਤੁਹਾਡੀ RCIC ਟੀਮ",
+
+  // --- Booking ---
+  "booking.title": "ਸਲਾਹ-ਮਸ਼ਵਰਾ ਬੁੱਕ ਕਰੋ",
+  "booking.intro": "ਸਲਾਹ-ਮਸ਼ਵਰੇ ਦੀ ਕਿਸਮ ਅਤੇ ਆਪਣੀ ਸਹੂਲਤ ਦਾ ਸਮਾਂ ਚੁਣੋ। ਸਮੇਂ ਤੁਹਾਡੇ ਟਾਈਮ ਜ਼ੋਨ ਵਿੱਚ ਦਿਖਾਏ ਜਾਂਦੇ ਹਨ; ਕੈਲੰਡਰ ਸੱਦੇ ਸਮੇਤ ਪੁਸ਼ਟੀ ਤੁਹਾਨੂੰ ਈਮੇਲ ਕੀਤੀ ਜਾਂਦੀ ਹੈ।",
+  "booking.unavailable": "ਬੁਕਿੰਗ ਇਸ ਵੇਲੇ ਉਪਲਬਧ ਨਹੀਂ ਹੈ: {error}",
+  "booking.notSetUp": "ਔਨਲਾਈਨ ਬੁਕਿੰਗ ਅਜੇ ਸ਼ੁਰੂ ਨਹੀਂ ਹੋਈ। ਕਿਰਪਾ ਕਰਕੇ info@peddlewest.com 'ਤੇ ਈਮੇਲ ਕਰੋ।",
+  "booking.booked": "ਬੁੱਕ ਹੋ ਗਿਆ: {type}, {when}। ਕੈਲੰਡਰ ਸੱਦੇ ਲਈ ਆਪਣੀ ਈਮੇਲ ਦੇਖੋ।",
+  "booking.moved": "ਸਮਾਂ ਬਦਲਿਆ ਗਿਆ: {type}, {when}। ਕੈਲੰਡਰ ਸੱਦੇ ਲਈ ਆਪਣੀ ਈਮੇਲ ਦੇਖੋ।",
+  "booking.confirmCancel": "{when} ਦੀ ਤੁਹਾਡੀ {type} ਰੱਦ ਕਰਨੀ ਹੈ?",
+  "booking.chooseNewTime": "ਆਪਣੀ {type} ({when}) ਲਈ ਨਵਾਂ ਸਮਾਂ ਚੁਣੋ।",
+  "booking.keepTime": "ਮੌਜੂਦਾ ਸਮਾਂ ਰੱਖੋ",
+  "booking.minutes": "{count} ਮਿੰਟ",
+  "booking.timeZone": "ਟਾਈਮ ਜ਼ੋਨ",
+  "booking.earlier": "ਪਹਿਲਾਂ",
+  "booking.later": "ਬਾਅਦ ਵਿੱਚ",
+  "booking.loading": "ਸਮੇਂ ਲੋਡ ਹੋ ਰਹੇ ਹਨ…",
+  "booking.none": "ਇਨ੍ਹਾਂ ਦੋ ਹਫ਼ਤਿਆਂ ਵਿੱਚ ਕੋਈ ਖਾਲੀ ਸਮਾਂ ਨਹੀਂ – “ਬਾਅਦ ਵਿੱਚ” ਦੇਖੋ।",
+  "booking.noneLast": "ਇਨ੍ਹਾਂ ਦੋ ਹਫ਼ਤਿਆਂ ਵਿੱਚ ਕੋਈ ਖਾਲੀ ਸਮਾਂ ਨਹੀਂ।",
+  "booking.notes": "ਕੀ ਸਾਨੂੰ ਪਹਿਲਾਂ ਕੁਝ ਜਾਣਨਾ ਚਾਹੀਦਾ ਹੈ? (ਵਿਕਲਪਿਕ)",
+  "booking.signInToBook": "ਬੁੱਕ ਕਰਨ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ",
+  "booking.move": "ਅਪਾਇੰਟਮੈਂਟ ਦਾ ਸਮਾਂ ਬਦਲੋ",
+  "booking.book": "ਇਹ ਸਮਾਂ ਬੁੱਕ ਕਰੋ",
+  "booking.mine": "ਮੇਰੀਆਂ ਅਪਾਇੰਟਮੈਂਟਾਂ",
+  "booking.signInToManage": "ਆਪਣੀਆਂ ਅਪਾਇੰਟਮੈਂਟਾਂ ਦੇਖਣ, ਬਦਲਣ ਜਾਂ ਰੱਦ ਕਰਨ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "booking.noUpcoming": "ਕੋਈ ਆਉਣ ਵਾਲੀ ਅਪਾਇੰਟਮੈਂਟ ਨਹੀਂ।",
+  "booking.with": "{name} ਨਾਲ",
+  "booking.addToCalendar": "ਕੈਲੰਡਰ ਵਿੱਚ ਸ਼ਾਮਲ ਕਰੋ",
+  "booking.reschedule": "ਸਮਾਂ ਬਦਲੋ",
+  "booking.change": "ਬਦਲੋ",
+
+  // --- Eligibility form ---
+  "form.title": "ਯੋਗਤਾ ਮੁਲਾਂਕਣ",
+  "form.intro": "ਜਾਂਚ ਅਤੇ ਤਰੱਕੀ ਸੰਭਾਲਣ ਦੀ ਸਹੂਲਤ ਵਾਲਾ ਇੱਕ ਸੁਰੱਖਿਅਤ, ਕਈ-ਪੜਾਵੀ ਫ਼ਾਰਮ। ਸਟਾਫ਼ ਜਵਾਬਾਂ ਨੂੰ Excel/Google Drive ਵਿੱਚ ਨਿਰਯਾਤ ਕਰ ਸਕਦਾ ਹੈ।",
+  "form.progress": "ਪੜਾਅ",
+  "form.crsEstimate": "ਅੰਦਾਜ਼ਨ CRS:",
+  "form.review": "ਸਮੀਖਿਆ:",
+  "form.reviewHint": "ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੇ ਵੇਰਵਿਆਂ ਦੀ ਪੁਸ਼ਟੀ ਕਰੋ, ਫਿਰ ਜਮ੍ਹਾਂ ਕਰੋ।",
+  "form.editStep": "ਸੋਧੋ",
+  "form.summaryPdf": "ਸਾਰ ਡਾਊਨਲੋਡ ਕਰੋ (PDF)",
+  "form.submit": "ਮੁਲਾਂਕਣ ਜਮ੍ਹਾਂ ਕਰੋ",
+  "form.consentRequired": "ਜਮ੍ਹਾਂ ਕਰਨ ਤੋਂ ਪਹਿਲਾਂ ਕਿਰਪਾ ਕਰਕੇ ਪਰਦੇਦਾਰੀ ਸੂਚਨਾ ਨਾਲ ਸਹਿਮਤੀ ਦਿਓ।",
+  "form.submitFailed": "ਤੁਹਾਡਾ ਮੁਲਾਂਕਣ ਜਮ੍ਹਾਂ ਨਹੀਂ ਹੋ ਸਕਿਆ: {error}",
+  "form.savedOffline": "ਇਸ ਡਿਵਾਈਸ 'ਤੇ ਸੰਭਾਲਿਆ ਅਤੇ XLSX ਡਾਊਨਲੋਡ ਕੀਤਾ ਗਿਆ। ਔਨਲਾਈਨ ਹੋਣ 'ਤੇ ਇਹ Peddle West ਨੂੰ ਭੇਜ ਦਿੱਤਾ ਜਾਵੇਗਾ।",
+  "form.submitted": "ਜਮ੍ਹਾਂ ਹੋ ਗਿਆ; ਤੁਹਾਡੇ ਰਿਕਾਰਡ ਲਈ ਇੱਕ ਕਾਪੀ (XLSX) ਡਾਊਨਲੋਡ ਕੀਤੀ ਗਈ।",
+  "form.confirmationEmailed": "ਪੁਸ਼ਟੀ {email} 'ਤੇ ਈਮੇਲ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ।",
+  "draft.saving": "ਸੇਵ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ…",
+  "draft.savedAt": "{time} 'ਤੇ ਸੇਵ ਕੀਤਾ",
+  "draft.device": "ਇਸ ਡਿਵਾਈਸ 'ਤੇ {time} 'ਤੇ ਸੇਵ ਕੀਤਾ",
+  "draft.offline": "ਆਫ਼ਲਾਈਨ – ਤੁਹਾਡੇ ਜਵਾਬ ਇਸ ਡਿਵਾਈਸ 'ਤੇ ਰੱਖੇ ਗਏ ਹਨ ਅਤੇ ਦੁਬਾਰਾ ਕਨੈਕਟ ਹੋਣ 'ਤੇ ਸੇਵ ਹੋ ਜਾਣਗੇ।",
+  "draft.error": "ਤੁਹਾਡੇ ਜਵਾਬ ਸੇਵ ਨਹੀਂ ਹੋ ਸਕੇ: {error}",
+  "draft.emailLink": "ਬਾਅਦ ਵਿੱਚ ਜਾਰੀ ਰੱਖਣ ਲਈ ਮੈਨੂੰ ਲਿੰਕ ਈਮੇਲ ਕਰੋ",
+  "draft.linkSent": "ਅਸੀਂ {email} 'ਤੇ ਲਿੰਕ ਭੇਜਿਆ ਹੈ। ਜਾਰੀ ਰੱਖਣ ਲਈ ਇਸਨੂੰ ਕਿਸੇ ਵੀ ਡਿਵਾਈਸ 'ਤੇ ਖੋਲ੍ਹੋ।",
+  "draft.conflict": "ਤੁਹਾਡੇ ਜਵਾਬ ਕਿਸੇ ਹੋਰ ਟੈਬ ਜਾਂ ਡਿਵਾਈਸ 'ਤੇ ਬਦਲੇ ਗਏ ਸਨ ({time})।",
+  "draft.takeTheirs": "ਦੂਜਾ ਸੰਸਕਰਣ ਵਰਤੋ",
+  "draft.keepMine": "ਇਹ ਸੰਸਕਰਣ ਰੱਖੋ",
+  "form.select": "ਚੁਣੋ…",
+  "form.repeat.up": "ਉੱਪਰ",
+  "form.repeat.down": "ਹੇਠਾਂ",
+  "form.repeat.remove": "ਹਟਾਓ",
+  "form.repeat.moveUp": "ਐਂਟਰੀ {n} ਨੂੰ ਉੱਪਰ ਲੈ ਜਾਓ",
+  "form.repeat.moveDown": "ਐਂਟਰੀ {n} ਨੂੰ ਹੇਠਾਂ ਲੈ ਜਾਓ",
+  "form.repeat.add": "ਇੱਕ ਹੋਰ ਜੋੜੋ",
+  "form.step.contact": "ਸੰਪਰਕ",
+  "form.step.interest": "ਦਿਲਚਸਪੀ",
+  "form.step.basics": "ਮੁੱਢਲੀ ਜਾਣਕਾਰੀ",
+  "form.step.language": "ਭਾਸ਼ਾ",
+  "form.step.work": "ਕੰਮ ਦਾ ਤਜਰਬਾ",
+  "form.step.review": "ਸਮੀਖਿਆ",
+  "form.step.study": "ਪੜ੍ਹਾਈ ਦੀ ਯੋਜਨਾ",
+  "form.step.jobOffer": "ਨੌਕਰੀ ਦੀ ਪੇਸ਼ਕਸ਼",
+  "form.step.pnp": "ਸੂਬਾ",
+  "form.step.sponsorship": "ਸਪਾਂਸਰਸ਼ਿਪ",
+  "form.step.family": "ਪਰਿਵਾਰ",
+  "form.field.contact_firstName": "ਪਹਿਲਾ ਨਾਮ",
+  "form.field.contact_lastName": "ਗੋਤ",
+  "form.field.contact_email": "ਈਮੇਲ",
+  "form.field.contact_phone": "ਫ਼ੋਨ (ਵਿਕਲਪਿਕ)",
+  "form.field.contact_province": "ਤੁਸੀਂ ਕਿੱਥੇ ਰਹਿੰਦੇ ਹੋ?",
+  "form.field.interest_program": "ਦਿਲਚਸਪੀ ਵਾਲਾ ਪ੍ਰੋਗਰਾਮ",
+  "form.field.interest_notes": "ਨੋਟ (ਵਿਕਲਪਿਕ)",
+  "form.field.basics_age": "ਉਮਰ",
+  "form.field.basics_education": "ਸਭ ਤੋਂ ਉੱਚੀ ਪੜ੍ਹਾਈ",
+  "form.field.basics_educationCountry": "ਇਹ ਤੁਸੀਂ ਕਿੱਥੋਂ ਪੂਰੀ ਕੀਤੀ?",
+  "form.field.basics_marital": "ਵਿਆਹੁਤਾ ਸਥਿਤੀ",
+  "form.field.language_first_test": "ਭਾਸ਼ਾ ਟੈਸਟ – ਪਹਿਲੀ ਸਰਕਾਰੀ ਭਾਸ਼ਾ",
+  "form.field.language_first_test_optional": "ਭਾਸ਼ਾ ਟੈਸਟ – ਪਹਿਲੀ ਸਰਕਾਰੀ ਭਾਸ਼ਾ (ਵਿਕਲਪਿਕ)",
+  "form.field.language_first_date": "ਟੈਸਟ ਦੀ ਤਾਰੀਖ",
+  "form.field.language_first_listening": "ਸੁਣਨਾ ਸਕੋਰ",
+  "form.field.language_first_reading": "ਪੜ੍ਹਨਾ ਸਕੋਰ",
+  "form.field.language_first_writing": "ਲਿਖਣਾ ਸਕੋਰ",
+  "form.field.language_first_speaking": "ਬੋਲਣਾ ਸਕੋਰ",
+  "form.field.language_second_test": "ਤੁਹਾਡੀ ਦੂਜੀ ਸਰਕਾਰੀ ਭਾਸ਼ਾ ਦਾ ਟੈਸਟ (ਵਿਕਲਪਿਕ)",
+  "form.field.language_second_date": "ਦੂਜੇ ਟੈਸਟ ਦੀ ਤਾਰੀਖ",
+  "form.field.language_second_listening": "ਦੂਜਾ ਟੈਸਟ – ਸੁਣਨਾ ਸਕੋਰ",
+  "form.field.language_second_reading": "ਦੂਜਾ ਟੈਸਟ – ਪੜ੍ਹਨਾ ਸਕੋਰ",
+  "form.field.language_second_writing": "ਦੂਜਾ ਟੈਸਟ – ਲਿਖਣਾ ਸਕੋਰ",
+  "form.field.language_second_speaking": "ਦੂਜਾ ਟੈਸਟ – ਬੋਲਣਾ ਸਕੋਰ",
+  "form.field.work_title": "ਅਹੁਦਾ",
+  "form.field.work_employer": "ਰੁਜ਼ਗਾਰਦਾਤਾ",
+  "form.field.work_city": "ਸ਼ਹਿਰ",
+  "form.field.work_country": "ਦੇਸ਼",
+  "form.field.work_state": "ਰਾਜ/ਸੂਬਾ (ਵਿਕਲਪਿਕ)",
+  "form.field.work_hours": "ਹਫ਼ਤੇ ਦੇ ਘੰਟੇ",
+  "form.field.work_start": "ਸ਼ੁਰੂਆਤੀ ਮਿਤੀ",
+  "form.field.work_end": "ਅੰਤਿਮ ਮਿਤੀ",
+  "form.field.work_current": "ਇਹ ਮੇਰੀ ਮੌਜੂਦਾ ਨੌਕਰੀ ਹੈ",
+  "form.field.study_institution": "ਸਕੂਲ / ਸੰਸਥਾ",
+  "form.field.study_dli": "DLI ਨੰਬਰ (ਵਿਕਲਪਿਕ)",
+  "form.field.study_fieldOfStudy": "ਪੜ੍ਹਾਈ ਦਾ ਪ੍ਰੋਗਰਾਮ",
+  "form.field.study_startDate": "ਪ੍ਰੋਗਰਾਮ ਸ਼ੁਰੂ ਹੋਣ ਦੀ ਮਿਤੀ",
+  "form.field.study_tuition": "ਪਹਿਲੇ ਸਾਲ ਦੀ ਟਿਊਸ਼ਨ ਫ਼ੀਸ (CAD)",
+  "form.field.study_funds": "ਉਪਲਬਧ ਫ਼ੰਡ (CAD)",
+  "form.field.study_attestation": "ਮੇਰੇ ਕੋਲ ਸੂਬਾਈ ਤਸਦੀਕ ਪੱਤਰ (PAL/TAL) ਹੈ",
+  "form.field.jobOffer_hasOffer": "ਕੀ ਤੁਹਾਡੇ ਕੋਲ ਕੈਨੇਡਾ ਵਿੱਚ ਨੌਕਰੀ ਦੀ ਪੇਸ਼ਕਸ਼ ਹੈ?",
+  "form.field.jobOffer_employer": "ਰੁਜ਼ਗਾਰਦਾਤਾ",
+  "form.field.jobOffer_title": "ਅਹੁਦਾ",
+  "form.field.jobOffer_noc": "NOC ਕੋਡ (ਵਿਕਲਪਿਕ)",
+  "form.field.jobOffer_province": "ਸੂਬਾ",
+  "form.field.jobOffer_lmia": "LMIA ਦੀ ਸਥਿਤੀ",
+  "form.field.pnp_province": "ਸੂਬਾ ਜਾਂ ਖੇਤਰ",
+  "form.field.pnp_stream": "ਸਟ੍ਰੀਮ (ਜੇ ਪਤਾ ਹੋਵੇ)",
+  "form.field.pnp_provincialTies": "ਸੂਬੇ ਨਾਲ ਸਬੰਧ (ਪੜ੍ਹਾਈ, ਕੰਮ, ਪਰਿਵਾਰ)",
+  "form.field.sponsorship_sponsorStatus": "ਕੈਨੇਡਾ ਵਿੱਚ ਸਪਾਂਸਰ ਦੀ ਸਥਿਤੀ",
+  "form.field.sponsorship_relationship": "ਜਿਸ ਨੂੰ ਸਪਾਂਸਰ ਕੀਤਾ ਜਾ ਰਿਹਾ ਹੈ",
+  "form.field.sponsorship_sponsorProvince": "ਸਪਾਂਸਰ ਦਾ ਸੂਬਾ",
+  "form.field.sponsorship_applicantCountry": "ਸਪਾਂਸਰ ਕੀਤੇ ਜਾ ਰਹੇ ਵਿਅਕਤੀ ਦਾ ਰਿਹਾਇਸ਼ੀ ਦੇਸ਼",
+  "form.field.spouse_firstName": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦਾ ਪਹਿਲਾ ਨਾਂ",
+  "form.field.spouse_lastName": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦਾ ਉਪਨਾਮ",
+  "form.field.spouse_accompanying": "ਕੀ ਤੁਹਾਡਾ ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਤੁਹਾਡੇ ਨਾਲ ਕੈਨੇਡਾ ਆਵੇਗਾ?",
+  "form.field.spouse_canadian": "ਮੇਰਾ ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਕੈਨੇਡੀਅਨ ਨਾਗਰਿਕ ਜਾਂ ਸਥਾਈ ਨਿਵਾਸੀ ਹੈ",
+  "form.field.spouse_education": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦੀ ਸਭ ਤੋਂ ਉੱਚੀ ਪੜ੍ਹਾਈ (ਵਿਕਲਪਿਕ)",
+  "form.field.spouse_language_test": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦਾ ਭਾਸ਼ਾ ਟੈਸਟ (ਵਿਕਲਪਿਕ)",
+  "form.field.spouse_language_date": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦੇ ਟੈਸਟ ਦੀ ਤਾਰੀਖ",
+  "form.field.spouse_language_listening": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ – ਸੁਣਨਾ ਸਕੋਰ",
+  "form.field.spouse_language_reading": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ – ਪੜ੍ਹਨਾ ਸਕੋਰ",
+  "form.field.spouse_language_writing": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ – ਲਿਖਣਾ ਸਕੋਰ",
+  "form.field.spouse_language_speaking": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ – ਬੋਲਣਾ ਸਕੋਰ",
+  "form.field.spouse_canadianWorkYears": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦੇ ਕੈਨੇਡਾ ਵਿੱਚ ਹੁਨਰਮੰਦ ਕੰਮ ਦੇ ਸਾਲ",
+  "form.field.dependants_firstName": "ਪਹਿਲਾ ਨਾਂ",
+  "form.field.dependants_lastName": "ਉਪਨਾਮ",
+  "form.field.dependants_dateOfBirth": "ਜਨਮ ਮਿਤੀ",
+  "form.field.dependants_relationship": "ਰਿਸ਼ਤਾ",
+  "form.field.dependants_accompanying": "ਕੀ ਤੁਹਾਡੇ ਨਾਲ ਕੈਨੇਡਾ ਆ ਰਿਹਾ ਹੈ?",
+  "form.field.dependants_education": "ਸਭ ਤੋਂ ਉੱਚੀ ਪੜ੍ਹਾਈ (ਵਿਕਲਪਿਕ)",
+  "form.field.dependants_language_test": "ਭਾਸ਼ਾ ਟੈਸਟ (ਵਿਕਲਪਿਕ)",
+  "form.field.dependants_language_date": "ਟੈਸਟ ਦੀ ਤਾਰੀਖ",
+  "form.field.dependants_language_listening": "ਸੁਣਨਾ ਸਕੋਰ",
+  "form.field.dependants_language_reading": "ਪੜ੍ਹਨਾ ਸਕੋਰ",
+  "form.field.dependants_language_writing": "ਲਿਖਣਾ ਸਕੋਰ",
+  "form.field.dependants_language_speaking": "ਬੋਲਣਾ ਸਕੋਰ",
+  "form.option.Express Entry": "ਐਕਸਪ੍ਰੈਸ ਐਂਟਰੀ",
+  "form.option.Study Permit": "ਸਟੱਡੀ ਪਰਮਿਟ",
+  "form.option.Work Permit": "ਵਰਕ ਪਰਮਿਟ",
+  "form.option.PNP": "PNP (ਸੂਬਾਈ ਨਾਮਜ਼ਦਗੀ ਪ੍ਰੋਗਰਾਮ)",
+  "form.option.Family Sponsorship": "ਪਰਿਵਾਰਕ ਸਪਾਂਸਰਸ਼ਿਪ",
+  "form.option.Secondary": "ਸੈਕੰਡਰੀ",
+  "form.option.Diploma": "ਡਿਪਲੋਮਾ",
+  "form.option.Bachelor": "ਬੈਚਲਰ",
+  "form.option.Master": "ਮਾਸਟਰ",
+  "form.option.PhD": "ਪੀਐਚਡੀ",
+  "form.option.Outside Canada": "ਕੈਨੇਡਾ ਤੋਂ ਬਾਹਰ",
+  "form.option.Canada": "ਕੈਨੇਡਾ",
+  "form.option.OUT": "ਕੈਨੇਡਾ ਤੋਂ ਬਾਹਰ",
+  "form.option.Single": "ਕੁਆਰਾ/ਕੁਆਰੀ",
+  "form.option.Married": "ਵਿਆਹੁਤਾ",
+  "form.option.Common‑law": "ਕਾਮਨ-ਲਾਅ",
+  "form.option.No": "ਨਹੀਂ",
+  "form.option.Yes": "ਹਾਂ",
+  "form.option.LMIA approved": "LMIA ਮਨਜ਼ੂਰ",
+  "form.option.LMIA in progress": "LMIA ਜਾਰੀ ਹੈ",
+  "form.option.LMIA-exempt": "LMIA ਤੋਂ ਛੋਟ",
+  "form.option.Not sure": "ਪੱਕਾ ਨਹੀਂ",
+  "form.option.Citizen": "ਨਾਗਰਿਕ",
+  "form.option.Permanent resident": "ਪੱਕਾ ਨਿਵਾਸੀ (PR)",
+  "form.option.Registered Indian": "ਰਜਿਸਟਰਡ ਇੰਡੀਅਨ (ਮੂਲ ਨਿਵਾਸੀ)",
+  "form.option.Spouse": "ਜੀਵਨ ਸਾਥੀ",
+  "form.option.Common-law partner": "ਕਾਮਨ-ਲਾਅ ਪਾਰਟਨਰ",
+  "form.option.Conjugal partner": "ਕੰਜੂਗਲ ਪਾਰਟਨਰ",
+  "form.option.Dependent child": "ਨਿਰਭਰ ਬੱਚਾ",
+  "form.option.Parent": "ਮਾਤਾ/ਪਿਤਾ",
+  "form.option.Grandparent": "ਦਾਦਾ-ਦਾਦੀ/ਨਾਨਾ-ਨਾਨੀ",
+  "form.option.Other relative": "ਹੋਰ ਰਿਸ਼ਤੇਦਾਰ",
+  "form.option.Child": "ਬੱਚਾ",
+  "form.option.Stepchild": "ਮਤਰੇਆ ਬੱਚਾ",
+  "form.option.Adopted child": "ਗੋਦ ਲਿਆ ਬੱਚਾ",
+  "form.error.required": "ਇਹ ਖੇਤਰ ਲੋੜੀਂਦਾ ਹੈ।",
+  "form.error.email": "ਇੱਕ ਸਹੀ ਈਮੇਲ ਦਰਜ ਕਰੋ।",
+  "form.error.number": "ਇੱਕ ਨੰਬਰ ਦਰਜ ਕਰੋ।",
+  "form.error.min": "ਘੱਟੋ-ਘੱਟ {min} ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।",
+  "form.error.max": "ਵੱਧ ਤੋਂ ਵੱਧ {max} ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।",
+  "form.error.step": "{step} ਦੇ ਫ਼ਰਕ ਨਾਲ ਦਰਜ ਕਰੋ।",
+  "form.error.format": "ਗਲਤ ਫ਼ਾਰਮੈਟ।",
+  "form.error.futureTestDate": "ਟੈਸਟ ਦੀ ਤਾਰੀਖ ਭਵਿੱਖ ਵਿੱਚ ਨਹੀਂ ਹੋ ਸਕਦੀ।",
+  "form.error.testExpired": "ਇਹ ਨਤੀਜੇ {date} ਨੂੰ ਖਤਮ ਹੋ ਗਏ। ਟੈਸਟ ਦੇ ਨਤੀਜੇ ਦੋ ਸਾਲ ਲਈ ਵੈਧ ਹੁੰਦੇ ਹਨ।",
+  "form.error.sameLanguage": "ਆਪਣੀ ਦੂਜੀ ਸਰਕਾਰੀ ਭਾਸ਼ਾ ਦਾ ਟੈਸਟ ਚੁਣੋ।",
+  "form.error.testScore": "ਇਸ ਹੁਨਰ ਲਈ {test} ਸਕੋਰ {min} ਤੋਂ {max} ਤੱਕ ਹੁੰਦੇ ਹਨ।",
+  "form.error.testBand": "{test} ਬੈਂਡ {min} ਤੋਂ {max} ਤੱਕ, {step} ਦੇ ਫ਼ਰਕ ਨਾਲ ਹੁੰਦੇ ਹਨ।",
+  "form.pattern.study_dli": "DLI ਨੰਬਰ O19283746574 ਵਰਗੇ ਹੁੰਦੇ ਹਨ।",
+  "form.pattern.jobOffer_noc": "NOC 2021 ਕੋਡਾਂ ਵਿੱਚ 5 ਅੰਕ ਹੁੰਦੇ ਹਨ।",
+  "form.work.item": "ਨੌਕਰੀ #{n}",
+  "form.work.summary": "ਫੁੱਲ-ਟਾਈਮ ਦੇ ਬਰਾਬਰ: ਕੈਨੇਡਾ ਵਿੱਚ {canadian} ਸਾਲ · ਵਿਦੇਸ਼ ਵਿੱਚ {foreign} ਸਾਲ",
+  "form.work.intro": "ਪਿਛਲੇ 10 ਸਾਲਾਂ ਦੀ ਹਰ ਨੌਕਰੀ ਲਿਖੋ, ਸਭ ਤੋਂ ਤਾਜ਼ਾ ਪਹਿਲਾਂ। ਪਾਰਟ-ਟਾਈਮ ਕੰਮ ਅਨੁਪਾਤ ਅਨੁਸਾਰ ਗਿਣਿਆ ਜਾਂਦਾ ਹੈ (30 ਘੰਟੇ/ਹਫ਼ਤਾ = ਫੁੱਲ-ਟਾਈਮ)।",
+  "form.work.add": "ਇੱਕ ਹੋਰ ਨੌਕਰੀ ਜੋੜੋ",
+  "form.dependants.item": "ਬੱਚਾ #{n}",
+  "form.dependants.intro": "22 ਸਾਲ ਤੋਂ ਘੱਟ ਉਮਰ ਦਾ ਹਰ ਬੱਚਾ ਲਿਖੋ – ਅਤੇ ਵੱਡੇ ਬੱਚੇ ਵੀ ਜੋ ਕਿਸੇ ਸਿਹਤ ਸਥਿਤੀ ਕਾਰਨ ਤੁਹਾਡੇ 'ਤੇ ਨਿਰਭਰ ਹਨ – ਭਾਵੇਂ ਉਹ ਕੈਨੇਡਾ ਆਉਣ ਜਾਂ ਨਾ।",
+  "form.dependants.add": "ਨਿਰਭਰ ਬੱਚਾ ਜੋੜੋ",
+  "consent.title": "ਪਰਦੇਦਾਰੀ ਸੂਚਨਾ",
+  "consent.version": "(ਸੰਸਕਰਣ {version})",
+  "consent.required": "(ਲੋੜੀਂਦਾ)",
+  "consent.optional": "(ਵਿਕਲਪਿਕ)",
+  "consent.purpose.processing": "ਮੇਰੀ ਯੋਗਤਾ ਦਾ ਮੁਲਾਂਕਣ ਕਰੋ ਅਤੇ ਮੇਰੀ ਫ਼ਾਈਲ ਸੰਭਾਲੋ",
+  "consent.purpose.updates": "ਮੈਨੂੰ ਇਮੀਗ੍ਰੇਸ਼ਨ ਪ੍ਰੋਗਰਾਮਾਂ ਬਾਰੇ ਕਦੇ-ਕਦਾਈਂ ਅੱਪਡੇਟ ਭੇਜੋ",
+  "consent.2026-10.summary.0": "Peddle West Immigration (RCIC-CICC ਦੁਆਰਾ ਨਿਯੰਤ੍ਰਿਤ) ਤੁਹਾਡੀ ਯੋਗਤਾ ਦਾ ਮੁਲਾਂਕਣ ਕਰਨ ਲਈ ਅਤੇ, ਜੇ ਤੁਸੀਂ ਸਾਨੂੰ ਨਿਯੁਕਤ ਕਰਦੇ ਹੋ, ਤੁਹਾਡੀ ਅਰਜ਼ੀ ਤਿਆਰ ਕਰਨ ਅਤੇ ਸੰਭਾਲਣ ਲਈ ਇਸ ਫ਼ਾਰਮ ਦੀ ਜਾਣਕਾਰੀ ਇਕੱਠੀ ਕਰਦਾ ਹੈ।",
+  "consent.2026-10.summary.1": "ਤੁਹਾਡੇ ਜਵਾਬ ਅਤੇ ਦਸਤਾਵੇਜ਼ ਐਨਕ੍ਰਿਪਟ ਕਰਕੇ ਰੱਖੇ ਜਾਂਦੇ ਹਨ ਅਤੇ ਸਿਰਫ਼ ਤੁਸੀਂ ਅਤੇ ਸਾਡਾ ਲਾਇਸੈਂਸਸ਼ੁਦਾ ਸਟਾਫ਼ ਹੀ ਇਨ੍ਹਾਂ ਨੂੰ ਦੇਖ ਸਕਦੇ ਹਨ। ਹਰ ਪਹੁੰਚ ਦਾ ਰਿਕਾਰਡ ਰੱਖਿਆ ਜਾਂਦਾ ਹੈ।",
+  "consent.2026-10.summary.2": "ਤੁਸੀਂ ਕਿਸੇ ਵੀ ਵੇਲੇ ਆਪਣੇ ਡੈਸ਼ਬੋਰਡ ਤੋਂ ਆਪਣੇ ਡੇਟਾ ਦੀ ਕਾਪੀ ਡਾਊਨਲੋਡ ਕਰ ਸਕਦੇ ਹੋ ਜਾਂ ਇਸਨੂੰ ਮਿਟਾਉਣ ਲਈ ਕਹਿ ਸਕਦੇ ਹੋ। ਬੰਦ ਫ਼ਾਈਲਾਂ ਸੰਭਾਲ ਦੀ ਮਿਆਦ ਤੋਂ ਬਾਅਦ ਆਪਣੇ-ਆਪ ਮਿਟਾ ਦਿੱਤੀਆਂ ਜਾਂਦੀਆਂ ਹਨ।",
+  "consent.2026-10.summary.3": "ਅਸੀਂ ਤੁਹਾਡੀ ਜਾਣਕਾਰੀ ਕਦੇ ਨਹੀਂ ਵੇਚਦੇ। ਅਸੀਂ ਇਸਨੂੰ ਸਿਰਫ਼ ਤੁਹਾਡੇ ਦੁਆਰਾ ਅਧਿਕਾਰਤ ਅਰਜ਼ੀ ਦੇ ਹਿੱਸੇ ਵਜੋਂ IRCC ਜਾਂ ਕਿਸੇ ਸੂਬੇ ਨਾਲ ਸਾਂਝਾ ਕਰਦੇ ਹਾਂ।",
+  "crs.title": "ਅੰਦਾਜ਼ਨ CRS ਸਕੋਰ",
+  "crs.core": "ਮੁੱਖ / ਮਨੁੱਖੀ ਪੂੰਜੀ",
+  "crs.spouse": "ਜੀਵਨ ਸਾਥੀ ਜਾਂ ਪਾਰਟਨਰ ਦੇ ਕਾਰਕ",
+  "crs.transferability": "ਹੁਨਰ ਤਬਾਦਲਾਯੋਗਤਾ",
+  "crs.additional": "ਵਾਧੂ ਅੰਕ",
+  "crs.note": "ਸਿਰਫ਼ ਅੰਦਾਜ਼ਾ (ਨਿਯਮ {version})। ਤੁਹਾਡੇ ਦਸਤਾਵੇਜ਼ਾਂ ਦੀ ਸਮੀਖਿਆ ਤੋਂ ਬਾਅਦ ਤੁਹਾਡਾ RCIC ਤੁਹਾਡੇ ਸਕੋਰ ਦੀ ਪੁਸ਼ਟੀ ਕਰੇਗਾ।",
+
+  // --- Uploads ---
+  "uploads.title": "ਸੁਰੱਖਿਅਤ ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ",
+  "uploads.intro": "ਪਾਸਪੋਰਟ, ਵਿੱਦਿਅਕ ਸਰਟੀਫਿਕੇਟ, IELTS/TEF ਆਦਿ ਅੱਪਲੋਡ ਕਰੋ। ਮਨਜ਼ੂਰ: PDF, JPEG, PNG। ਫ਼ਾਈਲਾਂ ਐਨਕ੍ਰਿਪਟ ਕਰਕੇ ਰੱਖੀਆਂ ਜਾਂਦੀਆਂ ਹਨ, ਅਤੇ ਪੋਰਟਲ ਵਿੱਚ ਸਿਰਫ਼ ਤੁਸੀਂ ਅਤੇ ਤੁਹਾਡੀ RCIC ਟੀਮ ਇਨ੍ਹਾਂ ਨੂੰ ਖੋਲ੍ਹ ਸਕਦੇ ਹੋ।",
+  "uploads.signIn": "ਆਪਣੀ ਫ਼ਾਈਲ ਵਿੱਚ ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ ਕਰਨ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "uploads.limits": "ਇੱਕ ਵਾਰ ਵਿੱਚ {batch} ਫ਼ਾਈਲਾਂ ਤੱਕ, ਪ੍ਰਤੀ ਫ਼ਾਈਲ {perCase}। PDF {pdfMb} MB ਅਤੇ {pages} ਪੰਨਿਆਂ ਤੱਕ, ਬਿਨਾਂ ਪਾਸਵਰਡ; ਤਸਵੀਰਾਂ {imageMb} MB ਤੱਕ। ਪਾਸਪੋਰਟ ਸਕੈਨ ਸਾਫ਼ ਅਤੇ ਉੱਚ ਰੈਜ਼ੋਲਿਊਸ਼ਨ ਵਾਲੇ ਹੋਣੇ ਚਾਹੀਦੇ ਹਨ।",
+  "uploads.stale": "ਔਫ਼ਲਾਈਨ – ਤੁਹਾਡੀ ਪਿਛਲੀ ਸਿੰਕ ਕੀਤੀ ਸੂਚੀ ਦਿਖਾਈ ਜਾ ਰਹੀ ਹੈ।",
+  "uploads.checklist": "ਤੁਹਾਡੀ ਦਸਤਾਵੇਜ਼ ਸੂਚੀ",
+  "uploads.needsAttention": "ਧਿਆਨ ਦਿਓ: {reason}",
+  "uploads.upload": "ਅੱਪਲੋਡ ਕਰੋ",
+  "uploads.uploadAgain": "ਦੁਬਾਰਾ ਅੱਪਲੋਡ ਕਰੋ",
+  "uploads.other": "ਹੋਰ ਦਸਤਾਵੇਜ਼",
+  "uploads.checking": "ਜਾਂਚ ਅਤੇ ਅੱਪਲੋਡ ਹੋ ਰਿਹਾ ਹੈ…",
+  "uploads.choose": "ਫ਼ਾਈਲਾਂ ਚੁਣੋ",
+  "uploads.notUploaded": "{name} ਅੱਪਲੋਡ ਨਹੀਂ ਹੋਈ",
+  "uploads.openFailed": "{name} ਖੁੱਲ੍ਹ ਨਹੀਂ ਸਕੀ: {error}",
+  "uploads.file": "ਫ਼ਾਈਲ",
+  "uploads.uploadedAt": "ਅੱਪਲੋਡ: {when}",
+  "uploads.inDrive": "Google Drive ਵਿੱਚ",
+  "uploads.decrypting": "ਡੀਕ੍ਰਿਪਟ ਹੋ ਰਿਹਾ ਹੈ…",
+  "uploads.download": "ਡਾਊਨਲੋਡ ਕਰੋ",
+  "uploads.notStored": "ਫ਼ਾਈਲ ਦੀ ਸਮੱਗਰੀ ਸੰਭਾਲੀ ਨਹੀਂ ਗਈ",
+  "checklist.status.missing": "ਬਾਕੀ",
+  "checklist.status.uploaded": "ਅੱਪਲੋਡ ਹੋਇਆ",
+  "checklist.status.accepted": "ਮਨਜ਼ੂਰ",
+  "checklist.status.rejected": "ਨਾ-ਮਨਜ਼ੂਰ",
+  "checklist.passport": "ਪਾਸਪੋਰਟ (ਸਾਰੇ ਪੰਨੇ)",
+  "checklist.passport.description": "ਹਰ ਪੰਨੇ ਦਾ ਸਾਫ਼ ਰੰਗਦਾਰ ਸਕੈਨ, ਖਾਲੀ ਪੰਨਿਆਂ ਸਮੇਤ।",
+  "checklist.photo": "ਡਿਜੀਟਲ ਫ਼ੋਟੋ",
+  "checklist.photo.description": "IRCC ਦੀਆਂ ਸ਼ਰਤਾਂ ਅਨੁਸਾਰ ਤਾਜ਼ਾ ਫ਼ੋਟੋ।",
+  "checklist.language": "ਭਾਸ਼ਾ ਟੈਸਟ ਦੇ ਨਤੀਜੇ",
+  "checklist.language.description": "IELTS, CELPIP, TEF, TCF ਜਾਂ PTE Core ਦੇ ਨਤੀਜੇ (ਦੋ ਸਾਲ ਤੋਂ ਘੱਟ ਪੁਰਾਣੇ)।",
+  "checklist.language_second": "ਦੂਜੀ ਸਰਕਾਰੀ ਭਾਸ਼ਾ ਦੇ ਟੈਸਟ ਦੇ ਨਤੀਜੇ",
+  "checklist.language_second.description": "ਫ਼ਰੈਂਚ ਲਈ TEF / TCF Canada, ਜਾਂ ਜੇ ਫ਼ਰੈਂਚ ਤੁਹਾਡੀ ਪਹਿਲੀ ਭਾਸ਼ਾ ਹੈ ਤਾਂ ਅੰਗਰੇਜ਼ੀ ਦਾ ਟੈਸਟ।",
+  "checklist.language_study": "ਭਾਸ਼ਾ ਟੈਸਟ ਦੇ ਨਤੀਜੇ",
+  "checklist.language_study.description": "ਜੇ ਤੁਹਾਡਾ ਸਕੂਲ ਇਨ੍ਹਾਂ ਦੀ ਮੰਗ ਕਰਦਾ ਹੈ।",
+  "checklist.eca": "ਵਿੱਦਿਅਕ ਪ੍ਰਮਾਣ-ਪੱਤਰ ਮੁਲਾਂਕਣ (ECA)",
+  "checklist.eca.description": "WES, ICES, IQAS ਜਾਂ ਕਿਸੇ ਹੋਰ ਨਾਮਜ਼ਦ ਸੰਸਥਾ ਤੋਂ।",
+  "checklist.education": "ਡਿਗਰੀ / ਡਿਪਲੋਮਾ ਅਤੇ ਅੰਕ-ਸੂਚੀਆਂ",
+  "checklist.education.description": "ਤੁਹਾਡੀ ਸਭ ਤੋਂ ਉੱਚੀ ਪੂਰੀ ਕੀਤੀ ਯੋਗਤਾ ਲਈ।",
+  "checklist.reference": "ਰੁਜ਼ਗਾਰ ਹਵਾਲਾ ਪੱਤਰ",
+  "checklist.reference.description": "ਕੰਪਨੀ ਦੇ ਲੈਟਰਹੈੱਡ 'ਤੇ: ਅਹੁਦਾ, ਫ਼ਰਜ਼, ਹਫ਼ਤੇ ਦੇ ਘੰਟੇ, ਤਨਖ਼ਾਹ ਅਤੇ ਮਿਤੀਆਂ।",
+  "checklist.funds": "ਸੈਟਲਮੈਂਟ ਫ਼ੰਡਾਂ ਦਾ ਸਬੂਤ",
+  "checklist.funds.description": "ਪਿਛਲੇ ਛੇ ਮਹੀਨਿਆਂ ਦੇ ਬੈਂਕ ਪੱਤਰ।",
+  "checklist.police": "ਪੁਲਿਸ ਸਰਟੀਫਿਕੇਟ",
+  "checklist.police.description": "18 ਸਾਲ ਦੀ ਉਮਰ ਤੋਂ ਬਾਅਦ ਜਿਸ ਵੀ ਦੇਸ਼ ਵਿੱਚ ਤੁਸੀਂ 6+ ਮਹੀਨੇ ਰਹੇ, ਉੱਥੋਂ।",
+  "checklist.spouse_passport": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦਾ ਪਾਸਪੋਰਟ",
+  "checklist.spouse_passport.description": "ਸਾਰੇ ਪੰਨੇ।",
+  "checklist.marriage": "ਵਿਆਹ ਦਾ ਸਰਟੀਫਿਕੇਟ",
+  "checklist.marriage.description": "ਸਰਕਾਰੀ ਕਾਪੀ, ਲੋੜ ਹੋਵੇ ਤਾਂ ਪ੍ਰਮਾਣਿਤ ਅਨੁਵਾਦ ਨਾਲ।",
+  "checklist.common_law": "ਕਾਮਨ-ਲਾਅ ਰਿਸ਼ਤੇ ਦਾ ਕਾਨੂੰਨੀ ਐਲਾਨਨਾਮਾ (IMM 5409)",
+  "checklist.common_law.description": "ਦੋਵਾਂ ਪਾਰਟਨਰਾਂ ਦੇ ਦਸਤਖ਼ਤਾਂ ਸਮੇਤ।",
+  "checklist.spouse_language": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦੇ ਭਾਸ਼ਾ ਟੈਸਟ ਦੇ ਨਤੀਜੇ",
+  "checklist.spouse_language.description": "ਸਿਰਫ਼ ਤਾਂ ਹੀ ਜੇ ਤੁਸੀਂ ਪਾਰਟਨਰ ਦੀ ਭਾਸ਼ਾ ਯੋਗਤਾ ਦੇ ਅੰਕ ਲੈਣਾ ਚਾਹੁੰਦੇ ਹੋ।",
+  "checklist.spouse_education": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ ਦੀ ਡਿਗਰੀ / ਡਿਪਲੋਮਾ ਅਤੇ ECA",
+  "checklist.spouse_education.description": "ਟ੍ਰਾਂਸਕ੍ਰਿਪਟ, ਅਤੇ ਜੇ ਡਿਗਰੀ ਕੈਨੇਡਾ ਤੋਂ ਬਾਹਰ ਦੀ ਹੈ ਤਾਂ ECA ਰਿਪੋਰਟ।",
+  "checklist.dependant_passport": "ਪਾਸਪੋਰਟ",
+  "checklist.dependant_passport.description": "ਹਰ ਨਿਰਭਰ ਬੱਚੇ ਦੇ, ਸਾਰੇ ਪੰਨੇ।",
+  "checklist.birth_certificate": "ਜਨਮ ਸਰਟੀਫਿਕੇਟ",
+  "checklist.birth_certificate.description": "ਪੂਰਾ ਰੂਪ, ਜਿਸ ਵਿੱਚ ਮਾਤਾ-ਪਿਤਾ ਦੋਵਾਂ ਦੇ ਨਾਂ ਹੋਣ।",
+  "checklist.dependant_language": "ਭਾਸ਼ਾ ਟੈਸਟ ਦੇ ਨਤੀਜੇ",
+  "checklist.dependant_language.description": "ਉਸ ਨਿਰਭਰ ਬੱਚੇ ਲਈ ਜਿਸਨੇ ਭਾਸ਼ਾ ਟੈਸਟ ਦਿੱਤਾ ਹੈ।",
+  "checklist.acceptance": "ਦਾਖ਼ਲਾ ਪੱਤਰ",
+  "checklist.acceptance.description": "ਤੁਹਾਡੀ ਨਾਮਜ਼ਦ ਵਿੱਦਿਅਕ ਸੰਸਥਾ (DLI) ਤੋਂ।",
+  "checklist.attestation": "ਸੂਬਾਈ ਤਸਦੀਕ ਪੱਤਰ (PAL/TAL)",
+  "checklist.attestation.description": "ਤੁਹਾਡੇ ਸਕੂਲ ਦੇ ਸੂਬੇ ਵੱਲੋਂ ਜਾਰੀ।",
+  "checklist.study_funds": "ਪੜ੍ਹਾਈ ਲਈ ਫ਼ੰਡਾਂ ਦਾ ਸਬੂਤ",
+  "checklist.study_funds.description": "ਟਿਊਸ਼ਨ ਫ਼ੀਸ ਦੀ ਰਸੀਦ ਅਤੇ ਰਹਿਣ-ਸਹਿਣ ਦੇ ਖ਼ਰਚੇ ਦਾ ਸਬੂਤ।",
+  "checklist.job_offer": "ਨੌਕਰੀ ਦੀ ਪੇਸ਼ਕਸ਼ ਦਾ ਪੱਤਰ",
+  "checklist.job_offer.description": "ਦਸਤਖ਼ਤਸ਼ੁਦਾ, ਤਨਖ਼ਾਹ, ਘੰਟਿਆਂ ਅਤੇ ਫ਼ਰਜ਼ਾਂ ਸਮੇਤ।",
+  "checklist.lmia": "LMIA ਫ਼ੈਸਲਾ ਪੱਤਰ",
+  "checklist.lmia.description": "ਹਾਂ-ਪੱਖੀ LMIA ਦੀ ਕਾਪੀ।",
+  "checklist.sponsor_status": "ਸਪਾਂਸਰ ਦੀ ਸਥਿਤੀ ਦਾ ਸਬੂਤ",
+  "checklist.sponsor_status.description": "ਕੈਨੇਡੀਅਨ ਪਾਸਪੋਰਟ, ਨਾਗਰਿਕਤਾ ਸਰਟੀਫਿਕੇਟ ਜਾਂ PR ਕਾਰਡ।",
+  "checklist.relationship": "ਰਿਸ਼ਤੇ ਦੇ ਸਬੂਤ",
+  "checklist.relationship.description": "ਫ਼ੋਟੋਆਂ, ਗੱਲਬਾਤ ਦਾ ਇਤਿਹਾਸ, ਸਾਂਝੇ ਦਸਤਾਵੇਜ਼।",
+
+  // --- Case status ---
+  "case.since": "{date} ਤੋਂ",
+  "case.progress": "ਤਰੱਕੀ",
+  "case.whatIsNeeded": "ਕੀ ਚਾਹੀਦਾ ਹੈ?",
+  "case.decisionOutcome": "ਫ਼ੈਸਲੇ ਦਾ ਨਤੀਜਾ",
+  "case.noEvents": "ਅਜੇ ਤੱਕ ਸਥਿਤੀ ਵਿੱਚ ਕੋਈ ਤਬਦੀਲੀ ਨਹੀਂ।",
+  "case.automatic": "ਆਪਣੇ-ਆਪ",
+  "case.status.Lead": "ਨਵਾਂ ਸੰਪਰਕ",
+  "case.status.Assessment Complete": "ਮੁਲਾਂਕਣ ਪੂਰਾ",
+  "case.status.Retained": "ਨਿਯੁਕਤ",
+  "case.status.Documents Needed": "ਦਸਤਾਵੇਜ਼ ਚਾਹੀਦੇ ਹਨ",
+  "case.status.Under Review": "ਸਮੀਖਿਆ ਅਧੀਨ",
+  "case.status.Application Submitted": "ਅਰਜ਼ੀ ਜਮ੍ਹਾਂ",
+  "case.status.Decision": "ਫ਼ੈਸਲਾ",
+  "case.outcome.Approved": "ਮਨਜ਼ੂਰ",
+  "case.outcome.Refused": "ਨਾ-ਮਨਜ਼ੂਰ",
+  "case.outcome.Withdrawn": "ਵਾਪਸ ਲਈ ਗਈ",
+  "case.action.Assessment complete": "ਮੁਲਾਂਕਣ ਪੂਰਾ",
+  "case.action.Mark retained": "ਨਿਯੁਕਤ ਵਜੋਂ ਨਿਸ਼ਾਨ ਲਾਓ",
+  "case.action.Request documents": "ਦਸਤਾਵੇਜ਼ ਮੰਗੋ",
+  "case.action.All documents uploaded": "ਸਾਰੇ ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ ਹੋ ਗਏ",
+  "case.action.Request more documents": "ਹੋਰ ਦਸਤਾਵੇਜ਼ ਮੰਗੋ",
+  "case.action.Application submitted": "ਅਰਜ਼ੀ ਜਮ੍ਹਾਂ ਹੋ ਗਈ",
+  "case.action.IRCC requested documents": "IRCC ਨੇ ਦਸਤਾਵੇਜ਼ ਮੰਗੇ",
+  "case.action.Record decision": "ਫ਼ੈਸਲਾ ਦਰਜ ਕਰੋ",
+
+  // --- Messages ---
+  "messages.new": "ਨਵਾਂ ਸੁਨੇਹਾ",
+  "messages.select": "ਇੱਕ ਗੱਲਬਾਤ ਚੁਣੋ।",
+  "messages.none": "ਅਜੇ ਕੋਈ ਗੱਲਬਾਤ ਨਹੀਂ।",
+  "messages.subject": "ਵਿਸ਼ਾ",
+  "messages.subjectRequired": "ਕਿਰਪਾ ਕਰਕੇ ਵਿਸ਼ਾ ਲਿਖੋ।",
+  "messages.client": "ਕਲਾਇੰਟ",
+  "messages.seenBy": "{names} ਨੇ ਦੇਖਿਆ",
+  "messages.sent": "ਭੇਜਿਆ ਗਿਆ",
+  "messages.placeholder": "ਸੁਨੇਹਾ ਲਿਖੋ…",
+  "messages.message": "ਸੁਨੇਹਾ",
+  "messages.attach": "ਦਸਤਾਵੇਜ਼ ਨੱਥੀ ਕਰੋ",
+  "messages.sending": "ਭੇਜਿਆ ਜਾ ਰਿਹਾ ਹੈ…",
+  "messages.send": "ਭੇਜੋ",
+
+  // --- Dashboard ---
+  "dashboard.title": "ਕਲਾਇੰਟ ਡੈਸ਼ਬੋਰਡ",
+  "dashboard.welcome": "ਜੀ ਆਇਆਂ ਨੂੰ। ਹੇਠਾਂ ਆਪਣੀ ਅਰਜ਼ੀ ਅਤੇ ਅਗਲੇ ਕਦਮਾਂ 'ਤੇ ਨਜ਼ਰ ਰੱਖੋ।",
+  "dashboard.welcomeName": "ਜੀ ਆਇਆਂ ਨੂੰ, {name}। ਹੇਠਾਂ ਆਪਣੀ ਅਰਜ਼ੀ ਅਤੇ ਅਗਲੇ ਕਦਮਾਂ 'ਤੇ ਨਜ਼ਰ ਰੱਖੋ।",
+  "dashboard.status": "ਮੌਜੂਦਾ ਸਥਿਤੀ",
+  "dashboard.statusSignIn": "ਆਪਣੀ ਸਥਿਤੀ ਦੇਖਣ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ",
+  "dashboard.documents": "ਲੋੜੀਂਦੇ ਦਸਤਾਵੇਜ਼",
+  "dashboard.documentsSignIn": "ਆਪਣੀ ਸੂਚੀ ਦੇਖਣ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "dashboard.documentsSummary": "{total} ਵਿੱਚੋਂ {accepted} ਮਨਜ਼ੂਰ · {uploaded} ਸਮੀਖਿਆ ਵਿੱਚ · {outstanding} ਬਾਕੀ",
+  "dashboard.more": "+{count} ਹੋਰ",
+  "dashboard.goToUploads": "ਅੱਪਲੋਡ 'ਤੇ ਜਾਓ",
+  "dashboard.quickActions": "ਤੁਰੰਤ ਕਾਰਵਾਈਆਂ",
+  "dashboard.uploadDocuments": "ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ ਕਰੋ",
+  "dashboard.finishForm": "ਯੋਗਤਾ ਫ਼ਾਰਮ ਪੂਰਾ ਕਰੋ",
+  "dashboard.bookOrChange": "ਅਪਾਇੰਟਮੈਂਟ ਬੁੱਕ ਕਰੋ/ਬਦਲੋ",
+  "dashboard.timeline": "ਸਮਾਂ-ਰੇਖਾ",
+  "dashboard.appointments": "ਆਉਣ ਵਾਲੀਆਂ ਅਪਾਇੰਟਮੈਂਟਾਂ",
+  "dashboard.appointmentsSignIn": "ਆਪਣੀਆਂ ਅਪਾਇੰਟਮੈਂਟਾਂ ਦੇਖਣ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "dashboard.messages": "ਸੁਨੇਹੇ",
+  "dashboard.messagesSignIn": "ਆਪਣੀ RCIC ਟੀਮ ਨੂੰ ਸੁਨੇਹਾ ਭੇਜਣ ਲਈ ਸਾਈਨ ਇਨ ਕਰੋ।",
+  "dashboard.notifications": "ਸੂਚਨਾਵਾਂ",
+  "dashboard.household": "ਪਰਿਵਾਰ ਦੇ ਮੈਂਬਰ",
+  "dashboard.submissions": "ਤੁਹਾਡੀਆਂ ਸਬਮਿਸ਼ਨਾਂ",
+  "submissions.none": "ਹਾਲੇ ਕੋਈ ਸਬਮਿਸ਼ਨ ਨਹੀਂ।",
+  "submissions.crs": "CRS {score}",
+  "submissions.amend": "ਕਾਪੀ ਬਣਾ ਕੇ ਸੋਧੋ",
+  "submissions.confirmAmend": "ਕੀ ਇਸ ਸਬਮਿਸ਼ਨ ਦੀ ਕਾਪੀ ਯੋਗਤਾ ਫਾਰਮ ਵਿੱਚ ਖੋਲ੍ਹਣੀ ਹੈ? ਜੋ ਜਵਾਬ ਹਾਲੇ ਸਬਮਿਟ ਨਹੀਂ ਹੋਏ, ਉਹ ਬਦਲ ਦਿੱਤੇ ਜਾਣਗੇ।",
+  "dashboard.agreement": "ਰਿਟੇਨਰ ਸਮਝੌਤਾ",
+  "retainer.needsAssessment": "ਪਹਿਲਾਂ ਆਪਣਾ ਯੋਗਤਾ ਮੁਲਾਂਕਣ ਜਮ੍ਹਾਂ ਕਰੋ – ਸਮਝੌਤਾ ਤੁਹਾਡੇ ਜਵਾਬਾਂ ਤੋਂ ਤਿਆਰ ਹੁੰਦਾ ਹੈ।",
+  "retainer.intro": "ਤੁਹਾਡਾ ਰਿਟੇਨਰ ਸਮਝੌਤਾ ਦੱਸਦਾ ਹੈ ਕਿ ਅਸੀਂ ਕਿਹੜੀਆਂ ਸੇਵਾਵਾਂ ਦੇਵਾਂਗੇ ਅਤੇ ਸਾਡੀ ਫੀਸ ਕੀ ਹੈ। ਇਸਨੂੰ ਪੜ੍ਹੋ, ਫਿਰ ਹੇਠਾਂ ਦਸਤਖਤ ਕਰੋ।",
+  "retainer.updated": "ਸਾਡੀਆਂ ਸ਼ਰਤਾਂ ਬਦਲ ਗਈਆਂ ਹਨ। ਕਿਰਪਾ ਕਰਕੇ ਨਵਾਂ ਸੰਸਕਰਣ ਪੜ੍ਹ ਕੇ ਦਸਤਖਤ ਕਰੋ।",
+  "retainer.review": "ਪੜ੍ਹੋ ਅਤੇ ਦਸਤਖਤ ਕਰੋ",
+  "retainer.signedOn": "{name} ਨੇ {date} ਨੂੰ ਦਸਤਖਤ ਕੀਤੇ (ਸੰਸਕਰਣ {version})।",
+  "retainer.download": "ਦਸਤਖਤ ਕੀਤਾ ਸਮਝੌਤਾ ਡਾਊਨਲੋਡ ਕਰੋ",
+  "retainer.signed": "ਧੰਨਵਾਦ – ਤੁਹਾਡਾ ਦਸਤਖਤ ਕੀਤਾ ਸਮਝੌਤਾ ਤੁਹਾਡੀ ਫਾਈਲ ਵਿੱਚ ਸੰਭਾਲ ਲਿਆ ਗਿਆ ਹੈ ਅਤੇ ਇੱਕ ਕਾਪੀ ਡਾਊਨਲੋਡ ਹੋ ਗਈ ਹੈ।",
+  "retainer.englishOnly": "ਸਮਝੌਤਾ ਅੰਗਰੇਜ਼ੀ ਵਿੱਚ ਹੈ। ਕਿਸੇ ਵੀ ਹਿੱਸੇ ਨੂੰ ਸਮਝਣ ਲਈ ਮਦਦ ਚਾਹੀਦੀ ਹੋਵੇ ਤਾਂ ਸਾਨੂੰ ਪੁੱਛੋ।",
+  "retainer.services": "ਸੇਵਾਵਾਂ",
+  "retainer.professional": "ਪੇਸ਼ੇਵਰ ਫੀਸ",
+  "retainer.government": "ਸਰਕਾਰੀ ਫੀਸ (ਅੰਦਾਜ਼ਾ, ਸਿੱਧੀ ਸਰਕਾਰ ਨੂੰ ਦਿੱਤੀ ਜਾਂਦੀ ਹੈ)",
+  "retainer.installments": "ਭੁਗਤਾਨ ਸਮਾਂ-ਸੂਚੀ",
+  "retainer.item": "ਆਈਟਮ",
+  "retainer.qty": "ਗਿਣਤੀ",
+  "retainer.amount": "ਰਕਮ",
+  "retainer.total": "ਕੁੱਲ ਪੇਸ਼ੇਵਰ ਫੀਸ",
+  "retainer.governmentTotal": "ਅੰਦਾਜ਼ਨ ਸਰਕਾਰੀ ਫੀਸ",
+  "retainer.preview": "ਸਮਝੌਤੇ ਦੀ ਝਲਕ (PDF)",
+  "retainer.name": "ਤੁਹਾਡਾ ਪੂਰਾ ਕਾਨੂੰਨੀ ਨਾਮ",
+  "retainer.signature": "ਆਪਣੇ ਦਸਤਖਤ ਬਣਾਓ",
+  "retainer.clear": "ਮਿਟਾਓ",
+  "retainer.agree": "ਮੈਂ ਫੀਸ ਸੂਚੀ ਸਮੇਤ ਰਿਟੇਨਰ ਸਮਝੌਤਾ ਪੜ੍ਹ ਲਿਆ ਹੈ ਅਤੇ ਇਸ ਦੀਆਂ ਸ਼ਰਤਾਂ ਨਾਲ ਸਹਿਮਤ ਹਾਂ।",
+  "retainer.sign": "ਸਮਝੌਤੇ 'ਤੇ ਦਸਤਖਤ ਕਰੋ",
+  "retainer.signing": "ਦਸਤਖਤ ਹੋ ਰਹੇ ਹਨ…",
+  "retainer.nameRequired": "ਆਪਣਾ ਪੂਰਾ ਨਾਮ ਲਿਖੋ।",
+  "retainer.signatureRequired": "ਡੱਬੇ ਵਿੱਚ ਆਪਣੇ ਦਸਤਖਤ ਬਣਾਓ।",
+  "retainer.agreeRequired": "ਸਹਿਮਤੀ ਦੀ ਪੁਸ਼ਟੀ ਲਈ ਡੱਬੇ 'ਤੇ ਟਿੱਕ ਕਰੋ।",
+  "dashboard.billing": "ਇਨਵੌਇਸ ਅਤੇ ਭੁਗਤਾਨ",
+  "billing.none": "ਅਜੇ ਕੋਈ ਇਨਵੌਇਸ ਨਹੀਂ।",
+  "billing.balance": "ਬਕਾਇਆ ਰਕਮ: {amount}",
+  "billing.overdue": "{amount} ਦੀ ਮਿਆਦ ਲੰਘ ਚੁੱਕੀ ਹੈ।",
+  "billing.payOffline": "ਭੁਗਤਾਨ ਲਈ Interac e-Transfer ਭੇਜੋ ਜਾਂ ਸਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰੋ – ਔਨਲਾਈਨ ਭੁਗਤਾਨ ਇਸ ਵੇਲੇ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।",
+  "billing.testOutcome": "ਟੈਸਟ ਭੁਗਤਾਨ ਦਾ ਨਤੀਜਾ",
+  "billing.test.succeeded": "ਮਨਜ਼ੂਰ",
+  "billing.test.declined": "ਨਾਮਨਜ਼ੂਰ",
+  "billing.test.pending": "ਬਕਾਇਆ",
+  "billing.invoice": "ਇਨਵੌਇਸ {number}",
+  "billing.status.open": "ਖੁੱਲ੍ਹਾ",
+  "billing.status.paid": "ਭੁਗਤਾਨ ਹੋ ਗਿਆ",
+  "billing.status.void": "ਰੱਦ",
+  "billing.issued": "{date} ਨੂੰ ਜਾਰੀ",
+  "billing.due": "ਆਖਰੀ ਮਿਤੀ {date}",
+  "billing.remaining": "ਬਾਕੀ: {amount}",
+  "billing.processing": "ਭੁਗਤਾਨ ਪ੍ਰਕਿਰਿਆ ਵਿੱਚ ਹੈ",
+  "billing.pay": "{amount} ਦਾ ਭੁਗਤਾਨ ਕਰੋ",
+  "billing.invoicePdf": "ਇਨਵੌਇਸ (PDF)",
+  "billing.receipt": "ਰਸੀਦ {number}",
+  "billing.declined": "ਭੁਗਤਾਨ ਨਹੀਂ ਹੋ ਸਕਿਆ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ ਜਾਂ ਕੋਈ ਹੋਰ ਕਾਰਡ ਵਰਤੋ।",
+  "billing.thanks": "ਧੰਨਵਾਦ – ਤੁਹਾਡਾ ਭੁਗਤਾਨ ਮਿਲ ਗਿਆ (ਰਸੀਦ {receipt})।",
+  "household.role.principal": "ਮੁੱਖ ਬਿਨੈਕਾਰ",
+  "household.role.spouse": "ਜੀਵਨ ਸਾਥੀ / ਪਾਰਟਨਰ",
+  "household.role.dependant": "ਨਿਰਭਰ ਬੱਚਾ",
+  "dashboard.privacy": "ਤੁਹਾਡੀ ਪਰਦੇਦਾਰੀ",
+  "privacy.noConsent": "ਕੋਈ ਸਹਿਮਤੀ ਦਰਜ ਨਹੀਂ।",
+  "privacy.consentLine": "ਸੰਸਕਰਣ {version}, {when}:",
+  "privacy.confirmDeletion": "ਕੀ ਤੁਸੀਂ ਚਾਹੁੰਦੇ ਹੋ ਕਿ ਅਸੀਂ ਤੁਹਾਡੀ ਫ਼ਾਈਲ ਅਤੇ ਦਸਤਾਵੇਜ਼ ਮਿਟਾ ਦੇਈਏ? ਕੁਝ ਵੀ ਮਿਟਾਉਣ ਤੋਂ ਪਹਿਲਾਂ ਅਸੀਂ ਸੁਨੇਹੇ ਰਾਹੀਂ ਪੁਸ਼ਟੀ ਕਰਾਂਗੇ।",
+  "privacy.download": "ਮੇਰਾ ਡੇਟਾ ਡਾਊਨਲੋਡ ਕਰੋ (.zip)",
+  "privacy.requestDeletion": "ਮਿਟਾਉਣ ਦੀ ਬੇਨਤੀ ਕਰੋ",
+  "privacy.deletionRequested": "ਮਿਟਾਉਣ ਦੀ ਬੇਨਤੀ ਭੇਜੀ ਗਈ",
+
+  // --- Notifications ---
+  "notifications.intro": "ਚੁਣੋ ਕਿ ਤੁਹਾਡੀ ਫ਼ਾਈਲ ਵਿੱਚ ਕੁਝ ਹੋਣ 'ਤੇ ਅਸੀਂ ਤੁਹਾਨੂੰ ਕਿਵੇਂ ਦੱਸੀਏ। ਸੁਨੇਹੇ ਖ਼ੁਦ ਪੋਰਟਲ ਵਿੱਚ ਹੀ ਰਹਿੰਦੇ ਹਨ।",
+  "notifications.event": "ਘਟਨਾ",
+  "notifications.channel.email": "ਈਮੇਲ",
+  "notifications.channel.sms": "SMS",
+  "notifications.phone": "SMS ਲਈ ਮੋਬਾਈਲ ਨੰਬਰ",
+  "notifications.phoneInvalid": "ਦੇਸ਼ ਦੇ ਕੋਡ ਸਮੇਤ ਨੰਬਰ ਦਰਜ ਕਰੋ, ਜਿਵੇਂ +1 604 555 0123।",
+  "notifications.phoneRequired": "SMS ਪ੍ਰਾਪਤ ਕਰਨ ਲਈ ਮੋਬਾਈਲ ਨੰਬਰ ਜੋੜੋ।",
+  "notifications.save": "ਤਰਜੀਹਾਂ ਸੰਭਾਲੋ",
+  "notifications.saved": "ਸੰਭਾਲਿਆ ਗਿਆ",
+  "notifications.event.assessment_received": "ਮੁਲਾਂਕਣ ਪ੍ਰਾਪਤ ਹੋਇਆ",
+  "notifications.event.assessment_received.description": "ਜਦੋਂ ਤੁਹਾਡਾ ਯੋਗਤਾ ਮੁਲਾਂਕਣ ਸਾਡੇ ਤੱਕ ਪਹੁੰਚਦਾ ਹੈ, ਤਾਂ ਪੁਸ਼ਟੀ।",
+  "notifications.event.document_rejected": "ਦਸਤਾਵੇਜ਼ ਵੱਲ ਧਿਆਨ ਦਿਓ",
+  "notifications.event.document_rejected.description": "ਜਦੋਂ ਤੁਹਾਡੇ ਅੱਪਲੋਡ ਕੀਤੇ ਦਸਤਾਵੇਜ਼ ਨੂੰ ਬਦਲਣਾ ਪਵੇ।",
+  "notifications.event.status_changed": "ਫ਼ਾਈਲ ਦੀ ਸਥਿਤੀ ਵਿੱਚ ਤਬਦੀਲੀਆਂ",
+  "notifications.event.status_changed.description": "ਜਦੋਂ ਤੁਹਾਡੀ ਫ਼ਾਈਲ ਨਵੇਂ ਪੜਾਅ 'ਤੇ ਜਾਂਦੀ ਹੈ।",
+  "notifications.event.new_message": "ਨਵੇਂ ਸੁਨੇਹੇ",
+  "notifications.event.new_message.description": "ਜਦੋਂ ਤੁਹਾਡੀ RCIC ਟੀਮ ਤੁਹਾਨੂੰ ਸੁਨੇਹਾ ਭੇਜਦੀ ਹੈ।",
+  "notifications.event.appointment_reminder": "ਅਪਾਇੰਟਮੈਂਟ ਯਾਦ-ਦਹਾਨੀਆਂ",
+  "notifications.event.appointment_reminder.description": "ਬੁੱਕ ਕੀਤੇ ਸਲਾਹ-ਮਸ਼ਵਰੇ ਤੋਂ ਇੱਕ ਦਿਨ ਪਹਿਲਾਂ।",
+  "notifications.event.invoice_issued": "ਨਵੇਂ ਇਨਵੌਇਸ",
+  "notifications.event.invoice_issued.description": "ਜਦੋਂ ਅਸੀਂ ਤੁਹਾਨੂੰ ਇਨਵੌਇਸ ਭੇਜਦੇ ਹਾਂ।",
+  "notifications.event.payment_received": "ਭੁਗਤਾਨ ਰਸੀਦਾਂ",
+  "notifications.event.payment_received.description": "ਜਦੋਂ ਸਾਨੂੰ ਕੀਤਾ ਤੁਹਾਡਾ ਭੁਗਤਾਨ ਪੂਰਾ ਹੋ ਜਾਂਦਾ ਹੈ।",
+  // --- Emails and texts (lib/notifications.js) ---
+  "notify.footer": "ਚੁਣੋ ਕਿ ਤੁਹਾਨੂੰ ਕਿਹੜੀਆਂ ਸੂਚਨਾਵਾਂ ਮਿਲਣ: {url}",
+  "notify.greeting": "ਸਤ ਸ੍ਰੀ ਅਕਾਲ {name},",
+  "notify.hello": "ਸਤ ਸ੍ਰੀ ਅਕਾਲ,",
+  "notify.assessment_received.subject": "ਸਾਨੂੰ ਤੁਹਾਡਾ ਯੋਗਤਾ ਮੁਲਾਂਕਣ ਮਿਲ ਗਿਆ ਹੈ",
+  "notify.assessment_received.body": "ਧੰਨਵਾਦ – ਤੁਹਾਡਾ ਯੋਗਤਾ ਮੁਲਾਂਕਣ Peddle West Immigration ਨੂੰ ਮਿਲ ਗਿਆ ਹੈ।",
+  "notify.assessment_received.bodyProgram": "ਧੰਨਵਾਦ – ਤੁਹਾਡਾ {program} ਯੋਗਤਾ ਮੁਲਾਂਕਣ Peddle West Immigration ਨੂੰ ਮਿਲ ਗਿਆ ਹੈ।",
+  "notify.assessment_received.crs": "ਤੁਹਾਡਾ ਅਨੁਮਾਨਿਤ CRS ਸਕੋਰ {crsTotal} ਹੈ; ਤੁਹਾਡੇ ਦਸਤਾਵੇਜ਼ ਦੇਖਣ ਤੋਂ ਬਾਅਦ ਤੁਹਾਡੇ RCIC ਇਸਦੀ ਪੁਸ਼ਟੀ ਕਰਨਗੇ।",
+  "notify.assessment_received.next": "ਇੱਕ ਲਾਇਸੈਂਸਸ਼ੁਦਾ ਸਲਾਹਕਾਰ ਤੁਹਾਡੇ ਜਵਾਬਾਂ ਦੀ ਸਮੀਖਿਆ ਕਰੇਗਾ ਅਤੇ ਅਗਲੇ ਕਦਮਾਂ ਬਾਰੇ ਤੁਹਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰੇਗਾ। ਤੁਸੀਂ ਆਪਣੇ ਡੈਸ਼ਬੋਰਡ ਤੋਂ ਆਪਣੀ ਫ਼ਾਈਲ ਦੇਖ ਸਕਦੇ ਹੋ, ਦਸਤਾਵੇਜ਼ ਅੱਪਲੋਡ ਕਰ ਸਕਦੇ ਹੋ ਅਤੇ ਸਾਨੂੰ ਸੁਨੇਹਾ ਭੇਜ ਸਕਦੇ ਹੋ:\n{url}",
+  "notify.assessment_received.sms": "Peddle West: ਸਾਨੂੰ ਤੁਹਾਡਾ ਯੋਗਤਾ ਮੁਲਾਂਕਣ ਮਿਲ ਗਿਆ ਹੈ; ਅਗਲੇ ਕਦਮਾਂ ਬਾਰੇ ਅਸੀਂ ਤੁਹਾਡੇ ਨਾਲ ਸੰਪਰਕ ਕਰਾਂਗੇ।",
+  "notify.document_rejected.subject": "ਕਿਰਪਾ ਕਰਕੇ ਨਵੀਂ ਕਾਪੀ ਅੱਪਲੋਡ ਕਰੋ: {document}",
+  "notify.document_rejected.body": "ਅਸੀਂ \"{document}\" ਦੀ ਸਮੀਖਿਆ ਕੀਤੀ ਹੈ ਅਤੇ ਸਾਨੂੰ ਇਸਦੀ ਨਵੀਂ ਕਾਪੀ ਚਾਹੀਦੀ ਹੈ।",
+  "notify.document_rejected.reason": "ਕਾਰਨ: {reason}",
+  "notify.document_rejected.next": "ਕਿਰਪਾ ਕਰਕੇ ਆਪਣੇ ਪੋਰਟਲ ਤੋਂ ਨਵੀਂ ਕਾਪੀ ਅੱਪਲੋਡ ਕਰੋ:\n{url}",
+  "notify.document_rejected.sms": "Peddle West: \"{document}\" ਦੀ ਨਵੀਂ ਕਾਪੀ ਚਾਹੀਦੀ ਹੈ। ਵੇਰਵੇ ਤੁਹਾਡੇ ਪੋਰਟਲ ਵਿੱਚ ਹਨ।",
+  "notify.status_changed.subject": "ਤੁਹਾਡੀ ਫ਼ਾਈਲ ਹੁਣ ਇਸ ਪੜਾਅ ਵਿੱਚ ਹੈ: {status}",
+  "notify.status_changed.body": "Peddle West Immigration ਵਿੱਚ ਤੁਹਾਡੀ ਫ਼ਾਈਲ \"{status}\" ਪੜਾਅ ਵਿੱਚ ਪਹੁੰਚ ਗਈ ਹੈ।",
+  "notify.status_changed.note": "ਤੁਹਾਡੇ RCIC ਦੀ ਟਿੱਪਣੀ: {note}",
+  "notify.status_changed.next": "ਆਪਣੀ ਸਮਾਂ-ਰੇਖਾ ਅਤੇ ਅਗਲੇ ਕਦਮ ਦੇਖੋ:\n{url}",
+  "notify.status_changed.sms": "Peddle West: ਤੁਹਾਡੀ ਫ਼ਾਈਲ ਹੁਣ \"{status}\" ਪੜਾਅ ਵਿੱਚ ਹੈ। ਵੇਰਵੇ ਤੁਹਾਡੇ ਪੋਰਟਲ ਵਿੱਚ ਹਨ।",
+  "notify.new_message.team": "ਤੁਹਾਡੀ RCIC ਟੀਮ",
+  "notify.new_message.subject": "ਨਵਾਂ ਸੁਨੇਹਾ: {subject}",
+  "notify.new_message.body": "{from} ਨੇ \"{subject}\" ਵਿੱਚ ਇੱਕ ਸੁਨੇਹਾ ਭੇਜਿਆ ਹੈ।",
+  "notify.new_message.next": "ਤੁਹਾਡੀ ਨਿੱਜਤਾ ਲਈ ਸੁਨੇਹਾ ਸਿਰਫ਼ ਪੋਰਟਲ ਵਿੱਚ ਦਿਖਾਇਆ ਜਾਂਦਾ ਹੈ:\n{url}",
+  "notify.new_message.sms": "Peddle West: {from} ਵੱਲੋਂ ਨਵਾਂ ਸੁਨੇਹਾ। ਇਸਨੂੰ ਆਪਣੇ ਪੋਰਟਲ ਵਿੱਚ ਪੜ੍ਹੋ।",
+  "notify.appointment_reminder.subject": "ਯਾਦ-ਦਹਾਨੀ: {when} ਨੂੰ {type}",
+  "notify.appointment_reminder.body": "ਇਹ {when} ({timeZone}) ਨੂੰ ਤੁਹਾਡੀ {type} ਦੀ ਯਾਦ-ਦਹਾਨੀ ਹੈ।",
+  "notify.appointment_reminder.next": "ਬਦਲਣਾ ਹੈ? ਆਪਣੇ ਡੈਸ਼ਬੋਰਡ ਤੋਂ ਆਪਣੀ ਮੁਲਾਕਾਤ ਦਾ ਪ੍ਰਬੰਧ ਕਰੋ:\n{url}",
+  "notify.appointment_reminder.sms": "Peddle West ਯਾਦ-ਦਹਾਨੀ: {when} ({timeZone}) ਨੂੰ {type}।",
+  "notify.invoice_issued.subject": "ਇਨਵੌਇਸ {number}: {total}",
+  "notify.invoice_issued.body": "{total} ਦਾ ਇਨਵੌਇਸ {number} ਤਿਆਰ ਹੈ।",
+  "notify.invoice_issued.bodyDue": "{total} ਦਾ ਇਨਵੌਇਸ {number} ਤਿਆਰ ਹੈ ਅਤੇ ਇਸਦੀ ਆਖਰੀ ਤਾਰੀਖ {dueDate} ਹੈ।",
+  "notify.invoice_issued.next": "ਆਪਣੇ ਡੈਸ਼ਬੋਰਡ ਤੋਂ ਵੇਰਵੇ ਦੇਖੋ ਅਤੇ ਭੁਗਤਾਨ ਕਰੋ:\n{url}",
+  "notify.invoice_issued.sms": "Peddle West: {total} ਦਾ ਇਨਵੌਇਸ {number} ਤੁਹਾਡੇ ਪੋਰਟਲ ਵਿੱਚ ਹੈ।",
+  "notify.payment_received.subject": "ਰਸੀਦ {receipt}: {amount} ਦਾ ਭੁਗਤਾਨ ਮਿਲ ਗਿਆ",
+  "notify.payment_received.body": "ਧੰਨਵਾਦ – ਸਾਨੂੰ ਇਨਵੌਇਸ {number} ਲਈ ਤੁਹਾਡਾ {amount} ਦਾ ਭੁਗਤਾਨ ਮਿਲ ਗਿਆ ਹੈ (ਰਸੀਦ {receipt})।",
+  "notify.payment_received.balance": "ਬਾਕੀ ਰਕਮ {balance} ਹੈ।",
+  "notify.payment_received.paid": "ਇਨਵੌਇਸ ਦਾ ਪੂਰਾ ਭੁਗਤਾਨ ਹੋ ਗਿਆ ਹੈ।",
+  "notify.payment_received.next": "ਤੁਸੀਂ ਆਪਣੇ ਡੈਸ਼ਬੋਰਡ ਤੋਂ ਰਸੀਦ ਡਾਊਨਲੋਡ ਕਰ ਸਕਦੇ ਹੋ:\n{url}",
+  "notify.payment_received.sms": "Peddle West: {amount} ਦਾ ਭੁਗਤਾਨ ਮਿਲ ਗਿਆ, ਰਸੀਦ {receipt}। ਧੰਨਵਾਦ!",
+
+  // --- Sign-in ---
+  "login.tab.password": "ਪਾਸਵਰਡ",
+  "login.tab.code": "ਈਮੇਲ ਕੋਡ",
+  "login.tab.register": "ਖਾਤਾ ਬਣਾਓ",
+  "login.email": "ਈਮੇਲ",
+  "login.name": "ਨਾਮ",
+  "login.password": "ਪਾਸਵਰਡ",
+  "login.passwordHint": "ਘੱਟੋ-ਘੱਟ 10 ਅੱਖਰ।",
+  "login.code": "6 ਅੰਕਾਂ ਦਾ ਕੋਡ",
+  "login.codeSent": "ਅਸੀਂ ਤੁਹਾਨੂੰ ਇੱਕ ਕੋਡ ਅਤੇ ਸਾਈਨ-ਇਨ ਲਿੰਕ ਈਮੇਲ ਕੀਤਾ ਹੈ।",
+  "login.registerSent": "ਅਸੀਂ ਤੁਹਾਨੂੰ ਇੱਕ ਕੋਡ ਈਮੇਲ ਕੀਤਾ ਹੈ। ਆਪਣਾ ਪਤਾ ਪੱਕਾ ਕਰਨ ਅਤੇ ਖਾਤਾ ਬਣਾਉਣਾ ਪੂਰਾ ਕਰਨ ਲਈ ਇਸਨੂੰ ਦਰਜ ਕਰੋ।",
+  "login.emailCode": "ਮੈਨੂੰ ਕੋਡ ਈਮੇਲ ਕਰੋ",
+  "login.failed": "ਸਾਈਨ ਇਨ ਨਹੀਂ ਹੋ ਸਕਿਆ।",
+};
@@ -0,0 +1,209 @@
+/**
+ * Client notifications – events, preferences and message templates
+ * ---------------------------------------------------------------------------
+ * Pure definitions shared by server/notifications.js (which renders and
+ * sends) and the dashboard's preference toggles.
+ *
+ *  - Every event can go out by email and by SMS. Email is on by default;
+ *    SMS is opt-in and needs a phone number in E.164 form (+16045550123).
+ *  - Templates only say that something happened and link back to the
+ *    portal. Message bodies and document contents never leave the portal
+ *    by email or text.
+ *  - They are rendered in the recipient's language (`locale` in the
+ *    preferences, kept in step with the portal's language switcher) through
+ *    the UI's catalogues (`notify.*` keys); the English here is the fallback.
+ */
+import { CATALOGS } from "./locales/index.js";
+import { createTranslator, DEFAULT_LOCALE, formatDate, LOCALES } from "./i18n.js";
+import { formatMoney } from "./billing.js";
+import { ruleKey } from "./checklist.js";
+
+export const NOTIFICATION_EVENTS = {
+  assessment_received: {
+    label: "Assessment received",
+    description: "Confirmation when your eligibility assessment reaches us.",
+  },
+  document_rejected: {
+    label: "Document needs attention",
+    description: "When a document you uploaded has to be replaced.",
+  },
+  status_changed: {
+    label: "File status changes",
+    description: "When your file moves to a new stage.",
+  },
+  new_message: {
+    label: "New messages",
+    description: "When your RCIC team sends you a message.",
+  },
+  appointment_reminder: {
+    label: "Appointment reminders",
+    description: "The day before a booked consultation.",
+  },
+  invoice_issued: {
+    label: "New invoices",
+    description: "When we send you an invoice.",
+  },
+  payment_received: {
+    label: "Payment receipts",
+    description: "When a payment to us goes through.",
+  },
+};
+
+export const NOTIFICATION_CHANNELS = ["email", "sms"];
+
+const PHONE_RE = /^\+[1-9]\d{7,14}$/;
+
+/** Strips spaces, dashes, dots and brackets; returns "" for an empty input. */
+export const normalizePhone = (v) => String(v || "").replace(/[\s().-]/g, "");
+export const isPhone = (v) => PHONE_RE.test(normalizePhone(v));
+
+export function defaultPreferences() {
+  const on = (value) => Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map((k) => [k, value]));
+  return { phone: "", locale: DEFAULT_LOCALE, email: on(true), sms: on(false) };
+}
+
+/**
+ * Merges a (partial) preferences update into `base`. Unknown events,
+ * non-boolean toggles and unsupported locales are ignored. Returns { preferences, error }.
+ */
+export function mergePreferences(base, input = {}) {
+  const next = structuredClone(base || defaultPreferences());
+  NOTIFICATION_CHANNELS.forEach((channel) => {
+    Object.keys(NOTIFICATION_EVENTS).forEach((event) => {
+      const value = input[channel]?.[event];
+      if (typeof value === "boolean") next[channel][event] = value;
+    });
+  });
+  if (Object.hasOwn(LOCALES, input.locale ?? "")) next.locale = input.locale;
+  if (input.phone !== undefined) next.phone = normalizePhone(input.phone);
+  if (next.phone && !PHONE_RE.test(next.phone)) return { preferences: base, error: "Enter the phone number with its country code, e.g. +1 604 555 0123." };
+  if (!next.phone && Object.values(next.sms).some(Boolean)) return { preferences: base, error: "Add a phone number to receive text messages." };
+  return { preferences: next, error: null };
+}
+
+const footer = (t, appUrl) => `\n\n—\nPeddle West Immigration\n${t("notify.footer", { url: `${appUrl}/#dashboard` }, "Choose which notifications you receive: {url}")}`;
+const greeting = (t, name) => (name ? t("notify.greeting", { name }, "Hi {name},") : t("notify.hello", {}, "Hello,"));
+const paragraphs = (...parts) => parts.filter(Boolean).join("\n\n");
+const sentences = (...parts) => parts.filter(Boolean).join(" ");
+
+// Standard checklist items are named as in the portal (App.jsx checklistText); custom ones as staff typed them
+function documentLabel(t, { document, documentKey }) {
+  if (!documentKey) return document;
+  const [head, ...entry] = document.split(" – ");
+  return [t(`checklist.${ruleKey(documentKey)}`, {}, head), ...entry].join(" – ");
+}
+
+const statusLabel = (t, { status, outcome }) => (outcome
+  ? `${t(`case.status.${status}`, {}, status)} – ${t(`case.outcome.${outcome}`, {}, outcome)}`
+  : t(`case.status.${status}`, {}, status));
+
+// Each template returns { subject, text, sms }; `v.appUrl` is always set. Amounts are in cents
+const TEMPLATES = {
+  assessment_received: (v, t) => ({
+    subject: t("notify.assessment_received.subject", {}, "We received your eligibility assessment"),
+    text: paragraphs(
+      greeting(t, v.name),
+      sentences(
+        v.program
+          ? t("notify.assessment_received.bodyProgram", { program: v.program }, "Thank you – your {program} eligibility assessment reached Peddle West Immigration.")
+          : t("notify.assessment_received.body", {}, "Thank you – your eligibility assessment reached Peddle West Immigration."),
+        v.crsTotal != null && t("notify.assessment_received.crs", { crsTotal: v.crsTotal }, "Your estimated CRS score is {crsTotal}; your RCIC will confirm it after reviewing your documents."),
+      ),
+      t("notify.assessment_received.next", { url: `${v.appUrl}/#dashboard` },
+        "A licensed consultant will review your answers and contact you about next steps. You can follow your file, upload documents and message us from your dashboard:\n{url}"),
+    ),
+    sms: t("notify.assessment_received.sms", {}, "Peddle West: we received your eligibility assessment and will be in touch about next steps."),
+  }),
+  document_rejected: (v, t) => {
+    const vars = { document: documentLabel(t, v), reason: v.reason, url: `${v.appUrl}/#uploads` };
+    return {
+      subject: t("notify.document_rejected.subject", vars, "Please upload a new copy: {document}"),
+      text: paragraphs(
+        greeting(t, v.name),
+        t("notify.document_rejected.body", vars, "We reviewed \"{document}\" and need a new copy."),
+        t("notify.document_rejected.reason", vars, "Reason: {reason}"),
+        t("notify.document_rejected.next", vars, "Please upload a replacement from your portal:\n{url}"),
+      ),
+      sms: t("notify.document_rejected.sms", vars, "Peddle West: \"{document}\" needs a new copy. Details in your portal."),
+    };
+  },
+  status_changed: (v, t) => {
+    const vars = { status: statusLabel(t, v), note: v.note, url: `${v.appUrl}/#dashboard` };
+    return {
+      subject: t("notify.status_changed.subject", vars, "Your file is now: {status}"),
+      text: paragraphs(
+        greeting(t, v.name),
+        t("notify.status_changed.body", vars, "Your file with Peddle West Immigration moved to \"{status}\"."),
+        v.note && t("notify.status_changed.note", vars, "Note from your RCIC: {note}"),
+        t("notify.status_changed.next", vars, "See your timeline and next steps:\n{url}"),
+      ),
+      sms: t("notify.status_changed.sms", vars, "Peddle West: your file is now \"{status}\". Details in your portal."),
+    };
+  },
+  new_message: (v, t) => {
+    const vars = { subject: v.subject, from: v.from || t("notify.new_message.team", {}, "Your RCIC team"), url: v.link || `${v.appUrl}/#messages` };
+    return {
+      subject: t("notify.new_message.subject", vars, "New message: {subject}"),
+      text: paragraphs(
+        greeting(t, v.name),
+        t("notify.new_message.body", vars, "{from} sent a message in \"{subject}\"."),
+        t("notify.new_message.next", vars, "For your privacy the message is only shown in the portal:\n{url}"),
+      ),
+      sms: t("notify.new_message.sms", vars, "Peddle West: new message from {from}. Read it in your portal."),
+    };
+  },
+  appointment_reminder: (v, t, locale) => {
+    const vars = { type: v.type, when: formatDate(v.startsAt, locale, "long", v.timeZone), timeZone: v.timeZone, url: `${v.appUrl}/#dashboard` };
+    return {
+      subject: t("notify.appointment_reminder.subject", vars, "Reminder: {type} on {when}"),
+      text: paragraphs(
+        greeting(t, v.name),
+        [t("notify.appointment_reminder.body", vars, "This is a reminder of your {type} on {when} ({timeZone})."), v.location].filter(Boolean).join("\n"),
+        t("notify.appointment_reminder.next", vars, "Need to change it? Manage your appointment from your dashboard:\n{url}"),
+      ),
+      sms: t("notify.appointment_reminder.sms", vars, "Peddle West reminder: {type} on {when} ({timeZone})."),
+    };
+  },
+  invoice_issued: (v, t, locale) => {
+    const vars = { number: v.number, total: formatMoney(v.total, LOCALES[locale].tag), dueDate: formatDate(v.dueDate, locale, "date"), url: `${v.appUrl}/#billing` };
+    return {
+      subject: t("notify.invoice_issued.subject", vars, "Invoice {number}: {total}"),
+      text: paragraphs(
+        greeting(t, v.name),
+        v.dueDate
+          ? t("notify.invoice_issued.bodyDue", vars, "Invoice {number} for {total} is ready and due on {dueDate}.")
+          : t("notify.invoice_issued.body", vars, "Invoice {number} for {total} is ready."),
+        t("notify.invoice_issued.next", vars, "See the details and pay from your dashboard:\n{url}"),
+      ),
+      sms: t("notify.invoice_issued.sms", vars, "Peddle West: invoice {number} for {total} is in your portal."),
+    };
+  },
+  payment_received: (v, t, locale) => {
+    const money = (cents) => formatMoney(cents, LOCALES[locale].tag);
+    const vars = { number: v.number, receipt: v.receipt, amount: money(v.amount), balance: money(v.balance), url: `${v.appUrl}/#billing` };
+    return {
+      subject: t("notify.payment_received.subject", vars, "Receipt {receipt}: payment of {amount} received"),
+      text: paragraphs(
+        greeting(t, v.name),
+        sentences(
+          t("notify.payment_received.body", vars, "Thank you – we received your payment of {amount} towards invoice {number} (receipt {receipt})."),
+          v.balance
+            ? t("notify.payment_received.balance", vars, "The remaining balance is {balance}.")
+            : t("notify.payment_received.paid", vars, "The invoice is now paid in full."),
+        ),
+        t("notify.payment_received.next", vars, "You can download the receipt from your dashboard:\n{url}"),
+      ),
+      sms: t("notify.payment_received.sms", vars, "Peddle West: payment of {amount} received, receipt {receipt}. Thank you!"),
+    };
+  },
+};
+
+/** Renders one event in `locale` (English for an unsupported one); throws for an unknown event. */
+export function renderNotification(event, vars, locale = DEFAULT_LOCALE) {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`Unknown notification event: ${event}`);
+  const lang = Object.hasOwn(LOCALES, locale) ? locale : DEFAULT_LOCALE;
+  const t = createTranslator(lang, CATALOGS);
+  const out = template(vars, t, lang);
+  return { ...out, text: out.text + footer(t, vars.appUrl) };
+}
@@ -0,0 +1,300 @@
+/**
+ * Branded PDF documents, drawn in the browser
+ * ---------------------------------------------------------------------------
+ *  - assessmentSummaryPdf: the client's answers (and CRS estimate) as a
+ *    printable summary.
+ *  - retainerPdf: the retainer agreement pre-filled from the assessment, with
+ *    the fee schedule (lib/retainer.js) and the client's drawn signature.
+ *  - invoicePdf / receiptPdf: an invoice with its payments, and the receipt
+ *    for one settled payment (amounts in cents, lib/billing.js).
+ *
+ * The caller passes in the jsPDF class (App.jsx loads it on demand, like
+ * xlsx) and the brand colours, so this module has no dependencies of its own.
+ * The built-in Helvetica font only covers Latin script, so documents are in
+ * English whatever language the portal is shown in.
+ */
+
+import { answerSections, questionnaireFor } from "./formSchema.js";
+import { FIRM, RETAINER_CLAUSES } from "./retainer.js";
+import { formatMoney, LINE_CATEGORIES, PAYMENT_METHODS, TAX_REGIONS } from "./billing.js";
+
+const MARGIN = 48;
+const HEADER = 64;
+const FOOTER = 40;
+const WHITE = "#FFFFFF";
+const MUTED = "#6B7280";
+const RULE = "#D1D5DB";
+
+const day = (iso) => new Date(iso).toLocaleDateString("en-CA", { year: "numeric", month: "long", day: "numeric" });
+const clientName = (data) => [data.contact?.firstName, data.contact?.lastName].filter(Boolean).join(" ");
+
+/** Page layout helpers over one jsPDF document: a cursor that adds pages as needed. */
+function createWriter(JsPDF, { brand, title }) {
+  const doc = new JsPDF({ unit: "pt", format: "letter" });
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const inner = width - 2 * MARGIN;
+  let y = 0;
+
+  const font = (size, style = "normal", color = brand.text) => {
+    doc.setFont("helvetica", style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+  };
+
+  function header() {
+    doc.setFillColor(brand.primary);
+    doc.rect(0, 0, width, HEADER, "F");
+    font(16, "bold", WHITE);
+    doc.text(FIRM.name, MARGIN, 30);
+    font(10, "normal", WHITE);
+    doc.text(title, MARGIN, 48);
+    doc.text(`RCIC licence ${FIRM.licence}`, width - MARGIN, 48, { align: "right" });
+    y = HEADER + 32;
+  }
+
+  const ensure = (h) => {
+    if (y + h <= height - FOOTER - 16) return;
+    doc.addPage();
+    header();
+  };
+
+  function heading(text) {
+    ensure(40);
+    y += 6;
+    font(12, "bold", brand.primary);
+    doc.text(text, MARGIN, y);
+    y += 6;
+    doc.setDrawColor(brand.accent);
+    doc.setLineWidth(1);
+    doc.line(MARGIN, y, width - MARGIN, y);
+    y += 16;
+  }
+
+  function paragraph(text, { size = 10, style = "normal", color = brand.text, gap = 8 } = {}) {
+    font(size, style, color);
+    doc.splitTextToSize(text, inner).forEach((line) => {
+      ensure(size + 4);
+      doc.text(line, MARGIN, y);
+      y += size + 4;
+    });
+    y += gap;
+  }
+
+  /** Label / value rows; `{ heading }` rows start a sub-group. */
+  function pairs(rows) {
+    const labelWidth = inner * 0.42;
+    rows.forEach((r) => {
+      if (r.heading) {
+        ensure(28);
+        y += 4;
+        font(10, "bold");
+        doc.text(r.heading, MARGIN, y);
+        y += 16;
+        return;
+      }
+      font(10);
+      const label = doc.splitTextToSize(r.label, labelWidth - 8);
+      const value = doc.splitTextToSize(String(r.value), inner - labelWidth);
+      const h = Math.max(label.length, value.length) * 13;
+      ensure(h);
+      font(10, "normal", MUTED);
+      doc.text(label, MARGIN, y);
+      font(10);
+      doc.text(value, MARGIN + labelWidth, y);
+      y += h + 3;
+    });
+    y += 6;
+  }
+
+  /**
+   * columns: [{ label, width (share of the line), align }]; rows: arrays of
+   * strings, or { cells, bold } for subtotal lines.
+   */
+  function table(columns, rows) {
+    const xs = columns.reduce((acc, c, i) => [...acc, acc[i] + c.width * inner], [MARGIN]);
+    const cellX = (i) => (columns[i].align === "right" ? xs[i + 1] - 4 : xs[i] + 4);
+    const line = (cells, style, fill) => {
+      font(10, style);
+      const wrapped = cells.map((c, i) => doc.splitTextToSize(String(c), columns[i].width * inner - 8));
+      const h = Math.max(...wrapped.map((w) => w.length)) * 13 + 6;
+      ensure(h);
+      if (fill) {
+        doc.setFillColor(fill);
+        doc.rect(MARGIN, y - 11, inner, h, "F");
+      }
+      wrapped.forEach((w, i) => doc.text(w, cellX(i), y, { align: columns[i].align || "left" }));
+      y += h;
+      doc.setDrawColor(RULE);
+      doc.setLineWidth(0.5);
+      doc.line(MARGIN, y - 11, width - MARGIN, y - 11);
+    };
+    line(columns.map((c) => c.label), "bold", "#F3F4F6");
+    rows.forEach((r) => (Array.isArray(r) ? line(r, "normal") : line(r.cells, r.bold ? "bold" : "normal")));
+    y += 10;
+  }
+
+  function image(dataUrl, w, h) {
+    ensure(h);
+    doc.addImage(dataUrl, "PNG", MARGIN, y, w, h);
+    y += h + 4;
+  }
+
+  /** Draws the footer on every page and returns the document as a Blob. */
+  function finish() {
+    const pages = doc.getNumberOfPages();
+    for (let i = 1; i <= pages; i++) {
+      doc.setPage(i);
+      font(8, "normal", MUTED);
+      doc.text(`${FIRM.name} · ${FIRM.address} · ${FIRM.email}`, MARGIN, height - FOOTER / 2);
+      doc.text(`Page ${i} of ${pages}`, width - MARGIN, height - FOOTER / 2, { align: "right" });
+    }
+    return doc.output("blob");
+  }
+
+  header();
+  return { heading, paragraph, pairs, table, image, space: (n) => { y += n; }, finish };
+}
+
+/**
+ * Printable summary of one assessment. `crs` is the scoreAssessment result
+ * for programs scored with the CRS, else null.
+ */
+export function assessmentSummaryPdf(JsPDF, { brand, data, crs = null, date = new Date().toISOString() }) {
+  const w = createWriter(JsPDF, { brand, title: "Eligibility assessment summary" });
+  const program = data.interest?.program || "Express Entry";
+  w.paragraph(`Prepared for ${clientName(data) || "the applicant"} on ${day(date)}.`, { size: 11 });
+  w.paragraph(`Program of interest: ${program}`, { style: "bold" });
+  if (crs) {
+    w.heading("Comprehensive Ranking System (CRS) estimate");
+    w.table([{ label: "Factor", width: 0.7 }, { label: "Points", width: 0.3, align: "right" }], [
+      ["Core / human capital", crs.core],
+      ["Spouse or partner", crs.spouse],
+      ["Skill transferability", crs.transferability],
+      ["Additional points", crs.additional],
+      { cells: ["Total", crs.total], bold: true },
+    ]);
+    w.paragraph(`Estimate using the CRS rules of ${crs.version}; the official score is calculated by IRCC.`, { size: 8, color: MUTED });
+  }
+  answerSections(questionnaireFor(program), data).forEach((s) => {
+    w.heading(s.title);
+    w.pairs(s.rows);
+  });
+  w.paragraph("This summary restates your answers and an estimate based on them. It is not legal advice and does not guarantee the outcome of any application.",
+    { size: 8, color: MUTED });
+  return w.finish();
+}
+
+/**
+ * The retainer agreement for `data` with its fee schedule (feeSchedule in
+ * lib/retainer.js). With `signature` ({ name, image: PNG data URL, signedAt })
+ * the client's signature is drawn in; without it the signature lines are
+ * left blank.
+ */
+export function retainerPdf(JsPDF, { brand, data, fees, signature = null }) {
+  const w = createWriter(JsPDF, { brand, title: `Retainer agreement · version ${fees.version}` });
+  const name = clientName(data) || signature?.name || "";
+  w.paragraph("This agreement is between:", { style: "bold" });
+  w.pairs([
+    { label: "RCIC", value: `${FIRM.rcic} (licence ${FIRM.licence}), ${FIRM.address}` },
+    { label: "Client", value: [name, data.contact?.email, data.contact?.phone].filter(Boolean).join(", ") },
+    { label: "Matter", value: fees.program },
+  ]);
+
+  w.heading("1. Services");
+  w.paragraph(fees.services);
+  w.paragraph(RETAINER_CLAUSES[0].text);
+
+  w.heading("2. Fee schedule");
+  const money = [{ label: "Item", width: 0.58 }, { label: "Rate", width: 0.16, align: "right" }, { label: "Qty", width: 0.08, align: "right" }, { label: "Amount", width: 0.18, align: "right" }];
+  const lines = (list) => list.map((l) => [l.label, formatMoney(l.amount), l.qty, formatMoney(l.total)]);
+  w.paragraph("Professional fees", { style: "bold", gap: 4 });
+  w.table(money, [
+    ...lines(fees.professional),
+    { cells: ["Subtotal", "", "", formatMoney(fees.subtotal)] },
+    ...fees.taxes.map((t) => ({ cells: [`${t.label} – ${TAX_REGIONS[fees.region]?.label || fees.region}`, "", "", formatMoney(t.amount)] })),
+    { cells: ["Total professional fees", "", "", formatMoney(fees.professionalTotal)], bold: true },
+  ]);
+  w.paragraph("Payment schedule", { style: "bold", gap: 4 });
+  w.table([{ label: "Due", width: 0.82 }, { label: "Amount", width: 0.18, align: "right" }], fees.installments.map((i) => [i.label, formatMoney(i.amount)]));
+  w.paragraph("Government fees (estimate, paid directly to the government)", { style: "bold", gap: 4 });
+  w.table(money, [...lines(fees.government), { cells: ["Estimated government fees", "", "", formatMoney(fees.governmentTotal)], bold: true }]);
+
+  RETAINER_CLAUSES.slice(1).forEach((c, i) => {
+    w.heading(`${i + 3}. ${c.title}`);
+    w.paragraph(c.text);
+  });
+
+  w.heading("Signatures");
+  w.paragraph("By signing, the Client confirms they have read this agreement, including the fee schedule, and agree to its terms.");
+  if (signature) {
+    w.image(signature.image, 180, 60);
+    w.pairs([
+      { label: "Client", value: signature.name },
+      { label: "Signed electronically", value: `${day(signature.signedAt)} through the ${FIRM.name} client portal` },
+    ]);
+  } else {
+    w.space(40);
+    w.pairs([{ label: "Client signature and date", value: "______________________________" }]);
+  }
+  w.pairs([{ label: "RCIC", value: `${FIRM.rcic}, licence ${FIRM.licence}` }]);
+  return w.finish();
+}
+
+const billedTo = (client) => [client?.name, client?.email].filter(Boolean).join(", ") || "Client";
+
+/**
+ * An invoice (as returned by the API, with its payments) for `client`
+ * ({ name, email }), showing the balance still owed.
+ */
+export function invoicePdf(JsPDF, { brand, invoice, client }) {
+  const w = createWriter(JsPDF, { brand, title: `Invoice ${invoice.number}` });
+  w.pairs([
+    { label: "Billed to", value: billedTo(client) },
+    { label: "Invoice number", value: invoice.number },
+    { label: "Issued", value: day(invoice.createdAt) },
+    { label: "Due", value: day(`${invoice.dueDate}T12:00:00Z`) },
+    { label: "Place of supply", value: TAX_REGIONS[invoice.region]?.label || invoice.region },
+    { label: "GST/HST registration", value: FIRM.taxNumber },
+  ]);
+  if (invoice.status === "void") w.paragraph(`VOID – ${invoice.voidReason || "cancelled"}`, { size: 12, style: "bold", color: "#B91C1C" });
+
+  w.heading("Charges");
+  w.table([{ label: "Description", width: 0.5 }, { label: "Category", width: 0.16 }, { label: "Rate", width: 0.13, align: "right" }, { label: "Qty", width: 0.06, align: "right" }, { label: "Amount", width: 0.15, align: "right" }], [
+    ...invoice.lines.map((l) => [l.description, LINE_CATEGORIES[l.category]?.label || l.category, formatMoney(l.unitAmount), l.quantity, formatMoney(l.amount)]),
+    { cells: ["Subtotal", "", "", "", formatMoney(invoice.subtotal)] },
+    ...invoice.taxes.map((t) => ({ cells: [t.label, "", "", "", formatMoney(t.amount)] })),
+    { cells: ["Total", "", "", "", formatMoney(invoice.total)], bold: true },
+  ]);
+  w.paragraph("Government fees are passed through at cost and are not taxed.", { size: 8, color: MUTED });
+
+  const paid = invoice.payments.filter((p) => p.status === "succeeded");
+  if (paid.length) {
+    w.heading("Payments");
+    w.table([{ label: "Date", width: 0.3 }, { label: "Method", width: 0.3 }, { label: "Receipt", width: 0.22 }, { label: "Amount", width: 0.18, align: "right" }],
+      paid.map((p) => [day(p.settledAt), PAYMENT_METHODS[p.method] || p.method, p.receiptNumber, formatMoney(p.amount)]));
+  }
+  w.pairs([{ label: "Balance due", value: formatMoney(invoice.balance) }]);
+  if (invoice.notes) w.paragraph(invoice.notes);
+  w.paragraph(`Pay online in the client portal, or by Interac e-Transfer to ${FIRM.email} quoting ${invoice.number}.`, { size: 9, color: MUTED });
+  return w.finish();
+}
+
+/** The receipt for one settled `payment` against `invoice`. */
+export function receiptPdf(JsPDF, { brand, invoice, payment, client }) {
+  const w = createWriter(JsPDF, { brand, title: `Receipt ${payment.receiptNumber}` });
+  // The balance as it stood after this payment, whenever the receipt is printed
+  const paidSoFar = invoice.payments.filter((p) => p.status === "succeeded" && p.settledAt <= payment.settledAt).reduce((s, p) => s + p.amount, 0);
+  w.paragraph(`Payment received with thanks – ${formatMoney(payment.amount)}`, { size: 14, style: "bold", color: brand.primary });
+  w.pairs([
+    { label: "Received from", value: billedTo(client) },
+    { label: "Receipt number", value: payment.receiptNumber },
+    { label: "Date received", value: day(payment.settledAt) },
+    { label: "Method", value: PAYMENT_METHODS[payment.method] || payment.method },
+    { label: "Applied to", value: `Invoice ${invoice.number} (${formatMoney(invoice.total)}, issued ${day(invoice.createdAt)})` },
+    { label: "Balance after this payment", value: formatMoney(Math.max(0, invoice.total - paidSoFar)) },
+    { label: "GST/HST registration", value: FIRM.taxNumber },
+  ]);
+  w.paragraph("Keep this receipt for your records.", { size: 8, color: MUTED });
+  return w.finish();
+}
@@ -0,0 +1,212 @@
+/**
+ * Retainer agreement: firm details, terms and fee schedules
+ * ---------------------------------------------------------------------------
+ * Shared by the browser (which renders the agreement as a PDF, see
+ * lib/pdfDocuments.js) and the API server (which records what was signed).
+ *
+ * Terms are versioned like the privacy notice: change RETAINER_CLAUSES or a
+ * fee schedule and bump RETAINER_VERSION; the server refuses signatures on
+ * an older version so nobody signs terms we no longer offer.
+ *
+ * Fee schedule lines: { label, amount, per } where `per` is omitted (once
+ * per file), "spouse" (accompanying partner), "dependant" (each
+ * accompanying child) or "person" (everyone on the application), with an
+ * optional family `max`. Amounts are integer cents (CAD), as in
+ * lib/billing.js. Professional fees are taxed like an invoice for the
+ * client's province of residence (contact.province), or the firm's own
+ * province for assessments that do not have one; government fees are
+ * estimates paid directly to IRCC or the province.
+ */
+
+import { spouseAccompanying } from "./household.js";
+import { invoiceTotals, TAX_REGIONS } from "./billing.js";
+
+export const RETAINER_VERSION = "2026-10.1";
+
+// Replace with the firm's registered details
+export const FIRM = {
+  name: "Peddle West Immigration",
+  rcic: "Licensed RCIC, Peddle West Immigration",
+  licence: "R000000",
+  // GST/HST registration, printed on invoices and receipts
+  taxNumber: "000000000 RT0001",
+  address: "Vancouver, British Columbia, Canada",
+  // Tax region (lib/billing.js) for clients whose province is not known
+  region: "BC",
+  email: "hello@peddlewest.ca",
+};
+
+const BIOMETRICS = { label: "Biometrics", amount: 8500, per: "person", max: 17000 };
+const PR_GOVERNMENT = [
+  { label: "Processing fee – principal applicant", amount: 95000 },
+  { label: "Right of permanent residence fee – principal applicant", amount: 57500 },
+  { label: "Processing fee – spouse or partner", amount: 95000, per: "spouse" },
+  { label: "Right of permanent residence fee – spouse or partner", amount: 57500, per: "spouse" },
+  { label: "Processing fee – dependent child", amount: 26000, per: "dependant" },
+  BIOMETRICS,
+];
+const FAMILY_PROFESSIONAL = [
+  { label: "Accompanying spouse or partner", amount: 50000, per: "spouse" },
+  { label: "Dependent child", amount: 25000, per: "dependant" },
+];
+
+export const FEE_SCHEDULES = {
+  "Express Entry": {
+    services: "Express Entry profile, strategy until an invitation to apply, and the application for permanent residence.",
+    professional: [
+      { label: "Eligibility review and Express Entry profile", amount: 150000 },
+      { label: "Application for permanent residence after an invitation", amount: 250000 },
+      ...FAMILY_PROFESSIONAL,
+    ],
+    government: PR_GOVERNMENT,
+  },
+  PNP: {
+    services: "Provincial nominee application and, once nominated, the application for permanent residence.",
+    professional: [
+      { label: "Provincial nomination application", amount: 250000 },
+      { label: "Application for permanent residence after nomination", amount: 200000 },
+      ...FAMILY_PROFESSIONAL,
+    ],
+    government: [{ label: "Provincial application fee (varies by province; confirmed before filing)", amount: 0 }, ...PR_GOVERNMENT],
+  },
+  "Study Permit": {
+    services: "Study permit application, including the letter of explanation and financial documents review.",
+    professional: [
+      { label: "Study permit application", amount: 120000 },
+      { label: "Spouse or partner open work permit", amount: 40000, per: "spouse" },
+      { label: "Dependent child visitor record or study permit", amount: 20000, per: "dependant" },
+    ],
+    government: [
+      { label: "Study permit", amount: 15000 },
+      { label: "Open work permit – spouse or partner", amount: 25500, per: "spouse" },
+      { label: "Visitor record or study permit – dependent child", amount: 15000, per: "dependant" },
+      BIOMETRICS,
+    ],
+  },
+  "Work Permit": {
+    services: "Work permit application based on your job offer or eligibility category.",
+    professional: [
+      { label: "Work permit application", amount: 150000 },
+      { label: "Spouse or partner open work permit", amount: 40000, per: "spouse" },
+      { label: "Dependent child visitor record or study permit", amount: 20000, per: "dependant" },
+    ],
+    government: [
+      { label: "Work permit", amount: 15500 },
+      { label: "Open work permit – spouse or partner", amount: 25500, per: "spouse" },
+      { label: "Visitor record or study permit – dependent child", amount: 15000, per: "dependant" },
+      BIOMETRICS,
+    ],
+  },
+  "Family Sponsorship": {
+    services: "Sponsorship undertaking and the sponsored person's application for permanent residence.",
+    professional: [
+      { label: "Sponsorship and permanent residence application", amount: 350000 },
+      { label: "Dependent child of the sponsored person", amount: 25000, per: "dependant" },
+    ],
+    government: [
+      { label: "Sponsorship fee", amount: 7500 },
+      { label: "Processing fee – sponsored person", amount: 49000 },
+      { label: "Right of permanent residence fee", amount: 57500 },
+      { label: "Processing fee – dependent child", amount: 7500, per: "dependant" },
+      BIOMETRICS,
+    ],
+  },
+};
+
+// Share of the professional fees (with tax) due at each stage
+export const INSTALLMENTS = [
+  { label: "On signing this agreement", share: 0.5 },
+  { label: "Before the application is submitted", share: 0.5 },
+];
+
+export const RETAINER_CLAUSES = [
+  {
+    title: "Services",
+    text: "The RCIC will advise the Client, prepare and review the forms and documents for the application described in this agreement, "
+      + "submit it on the Client's behalf and represent the Client with IRCC (and the province, where applicable) until a decision is made.",
+  },
+  {
+    title: "Client responsibilities",
+    text: "The Client will give complete, truthful information and documents on time, tell the RCIC about any change in their situation, "
+      + "and pay the fees below. Misrepresentation can lead to refusal and a five-year ban from applying.",
+  },
+  {
+    title: "Fees and payment",
+    text: "Professional fees are in Canadian dollars and payable in the instalments shown. Government fees are paid directly to the government "
+      + "and may change; the RCIC will confirm the amounts before filing. Fees do not depend on the outcome of the application.",
+  },
+  {
+    title: "Refunds",
+    text: "If the Client ends this agreement before the application is submitted, fees for work not yet done are refunded within 30 days. "
+      + "Fees are fully refunded if the RCIC fails to deliver the services described here.",
+  },
+  {
+    title: "Confidentiality",
+    text: "Information the Client shares is kept confidential and used only for this application, except where the law requires otherwise. "
+      + "Documents are stored encrypted in the client portal.",
+  },
+  {
+    title: "Ending the agreement",
+    text: "Either party can end this agreement in writing. The RCIC will return the Client's original documents and withdraw as representative with IRCC.",
+  },
+  {
+    title: "Complaints",
+    text: "Complaints should first be raised with the RCIC. The Client may also complain to the College of Immigration and Citizenship Consultants "
+      + "(college-ic.ca), which regulates the RCIC.",
+  },
+];
+
+/** How many of each kind of person the schedule charges for, from the assessment. */
+export function householdCounts(data = {}) {
+  const spouse = spouseAccompanying(data) ? 1 : 0;
+  const dependant = (data.dependants || []).filter((c) => c.accompanying !== "No").length;
+  return { spouse, dependant, person: 1 + spouse + dependant };
+}
+
+const priced = (lines, counts) => lines
+  .map((l) => {
+    const qty = l.per ? counts[l.per] : 1;
+    return { label: l.label, amount: l.amount, qty, total: Math.min(l.amount * qty, l.max ?? Infinity) };
+  })
+  .filter((l) => l.qty > 0);
+
+const sum = (lines) => lines.reduce((s, l) => s + l.total, 0);
+
+/** The tax region the professional fees are charged in: the client's province, or the firm's. */
+export const clientRegion = (data = {}) => (TAX_REGIONS[data.contact?.province] ? data.contact.province : FIRM.region);
+
+/**
+ * The fee schedule for an assessment: its program's lines priced for the
+ * household, with the taxes for the client's region, totals and the
+ * instalment amounts (the last one takes the rounding, so they add up).
+ */
+export function feeSchedule(data = {}) {
+  const program = FEE_SCHEDULES[data.interest?.program] ? data.interest.program : "Express Entry";
+  const schedule = FEE_SCHEDULES[program];
+  const counts = householdCounts(data);
+  const professional = priced(schedule.professional, counts);
+  const subtotal = sum(professional);
+  const region = clientRegion(data);
+  const { taxes, tax, total: professionalTotal } = invoiceTotals([{ category: "professional", quantity: 1, unitAmount: subtotal }], region);
+  const government = priced(schedule.government, counts);
+  let due = professionalTotal;
+  const installments = INSTALLMENTS.map((i, n) => {
+    const amount = n === INSTALLMENTS.length - 1 ? due : Math.round(professionalTotal * i.share);
+    due -= amount;
+    return { label: i.label, amount };
+  });
+  return {
+    version: RETAINER_VERSION,
+    program,
+    services: schedule.services,
+    professional,
+    region,
+    subtotal,
+    taxes,
+    tax,
+    professionalTotal,
+    government,
+    governmentTotal: sum(government),
+    installments,
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Browser-side document encryption (WebCrypto AES-GCM) for case uploads.
+ * ---------------------------------------------------------------------------
+ * Each file gets a fresh 256-bit key and 96-bit iv. The ciphertext and the
+ * key are both sent to the server, which stores the key wrapped with its
+ * master key and hands it back only to the case owner or staff – server-side
+ * encryption at rest, not end-to-end (see server/vault.js).
+ */
+
+import { DEFAULT_TYPE_LIMITS } from "./uploadChecks.js";
+
+export const DEFAULT_UPLOAD_LIMITS = { maxFilesPerBatch: 16, maxFilesPerCase: 200, maxFileBytes: 20 * 1024 * 1024, ...DEFAULT_TYPE_LIMITS };
+
+const toB64 = (buf) => {
+  const bytes = new Uint8Array(buf);
+  let s = "";
+  // Chunked to avoid call-stack limits on large inputs
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+};
+const fromB64 = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+export async function encryptBytes(plain) {
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain);
+  const raw = await crypto.subtle.exportKey("raw", key);
+  return { ciphertext, key: toB64(raw), iv: toB64(iv) };
+}
+
+export async function decryptBytes(ciphertext, keyB64, ivB64) {
+  const key = await crypto.subtle.importKey("raw", fromB64(keyB64), "AES-GCM", false, ["decrypt"]);
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(ivB64) }, key, ciphertext);
+}
+
+/**
+ * Checks a batch against the limits before anything is encrypted.
+ * Returns { accepted: File[], rejected: [{ file, reason }] }.
+ */
+export function applyUploadLimits(files, existingCount, limits = DEFAULT_UPLOAD_LIMITS) {
+  const accepted = [];
+  const rejected = [];
+  const room = Math.max(0, limits.maxFilesPerCase - existingCount);
+  Array.from(files).forEach((file) => {
+    if (file.size > limits.maxFileBytes) rejected.push({ file, reason: `Larger than ${Math.round(limits.maxFileBytes / 1048576)} MB` });
+    else if (!file.size) rejected.push({ file, reason: "Empty file" });
+    else if (accepted.length >= limits.maxFilesPerBatch) rejected.push({ file, reason: `Only ${limits.maxFilesPerBatch} files per upload` });
+    else if (accepted.length >= room) rejected.push({ file, reason: `Your file is limited to ${limits.maxFilesPerCase} documents` });
+    else accepted.push(file);
+  });
+  return { accepted, rejected };
+}
+
+export function createSecureFiles({ api }) {
+  return {
+    limits: () => api.get("/api/uploads/limits").catch(() => DEFAULT_UPLOAD_LIMITS),
+
+    /**
+     * Encrypts and uploads one file. `type` is the sniffed MIME type from
+     * validateUpload (falls back to file.type). Removes the record again if
+     * the content upload fails.
+     */
+    async upload(caseId, file, { batchId, checklistItemId, type } = {}) {
+      const { ciphertext, key, iv } = await encryptBytes(await file.arrayBuffer());
+      const record = await api.post(`/api/cases/${caseId}/uploads`, {
+        name: file.name, size: file.size, type: type || file.type, batchId, key, iv, checklistItemId,
+      });
+      try {
+        return await api.put(`/api/uploads/${record.id}/content`, new Uint8Array(ciphertext), {
+          headers: { "Content-Type": "application/octet-stream" },
+        });
+      } catch (e) {
+        await api.del(`/api/uploads/${record.id}`).catch(() => {});
+        throw e;
+      }
+    },
+
+    /** Fetches ciphertext + key and returns the decrypted file as a Blob. */
+    async download(uploadId) {
+      const [res, k] = await Promise.all([
+        api.get(`/api/uploads/${uploadId}/content`, { raw: true }),
+        api.get(`/api/uploads/${uploadId}/key`),
+      ]);
+      const plain = await decryptBytes(await res.arrayBuffer(), k.key, k.iv);
+      return new Blob([plain], { type: k.type || "application/octet-stream" });
+    },
+  };
+}
+
+/** Triggers a browser download for a Blob. */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
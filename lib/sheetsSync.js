@@ -0,0 +1,187 @@
+/**
+ * Google Sheets sync – one master spreadsheet, rows keyed by assessment ID
+ * ---------------------------------------------------------------------------
+ * Replaces "upload a new XLSX to Drive every time". The master spreadsheet is
+ * found (or created) by title inside the configured Drive folder; row 1 holds
+ * the headers and column A the assessment ID. Syncing appends rows for new
+ * IDs, rewrites rows whose ID is already there, and adds header columns for
+ * keys the sheet has not seen yet.
+ *
+ * Every Google call goes through a small `google` interface so the sync logic
+ * can run against `createMemoryGoogle()` locally:
+ *
+ *   findSpreadsheet({ title, folderId })       → spreadsheetId | null
+ *   createSpreadsheet({ title, folderId, tab }) → spreadsheetId
+ *   getValues(spreadsheetId, range)             → string[][]
+ *   updateValues(spreadsheetId, [{ range, values }])
+ *   appendValues(spreadsheetId, range, values)
+ *
+ * `createGoogleApi({ getToken })` implements it with the Drive v3 and
+ * Sheets v4 REST APIs (scopes drive.file + spreadsheets).
+ */
+
+export const ID_COLUMN = "assessment_id";
+export const DEFAULT_SHEETS_TARGET = { title: "Peddle West – Assessments", tab: "Assessments", folderId: "" };
+
+const SPREADSHEET_MIME = "application/vnd.google-apps.spreadsheet";
+
+/** A1 column letters for a zero-based index (0 → A, 26 → AA). */
+export function columnLetter(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/** Accepts a folder ID or a Drive folder URL and returns the ID ("" for none). */
+export function parseFolderId(input) {
+  const v = String(input || "").trim();
+  const m = v.match(/\/folders\/([\w-]+)/) || v.match(/[?&]id=([\w-]+)/);
+  return m ? m[1] : /^[\w-]*$/.test(v) ? v : "";
+}
+
+const quoteTab = (tab) => `'${tab.replace(/'/g, "''")}'`;
+const cellText = (v) => (v == null ? "" : typeof v === "boolean" ? (v ? "yes" : "no") : v);
+
+/**
+ * createSheetsSync({ google, target }) → { upsertRows(rows) }
+ * rows: [{ assessment_id, ...columns }]. Returns { spreadsheetId, appended, updated }.
+ */
+export function createSheetsSync({ google, target = DEFAULT_SHEETS_TARGET }) {
+  const { title, tab, folderId } = { ...DEFAULT_SHEETS_TARGET, ...target };
+  let spreadsheetId = target.spreadsheetId || null;
+
+  async function ensureSpreadsheet() {
+    if (!spreadsheetId) spreadsheetId = await google.findSpreadsheet({ title, folderId });
+    if (!spreadsheetId) spreadsheetId = await google.createSpreadsheet({ title, folderId, tab });
+    return spreadsheetId;
+  }
+
+  async function upsertRows(rows) {
+    const id = await ensureSpreadsheet();
+    const existing = await google.getValues(id, `${quoteTab(tab)}!A:A`);
+    const header = (await google.getValues(id, `${quoteTab(tab)}!1:1`))[0] || [];
+    if (header[0] !== ID_COLUMN) header.splice(0, header.length, ID_COLUMN, ...header.filter((h) => h && h !== ID_COLUMN));
+
+    // New keys become new columns on the right, existing columns keep their place
+    const before = header.length;
+    rows.forEach((r) => Object.keys(r).forEach((k) => { if (!header.includes(k)) header.push(k); }));
+    const headerUpdate = header.length !== before || existing.length === 0
+      ? [{ range: `${quoteTab(tab)}!A1:${columnLetter(header.length - 1)}1`, values: [header] }]
+      : [];
+
+    const rowOf = new Map(existing.slice(1).map((r, i) => [String(r[0] || ""), i + 2]));
+    const updates = [];
+    const toAppend = [];
+    rows.forEach((r) => {
+      const values = header.map((h) => cellText(r[h]));
+      const at = rowOf.get(String(r[ID_COLUMN]));
+      if (at) updates.push({ range: `${quoteTab(tab)}!A${at}:${columnLetter(header.length - 1)}${at}`, values: [values] });
+      else toAppend.push(values);
+    });
+    if (headerUpdate.length || updates.length) await google.updateValues(id, [...headerUpdate, ...updates]);
+    if (toAppend.length) await google.appendValues(id, `${quoteTab(tab)}!A1`, toAppend);
+    return { spreadsheetId: id, appended: toAppend.length, updated: updates.length };
+  }
+
+  return { upsertRows, ensureSpreadsheet };
+}
+
+/** Drive v3 + Sheets v4 over fetch. `getToken` returns an OAuth access token. */
+export function createGoogleApi({ getToken, fetchImpl = (...a) => fetch(...a) }) {
+  async function call(method, url, body) {
+    const res = await fetchImpl(url, {
+      method,
+      headers: { Authorization: `Bearer ${await getToken()}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      let msg = `Google API error ${res.status}`;
+      try { msg = (await res.json()).error?.message || msg; } catch {}
+      throw new Error(msg);
+    }
+    return res.json();
+  }
+  const sheetsUrl = (id, path) => `https://sheets.googleapis.com/v4/spreadsheets/${id}${path}`;
+
+  return {
+    async findSpreadsheet({ title, folderId }) {
+      const q = [`name = '${title.replace(/['\\]/g, "\\$&")}'`, `mimeType = '${SPREADSHEET_MIME}'`, "trashed = false"];
+      if (folderId) q.push(`'${folderId}' in parents`);
+      const r = await call("GET", `https://www.googleapis.com/drive/v3/files?${new URLSearchParams({ q: q.join(" and "), fields: "files(id)", pageSize: "1" })}`);
+      return r.files?.[0]?.id || null;
+    },
+    async createSpreadsheet({ title, folderId, tab }) {
+      const file = await call("POST", "https://www.googleapis.com/drive/v3/files?fields=id", {
+        name: title, mimeType: SPREADSHEET_MIME, ...(folderId ? { parents: [folderId] } : {}),
+      });
+      // A new spreadsheet has one tab called "Sheet1"; rename it
+      await call("POST", sheetsUrl(file.id, ":batchUpdate"), {
+        requests: [{ updateSheetProperties: { properties: { sheetId: 0, title: tab, gridProperties: { frozenRowCount: 1 } }, fields: "title,gridProperties.frozenRowCount" } }],
+      });
+      return file.id;
+    },
+    async getValues(id, range) {
+      return (await call("GET", sheetsUrl(id, `/values/${encodeURIComponent(range)}`))).values || [];
+    },
+    async updateValues(id, data) {
+      await call("POST", sheetsUrl(id, "/values:batchUpdate"), { valueInputOption: "RAW", data });
+    },
+    async appendValues(id, range, values) {
+      await call("POST", sheetsUrl(id, `/values/${encodeURIComponent(range)}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`), { values });
+    },
+  };
+}
+
+/**
+ * In-memory stand-in for the `google` interface (local development, tests).
+ * `files` maps spreadsheetId → { title, folderId, tabs: { name: string[][] } }.
+ */
+export function createMemoryGoogle() {
+  const files = {};
+  let next = 1;
+  const parse = (range) => {
+    const [, rawTab, ref] = range.match(/^'?(.*?)'?!(.*)$/);
+    return { tab: rawTab.replace(/''/g, "'"), ref };
+  };
+  const grid = (id, tab) => {
+    const f = files[id];
+    if (!f) throw new Error(`Unknown spreadsheet ${id}`);
+    f.tabs[tab] = f.tabs[tab] || [];
+    return f.tabs[tab];
+  };
+  const colIndex = (letters) => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+  return {
+    files,
+    async findSpreadsheet({ title, folderId }) {
+      return Object.keys(files).find((id) => files[id].title === title && (!folderId || files[id].folderId === folderId)) || null;
+    },
+    async createSpreadsheet({ title, folderId, tab }) {
+      const id = `sheet-${next++}`;
+      files[id] = { title, folderId, tabs: { [tab]: [] } };
+      return id;
+    },
+    async getValues(id, range) {
+      const { tab, ref } = parse(range);
+      const rows = grid(id, tab);
+      if (ref === "A:A") return rows.map((r) => [r[0] ?? ""]);
+      if (ref === "1:1") return rows.length ? [rows[0].slice()] : [];
+      throw new Error(`Unsupported range ${range}`);
+    },
+    async updateValues(id, data) {
+      data.forEach(({ range, values }) => {
+        const { tab, ref } = parse(range);
+        const [, col, row] = ref.match(/^([A-Z]+)(\d+)/);
+        const rows = grid(id, tab);
+        values.forEach((vals, i) => {
+          const r = Number(row) - 1 + i;
+          while (rows.length <= r) rows.push([]);
+          vals.forEach((v, j) => { rows[r][colIndex(col) + j] = v; });
+        });
+      });
+    },
+    async appendValues(id, range, values) {
+      grid(id, parse(range).tab).push(...values.map((v) => v.slice()));
+    },
+  };
+}
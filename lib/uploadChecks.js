@@ -0,0 +1,162 @@
+/**
+ * Upload validation pipeline
+ * ---------------------------------------------------------------------------
+ * Runs in the browser on the plaintext before a file is encrypted (the server
+ * only ever sees ciphertext, so it can check declared type and size only).
+ *
+ *   1. sniff the real type from magic bytes (the `accept` hint and `file.type`
+ *      are not trusted)
+ *   2. per-type size limit
+ *   3. PDFs: refuse password-protected / truncated files, count pages
+ *   4. images: minimum resolution; passport scans also get a sharpness check
+ *
+ * Each step adds a human-readable reason; a file with any reason is rejected.
+ */
+
+export const UPLOAD_TYPES = {
+  pdf: { mime: "application/pdf", label: "PDF" },
+  jpeg: { mime: "image/jpeg", label: "JPEG" },
+  png: { mime: "image/png", label: "PNG" },
+};
+
+export const DEFAULT_TYPE_LIMITS = {
+  maxBytesByType: { pdf: 20 * 1024 * 1024, jpeg: 10 * 1024 * 1024, png: 10 * 1024 * 1024 },
+  maxPdfPages: 60,
+};
+
+// Short side in pixels; passports need the MRZ and photo page to stay legible
+const QUALITY_RULES = {
+  default: { minShortSide: 500 },
+  passport: { minShortSide: 900, minSharpness: 60 },
+};
+const qualityRuleFor = (checklistKey = "") => (/passport/.test(checklistKey) ? QUALITY_RULES.passport : QUALITY_RULES.default);
+
+const mb = (n) => `${Math.round(n / 1048576)} MB`;
+
+/** Returns "pdf" | "jpeg" | "png" | null from the first bytes of a file. */
+export function sniffType(bytes) {
+  const b = bytes;
+  if (b.length >= 5 && b[0] === 0x25 && b[1] === 0x50 && b[2] === 0x44 && b[3] === 0x46 && b[4] === 0x2d) return "pdf"; // %PDF-
+  if (b.length >= 8 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 && b[4] === 0x0d && b[5] === 0x0a && b[6] === 0x1a && b[7] === 0x0a) return "png";
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return "jpeg";
+  return null;
+}
+
+/**
+ * Reads what we need from a PDF without a full parser: whether it is
+ * encrypted, whether it ends with %%EOF, and the page count (null when the
+ * page tree sits in compressed object streams and cannot be counted).
+ */
+export function pdfInfo(bytes) {
+  const text = new TextDecoder("latin1").decode(bytes);
+  const encrypted = /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(text);
+  const complete = text.slice(-2048).includes("%%EOF");
+  const pageObjects = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  const counts = [...text.matchAll(/\/Type\s*\/Pages[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages/g)]
+    .map((m) => Number(m[1] || m[2]));
+  const pages = pageObjects || (counts.length ? Math.max(...counts) : null);
+  return { encrypted, complete, pages };
+}
+
+/** Pixel size from the PNG IHDR chunk or the first JPEG SOF marker. */
+export function imageSize(bytes, kind) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (kind === "png") return bytes.length >= 24 ? { width: view.getUint32(16), height: view.getUint32(20) } : null;
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) { i += 1; continue; }
+    const marker = bytes[i + 1];
+    const len = view.getUint16(i + 2);
+    // SOF0–SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: view.getUint16(i + 7), height: view.getUint16(i + 5) };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+/**
+ * Variance of the Laplacian over a grayscale buffer – the usual cheap
+ * focus measure: sharp edges give large second derivatives, blur flattens them.
+ */
+export function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const v = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += v; sumSq += v * v; n += 1;
+    }
+  }
+  return n ? sumSq / n - (sum / n) ** 2 : 0;
+}
+
+/** Decodes an image Blob to a downscaled grayscale buffer using browser canvas APIs. */
+export async function decodeGray(blob, maxSide = 1024) {
+  if (typeof createImageBitmap !== "function") return null;
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = typeof OffscreenCanvas === "function"
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement("canvas"), { width, height });
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let p = 0, i = 0; p < gray.length; p++, i += 4) gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  return { gray, width, height };
+}
+
+/**
+ * Validates one File. `checklistKey` is the checklist item it is uploaded
+ * against (passport items get the stricter quality rule); `decode` can be
+ * swapped out where canvas APIs are unavailable.
+ * Resolves to { ok, kind, mime, reasons[], info }.
+ */
+export async function validateUpload(file, { limits = DEFAULT_TYPE_LIMITS, checklistKey, decode = decodeGray } = {}) {
+  const reasons = [];
+  const info = {};
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const kind = sniffType(bytes);
+  if (!kind) {
+    return { ok: false, kind: null, mime: null, reasons: ["Not a PDF, JPEG or PNG file (the contents don't match the file name)"], info };
+  }
+  const { mime, label } = UPLOAD_TYPES[kind];
+  const maxBytes = limits.maxBytesByType?.[kind] ?? DEFAULT_TYPE_LIMITS.maxBytesByType[kind];
+  if (file.size > maxBytes) reasons.push(`${label} files must be under ${mb(maxBytes)}`);
+
+  if (kind === "pdf") {
+    Object.assign(info, pdfInfo(bytes));
+    const maxPages = limits.maxPdfPages ?? DEFAULT_TYPE_LIMITS.maxPdfPages;
+    if (info.encrypted) reasons.push("This PDF is password-protected – please upload an unlocked copy");
+    else if (!info.complete) reasons.push("This PDF looks incomplete or damaged – please export it again");
+    if (info.pages === 0) reasons.push("This PDF has no pages");
+    if (info.pages > maxPages) reasons.push(`This PDF has ${info.pages} pages; split it into files of at most ${maxPages} pages`);
+  } else {
+    const rule = qualityRuleFor(checklistKey);
+    const size = imageSize(bytes, kind);
+    if (!size) {
+      reasons.push("This image could not be read – it may be damaged");
+    } else {
+      Object.assign(info, size);
+      const shortSide = Math.min(size.width, size.height);
+      if (shortSide < rule.minShortSide) {
+        reasons.push(`Resolution too low (${size.width}×${size.height}px); scan at 300 dpi or take a closer photo`);
+      }
+    }
+    if (rule.minSharpness && !reasons.length) {
+      const pixels = await decode(file).catch(() => null);
+      if (pixels) {
+        info.sharpness = Math.round(laplacianVariance(pixels.gray, pixels.width, pixels.height));
+        if (info.sharpness < rule.minSharpness) reasons.push("This scan looks blurry – hold the camera steady, avoid glare and make sure the text is readable");
+      }
+    }
+  }
+  return { ok: !reasons.length, kind, mime, reasons, info };
+}
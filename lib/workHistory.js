@@ -0,0 +1,121 @@
+/**
+ * Work history helpers (validation + experience totals)
+ * ---------------------------------------------------------------------------
+ * Pure functions over the `work` array collected by EligibilityForm.
+ *
+ *  - `validateWorkHistory(work)` returns a flat error map keyed
+ *    `work_<index>_<field>` so the form can show errors next to each input.
+ *  - `experienceYears(work)` totals full-time-equivalent Canadian and
+ *    foreign experience (30 h/week = full time, part time is pro-rated).
+ *  - `flattenWork(work)` produces export columns for every entry.
+ */
+
+export const FULL_TIME_HOURS = 30;
+export const WORK_FIELDS = ["title", "employer", "city", "country", "state", "start", "end", "current", "hours"];
+
+export const emptyWorkEntry = () => ({
+  start: "", end: "", title: "", employer: "", city: "", country: "", state: "", current: false, hours: String(FULL_TIME_HOURS),
+});
+
+const MS_PER_DAY = 24 * 3600 * 1000;
+const DAYS_PER_YEAR = 365.25;
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+const isCanada = (country) => /^canada$/i.test((country || "").trim());
+const hoursOf = (w) => {
+  const h = parseFloat(w?.hours);
+  return Number.isFinite(h) && h > 0 ? h : FULL_TIME_HOURS;
+};
+
+/** Start/end of an entry as dates (current jobs end today); null when undated. */
+export function entryPeriod(w, today = new Date()) {
+  const start = parseDate(w?.start);
+  if (!start) return null;
+  const end = w.current ? today : parseDate(w.end);
+  if (!end || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * Validates every entry. Required fields, date order, future dates and
+ * overlapping full-time periods are reported on the offending entry.
+ */
+export function validateWorkHistory(work = [], today = new Date()) {
+  const e = {};
+  const key = (i, f) => `work_${i}_${f}`;
+  work.forEach((w, i) => {
+    ["title", "employer", "city", "country", "start"].forEach((f) => { if (!w[f]) e[key(i, f)] = "Required"; });
+    if (!w.current && !w.end) e[key(i, "end")] = "Required unless this is your current job";
+    const start = parseDate(w.start);
+    const end = parseDate(w.end);
+    if (w.start && !start) e[key(i, "start")] = "Enter a valid date";
+    if (start && start > today) e[key(i, "start")] = "Start date cannot be in the future";
+    if (!w.current && w.end && !end) e[key(i, "end")] = "Enter a valid date";
+    if (!w.current && end && end > today) e[key(i, "end")] = "End date cannot be in the future";
+    if (!w.current && start && end && end < start) e[key(i, "end")] = "End date must be after start date";
+    const h = parseFloat(w.hours);
+    if (w.hours !== undefined && w.hours !== "" && (!Number.isFinite(h) || h <= 0 || h > 80)) e[key(i, "hours")] = "Enter hours per week (1–80)";
+  });
+
+  // Two full-time jobs cannot both count for the same period
+  const periods = work.map((w) => ({ w, p: entryPeriod(w, today) }));
+  periods.forEach(({ w, p }, i) => {
+    if (!p || hoursOf(w) < FULL_TIME_HOURS || e[key(i, "start")]) return;
+    for (let j = 0; j < i; j++) {
+      const o = periods[j];
+      if (!o.p || hoursOf(o.w) < FULL_TIME_HOURS) continue;
+      if (p.start < o.p.end && o.p.start < p.end) {
+        e[key(i, "start")] = `Overlaps with full-time job #${j + 1}${o.w.title ? ` (${o.w.title})` : ""}`;
+        break;
+      }
+    }
+  });
+  return e;
+}
+
+/**
+ * Full-time-equivalent experience in years, split Canadian / foreign.
+ * Returns fractional years rounded to two decimals.
+ */
+export function experienceYears(work = [], today = new Date()) {
+  let canadian = 0;
+  let foreign = 0;
+  work.forEach((w) => {
+    const p = entryPeriod(w, today);
+    if (!p) return;
+    const years = (p.end - p.start) / MS_PER_DAY / DAYS_PER_YEAR;
+    const fte = years * Math.min(hoursOf(w), FULL_TIME_HOURS) / FULL_TIME_HOURS;
+    if (isCanada(w.country)) canadian += fte;
+    else foreign += fte;
+  });
+  const round = (n) => Math.round(n * 100) / 100;
+  return { canadian: round(canadian), foreign: round(foreign), total: round(canadian + foreign) };
+}
+
+/** Export columns for every entry: work_<i>_<field>, plus totals. */
+export function flattenWork(work = [], today = new Date()) {
+  const row = { work_count: work.length };
+  work.forEach((w, i) => {
+    WORK_FIELDS.forEach((f) => {
+      const v = w[f];
+      row[`work_${i}_${f}`] = typeof v === "boolean" ? (v ? "yes" : "no") : v ?? "";
+    });
+  });
+  const x = experienceYears(work, today);
+  row.experience_canadian_years = x.canadian;
+  row.experience_foreign_years = x.foreign;
+  return row;
+}
+
+/** Immutable list helpers used by the repeatable work-history step. */
+export const moveEntry = (list, from, to) => {
+  if (to < 0 || to >= list.length) return list;
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
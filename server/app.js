@@ -0,0 +1,82 @@
+/**
+ * Builds the portal API: database, services and routes. Kept separate from
+ * index.js so the CLI and local tooling can reuse it without listening.
+ */
+import http from "node:http";
+import { openDb } from "./db.js";
+import { createRouter } from "./http.js";
+import { bearerToken, createAuthService, registerAuthRoutes } from "./auth.js";
+import { registerUserRoutes } from "./users.js";
+import { createCaseService, registerCaseRoutes } from "./cases.js";
+import { registerAssessmentRoutes } from "./assessments.js";
+import { createDraftService, registerDraftRoutes } from "./drafts.js";
+import { registerUploadRoutes } from "./uploads.js";
+import { registerRetainerRoutes } from "./retainers.js";
+import { createBillingService, registerBillingRoutes } from "./billing.js";
+import { createPaymentProvider } from "./payments.js";
+import { createChecklistService, registerChecklistRoutes } from "./checklist.js";
+import { registerMessageRoutes } from "./messages.js";
+import { createPrivacyService, registerPrivacyRoutes } from "./privacy.js";
+import { createExportService, registerExportRoutes } from "./exports.js";
+import { createBookingService, registerBookingRoutes } from "./booking.js";
+import { registerWebhookRoutes } from "./webhooks.js";
+import { createAuditLog, outcomeFor, registerAuditRoutes } from "./audit.js";
+import { createNotificationService, registerNotificationRoutes } from "./notifications.js";
+import { createMailer } from "./mailer.js";
+import { createSmsSender } from "./sms.js";
+import { createVault } from "./vault.js";
+
+export function createApp(config, { mailer = createMailer(config.mail), sms = createSmsSender(config.sms) } = {}) {
+  const db = openDb(config.dbPath);
+  const vault = createVault(config);
+  const cases = createCaseService({ db });
+  const checklist = createChecklistService({ db });
+  const audit = createAuditLog({ db, key: vault.deriveKey("audit-log") });
+  const privacy = createPrivacyService({ db, vault, audit, config });
+  const exporter = createExportService({ db });
+  const booking = createBookingService({ db, config, mailer, cases });
+  const notifications = createNotificationService({ db, config, mailer, sms });
+  const drafts = createDraftService({ db, config, mailer, cases });
+  const billing = createBillingService({ db, config, cases, provider: createPaymentProvider(config.billing), notifications });
+  const auth = createAuthService({ db, config, mailer, onEmailVerified: (u) => cases.claimByEmail(u) });
+  const router = createRouter({
+    authenticate: (req) => auth.userFromToken(bearerToken(req)),
+    maxBodyBytes: config.maxBodyBytes,
+    corsOrigin: config.corsOrigin,
+    onAudit: ({ spec, ctx: request, out, status }) => {
+      const pick = (fn, fallback = null) => { try { return fn ? fn(request, out) ?? fallback : fallback; } catch { return fallback; } };
+      audit.record({
+        actor: pick(spec.actor, request.user),
+        action: spec.action,
+        targetType: spec.type || null,
+        targetId: pick(spec.id, request.params.id ?? null),
+        outcome: outcomeFor(status),
+        status,
+        ip: request.req.socket.remoteAddress,
+        details: pick(spec.details),
+      });
+    },
+  });
+  const ctx = { db, config, mailer, sms, auth, cases, vault, checklist, audit, privacy, exporter, booking, notifications, drafts, billing };
+
+  router.add("GET", "/api/health", () => ({ ok: true }));
+  registerAuthRoutes(router, ctx);
+  registerUserRoutes(router, ctx);
+  registerCaseRoutes(router, ctx);
+  registerAssessmentRoutes(router, ctx);
+  registerDraftRoutes(router, ctx);
+  registerUploadRoutes(router, ctx);
+  registerRetainerRoutes(router, ctx);
+  registerBillingRoutes(router, ctx);
+  registerChecklistRoutes(router, ctx);
+  registerMessageRoutes(router, ctx);
+  registerAuditRoutes(router, ctx);
+  registerPrivacyRoutes(router, ctx);
+  registerExportRoutes(router, ctx);
+  registerBookingRoutes(router, ctx);
+  registerWebhookRoutes(router, ctx);
+  registerNotificationRoutes(router, ctx);
+
+  const server = http.createServer((req, res) => router.handle(req, res));
+  return { ...ctx, router, server };
+}
@@ -0,0 +1,122 @@
+/**
+ * Eligibility assessment submissions. The full answers are kept as JSON next
+ * to the flattened export row the staff table and XLSX export use. CLB / NCLC
+ * levels and the CRS score in the row are computed here from the answers,
+ * whatever the client sent (lib/languageTests.js, lib/crs.js), and test
+ * scores outside a test's range or results older than two years are refused
+ * with 400 as they are in the form.
+ * `clientRef` (a client-generated id) makes offline replays idempotent.
+ * `draft` ({ id, token? }) names the draft the answers came from, which is
+ * deleted once they are stored (server/drafts.js).
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso } from "./db.js";
+import { isStaffUser } from "./cases.js";
+import { checkConsent } from "../lib/consent.js";
+import { flattenLanguageLevels, isExpired, LANGUAGE_ABILITIES, LANGUAGE_TESTS, resultExpiry, scoreProblem, upgradeLanguageAnswers } from "../lib/languageTests.js";
+import { profileFromAssessment, scoreCrs } from "../lib/crs.js";
+import { questionnaireFor } from "../lib/formSchema.js";
+import { spouseAccompanying } from "../lib/household.js";
+
+const toApi = (a) => ({
+  id: a.id,
+  caseId: a.case_id,
+  createdAt: a.created_at,
+  data: JSON.parse(a.data),
+  row: JSON.parse(a.row),
+});
+
+const CRS_COLUMNS = ["crs_total", "crs_core", "crs_spouse", "crs_transferability", "crs_additional", "crs_version"];
+
+// The results that count for the application, with who they belong to for error messages
+function languageResults(data) {
+  const d = upgradeLanguageAnswers(data);
+  return [
+    ["First language test", d.language?.first],
+    ["Second language test", d.language?.first?.test && d.language?.second],
+    ["Partner's language test", spouseAccompanying(d) && d.spouse?.language],
+    ...(d.dependants || []).map((c) => [`Language test for ${c.firstName || "a dependent child"}`, c.language]),
+  ].filter(([, r]) => r?.test);
+}
+
+/** The first problem with the language test results, or null. */
+function languageProblem(data) {
+  for (const [who, r] of languageResults(data)) {
+    if (!LANGUAGE_TESTS[r.test]) return `${who}: unknown test`;
+    const bad = LANGUAGE_ABILITIES.map((a) => scoreProblem(r.test, a, r[a])).find(Boolean);
+    if (bad) return `${who}: ${bad.test} scores run from ${bad.min} to ${bad.max}${bad.step === 1 ? "" : ` in steps of ${bad.step}`}.`;
+    if (isExpired(r)) return `${who}: these results expired on ${resultExpiry(r)}. Test results are valid for two years.`;
+  }
+  return null;
+}
+
+/** The CRS columns for the row, scored here for programs that use the CRS (lib/formSchema.js). */
+function crsColumns(data) {
+  if (questionnaireFor(data.interest?.program).scoring !== "crs") return {};
+  const crs = scoreCrs(profileFromAssessment(data));
+  return {
+    crs_total: crs.total,
+    crs_core: crs.core,
+    crs_spouse: crs.spouse,
+    crs_transferability: crs.transferability,
+    crs_additional: crs.additional,
+    crs_version: crs.version,
+  };
+}
+
+export function registerAssessmentRoutes(router, { db, cases, checklist, privacy, notifications, drafts }) {
+  // Public: the eligibility form can be submitted before signing in. A consent record (lib/consent.js) is required.
+  router.add("POST", "/api/assessments", ({ req, user, body }) => {
+    const { data, row, clientRef, consent, draft } = body;
+    const email = data?.contact?.email;
+    if (!data || typeof data !== "object" || !row || typeof row !== "object") throw new HttpError(400, "data and row are required");
+    if (!/^\S+@\S+\.\S+$/.test(email || "")) throw new HttpError(400, "A valid contact email is required");
+    const consentProblem = checkConsent(consent);
+    if (consentProblem) throw new HttpError(400, consentProblem);
+    const testProblem = languageProblem(data);
+    if (testProblem) throw new HttpError(400, testProblem);
+    if (clientRef) {
+      const dup = db.prepare("SELECT * FROM assessments WHERE client_ref = ?").get(String(clientRef));
+      if (dup) return toApi(dup);
+    }
+    const c = cases.forSubmission(user, {
+      email,
+      name: [data.contact.firstName, data.contact.lastName].filter(Boolean).join(" "),
+      program: data.interest?.program,
+    });
+    if (c.status === "Lead") cases.transition("system", c.id, "Assessment Complete", { note: "Eligibility assessment submitted" });
+    const id = crypto.randomUUID();
+    const clientRow = Object.fromEntries(Object.entries(row).filter(([k]) => !CRS_COLUMNS.includes(k)));
+    const stored = { ...clientRow, ...flattenLanguageLevels(data), ...crsColumns(data) };
+    db.prepare(`INSERT INTO assessments (id, case_id, client_ref, data, row, submitted_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, c.id, clientRef ? String(clientRef) : null, JSON.stringify(data), JSON.stringify(stored), user?.id || null, nowIso());
+    privacy.recordConsent({ caseId: c.id, assessmentId: id, user, consent, ip: req.socket.remoteAddress, userAgent: req.headers["user-agent"] });
+    checklist.syncForCase(c.id, data);
+    drafts.submitted(user, draft);
+    notifications.assessmentReceived(c.id, { program: data.interest?.program, crsTotal: stored.crs_total });
+    return reply(201, toApi(db.prepare("SELECT * FROM assessments WHERE id = ?").get(id)));
+  }, { audit: { action: "assessment.create", type: "assessment", id: (ctx, out) => out?.id, details: (ctx, out) => out && { caseId: out.caseId } } });
+
+  router.add("GET", "/api/assessments", ({ user, query }) => {
+    const rows = isStaffUser(user)
+      ? db.prepare("SELECT * FROM assessments ORDER BY created_at").all()
+      : db.prepare(`SELECT a.* FROM assessments a JOIN cases c ON c.id = a.case_id
+                    WHERE c.client_user_id = ? ORDER BY a.created_at`).all(user.id);
+    return rows.filter((a) => !query.caseId || a.case_id === query.caseId).map(toApi);
+  }, { auth: "user", audit: { action: "assessment.list", type: "case", id: ({ query }) => query.caseId, details: (ctx, out) => out && { count: out.length } } });
+
+  router.add("GET", "/api/assessments/:id", ({ user, params }) => {
+    const a = db.prepare("SELECT * FROM assessments WHERE id = ?").get(params.id);
+    if (!a) throw new HttpError(404, "Assessment not found");
+    cases.getFor(user, a.case_id);
+    return toApi(a);
+  }, { auth: "user", audit: { action: "assessment.view", type: "assessment" } });
+
+  // Demo reset used by StaffPanel's "Clear (demo)" button
+  router.add("DELETE", "/api/assessments", () => {
+    const { changes } = db.prepare("DELETE FROM assessments").run();
+    return { deleted: Number(changes) };
+  }, { auth: "admin", audit: { action: "assessment.clear_all", type: "assessment", details: (ctx, out) => out } });
+}
@@ -0,0 +1,179 @@
+/**
+ * Append-only, hash-chained audit log.
+ * ---------------------------------------------------------------------------
+ * Every access to client data is recorded with actor, action, target,
+ * timestamp and outcome. Routes opt in with the router's `audit` option
+ * (see http.js); the router reports the outcome after the response is known,
+ * so denied and failed attempts are logged too.
+ *
+ * Tamper evidence: each entry stores HMAC-SHA256(prev_hash + canonical
+ * entry) under a key derived from the master key, which never enters the
+ * database – so editing or deleting a row breaks the chain from that point
+ * on, and someone holding only the database cannot rebuild it. `verify()`
+ * walks it. SQLite triggers additionally refuse UPDATE / DELETE.
+ *
+ * A failed write is not swallowed: record() throws, and the router answers
+ * 500 rather than report success for an action it could not log.
+ *
+ * Entries can never be erased, so they hold identifiers only: clients appear
+ * by user id (staff by email too), and details carry no email addresses or
+ * free-text search terms.
+ */
+import crypto from "node:crypto";
+import { HttpError } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { EXPORT_FORMATS, EXPORT_SHEETS, formulaSafe } from "../lib/exportSpec.js";
+
+export const GENESIS_HASH = "0".repeat(64);
+const MAX_PAGE_SIZE = 200;
+// Actions the browser may report itself (things that happen client-side), with the detail
+// keys each may carry. Anything else the client sends is dropped: these rows are never erased
+const oneOf = (values) => (v) => (values.includes(v) ? v : undefined);
+const count = (v) => (Number.isSafeInteger(v) && v >= 0 ? v : undefined);
+const sheetIds = (v) => (Array.isArray(v) ? [...new Set(v.filter((id) => Object.hasOwn(EXPORT_SHEETS, id)))] : undefined);
+const CLIENT_REPORTED = {
+  "assessments.export": {
+    destination: oneOf(["google_drive", "google_sheets"]),
+    format: oneOf(EXPORT_FORMATS),
+    sheets: sheetIds,
+    appended: count,
+    updated: count,
+  },
+  "audit.export.drive": { destination: oneOf(["google_drive"]), entries: count },
+};
+
+function reportedDetails(action, details) {
+  if (!details || typeof details !== "object") return null;
+  const out = {};
+  for (const [key, check] of Object.entries(CLIENT_REPORTED[action])) {
+    const value = Object.hasOwn(details, key) ? check(details[key]) : undefined;
+    if (value !== undefined) out[key] = value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+const FIELDS = ["seq", "at", "actor_user_id", "actor_email", "actor_role", "action", "target_type", "target_id", "outcome", "status", "ip", "details"];
+
+const toApi = (e) => ({
+  seq: e.seq,
+  at: e.at,
+  actor: e.actor_email || (e.actor_role === "system" ? "system" : e.actor_user_id ? e.actor_role : "anonymous"),
+  actorId: e.actor_user_id,
+  actorRole: e.actor_role,
+  action: e.action,
+  targetType: e.target_type,
+  targetId: e.target_id,
+  outcome: e.outcome,
+  status: e.status,
+  ip: e.ip,
+  details: e.details ? JSON.parse(e.details) : null,
+  hash: e.hash,
+});
+
+export const outcomeFor = (status) => (status < 400 ? "success" : [401, 403, 404].includes(status) ? "denied" : "failed");
+
+/** `key` is the HMAC key for the chain (vault.deriveKey("audit-log")). */
+export function createAuditLog({ db, key }) {
+  const hashEntry = (prev, e) => crypto.createHmac("sha256", key)
+    .update(prev)
+    .update(JSON.stringify(FIELDS.map((f) => e[f] ?? null)))
+    .digest("hex");
+
+  /** Appends one entry. `actor` is a user row, "system" or null (anonymous). Throws when the write fails. */
+  function record({ actor, action, targetType = null, targetId = null, outcome = "success", status = null, ip = null, details = null }) {
+    return tx(db, () => {
+      const last = db.prepare("SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1").get();
+      const entry = {
+        seq: (last?.seq || 0) + 1,
+        at: nowIso(),
+        actor_user_id: actor && actor !== "system" ? actor.id : null,
+        actor_email: actor && actor !== "system" && actor.role !== "client" ? actor.email : null,
+        actor_role: actor === "system" ? "system" : actor?.role || "anonymous",
+        action,
+        target_type: targetType,
+        target_id: targetId == null ? null : String(targetId),
+        outcome,
+        status,
+        ip,
+        details: details ? JSON.stringify(details) : null,
+      };
+      const prev = last?.hash || GENESIS_HASH;
+      entry.hash = hashEntry(prev, entry);
+      db.prepare(`INSERT INTO audit_log (${FIELDS.join(", ")}, prev_hash, hash) VALUES (${FIELDS.map(() => "?").join(", ")}, ?, ?)`)
+        .run(...FIELDS.map((f) => entry[f]), prev, entry.hash);
+      return entry;
+    });
+  }
+
+  /** Recomputes the chain; returns { ok, count, brokenAt } (brokenAt = first bad seq). */
+  function verify() {
+    let prev = GENESIS_HASH;
+    let count = 0;
+    let expectedSeq = 1;
+    for (const e of db.prepare("SELECT * FROM audit_log ORDER BY seq").iterate()) {
+      if (e.seq !== expectedSeq || e.prev_hash !== prev || hashEntry(prev, e) !== e.hash) return { ok: false, count, brokenAt: expectedSeq };
+      prev = e.hash;
+      expectedSeq += 1;
+      count += 1;
+    }
+    return { ok: true, count, brokenAt: null, head: prev };
+  }
+
+  /** Filters: actor (email substring), action (prefix), targetType, targetId, outcome, from/to (YYYY-MM-DD). */
+  function query(q = {}, { paged = true } = {}) {
+    const where = [];
+    const args = [];
+    if (q.actor) { where.push("actor_email LIKE ?"); args.push(`%${q.actor}%`); }
+    if (q.action) { where.push("action LIKE ?"); args.push(`${q.action}%`); }
+    if (q.targetType) { where.push("target_type = ?"); args.push(q.targetType); }
+    if (q.targetId) { where.push("target_id = ?"); args.push(q.targetId); }
+    if (q.outcome) { where.push("outcome = ?"); args.push(q.outcome); }
+    if (q.from) { where.push("at >= ?"); args.push(q.from); }
+    if (q.to) { where.push("at < date(?, '+1 day')"); args.push(q.to); }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const { n: total } = db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${clause}`).get(...args);
+    if (!paged) return db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY seq DESC`).all(...args).map(toApi);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(q.pageSize, 10) || 50));
+    const page = Math.max(1, parseInt(q.page, 10) || 1);
+    const items = db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+      .all(...args, pageSize, (page - 1) * pageSize).map(toApi);
+    return { items, total, page, pageSize };
+  }
+
+  return { record, verify, query };
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : typeof v === "number" ? String(v) : formulaSafe(String(v));
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function registerAuditRoutes(router, { audit }) {
+  router.add("GET", "/api/audit", ({ query }) => audit.query(query), {
+    auth: "staff", audit: { action: "audit.view", details: ({ query }) => query },
+  });
+
+  router.add("GET", "/api/audit/verify", () => audit.verify(), { auth: "staff", audit: { action: "audit.verify" } });
+
+  router.add("GET", "/api/audit/export", ({ res, query }) => {
+    const cols = ["seq", "at", "actor", "actorRole", "action", "targetType", "targetId", "outcome", "status", "ip", "details", "hash"];
+    const lines = [cols.join(","), ...audit.query(query, { paged: false }).map((e) => cols.map((c) => csvCell(e[c])).join(","))];
+    res.writeHead(200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="audit-log-${nowIso().slice(0, 10)}.csv"`,
+      "Cache-Control": "no-store",
+    });
+    res.end(lines.join("\n"));
+  }, { auth: "staff", audit: { action: "audit.export", details: ({ query }) => query } });
+
+  // Events that only the browser sees (e.g. an XLSX export built client-side)
+  router.add("POST", "/api/audit/events", ({ req, user, body }) => {
+    if (!Object.hasOwn(CLIENT_REPORTED, body.action)) throw new HttpError(400, "Unknown audit action");
+    audit.record({
+      actor: user,
+      action: body.action,
+      ip: req.socket.remoteAddress,
+      details: reportedDetails(body.action, body.details),
+    });
+  }, { auth: "staff" });
+}
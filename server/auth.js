@@ -0,0 +1,276 @@
+/**
+ * Authentication: password accounts, email one-time codes / magic links,
+ * and expiring bearer sessions.
+ * ---------------------------------------------------------------------------
+ *  - Passwords are hashed with scrypt (per-user salt); only hashes are stored.
+ *  - Session tokens and login codes are random and stored as SHA-256 hashes,
+ *    so a copy of the database cannot be replayed as live credentials.
+ *  - Roles are never taken from the client: new accounts are "client" and
+ *    only an admin (API) or the CLI can grant "staff" / "admin".
+ *  - Registration never says whether an address already has an account: both
+ *    answer 202 and email the address (a confirmation code for a new account,
+ *    a sign-in notice for an existing one). The password is only stored once
+ *    the emailed code proves the registrant owns the address.
+ *  - An unverified account's password (from before registration was
+ *    confirmed by email) is cleared, with its sessions, on the owner's first
+ *    emailed code / link, before the account can claim cases.
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso } from "./db.js";
+
+const ROLES = ["client", "staff", "admin"];
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const normEmail = (e) => String(e || "").trim().toLowerCase();
+const isEmail = (e) => /^\S+@\S+\.\S+$/.test(e);
+const addMinutes = (m) => new Date(Date.now() + m * 60000).toISOString();
+
+// --- Password hashing ---
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = crypto.scryptSync(password, salt, keylen, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [alg, N, r, p, salt, hash] = stored.split("$");
+  if (alg !== "scrypt") return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "base64"), expected.length, { N: +N, r: +r, p: +p });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD) {
+    throw new HttpError(400, `Password must be at least ${MIN_PASSWORD} characters.`);
+  }
+}
+
+// --- Public user shape (never expose hashes) ---
+export const publicUser = (u) => u && ({ id: u.id, email: u.email, name: u.name, role: u.role, createdAt: u.created_at });
+
+// --- Brute-force throttle (per key, in memory) ---
+export function createThrottle({ max = 10, windowMs = 15 * 60000 } = {}) {
+  const hits = new Map();
+  return (key) => {
+    const now = Date.now();
+    const list = (hits.get(key) || []).filter((t) => now - t < windowMs);
+    list.push(now);
+    hits.set(key, list);
+    if (list.length > max) throw new HttpError(429, "Too many attempts. Try again later.");
+  };
+}
+
+export function createAuthService({ db, config, mailer, onEmailVerified = () => {} }) {
+  const throttle = createThrottle();
+  // Checked against when there is no password to check, so unknown emails take as long as wrong passwords
+  const dummyHash = hashPassword(randomToken());
+
+  const findUserByEmail = (email) => db.prepare("SELECT * FROM users WHERE email = ?").get(normEmail(email));
+  const findUser = (id) => db.prepare("SELECT * FROM users WHERE id = ?").get(id);
+
+  /** `verified`: the address is vouched for (accounts made by an operator), not self-registered. */
+  function createUser({ email, name = "", password = null, role = "client", verified = false }) {
+    const e = normEmail(email);
+    if (!isEmail(e)) throw new HttpError(400, "Enter a valid email.");
+    if (!ROLES.includes(role)) throw new HttpError(400, `Unknown role: ${role}`);
+    if (findUserByEmail(e)) throw new HttpError(409, "An account with this email already exists.");
+    if (password !== null) checkPassword(password);
+    const id = crypto.randomUUID();
+    db.prepare("INSERT INTO users (id, email, name, password_hash, role, created_at, email_verified_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(id, e, name || e.split("@")[0], password === null ? null : hashPassword(password), role, nowIso(), verified ? nowIso() : null);
+    return findUser(id);
+  }
+
+  function setRole(userId, role) {
+    if (!ROLES.includes(role)) throw new HttpError(400, `Unknown role: ${role}`);
+    const u = findUser(userId);
+    if (!u) throw new HttpError(404, "User not found");
+    db.prepare("UPDATE users SET role = ? WHERE id = ?").run(role, userId);
+    // Force re-login so the new role takes effect everywhere
+    db.prepare("DELETE FROM sessions WHERE user_id = ?").run(userId);
+    return findUser(userId);
+  }
+
+  function setPassword(userId, password) {
+    checkPassword(password);
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(hashPassword(password), userId);
+  }
+
+  function startSession(user, userAgent = "") {
+    const token = randomToken();
+    const expiresAt = new Date(Date.now() + config.sessionTtlHours * 3600000).toISOString();
+    db.prepare("INSERT INTO sessions (token_hash, user_id, created_at, expires_at, user_agent) VALUES (?, ?, ?, ?, ?)")
+      .run(sha256(token), user.id, nowIso(), expiresAt, String(userAgent).slice(0, 200));
+    db.prepare("UPDATE users SET last_login_at = ? WHERE id = ?").run(nowIso(), user.id);
+    return { token, expiresAt, user: publicUser(findUser(user.id)) };
+  }
+
+  function userFromToken(token) {
+    if (!token) return null;
+    const row = db.prepare(`SELECT u.*, s.expires_at AS session_expires FROM sessions s
+                            JOIN users u ON u.id = s.user_id WHERE s.token_hash = ?`).get(sha256(token));
+    if (!row) return null;
+    if (row.session_expires <= nowIso()) {
+      db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(sha256(token));
+      return null;
+    }
+    return row;
+  }
+
+  function endSession(token) {
+    if (token) db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(sha256(token));
+  }
+
+  function loginWithPassword(email, password, userAgent) {
+    throttle(`pw:${normEmail(email)}`);
+    const u = findUserByEmail(email);
+    const ok = verifyPassword(String(password || ""), u?.password_hash || dummyHash);
+    // Same message for unknown email and wrong password
+    if (!u?.password_hash || !ok) throw new HttpError(401, "Incorrect email or password.");
+    return startSession(u, userAgent);
+  }
+
+  const signInEmail = (code, url) => ({
+    subject: "Your Peddle West sign-in code",
+    text: `Your sign-in code is ${code}.\n\nOr open this link to sign in:\n${url}\n\n`
+      + `Both expire in ${config.loginCodeTtlMinutes} minutes. If you did not request this, ignore this email.`,
+  });
+  const confirmEmail = (code, url) => ({
+    subject: "Confirm your Peddle West account",
+    text: `Your confirmation code is ${code}. Enter it to finish creating your account.\n\nOr open this link to sign in:\n${url}\n\n`
+      + `Both expire in ${config.loginCodeTtlMinutes} minutes. If you did not create an account, ignore this email.`,
+  });
+  const existingAccountEmail = (code, url) => ({
+    subject: "Your Peddle West account",
+    text: `Someone tried to create a Peddle West account with this address, but you already have one.\n\n`
+      + `To sign in, use the code ${code} or open this link:\n${url}\n\n`
+      + `Both expire in ${config.loginCodeTtlMinutes} minutes. If this was not you, ignore this email: your account is unchanged.`,
+  });
+
+  /** Emails a 6-digit code and a magic link; both expire after loginCodeTtlMinutes. */
+  async function sendLoginTokens(e, message) {
+    db.prepare("DELETE FROM login_tokens WHERE email = ? OR expires_at < ?").run(e, nowIso());
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const link = randomToken();
+    const expiresAt = addMinutes(config.loginCodeTtlMinutes);
+    const ins = db.prepare("INSERT INTO login_tokens (id, email, kind, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)");
+    ins.run(crypto.randomUUID(), e, "code", sha256(`${e}:${code}`), expiresAt, nowIso());
+    ins.run(crypto.randomUUID(), e, "link", sha256(link), expiresAt, nowIso());
+    await mailer.send({ to: e, ...message(code, `${config.appUrl}/#login?token=${link}`) });
+  }
+
+  async function startEmailLogin(email) {
+    const e = normEmail(email);
+    if (!isEmail(e)) throw new HttpError(400, "Enter a valid email.");
+    throttle(`mail:${e}`);
+    await sendLoginTokens(e, signInEmail);
+  }
+
+  /**
+   * Self-registration. Answers the same whether or not the address is taken: a new
+   * address gets an unverified account and a confirmation code (the password is
+   * set by verifyEmailCode), an existing owner gets told instead.
+   */
+  async function register({ email, name = "", password }) {
+    const e = normEmail(email);
+    if (!isEmail(e)) throw new HttpError(400, "Enter a valid email.");
+    checkPassword(password);
+    throttle(`mail:${e}`);
+    const existing = findUserByEmail(e);
+    if (!existing) createUser({ email: e, name });
+    await sendLoginTokens(e, existing ? existingAccountEmail : confirmEmail);
+  }
+
+  function consumeLoginToken(row) {
+    db.prepare("UPDATE login_tokens SET used_at = ? WHERE email = ?").run(nowIso(), row.email);
+    // First email login doubles as sign-up for clients
+    const u = findUserByEmail(row.email) || createUser({ email: row.email });
+    if (!u.email_verified_at && u.password_hash) {
+      // Whoever chose that password never proved they own the address
+      db.prepare("UPDATE users SET password_hash = NULL WHERE id = ?").run(u.id);
+      db.prepare("DELETE FROM sessions WHERE user_id = ?").run(u.id);
+    }
+    db.prepare("UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?").run(nowIso(), u.id);
+    onEmailVerified(u);
+    return u;
+  }
+
+  /** `password`: chosen at registration, stored only for an account that has none yet. */
+  function verifyEmailCode(email, code, userAgent, password = null) {
+    const e = normEmail(email);
+    throttle(`code:${e}`);
+    if (password !== null) checkPassword(password);
+    const row = db.prepare("SELECT * FROM login_tokens WHERE email = ? AND kind = 'code' AND used_at IS NULL AND expires_at > ?").get(e, nowIso());
+    if (!row) throw new HttpError(401, "Code expired. Request a new one.");
+    if (row.attempts >= MAX_CODE_ATTEMPTS) throw new HttpError(429, "Too many attempts. Request a new code.");
+    if (row.token_hash !== sha256(`${e}:${String(code || "").trim()}`)) {
+      db.prepare("UPDATE login_tokens SET attempts = attempts + 1 WHERE id = ?").run(row.id);
+      throw new HttpError(401, "Incorrect code.");
+    }
+    const u = findUser(consumeLoginToken(row).id);
+    if (password !== null && !u.password_hash) setPassword(u.id, password);
+    return startSession(u, userAgent);
+  }
+
+  function verifyMagicLink(token, userAgent) {
+    const row = db.prepare("SELECT * FROM login_tokens WHERE token_hash = ? AND kind = 'link' AND used_at IS NULL AND expires_at > ?")
+      .get(sha256(String(token || "")), nowIso());
+    if (!row) throw new HttpError(401, "This sign-in link has expired or was already used.");
+    return startSession(consumeLoginToken(row), userAgent);
+  }
+
+  return {
+    createUser, findUser, findUserByEmail, setRole, setPassword,
+    loginWithPassword, register, startEmailLogin, verifyEmailCode, verifyMagicLink,
+    userFromToken, endSession,
+  };
+}
+
+export const bearerToken = (req) => {
+  const h = req.headers.authorization || "";
+  return h.startsWith("Bearer ") ? h.slice(7).trim() : null;
+};
+
+export function registerAuthRoutes(router, { auth }) {
+  const ua = (req) => req.headers["user-agent"] || "";
+  // Sign-ins are attributed to the account that signed in. The audit log cannot be erased, so the
+  // attempted email is not kept: failures record only the method
+  const loginAudit = {
+    type: "user",
+    actor: (ctx, out) => out?.user,
+    id: (ctx, out) => out?.user?.id,
+    details: ({ body }) => ({ method: body?.token ? "magic_link" : body?.code ? "email_code" : "password" }),
+  };
+
+  // Same answer as /email/start whether or not the address has an account
+  router.add("POST", "/api/auth/register", async ({ body }) => {
+    await auth.register({ email: body.email, name: body.name, password: String(body.password || "") });
+    return reply(202, { sent: true });
+  });
+  router.add("POST", "/api/auth/login", ({ req, body }) => auth.loginWithPassword(body.email, body.password, ua(req)), {
+    audit: { action: "auth.login", ...loginAudit },
+  });
+  router.add("POST", "/api/auth/email/start", async ({ body }) => {
+    await auth.startEmailLogin(body.email);
+    return reply(202, { sent: true });
+  });
+  router.add("POST", "/api/auth/email/verify", ({ req, body }) => (
+    body.token ? auth.verifyMagicLink(body.token, ua(req)) : auth.verifyEmailCode(body.email, body.code, ua(req), body.password == null ? null : String(body.password))
+  ), { audit: { action: "auth.login", ...loginAudit } });
+  router.add("GET", "/api/auth/me", ({ user }) => ({ user: publicUser(user) }), { auth: "user" });
+  router.add("POST", "/api/auth/password", ({ user, body }) => {
+    if (user.password_hash && !verifyPassword(String(body.currentPassword || ""), user.password_hash)) {
+      throw new HttpError(401, "Current password is incorrect.");
+    }
+    auth.setPassword(user.id, String(body.password || ""));
+  }, { auth: "user", audit: { action: "auth.password_change", type: "user", id: ({ user }) => user?.id } });
+  router.add("POST", "/api/auth/logout", ({ req }) => { auth.endSession(bearerToken(req)); }, { auth: "user" });
+}
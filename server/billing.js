@@ -0,0 +1,249 @@
+/**
+ * Invoices and payments per case.
+ * ---------------------------------------------------------------------------
+ * - Staff write invoices from line items; totals and sales tax for the
+ *   client's province are computed here with lib/billing.js, whatever the
+ *   browser showed. Numbers run per year (INV-2026-0001).
+ * - Clients pay online through the payment provider (server/payments.js):
+ *   a payment starts "pending" and settles at once or when the provider's
+ *   webhook confirms it. Staff record payments received another way
+ *   (e-Transfer, wire, cheque, cash).
+ * - A settled payment gets a receipt number (RCT-2026-0001) and the client
+ *   is notified; the invoice is "paid" once nothing is owed. Open invoices
+ *   without payments can be voided with a reason.
+ * - Invoices and payments are tax records: erasing a case only clears their
+ *   case link. Each invoice keeps the client's name and email as billed.
+ * Amounts are integer cents. `clientRef` makes repeated payment requests
+ * idempotent for the same user and invoice.
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { isStaffUser } from "./cases.js";
+import { invoiceBalance, invoiceTotals, lineProblem, PAYMENT_METHODS, TAX_REGIONS } from "../lib/billing.js";
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toPayment = (p) => ({
+  id: p.id,
+  invoiceId: p.invoice_id,
+  amount: p.amount,
+  method: p.method,
+  provider: p.provider,
+  status: p.status,
+  error: p.error,
+  note: p.note,
+  receiptNumber: p.receipt_number,
+  createdAt: p.created_at,
+  settledAt: p.settled_at,
+});
+
+const toInvoice = (i, payments) => {
+  const out = {
+    id: i.id,
+    caseId: i.case_id,
+    clientName: i.client_name,
+    clientEmail: i.client_email,
+    number: i.number,
+    region: i.region,
+    lines: JSON.parse(i.lines),
+    taxes: JSON.parse(i.taxes),
+    subtotal: i.subtotal,
+    tax: i.tax,
+    total: i.total,
+    status: i.status,
+    dueDate: i.due_date,
+    notes: i.notes,
+    createdAt: i.created_at,
+    paidAt: i.paid_at,
+    voidedAt: i.voided_at,
+    voidReason: i.void_reason,
+    payments,
+  };
+  return { ...out, balance: invoiceBalance(out) };
+};
+
+export function createBillingService({ db, config, cases, provider, notifications }) {
+  const rules = config.billing;
+  const getInvoice = (id) => db.prepare("SELECT * FROM invoices WHERE id = ?").get(id);
+  const getPayment = (id) => db.prepare("SELECT * FROM payments WHERE id = ?").get(id);
+  const withPayments = (i) => toInvoice(i, db.prepare("SELECT * FROM payments WHERE invoice_id = ? ORDER BY created_at").all(i.id).map(toPayment));
+
+  // Call inside a transaction: the counter and the row using it commit together
+  const nextNumber = (prefix) => {
+    const year = new Date().getUTCFullYear();
+    const { value } = db.prepare(`INSERT INTO counters (name, value) VALUES (?, 1)
+                                  ON CONFLICT (name) DO UPDATE SET value = value + 1 RETURNING value`).get(`${prefix}-${year}`);
+    return `${prefix}-${year}-${String(value).padStart(4, "0")}`;
+  };
+
+  /** The invoice when `user` may see its case. */
+  function invoiceFor(user, id) {
+    const i = getInvoice(id);
+    if (!i) throw new HttpError(404, "Invoice not found");
+    cases.getFor(user, i.case_id);
+    return i;
+  }
+
+  const list = (caseId) => db.prepare("SELECT * FROM invoices WHERE case_id = ? ORDER BY created_at DESC").all(caseId).map(withPayments);
+
+  function create(user, caseId, { lines, region = rules.defaultRegion, dueDate, notes = "" }) {
+    const clean = (Array.isArray(lines) ? lines : []).map((l) => ({
+      description: String(l?.description || "").trim().slice(0, 200),
+      category: l?.category,
+      quantity: Number(l?.quantity),
+      unitAmount: Number(l?.unitAmount),
+    }));
+    const problem = lineProblem(clean);
+    if (problem) throw new HttpError(400, problem);
+    if (!TAX_REGIONS[region]) throw new HttpError(400, "Unknown tax region");
+    const due = dueDate || new Date(Date.now() + rules.dueDays * 86400000).toISOString().slice(0, 10);
+    if (!DATE.test(due)) throw new HttpError(400, "dueDate must be YYYY-MM-DD");
+    const totals = invoiceTotals(clean, region);
+    if (totals.total <= 0) throw new HttpError(400, "The invoice total must be more than zero");
+    const id = crypto.randomUUID();
+    const c = cases.get(caseId);
+    tx(db, () => {
+      db.prepare(`INSERT INTO invoices (id, case_id, client_name, client_email, number, region, lines, taxes, subtotal, tax, total, due_date, notes, created_by, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, caseId, c.name || "", c.email, nextNumber("INV"), region, JSON.stringify(totals.lines), JSON.stringify(totals.taxes), totals.subtotal, totals.tax, totals.total,
+          due, String(notes).slice(0, 2000), user.id, nowIso());
+    });
+    const invoice = getInvoice(id);
+    notifications.invoiceIssued(invoice);
+    return withPayments(invoice);
+  }
+
+  function voidInvoice(user, id, reason) {
+    const i = invoiceFor(user, id);
+    if (i.status !== "open") throw new HttpError(409, "Only open invoices can be voided");
+    if (db.prepare("SELECT 1 FROM payments WHERE invoice_id = ? AND status != 'failed'").get(i.id)) {
+      throw new HttpError(409, "This invoice has payments and cannot be voided");
+    }
+    if (!String(reason || "").trim()) throw new HttpError(400, "A reason is required");
+    db.prepare("UPDATE invoices SET status = 'void', voided_at = ?, void_reason = ? WHERE id = ?").run(nowIso(), String(reason).trim().slice(0, 500), i.id);
+    return withPayments(getInvoice(i.id));
+  }
+
+  /** Marks a payment settled, issues its receipt number and closes the invoice once nothing is owed. */
+  function settle(paymentId) {
+    const settled = tx(db, () => {
+      const p = getPayment(paymentId);
+      if (p.status === "succeeded") return null;
+      const at = nowIso();
+      db.prepare("UPDATE payments SET status = 'succeeded', error = NULL, receipt_number = ?, settled_at = ? WHERE id = ?").run(nextNumber("RCT"), at, p.id);
+      const invoice = withPayments(getInvoice(p.invoice_id));
+      if (invoice.status === "open" && invoice.balance === 0) db.prepare("UPDATE invoices SET status = 'paid', paid_at = ? WHERE id = ?").run(at, invoice.id);
+      return invoice;
+    });
+    if (settled) notifications.paymentReceived(getPayment(paymentId), getInvoice(settled.id), settled.balance);
+  }
+
+  // What a new payment may cover: the balance less payments still pending with the provider
+  function payable(i) {
+    if (i.status !== "open") throw new HttpError(409, i.status === "paid" ? "This invoice is already paid" : "This invoice was voided");
+    const invoice = withPayments(i);
+    const pending = invoice.payments.filter((p) => p.status === "pending").reduce((s, p) => s + p.amount, 0);
+    return invoice.balance - pending;
+  }
+
+  const checkAmount = (amount, max) => {
+    if (max <= 0) throw new HttpError(409, "A payment for this invoice is still being processed");
+    const cents = amount == null || amount === "" ? max : Number(amount);
+    if (!Number.isInteger(cents) || cents <= 0) throw new HttpError(400, "amount must be a positive number of cents");
+    if (cents > max) throw new HttpError(400, "The amount is more than the balance owing");
+    return cents;
+  };
+
+  // A ref only repeats a request by the same user on the same invoice
+  const duplicate = (i, user, clientRef) => clientRef
+    && db.prepare("SELECT * FROM payments WHERE invoice_id = ? AND recorded_by = ? AND client_ref = ?").get(i.id, user.id, String(clientRef));
+
+  const insertPayment = (i, { amount, method, provider: via, note = "", clientRef, user }) => {
+    const id = crypto.randomUUID();
+    db.prepare(`INSERT INTO payments (id, invoice_id, case_id, amount, method, provider, status, note, client_ref, recorded_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`)
+      .run(id, i.id, i.case_id, amount, method, via, String(note).slice(0, 500), clientRef ? String(clientRef) : null, user.id, nowIso());
+    return id;
+  };
+
+  /**
+   * A client pays online. Resolves to { payment, invoice, checkoutUrl } –
+   * with a checkoutUrl the browser continues at the provider's page.
+   */
+  async function checkout(user, id, { amount, clientRef, testOutcome }) {
+    if (!provider) throw new HttpError(503, "Online payments are not available. Please contact us to pay another way.");
+    if (isStaffUser(user)) throw new HttpError(403, "Staff record payments received from the client instead");
+    const i = invoiceFor(user, id);
+    const dup = duplicate(i, user, clientRef);
+    if (dup) return { payment: toPayment(dup), invoice: withPayments(i), checkoutUrl: null };
+    const cents = checkAmount(amount, payable(i));
+    const paymentId = insertPayment(i, { amount: cents, method: "card", provider: provider.name, clientRef, user });
+    let result;
+    try {
+      result = await provider.startPayment({
+        paymentId, amount: cents, currency: "CAD", description: `Invoice ${i.number}`, email: user.email, returnUrl: `${config.appUrl}/#billing`, testOutcome,
+      });
+    } catch (e) {
+      db.prepare("UPDATE payments SET status = 'failed', error = ? WHERE id = ?").run(String(e.message).slice(0, 300), paymentId);
+      throw new HttpError(502, "The payment provider could not be reached. Please try again.");
+    }
+    db.prepare("UPDATE payments SET provider_ref = ?, status = ?, error = ? WHERE id = ?")
+      .run(result.reference || null, result.status === "failed" ? "failed" : "pending", result.error || null, paymentId);
+    if (result.status === "succeeded") settle(paymentId);
+    return { payment: toPayment(getPayment(paymentId)), invoice: withPayments(getInvoice(i.id)), checkoutUrl: result.checkoutUrl || null };
+  }
+
+  /** Staff record a payment received outside the portal; it settles at once. */
+  function record(user, id, { amount, method, note, clientRef }) {
+    const i = invoiceFor(user, id);
+    if (!PAYMENT_METHODS[method]) throw new HttpError(400, "Unknown payment method");
+    const dup = duplicate(i, user, clientRef);
+    if (dup) return withPayments(i);
+    const paymentId = insertPayment(i, { amount: checkAmount(amount, payable(i)), method, provider: "manual", note, clientRef, user });
+    settle(paymentId);
+    return withPayments(getInvoice(i.id));
+  }
+
+  /** Provider confirmation of a pending payment (POST /api/webhooks/payments). */
+  function confirm(req, raw) {
+    if (!provider) throw new HttpError(503, "Online payments are not configured");
+    const evt = provider.parseWebhook(req, raw);
+    const p = db.prepare("SELECT * FROM payments WHERE provider = ? AND provider_ref = ?").get(provider.name, evt.reference);
+    if (!p) throw new HttpError(404, "Unknown payment");
+    if (p.status === "pending" && evt.status === "succeeded") settle(p.id);
+    if (p.status === "pending" && evt.status === "failed") db.prepare("UPDATE payments SET status = 'failed', error = ? WHERE id = ?").run(evt.error || "Payment failed", p.id);
+    return { id: p.id, status: getPayment(p.id).status };
+  }
+
+  return { list, invoiceFor, create, void: voidInvoice, checkout, record, confirm, provider };
+}
+
+export function registerBillingRoutes(router, { cases, billing, config }) {
+  router.add("GET", "/api/billing/config", () => ({
+    provider: billing.provider?.name || null,
+    testMode: billing.provider?.name === "fake",
+    defaultRegion: config.billing.defaultRegion,
+    dueDays: config.billing.dueDays,
+  }), { auth: "user" });
+
+  router.add("GET", "/api/cases/:id/invoices", ({ user, params }) => billing.list(cases.getFor(user, params.id).id), {
+    auth: "user", audit: { action: "invoice.list", type: "case" },
+  });
+
+  router.add("POST", "/api/cases/:id/invoices", ({ user, params, body }) => reply(201, billing.create(user, cases.getFor(user, params.id).id, body)), {
+    auth: "staff", audit: { action: "invoice.create", type: "invoice", id: (ctx, out) => out?.id, details: (ctx, out) => out && { caseId: out.caseId, number: out.number, total: out.total } },
+  });
+
+  router.add("POST", "/api/invoices/:id/void", ({ user, params, body }) => billing.void(user, params.id, body.reason), {
+    auth: "staff", audit: { action: "invoice.void", type: "invoice", details: ({ body }) => ({ reason: body?.reason }) },
+  });
+
+  router.add("POST", "/api/invoices/:id/checkout", ({ user, params, body }) => billing.checkout(user, params.id, body), {
+    auth: "user", audit: { action: "payment.start", type: "invoice", details: (ctx, out) => out && { paymentId: out.payment.id, amount: out.payment.amount, status: out.payment.status } },
+  });
+
+  router.add("POST", "/api/invoices/:id/payments", ({ user, params, body }) => billing.record(user, params.id, body), {
+    auth: "staff", audit: { action: "payment.record", type: "invoice", details: ({ body }) => ({ amount: body?.amount, method: body?.method }) },
+  });
+}
@@ -0,0 +1,445 @@
+/**
+ * Native appointment booking.
+ * ---------------------------------------------------------------------------
+ * Staff keep weekly availability (in their own time zone) plus time off;
+ * consultation types set the duration. Slots are computed on request from
+ * availability minus existing appointments (lib/booking.js) – nothing is
+ * pre-generated. A slot is offered when at least one staff member is free;
+ * booking picks the case's assigned RCIC when they are free, otherwise the
+ * least busy free staff member that day.
+ *
+ * Double booking: the overlap check and the insert run in one BEGIN
+ * IMMEDIATE transaction, and a partial unique index on (staff, start) backs
+ * it up. Confirmations, changes and cancellations are emailed to client and
+ * staff with an .ics attachment (same UID, rising SEQUENCE).
+ *
+ * config.booking.provider = "calendly" makes the browser embed Calendly
+ * instead; these endpoints stay available, and Calendly bookings arrive
+ * through its webhook (server/webhooks.js → ingest()) so they show up on the
+ * client's case like native ones.
+ */
+import crypto from "node:crypto";
+import { buildIcs, generateSlots, isValidTimeZone, overlaps, validateAvailability } from "../lib/booking.js";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { isStaffUser } from "./cases.js";
+
+const MS_PER_MIN = 60000;
+const MAX_WINDOW_DAYS = 35;
+
+const typeToApi = (t) => ({ id: t.id, name: t.name, description: t.description, durationMin: t.duration_min, active: Boolean(t.active) });
+const toApi = (a) => ({
+  id: a.id,
+  typeId: a.type_id,
+  typeName: a.type_name,
+  clientUserId: a.client_user_id,
+  clientName: a.client_name ?? undefined,
+  clientEmail: a.client_email ?? undefined,
+  caseId: a.case_id,
+  staffUserId: a.staff_user_id,
+  staffName: a.staff_name ?? undefined,
+  start: a.starts_at,
+  end: a.ends_at,
+  timeZone: a.client_time_zone,
+  notes: a.notes,
+  status: a.status,
+  provider: a.provider,
+  cancelReason: a.cancel_reason,
+  cancelUrl: a.cancel_url || null,
+  rescheduleUrl: a.reschedule_url || null,
+  createdAt: a.created_at,
+  updatedAt: a.updated_at,
+});
+
+const SLOT_TAKEN = "That time is no longer available. Please pick another slot.";
+
+// Runs a booking write; the unique index firing means another process won the slot
+function claimSlot(db, fn) {
+  try {
+    return tx(db, fn);
+  } catch (e) {
+    if (/UNIQUE constraint failed: appointments/.test(e.message)) throw new HttpError(409, SLOT_TAKEN);
+    throw e;
+  }
+}
+
+// The no-double-booking index fired: that staff member already has a booking at this start time
+const isStaffClash = (e) => /UNIQUE constraint failed: appointments\.staff_user_id/.test(e.message);
+
+/** Runs a write that sets a staff member; false when it clashed (nothing was written), true otherwise. */
+function tryAssign(write) {
+  try {
+    write();
+    return true;
+  } catch (e) {
+    if (isStaffClash(e)) return false;
+    throw e;
+  }
+}
+
+const APPOINTMENT_SQL = `SELECT a.*, COALESCE(cu.name, a.invitee_name) AS client_name, COALESCE(cu.email, a.invitee_email) AS client_email, COALESCE(NULLIF(su.name, ''), su.email) AS staff_name
+                         FROM appointments a LEFT JOIN users cu ON cu.id = a.client_user_id LEFT JOIN users su ON su.id = a.staff_user_id`;
+
+export function createBookingService({ db, config, mailer, cases }) {
+  const settings = config.booking;
+
+  const getType = (id) => db.prepare("SELECT * FROM consultation_types WHERE id = ?").get(id);
+  const get = (id) => db.prepare(`${APPOINTMENT_SQL} WHERE a.id = ?`).get(id);
+
+  function listTypes({ all = false } = {}) {
+    return db.prepare(`SELECT * FROM consultation_types ${all ? "" : "WHERE active = 1"} ORDER BY sort, name`).all().map(typeToApi);
+  }
+
+  function saveType(id, { name, description, durationMin, active }) {
+    const existing = id ? getType(id) : null;
+    if (id && !existing) throw new HttpError(404, "Consultation type not found");
+    const next = {
+      name: String(name ?? existing?.name ?? "").trim().slice(0, 120),
+      description: String(description ?? existing?.description ?? "").slice(0, 1000),
+      duration: parseInt(durationMin ?? existing?.duration_min, 10),
+      active: active === undefined ? existing?.active ?? 1 : active ? 1 : 0,
+    };
+    if (!next.name) throw new HttpError(400, "A name is required");
+    if (!(next.duration >= 5 && next.duration <= 480)) throw new HttpError(400, "Duration must be between 5 and 480 minutes");
+    const at = nowIso();
+    if (existing) {
+      db.prepare("UPDATE consultation_types SET name = ?, description = ?, duration_min = ?, active = ?, updated_at = ? WHERE id = ?")
+        .run(next.name, next.description, next.duration, next.active, at, id);
+      return typeToApi(getType(id));
+    }
+    const newId = crypto.randomUUID();
+    const { n } = db.prepare("SELECT COUNT(*) AS n FROM consultation_types").get();
+    db.prepare("INSERT INTO consultation_types (id, name, description, duration_min, active, sort, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+      .run(newId, next.name, next.description, next.duration, next.active, n, at, at);
+    return typeToApi(getType(newId));
+  }
+
+  function availabilityFor(staffUserId) {
+    const row = db.prepare("SELECT * FROM staff_availability WHERE staff_user_id = ?").get(staffUserId);
+    const timeOff = db.prepare("SELECT id, starts_at AS start, ends_at AS end, reason FROM time_off WHERE staff_user_id = ? AND ends_at > ? ORDER BY starts_at")
+      .all(staffUserId, nowIso());
+    return { staffUserId, timeZone: row?.time_zone || settings.timeZone, rules: row ? JSON.parse(row.rules) : [], timeOff };
+  }
+
+  function setAvailability(staffUserId, { timeZone, rules }) {
+    const clean = (Array.isArray(rules) ? rules : []).map((r) => ({ weekday: Number(r.weekday), start: String(r.start || ""), end: String(r.end || "") }));
+    const errors = validateAvailability(clean, timeZone);
+    if (errors.length) throw new HttpError(400, errors[0], errors);
+    db.prepare(`INSERT INTO staff_availability (staff_user_id, time_zone, rules, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (staff_user_id) DO UPDATE SET time_zone = excluded.time_zone, rules = excluded.rules, updated_at = excluded.updated_at`)
+      .run(staffUserId, timeZone, JSON.stringify(clean), nowIso());
+    return availabilityFor(staffUserId);
+  }
+
+  function addTimeOff(staffUserId, { start, end, reason }) {
+    const s = new Date(start);
+    const e = new Date(end);
+    if (Number.isNaN(s.getTime()) || Number.isNaN(e.getTime()) || s >= e) throw new HttpError(400, "Time off needs a start before its end");
+    db.prepare("INSERT INTO time_off (id, staff_user_id, starts_at, ends_at, reason, created_at) VALUES (?, ?, ?, ?, ?, ?)")
+      .run(crypto.randomUUID(), staffUserId, s.toISOString(), e.toISOString(), String(reason || "").slice(0, 200), nowIso());
+    return availabilityFor(staffUserId);
+  }
+
+  function removeTimeOff(user, id) {
+    const t = db.prepare("SELECT * FROM time_off WHERE id = ?").get(id);
+    if (!t || (t.staff_user_id !== user.id && user.role !== "admin")) throw new HttpError(404, "Time off not found");
+    db.prepare("DELETE FROM time_off WHERE id = ?").run(id);
+    return availabilityFor(t.staff_user_id);
+  }
+
+  const busyFor = (staffUserId, from, to, exceptId = null) => [
+    ...db.prepare(`SELECT id, starts_at AS start, ends_at AS end FROM appointments
+                   WHERE staff_user_id = ? AND status = 'booked' AND starts_at < ? AND ends_at > ?`).all(staffUserId, to, from)
+      .filter((a) => a.id !== exceptId),
+    ...db.prepare("SELECT starts_at AS start, ends_at AS end FROM time_off WHERE staff_user_id = ? AND starts_at < ? AND ends_at > ?").all(staffUserId, to, from),
+  ];
+
+  const staffWithAvailability = () => db.prepare(`SELECT s.* FROM staff_availability s JOIN users u ON u.id = s.staff_user_id
+                                                   WHERE u.role IN ('staff', 'admin')`).all()
+    .map((s) => ({ staffUserId: s.staff_user_id, timeZone: s.time_zone, rules: JSON.parse(s.rules) }));
+
+  // Free slots per staff member within [from, to)
+  function slotsByStaff(type, from, to, exceptId = null) {
+    const notBefore = new Date(Date.now() + settings.minNoticeHours * 3600000);
+    const horizon = new Date(Date.now() + settings.horizonDays * 86400000);
+    const until = new Date(Math.min(new Date(to).getTime(), horizon.getTime()));
+    if (until <= from) return [];
+    const pad = settings.bufferMinutes * MS_PER_MIN;
+    return staffWithAvailability().map((s) => ({
+      staffUserId: s.staffUserId,
+      slots: generateSlots({
+        rules: s.rules,
+        timeZone: s.timeZone,
+        duration: type.duration_min,
+        from,
+        to: until,
+        busy: busyFor(s.staffUserId, new Date(from.getTime() - pad).toISOString(), new Date(until.getTime() + pad).toISOString(), exceptId),
+        step: settings.slotStepMinutes,
+        buffer: settings.bufferMinutes,
+        notBefore,
+      }),
+    }));
+  }
+
+  /** Distinct bookable start times for a consultation type. */
+  function slots({ typeId, from, to }) {
+    const type = getType(typeId);
+    if (!type || !type.active) throw new HttpError(404, "Consultation type not found");
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start.getTime() + 14 * 86400000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) throw new HttpError(400, "Invalid date range");
+    if (end - start > MAX_WINDOW_DAYS * 86400000) throw new HttpError(400, `Ask for at most ${MAX_WINDOW_DAYS} days at a time`);
+    const seen = new Map();
+    slotsByStaff(type, start, end).forEach(({ slots: list }) => list.forEach((s) => seen.set(s.start, s)));
+    return [...seen.values()].sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  // Staff member who can take `start` (the case's RCIC first), or null
+  function pickStaff(type, start, preferStaffId, exceptId) {
+    const end = new Date(start.getTime() + type.duration_min * MS_PER_MIN);
+    const free = slotsByStaff(type, start, end, exceptId)
+      .filter((s) => s.slots.some((slot) => slot.start === start.toISOString()))
+      .map((s) => s.staffUserId);
+    if (!free.length) return null;
+    if (preferStaffId && free.includes(preferStaffId)) return preferStaffId;
+    const dayStart = new Date(start.getTime() - 12 * 3600000).toISOString();
+    const dayEnd = new Date(start.getTime() + 12 * 3600000).toISOString();
+    const load = (id) => db.prepare("SELECT COUNT(*) AS n FROM appointments WHERE staff_user_id = ? AND status = 'booked' AND starts_at BETWEEN ? AND ?")
+      .get(id, dayStart, dayEnd).n;
+    return free.sort((a, b) => load(a) - load(b))[0];
+  }
+
+  const timeZoneOr = (tz) => (isValidTimeZone(tz) ? tz : settings.timeZone);
+
+  function book(user, { typeId, start, timeZone, notes }) {
+    const type = getType(typeId);
+    if (!type || !type.active) throw new HttpError(404, "Consultation type not found");
+    const at = new Date(start);
+    if (Number.isNaN(at.getTime())) throw new HttpError(400, "A start time is required");
+    const id = crypto.randomUUID();
+    claimSlot(db, () => {
+      const c = isStaffUser(user) ? null : db.prepare("SELECT id, assigned_to FROM cases WHERE client_user_id = ? ORDER BY updated_at DESC LIMIT 1").get(user.id);
+      const staffUserId = pickStaff(type, at, c?.assigned_to, null);
+      if (!staffUserId) throw new HttpError(409, SLOT_TAKEN);
+      const end = new Date(at.getTime() + type.duration_min * MS_PER_MIN);
+      const created = nowIso();
+      db.prepare(`INSERT INTO appointments (id, type_id, type_name, client_user_id, case_id, staff_user_id, starts_at, ends_at, client_time_zone, notes, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, type.id, type.name, user.id, c?.id || null, staffUserId, at.toISOString(), end.toISOString(), timeZoneOr(timeZone),
+          String(notes || "").slice(0, 1000), created, created);
+    });
+    const appt = get(id);
+    notify(appt, "booked");
+    return toApi(appt);
+  }
+
+  // A client sees appointments booked under their login or on one of their cases
+  const ownedBy = (a, user) => a.client_user_id === user.id
+    || Boolean(a.case_id && db.prepare("SELECT 1 FROM cases WHERE id = ? AND client_user_id = ?").get(a.case_id, user.id));
+
+  function accessible(user, id) {
+    const a = get(id);
+    if (!a || (!isStaffUser(user) && !ownedBy(a, user))) throw new HttpError(404, "Appointment not found");
+    return a;
+  }
+
+  function reschedule(user, id, { start, timeZone }) {
+    const a = accessible(user, id);
+    if (a.status !== "booked") throw new HttpError(409, "This appointment was cancelled");
+    if (a.provider !== "native") throw new HttpError(409, "This appointment is managed in Calendly");
+    const type = getType(a.type_id) || { duration_min: Math.round((new Date(a.ends_at) - new Date(a.starts_at)) / MS_PER_MIN) };
+    const at = new Date(start);
+    if (Number.isNaN(at.getTime())) throw new HttpError(400, "A start time is required");
+    claimSlot(db, () => {
+      const staffUserId = pickStaff(type, at, a.staff_user_id, a.id);
+      if (!staffUserId) throw new HttpError(409, SLOT_TAKEN);
+      const end = new Date(at.getTime() + type.duration_min * MS_PER_MIN);
+      db.prepare(`UPDATE appointments SET starts_at = ?, ends_at = ?, staff_user_id = ?, client_time_zone = ?, sequence = sequence + 1, updated_at = ?
+                  WHERE id = ?`).run(at.toISOString(), end.toISOString(), staffUserId, timeZone ? timeZoneOr(timeZone) : a.client_time_zone, nowIso(), a.id);
+    });
+    const next = get(a.id);
+    notify(next, "rescheduled", a.staff_user_id !== next.staff_user_id ? a.staff_user_id : null);
+    return toApi(next);
+  }
+
+  function cancel(user, id, { reason }) {
+    const a = accessible(user, id);
+    if (a.status === "cancelled") return toApi(a);
+    if (a.provider !== "native") throw new HttpError(409, "This appointment is managed in Calendly; use its cancellation link");
+    db.prepare("UPDATE appointments SET status = 'cancelled', cancel_reason = ?, sequence = sequence + 1, updated_at = ? WHERE id = ?")
+      .run(String(reason || "").slice(0, 500) || null, nowIso(), a.id);
+    const next = get(a.id);
+    notify(next, "cancelled");
+    return toApi(next);
+  }
+
+  function list(user, { upcoming = false, mine = false, caseId = null } = {}) {
+    const where = [];
+    const args = [];
+    if (!isStaffUser(user)) {
+      where.push("(a.client_user_id = ? OR a.case_id IN (SELECT id FROM cases WHERE client_user_id = ?))");
+      args.push(user.id, user.id);
+    }
+    if (caseId) { where.push("a.case_id = ?"); args.push(caseId); }
+    else if (mine) { where.push("a.staff_user_id = ?"); args.push(user.id); }
+    if (upcoming) { where.push("a.ends_at > ? AND a.status = 'booked'"); args.push(nowIso()); }
+    return db.prepare(`${APPOINTMENT_SQL} ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY a.starts_at LIMIT 500`).all(...args).map(toApi);
+  }
+
+  // Case for an external booking: the latest one with that email, else a new lead
+  function caseForInvitee(email, name) {
+    const existing = db.prepare("SELECT * FROM cases WHERE email = ? ORDER BY updated_at DESC LIMIT 1").get(email);
+    if (existing) return { c: existing, lead: false };
+    const owner = db.prepare("SELECT id FROM users WHERE email = ? AND email_verified_at IS NOT NULL").get(email);
+    return { c: cases.create({ email, name: name || "", clientUserId: owner?.id || null }), lead: true };
+  }
+
+  /**
+   * Records a booking made through an external provider (server/webhooks.js
+   * normalises the payload). Rows are keyed by provider + external id, so a
+   * redelivered webhook changes nothing. A reschedule arrives as a new
+   * booking naming the previous one, which is moved rather than duplicated.
+   * When the case's assignee is already booked at that time the appointment
+   * is kept without them and `staffConflict` is returned (and so audited) for
+   * staff to review: failing would only make the provider retry forever.
+   */
+  function ingest(evt) {
+    return tx(db, () => {
+      const find = (externalId) => externalId
+        && db.prepare("SELECT * FROM appointments WHERE provider = ? AND external_id = ?").get(evt.provider, externalId);
+      const at = nowIso();
+      if (evt.kind === "canceled") {
+        const a = find(evt.externalId);
+        if (!a) return { event: "canceled", id: null };
+        if (a.status !== "cancelled") {
+          db.prepare("UPDATE appointments SET status = 'cancelled', cancel_reason = ?, sequence = sequence + 1, updated_at = ? WHERE id = ?")
+            .run(evt.rescheduled ? "Rescheduled" : evt.reason || null, at, a.id);
+        }
+        return { event: "canceled", id: a.id, caseId: a.case_id };
+      }
+
+      const duplicate = find(evt.externalId);
+      if (duplicate) return { event: "duplicate", id: duplicate.id, caseId: duplicate.case_id };
+      const moved = find(evt.previousExternalId);
+      if (moved) {
+        const move = (staffId) => db.prepare(`UPDATE appointments SET external_id = ?, starts_at = ?, ends_at = ?, type_name = ?, client_time_zone = ?,
+                      cancel_url = ?, reschedule_url = ?, staff_user_id = ?, status = 'booked', cancel_reason = NULL, sequence = sequence + 1, updated_at = ?
+                      WHERE id = ?`)
+          .run(evt.externalId, evt.start, evt.end, evt.typeName, evt.timeZone, evt.cancelUrl, evt.rescheduleUrl, staffId, at, moved.id);
+        const staffConflict = !tryAssign(() => move(moved.staff_user_id));
+        if (staffConflict) move(null);
+        return { event: "rescheduled", id: moved.id, caseId: moved.case_id, ...(staffConflict && { staffConflict: moved.staff_user_id }) };
+      }
+
+      const { c, lead } = caseForInvitee(evt.email, evt.name);
+      const id = crypto.randomUUID();
+      const insert = (staffId) => db.prepare(`INSERT INTO appointments (id, type_name, client_user_id, case_id, staff_user_id, starts_at, ends_at,
+                    client_time_zone, provider, external_id, invitee_email, invitee_name, cancel_url, reschedule_url, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, evt.typeName, c.client_user_id, c.id, staffId, evt.start, evt.end, evt.timeZone, evt.provider,
+          evt.externalId, evt.email, evt.name, evt.cancelUrl, evt.rescheduleUrl, at, at);
+      const staffConflict = !tryAssign(() => insert(c.assigned_to));
+      if (staffConflict) insert(null);
+      cases.update(c.id, {});
+      return { event: "created", id, caseId: c.id, lead, ...(staffConflict && { staffConflict: c.assigned_to }) };
+    });
+  }
+
+  function ics(a) {
+    return buildIcs({
+      uid: `${a.id}@peddlewest`,
+      start: a.starts_at,
+      end: a.ends_at,
+      summary: `${a.type_name} – Peddle West Immigration`,
+      description: a.notes ? `Notes: ${a.notes}` : "",
+      location: settings.location,
+      organizer: { email: settings.organizerEmail, name: "Peddle West Immigration" },
+      attendee: a.client_email ? { email: a.client_email, name: a.client_name } : null,
+      method: a.status === "cancelled" ? "CANCEL" : "REQUEST",
+      sequence: a.sequence,
+    });
+  }
+
+  // Email client and staff; a failing mailer never fails the booking itself
+  function notify(a, kind, previousStaffId = null) {
+    const when = (tz) => new Intl.DateTimeFormat("en-CA", { dateStyle: "full", timeStyle: "short", timeZone: tz }).format(new Date(a.starts_at));
+    const subject = { booked: "Appointment confirmed", rescheduled: "Appointment moved", cancelled: "Appointment cancelled" }[kind];
+    const file = [{ filename: "appointment.ics", contentType: `text/calendar; method=${a.status === "cancelled" ? "CANCEL" : "REQUEST"}`, content: ics(a) }];
+    const staff = [a.staff_user_id, previousStaffId].filter(Boolean).map((id) => db.prepare("SELECT email, name FROM users WHERE id = ?").get(id)).filter(Boolean);
+    const staffTz = (id) => db.prepare("SELECT time_zone FROM staff_availability WHERE staff_user_id = ?").get(id)?.time_zone || settings.timeZone;
+    const sends = [];
+    if (a.client_email) {
+      sends.push(mailer.send({
+        to: a.client_email,
+        subject: `${subject}: ${a.type_name}`,
+        text: `${a.type_name} – ${when(a.client_time_zone || settings.timeZone)} (${a.client_time_zone || settings.timeZone}).\n${kind === "cancelled" ? "" : `${settings.location}\n`}\nManage your appointment from your dashboard.`,
+        attachments: file,
+      }));
+    }
+    staff.forEach((s, i) => sends.push(mailer.send({
+      to: s.email,
+      subject: `${subject}: ${a.client_name || a.client_email || "client"} – ${a.type_name}`,
+      text: `${a.type_name} with ${a.client_name || a.client_email} – ${when(staffTz(i === 0 ? a.staff_user_id : previousStaffId))}.${i > 0 ? "\nThis appointment was moved to a colleague." : ""}`,
+      attachments: file,
+    })));
+    Promise.all(sends).catch((e) => console.error("Appointment email failed:", e.message));
+  }
+
+  return { listTypes, saveType, availabilityFor, setAvailability, addTimeOff, removeTimeOff, slots, book, reschedule, cancel, list, get: accessible, ics, ingest };
+}
+
+export function registerBookingRoutes(router, { booking, config }) {
+  const { provider, calendlyUrl, timeZone, minNoticeHours, horizonDays } = config.booking;
+  router.add("GET", "/api/booking/config", () => ({ provider, calendlyUrl, timeZone, minNoticeHours, horizonDays }));
+
+  router.add("GET", "/api/booking/types", ({ user, query }) => booking.listTypes({ all: query.all === "1" && isStaffUser(user) }));
+  router.add("POST", "/api/booking/types", ({ body }) => reply(201, booking.saveType(null, body)), {
+    auth: "staff", audit: { action: "booking.type_create", type: "consultation_type", id: (ctx, out) => out?.id },
+  });
+  router.add("PATCH", "/api/booking/types/:id", ({ params, body }) => booking.saveType(params.id, body), {
+    auth: "staff", audit: { action: "booking.type_update", type: "consultation_type" },
+  });
+
+  // Staff manage their own availability; admins may pass ?staffUserId=
+  const staffTarget = (user, id) => (id && id !== user.id ? (user.role === "admin" ? id : null) : user.id);
+  router.add("GET", "/api/booking/availability", ({ user, query }) => {
+    const id = staffTarget(user, query.staffUserId);
+    if (!id) throw new HttpError(403, "Only admins can view another member's availability");
+    return booking.availabilityFor(id);
+  }, { auth: "staff" });
+  router.add("PUT", "/api/booking/availability", ({ user, query, body }) => {
+    const id = staffTarget(user, query.staffUserId);
+    if (!id) throw new HttpError(403, "Only admins can change another member's availability");
+    return booking.setAvailability(id, body);
+  }, { auth: "staff", audit: { action: "booking.availability", type: "user", id: ({ user, query }) => query.staffUserId || user?.id } });
+  router.add("POST", "/api/booking/time-off", ({ user, body }) => reply(201, booking.addTimeOff(user.id, body)), {
+    auth: "staff", audit: { action: "booking.time_off", type: "user", id: ({ user }) => user?.id },
+  });
+  router.add("DELETE", "/api/booking/time-off/:id", ({ user, params }) => booking.removeTimeOff(user, params.id), { auth: "staff" });
+
+  // Public, so visitors can see availability before signing in
+  router.add("GET", "/api/booking/slots", ({ query }) => booking.slots(query));
+
+  router.add("GET", "/api/appointments", ({ user, query }) => booking.list(user, { upcoming: query.upcoming === "1", mine: query.mine === "1", caseId: query.caseId }), {
+    auth: "user", audit: { action: "appointment.list", type: "appointment" },
+  });
+  router.add("POST", "/api/appointments", ({ user, body }) => reply(201, booking.book(user, body)), {
+    auth: "user",
+    audit: { action: "appointment.create", type: "appointment", id: (ctx, out) => out?.id, details: ({ body }) => ({ typeId: body?.typeId, start: body?.start }) },
+  });
+  router.add("POST", "/api/appointments/:id/reschedule", ({ user, params, body }) => booking.reschedule(user, params.id, body), {
+    auth: "user", audit: { action: "appointment.reschedule", type: "appointment", details: ({ body }) => ({ start: body?.start }) },
+  });
+  router.add("POST", "/api/appointments/:id/cancel", ({ user, params, body }) => booking.cancel(user, params.id, body), {
+    auth: "user", audit: { action: "appointment.cancel", type: "appointment" },
+  });
+  router.add("GET", "/api/appointments/:id/ics", ({ res, user, params }) => {
+    const a = booking.get(user, params.id);
+    res.writeHead(200, {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="appointment-${a.starts_at.slice(0, 10)}.ics"`,
+      "Cache-Control": "no-store",
+    });
+    res.end(booking.ics(a));
+  }, { auth: "user", audit: { action: "appointment.view", type: "appointment" } });
+}
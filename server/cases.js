@@ -0,0 +1,271 @@
+/**
+ * Cases: one per client file. Assessments and uploads hang off a case.
+ * ---------------------------------------------------------------------------
+ * Access rule used by every case-scoped route: staff see every case, a client
+ * only the cases linked to their user id. Anonymous assessment submissions
+ * create an unclaimed case that is linked once the client proves the email
+ * address (email code / magic link sign-in).
+ *
+ * Status only changes through `transition()`, which applies the rules in
+ * lib/caseWorkflow.js and records who moved the case, when, and why.
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { actorFor, checkTransition, INITIAL_STATE, TransitionError } from "../lib/caseWorkflow.js";
+
+const TRANSITION_HTTP_STATUS = { unknown_state: 400, invalid: 400, forbidden: 403, not_allowed: 409 };
+
+export const isStaffUser = (u) => u && (u.role === "staff" || u.role === "admin");
+
+export const DRIVE_ID = /^[\w-]{10,200}$/;
+
+export const publicCase = (c) => c && ({
+  id: c.id,
+  clientUserId: c.client_user_id,
+  email: c.email,
+  name: c.name,
+  program: c.program,
+  status: c.status,
+  statusChangedAt: c.status_changed_at,
+  outcome: c.outcome,
+  assignedTo: c.assigned_to || null,
+  assignedAt: c.assigned_at || null,
+  driveFolderId: c.drive_folder_id || null,
+  createdAt: c.created_at,
+  updatedAt: c.updated_at,
+});
+
+// Staff case list: whitelisted sort columns, newest activity first by default
+const SORTS = {
+  name: "c.name COLLATE NOCASE",
+  email: "c.email",
+  program: "c.program",
+  status: "c.status",
+  crs: "crs_total",
+  assignee: "assignee_name COLLATE NOCASE",
+  created: "c.created_at",
+  updated: "c.updated_at",
+};
+const MAX_PAGE_SIZE = 100;
+// Search text is matched literally: LIKE wildcards in it are escaped (used with ESCAPE '\')
+const containsPattern = (text) => `%${String(text).replace(/[\\%_]/g, "\\$&")}%`;
+
+const publicEvent = (e) => ({
+  id: e.id,
+  from: e.from_status,
+  to: e.to_status,
+  actor: e.actor,
+  by: e.actor_name || null,
+  note: e.note,
+  noteShared: Boolean(e.note_shared),
+  outcome: e.outcome,
+  at: e.created_at,
+});
+
+export function createCaseService({ db }) {
+  const get = (id) => db.prepare("SELECT * FROM cases WHERE id = ?").get(id);
+
+  function create({ email, name = "", program = "", clientUserId = null, status = INITIAL_STATE }) {
+    const id = crypto.randomUUID();
+    const at = nowIso();
+    db.prepare(`INSERT INTO cases (id, client_user_id, email, name, program, status, status_changed_at, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(id, clientUserId, String(email).toLowerCase(), name, program, status, at, at, at);
+    return get(id);
+  }
+
+  function setDriveFolder(id, folderId) {
+    db.prepare("UPDATE cases SET drive_folder_id = ? WHERE id = ?").run(folderId, id);
+    // Without the folder the copies inside it are gone too
+    if (!folderId) db.prepare("UPDATE uploads SET drive_file_id = NULL, drive_copied_at = NULL WHERE case_id = ?").run(id);
+    return get(id);
+  }
+
+  /** Loads a case the user may access, or throws 404 (no existence leak). */
+  function getFor(user, id) {
+    const c = get(id);
+    if (!c || (!isStaffUser(user) && c.client_user_id !== user?.id)) throw new HttpError(404, "Case not found");
+    return c;
+  }
+
+  function listFor(user) {
+    return isStaffUser(user)
+      ? db.prepare("SELECT * FROM cases ORDER BY updated_at DESC").all()
+      : db.prepare("SELECT * FROM cases WHERE client_user_id = ? ORDER BY updated_at DESC").all(user.id);
+  }
+
+  /** The signed-in client's most recent case, created on first use. */
+  function currentFor(user) {
+    const existing = db.prepare("SELECT * FROM cases WHERE client_user_id = ? ORDER BY updated_at DESC LIMIT 1").get(user.id);
+    return existing || create({ email: user.email, name: user.name, clientUserId: user.id });
+  }
+
+  /** Case for a new assessment: the submitter's own, or an unclaimed one with the same email. */
+  function forSubmission(user, { email, name, program }) {
+    if (user && !isStaffUser(user)) {
+      const c = currentFor(user);
+      update(c.id, { name: name || c.name, program: program || c.program });
+      return get(c.id);
+    }
+    const unclaimed = db.prepare("SELECT * FROM cases WHERE email = ? AND client_user_id IS NULL ORDER BY updated_at DESC LIMIT 1")
+      .get(String(email).toLowerCase());
+    if (unclaimed) {
+      update(unclaimed.id, { name: name || unclaimed.name, program: program || unclaimed.program });
+      return get(unclaimed.id);
+    }
+    return create({ email, name, program });
+  }
+
+  function update(id, patch) {
+    const cols = { name: "name", program: "program" };
+    const sets = Object.keys(patch).filter((k) => cols[k] && patch[k] !== undefined);
+    // An empty patch just bumps updated_at (e.g. new upload on the case)
+    db.prepare(`UPDATE cases SET ${sets.map((k) => `${cols[k]} = ?, `).join("")}updated_at = ? WHERE id = ?`)
+      .run(...sets.map((k) => patch[k]), nowIso(), id);
+    return get(id);
+  }
+
+  /** Links unclaimed cases to a user whose email address was just verified. */
+  function claimByEmail(user) {
+    db.prepare("UPDATE cases SET client_user_id = ?, updated_at = ? WHERE email = ? AND client_user_id IS NULL")
+      .run(user.id, nowIso(), user.email);
+  }
+
+  /**
+   * Moves a case to `to`. `by` is the acting user or "system". Throws an
+   * HttpError (400/403/409) when the workflow does not allow it. A repeated
+   * `clientRef` (offline replay) returns the case unchanged. Staff notes stay
+   * internal unless `shareNote`; client and system notes are always shared.
+   */
+  function transition(by, id, to, { note = "", outcome, clientRef, shareNote = false } = {}) {
+    return tx(db, () => {
+      if (clientRef && db.prepare("SELECT 1 FROM case_events WHERE client_ref = ?").get(String(clientRef))) return get(id);
+      const c = get(id);
+      const actor = actorFor(by);
+      try {
+        checkTransition(c.status, to, actor, { note, outcome });
+      } catch (e) {
+        if (e instanceof TransitionError) throw new HttpError(TRANSITION_HTTP_STATUS[e.code] || 400, e.message, { code: e.code });
+        throw e;
+      }
+      const at = nowIso();
+      db.prepare(`INSERT INTO case_events (id, case_id, client_ref, from_status, to_status, actor, actor_user_id, note, note_shared, outcome, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(crypto.randomUUID(), c.id, clientRef ? String(clientRef) : null, c.status, to, actor,
+          by === "system" ? null : by.id, String(note).trim().slice(0, 1000), actor !== "staff" || shareNote ? 1 : 0, outcome || null, at);
+      db.prepare("UPDATE cases SET status = ?, outcome = ?, status_changed_at = ?, updated_at = ? WHERE id = ?")
+        .run(to, to === "Decision" ? outcome : null, at, at, c.id);
+      return get(c.id);
+    });
+  }
+
+  /**
+   * Staff search over cases with the latest assessment's CRS total.
+   * Filters: q (name/email), program, status, minScore/maxScore, from/to
+   * (case created date, YYYY-MM-DD), assignee ("me" | "none" | user id).
+   * Returns { items, total, page, pageSize }.
+   */
+  function search(user, query = {}) {
+    const where = [];
+    const args = [];
+    if (query.q) {
+      where.push("(c.name LIKE ? ESCAPE '\\' OR c.email LIKE ? ESCAPE '\\')");
+      args.push(containsPattern(query.q), containsPattern(query.q));
+    }
+    if (query.program) { where.push("c.program = ?"); args.push(query.program); }
+    if (query.status) { where.push("c.status = ?"); args.push(query.status); }
+    if (query.minScore !== undefined && query.minScore !== "") { where.push("crs_total >= ?"); args.push(Number(query.minScore)); }
+    if (query.maxScore !== undefined && query.maxScore !== "") { where.push("crs_total <= ?"); args.push(Number(query.maxScore)); }
+    if (query.from) { where.push("c.created_at >= ?"); args.push(query.from); }
+    if (query.to) { where.push("c.created_at < date(?, '+1 day')"); args.push(query.to); }
+    if (query.assignee === "none") where.push("c.assigned_to IS NULL");
+    else if (query.assignee) { where.push("c.assigned_to = ?"); args.push(query.assignee === "me" ? user.id : query.assignee); }
+
+    const from = `FROM (
+      SELECT c.*, u.name AS assignee_name, a.created_at AS assessed_at,
+             CAST(json_extract(a.row, '$.crs_total') AS INTEGER) AS crs_total
+      FROM cases c
+      LEFT JOIN users u ON u.id = c.assigned_to
+      LEFT JOIN assessments a ON a.id = (SELECT id FROM assessments WHERE case_id = c.id ORDER BY created_at DESC LIMIT 1)
+    ) c ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`;
+    const sort = SORTS[query.sort] || SORTS.updated;
+    const dir = query.dir === "asc" ? "ASC" : "DESC";
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || 25));
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const { n: total } = db.prepare(`SELECT COUNT(*) AS n ${from}`).get(...args);
+    const rows = db.prepare(`SELECT c.* ${from} ORDER BY ${sort} ${dir} NULLS LAST, c.id LIMIT ? OFFSET ?`)
+      .all(...args, pageSize, (page - 1) * pageSize);
+    return {
+      items: rows.map((c) => ({ ...publicCase(c), assigneeName: c.assignee_name || null, crsTotal: c.crs_total, assessedAt: c.assessed_at })),
+      total,
+      page,
+      pageSize,
+    };
+  }
+
+  /** Assigns a case to a staff member (or unassigns with null). */
+  function assign(id, staffUserId) {
+    if (staffUserId) {
+      const target = db.prepare("SELECT role FROM users WHERE id = ?").get(staffUserId);
+      if (!isStaffUser(target)) throw new HttpError(400, "Cases can only be assigned to staff members");
+    }
+    const at = nowIso();
+    db.prepare("UPDATE cases SET assigned_to = ?, assigned_at = ?, updated_at = ? WHERE id = ?")
+      .run(staffUserId || null, staffUserId ? at : null, at, id);
+    return get(id);
+  }
+
+  /** The case timeline; for clients (`staff` false) internal notes are left out. */
+  function events(id, { staff = true } = {}) {
+    return db.prepare(`SELECT e.*, u.name AS actor_name FROM case_events e LEFT JOIN users u ON u.id = e.actor_user_id
+                       WHERE e.case_id = ? ORDER BY e.created_at, e.rowid`).all(id)
+      .map((e) => (staff || e.note_shared ? e : { ...e, note: "" }))
+      .map(publicEvent);
+  }
+
+  return { get, getFor, listFor, currentFor, forSubmission, create, update, claimByEmail, transition, events, search, assign, setDriveFolder };
+}
+
+export function registerCaseRoutes(router, { cases, notifications }) {
+  router.add("GET", "/api/cases", ({ user }) => cases.listFor(user).map(publicCase), { auth: "user", audit: { action: "case.list", type: "case" } });
+  // Registered before /api/cases/:id so "search" is not taken for an id
+  router.add("GET", "/api/cases/search", ({ user, query }) => cases.search(user, query), {
+    // Filters only: the search text is usually a client's name or email, and audit rows are never erased
+    auth: "staff", audit: { action: "case.search", type: "case", details: ({ query: { q, ...filters } }) => ({ ...filters, text: Boolean(q) }) },
+  });
+  router.add("GET", "/api/cases/current", ({ user }) => publicCase(cases.currentFor(user)), {
+    auth: "user", audit: { action: "case.view", type: "case", id: (ctx, out) => out?.id },
+  });
+  router.add("GET", "/api/cases/:id", ({ user, params }) => publicCase(cases.getFor(user, params.id)), {
+    auth: "user", audit: { action: "case.view", type: "case" },
+  });
+  router.add("PATCH", "/api/cases/:id", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    if (body.status !== undefined) throw new HttpError(400, "Status changes go through POST /api/cases/:id/transitions");
+    return publicCase(cases.update(c.id, { name: body.name, program: body.program }));
+  }, { auth: "staff", audit: { action: "case.update", type: "case", details: ({ body }) => ({ fields: Object.keys(body || {}) }) } });
+
+  router.add("PUT", "/api/cases/:id/assignment", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    return publicCase(cases.assign(c.id, body.staffUserId || null));
+  }, { auth: "staff", audit: { action: "case.assign", type: "case", details: ({ body }) => ({ staffUserId: body?.staffUserId || null }) } });
+
+  // Google Drive folder holding copies of this case's documents (created by the staff browser)
+  router.add("PUT", "/api/cases/:id/drive-folder", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    if (body.folderId != null && !DRIVE_ID.test(String(body.folderId))) throw new HttpError(400, "Invalid Drive folder id");
+    return publicCase(cases.setDriveFolder(c.id, body.folderId || null));
+  }, { auth: "staff", audit: { action: "case.drive_folder", type: "case", details: ({ body }) => ({ folderId: body?.folderId || null }) } });
+
+  router.add("GET", "/api/cases/:id/events", ({ user, params }) => cases.events(cases.getFor(user, params.id).id, { staff: isStaffUser(user) }), {
+    auth: "user", audit: { action: "case.history", type: "case" },
+  });
+  router.add("POST", "/api/cases/:id/transitions", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    const { to, note, outcome, clientRef, shareNote } = body;
+    const next = cases.transition(user, c.id, to, { note, outcome, clientRef, shareNote: Boolean(shareNote) });
+    // An offline replay returns the case unchanged; only a real move is announced, with the note only if it was shared
+    if (next.status_changed_at !== c.status_changed_at) notifications.statusChanged(next, { note: shareNote ? note : "" });
+    return reply(201, publicCase(next));
+  }, { auth: "user", audit: { action: "case.status_change", type: "case", details: ({ body }) => ({ to: body?.to, outcome: body?.outcome }) } });
+}
@@ -0,0 +1,148 @@
+/**
+ * Per-case document checklist.
+ * ---------------------------------------------------------------------------
+ * Auto items come from lib/checklist.js rules and are re-synced whenever a
+ * new assessment arrives: new items are added, items that no longer apply
+ * are dropped unless something was already uploaded against them. Items are
+ * matched by key, and a dependant's keys carry the child's id, so reordering
+ * the children keeps each one's items and reviews. Staff can add custom
+ * items and accept / reject uploaded items with a reason.
+ *
+ * Every item belongs to one household member (principal, spouse or a
+ * dependant, see lib/household.js); GET /api/cases/:id/household counts
+ * progress per member.
+ */
+import crypto from "node:crypto";
+import { buildChecklist, summarizeHousehold } from "../lib/checklist.js";
+import { PRINCIPAL, householdMembers } from "../lib/household.js";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+
+const toApi = (i, uploads = []) => ({
+  id: i.id,
+  caseId: i.case_id,
+  key: i.key,
+  label: i.label,
+  description: i.description,
+  person: i.person,
+  source: i.source,
+  status: i.status,
+  reason: i.reason,
+  reviewedAt: i.reviewed_at,
+  uploadIds: uploads.filter((u) => u.checklist_item_id === i.id).map((u) => u.id),
+});
+
+export function createChecklistService({ db }) {
+  const get = (id) => db.prepare("SELECT * FROM checklist_items WHERE id = ?").get(id);
+  const hasUploads = (id) => Boolean(db.prepare("SELECT 1 FROM uploads WHERE checklist_item_id = ? LIMIT 1").get(id));
+
+  /** Reconciles auto items with the checklist an assessment calls for. */
+  function syncForCase(caseId, data) {
+    const wanted = buildChecklist(data || {});
+    tx(db, () => {
+      const current = db.prepare("SELECT * FROM checklist_items WHERE case_id = ? AND source = 'auto'").all(caseId);
+      const byKey = new Map(current.map((i) => [i.key, i]));
+      const at = nowIso();
+      wanted.forEach((w, sort) => {
+        const existing = byKey.get(w.key);
+        if (existing) {
+          db.prepare("UPDATE checklist_items SET label = ?, description = ?, person = ?, sort = ?, updated_at = ? WHERE id = ?")
+            .run(w.label, w.description, w.person, sort, at, existing.id);
+          byKey.delete(w.key);
+        } else {
+          db.prepare(`INSERT INTO checklist_items (id, case_id, key, label, description, person, source, sort, created_at, updated_at)
+                      VALUES (?, ?, ?, ?, ?, ?, 'auto', ?, ?, ?)`)
+            .run(crypto.randomUUID(), caseId, w.key, w.label, w.description, w.person, sort, at, at);
+        }
+      });
+      byKey.forEach((stale) => {
+        if (!hasUploads(stale.id)) db.prepare("DELETE FROM checklist_items WHERE id = ?").run(stale.id);
+      });
+    });
+  }
+
+  const latestAnswers = (caseId) => {
+    const latest = db.prepare("SELECT data FROM assessments WHERE case_id = ? ORDER BY created_at DESC LIMIT 1").get(caseId);
+    return latest ? JSON.parse(latest.data) : {};
+  };
+
+  function list(caseId) {
+    const hasAuto = db.prepare("SELECT 1 FROM checklist_items WHERE case_id = ? AND source = 'auto' LIMIT 1").get(caseId);
+    if (!hasAuto) syncForCase(caseId, latestAnswers(caseId));
+    const uploads = db.prepare("SELECT id, checklist_item_id FROM uploads WHERE case_id = ?").all(caseId);
+    return db.prepare("SELECT * FROM checklist_items WHERE case_id = ? ORDER BY source = 'custom', sort, created_at")
+      .all(caseId).map((i) => toApi(i, uploads));
+  }
+
+  /** Called when a file is uploaded against an item: it goes (back) to "uploaded". */
+  function markUploaded(itemId) {
+    db.prepare("UPDATE checklist_items SET status = 'uploaded', reason = '', updated_at = ? WHERE id = ? AND status != 'accepted'")
+      .run(nowIso(), itemId);
+  }
+
+  /** Called when an upload is deleted: the item returns to "missing" when nothing is left. */
+  function uploadRemoved(itemId) {
+    if (itemId && !hasUploads(itemId)) {
+      db.prepare("UPDATE checklist_items SET status = 'missing', updated_at = ? WHERE id = ?").run(nowIso(), itemId);
+    }
+  }
+
+  /** Members from the latest assessment, each with their checklist counts. */
+  function household(caseId) {
+    return summarizeHousehold(householdMembers(latestAnswers(caseId)), list(caseId));
+  }
+
+  return { get, list, household, syncForCase, markUploaded, uploadRemoved };
+}
+
+export function registerChecklistRoutes(router, { db, cases, checklist, notifications }) {
+  const itemFor = (user, id) => {
+    const item = checklist.get(id);
+    if (!item) throw new HttpError(404, "Checklist item not found");
+    cases.getFor(user, item.case_id);
+    return item;
+  };
+
+  router.add("GET", "/api/cases/:id/checklist", ({ user, params }) => checklist.list(cases.getFor(user, params.id).id), {
+    auth: "user", audit: { action: "checklist.view", type: "case" },
+  });
+
+  router.add("GET", "/api/cases/:id/household", ({ user, params }) => checklist.household(cases.getFor(user, params.id).id), {
+    auth: "user", audit: { action: "household.view", type: "case" },
+  });
+
+  // Staff: custom items per case, for the principal unless `person` names another member
+  router.add("POST", "/api/cases/:id/checklist", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    const label = String(body.label || "").trim();
+    if (!label) throw new HttpError(400, "label is required");
+    const person = body.person || PRINCIPAL;
+    if (!checklist.household(c.id).some((m) => m.id === person)) throw new HttpError(400, "Unknown household member");
+    const id = crypto.randomUUID();
+    const at = nowIso();
+    db.prepare(`INSERT INTO checklist_items (id, case_id, key, label, description, person, source, created_by, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, 'custom', ?, ?, ?)`)
+      .run(id, c.id, `custom_${id}`, label.slice(0, 200), String(body.description || "").slice(0, 1000), person, user.id, at, at);
+    return reply(201, toApi(checklist.get(id)));
+  }, { auth: "staff", audit: { action: "checklist.add", type: "case" } });
+
+  // Staff review: accept, reject (reason required) or reset to missing
+  router.add("PATCH", "/api/checklist/:id", ({ user, params, body }) => {
+    const item = itemFor(user, params.id);
+    const { status } = body;
+    const reason = String(body.reason || "").trim();
+    if (!["accepted", "rejected", "missing", "uploaded"].includes(status)) throw new HttpError(400, "Invalid status");
+    if (status === "rejected" && !reason) throw new HttpError(400, "A reason is required when rejecting a document");
+    db.prepare("UPDATE checklist_items SET status = ?, reason = ?, reviewed_by = ?, reviewed_at = ?, updated_at = ? WHERE id = ?")
+      .run(status, status === "rejected" ? reason.slice(0, 500) : "", user.id, nowIso(), nowIso(), item.id);
+    const next = checklist.get(item.id);
+    if (status === "rejected") notifications.documentRejected(next);
+    return toApi(next);
+  }, { auth: "staff", audit: { action: "checklist.review", type: "checklist_item", details: ({ body }) => ({ status: body?.status }) } });
+
+  router.add("DELETE", "/api/checklist/:id", ({ user, params }) => {
+    const item = itemFor(user, params.id);
+    if (item.source !== "custom") throw new HttpError(400, "Only custom items can be removed");
+    db.prepare("DELETE FROM checklist_items WHERE id = ?").run(item.id);
+  }, { auth: "staff", audit: { action: "checklist.remove", type: "checklist_item" } });
+}
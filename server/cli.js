@@ -0,0 +1,61 @@
+/**
+ * Admin CLI for the local store.
+ *   node server/cli.js add-user <email> <password> [client|staff|admin]
+ *   node server/cli.js set-role <email> <client|staff|admin>
+ *   node server/cli.js list-users
+ *   node server/cli.js verify-audit
+ *   node server/cli.js purge-expired [--dry-run]   (retention rules from config)
+ * User changes made here are written to the audit log as "system" actions.
+ */
+import { loadConfig } from "./config.js";
+import { openDb } from "./db.js";
+import { createAuthService, publicUser } from "./auth.js";
+import { createConsoleMailer } from "./mailer.js";
+import { createAuditLog } from "./audit.js";
+import { createPrivacyService } from "./privacy.js";
+import { createVault } from "./vault.js";
+
+const [cmd, ...args] = process.argv.slice(2);
+const config = loadConfig();
+const db = openDb(config.dbPath);
+const auth = createAuthService({ db, config, mailer: createConsoleMailer() });
+const vault = createVault(config);
+const audit = createAuditLog({ db, key: vault.deriveKey("audit-log") });
+
+try {
+  if (cmd === "add-user") {
+    const [email, password, role = "client"] = args;
+    const u = auth.createUser({ email, password, role, verified: true });
+    audit.record({ actor: "system", action: "user.create", targetType: "user", targetId: u.id, details: { via: "cli", role } });
+    console.log(publicUser(u));
+  } else if (cmd === "set-role") {
+    const [email, role] = args;
+    const u = auth.findUserByEmail(email);
+    if (!u) throw new Error(`No user with email ${email}`);
+    const updated = auth.setRole(u.id, role);
+    audit.record({ actor: "system", action: "user.role_change", targetType: "user", targetId: u.id, details: { via: "cli", role } });
+    console.log(publicUser(updated));
+  } else if (cmd === "list-users") {
+    console.table(db.prepare("SELECT email, role, created_at, last_login_at FROM users ORDER BY email").all());
+  } else if (cmd === "purge-expired") {
+    const privacy = createPrivacyService({ db, vault, audit, config });
+    const due = privacy.dueForPurge();
+    console.table(due.map((c) => ({ id: c.id, status: c.status, updatedAt: c.updatedAt, rule: c.rule, driveFolder: Boolean(c.driveFolderId) })));
+    if (!args.includes("--dry-run")) {
+      const { purged, blocked } = privacy.purge();
+      console.log(`Erased ${purged} case(s).${blocked ? ` Kept ${blocked} until their Google Drive folder is deleted.` : ""}`);
+    }
+  } else if (cmd === "verify-audit") {
+    const result = audit.verify();
+    console.log(result.ok ? `Audit log intact (${result.count} entries).` : `Audit log chain broken at entry ${result.brokenAt}.`);
+    if (!result.ok) process.exitCode = 2;
+  } else {
+    console.log("Usage: node server/cli.js add-user <email> <password> [role] | set-role <email> <role> | list-users | verify-audit | purge-expired [--dry-run]");
+    process.exitCode = 1;
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
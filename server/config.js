@@ -0,0 +1,89 @@
+/**
+ * Server configuration (environment variables with local-dev defaults).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const int = (v, d) => (Number.isFinite(parseInt(v, 10)) ? parseInt(v, 10) : d);
+
+export function loadConfig(env = process.env) {
+  return {
+    port: int(env.PORT, 8787),
+    dbPath: env.PW_DB_PATH || path.join(here, "data", "portal.db"),
+    // Where the React app is served; used to build magic links
+    appUrl: env.PW_APP_URL || "http://localhost:5173",
+    corsOrigin: env.PW_CORS_ORIGIN || "*",
+    sessionTtlHours: int(env.PW_SESSION_TTL_HOURS, 12),
+    loginCodeTtlMinutes: int(env.PW_LOGIN_CODE_TTL_MINUTES, 15),
+    maxBodyBytes: int(env.PW_MAX_BODY_BYTES, 1024 * 1024),
+    // Encrypted document storage
+    blobDir: env.PW_BLOB_DIR || path.join(here, "data", "blobs"),
+    // 32-byte key (base64) that wraps per-file keys; generated into data/ for local dev when unset
+    masterKey: env.PW_MASTER_KEY || "",
+    masterKeyFile: path.join(here, "data", "master.key"),
+    uploadLimits: {
+      maxFilesPerBatch: int(env.PW_UPLOAD_MAX_FILES_PER_BATCH, 16),
+      maxFilesPerCase: int(env.PW_UPLOAD_MAX_FILES_PER_CASE, 200),
+      maxFileBytes: int(env.PW_UPLOAD_MAX_FILE_BYTES, 20 * 1024 * 1024),
+      maxBytesByType: {
+        pdf: int(env.PW_UPLOAD_MAX_PDF_BYTES, 20 * 1024 * 1024),
+        jpeg: int(env.PW_UPLOAD_MAX_IMAGE_BYTES, 10 * 1024 * 1024),
+        png: int(env.PW_UPLOAD_MAX_IMAGE_BYTES, 10 * 1024 * 1024),
+      },
+      maxPdfPages: int(env.PW_UPLOAD_MAX_PDF_PAGES, 60),
+    },
+    // Retention: closed files (status "Decision") and leads that never retained us are purged after N years
+    retention: {
+      closedYears: int(env.PW_RETENTION_CLOSED_YEARS, 7),
+      inactiveLeadYears: int(env.PW_RETENTION_LEAD_YEARS, 2),
+      sweepHours: int(env.PW_RETENTION_SWEEP_HOURS, 24),
+    },
+    // Appointments: "native" (server/booking.js) or "calendly" (embed of calendlyUrl)
+    booking: {
+      provider: env.PW_BOOKING_PROVIDER || "native",
+      calendlyUrl: env.PW_CALENDLY_URL || "",
+      // Signing key of the Calendly webhook subscription (server/webhooks.js)
+      calendlyWebhookKey: env.PW_CALENDLY_WEBHOOK_KEY || "",
+      // Default time zone for new staff availability
+      timeZone: env.PW_BOOKING_TZ || "America/Vancouver",
+      minNoticeHours: int(env.PW_BOOKING_MIN_NOTICE_HOURS, 12),
+      horizonDays: int(env.PW_BOOKING_HORIZON_DAYS, 60),
+      bufferMinutes: int(env.PW_BOOKING_BUFFER_MINUTES, 10),
+      slotStepMinutes: int(env.PW_BOOKING_SLOT_STEP_MINUTES, 30),
+      location: env.PW_BOOKING_LOCATION || "Video call – the link is sent by email before the meeting",
+      organizerEmail: env.PW_BOOKING_FROM || "appointments@peddlewest.ca",
+    },
+    // Outgoing email: console output unless an SMTP server is configured (server/mailer.js)
+    mail: {
+      smtpUrl: env.PW_SMTP_URL || "",
+      from: env.PW_MAIL_FROM || "Peddle West Immigration <no-reply@peddlewest.ca>",
+    },
+    // Text messages: "off" (default), "console" (local testing: printed, not sent) or "twilio" (server/sms.js)
+    sms: {
+      provider: env.PW_SMS_PROVIDER || "off",
+      accountSid: env.PW_TWILIO_ACCOUNT_SID || "",
+      authToken: env.PW_TWILIO_AUTH_TOKEN || "",
+      from: env.PW_SMS_FROM || "",
+    },
+    // Assessment drafts (server/drafts.js): anonymous drafts behind a resume link expire after N days without changes
+    drafts: {
+      anonymousDays: int(env.PW_DRAFT_ANONYMOUS_DAYS, 30),
+    },
+    // Invoices and payments (server/billing.js). Provider: "off" (staff record payments only) or "fake" (lets clients
+    // settle invoices without paying – local testing only, refused when NODE_ENV=production)
+    billing: {
+      provider: env.PW_PAYMENT_PROVIDER || "off",
+      // Shared secret for POST /api/webhooks/payments (provider confirmations of pending payments)
+      webhookKey: env.PW_PAYMENT_WEBHOOK_KEY || "",
+      // Tax region (lib/billing.js) preselected on new invoices, and their default payment term
+      defaultRegion: env.PW_BILLING_REGION || "BC",
+      dueDays: int(env.PW_INVOICE_DUE_DAYS, 14),
+    },
+    // Case-event notifications (server/notifications.js)
+    notifications: {
+      reminderHours: int(env.PW_REMINDER_HOURS, 24),
+      sweepMinutes: int(env.PW_REMINDER_SWEEP_MINUTES, 15),
+    },
+  };
+}
@@ -0,0 +1,409 @@
+/**
+ * SQLite store (node:sqlite, Node 22.13+) with ordered migrations.
+ * ---------------------------------------------------------------------------
+ * Migrations run in order and are tracked with PRAGMA user_version; only
+ * ever append to MIGRATIONS, never edit a shipped entry.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { DatabaseSync } from "node:sqlite";
+
+const MIGRATIONS = [
+  // 1 – auth
+  `CREATE TABLE users (
+     id TEXT PRIMARY KEY,
+     email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+     name TEXT NOT NULL DEFAULT '',
+     password_hash TEXT,
+     role TEXT NOT NULL DEFAULT 'client' CHECK (role IN ('client', 'staff', 'admin')),
+     created_at TEXT NOT NULL,
+     last_login_at TEXT
+   );
+   CREATE TABLE sessions (
+     token_hash TEXT PRIMARY KEY,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     created_at TEXT NOT NULL,
+     expires_at TEXT NOT NULL,
+     user_agent TEXT NOT NULL DEFAULT ''
+   );
+   CREATE INDEX sessions_user ON sessions(user_id);
+   CREATE TABLE login_tokens (
+     id TEXT PRIMARY KEY,
+     email TEXT NOT NULL COLLATE NOCASE,
+     kind TEXT NOT NULL CHECK (kind IN ('code', 'link')),
+     token_hash TEXT NOT NULL,
+     expires_at TEXT NOT NULL,
+     attempts INTEGER NOT NULL DEFAULT 0,
+     used_at TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX login_tokens_email ON login_tokens(email);`,
+  // 2 – cases, assessments, uploads
+  `ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+   CREATE TABLE cases (
+     id TEXT PRIMARY KEY,
+     client_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+     email TEXT NOT NULL COLLATE NOCASE,
+     name TEXT NOT NULL DEFAULT '',
+     program TEXT NOT NULL DEFAULT '',
+     status TEXT NOT NULL DEFAULT 'Lead',
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE INDEX cases_client ON cases(client_user_id);
+   CREATE INDEX cases_email ON cases(email);
+   CREATE TABLE assessments (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     client_ref TEXT UNIQUE,
+     data TEXT NOT NULL,
+     row TEXT NOT NULL,
+     submitted_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX assessments_case ON assessments(case_id);
+   CREATE TABLE uploads (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     client_ref TEXT UNIQUE,
+     name TEXT NOT NULL,
+     size INTEGER NOT NULL DEFAULT 0,
+     type TEXT NOT NULL DEFAULT '',
+     uploaded_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX uploads_case ON uploads(case_id);`,
+  // 3 – encrypted document storage
+  `ALTER TABLE uploads ADD COLUMN batch_id TEXT;
+   ALTER TABLE uploads ADD COLUMN iv TEXT;
+   ALTER TABLE uploads ADD COLUMN wrapped_key TEXT;
+   ALTER TABLE uploads ADD COLUMN cipher_size INTEGER;
+   ALTER TABLE uploads ADD COLUMN cipher_sha256 TEXT;
+   ALTER TABLE uploads ADD COLUMN stored_at TEXT;
+   CREATE INDEX uploads_batch ON uploads(batch_id);`,
+  // 4 – document checklist
+  `CREATE TABLE checklist_items (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     key TEXT NOT NULL,
+     label TEXT NOT NULL,
+     description TEXT NOT NULL DEFAULT '',
+     source TEXT NOT NULL CHECK (source IN ('auto', 'custom')),
+     status TEXT NOT NULL DEFAULT 'missing' CHECK (status IN ('missing', 'uploaded', 'accepted', 'rejected')),
+     reason TEXT NOT NULL DEFAULT '',
+     sort INTEGER NOT NULL DEFAULT 0,
+     created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     reviewed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     reviewed_at TEXT,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL,
+     UNIQUE (case_id, key)
+   );
+   ALTER TABLE uploads ADD COLUMN checklist_item_id TEXT REFERENCES checklist_items(id) ON DELETE SET NULL;`,
+  // 5 – case status workflow: transition history, free-text statuses folded back into the workflow;
+  //     staff notes are internal unless shared with the client (timeline and email)
+  `CREATE TABLE case_events (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     client_ref TEXT UNIQUE,
+     from_status TEXT,
+     to_status TEXT NOT NULL,
+     actor TEXT NOT NULL CHECK (actor IN ('system', 'client', 'staff')),
+     actor_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+     note TEXT NOT NULL DEFAULT '',
+     note_shared INTEGER NOT NULL DEFAULT 0,
+     outcome TEXT,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX case_events_case ON case_events(case_id, created_at);
+   ALTER TABLE cases ADD COLUMN status_changed_at TEXT;
+   ALTER TABLE cases ADD COLUMN outcome TEXT;
+   UPDATE cases SET status = 'Lead'
+     WHERE status NOT IN ('Lead', 'Assessment Complete', 'Retained', 'Documents Needed', 'Under Review', 'Application Submitted', 'Decision');
+   UPDATE cases SET status_changed_at = updated_at;`,
+  // 6 – client/staff messaging: threads per case, attachments point at uploads, per-user read marks
+  `CREATE TABLE message_threads (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     subject TEXT NOT NULL,
+     created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE INDEX message_threads_case ON message_threads(case_id, updated_at);
+   CREATE TABLE messages (
+     id TEXT PRIMARY KEY,
+     thread_id TEXT NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+     client_ref TEXT UNIQUE,
+     author_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+     author_role TEXT NOT NULL CHECK (author_role IN ('client', 'staff')),
+     body TEXT NOT NULL,
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX messages_thread ON messages(thread_id, created_at);
+   CREATE TABLE message_attachments (
+     message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+     upload_id TEXT NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+     PRIMARY KEY (message_id, upload_id)
+   );
+   CREATE TABLE thread_reads (
+     thread_id TEXT NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+     user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     read_at TEXT NOT NULL,
+     PRIMARY KEY (thread_id, user_id)
+   );`,
+  // 7 – case assignment to an RCIC staff member
+  `ALTER TABLE cases ADD COLUMN assigned_to TEXT REFERENCES users(id) ON DELETE SET NULL;
+   ALTER TABLE cases ADD COLUMN assigned_at TEXT;
+   CREATE INDEX cases_assigned ON cases(assigned_to);`,
+  // 8 – append-only, hash-chained audit log (see audit.js)
+  `CREATE TABLE audit_log (
+     seq INTEGER PRIMARY KEY,
+     at TEXT NOT NULL,
+     actor_user_id TEXT,
+     actor_email TEXT,
+     actor_role TEXT NOT NULL,
+     action TEXT NOT NULL,
+     target_type TEXT,
+     target_id TEXT,
+     outcome TEXT NOT NULL CHECK (outcome IN ('success', 'denied', 'failed')),
+     status INTEGER,
+     ip TEXT,
+     details TEXT,
+     prev_hash TEXT NOT NULL,
+     hash TEXT NOT NULL UNIQUE
+   );
+   CREATE INDEX audit_log_target ON audit_log(target_type, target_id);
+   CREATE INDEX audit_log_actor ON audit_log(actor_user_id);
+   CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+   CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;`,
+  // 9 – consent records per submission; erasure tombstones (no PII, just that it happened)
+  `CREATE TABLE consents (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     assessment_id TEXT REFERENCES assessments(id) ON DELETE SET NULL,
+     user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+     version TEXT NOT NULL,
+     purposes TEXT NOT NULL,
+     accepted_at TEXT NOT NULL,
+     recorded_at TEXT NOT NULL,
+     ip TEXT,
+     user_agent TEXT
+   );
+   CREATE INDEX consents_case ON consents(case_id);
+   CREATE TABLE erasures (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL,
+     reason TEXT NOT NULL,
+     erased_by TEXT,
+     documents INTEGER NOT NULL DEFAULT 0,
+     erased_at TEXT NOT NULL
+   );`,
+  // 10 – Google Drive copies of case documents: one folder per case, file id per upload
+  `ALTER TABLE cases ADD COLUMN drive_folder_id TEXT;
+   ALTER TABLE uploads ADD COLUMN drive_file_id TEXT;
+   ALTER TABLE uploads ADD COLUMN drive_copied_at TEXT;`,
+  // 11 – native appointment booking: consultation types, weekly staff availability, time off, appointments
+  `CREATE TABLE consultation_types (
+     id TEXT PRIMARY KEY,
+     name TEXT NOT NULL,
+     description TEXT NOT NULL DEFAULT '',
+     duration_min INTEGER NOT NULL CHECK (duration_min BETWEEN 5 AND 480),
+     active INTEGER NOT NULL DEFAULT 1,
+     sort INTEGER NOT NULL DEFAULT 0,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   INSERT INTO consultation_types (id, name, description, duration_min, sort, created_at, updated_at) VALUES
+     ('initial', 'Initial consultation', 'Review your options with a licensed RCIC.', 30, 0, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+     ('strategy', 'Full strategy session', 'Detailed plan for your application, document list and timeline.', 60, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+   CREATE TABLE staff_availability (
+     staff_user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+     time_zone TEXT NOT NULL,
+     rules TEXT NOT NULL DEFAULT '[]',
+     updated_at TEXT NOT NULL
+   );
+   CREATE TABLE time_off (
+     id TEXT PRIMARY KEY,
+     staff_user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     starts_at TEXT NOT NULL,
+     ends_at TEXT NOT NULL,
+     reason TEXT NOT NULL DEFAULT '',
+     created_at TEXT NOT NULL
+   );
+   CREATE INDEX time_off_staff ON time_off(staff_user_id, starts_at);
+   CREATE TABLE appointments (
+     id TEXT PRIMARY KEY,
+     type_id TEXT REFERENCES consultation_types(id) ON DELETE SET NULL,
+     type_name TEXT NOT NULL,
+     client_user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+     case_id TEXT REFERENCES cases(id) ON DELETE SET NULL,
+     staff_user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+     starts_at TEXT NOT NULL,
+     ends_at TEXT NOT NULL,
+     client_time_zone TEXT,
+     notes TEXT NOT NULL DEFAULT '',
+     status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+     sequence INTEGER NOT NULL DEFAULT 0,
+     provider TEXT NOT NULL DEFAULT 'native',
+     external_id TEXT,
+     cancel_reason TEXT,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE INDEX appointments_client ON appointments(client_user_id);
+   CREATE INDEX appointments_staff ON appointments(staff_user_id, starts_at);
+   -- Backstop for the overlap check in server/booking.js
+   CREATE UNIQUE INDEX appointments_no_double_booking ON appointments(staff_user_id, starts_at) WHERE status = 'booked';`,
+  // 12 – bookings ingested from an external provider (Calendly webhooks)
+  `ALTER TABLE appointments ADD COLUMN invitee_email TEXT COLLATE NOCASE;
+   ALTER TABLE appointments ADD COLUMN invitee_name TEXT;
+   ALTER TABLE appointments ADD COLUMN cancel_url TEXT;
+   ALTER TABLE appointments ADD COLUMN reschedule_url TEXT;
+   CREATE UNIQUE INDEX appointments_external ON appointments(provider, external_id) WHERE external_id IS NOT NULL;
+   CREATE INDEX appointments_case ON appointments(case_id);`,
+  // 13 – notifications: per-user channel preferences and a delivery log (dedupe_key keeps reminders to one per channel)
+  `CREATE TABLE notification_preferences (
+     user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+     preferences TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE TABLE notifications (
+     id TEXT PRIMARY KEY,
+     event TEXT NOT NULL,
+     channel TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+     user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+     case_id TEXT REFERENCES cases(id) ON DELETE CASCADE,
+     recipient TEXT NOT NULL,
+     subject TEXT NOT NULL DEFAULT '',
+     status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+     error TEXT,
+     dedupe_key TEXT UNIQUE,
+     created_at TEXT NOT NULL,
+     sent_at TEXT
+   );
+   CREATE INDEX notifications_case ON notifications(case_id, created_at);`,
+  // 14 – household cases: the member a checklist item is for (lib/household.js ids)
+  `ALTER TABLE checklist_items ADD COLUMN person TEXT NOT NULL DEFAULT 'principal';`,
+  // 15 – assessment drafts: per signed-in client, or anonymous behind a hashed resume token; `version` detects concurrent edits
+  `CREATE TABLE drafts (
+     id TEXT PRIMARY KEY,
+     user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+     token_hash TEXT UNIQUE,
+     data TEXT NOT NULL,
+     step TEXT NOT NULL DEFAULT '',
+     version INTEGER NOT NULL DEFAULT 1,
+     source_assessment_id TEXT REFERENCES assessments(id) ON DELETE SET NULL,
+     link_sent_at TEXT,
+     created_at TEXT NOT NULL,
+     updated_at TEXT NOT NULL
+   );
+   CREATE INDEX drafts_user ON drafts(user_id, updated_at);`,
+  // 16 – signed retainer agreements: the PDF is an encrypted upload, with a hash of its stored ciphertext; fees
+  //      are the schedule the client agreed to, in integer cents with a list of taxes (lib/retainer.js)
+  `CREATE TABLE retainers (
+     id TEXT PRIMARY KEY,
+     case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+     upload_id TEXT REFERENCES uploads(id) ON DELETE SET NULL,
+     assessment_id TEXT REFERENCES assessments(id) ON DELETE SET NULL,
+     version TEXT NOT NULL,
+     fees TEXT NOT NULL,
+     signer_name TEXT NOT NULL,
+     signed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     signature_sha256 TEXT NOT NULL,
+     document_sha256 TEXT,
+     ip TEXT,
+     user_agent TEXT,
+     signed_at TEXT NOT NULL
+   );
+   CREATE INDEX retainers_case ON retainers(case_id, signed_at);`,
+  // 17 – billing: invoices with priced lines (integer cents, lib/billing.js) and the payments recorded against them;
+  //      both outlive an erasure (tax records): the case link is cleared and the invoice keeps the client's name and
+  //      email as billed; counters hand out invoice / receipt numbers that are never reused; client refs are unique
+  //      per invoice and user
+  `CREATE TABLE counters (
+     name TEXT PRIMARY KEY,
+     value INTEGER NOT NULL
+   );
+   CREATE TABLE invoices (
+     id TEXT PRIMARY KEY,
+     case_id TEXT REFERENCES cases(id) ON DELETE SET NULL,
+     client_name TEXT NOT NULL DEFAULT '',
+     client_email TEXT NOT NULL DEFAULT '',
+     number TEXT NOT NULL UNIQUE,
+     region TEXT NOT NULL,
+     lines TEXT NOT NULL,
+     taxes TEXT NOT NULL,
+     subtotal INTEGER NOT NULL,
+     tax INTEGER NOT NULL,
+     total INTEGER NOT NULL,
+     status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'void')),
+     due_date TEXT,
+     notes TEXT NOT NULL DEFAULT '',
+     created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     created_at TEXT NOT NULL,
+     paid_at TEXT,
+     voided_at TEXT,
+     void_reason TEXT
+   );
+   CREATE INDEX invoices_case ON invoices(case_id, created_at);
+   CREATE TABLE payments (
+     id TEXT PRIMARY KEY,
+     invoice_id TEXT NOT NULL REFERENCES invoices(id),
+     case_id TEXT REFERENCES cases(id) ON DELETE SET NULL,
+     amount INTEGER NOT NULL CHECK (amount > 0),
+     method TEXT NOT NULL,
+     provider TEXT NOT NULL,
+     provider_ref TEXT,
+     status TEXT NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+     error TEXT,
+     note TEXT NOT NULL DEFAULT '',
+     receipt_number TEXT UNIQUE,
+     client_ref TEXT,
+     recorded_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+     created_at TEXT NOT NULL,
+     settled_at TEXT
+   );
+   CREATE UNIQUE INDEX payments_provider_ref ON payments(provider, provider_ref) WHERE provider_ref IS NOT NULL;
+   CREATE UNIQUE INDEX payments_client_ref ON payments(invoice_id, recorded_by, client_ref) WHERE client_ref IS NOT NULL;
+   CREATE INDEX payments_invoice ON payments(invoice_id, created_at);`,
+];
+
+export function openDb(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;");
+  migrate(db);
+  return db;
+}
+
+export function migrate(db) {
+  const { user_version: current } = db.prepare("PRAGMA user_version").get();
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.exec("BEGIN");
+    try {
+      db.exec(MIGRATIONS[v]);
+      db.exec(`PRAGMA user_version = ${v + 1}`);
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+}
+
+/** Runs fn inside a transaction; rolls back if it throws. Nested calls join the open transaction. */
+export function tx(db, fn) {
+  if (db.isTransaction) return fn();
+  db.exec("BEGIN IMMEDIATE");
+  try {
+    const out = fn();
+    db.exec("COMMIT");
+    return out;
+  } catch (e) {
+    db.exec("ROLLBACK");
+    throw e;
+  }
+}
+
+export const nowIso = () => new Date().toISOString();
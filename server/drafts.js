@@ -0,0 +1,178 @@
+/**
+ * Eligibility assessment drafts – save, resume on another device, amend.
+ * ---------------------------------------------------------------------------
+ * - A signed-in client has one draft; the form autosaves it here.
+ * - Anonymous applicants keep their progress on the device until they ask
+ *   for a resume link. That creates a draft reachable with a random token
+ *   (stored hashed, like session tokens) which the link carries; once they
+ *   sign in, the first save with the token moves the draft to their account
+ *   – unless the account already has a draft: that save gets the 409 below
+ *   with the account's draft, and the client picks one.
+ *   Anonymous drafts left alone for config.drafts.anonymousDays are deleted
+ *   and their links stop working.
+ * - Resume links are emailed to whatever address the form holds, so sending
+ *   is throttled per IP and per recipient, and the email carries nothing
+ *   typed into the form.
+ * - Every save carries the version it was based on. A stale version (another
+ *   tab or device saved in between) is refused with 409 and the current
+ *   draft in `details.draft`, so the form can let the client choose.
+ * - Submitting the assessment deletes the draft; "duplicate and amend"
+ *   starts a new one from an earlier submission.
+ * - Starting a draft never silently drops the account's existing one: it is
+ *   refused with the same 409 and draft, unless the request names that exact
+ *   draft and version in `replaces` (the client chose to overwrite it).
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { createThrottle } from "./auth.js";
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const LINK_INTERVAL_MS = 2 * 60000;
+
+const toApi = (d) => ({
+  id: d.id,
+  data: JSON.parse(d.data),
+  step: d.step,
+  version: d.version,
+  sourceAssessmentId: d.source_assessment_id,
+  linkSentAt: d.link_sent_at,
+  createdAt: d.created_at,
+  updatedAt: d.updated_at,
+});
+
+const answers = (data) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new HttpError(400, "data is required");
+  return JSON.stringify(data);
+};
+
+export function createDraftService({ db, config, mailer, cases }) {
+  const rules = config.drafts;
+  const get = (id) => db.prepare("SELECT * FROM drafts WHERE id = ?").get(id);
+  const linksPerIp = createThrottle({ max: 10, windowMs: 60 * 60000 });
+  const linksPerRecipient = createThrottle({ max: 3, windowMs: 60 * 60000 });
+
+  const anonymousCutoff = () => new Date(Date.now() - rules.anonymousDays * 86400000).toISOString();
+  const purgeAnonymous = () => db.prepare("DELETE FROM drafts WHERE user_id IS NULL AND updated_at < ?").run(anonymousCutoff());
+
+  /** The draft when `user` owns it or `token` opens it. With `claim`, a signed-in token holder takes it over. */
+  function find(user, id, token, { claim = false } = {}) {
+    const d = get(id);
+    const owned = d && user && d.user_id === user.id;
+    const opened = d && token && d.token_hash && crypto.timingSafeEqual(Buffer.from(sha256(String(token))), Buffer.from(d.token_hash));
+    if (!owned && !opened) throw new HttpError(404, "Draft not found");
+    // The sweep only runs on create; a link past its time must not open in between
+    if (!d.user_id && d.updated_at < anonymousCutoff()) throw new HttpError(404, "Draft not found");
+    if (claim && !owned && user && !d.user_id) {
+      const mine = db.prepare("SELECT * FROM drafts WHERE user_id = ? ORDER BY updated_at DESC LIMIT 1").get(user.id);
+      if (mine) throw new HttpError(409, "Your account already has a saved draft.", { draft: toApi(mine) });
+      db.prepare("UPDATE drafts SET user_id = ? WHERE id = ?").run(user.id, d.id);
+      return get(d.id);
+    }
+    return d;
+  }
+
+  const current = (user) => {
+    const d = db.prepare("SELECT * FROM drafts WHERE user_id = ? ORDER BY updated_at DESC LIMIT 1").get(user.id);
+    return d ? toApi(d) : null;
+  };
+
+  /**
+   * Starts a draft from `data`, or from an earlier submission of the client's
+   * (`fromAssessmentId`). A signed-in client's existing draft is only replaced
+   * when `replaces` matches its id and version; anonymous callers get the
+   * resume token back once, in `token`.
+   */
+  function create(user, { data, step = "", fromAssessmentId, replaces }) {
+    let source = null;
+    if (fromAssessmentId) {
+      if (!user) throw new HttpError(401, "Sign in to amend a submission");
+      source = db.prepare("SELECT * FROM assessments WHERE id = ?").get(fromAssessmentId);
+      if (!source) throw new HttpError(404, "Assessment not found");
+      cases.getFor(user, source.case_id);
+    }
+    const json = source ? source.data : answers(data);
+    const token = user ? null : randomToken();
+    const id = crypto.randomUUID();
+    const at = nowIso();
+    purgeAnonymous();
+    return tx(db, () => {
+      const mine = user && db.prepare("SELECT * FROM drafts WHERE user_id = ? ORDER BY updated_at DESC LIMIT 1").get(user.id);
+      if (mine) {
+        if (replaces?.id !== mine.id || Number(replaces.version) !== mine.version) {
+          throw new HttpError(409, "Your account already has a saved draft.", { draft: toApi(mine) });
+        }
+        db.prepare("DELETE FROM drafts WHERE user_id = ?").run(user.id);
+      }
+      db.prepare(`INSERT INTO drafts (id, user_id, token_hash, data, step, source_assessment_id, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(id, user?.id || null, token && sha256(token), json, source ? "" : String(step).slice(0, 40), source?.id || null, at, at);
+      return { ...toApi(get(id)), ...(token ? { token } : {}) };
+    });
+  }
+
+  function save(user, id, { data, step = "", version, token }) {
+    const d = find(user, id, token, { claim: true });
+    const json = answers(data);
+    const { changes } = db.prepare("UPDATE drafts SET data = ?, step = ?, version = version + 1, updated_at = ? WHERE id = ? AND version = ?")
+      .run(json, String(step).slice(0, 40), nowIso(), d.id, Number(version));
+    if (!changes) throw new HttpError(409, "This draft was changed in another tab or on another device.", { draft: toApi(get(d.id)) });
+    return toApi(get(d.id));
+  }
+
+  /** Emails the resume link to the address in the draft's contact section. */
+  async function sendResumeLink(user, id, token, ip) {
+    const d = find(user, id, token);
+    if (!token) throw new HttpError(400, "token is required");
+    const { contact = {} } = JSON.parse(d.data);
+    if (!/^\S+@\S+\.\S+$/.test(contact.email || "")) throw new HttpError(400, "Add your email address to the Contact step first");
+    if (d.link_sent_at && Date.now() - Date.parse(d.link_sent_at) < LINK_INTERVAL_MS) throw new HttpError(429, "A link was sent a moment ago. Check your inbox.");
+    linksPerIp(`ip:${ip}`);
+    linksPerRecipient(`to:${contact.email.toLowerCase()}`);
+    const link = `${config.appUrl}/#resume?draft=${d.id}&token=${encodeURIComponent(token)}`;
+    await mailer.send({
+      to: contact.email,
+      subject: "Continue your eligibility assessment",
+      text: `Hello,\n\nYour answers are saved. Open this link on any device to pick up where you left off:\n${link}\n\n`
+        + `The link works for ${rules.anonymousDays} days after your last change. Anyone with the link can see your answers, so please do not forward it. If you did not ask for this, ignore this email.\n\n—\nPeddle West Immigration`,
+    });
+    db.prepare("UPDATE drafts SET link_sent_at = ? WHERE id = ?").run(nowIso(), d.id);
+    return { sentTo: contact.email };
+  }
+
+  function remove(user, id, token) {
+    db.prepare("DELETE FROM drafts WHERE id = ?").run(find(user, id, token).id);
+  }
+
+  /** Called once an assessment is stored: the draft it came from is done. Unknown refs are ignored. */
+  function submitted(user, ref) {
+    if (!ref?.id) return;
+    try { remove(user, String(ref.id), ref.token); } catch (e) { if (e.status !== 404) throw e; }
+  }
+
+  return { current, get: (user, id, token) => toApi(find(user, id, token)), create, save, sendResumeLink, remove, submitted };
+}
+
+export function registerDraftRoutes(router, { drafts }) {
+  router.add("GET", "/api/drafts/current", ({ user }) => drafts.current(user), {
+    auth: "user", audit: { action: "draft.view", type: "draft", id: (ctx, out) => out?.id },
+  });
+
+  // Public: anonymous applicants create a draft when they ask for a resume link
+  router.add("POST", "/api/drafts", ({ user, body }) => reply(201, drafts.create(user, body)), {
+    audit: { action: "draft.create", type: "draft", id: (ctx, out) => out?.id, details: ({ body }) => body?.fromAssessmentId && { fromAssessmentId: body.fromAssessmentId } },
+  });
+  router.add("GET", "/api/drafts/:id", ({ user, params, query }) => drafts.get(user, params.id, query.token), {
+    audit: { action: "draft.view", type: "draft" },
+  });
+  router.add("PUT", "/api/drafts/:id", ({ user, params, body }) => drafts.save(user, params.id, body), {
+    audit: { action: "draft.save", type: "draft" },
+  });
+  router.add("DELETE", "/api/drafts/:id", ({ user, params, query }) => drafts.remove(user, params.id, query.token), {
+    audit: { action: "draft.delete", type: "draft" },
+  });
+  router.add("POST", "/api/drafts/:id/resume-link", ({ req, user, params, body }) => drafts.sendResumeLink(user, params.id, body.token, req.socket.remoteAddress), {
+    audit: { action: "draft.resume_link", type: "draft" },
+  });
+}
@@ -0,0 +1,115 @@
+/**
+ * Staff export builder (POST /api/exports).
+ * ---------------------------------------------------------------------------
+ * The browser sends the sheets and column order it wants plus filters
+ * (lib/exportSpec.js validates both); the server selects only the matching
+ * rows and returns an .xlsx workbook (one sheet each, typed cells, frozen
+ * header) or CSV – a single file for one sheet, a zip of CSVs for several.
+ *
+ * Filters: program and status apply to the case; from / to (YYYY-MM-DD,
+ * inclusive) apply to each sheet's own date – submission, upload or status
+ * change.
+ */
+import { cellValue, resolveExport, sheetToCsv } from "../lib/exportSpec.js";
+import { getIn } from "../lib/formSchema.js";
+import { HttpError } from "./http.js";
+import { nowIso } from "./db.js";
+import { createXlsx } from "./xlsx.js";
+import { createZip } from "./zip.js";
+
+const CASE_FIELDS = `c.name AS case_name, c.email AS case_email, c.program AS case_program, c.status AS case_status,
+                     c.outcome AS case_outcome, COALESCE(NULLIF(s.name, ''), s.email) AS assigned_to`;
+const CASE_JOIN = "JOIN cases c ON c.id = x.case_id LEFT JOIN users s ON s.id = c.assigned_to";
+
+// WHERE clause for the case filters plus a date range on `dateColumn`
+function filterSql(filters, dateColumn) {
+  const where = [];
+  const args = [];
+  if (filters.program) { where.push("c.program = ?"); args.push(filters.program); }
+  if (filters.status) { where.push("c.status = ?"); args.push(filters.status); }
+  if (filters.from) { where.push(`${dateColumn} >= ?`); args.push(filters.from); }
+  if (filters.to) { where.push(`${dateColumn} < date(?, '+1 day')`); args.push(filters.to); }
+  return [where.length ? `WHERE ${where.join(" AND ")}` : "", args];
+}
+
+export function createExportService({ db }) {
+  const assessmentRows = (filters) => {
+    const [where, args] = filterSql(filters, "x.created_at");
+    return db.prepare(`SELECT x.data, x.row, x.created_at, ${CASE_FIELDS} FROM assessments x ${CASE_JOIN} ${where} ORDER BY x.created_at`)
+      .all(...args).map((r) => ({ ...r, data: JSON.parse(r.data), row: JSON.parse(r.row) }));
+  };
+
+  // Row objects per sheet, keyed by the column keys in EXPORT_SHEETS
+  const SOURCES = {
+    assessments: (filters, columns) => assessmentRows(filters).map(({ data, row, created_at: at, ...meta }) => {
+      const out = { ...row, ...meta, submitted_at: at };
+      columns.forEach((c) => { if (c.path) out[c.key] = getIn(data, c.path); });
+      return out;
+    }),
+    work: (filters) => assessmentRows(filters).flatMap(({ data, created_at: at, case_name: name, case_email: email }) => (
+      (Array.isArray(data.work) ? data.work : [])
+        .filter((w) => w && (w.title || w.employer || w.start))
+        .map((w, i) => ({ ...w, end: w.current ? "" : w.end, case_name: name, case_email: email, submitted_at: at, position: i + 1 }))
+    )),
+    documents: (filters) => {
+      const [where, args] = filterSql(filters, "x.created_at");
+      return db.prepare(`SELECT x.name, x.type, x.size, x.created_at AS uploaded_at, i.label AS checklist_item, i.status AS checklist_status,
+                                i.reason AS checklist_reason, ${CASE_FIELDS}
+                         FROM uploads x ${CASE_JOIN} LEFT JOIN checklist_items i ON i.id = x.checklist_item_id
+                         ${where} ORDER BY x.created_at`).all(...args);
+    },
+    history: (filters) => {
+      const [where, args] = filterSql(filters, "x.created_at");
+      return db.prepare(`SELECT x.from_status, x.to_status, x.actor, x.outcome, x.note, x.created_at AS at, ${CASE_FIELDS}
+                         FROM case_events x ${CASE_JOIN} ${where} ORDER BY x.created_at`).all(...args);
+    },
+  };
+
+  /** Builds the export; returns { filename, contentType, body, counts }. */
+  function build(request) {
+    let spec;
+    try {
+      spec = resolveExport(request);
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+    const sheets = spec.sheets.map(({ id, label, columns }) => ({
+      id,
+      name: label,
+      columns,
+      rows: SOURCES[id](spec.filters, columns).map((r) => columns.map((c) => cellValue(c.type, r[c.key]))),
+    }));
+    const counts = Object.fromEntries(sheets.map((s) => [s.id, s.rows.length]));
+    const stamp = nowIso().slice(0, 10);
+    if (spec.format === "xlsx") {
+      const body = createXlsx(sheets.map((s) => ({ name: s.name, columns: s.columns.map((c) => c.label), rows: s.rows })));
+      return { filename: `peddlewest-export-${stamp}.xlsx`, contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", body, counts };
+    }
+    if (sheets.length === 1) {
+      return { filename: `peddlewest-${sheets[0].id}-${stamp}.csv`, contentType: "text/csv; charset=utf-8", body: Buffer.from(`\uFEFF${sheetToCsv(sheets[0])}`), counts };
+    }
+    const body = createZip(sheets.map((s) => ({ name: `${s.id}.csv`, data: `\uFEFF${sheetToCsv(s)}` })));
+    return { filename: `peddlewest-export-${stamp}.zip`, contentType: "application/zip", body, counts };
+  }
+
+  return { build };
+}
+
+export function registerExportRoutes(router, { exporter }) {
+  router.add("POST", "/api/exports", ({ res, body }) => {
+    const file = exporter.build(body);
+    res.writeHead(200, {
+      "Content-Type": file.contentType,
+      "Content-Length": file.body.length,
+      "Content-Disposition": `attachment; filename="${file.filename}"`,
+      "Cache-Control": "no-store",
+    });
+    res.end(file.body);
+  }, {
+    auth: "staff",
+    audit: {
+      action: "assessments.export",
+      details: ({ body }) => ({ format: body?.format, sheets: Object.keys(body?.sheets || {}), filters: body?.filters }),
+    },
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Minimal HTTP plumbing: a method + path router, JSON bodies, errors.
+ * ---------------------------------------------------------------------------
+ * Handlers receive `{ req, res, params, query, body, user }` and return a
+ * JSON-serialisable value (200), `reply(status, value)`, or write to `res`
+ * themselves (e.g. file downloads). Throw HttpError for client errors.
+ */
+
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class Reply {
+  constructor(status, body) {
+    this.status = status;
+    this.body = body;
+  }
+}
+export const reply = (status, body) => new Reply(status, body);
+
+export function sendJson(res, status, body) {
+  if (res.writableEnded) return;
+  const payload = body === undefined ? "" : JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(payload);
+}
+
+export async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readJson(req, limit) {
+  const buf = await readBody(req, limit);
+  if (!buf.length) return {};
+  try {
+    return JSON.parse(buf.toString("utf8"));
+  } catch {
+    throw new HttpError(400, "Malformed JSON body");
+  }
+}
+
+const compile = (pattern) => {
+  const keys = [];
+  const re = pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return "([^/]+)"; });
+  return { re: new RegExp(`^${re}$`), keys };
+};
+
+// Malformed percent-encoding in a path segment is the client's error, not ours
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, "Malformed URL");
+  }
+}
+
+/**
+ * createRouter({ authenticate, maxBodyBytes, corsOrigin, onAudit })
+ *  - authenticate(req) → user | null, called for every request
+ *  - routes: router.add(method, pattern, handler, { auth: "user" | "staff" | "admin", raw: true, audit })
+ *    `raw` leaves the request body unread for streaming/binary handlers.
+ *    `audit: { action, type, id(ctx, out), details(ctx, out) }` – once the
+ *    response status is known, onAudit({ spec, ctx, out, status }) is called,
+ *    for denied and failed requests as well. `id` defaults to params.id.
+ *    The entry is written before the response goes out; if onAudit throws
+ *    the client gets a 500 (handlers that wrote the response themselves
+ *    have already sent it, so there it is only logged).
+ */
+export function createRouter({ authenticate = () => null, maxBodyBytes = 1024 * 1024, corsOrigin = "*", onAudit } = {}) {
+  const routes = [];
+
+  function add(method, pattern, handler, opts = {}) {
+    routes.push({ method, ...compile(pattern), handler, opts });
+  }
+
+  function allowed(user, need) {
+    if (!need) return true;
+    if (!user) return false;
+    if (need === "user") return true;
+    if (need === "staff") return user.role === "staff" || user.role === "admin";
+    return user.role === need;
+  }
+
+  async function handle(req, res) {
+    res.setHeader("Access-Control-Allow-Origin", corsOrigin);
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match, X-Request-Id");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "ETag, Location");
+    if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+
+    const url = new URL(req.url, "http://localhost");
+    let match = null;
+    const ctx = { req, res, params: {}, query: Object.fromEntries(url.searchParams), body: undefined, user: null };
+    let out;
+    let status = 500;
+    let response; // [status, body], sent once the audit entry is written
+    try {
+      let pathMatched = false;
+      for (const r of routes) {
+        const m = r.re.exec(url.pathname);
+        if (!m) continue;
+        pathMatched = true;
+        if (r.method !== req.method) continue;
+        match = { r, params: Object.fromEntries(r.keys.map((k, i) => [k, decodeParam(m[i + 1])])) };
+        break;
+      }
+      if (!match) throw new HttpError(pathMatched ? 405 : 404, pathMatched ? "Method not allowed" : "Not found");
+
+      ctx.params = match.params;
+      const user = ctx.user = await authenticate(req);
+      const need = match.r.opts.auth;
+      if (!allowed(user, need)) throw new HttpError(user ? 403 : 401, user ? "Forbidden" : "Sign in required");
+
+      ctx.body = match.r.opts.raw || req.method === "GET" || req.method === "DELETE"
+        ? undefined
+        : await readJson(req, match.r.opts.maxBodyBytes || maxBodyBytes);
+      out = await match.r.handler(ctx);
+      if (res.writableEnded) { status = res.statusCode; return; }
+      status = out instanceof Reply ? out.status : out === undefined ? 204 : 200;
+      response = [status, out instanceof Reply ? out.body : out];
+    } catch (e) {
+      if (e instanceof HttpError) {
+        status = e.status;
+        response = [e.status, { error: e.message, ...(e.details ? { details: e.details } : {}) }];
+      } else {
+        console.error(e);
+        response = [500, { error: "Internal server error" }];
+      }
+    } finally {
+      if (match?.r.opts.audit && onAudit) {
+        try {
+          onAudit({ spec: match.r.opts.audit, ctx, out: out instanceof Reply ? out.body : out, status });
+        } catch (e) {
+          console.error("Audit log write failed:", match.r.opts.audit.action, e);
+          // Never report success for something the log does not show
+          if (response) response = [500, { error: "Internal server error" }];
+        }
+      }
+      if (response) sendJson(res, ...response);
+    }
+  }
+
+  return { add, handle };
+}
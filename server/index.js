@@ -0,0 +1,15 @@
+/**
+ * Peddle West portal API – local server
+ *   node server/index.js            (Node 22.13+ for node:sqlite)
+ * See server/config.js for environment variables.
+ */
+import { loadConfig } from "./config.js";
+import { createApp } from "./app.js";
+
+const config = loadConfig();
+const { server, privacy, notifications } = createApp(config);
+privacy.startRetentionSweep();
+notifications.startReminderSweep();
+server.listen(config.port, () => {
+  console.log(`Portal API listening on http://localhost:${config.port} (db: ${config.dbPath})`);
+});
@@ -0,0 +1,148 @@
+/**
+ * Client–staff messaging, threaded per case.
+ * ---------------------------------------------------------------------------
+ * Access follows the case rule (cases.getFor). Attachments are existing
+ * uploads of the same case, so files stay encrypted and go through the usual
+ * key endpoint. Read state is one "read up to" mark per user per thread:
+ * a message counts as read by someone whose mark is at or after it.
+ * Unread counts only include messages from the other side (client ↔ staff).
+ * Clients poll GET /api/messages/unread; no push channel.
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { isStaffUser } from "./cases.js";
+
+const MAX_BODY = 5000;
+const roleOf = (user) => (isStaffUser(user) ? "staff" : "client");
+
+// Threads the user can see: staff every case, a client their own cases
+const visibleThreadsSql = (user) => (isStaffUser(user)
+  ? ["SELECT t.* FROM message_threads t", []]
+  : ["SELECT t.* FROM message_threads t JOIN cases c ON c.id = t.case_id WHERE c.client_user_id = ?", [user.id]]);
+
+export function registerMessageRoutes(router, { db, cases, notifications }) {
+  const threadFor = (user, id) => {
+    const t = db.prepare("SELECT * FROM message_threads WHERE id = ?").get(id);
+    if (!t) throw new HttpError(404, "Conversation not found");
+    cases.getFor(user, t.case_id);
+    return t;
+  };
+
+  const unreadIn = (user, threadId) => db.prepare(`
+    SELECT COUNT(*) AS n FROM messages m
+    LEFT JOIN thread_reads r ON r.thread_id = m.thread_id AND r.user_id = ?
+    WHERE m.thread_id = ? AND m.author_role != ? AND (r.read_at IS NULL OR m.created_at > r.read_at)`)
+    .get(user.id, threadId, roleOf(user)).n;
+
+  const threadToApi = (user, t) => {
+    const last = db.prepare("SELECT body, author_role, created_at FROM messages WHERE thread_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 1").get(t.id);
+    return {
+      id: t.id,
+      caseId: t.case_id,
+      subject: t.subject,
+      updatedAt: t.updated_at,
+      last: last ? { body: last.body.slice(0, 140), from: last.author_role, at: last.created_at } : null,
+      unread: unreadIn(user, t.id),
+    };
+  };
+
+  function markRead(user, threadId, at = nowIso()) {
+    db.prepare(`INSERT INTO thread_reads (thread_id, user_id, read_at) VALUES (?, ?, ?)
+                ON CONFLICT (thread_id, user_id) DO UPDATE SET read_at = MAX(read_at, excluded.read_at)`)
+      .run(threadId, user.id, at);
+  }
+
+  /** Validates and stores one message (plus attachments) in a thread. */
+  function addMessage(user, t, { body, attachmentIds = [], clientRef }) {
+    const text = String(body || "").trim();
+    if (!text) throw new HttpError(400, "Message text is required");
+    if (text.length > MAX_BODY) throw new HttpError(400, `Messages are limited to ${MAX_BODY} characters`);
+    const ids = [...new Set(Array.isArray(attachmentIds) ? attachmentIds.map(String) : [])];
+    ids.forEach((uid) => {
+      const u = db.prepare("SELECT case_id FROM uploads WHERE id = ?").get(uid);
+      if (!u || u.case_id !== t.case_id) throw new HttpError(400, "Attachments must be documents uploaded to this case");
+    });
+    const id = crypto.randomUUID();
+    const at = nowIso();
+    db.prepare("INSERT INTO messages (id, thread_id, client_ref, author_user_id, author_role, body, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)")
+      .run(id, t.id, clientRef ? String(clientRef) : null, user.id, roleOf(user), text, at);
+    ids.forEach((uid) => db.prepare("INSERT INTO message_attachments (message_id, upload_id) VALUES (?, ?)").run(id, uid));
+    db.prepare("UPDATE message_threads SET updated_at = ? WHERE id = ?").run(at, t.id);
+    markRead(user, t.id, at);
+    cases.update(t.case_id, {});
+    return id;
+  }
+
+  router.add("GET", "/api/cases/:id/threads", ({ user, params }) => {
+    const c = cases.getFor(user, params.id);
+    return db.prepare("SELECT * FROM message_threads WHERE case_id = ? ORDER BY updated_at DESC").all(c.id).map((t) => threadToApi(user, t));
+  }, { auth: "user", audit: { action: "message.list", type: "case" } });
+
+  router.add("POST", "/api/cases/:id/threads", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    if (body.clientRef) {
+      const dup = db.prepare("SELECT thread_id FROM messages WHERE client_ref = ?").get(String(body.clientRef));
+      if (dup) return threadToApi(user, threadFor(user, dup.thread_id));
+    }
+    const subject = String(body.subject || "").trim().slice(0, 200);
+    if (!subject) throw new HttpError(400, "A subject is required");
+    const id = crypto.randomUUID();
+    tx(db, () => {
+      const at = nowIso();
+      db.prepare("INSERT INTO message_threads (id, case_id, subject, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)")
+        .run(id, c.id, subject, user.id, at, at);
+      addMessage(user, threadFor(user, id), body);
+    });
+    notifications.messagePosted(user, threadFor(user, id));
+    return reply(201, threadToApi(user, threadFor(user, id)));
+  }, { auth: "user", audit: { action: "message.send", type: "case" } });
+
+  router.add("GET", "/api/threads/:id/messages", ({ user, params }) => {
+    const t = threadFor(user, params.id);
+    const reads = db.prepare(`SELECT r.read_at, u.name, u.role FROM thread_reads r JOIN users u ON u.id = r.user_id WHERE r.thread_id = ?`).all(t.id);
+    const attachments = db.prepare(`SELECT a.message_id, u.id, u.name, u.size, u.type FROM message_attachments a
+                                    JOIN uploads u ON u.id = a.upload_id JOIN messages m ON m.id = a.message_id WHERE m.thread_id = ?`).all(t.id);
+    return db.prepare(`SELECT m.*, u.name AS author_name FROM messages m LEFT JOIN users u ON u.id = m.author_user_id
+                       WHERE m.thread_id = ? ORDER BY m.created_at, m.rowid`).all(t.id).map((m) => {
+      const otherSide = reads.filter((r) => (isStaffUser(r) ? "staff" : "client") !== m.author_role && r.read_at >= m.created_at);
+      return {
+        id: m.id,
+        from: m.author_role,
+        author: m.author_name || null,
+        mine: m.author_user_id === user.id,
+        body: m.body,
+        at: m.created_at,
+        attachments: attachments.filter((a) => a.message_id === m.id).map(({ id, name, size, type }) => ({ id, name, size, type })),
+        readBy: otherSide.map((r) => r.name || (r.role === "client" ? "Client" : "Staff")),
+      };
+    });
+  }, { auth: "user", audit: { action: "message.read", type: "thread" } });
+
+  router.add("POST", "/api/threads/:id/messages", ({ user, params, body }) => {
+    const t = threadFor(user, params.id);
+    if (body.clientRef && db.prepare("SELECT 1 FROM messages WHERE client_ref = ?").get(String(body.clientRef))) return threadToApi(user, t);
+    tx(db, () => addMessage(user, t, body));
+    notifications.messagePosted(user, t);
+    return reply(201, threadToApi(user, threadFor(user, t.id)));
+  }, { auth: "user", audit: { action: "message.send", type: "thread" } });
+
+  router.add("POST", "/api/threads/:id/read", ({ user, params }) => {
+    markRead(user, threadFor(user, params.id).id);
+  }, { auth: "user" });
+
+  router.add("GET", "/api/messages/unread", ({ user }) => {
+    const [sql, args] = visibleThreadsSql(user);
+    const threads = db.prepare(sql).all(...args);
+    return { count: threads.reduce((n, t) => n + unreadIn(user, t.id), 0) };
+  }, { auth: "user" });
+
+  // Staff inbox: every conversation (or only cases assigned to me), most recent first
+  router.add("GET", "/api/inbox", ({ user, query }) => {
+    const rows = db.prepare(`SELECT t.*, c.name AS case_name, c.email AS case_email FROM message_threads t
+                             JOIN cases c ON c.id = t.case_id ${query.mine === "1" ? "WHERE c.assigned_to = ?" : ""}
+                             ORDER BY t.updated_at DESC LIMIT 200`).all(...(query.mine === "1" ? [user.id] : []));
+    const items = rows.map((t) => ({ ...threadToApi(user, t), client: t.case_name || t.case_email }));
+    return query.unread === "1" ? items.filter((t) => t.unread > 0) : items;
+  }, { auth: "staff", audit: { action: "message.inbox" } });
+}
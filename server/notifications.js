@@ -0,0 +1,176 @@
+/**
+ * Case-event notifications by email and text message.
+ * ---------------------------------------------------------------------------
+ * Routes call the event helpers (assessmentReceived, documentRejected,
+ * statusChanged, messagePosted, invoiceIssued, paymentReceived) once their
+ * write is done; appointment
+ * reminders come from a periodic sweep. Sending is fire-and-forget: every
+ * attempt is logged in `notifications` with its outcome, and a failing
+ * transport never fails the request that triggered it.
+ *
+ * The recipient is the case's client account, whose preferences apply, or
+ * – for a case nobody has claimed yet – the email address on the case with
+ * the default preferences. Clients hear about staff messages; the assigned
+ * RCIC hears about client messages. Templates are in lib/notifications.js,
+ * rendered in the language saved in the recipient's preferences (English
+ * for a case nobody has claimed).
+ */
+import crypto from "node:crypto";
+import { defaultPreferences, mergePreferences, renderNotification } from "../lib/notifications.js";
+import { HttpError } from "./http.js";
+import { nowIso } from "./db.js";
+import { isStaffUser } from "./cases.js";
+
+const toApi = (n) => ({
+  id: n.id,
+  event: n.event,
+  channel: n.channel,
+  recipient: n.recipient,
+  subject: n.subject,
+  status: n.status,
+  error: n.error,
+  createdAt: n.created_at,
+  sentAt: n.sent_at,
+});
+
+const settle = (p) => p.catch((e) => console.error("Notification failed:", e.message));
+
+export function createNotificationService({ db, config, mailer, sms }) {
+  const rules = config.notifications;
+
+  function preferencesFor(userId) {
+    const row = userId && db.prepare("SELECT preferences FROM notification_preferences WHERE user_id = ?").get(userId);
+    // Merged over the defaults so events added later start out with their default
+    return row ? mergePreferences(defaultPreferences(), JSON.parse(row.preferences)).preferences : defaultPreferences();
+  }
+
+  function setPreferences(userId, input) {
+    const { preferences, error } = mergePreferences(preferencesFor(userId), input);
+    if (error) throw new HttpError(400, error);
+    if (!sms && Object.values(preferences.sms).some(Boolean)) throw new HttpError(400, "Text messages are not available");
+    db.prepare(`INSERT INTO notification_preferences (user_id, preferences, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (user_id) DO UPDATE SET preferences = excluded.preferences, updated_at = excluded.updated_at`)
+      .run(userId, JSON.stringify(preferences), nowIso());
+    return preferences;
+  }
+
+  // One channel to one address; the log row goes in first so a repeated dedupe key sends nothing
+  async function deliver({ event, channel, to, userId, caseId, message, dedupeKey }) {
+    const id = crypto.randomUUID();
+    const { changes } = db.prepare(`INSERT INTO notifications (id, event, channel, user_id, case_id, recipient, subject, dedupe_key, created_at)
+                                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (dedupe_key) DO NOTHING`)
+      .run(id, event, channel, userId || null, caseId || null, to, message.subject, dedupeKey ? `${dedupeKey}:${channel}` : null, nowIso());
+    if (!changes) return;
+    try {
+      if (channel === "email") await mailer.send({ to, subject: message.subject, text: message.text });
+      else await sms.send({ to, text: message.sms });
+      db.prepare("UPDATE notifications SET status = 'sent', sent_at = ? WHERE id = ?").run(nowIso(), id);
+    } catch (e) {
+      db.prepare("UPDATE notifications SET status = 'failed', error = ? WHERE id = ?").run(String(e.message).slice(0, 500), id);
+      console.error(`Notification ${event} (${channel}) to ${to} failed:`, e.message);
+    }
+  }
+
+  /** Sends `event` to { userId?, email, name } on each channel they have switched on. */
+  async function send(event, recipient, vars, { caseId = null, dedupeKey = null } = {}) {
+    const prefs = preferencesFor(recipient.userId);
+    const message = renderNotification(event, { appUrl: config.appUrl, name: recipient.name, ...vars }, prefs.locale);
+    const common = { event, userId: recipient.userId, caseId, message, dedupeKey };
+    await Promise.all([
+      prefs.email[event] && recipient.email && deliver({ ...common, channel: "email", to: recipient.email }),
+      sms && prefs.sms[event] && prefs.phone && deliver({ ...common, channel: "sms", to: prefs.phone }),
+    ]);
+  }
+
+  // The client behind a case: their account when linked, else the address on the case
+  function clientOf(caseId) {
+    const c = db.prepare(`SELECT c.email, c.name, u.id AS user_id, u.email AS user_email, u.name AS user_name
+                          FROM cases c LEFT JOIN users u ON u.id = c.client_user_id WHERE c.id = ?`).get(caseId);
+    return c && { userId: c.user_id, email: c.user_email || c.email, name: c.name || c.user_name };
+  }
+
+  const toClient = (event, caseId, vars) => {
+    const recipient = clientOf(caseId);
+    return settle(recipient ? send(event, recipient, vars, { caseId }) : Promise.resolve());
+  };
+
+  const assessmentReceived = (caseId, { program, crsTotal }) => toClient("assessment_received", caseId, { program, crsTotal });
+
+  const documentRejected = (item) => toClient("document_rejected", item.case_id, {
+    document: item.label, documentKey: item.source === "custom" ? null : item.key, reason: item.reason,
+  });
+
+  const statusChanged = (c, { note } = {}) => toClient("status_changed", c.id, { status: c.status, outcome: c.outcome, note });
+
+  const invoiceIssued = (invoice) => toClient("invoice_issued", invoice.case_id, { number: invoice.number, total: invoice.total, dueDate: invoice.due_date });
+
+  const paymentReceived = (payment, invoice, balance) => toClient("payment_received", invoice.case_id, {
+    number: invoice.number, receipt: payment.receipt_number, amount: payment.amount, balance,
+  });
+
+  /** Staff messages notify the client; client messages notify the assigned RCIC (unassigned ones wait in the inbox). */
+  function messagePosted(author, thread) {
+    // No `from`: the template names the RCIC team in the client's language
+    if (isStaffUser(author)) return toClient("new_message", thread.case_id, { subject: thread.subject });
+    const c = db.prepare(`SELECT c.name, c.email, u.id AS staff_id, u.email AS staff_email, u.name AS staff_name
+                          FROM cases c JOIN users u ON u.id = c.assigned_to WHERE c.id = ?`).get(thread.case_id);
+    if (!c) return Promise.resolve();
+    return settle(send("new_message", { userId: c.staff_id, email: c.staff_email, name: c.staff_name },
+      { subject: thread.subject, from: c.name || c.email, link: `${config.appUrl}/#inbox` }, { caseId: thread.case_id }));
+  }
+
+  /**
+   * Reminds clients of booked appointments starting within reminderHours.
+   * The dedupe key includes the start time, so a moved appointment is
+   * reminded again. Bookings made or moved in the last hour are left for
+   * the next sweep: their confirmation email has only just gone out.
+   */
+  async function sendReminders(now = new Date()) {
+    const until = new Date(now.getTime() + rules.reminderHours * 3600000).toISOString();
+    const settled = new Date(now.getTime() - 3600000).toISOString();
+    const due = db.prepare(`SELECT a.*, COALESCE(u.email, a.invitee_email) AS email, COALESCE(u.name, a.invitee_name) AS name
+                            FROM appointments a LEFT JOIN users u ON u.id = a.client_user_id
+                            WHERE a.status = 'booked' AND a.starts_at > ? AND a.starts_at <= ? AND a.updated_at < ?`)
+      .all(now.toISOString(), until, settled);
+    await Promise.all(due.map((a) => {
+      const timeZone = a.client_time_zone || config.booking.timeZone;
+      return settle(send("appointment_reminder", { userId: a.client_user_id, email: a.email, name: a.name },
+        { type: a.type_name, startsAt: a.starts_at, timeZone, location: a.provider === "native" ? config.booking.location : "" },
+        { caseId: a.case_id, dedupeKey: `appointment_reminder:${a.id}:${a.starts_at}` }));
+    }));
+    return { due: due.length };
+  }
+
+  /** Periodic reminder sweep; returns a stop function. */
+  function startReminderSweep() {
+    const run = () => sendReminders().catch((e) => console.error("Reminder sweep failed:", e));
+    const t = setInterval(run, rules.sweepMinutes * 60 * 1000);
+    t.unref();
+    run();
+    return () => clearInterval(t);
+  }
+
+  const log = (caseId) => db.prepare("SELECT * FROM notifications WHERE case_id = ? ORDER BY created_at DESC LIMIT 200").all(caseId).map(toApi);
+
+  return {
+    preferencesFor, setPreferences, smsAvailable: Boolean(sms),
+    assessmentReceived, documentRejected, statusChanged, messagePosted, invoiceIssued, paymentReceived, sendReminders, startReminderSweep, log,
+  };
+}
+
+export function registerNotificationRoutes(router, { cases, notifications }) {
+  const view = (prefs) => ({ ...prefs, smsAvailable: notifications.smsAvailable });
+
+  router.add("GET", "/api/notifications/preferences", ({ user }) => view(notifications.preferencesFor(user.id)), { auth: "user" });
+  router.add("PUT", "/api/notifications/preferences", ({ user, body }) => view(notifications.setPreferences(user.id, body)), {
+    auth: "user", audit: { action: "notification.preferences", type: "user", id: ({ user }) => user?.id },
+  });
+
+  // Staff: what was sent about a case, newest first
+  router.add("GET", "/api/cases/:id/notifications", ({ user, params }) => notifications.log(cases.getFor(user, params.id).id), {
+    auth: "staff", audit: { action: "notification.list", type: "case" },
+  });
+  router.add("POST", "/api/notifications/reminders/run", () => notifications.sendReminders(), {
+    auth: "admin", audit: { action: "notification.reminders", details: (ctx, out) => out },
+  });
+}
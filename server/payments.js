@@ -0,0 +1,61 @@
+/**
+ * Payment providers for online invoice payments (server/billing.js).
+ * ---------------------------------------------------------------------------
+ * Card details never reach the portal: a real provider sends the client to
+ * its hosted checkout and confirms by webhook. A provider is
+ *
+ *   name
+ *   startPayment({ paymentId, amount, currency, description, email, returnUrl, testOutcome })
+ *     → { status: "succeeded" | "pending" | "failed", reference, checkoutUrl?, error? }
+ *     amount in cents; with a checkoutUrl the browser is sent there and the
+ *     payment stays pending until the webhook arrives
+ *   parseWebhook(req, raw) → { reference, status, error? }
+ *     throws HttpError 401 when the request is not signed by the provider
+ *
+ * "fake" settles at once (or declines / stays pending when the browser asks
+ * for that outcome) so the whole flow can be tried locally; its webhook is
+ * signed with config.billing.webhookKey in `X-Payment-Signature` (hex
+ * HMAC-SHA256 of the raw body). It has to be chosen explicitly and is
+ * refused in production. Add a provider here and select it with
+ * PW_PAYMENT_PROVIDER.
+ */
+import crypto from "node:crypto";
+import { HttpError } from "./http.js";
+
+/** Picks the provider from config.billing; null when online payments are off. */
+export function createPaymentProvider(billing, env = process.env) {
+  const name = billing?.provider || "off";
+  if (name === "off") return null;
+  if (name === "fake") {
+    if (env.NODE_ENV === "production") throw new Error("PW_PAYMENT_PROVIDER=fake settles invoices without payment and cannot be used in production");
+    return createFakePaymentProvider(billing);
+  }
+  throw new Error(`Unknown payment provider: ${name}`);
+}
+
+export const FAKE_OUTCOMES = ["succeeded", "declined", "pending"];
+
+export function createFakePaymentProvider({ webhookKey }) {
+  return {
+    name: "fake",
+    async startPayment({ testOutcome = "succeeded" }) {
+      const reference = `fake_${crypto.randomBytes(8).toString("hex")}`;
+      if (testOutcome === "declined") return { status: "failed", reference, error: "Card declined (test payment)" };
+      return { status: testOutcome === "pending" ? "pending" : "succeeded", reference };
+    },
+    parseWebhook(req, raw) {
+      if (!webhookKey) throw new HttpError(503, "Payment webhooks are not configured");
+      const expected = crypto.createHmac("sha256", webhookKey).update(raw).digest();
+      const given = Buffer.from(String(req.headers["x-payment-signature"] || ""), "hex");
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new HttpError(401, "Invalid webhook signature");
+      let body;
+      try {
+        body = JSON.parse(raw.toString("utf8"));
+      } catch {
+        throw new HttpError(400, "Malformed JSON body");
+      }
+      if (!body.reference || !["succeeded", "failed"].includes(body.status)) throw new HttpError(400, "reference and status (succeeded | failed) are required");
+      return { reference: String(body.reference), status: body.status, error: body.error ? String(body.error).slice(0, 300) : null };
+    },
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Privacy rights: consent records, per-client export, erasure, retention.
+ * ---------------------------------------------------------------------------
+ * - Consent: every assessment must carry a known consent version
+ *   (lib/consent.js); the record is kept per case with ip / user agent.
+ * - Export: one zip per case – data.json (everything we hold about the file,
+ *   including appointments, signed retainers, invoices and payments) plus
+ *   the decrypted documents.
+ * - Erasure: deletes the case row (assessments, uploads, checklist, history,
+ *   messages, consents and retainers cascade), its appointments, the
+ *   client's unsubmitted drafts (signed in or anonymous with the case's
+ *   email), the encrypted blobs and optionally the client account. A
+ *   tombstone without personal data records that it happened; the audit log
+ *   keeps the who / when. Invoices and payments are kept as tax records,
+ *   unlinked from the case, with only the client's name and email as billed.
+ *   A case whose documents were copied to Google Drive is refused until
+ *   staff delete the Drive folder from the privacy tab (the server holds no
+ *   Drive token).
+ * - Retention: closed files and dormant leads are erased after the periods
+ *   in config.retention, by a periodic sweep or on demand.
+ */
+import crypto from "node:crypto";
+import { checkConsent } from "../lib/consent.js";
+import { HttpError } from "./http.js";
+import { nowIso, tx } from "./db.js";
+import { isStaffUser, publicCase } from "./cases.js";
+import { createZip } from "./zip.js";
+
+const GCM_TAG_BYTES = 16;
+const yearsAgo = (now, n) => {
+  const d = new Date(now);
+  d.setFullYear(d.getFullYear() - n);
+  return d.toISOString();
+};
+const safeName = (name) => String(name).replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").slice(0, 150) || "document";
+
+export function createPrivacyService({ db, vault, audit, config }) {
+  const rules = config.retention;
+
+  function recordConsent({ caseId, assessmentId, user, consent, ip, userAgent }) {
+    const problem = checkConsent(consent);
+    if (problem) throw new HttpError(400, problem);
+    db.prepare(`INSERT INTO consents (id, case_id, assessment_id, user_id, version, purposes, accepted_at, recorded_at, ip, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(crypto.randomUUID(), caseId, assessmentId, user?.id || null, consent.version, JSON.stringify(consent.purposes),
+        String(consent.acceptedAt || nowIso()), nowIso(), ip || null, String(userAgent || "").slice(0, 300));
+  }
+
+  const consentsFor = (caseId) => db.prepare("SELECT * FROM consents WHERE case_id = ? ORDER BY recorded_at").all(caseId)
+    .map((c) => ({ id: c.id, version: c.version, purposes: JSON.parse(c.purposes), acceptedAt: c.accepted_at, recordedAt: c.recorded_at }));
+
+  function decryptUpload(u) {
+    const bytes = vault.readBlob(u.id);
+    const d = crypto.createDecipheriv("aes-256-gcm", vault.unwrapKey(u.wrapped_key, u.id), Buffer.from(u.iv, "base64"));
+    d.setAuthTag(bytes.subarray(bytes.length - GCM_TAG_BYTES));
+    return Buffer.concat([d.update(bytes.subarray(0, bytes.length - GCM_TAG_BYTES)), d.final()]);
+  }
+
+  /** Everything held about one case, as a zip Buffer. */
+  function exportCase(caseId) {
+    const c = db.prepare("SELECT * FROM cases WHERE id = ?").get(caseId);
+    const uploads = db.prepare("SELECT * FROM uploads WHERE case_id = ? ORDER BY created_at").all(caseId);
+    const threads = db.prepare("SELECT * FROM message_threads WHERE case_id = ? ORDER BY created_at").all(caseId);
+    const files = [];
+    const documents = uploads.map((u, i) => {
+      const entry = { id: u.id, name: u.name, type: u.type, size: u.size, uploadedAt: u.created_at, file: null };
+      if (u.stored_at && u.wrapped_key) {
+        entry.file = `documents/${String(i + 1).padStart(3, "0")}-${safeName(u.name)}`;
+        files.push({ name: entry.file, data: decryptUpload(u) });
+      }
+      return entry;
+    });
+    const data = {
+      exportedAt: nowIso(),
+      case: publicCase(c),
+      consents: consentsFor(caseId),
+      assessments: db.prepare("SELECT id, created_at, data FROM assessments WHERE case_id = ? ORDER BY created_at").all(caseId)
+        .map((a) => ({ id: a.id, submittedAt: a.created_at, answers: JSON.parse(a.data) })),
+      drafts: db.prepare("SELECT id, step, updated_at, data FROM drafts WHERE user_id = ?").all(c.client_user_id)
+        .map((d) => ({ id: d.id, step: d.step, savedAt: d.updated_at, answers: JSON.parse(d.data) })),
+      statusHistory: db.prepare("SELECT from_status, to_status, actor, note, outcome, created_at FROM case_events WHERE case_id = ? ORDER BY created_at").all(caseId),
+      checklist: db.prepare("SELECT label, status, reason, updated_at FROM checklist_items WHERE case_id = ? ORDER BY sort").all(caseId),
+      appointments: db.prepare(`SELECT type_name AS type, starts_at AS start, ends_at AS "end", client_time_zone AS timeZone, status, notes,
+                                       cancel_reason AS cancelReason, provider, invitee_name AS inviteeName, invitee_email AS inviteeEmail, created_at AS bookedAt
+                                FROM appointments WHERE case_id = ? ORDER BY starts_at`).all(caseId),
+      retainers: db.prepare("SELECT version, fees, signer_name, signed_at, ip, user_agent, upload_id FROM retainers WHERE case_id = ? ORDER BY signed_at").all(caseId)
+        .map((r) => ({
+          version: r.version, signedBy: r.signer_name, signedAt: r.signed_at, ip: r.ip, userAgent: r.user_agent,
+          fees: JSON.parse(r.fees), document: documents.find((d) => d.id === r.upload_id)?.file || null,
+        })),
+      invoices: db.prepare("SELECT id, number, region, lines, taxes, subtotal, tax, total, status, due_date, created_at, paid_at, voided_at FROM invoices WHERE case_id = ? ORDER BY created_at").all(caseId)
+        .map((i) => ({
+          number: i.number, issuedAt: i.created_at, dueDate: i.due_date, region: i.region, lines: JSON.parse(i.lines), taxes: JSON.parse(i.taxes),
+          subtotal: i.subtotal, tax: i.tax, total: i.total, status: i.status, paidAt: i.paid_at, voidedAt: i.voided_at,
+          payments: db.prepare("SELECT amount, method, status, receipt_number AS receipt, created_at AS at, settled_at AS settledAt FROM payments WHERE invoice_id = ? ORDER BY created_at").all(i.id),
+        })),
+      // Emails and texts sent to the client (not the staff alerts about their messages)
+      notifications: db.prepare(`SELECT n.event, n.channel, n.recipient, n.subject, n.status, n.created_at FROM notifications n
+                                 LEFT JOIN users u ON u.id = n.user_id WHERE n.case_id = ? AND COALESCE(u.role, 'client') = 'client'
+                                 ORDER BY n.created_at`).all(caseId),
+      messages: threads.map((t) => ({
+        subject: t.subject,
+        messages: db.prepare("SELECT author_role AS \"from\", body, created_at AS at FROM messages WHERE thread_id = ? ORDER BY created_at").all(t.id),
+      })),
+      documents,
+    };
+    return createZip([{ name: "data.json", data: JSON.stringify(data, null, 2) }, ...files]);
+  }
+
+  /**
+   * Permanently removes one client's file. `deleteAccount` also removes the
+   * client's login when they have no other case. Returns the tombstone.
+   */
+  function erase(caseId, { actor, reason, deleteAccount = false }) {
+    const c = db.prepare("SELECT * FROM cases WHERE id = ?").get(caseId);
+    if (!c) throw new HttpError(404, "Case not found");
+    // Drive copies are plaintext outside our storage; only the staff browser can delete them
+    if (c.drive_folder_id) throw new HttpError(409, "This file's documents were copied to Google Drive. Delete the Drive folder first.");
+    const blobIds = db.prepare("SELECT id FROM uploads WHERE case_id = ?").all(caseId).map((u) => u.id);
+    const tombstone = { id: crypto.randomUUID(), case_id: caseId, reason, erased_by: actor === "system" ? null : actor?.id || null, documents: blobIds.length, erased_at: nowIso() };
+    let accountDeleted = false;
+    tx(db, () => {
+      // Appointments only lose their case link on a cascade; they hold the invitee's name, email and notes
+      db.prepare("DELETE FROM appointments WHERE case_id = ?").run(caseId);
+      db.prepare("DELETE FROM cases WHERE id = ?").run(caseId);
+      if (c.client_user_id) db.prepare("DELETE FROM drafts WHERE user_id = ?").run(c.client_user_id);
+      // Drafts started before signing in (resume links) carry the same email and answers
+      db.prepare("DELETE FROM drafts WHERE user_id IS NULL AND lower(json_extract(data, '$.contact.email')) = lower(?)").run(c.email);
+      if (deleteAccount && c.client_user_id) {
+        const other = db.prepare("SELECT 1 FROM cases WHERE client_user_id = ? LIMIT 1").get(c.client_user_id);
+        const owner = db.prepare("SELECT role FROM users WHERE id = ?").get(c.client_user_id);
+        if (!other && owner && !isStaffUser(owner)) {
+          db.prepare("DELETE FROM users WHERE id = ?").run(c.client_user_id);
+          accountDeleted = true;
+        }
+      }
+      db.prepare("INSERT INTO erasures (id, case_id, reason, erased_by, documents, erased_at) VALUES (?, ?, ?, ?, ?, ?)")
+        .run(...Object.values(tombstone));
+      // Logged in the same transaction: an erasure is never committed without its audit entry
+      audit.record({ actor, action: "case.erase", targetType: "case", targetId: caseId, details: { reason, documents: blobIds.length, accountDeleted } });
+    });
+    // Blobs go after the commit; a crash here leaves unreadable ciphertext whose keys are already gone
+    blobIds.forEach((id) => vault.deleteBlob(id));
+    return { ...tombstone, accountDeleted };
+  }
+
+  /** Cases past their retention period, with the rule that applies. */
+  function dueForPurge(now = new Date()) {
+    const closedBefore = yearsAgo(now, rules.closedYears);
+    const leadBefore = yearsAgo(now, rules.inactiveLeadYears);
+    return db.prepare(`SELECT * FROM cases
+                       WHERE (status = 'Decision' AND status_changed_at < ?)
+                          OR (status IN ('Lead', 'Assessment Complete') AND updated_at < ?)
+                       ORDER BY updated_at`).all(closedBefore, leadBefore)
+      .map((c) => ({
+        ...publicCase(c),
+        rule: c.status === "Decision" ? `Closed more than ${rules.closedYears} years ago` : `No activity for ${rules.inactiveLeadYears} years`,
+      }));
+  }
+
+  /** Erases every case due; those with a Google Drive folder wait until staff delete it (`blocked`). */
+  function purge(now = new Date(), actor = "system") {
+    const due = dueForPurge(now);
+    const ready = due.filter((c) => !c.driveFolderId);
+    ready.forEach((c) => erase(c.id, { actor, reason: `retention: ${c.rule}` }));
+    return { purged: ready.length, blocked: due.length - ready.length };
+  }
+
+  /** Periodic retention sweep; returns a stop function. */
+  function startRetentionSweep() {
+    const run = () => {
+      try {
+        const { purged, blocked } = purge();
+        if (purged) console.log(`Retention sweep erased ${purged} case(s).`);
+        if (blocked) console.log(`Retention sweep skipped ${blocked} case(s) whose Google Drive folder must be deleted first.`);
+      } catch (e) {
+        console.error("Retention sweep failed:", e);
+      }
+    };
+    const t = setInterval(run, rules.sweepHours * 3600 * 1000);
+    t.unref();
+    run();
+    return () => clearInterval(t);
+  }
+
+  return { recordConsent, consentsFor, exportCase, erase, dueForPurge, purge, startRetentionSweep, rules };
+}
+
+export function registerPrivacyRoutes(router, { cases, privacy }) {
+  router.add("GET", "/api/cases/:id/consents", ({ user, params }) => privacy.consentsFor(cases.getFor(user, params.id).id), {
+    auth: "user", audit: { action: "consent.view", type: "case" },
+  });
+
+  // The client themselves or staff: data.json + decrypted documents
+  router.add("GET", "/api/cases/:id/export", ({ res, user, params }) => {
+    const c = cases.getFor(user, params.id);
+    const zip = privacy.exportCase(c.id);
+    res.writeHead(200, {
+      "Content-Type": "application/zip",
+      "Content-Length": zip.length,
+      "Content-Disposition": `attachment; filename="peddlewest-data-${nowIso().slice(0, 10)}.zip"`,
+      "Cache-Control": "no-store",
+    });
+    res.end(zip);
+  }, { auth: "user", audit: { action: "case.export", type: "case" } });
+
+  // Right to erasure; the client's email must be typed back as confirmation
+  router.add("POST", "/api/cases/:id/erase", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    if (String(body.confirm || "").trim().toLowerCase() !== c.email) throw new HttpError(400, "Type the client's email address to confirm");
+    const reason = String(body.reason || "").trim();
+    if (!reason) throw new HttpError(400, "A reason is required");
+    return privacy.erase(c.id, { actor: user, reason: reason.slice(0, 500), deleteAccount: Boolean(body.deleteAccount) });
+  }, { auth: "admin", audit: { action: "case.erase_request", type: "case" } });
+
+  router.add("GET", "/api/privacy/retention", () => ({ rules: privacy.rules, due: privacy.dueForPurge() }), {
+    auth: "staff", audit: { action: "retention.view" },
+  });
+  router.add("POST", "/api/privacy/retention/purge", ({ user }) => privacy.purge(new Date(), user), {
+    auth: "admin", audit: { action: "retention.purge", details: (ctx, out) => out },
+  });
+}
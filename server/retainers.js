@@ -0,0 +1,72 @@
+/**
+ * Retainer agreements: the client signs in the portal, staff download.
+ * ---------------------------------------------------------------------------
+ * The browser renders the agreement as a PDF (lib/pdfDocuments.js) with the
+ * client's drawn signature and stores it as an ordinary encrypted upload;
+ * POST /api/cases/:id/retainers then records the signature against the case:
+ * who signed, when, from where, hashes of the signature image and of the
+ * stored ciphertext of the PDF, and the fee schedule. The schedule is
+ * recomputed here from the assessment the client signed for
+ * (lib/retainer.js), so the record does not rely on figures the browser sent.
+ * Signing an outdated version of the terms is refused with 409, and the
+ * signed PDF cannot be deleted afterwards (server/uploads.js).
+ */
+import crypto from "node:crypto";
+import { HttpError, reply } from "./http.js";
+import { nowIso } from "./db.js";
+import { isStaffUser } from "./cases.js";
+import { feeSchedule, RETAINER_VERSION } from "../lib/retainer.js";
+
+const SIGNATURE = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+const MAX_SIGNATURE_CHARS = 200000;
+
+const toApi = (r) => ({
+  id: r.id,
+  caseId: r.case_id,
+  uploadId: r.upload_id,
+  assessmentId: r.assessment_id,
+  version: r.version,
+  fees: JSON.parse(r.fees),
+  signerName: r.signer_name,
+  signedAt: r.signed_at,
+  documentSha256: r.document_sha256,
+});
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+export function registerRetainerRoutes(router, { db, cases, vault }) {
+  router.add("GET", "/api/cases/:id/retainers", ({ user, params }) => {
+    const c = cases.getFor(user, params.id);
+    return db.prepare("SELECT * FROM retainers WHERE case_id = ? ORDER BY signed_at DESC").all(c.id).map(toApi);
+  }, { auth: "user", audit: { action: "retainer.list", type: "case" } });
+
+  router.add("POST", "/api/cases/:id/retainers", ({ req, user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    if (isStaffUser(user)) throw new HttpError(403, "Only the client can sign their retainer agreement");
+    const { uploadId, assessmentId, version, signerName, signature } = body;
+    if (version !== RETAINER_VERSION) {
+      throw new HttpError(409, "The retainer agreement has been updated. Please review the new version.", { version: RETAINER_VERSION });
+    }
+    const name = String(signerName || "").trim();
+    if (!name) throw new HttpError(400, "Type your full name to sign");
+    if (typeof signature !== "string" || signature.length > MAX_SIGNATURE_CHARS || !SIGNATURE.test(signature)) {
+      throw new HttpError(400, "A drawn signature is required");
+    }
+    const a = db.prepare("SELECT * FROM assessments WHERE id = ? AND case_id = ?").get(String(assessmentId || ""), c.id);
+    if (!a) throw new HttpError(400, "assessmentId must be an assessment on this case");
+    const u = db.prepare("SELECT * FROM uploads WHERE id = ? AND case_id = ?").get(String(uploadId || ""), c.id);
+    if (!u || u.uploaded_by !== user.id || u.type !== "application/pdf") throw new HttpError(400, "uploadId must be the signed PDF you uploaded to this case");
+    if (!u.stored_at) throw new HttpError(409, "The signed PDF has not finished uploading");
+    if (db.prepare("SELECT 1 FROM retainers WHERE upload_id = ?").get(u.id)) throw new HttpError(409, "This document is already recorded as a retainer");
+
+    const id = crypto.randomUUID();
+    db.prepare(`INSERT INTO retainers (id, case_id, upload_id, assessment_id, version, fees, signer_name, signed_by, signature_sha256, document_sha256, ip, user_agent, signed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, c.id, u.id, a.id, RETAINER_VERSION, JSON.stringify(feeSchedule(JSON.parse(a.data))), name.slice(0, 200), user.id,
+        sha256(signature), sha256(vault.readBlob(u.id)), req.socket.remoteAddress || null, req.headers["user-agent"] || null, nowIso());
+    return reply(201, toApi(db.prepare("SELECT * FROM retainers WHERE id = ?").get(id)));
+  }, {
+    auth: "user",
+    audit: { action: "retainer.sign", type: "case", details: (ctx, out) => out && { retainerId: out.id, version: out.version } },
+  });
+}
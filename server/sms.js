@@ -0,0 +1,43 @@
+/**
+ * Outgoing text messages. Like the mailer, the console transport prints
+ * what would be sent; "twilio" posts to Twilio's Messages API.
+ * send({ to, text }) with `to` in E.164 form.
+ */
+
+/** Picks the transport from config.sms; null when SMS is switched off. */
+export function createSmsSender(sms) {
+  if (sms?.provider === "twilio") return createTwilioSms(sms);
+  if (sms?.provider === "console") return createConsoleSms();
+  return null;
+}
+
+export function createConsoleSms(log = console.log) {
+  const outbox = [];
+  return {
+    outbox,
+    async send({ to, text }) {
+      const msg = { to, text, at: new Date().toISOString() };
+      outbox.push(msg);
+      if (outbox.length > 50) outbox.shift();
+      log(`\n--- sms to ${to} ---\n${text}\n--- end sms ---\n`);
+      return msg;
+    },
+  };
+}
+
+export function createTwilioSms({ accountSid, authToken, from }) {
+  const endpoint = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`;
+  return {
+    async send({ to, text }) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { Authorization: authorization, "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ To: to, From: from, Body: text }),
+      });
+      const out = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(`SMS to ${to} failed: ${out.message || res.statusText}`);
+      return { to, text, id: out.sid, at: new Date().toISOString() };
+    },
+  };
+}
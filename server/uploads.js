@@ -0,0 +1,142 @@
+/**
+ * Case documents: encrypted upload, listing and download.
+ * ---------------------------------------------------------------------------
+ * 1. POST /api/cases/:id/uploads   metadata + per-file key/iv → record
+ * 2. PUT  /api/uploads/:id/content ciphertext bytes
+ * 3. GET  /api/uploads/:id/content ciphertext, GET /api/uploads/:id/key
+ *    → unwrapped key for the case owner or staff
+ * Per-batch, per-case and size limits come from config.uploadLimits and are
+ * published at /api/uploads/limits so the browser enforces the same numbers.
+ * The batch limit counts each user's uploads to a case over the last few
+ * minutes, so leaving out `batchId` does not get around it.
+ * Content checks (magic bytes, PDF pages, image quality) run in the browser
+ * on the plaintext – see lib/uploadChecks.js; here only the declared type and
+ * its per-type size limit can be enforced.
+ * An upload may be tagged to a checklist item (`checklistItemId`), which
+ * moves that item to "uploaded" once the content is stored.
+ * Staff can copy documents to Google Drive from their browser (lib/driveUpload.js);
+ * PUT /api/uploads/:id/drive records the resulting Drive file id.
+ */
+import crypto from "node:crypto";
+import { HttpError, readBody, reply } from "./http.js";
+import { nowIso } from "./db.js";
+import { DRIVE_ID, isStaffUser } from "./cases.js";
+import { UPLOAD_TYPES } from "../lib/uploadChecks.js";
+
+const GCM_TAG_BYTES = 16;
+const BATCH_WINDOW_MS = 5 * 60000;
+const kindForMime = (mime) => Object.keys(UPLOAD_TYPES).find((k) => UPLOAD_TYPES[k].mime === mime);
+
+const toApi = (u) => ({
+  id: u.id,
+  caseId: u.case_id,
+  name: u.name,
+  size: u.size,
+  type: u.type,
+  at: u.created_at,
+  encrypted: Boolean(u.wrapped_key),
+  stored: Boolean(u.stored_at),
+  checklistItemId: u.checklist_item_id || null,
+  driveFileId: u.drive_file_id || null,
+  driveCopiedAt: u.drive_copied_at || null,
+});
+
+export function registerUploadRoutes(router, { db, cases, vault, config, checklist }) {
+  const limits = config.uploadLimits;
+  const getUpload = (user, id) => {
+    const u = db.prepare("SELECT * FROM uploads WHERE id = ?").get(id);
+    if (!u) throw new HttpError(404, "Upload not found");
+    cases.getFor(user, u.case_id);
+    return u;
+  };
+
+  router.add("GET", "/api/uploads/limits", () => limits, { auth: "user" });
+
+  router.add("GET", "/api/cases/:id/uploads", ({ user, params }) => {
+    const c = cases.getFor(user, params.id);
+    return db.prepare("SELECT * FROM uploads WHERE case_id = ? ORDER BY created_at DESC").all(c.id).map(toApi);
+  }, { auth: "user", audit: { action: "document.list", type: "case" } });
+
+  router.add("POST", "/api/cases/:id/uploads", ({ user, params, body }) => {
+    const c = cases.getFor(user, params.id);
+    const { name, size, type, clientRef, batchId, key, iv, checklistItemId } = body;
+    if (!name || typeof name !== "string") throw new HttpError(400, "name is required");
+    if (clientRef) {
+      const dup = db.prepare("SELECT * FROM uploads WHERE client_ref = ?").get(String(clientRef));
+      if (dup) return toApi(dup);
+    }
+    const kind = kindForMime(type);
+    if (!kind) throw new HttpError(415, "Only PDF, JPEG and PNG files are accepted.");
+    const maxBytes = Math.min(limits.maxFileBytes, limits.maxBytesByType[kind] ?? Infinity);
+    if (!(Number(size) > 0) || Number(size) > maxBytes) {
+      throw new HttpError(413, `${UPLOAD_TYPES[kind].label} files must be under ${Math.round(maxBytes / 1048576)} MB.`);
+    }
+    const rawKey = Buffer.from(String(key || ""), "base64");
+    if (rawKey.length !== 32 || Buffer.from(String(iv || ""), "base64").length !== 12) {
+      throw new HttpError(400, "An AES-256-GCM key and 12-byte iv are required");
+    }
+    const { n: inCase } = db.prepare("SELECT COUNT(*) AS n FROM uploads WHERE case_id = ?").get(c.id);
+    if (inCase >= limits.maxFilesPerCase) throw new HttpError(409, `This file already has ${limits.maxFilesPerCase} documents.`);
+    const since = new Date(Date.now() - BATCH_WINDOW_MS).toISOString();
+    const { n: recent } = db.prepare("SELECT COUNT(*) AS n FROM uploads WHERE case_id = ? AND uploaded_by = ? AND created_at > ?").get(c.id, user.id, since);
+    if (recent >= limits.maxFilesPerBatch) throw new HttpError(429, `Upload at most ${limits.maxFilesPerBatch} files at a time. Try again in a few minutes.`);
+    if (checklistItemId && checklist.get(checklistItemId)?.case_id !== c.id) throw new HttpError(400, "Unknown checklist item for this case");
+    const id = crypto.randomUUID();
+    db.prepare(`INSERT INTO uploads (id, case_id, client_ref, name, size, type, uploaded_by, created_at, batch_id, iv, wrapped_key, checklist_item_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(id, c.id, clientRef ? String(clientRef) : null, name.slice(0, 255), Number(size), type, user.id, nowIso(),
+        batchId ? String(batchId) : null, String(iv), vault.wrapKey(rawKey, id), checklistItemId || null);
+    cases.update(c.id, {});
+    return reply(201, toApi(db.prepare("SELECT * FROM uploads WHERE id = ?").get(id)));
+  }, { auth: "user", audit: { action: "document.create", type: "document", id: (ctx, out) => out?.id, details: ({ params }) => ({ caseId: params.id }) } });
+
+  router.add("PUT", "/api/uploads/:id/content", async ({ req, user, params }) => {
+    const u = getUpload(user, params.id);
+    if (u.uploaded_by !== user.id) throw new HttpError(403, "Only the uploader can send the file content");
+    if (u.stored_at) throw new HttpError(409, "Content already uploaded");
+    const bytes = await readBody(req, u.size + GCM_TAG_BYTES);
+    if (bytes.length !== u.size + GCM_TAG_BYTES) throw new HttpError(400, "Ciphertext length does not match the declared file size");
+    const sha = vault.writeBlob(u.id, bytes);
+    db.prepare("UPDATE uploads SET cipher_size = ?, cipher_sha256 = ?, stored_at = ? WHERE id = ?").run(bytes.length, sha, nowIso(), u.id);
+    if (u.checklist_item_id) checklist.markUploaded(u.checklist_item_id);
+    return toApi(db.prepare("SELECT * FROM uploads WHERE id = ?").get(u.id));
+  }, { auth: "user", raw: true, audit: { action: "document.upload", type: "document" } });
+
+  router.add("GET", "/api/uploads/:id/content", ({ res, user, params }) => {
+    const u = getUpload(user, params.id);
+    if (!u.stored_at) throw new HttpError(404, "File content is not available");
+    const bytes = vault.readBlob(u.id);
+    res.writeHead(200, { "Content-Type": "application/octet-stream", "Content-Length": bytes.length, "Cache-Control": "no-store" });
+    res.end(bytes);
+  }, { auth: "user", audit: { action: "document.download", type: "document" } });
+
+  router.add("GET", "/api/uploads/:id/key", ({ user, params }) => {
+    const u = getUpload(user, params.id);
+    if (!u.wrapped_key) throw new HttpError(404, "No key stored for this file");
+    return { key: vault.unwrapKey(u.wrapped_key, u.id).toString("base64"), iv: u.iv, name: u.name, type: u.type };
+  }, { auth: "user", audit: { action: "document.key", type: "document" } });
+
+  router.add("GET", "/api/uploads", () => (
+    db.prepare("SELECT * FROM uploads ORDER BY created_at DESC").all().map(toApi)
+  ), { auth: "staff", audit: { action: "document.list_all", type: "document" } });
+
+  router.add("PUT", "/api/uploads/:id/drive", ({ user, params, body }) => {
+    const u = getUpload(user, params.id);
+    if (body.fileId != null && !DRIVE_ID.test(String(body.fileId))) throw new HttpError(400, "Invalid Drive file id");
+    db.prepare("UPDATE uploads SET drive_file_id = ?, drive_copied_at = ? WHERE id = ?").run(body.fileId || null, body.fileId ? nowIso() : null, u.id);
+    return toApi(db.prepare("SELECT * FROM uploads WHERE id = ?").get(u.id));
+  }, { auth: "staff", audit: { action: "document.copy_drive", type: "document", details: ({ body }) => ({ fileId: body?.fileId || null }) } });
+
+  router.add("DELETE", "/api/uploads/:id", ({ user, params }) => {
+    const u = getUpload(user, params.id);
+    if (!isStaffUser(user) && u.uploaded_by !== user.id) throw new HttpError(403, "Forbidden");
+    if (db.prepare("SELECT 1 FROM retainers WHERE upload_id = ?").get(u.id)) {
+      throw new HttpError(409, isStaffUser(user)
+        ? "A signed retainer agreement cannot be deleted. Ask the client to sign a new version if it needs to change."
+        : "A signed retainer agreement cannot be deleted. Ask your consultant if it needs to change.");
+    }
+    db.prepare("DELETE FROM uploads WHERE id = ?").run(u.id);
+    vault.deleteBlob(u.id);
+    checklist.uploadRemoved(u.checklist_item_id);
+  }, { auth: "user", audit: { action: "document.delete", type: "document" } });
+}
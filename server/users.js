@@ -0,0 +1,25 @@
+/**
+ * User administration (admin only). Roles are assigned here, never by the
+ * user themselves. Staff can list their colleagues for case assignment.
+ */
+import { HttpError } from "./http.js";
+import { publicUser } from "./auth.js";
+
+export function registerUserRoutes(router, { db, auth }) {
+  router.add("GET", "/api/users", ({ query }) => {
+    const rows = query.role
+      ? db.prepare("SELECT * FROM users WHERE role = ? ORDER BY email").all(query.role)
+      : db.prepare("SELECT * FROM users ORDER BY email").all();
+    return rows.map(publicUser);
+  }, { auth: "admin", audit: { action: "user.list", type: "user" } });
+
+  router.add("GET", "/api/users/staff", () => (
+    db.prepare("SELECT id, name, email FROM users WHERE role IN ('staff', 'admin') ORDER BY name, email").all()
+  ), { auth: "staff" });
+
+  router.add("PATCH", "/api/users/:id", ({ params, body, user }) => {
+    if (body.role === undefined) throw new HttpError(400, "Nothing to update");
+    if (params.id === user.id && body.role !== "admin") throw new HttpError(400, "Admins cannot demote themselves.");
+    return publicUser(auth.setRole(params.id, body.role));
+  }, { auth: "admin", audit: { action: "user.role_change", type: "user", details: ({ body }) => ({ role: body?.role }) } });
+}
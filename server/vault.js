@@ -0,0 +1,65 @@
+/**
+ * Document vault: ciphertext blobs on disk + wrapped per-file keys.
+ * ---------------------------------------------------------------------------
+ * This is encryption at rest, not end-to-end encryption: the browser
+ * encrypts each file (AES-GCM, one random key per file) but sends the key
+ * along, and the server stores it wrapped with the master key (AES-256-GCM)
+ * and unwraps it for users the case access rules allow. A copy of the
+ * database plus the blob directory is unreadable without PW_MASTER_KEY, but
+ * the running server – and whoever operates it – can decrypt every document.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+function loadMasterKey(config) {
+  if (config.masterKey) {
+    const key = Buffer.from(config.masterKey, "base64");
+    if (key.length !== 32) throw new Error("PW_MASTER_KEY must be 32 bytes, base64 encoded");
+    return key;
+  }
+  // Local development: generate once and keep next to the database
+  if (fs.existsSync(config.masterKeyFile)) return Buffer.from(fs.readFileSync(config.masterKeyFile, "utf8").trim(), "base64");
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(config.masterKeyFile), { recursive: true });
+  fs.writeFileSync(config.masterKeyFile, key.toString("base64"), { mode: 0o600 });
+  console.warn(`Generated a development master key at ${config.masterKeyFile}; set PW_MASTER_KEY in production.`);
+  return key;
+}
+
+export function createVault(config) {
+  const master = loadMasterKey(config);
+  fs.mkdirSync(config.blobDir, { recursive: true });
+  const blobPath = (id) => {
+    if (!/^[\w-]+$/.test(id)) throw new Error("Invalid blob id");
+    return path.join(config.blobDir, `${id}.bin`);
+  };
+
+  return {
+    /** Wraps a raw file key; `aad` binds the wrapped key to its upload id. */
+    wrapKey(rawKey, aad) {
+      const iv = crypto.randomBytes(12);
+      const c = crypto.createCipheriv("aes-256-gcm", master, iv);
+      c.setAAD(Buffer.from(aad));
+      const ct = Buffer.concat([c.update(rawKey), c.final()]);
+      return Buffer.concat([iv, c.getAuthTag(), ct]).toString("base64");
+    },
+    unwrapKey(wrapped, aad) {
+      const buf = Buffer.from(wrapped, "base64");
+      const d = crypto.createDecipheriv("aes-256-gcm", master, buf.subarray(0, 12));
+      d.setAAD(Buffer.from(aad));
+      d.setAuthTag(buf.subarray(12, 28));
+      return Buffer.concat([d.update(buf.subarray(28)), d.final()]);
+    },
+    writeBlob(id, bytes) {
+      fs.writeFileSync(blobPath(id), bytes, { mode: 0o600 });
+      return crypto.createHash("sha256").update(bytes).digest("hex");
+    },
+    readBlob: (id) => fs.readFileSync(blobPath(id)),
+    deleteBlob(id) {
+      fs.rmSync(blobPath(id), { force: true });
+    },
+    /** A 32-byte key for another purpose (e.g. "audit-log"), derived from the master key with HKDF. */
+    deriveKey: (purpose) => Buffer.from(crypto.hkdfSync("sha256", master, Buffer.alloc(0), `peddlewest:${purpose}`, 32)),
+  };
+}
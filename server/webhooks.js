@@ -0,0 +1,88 @@
+/**
+ * Inbound webhooks from booking and payment providers.
+ * ---------------------------------------------------------------------------
+ * POST /api/webhooks/calendly takes Calendly's v2 webhook payloads
+ * (invitee.created, invitee.canceled; a reschedule is a cancel of the old
+ * invitee plus a create that names it in `old_invitee`). The signature in
+ * `Calendly-Webhook-Signature: t=<unix seconds>,v1=<hex>` is an HMAC-SHA256
+ * of "<t>.<raw body>" with the subscription's signing key
+ * (PW_CALENDLY_WEBHOOK_KEY); unsigned, stale or mismatched requests are
+ * refused before the body is parsed.
+ *
+ * POST /api/webhooks/payments confirms pending online payments; the
+ * configured payment provider (server/payments.js) checks the signature and
+ * reads the body, server/billing.js settles or fails the payment.
+ */
+import crypto from "node:crypto";
+import { HttpError, readBody } from "./http.js";
+
+const MAX_WEBHOOK_BYTES = 256 * 1024;
+
+/** Checks a Calendly signature header against the raw body; throws 401 when it does not match. */
+export function verifyCalendlySignature(header, raw, key, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.trim().split("=")));
+  const t = Number(parts.t);
+  if (!t || !parts.v1) throw new HttpError(401, "Missing webhook signature");
+  if (Math.abs(now / 1000 - t) > toleranceSec) throw new HttpError(401, "Webhook signature has expired");
+  const expected = crypto.createHmac("sha256", key).update(`${parts.t}.`).update(raw).digest();
+  const given = Buffer.from(parts.v1, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new HttpError(401, "Invalid webhook signature");
+}
+
+const isoOrNull = (v) => {
+  const d = new Date(v);
+  return v && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+};
+
+/** Calendly webhook body → the provider-neutral event booking.ingest() expects. */
+export function calendlyEvent(body) {
+  const kind = { "invitee.created": "created", "invitee.canceled": "canceled" }[body?.event];
+  if (!kind) return null;
+  const p = body.payload || {};
+  const evt = p.scheduled_event || {};
+  const out = {
+    provider: "calendly",
+    kind,
+    externalId: p.uri,
+    previousExternalId: p.old_invitee || null,
+    email: String(p.email || "").trim().toLowerCase(),
+    name: String(p.name || "").slice(0, 200),
+    start: isoOrNull(evt.start_time),
+    end: isoOrNull(evt.end_time),
+    typeName: String(evt.name || "Consultation").slice(0, 200),
+    timeZone: p.timezone || null,
+    cancelUrl: p.cancel_url || null,
+    rescheduleUrl: p.reschedule_url || null,
+    rescheduled: Boolean(p.rescheduled),
+    reason: p.cancellation?.reason ? String(p.cancellation.reason).slice(0, 500) : null,
+  };
+  if (!out.externalId) throw new HttpError(400, "payload.uri is required");
+  if (kind === "created" && (!out.email || !out.start || !out.end)) throw new HttpError(400, "Invitee email and event times are required");
+  return out;
+}
+
+export function registerWebhookRoutes(router, { booking, billing, config }) {
+  router.add("POST", "/api/webhooks/calendly", async ({ req }) => {
+    const key = config.booking.calendlyWebhookKey;
+    if (!key) throw new HttpError(503, "Calendly webhooks are not configured");
+    const raw = await readBody(req, MAX_WEBHOOK_BYTES);
+    verifyCalendlySignature(req.headers["calendly-webhook-signature"], raw, key);
+    let body;
+    try {
+      body = JSON.parse(raw.toString("utf8"));
+    } catch {
+      throw new HttpError(400, "Malformed JSON body");
+    }
+    const evt = calendlyEvent(body);
+    // Other subscriptions (e.g. routing forms) are acknowledged and ignored
+    return evt ? booking.ingest(evt) : { event: "ignored" };
+  }, {
+    raw: true,
+    audit: { action: "appointment.webhook", type: "appointment", actor: () => "system", id: (ctx, out) => out?.id, details: (ctx, out) => out },
+  });
+
+  router.add("POST", "/api/webhooks/payments", async ({ req }) => billing.confirm(req, await readBody(req, MAX_WEBHOOK_BYTES)), {
+    raw: true,
+    audit: { action: "payment.webhook", type: "payment", actor: () => "system", id: (ctx, out) => out?.id, details: (ctx, out) => out },
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * Minimal XLSX (Office Open XML) writer for staff exports.
+ * ---------------------------------------------------------------------------
+ * Typed cells (inline strings, numbers, dates as serials with a date format),
+ * a bold frozen header row and column widths sized to the content. Nothing
+ * else – no formulas, shared strings or themes – which keeps it small enough
+ * to live next to zip.js instead of pulling a spreadsheet library into the
+ * server.
+ */
+import { createZip } from "./zip.js";
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_OFFSET = 25569; // days from 1899-12-30 to 1970-01-01
+
+// cellXfs indexes in styles.xml
+const STYLE = { header: 1, date: 2, dateTime: 3 };
+
+const escapeXml = (s) => String(s)
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const columnName = (i) => {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+// Sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+const sheetNames = (sheets) => {
+  const used = new Set();
+  return sheets.map(({ name }) => {
+    const base = String(name || "Sheet").replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i += 1) candidate = `${base.slice(0, 28)} (${i})`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+function cellXml(ref, v, header) {
+  if (v == null) return "";
+  if (header) return `<c r="${ref}" t="inlineStr" s="${STYLE.header}"><is><t>${escapeXml(v)}</t></is></c>`;
+  if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+  if (v instanceof Date) {
+    const serial = v.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+    return `<c r="${ref}" s="${Number.isInteger(serial) ? STYLE.date : STYLE.dateTime}"><v>${serial}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`;
+}
+
+const displayLength = (v) => (v == null ? 0 : v instanceof Date ? 16 : String(v).length);
+
+function sheetXml({ columns, rows }) {
+  const widths = columns.map((label, i) => Math.min(60, Math.max(8, displayLength(label) + 2, ...rows.slice(0, 500).map((r) => displayLength(r[i]) + 1))));
+  const rowXml = (values, r, header) => `<row r="${r}">${values.map((v, i) => cellXml(`${columnName(i)}${r}`, v, header)).join("")}</row>`;
+  return XML_HEAD
+    + `<worksheet xmlns="${MAIN_NS}">`
+    + "<sheetViews><sheetView workbookViewId=\"0\"><pane ySplit=\"1\" topLeftCell=\"A2\" activePane=\"bottomLeft\" state=\"frozen\"/></sheetView></sheetViews>"
+    + "<sheetFormatPr defaultRowHeight=\"15\"/>"
+    + `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>`
+    + `<sheetData>${rowXml(columns, 1, true)}${rows.map((r, i) => rowXml(r, i + 2, false)).join("")}</sheetData>`
+    + "</worksheet>";
+}
+
+const STYLES_XML = XML_HEAD
+  + `<styleSheet xmlns="${MAIN_NS}">`
+  + "<numFmts count=\"2\"><numFmt numFmtId=\"164\" formatCode=\"yyyy-mm-dd\"/><numFmt numFmtId=\"165\" formatCode=\"yyyy-mm-dd hh:mm\"/></numFmts>"
+  + "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Calibri\"/></font><font><b/><sz val=\"11\"/><name val=\"Calibri\"/></font></fonts>"
+  + "<fills count=\"2\"><fill><patternFill patternType=\"none\"/></fill><fill><patternFill patternType=\"gray125\"/></fill></fills>"
+  + "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>"
+  + "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>"
+  + "<cellXfs count=\"4\">"
+  + "<xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>"
+  + "<xf numFmtId=\"0\" fontId=\"1\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyFont=\"1\"/>"
+  + "<xf numFmtId=\"164\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>"
+  + "<xf numFmtId=\"165\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyNumberFormat=\"1\"/>"
+  + "</cellXfs>"
+  + "<cellStyles count=\"1\"><cellStyle name=\"Normal\" xfId=\"0\" builtinId=\"0\"/></cellStyles>"
+  + "</styleSheet>";
+
+/**
+ * sheets: [{ name, columns: [header label], rows: [[string | number | Date | null]] }]
+ * → Buffer holding an .xlsx workbook.
+ */
+export function createXlsx(sheets, date = new Date()) {
+  const names = sheetNames(sheets);
+  const ct = "application/vnd.openxmlformats-officedocument.spreadsheetml";
+  const contentTypes = XML_HEAD
+    + "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">"
+    + "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>"
+    + "<Default Extension=\"xml\" ContentType=\"application/xml\"/>"
+    + `<Override PartName="/xl/workbook.xml" ContentType="${ct}.sheet.main+xml"/>`
+    + `<Override PartName="/xl/styles.xml" ContentType="${ct}.styles+xml"/>`
+    + sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${ct}.worksheet+xml"/>`).join("")
+    + "</Types>";
+  const rootRels = XML_HEAD
+    + `<Relationships xmlns="${PKG_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+  const workbook = XML_HEAD
+    + `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>`
+    + names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")
+    + "</sheets></workbook>";
+  const workbookRels = XML_HEAD
+    + `<Relationships xmlns="${PKG_REL_NS}">`
+    + sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+    + `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>`
+    + "</Relationships>";
+
+  return createZip([
+    { name: "[Content_Types].xml", data: contentTypes },
+    { name: "_rels/.rels", data: rootRels },
+    { name: "xl/workbook.xml", data: workbook },
+    { name: "xl/_rels/workbook.xml.rels", data: workbookRels },
+    { name: "xl/styles.xml", data: STYLES_XML },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s) })),
+  ], date);
+}
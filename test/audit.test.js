@@ -0,0 +1,82 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { openDb } from "../server/db.js";
+import { createAuditLog, GENESIS_HASH } from "../server/audit.js";
+import { startServer } from "./helpers/server.js";
+
+const key = Buffer.alloc(32, 1);
+const staffUser = { id: "u1", email: "staff@example.com", role: "staff" };
+
+function freshLog() {
+  const db = openDb(":memory:");
+  const log = createAuditLog({ db, key });
+  for (const action of ["case.view", "case.update", "upload.download"]) log.record({ actor: staffUser, action, targetType: "case", targetId: "c1" });
+  return { db, log };
+}
+
+test("audit log: each entry chains to the one before it, and verify walks the chain", () => {
+  const { db, log } = freshLog();
+  const rows = db.prepare("SELECT seq, prev_hash, hash FROM audit_log ORDER BY seq").all();
+  assert.deepEqual(rows.map((r) => r.seq), [1, 2, 3]);
+  assert.equal(rows[0].prev_hash, GENESIS_HASH);
+  assert.equal(rows[1].prev_hash, rows[0].hash);
+  assert.equal(rows[2].prev_hash, rows[1].hash);
+  assert.deepEqual(log.verify(), { ok: true, count: 3, brokenAt: null, head: rows[2].hash });
+  db.close();
+});
+
+test("audit log: rows cannot be changed or deleted", () => {
+  const { db } = freshLog();
+  assert.throws(() => db.prepare("UPDATE audit_log SET action = 'x' WHERE seq = 2").run(), /append-only/);
+  assert.throws(() => db.prepare("DELETE FROM audit_log WHERE seq = 3").run(), /append-only/);
+  db.close();
+});
+
+test("audit log: verify finds an edited or removed entry once the triggers are bypassed", () => {
+  const edited = freshLog();
+  edited.db.exec("DROP TRIGGER audit_log_no_update");
+  edited.db.prepare("UPDATE audit_log SET target_id = 'c2' WHERE seq = 2").run();
+  assert.deepEqual(edited.log.verify(), { ok: false, count: 1, brokenAt: 2 });
+  edited.db.close();
+
+  const removed = freshLog();
+  removed.db.exec("DROP TRIGGER audit_log_no_delete");
+  removed.db.prepare("DELETE FROM audit_log WHERE seq = 2").run();
+  assert.equal(removed.log.verify().brokenAt, 2);
+  removed.db.close();
+});
+
+test("audit log: a chain rebuilt without the key does not verify", () => {
+  const { db } = freshLog();
+  assert.equal(createAuditLog({ db, key: Buffer.alloc(32, 2) }).verify().brokenAt, 1);
+  db.close();
+});
+
+let srv;
+let staff;
+before(async () => {
+  srv = await startServer();
+  staff = await srv.signIn("staff@example.com", "staff");
+});
+after(() => srv.stop());
+
+const lastEvent = (action) => srv.app.audit.query({ action }).items[0];
+
+test("POST /api/audit/events: keeps only the known detail keys for the action", async () => {
+  const res = await srv.call("POST", "/api/audit/events", {
+    action: "assessments.export",
+    targetId: "anything",
+    details: { destination: "google_drive", format: "xlsx", sheets: ["assessments", "assessments", "nope"], appended: -1, email: "ana@example.com", blob: "x".repeat(50000) },
+  }, staff);
+  assert.equal(res.status, 204);
+  const e = lastEvent("assessments.export");
+  assert.deepEqual(e.details, { destination: "google_drive", format: "xlsx", sheets: ["assessments"] });
+  assert.equal(e.targetId, null);
+  assert.equal(e.actor, "staff@example.com");
+});
+
+test("POST /api/audit/events: other actions and client accounts are refused", async () => {
+  assert.equal((await srv.call("POST", "/api/audit/events", { action: "case.erase" }, staff)).status, 400);
+  const client = await srv.signIn("client@example.com");
+  assert.equal((await srv.call("POST", "/api/audit/events", { action: "assessments.export" }, client)).status, 403);
+});
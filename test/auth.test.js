@@ -0,0 +1,43 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(() => srv.stop());
+
+const codeIn = (mail) => mail.text.match(/\b(\d{6})\b/)[1];
+
+test("register: a taken address gets the same answer, and its owner is emailed instead", async () => {
+  const owner = await srv.signIn("owner@example.com");
+  const fresh = await srv.call("POST", "/api/auth/register", { email: "new@example.com", name: "New", password: "new-password-1" });
+  const taken = await srv.call("POST", "/api/auth/register", { email: "Owner@example.com", name: "Mallory", password: "attacker-pass-1" });
+  assert.deepEqual([taken.status, taken.body], [fresh.status, fresh.body]);
+  assert.equal(fresh.status, 202);
+
+  const toOwner = srv.mails.findLast((m) => m.to === "owner@example.com");
+  assert.match(toOwner.text, /already have one/);
+  // The owner's account and password are untouched
+  assert.equal(srv.app.auth.findUserByEmail("owner@example.com").name, "owner");
+  assert.equal((await srv.call("POST", "/api/auth/login", { email: "owner@example.com", password: "attacker-pass-1" })).status, 401);
+  assert.equal((await srv.call("GET", "/api/auth/me", undefined, owner)).status, 200);
+});
+
+test("register: the password works only after the emailed code is entered", async () => {
+  const creds = { email: "ana@example.com", password: "ana-password-1" };
+  await srv.call("POST", "/api/auth/register", { ...creds, name: "Ana" });
+  assert.equal((await srv.call("POST", "/api/auth/login", creds)).status, 401);
+
+  const code = codeIn(srv.mails.findLast((m) => m.to === creds.email));
+  const verified = await srv.call("POST", "/api/auth/email/verify", { email: creds.email, code, password: creds.password });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.user.name, "Ana");
+  assert.equal((await srv.call("POST", "/api/auth/login", creds)).status, 200);
+});
+
+test("register: a short password is refused before anything is sent", async () => {
+  const sent = srv.mails.length;
+  const res = await srv.call("POST", "/api/auth/register", { email: "short@example.com", password: "short" });
+  assert.equal(res.status, 400);
+  assert.equal(srv.mails.length, sent);
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { invoiceBalance, invoiceTotals, toCents } from "../lib/billing.js";
+import { startServer } from "./helpers/server.js";
+
+const lines = [
+  { description: "Application", category: "professional", quantity: 1, unitAmount: 100000 },
+  { description: "Work permit fee", category: "government", quantity: 1, unitAmount: 15500 },
+];
+
+test("invoiceTotals: government fees are not taxed", () => {
+  const t = invoiceTotals(lines, "BC");
+  assert.equal(t.subtotal, 115500);
+  assert.equal(t.taxable, 100000);
+  assert.deepEqual(t.taxes.map((x) => [x.code, x.amount]), [["GST", 5000]]);
+  assert.equal(t.total, 120500);
+  assert.deepEqual(t.lines.map((l) => l.amount), [100000, 15500]);
+});
+
+test("invoiceTotals: HST, GST + QST and zero-rated regions", () => {
+  assert.equal(invoiceTotals(lines, "ON").tax, 13000);
+  assert.deepEqual(invoiceTotals(lines, "QC").taxes.map((x) => [x.code, x.amount]), [["GST", 5000], ["QST", 9975]]);
+  assert.equal(invoiceTotals(lines, "OUT").tax, 0);
+});
+
+test("invoiceTotals: each tax is rounded once to the cent", () => {
+  const t = invoiceTotals([{ description: "Courier", category: "disbursement", quantity: 3, unitAmount: 111 }], "BC");
+  assert.equal(t.subtotal, 333);
+  assert.equal(t.tax, 17);
+  assert.equal(t.total, 350);
+});
+
+test("toCents / invoiceBalance", () => {
+  assert.equal(toCents("1,234.50"), 123450);
+  assert.ok(Number.isNaN(toCents("12.345")));
+  const invoice = { status: "open", total: 120500, payments: [{ status: "succeeded", amount: 20500 }, { status: "failed", amount: 100000 }] };
+  assert.equal(invoiceBalance(invoice), 100000);
+  assert.equal(invoiceBalance({ ...invoice, status: "void" }), 0);
+});
+
+const KEY = "payment-webhook-key";
+let srv;
+let staff;
+before(async () => {
+  srv = await startServer({ PW_PAYMENT_PROVIDER: "fake", PW_PAYMENT_WEBHOOK_KEY: KEY });
+  staff = await srv.signIn("staff@example.com", "staff");
+});
+after(() => srv.stop());
+
+/** A signed-in client with an untaxed invoice of $1,000.00 on their case; resolves to { token, user, caseId, invoice }. */
+async function invoiced(email) {
+  const token = await srv.signIn(email);
+  const user = srv.app.auth.findUserByEmail(email);
+  const caseId = srv.app.cases.currentFor(user).id;
+  const res = await srv.call("POST", `/api/cases/${caseId}/invoices`, { region: "OUT", lines: [{ ...lines[0] }] }, staff);
+  assert.equal(res.status, 201);
+  return { token, user, caseId, invoice: res.body };
+}
+
+const checkout = (c, body) => srv.call("POST", `/api/invoices/${c.invoice.id}/checkout`, body, c.token);
+const webhook = (body, key = KEY) => {
+  const raw = JSON.stringify(body);
+  return srv.call("POST", "/api/webhooks/payments", raw, null, { "X-Payment-Signature": crypto.createHmac("sha256", key).update(raw).digest("hex") });
+};
+
+test("checkout: a settled payment gets a receipt and closes the invoice; a repeated request is not charged twice", async () => {
+  const c = await invoiced("ana@example.com");
+  const res = await checkout(c, { clientRef: "pay-1" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.payment.status, "succeeded");
+  assert.equal(res.body.payment.amount, 100000);
+  assert.match(res.body.payment.receiptNumber, /^RCT-\d{4}-\d{4}$/);
+  assert.equal(res.body.invoice.status, "paid");
+  assert.equal(res.body.invoice.balance, 0);
+
+  const again = await checkout(c, { clientRef: "pay-1" });
+  assert.equal(again.body.payment.id, res.body.payment.id);
+  assert.equal(srv.app.db.prepare("SELECT COUNT(*) AS n FROM payments WHERE invoice_id = ?").get(c.invoice.id).n, 1);
+  assert.equal((await checkout(c, {})).status, 409);
+});
+
+test("checkout: a pending payment settles once, on a webhook signed with the payment key", async () => {
+  const c = await invoiced("bo@example.com");
+  const started = await checkout(c, { amount: 40000, testOutcome: "pending" });
+  assert.equal(started.body.payment.status, "pending");
+  assert.equal(started.body.invoice.balance, 100000);
+  const { provider_ref: reference } = srv.app.db.prepare("SELECT provider_ref FROM payments WHERE id = ?").get(started.body.payment.id);
+  // The pending amount cannot be paid again while the provider holds it
+  assert.equal((await checkout(c, { amount: 60001 })).status, 400);
+
+  assert.equal((await webhook({ reference, status: "succeeded" }, "other-key")).status, 401);
+  assert.equal((await webhook({ reference: "fake_unknown", status: "succeeded" })).status, 404);
+  const confirmed = await webhook({ reference, status: "succeeded" });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.status, "succeeded");
+  assert.equal((await webhook({ reference, status: "succeeded" })).status, 200);
+
+  const [invoice] = (await srv.call("GET", `/api/cases/${c.caseId}/invoices`, undefined, c.token)).body;
+  assert.equal(invoice.status, "open");
+  assert.equal(invoice.balance, 60000);
+  assert.equal(invoice.payments.filter((p) => p.receiptNumber).length, 1);
+});
+
+test("erase: invoices and payments are kept without the case, with the client as billed", async () => {
+  const c = await invoiced("cy@example.com");
+  await checkout(c, { amount: 25000 });
+  const admin = await srv.signIn("admin@example.com", "admin");
+  const erased = await srv.call("POST", `/api/cases/${c.caseId}/erase`, { confirm: c.user.email, reason: "Client request", deleteAccount: true }, admin);
+  assert.equal(erased.status, 200);
+  const invoice = srv.app.db.prepare("SELECT * FROM invoices WHERE id = ?").get(c.invoice.id);
+  assert.equal(invoice.case_id, null);
+  assert.equal(invoice.client_email, "cy@example.com");
+  const payment = srv.app.db.prepare("SELECT * FROM payments WHERE invoice_id = ?").get(c.invoice.id);
+  assert.equal(payment.case_id, null);
+  assert.equal(payment.amount, 25000);
+});
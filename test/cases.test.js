@@ -0,0 +1,49 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+let srv;
+let staff;
+before(async () => {
+  srv = await startServer();
+  staff = await srv.signIn("staff@example.com", "staff");
+  for (const [name, email] of [["Ana 100% Silva", "ana@example.com"], ["Ana 1000 Silva", "ana2@example.com"],
+    ["Bo_Lee", "bo@example.com"], ["Bob Lee", "bob@example.com"], ["C\\D", "cd@example.com"]]) {
+    srv.app.cases.create({ email, name });
+  }
+});
+after(() => srv.stop());
+
+const names = async (q) => {
+  const res = await srv.call("GET", `/api/cases/search?q=${encodeURIComponent(q)}`, undefined, staff);
+  assert.equal(res.status, 200);
+  return res.body.items.map((c) => c.name).sort();
+};
+
+test("search: %, _ and \\ in the text match themselves, not wildcards", async () => {
+  assert.deepEqual(await names("100%"), ["Ana 100% Silva"]);
+  assert.deepEqual(await names("o_L"), ["Bo_Lee"]);
+  assert.deepEqual(await names("C\\D"), ["C\\D"]);
+  assert.deepEqual(await names("%"), ["Ana 100% Silva"]);
+});
+
+test("search: plain text still matches name or email anywhere", async () => {
+  assert.deepEqual(await names("lee"), ["Bo_Lee", "Bob Lee"]);
+  assert.deepEqual(await names("ana2@"), ["Ana 1000 Silva"]);
+});
+
+test("search: clients cannot search", async () => {
+  const client = await srv.signIn("client@example.com");
+  assert.equal((await srv.call("GET", "/api/cases/search?q=a", undefined, client)).status, 403);
+});
+
+test("events: staff notes reach the client only when shared", async () => {
+  const client = await srv.signIn("dee@example.com");
+  const c = srv.app.cases.currentFor(srv.app.auth.findUserByEmail("dee@example.com"));
+  const staffUser = srv.app.auth.findUserByEmail("staff@example.com");
+  srv.app.cases.transition(staffUser, c.id, "Assessment Complete", { note: "Low CRS, call first" });
+  srv.app.cases.transition(staffUser, c.id, "Retained", { note: "Welcome aboard", shareNote: true });
+  const notes = async (token) => (await srv.call("GET", `/api/cases/${c.id}/events`, undefined, token)).body.map((e) => e.note);
+  assert.deepEqual(await notes(staff), ["Low CRS, call first", "Welcome aboard"]);
+  assert.deepEqual(await notes(client), ["", "Welcome aboard"]);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CRS_CURRENT_VERSION, profileFromAssessment, scoreAssessment, scoreCrs } from "../lib/crs.js";
+
+const same = (clb) => ({ listening: clb, reading: clb, writing: clb, speaking: clb });
+const single = { age: 29, education: "master", firstLanguage: same(9), canadianWorkYears: 0, foreignWorkYears: 3, spouse: null, additional: {} };
+
+test("scoreCrs: single applicant, core and skill transferability", () => {
+  const s = scoreCrs(single);
+  assert.equal(s.version, CRS_CURRENT_VERSION);
+  // Age 110 + master's 135 + CLB 9 (4 × 31)
+  assert.equal(s.core, 369);
+  assert.equal(s.spouse, 0);
+  // Education + CLB 9 (50), three years of foreign work + CLB 9 (50)
+  assert.equal(s.transferability, 100);
+  assert.equal(s.total, 469);
+});
+
+test("scoreCrs: an accompanying partner lowers core points and adds spouse factors", () => {
+  const s = scoreCrs({ ...single, spouse: { accompanying: true, education: "bachelor", language: same(9), canadianWorkYears: 1 } });
+  // Age 100 + master's 126 + CLB 9 (4 × 29)
+  assert.equal(s.core, 342);
+  // Bachelor's 8 + CLB 9 (4 × 5) + one year in Canada 5
+  assert.equal(s.spouse, 33);
+  assert.equal(s.total, 475);
+});
+
+test("scoreCrs: second official language and French additional points", () => {
+  const s = scoreCrs({ ...single, foreignWorkYears: 0, secondLanguage: same(7), additional: { frenchClb: same(7), englishClb: same(5) } });
+  assert.equal(s.core, 369 + 12);
+  assert.equal(s.additional, 50);
+  assert.ok(s.details.some((d) => d.group === "additional" && d.label === "French language ability"));
+});
+
+test("scoreCrs: refuses an unknown rule version", () => {
+  assert.throws(() => scoreCrs(single, "1999-01"), /Unknown CRS rule version/);
+});
+
+test("scoreAssessment: scores form answers through profileFromAssessment", () => {
+  const data = {
+    basics: { age: "29", education: "Master", marital: "Single" },
+    language: { first: { test: "ielts", date: "2026-01-01", listening: "8", reading: "7", writing: "7", speaking: "7" } },
+    work: [],
+  };
+  assert.deepEqual(profileFromAssessment(data).firstLanguage, same(9));
+  assert.equal(scoreAssessment(data).total, scoreCrs(profileFromAssessment(data)).total);
+  assert.equal(scoreAssessment(data).core, 369);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { startServer } from "./helpers/server.js";
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(() => srv.stop());
+
+const create = (token, body) => srv.call("POST", "/api/drafts", body, token);
+
+/** A stored submission on the client's case, to amend. */
+function submission(email, data) {
+  const user = srv.app.auth.findUserByEmail(email);
+  const id = crypto.randomUUID();
+  srv.app.db.prepare("INSERT INTO assessments (id, case_id, data, row, submitted_by, created_at) VALUES (?, ?, ?, '{}', ?, ?)")
+    .run(id, srv.app.cases.currentFor(user).id, JSON.stringify(data), user.id, new Date().toISOString());
+  return id;
+}
+
+test("save: a stale version is refused with the current draft", async () => {
+  const token = await srv.signIn("ana@example.com");
+  const d = (await create(token, { data: { step: 1 } })).body;
+  const first = await srv.call("PUT", `/api/drafts/${d.id}`, { data: { step: 2 }, version: d.version }, token);
+  assert.equal(first.status, 200);
+  const stale = await srv.call("PUT", `/api/drafts/${d.id}`, { data: { step: 3 }, version: d.version }, token);
+  assert.equal(stale.status, 409);
+  assert.deepEqual(stale.body.details.draft.data, { step: 2 });
+  assert.equal(stale.body.details.draft.version, first.body.version);
+});
+
+test("create: an account's saved draft is returned with 409, not replaced", async () => {
+  const token = await srv.signIn("bo@example.com");
+  const mine = (await create(token, { data: { from: "laptop" } })).body;
+  const res = await create(token, { data: { from: "phone" } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.details.draft.id, mine.id);
+  const current = await srv.call("GET", "/api/drafts/current", undefined, token);
+  assert.deepEqual(current.body.data, { from: "laptop" });
+});
+
+test("create: amending replaces the draft only at the version the client saw", async () => {
+  const token = await srv.signIn("cy@example.com");
+  const assessmentId = submission("cy@example.com", { contact: { firstName: "Cy" } });
+  const mine = (await create(token, { data: { unsent: true } })).body;
+  assert.equal((await create(token, { fromAssessmentId: assessmentId })).status, 409);
+
+  const moved = (await srv.call("PUT", `/api/drafts/${mine.id}`, { data: { unsent: "edited" }, version: mine.version }, token)).body;
+  const stale = await create(token, { fromAssessmentId: assessmentId, replaces: { id: mine.id, version: mine.version } });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.details.draft.version, moved.version);
+
+  const amended = await create(token, { fromAssessmentId: assessmentId, replaces: { id: moved.id, version: moved.version } });
+  assert.equal(amended.status, 201);
+  assert.deepEqual(amended.body.data, { contact: { firstName: "Cy" } });
+  assert.equal((await srv.call("GET", `/api/drafts/${mine.id}`, undefined, token)).status, 404);
+});
@@ -0,0 +1,49 @@
+/**
+ * Starts the API on an in-memory database and a throwaway blob directory for
+ * server tests (node:sqlite, so Node 22). Mail is captured in `mails`.
+ */
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../../server/config.js";
+import { createApp } from "../../server/app.js";
+
+export async function startServer(env = {}) {
+  const blobDir = fs.mkdtempSync(path.join(os.tmpdir(), "pw-test-"));
+  const mails = [];
+  const sms = [];
+  const app = createApp(
+    { ...loadConfig(env), dbPath: ":memory:", blobDir, masterKey: Buffer.alloc(32, 7).toString("base64") },
+    { mailer: { send: async (m) => { mails.push(m); } }, sms: { send: async (m) => { sms.push(m); } } },
+  );
+  await new Promise((resolve) => app.server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${app.server.address().port}`;
+
+  async function call(method, url, body, token, headers = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = text ? JSON.parse(text) : null; } catch { json = text; }
+    return { status: res.status, body: json };
+  }
+
+  /** A verified account, signed in with a password; resolves to its bearer token. */
+  async function signIn(email, role = "client", password = "correct-horse") {
+    if (!app.auth.findUserByEmail(email)) app.auth.createUser({ email, password, role, verified: true });
+    const res = await call("POST", "/api/auth/login", { email, password });
+    return res.body.token;
+  }
+
+  async function stop() {
+    app.server.closeAllConnections();
+    await new Promise((resolve) => app.server.close(resolve));
+    app.db.close();
+    fs.rmSync(blobDir, { recursive: true, force: true });
+  }
+
+  return { app, call, signIn, mails, sms, stop };
+}
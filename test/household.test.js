@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { emptyDependant, householdMembers, spouseAccompanying } from "../lib/household.js";
+import { buildChecklist } from "../lib/checklist.js";
+
+const ann = { ...emptyDependant(), id: "ann", firstName: "Ann" };
+const bob = { ...emptyDependant(), id: "bob", firstName: "Bob", lastName: "Lee" };
+
+test("householdMembers: principal only for a single applicant", () => {
+  assert.deepEqual(householdMembers({ contact: { firstName: "Ana", lastName: "Silva" }, basics: { marital: "Single" } }),
+    [{ id: "principal", role: "principal", name: "Ana Silva" }]);
+});
+
+test("householdMembers: partner and children, keyed by the child's id", () => {
+  const members = householdMembers({ basics: { marital: "Common‑law" }, spouse: { firstName: "Sam" }, dependants: [bob, ann] });
+  assert.deepEqual(members.map((m) => [m.id, m.role, m.name]), [
+    ["principal", "principal", ""],
+    ["spouse", "spouse", "Sam"],
+    ["dependant_bob", "dependant", "Bob Lee"],
+    ["dependant_ann", "dependant", "Ann"],
+  ]);
+});
+
+test("householdMembers: children saved without an id keep their list position", () => {
+  assert.deepEqual(householdMembers({ dependants: [{ firstName: "X" }, { firstName: "Y" }] }).slice(1).map((m) => m.id), ["dependant_0", "dependant_1"]);
+});
+
+test("emptyDependant: every new child gets its own id", () => {
+  assert.notEqual(emptyDependant().id, emptyDependant().id);
+});
+
+test("spouseAccompanying: not for a partner who stays behind or is Canadian", () => {
+  assert.equal(spouseAccompanying({ basics: { marital: "Married" }, spouse: { accompanying: "Yes" } }), true);
+  assert.equal(spouseAccompanying({ basics: { marital: "Married" }, spouse: { accompanying: "No" } }), false);
+  assert.equal(spouseAccompanying({ basics: { marital: "Married" }, spouse: { canadian: true } }), false);
+});
+
+test("buildChecklist: children's items follow them when the list is reordered", () => {
+  const items = (dependants) => buildChecklist({ interest: { program: "Express Entry" }, dependants })
+    .filter((i) => i.person !== "principal").map((i) => `${i.key} ${i.person}`).sort();
+  assert.deepEqual(items([ann, bob]), items([bob, ann]));
+  assert.ok(items([ann]).includes("dependant_passport_ann dependant_ann"));
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isExpired, resultExpiry, resultToClb, scoreProblem, toClb } from "../lib/languageTests.js";
+
+test("toClb: IELTS bands by ability", () => {
+  assert.equal(toClb("ielts", "listening", 8.5), 10);
+  assert.equal(toClb("ielts", "listening", 8), 9);
+  assert.equal(toClb("ielts", "reading", 6.5), 8);
+  assert.equal(toClb("ielts", "writing", "7"), 9);
+  assert.equal(toClb("ielts", "listening", 4), 0);
+});
+
+test("toClb: other tests, unknown tests and blanks", () => {
+  assert.equal(toClb("celpip", "speaking", 9), 9);
+  assert.equal(toClb("celpip", "speaking", 12), 10);
+  assert.equal(toClb("nope", "speaking", 9), 0);
+  assert.equal(toClb("ielts", "speaking", ""), 0);
+});
+
+test("resultToClb: levels for every ability, all 0 without a test", () => {
+  assert.deepEqual(resultToClb({ test: "ielts", listening: "8", reading: "7", writing: "7", speaking: "7" }),
+    { listening: 9, reading: 9, writing: 9, speaking: 9 });
+  assert.deepEqual(resultToClb({}), { listening: 0, reading: 0, writing: 0, speaking: 0 });
+});
+
+test("scoreProblem: range and step per test", () => {
+  assert.equal(scoreProblem("ielts", "reading", "7.5"), null);
+  assert.equal(scoreProblem("ielts", "reading", "7.3").step, 0.5);
+  assert.equal(scoreProblem("celpip", "reading", "13").max, 12);
+});
+
+test("resultExpiry / isExpired: results are valid for two years", () => {
+  assert.equal(resultExpiry({ date: "2025-03-01" }), "2027-03-01");
+  assert.equal(isExpired({ date: "2025-03-01" }, "2027-03-01"), false);
+  assert.equal(isExpired({ date: "2025-03-01" }, "2027-03-02"), true);
+  assert.equal(isExpired({}, "2027-03-02"), false);
+});
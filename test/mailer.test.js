@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { createSmtpMailer } from "../server/mailer.js";
+
+/** A TCP server that runs `onConnection` per client; resolves to { port, sockets, close }. */
+async function fakeServer(onConnection = () => {}) {
+  const sockets = [];
+  const server = net.createServer((s) => { sockets.push(s); s.on("error", () => {}).resume(); onConnection(s); });
+  await new Promise((resolve) => server.listen(0, "localhost", resolve));
+  return {
+    port: server.address().port,
+    sockets,
+    close: () => { sockets.forEach((s) => s.destroy()); return new Promise((resolve) => server.close(resolve)); },
+  };
+}
+
+const message = { to: "ana@example.com", subject: "Hi", text: "Hello" };
+
+test("smtp mailer: a TLS handshake that never completes times out", async () => {
+  const srv = await fakeServer();
+  try {
+    const mailer = createSmtpMailer({ smtpUrl: `smtps://localhost:${srv.port}`, from: "portal@example.com" }, { timeoutMs: 200 });
+    await assert.rejects(mailer.send(message), /timed out/);
+    // The client hung up rather than leaving the connection open
+    const [peer] = srv.sockets;
+    if (!peer.closed) await new Promise((resolve) => peer.once("close", resolve));
+  } finally {
+    await srv.close();
+  }
+});
+
+test("smtp mailer: a STARTTLS upgrade that stalls times out", async () => {
+  const srv = await fakeServer((s) => {
+    s.write("220 fake ESMTP\r\n");
+    s.on("data", (d) => {
+      if (/^EHLO/.test(String(d))) s.write("250-fake\r\n250 STARTTLS\r\n");
+      else if (/^STARTTLS/.test(String(d))) s.write("220 go ahead\r\n");
+    });
+  });
+  try {
+    const mailer = createSmtpMailer({ smtpUrl: `smtp://localhost:${srv.port}`, from: "portal@example.com" }, { timeoutMs: 200 });
+    await assert.rejects(mailer.send(message), /timed out/);
+  } finally {
+    await srv.close();
+  }
+});
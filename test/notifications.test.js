@@ -0,0 +1,54 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { defaultPreferences, mergePreferences, renderNotification } from "../lib/notifications.js";
+import { startServer } from "./helpers/server.js";
+
+const vars = { appUrl: "https://portal.example", name: "Ana" };
+
+test("renderNotification: English by default, and for an unsupported locale", () => {
+  const en = renderNotification("payment_received", { ...vars, number: "INV-1", receipt: "R-1", amount: 123450, balance: 0 });
+  assert.equal(en.subject, "Receipt R-1: payment of $1,234.50 received");
+  assert.match(en.text, /^Hi Ana,\n\n.*paid in full\./);
+  assert.match(en.text, /Choose which notifications you receive: https:\/\/portal\.example\/#dashboard$/);
+  assert.deepEqual(renderNotification("payment_received", { ...vars, number: "INV-1", receipt: "R-1", amount: 123450, balance: 0 }, "xx"), en);
+});
+
+test("renderNotification: catalogue text, statuses, amounts and dates in the client's language", () => {
+  const status = renderNotification("status_changed", { ...vars, status: "Decision", outcome: "Approved" }, "fr");
+  assert.equal(status.subject, "Votre dossier est maintenant : Décision – Approuvée");
+  assert.match(status.text, /^Bonjour Ana,/);
+  const invoice = renderNotification("invoice_issued", { ...vars, number: "INV-2", total: 123450, dueDate: "2030-01-15" }, "fr");
+  // Intl separates French thousands and the currency sign with no-break spaces
+  assert.match(invoice.text, /1\s234,50\s\$/);
+  assert.match(invoice.text, /le 15 janv\. 2030\./);
+  const reminder = renderNotification("appointment_reminder", { ...vars, type: "Consultation", startsAt: "2030-05-01T17:00:00Z", timeZone: "America/Vancouver" }, "fr");
+  assert.match(reminder.subject, /^Rappel : Consultation le mercredi 1 mai 2030 à 10\sh\s00$/);
+});
+
+test("renderNotification: standard documents use the portal's name, custom ones stay as typed", () => {
+  const doc = (document, documentKey) => renderNotification("document_rejected", { ...vars, document, documentKey, reason: "Blurry" }, "fr").subject;
+  assert.equal(doc("Passport (all pages) – Bob", "dependant_passport_bob"), "Veuillez téléverser une nouvelle copie : Passeport – Bob");
+  assert.equal(doc("Lease agreement", null), "Veuillez téléverser une nouvelle copie : Lease agreement");
+});
+
+test("mergePreferences: keeps a supported locale and ignores others", () => {
+  assert.equal(defaultPreferences().locale, "en");
+  assert.equal(mergePreferences(defaultPreferences(), { locale: "pa" }).preferences.locale, "pa");
+  assert.equal(mergePreferences(defaultPreferences(), { locale: "xx" }).preferences.locale, "en");
+});
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(() => srv.stop());
+
+test("notifications: go out in the language the client saved", async () => {
+  const client = await srv.signIn("ana@example.com");
+  const staff = srv.app.auth.createUser({ email: "staff@example.com", role: "staff", verified: true });
+  const res = await srv.call("PUT", "/api/notifications/preferences", { locale: "es" }, client);
+  assert.equal(res.body.locale, "es");
+
+  const c = srv.app.cases.currentFor(srv.app.auth.findUserByEmail("ana@example.com"));
+  await srv.app.notifications.statusChanged(srv.app.cases.transition(staff, c.id, "Assessment Complete"));
+  const mail = srv.mails.findLast((m) => m.to === "ana@example.com");
+  assert.equal(mail.subject, "Su expediente ahora está en: Evaluación completada");
+});
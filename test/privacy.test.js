@@ -0,0 +1,66 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { startServer } from "./helpers/server.js";
+
+let srv;
+let admin;
+before(async () => {
+  srv = await startServer();
+  admin = await srv.signIn("admin@example.com", "admin");
+});
+after(() => srv.stop());
+
+/** A client with a case holding one stored document; resolves to { user, caseId, uploadId }. */
+async function clientWithDocument(email) {
+  const token = await srv.signIn(email);
+  const user = srv.app.auth.findUserByEmail(email);
+  const caseId = srv.app.cases.currentFor(user).id;
+  const created = await srv.call("POST", `/api/cases/${caseId}/uploads`, {
+    name: "passport.pdf", size: 10, type: "application/pdf",
+    key: crypto.randomBytes(32).toString("base64"), iv: crypto.randomBytes(12).toString("base64"),
+  }, token);
+  assert.equal(created.status, 201);
+  assert.equal((await srv.call("PUT", `/api/uploads/${created.body.id}/content`, "x".repeat(26), token)).status, 200);
+  return { user, caseId, uploadId: created.body.id };
+}
+
+const erase = (c, body = {}) => srv.call("POST", `/api/cases/${c.caseId}/erase`, { confirm: c.user.email, reason: "Client request", ...body }, admin);
+
+test("erase: removes the case, its documents and the account, and logs it", async () => {
+  const c = await clientWithDocument("ana@example.com");
+  const res = await erase(c, { deleteAccount: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.documents, 1);
+  assert.equal(res.body.accountDeleted, true);
+  assert.equal(srv.app.cases.get(c.caseId), undefined);
+  assert.equal(srv.app.auth.findUser(c.user.id), undefined);
+  assert.throws(() => srv.app.vault.readBlob(c.uploadId), { code: "ENOENT" });
+
+  const [entry] = srv.app.audit.query({ action: "case.erase", targetId: c.caseId }).items.filter((e) => e.action === "case.erase");
+  assert.deepEqual(entry.details, { reason: "Client request", documents: 1, accountDeleted: true });
+  assert.equal(srv.app.audit.verify().ok, true);
+});
+
+test("erase: the email must be typed back", async () => {
+  const c = await clientWithDocument("bo@example.com");
+  assert.equal((await erase(c, { confirm: "someone@example.com" })).status, 400);
+  assert.ok(srv.app.cases.get(c.caseId));
+});
+
+test("erase: nothing is erased when the audit entry cannot be written", async () => {
+  const c = await clientWithDocument("cy@example.com");
+  const { record } = srv.app.audit;
+  srv.app.audit.record = (entry) => {
+    if (entry.action === "case.erase") throw new Error("disk full");
+    return record(entry);
+  };
+  try {
+    assert.throws(() => srv.app.privacy.erase(c.caseId, { actor: "system", reason: "test" }), /disk full/);
+  } finally {
+    srv.app.audit.record = record;
+  }
+  assert.ok(srv.app.cases.get(c.caseId));
+  assert.equal(srv.app.vault.readBlob(c.uploadId).length, 26);
+  assert.equal(srv.app.db.prepare("SELECT COUNT(*) AS n FROM erasures WHERE case_id = ?").get(c.caseId).n, 0);
+});
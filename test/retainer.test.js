@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { feeSchedule, FIRM } from "../lib/retainer.js";
+
+const family = {
+  contact: { province: "ON" },
+  interest: { program: "Express Entry" },
+  basics: { marital: "Married" },
+  spouse: { accompanying: "Yes" },
+  dependants: [{ id: "a", accompanying: "Yes" }, { id: "b", accompanying: "No" }],
+};
+
+test("feeSchedule: prices the program for the accompanying household in cents", () => {
+  const f = feeSchedule(family);
+  assert.equal(f.program, "Express Entry");
+  assert.deepEqual(f.professional.map((l) => [l.qty, l.total]), [[1, 150000], [1, 250000], [1, 50000], [1, 25000]]);
+  assert.equal(f.subtotal, 475000);
+  // Biometrics for three people is capped at the family maximum
+  assert.equal(f.government.find((l) => l.label === "Biometrics").total, 17000);
+  assert.equal(f.governmentTotal, 348000);
+});
+
+test("feeSchedule: professional fees are taxed for the client's province", () => {
+  const on = feeSchedule(family);
+  assert.equal(on.region, "ON");
+  assert.deepEqual(on.taxes.map((t) => [t.code, t.amount]), [["HST", 61750]]);
+  assert.equal(on.professionalTotal, 536750);
+  const qc = feeSchedule({ ...family, contact: { province: "QC" } });
+  assert.deepEqual(qc.taxes.map((t) => [t.code, t.amount]), [["GST", 23750], ["QST", 47381]]);
+  assert.equal(feeSchedule({ ...family, contact: { province: "OUT" } }).tax, 0);
+  assert.equal(feeSchedule({ ...family, contact: {} }).region, FIRM.region);
+});
+
+test("feeSchedule: instalments add up to the total", () => {
+  for (const province of ["ON", "QC", "NS", "BC"]) {
+    const f = feeSchedule({ ...family, contact: { province } });
+    assert.equal(f.installments.reduce((s, i) => s + i.amount, 0), f.professionalTotal);
+  }
+});
+
+test("feeSchedule: unknown programs fall back to Express Entry", () => {
+  assert.equal(feeSchedule({ interest: { program: "Nope" } }).program, "Express Entry");
+});
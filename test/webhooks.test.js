@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { verifyCalendlySignature } from "../server/webhooks.js";
+import { startServer } from "./helpers/server.js";
+
+const KEY = "calendly-signing-key";
+const sign = (raw, t = Math.floor(Date.now() / 1000), key = KEY) =>
+  `t=${t},v1=${crypto.createHmac("sha256", key).update(`${t}.${raw}`).digest("hex")}`;
+
+test("verifyCalendlySignature: accepts a signature up to 300 s old and no older", () => {
+  const raw = Buffer.from("{}");
+  const now = 1_800_000_000_000;
+  const t = now / 1000;
+  assert.doesNotThrow(() => verifyCalendlySignature(sign(raw, t - 300), raw, KEY, { now }));
+  assert.doesNotThrow(() => verifyCalendlySignature(sign(raw, t + 300), raw, KEY, { now }));
+  assert.throws(() => verifyCalendlySignature(sign(raw, t - 301), raw, KEY, { now }), { status: 401, message: /expired/ });
+  assert.throws(() => verifyCalendlySignature(sign(raw, t, "other-key"), raw, KEY, { now }), { status: 401, message: /Invalid/ });
+  assert.throws(() => verifyCalendlySignature(sign(raw, t), Buffer.from("{ }"), KEY, { now }), { status: 401 });
+  assert.throws(() => verifyCalendlySignature("", raw, KEY, { now }), { status: 401, message: /Missing/ });
+});
+
+let srv;
+let staffId;
+before(async () => {
+  srv = await startServer({ PW_CALENDLY_WEBHOOK_KEY: KEY });
+  await srv.signIn("staff@example.com", "staff");
+  staffId = srv.app.auth.findUserByEmail("staff@example.com").id;
+});
+after(() => srv.stop());
+
+const at = (hour) => `2030-05-01T${String(hour).padStart(2, "0")}:00:00.000Z`;
+const invitee = (email, hour, extra = {}) => ({
+  event: "invitee.created",
+  payload: {
+    uri: `https://api.calendly.com/invitees/${email}-${hour}`, email, name: email.split("@")[0],
+    scheduled_event: { name: "Consultation", start_time: at(hour), end_time: at(hour + 1) }, ...extra,
+  },
+});
+const deliver = (body, signature) => {
+  const raw = JSON.stringify(body);
+  return srv.call("POST", "/api/webhooks/calendly", raw, undefined, { "Calendly-Webhook-Signature": signature ?? sign(raw) });
+};
+const assignedCase = (email) => srv.app.cases.assign(srv.app.cases.create({ email, name: email }).id, staffId);
+const appointment = (id) => srv.app.db.prepare("SELECT * FROM appointments WHERE id = ?").get(id);
+
+test("calendly webhook: unsigned or stale deliveries are refused", async () => {
+  const body = invitee("stale@example.com", 9);
+  assert.equal((await deliver(body, "t=1,v1=00")).status, 401);
+  assert.equal((await deliver(body, sign(JSON.stringify(body), Math.floor(Date.now() / 1000) - 301))).status, 401);
+  assert.equal(srv.app.db.prepare("SELECT COUNT(*) AS n FROM appointments").get().n, 0);
+});
+
+test("calendly webhook: a booking lands on the case's assignee, once", async () => {
+  assignedCase("ana@example.com");
+  const first = await deliver(invitee("ana@example.com", 10));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.event, "created");
+  assert.equal(appointment(first.body.id).staff_user_id, staffId);
+  assert.deepEqual((await deliver(invitee("ana@example.com", 10))).body, { event: "duplicate", id: first.body.id, caseId: first.body.caseId });
+});
+
+test("calendly webhook: a clash with the assignee's calendar is kept unassigned and acknowledged", async () => {
+  assignedCase("bo@example.com");
+  const res = await deliver(invitee("bo@example.com", 10));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.staffConflict, staffId);
+  const a = appointment(res.body.id);
+  assert.equal(a.staff_user_id, null);
+  assert.equal(a.status, "booked");
+  const logged = srv.app.audit.query({ action: "appointment.webhook", targetId: res.body.id }).items[0];
+  assert.equal(logged.details.staffConflict, staffId);
+});
+
+test("calendly webhook: a reschedule onto a taken slot keeps the move and drops the assignee", async () => {
+  assignedCase("cy@example.com");
+  const taken = await deliver(invitee("cy@example.com", 14));
+  assert.equal(appointment(taken.body.id).staff_user_id, staffId);
+  const original = await deliver(invitee("dee@example.com", 12));
+  srv.app.db.prepare("UPDATE appointments SET staff_user_id = ? WHERE id = ?").run(staffId, original.body.id);
+
+  const moved = await deliver(invitee("dee@example.com", 14, { old_invitee: invitee("dee@example.com", 12).payload.uri }));
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.event, "rescheduled");
+  assert.equal(moved.body.staffConflict, staffId);
+  const a = appointment(original.body.id);
+  assert.deepEqual([a.starts_at, a.staff_user_id, a.status], [at(14), null, "booked"]);
+});